@@ -1,6 +1,20 @@
 const { sequelize } = require('../config/database');
 const { QueryTypes } = require('sequelize');
 
+// Derived sabermetric columns on player_season_stats (calculated by the backend's advancedStatsService)
+const ADVANCED_BATTING = ['woba', 'wrc_plus', 'ops_plus', 'iso', 'babip', 'k_pct', 'bb_pct'];
+const ADVANCED_PITCHING = ['fip', 'xfip', 'era_minus', 'fip_minus', 'k_pct_pitching', 'bb_pct_pitching', 'k_bb_pct'];
+
+function advancedStats(row) {
+  if (!row) return null;
+  const pick = (columns) => Object.fromEntries(columns.map(column => [column, row[column] === null ? null : parseFloat(row[column])]));
+  return {
+    batting: pick(ADVANCED_BATTING),
+    pitching: pick(ADVANCED_PITCHING),
+    computed_at: row.advanced_stats_computed_at || null
+  };
+}
+
 module.exports = [
   {
     name: 'search_players',
@@ -47,7 +61,7 @@ module.exports = [
 
   {
     name: 'get_player_stats',
-    description: 'Get detailed batting, pitching, or fielding statistics for a specific player. Returns season stats if season specified, career stats otherwise.',
+    description: 'Get detailed batting, pitching, or fielding statistics for a specific player. Returns season stats if season specified, career stats otherwise. Includes advanced stats: wOBA, wRC+, OPS+, ISO, BABIP, K%, BB% for hitters and FIP, xFIP, ERA-, FIP-, K%, BB%, K-BB% for pitchers (percentages as fractions; wRC+/OPS+ above 100 and ERA-/FIP- below 100 are better than the conference average, park adjusted). Career requests include the most recent season\'s advanced stats.',
     parameters: {
       type: 'object',
       properties: {
@@ -70,12 +84,20 @@ module.exports = [
           SELECT * FROM player_season_stats
           WHERE player_id = :player_id AND season = :season
         `, { replacements: { player_id: input.player_id, season: input.season }, type: QueryTypes.SELECT });
-        return { player, season: input.season, stats: stats || null };
+        return { player, season: input.season, stats: stats || null, advanced: advancedStats(stats) };
       } else {
         const [stats] = await sequelize.query(`
           SELECT * FROM player_career_stats WHERE player_id = :player_id
         `, { replacements: { player_id: input.player_id }, type: QueryTypes.SELECT });
-        return { player, career_stats: stats || null };
+        const [latest] = await sequelize.query(`
+          SELECT * FROM player_season_stats WHERE player_id = :player_id
+          ORDER BY season DESC LIMIT 1
+        `, { replacements: { player_id: input.player_id }, type: QueryTypes.SELECT });
+        return {
+          player,
+          career_stats: stats || null,
+          latest_season: latest ? { season: latest.season, advanced: advancedStats(latest) } : null
+        };
       }
     }
   },
@@ -5,6 +5,7 @@ const tokenBlacklistService = require('../../services/tokenBlacklistService');
 
 // Mock dependencies
 jest.mock('../../services/tokenBlacklistService');
+jest.mock('../../services/sessionService');
 
 describe('auth middleware', () => {
   const next = jest.fn();
@@ -50,6 +51,41 @@ describe('auth middleware', () => {
     expect(req.user.id).toBe(123);
   });
 
+  it('reports expired tokens so clients can refresh', async () => {
+    const req = { headers: { authorization: 'Bearer expired' } };
+    jest.spyOn(jwt, 'verify').mockImplementation(() => {
+      throw new jwt.TokenExpiredError('jwt expired', new Date());
+    });
+    const response = res();
+    await protect(req, response, next);
+    expect(response.status).toHaveBeenCalledWith(401);
+    expect(response.json).toHaveBeenCalledWith({ success: false, error: 'Token expired' });
+  });
+
+  it('exposes the token jti and records session activity', async () => {
+    const sessionService = require('../../services/sessionService');
+    const req = { headers: { authorization: 'Bearer token' } };
+    jest.spyOn(jwt, 'verify').mockReturnValue({ id: 123, jti: 'session-jti', iat: 1700000000 });
+    jest.spyOn(User, 'findByPk').mockResolvedValue({ id: 123 });
+    tokenBlacklistService.isBlacklisted.mockResolvedValue(false);
+
+    await protect(req, res(), next);
+    expect(req.tokenJti).toBe('session-jti');
+    expect(sessionService.touchSession).toHaveBeenCalledWith('session-jti');
+  });
+
+  it('rejects two-factor challenge tokens', async () => {
+    const req = { headers: { authorization: 'Bearer challenge' } };
+    jest.spyOn(jwt, 'verify').mockReturnValue({ id: 123, purpose: '2fa_challenge', jti: 'challenge-jti' });
+    const findSpy = jest.spyOn(User, 'findByPk');
+
+    const response = res();
+    await protect(req, response, next);
+    expect(response.status).toHaveBeenCalledWith(401);
+    expect(next).not.toHaveBeenCalled();
+    expect(findSpy).not.toHaveBeenCalled();
+  });
+
   describe('blacklist checks', () => {
     it('allows token without jti (backward compatibility)', async () => {
       const token = jwt.sign({ id: 123 }, process.env.JWT_SECRET);
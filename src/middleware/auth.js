@@ -1,6 +1,7 @@
 const jwt = require('jsonwebtoken');
 const { User } = require('../models');
 const tokenBlacklistService = require('../services/tokenBlacklistService');
+const sessionService = require('../services/sessionService');
 
 const protect = async (req, res, next) => {
   let token;
@@ -18,6 +19,11 @@ const protect = async (req, res, next) => {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+      // Purpose-bound tokens (e.g. two-factor login challenges) are not session tokens
+      if (decoded.purpose) {
+        return res.status(401).json({ success: false, error: 'Not authorized' });
+      }
+
       // Check if token has jti (JWT ID) and if it's blacklisted
       if (decoded.jti) {
         const tokenIssuedAt = decoded.iat ? new Date(decoded.iat * 1000) : null;
@@ -41,8 +47,16 @@ const protect = async (req, res, next) => {
         return res.status(401).json({ success: false, error: 'User not found' });
       }
 
+      // Expose the token's session id and record activity (throttled, not awaited)
+      req.tokenJti = decoded.jti || null;
+      sessionService.touchSession(decoded.jti);
+
       next();
     } catch (error) {
+      // Expired access tokens are expected; clients renew them via POST /auth/refresh
+      if (error.name === 'TokenExpiredError') {
+        return res.status(401).json({ success: false, error: 'Token expired' });
+      }
       console.error('Token verification error:', error);
       return res.status(401).json({ success: false, error: 'Not authorized' });
     }
@@ -165,6 +165,55 @@ const prospectMediaUpload = multer({
 // Middleware for handling prospect media uploads
 const uploadProspectMedia = prospectMediaUpload.single('file');
 
+// File filter for box score XML files
+const boxScoreFileFilter = (_req, file, cb) => {
+  const allowedMimeTypes = ['application/xml', 'text/xml'];
+  const fileExtension = path.extname(file.originalname).toLowerCase();
+
+  if (allowedMimeTypes.includes(file.mimetype) || fileExtension === '.xml') {
+    cb(null, true);
+  } else {
+    cb(new Error('Invalid file type. Only XML box score files are allowed.'), false);
+  }
+};
+
+// Configure multer for box score imports (kept in memory; the file is parsed, not stored)
+const boxScoreUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: boxScoreFileFilter,
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  }
+});
+
+// Middleware for handling box score uploads
+const uploadBoxScore = boxScoreUpload.single('file');
+
+// File filter for prospect CSV imports
+const prospectCsvFileFilter = (_req, file, cb) => {
+  // Browsers on Windows send CSV files as application/vnd.ms-excel
+  const allowedMimeTypes = ['text/csv', 'application/csv', 'text/plain', 'application/vnd.ms-excel'];
+  const fileExtension = path.extname(file.originalname).toLowerCase();
+
+  if (fileExtension === '.csv' || (allowedMimeTypes.includes(file.mimetype) && fileExtension !== '.xls')) {
+    cb(null, true);
+  } else {
+    cb(new Error('Invalid file type. Only CSV files are allowed.'), false);
+  }
+};
+
+// Configure multer for prospect CSV imports (kept in memory; the file is parsed, not stored)
+const prospectCsvUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: prospectCsvFileFilter,
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  }
+});
+
+// Middleware for handling prospect CSV uploads
+const uploadProspectCsv = prospectCsvUpload.single('file');
+
 // Error handling middleware
 const handleUploadError = (error, req, res, next) => {
   if (error instanceof multer.MulterError) {
@@ -194,6 +243,8 @@ module.exports = {
   uploadVideo,
   uploadLogo,
   uploadProspectMedia,
+  uploadBoxScore,
+  uploadProspectCsv,
   handleUploadError,
   logosDir,
   prospectsDir
@@ -0,0 +1,72 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const usersTable = await queryInterface.describeTable('users');
+
+    if (!usersTable.two_factor_enabled) {
+      await queryInterface.addColumn('users', 'two_factor_enabled', {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'Whether TOTP two-factor authentication is required at login'
+      });
+    }
+
+    if (!usersTable.two_factor_secret_encrypted) {
+      await queryInterface.addColumn('users', 'two_factor_secret_encrypted', {
+        type: Sequelize.TEXT,
+        allowNull: true,
+        comment: 'Active TOTP secret, encrypted with ENCRYPTION_KEY'
+      });
+    }
+
+    if (!usersTable.two_factor_pending_secret_encrypted) {
+      await queryInterface.addColumn('users', 'two_factor_pending_secret_encrypted', {
+        type: Sequelize.TEXT,
+        allowNull: true,
+        comment: 'TOTP secret awaiting first code verification, encrypted with ENCRYPTION_KEY'
+      });
+    }
+
+    if (!usersTable.two_factor_recovery_codes) {
+      await queryInterface.addColumn('users', 'two_factor_recovery_codes', {
+        type: Sequelize.JSONB,
+        allowNull: true,
+        comment: 'SHA-256 hashes of unused recovery codes'
+      });
+    }
+
+    if (!usersTable.two_factor_last_used_step) {
+      await queryInterface.addColumn('users', 'two_factor_last_used_step', {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: 'Last accepted TOTP time step, used to reject replayed codes'
+      });
+    }
+
+    if (!usersTable.two_factor_enabled_at) {
+      await queryInterface.addColumn('users', 'two_factor_enabled_at', {
+        type: Sequelize.DATE,
+        allowNull: true
+      });
+    }
+  },
+
+  down: async (queryInterface, _Sequelize) => {
+    const usersTable = await queryInterface.describeTable('users');
+
+    for (const column of [
+      'two_factor_enabled_at',
+      'two_factor_last_used_step',
+      'two_factor_recovery_codes',
+      'two_factor_pending_secret_encrypted',
+      'two_factor_secret_encrypted',
+      'two_factor_enabled'
+    ]) {
+      if (usersTable[column]) {
+        await queryInterface.removeColumn('users', column);
+      }
+    }
+  }
+};
@@ -0,0 +1,83 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('login_events', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      email: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      provider: {
+        type: Sequelize.ENUM('local', 'google', 'apple'),
+        allowNull: false,
+        defaultValue: 'local'
+      },
+      outcome: {
+        type: Sequelize.ENUM('success', 'failed', 'two_factor_required'),
+        allowNull: false
+      },
+      failure_reason: {
+        type: Sequelize.STRING(50),
+        allowNull: true
+      },
+      ip_address: {
+        type: Sequelize.STRING(45),
+        allowNull: true
+      },
+      user_agent: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      device_type: {
+        type: Sequelize.STRING(20),
+        allowNull: true
+      },
+      browser: {
+        type: Sequelize.STRING(50),
+        allowNull: true
+      },
+      os: {
+        type: Sequelize.STRING(50),
+        allowNull: true
+      },
+      failed_attempts: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      account_locked: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      locked_until: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('login_events', ['user_id', 'created_at']);
+    await queryInterface.addIndex('login_events', ['ip_address']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('login_events');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_login_events_provider";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_login_events_outcome";');
+  }
+};
@@ -0,0 +1,17 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('user_sessions', 'refresh_family_id', {
+      type: Sequelize.STRING(36),
+      allowNull: true
+    });
+
+    await queryInterface.addIndex('user_sessions', ['refresh_family_id']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex('user_sessions', ['refresh_family_id']);
+    await queryInterface.removeColumn('user_sessions', 'refresh_family_id');
+  }
+};
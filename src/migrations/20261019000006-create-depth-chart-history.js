@@ -0,0 +1,87 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('depth_chart_history', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      depth_chart_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'depth_charts', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      action: {
+        type: Sequelize.ENUM(
+          'baseline',
+          'chart_created',
+          'chart_updated',
+          'chart_deleted',
+          'chart_restored',
+          'position_added',
+          'position_updated',
+          'position_removed',
+          'player_assigned',
+          'player_unassigned'
+        ),
+        allowNull: false
+      },
+      entity_type: {
+        type: Sequelize.ENUM('chart', 'position', 'player'),
+        allowNull: false
+      },
+      entity_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      player_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      description: {
+        type: Sequelize.STRING(500),
+        allowNull: false
+      },
+      before: {
+        type: Sequelize.JSONB,
+        allowNull: true
+      },
+      after: {
+        type: Sequelize.JSONB,
+        allowNull: true
+      },
+      snapshot: {
+        type: Sequelize.JSONB,
+        allowNull: false
+      },
+      version: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      changed_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('depth_chart_history', ['depth_chart_id', 'created_at']);
+    await queryInterface.addIndex('depth_chart_history', ['depth_chart_id', 'player_id']);
+    await queryInterface.addIndex('depth_chart_history', ['changed_by']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('depth_chart_history');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_depth_chart_history_action";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_depth_chart_history_entity_type";');
+  }
+};
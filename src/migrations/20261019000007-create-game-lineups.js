@@ -0,0 +1,99 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('game_lineups', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      game_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'games', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      team_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'teams', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      depth_chart_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'depth_charts', key: 'id' },
+        onDelete: 'SET NULL'
+      },
+      use_dh: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      opposing_starter_name: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      opposing_starter_throws: {
+        type: Sequelize.ENUM('L', 'R'),
+        allowNull: true
+      },
+      batting_order: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: []
+      },
+      starting_pitcher_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'players', key: 'id' },
+        onDelete: 'SET NULL'
+      },
+      bench: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: []
+      },
+      bullpen: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: []
+      },
+      notes: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      created_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'SET NULL'
+      },
+      updated_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('game_lineups', ['game_id'], { unique: true });
+    await queryInterface.addIndex('game_lineups', ['team_id']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('game_lineups');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_game_lineups_opposing_starter_throws";');
+  }
+};
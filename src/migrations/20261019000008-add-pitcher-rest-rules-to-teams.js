@@ -0,0 +1,16 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('teams', 'pitcher_rest_rules', {
+      type: Sequelize.JSONB,
+      allowNull: true,
+      comment: 'Team pitcher rest rules; null uses the default rules'
+    });
+  },
+
+  async down(queryInterface, _Sequelize) {
+    await queryInterface.removeColumn('teams', 'pitcher_rest_rules');
+  }
+};
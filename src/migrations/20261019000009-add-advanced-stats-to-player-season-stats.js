@@ -0,0 +1,49 @@
+'use strict';
+
+const BATTING_COLUMNS = {
+  woba: { precision: 4, scale: 3 },
+  wrc_plus: { precision: 6, scale: 1 },
+  ops_plus: { precision: 6, scale: 1 },
+  iso: { precision: 4, scale: 3 },
+  babip: { precision: 4, scale: 3 },
+  k_pct: { precision: 4, scale: 3 },
+  bb_pct: { precision: 4, scale: 3 }
+};
+
+const PITCHING_COLUMNS = {
+  fip: { precision: 5, scale: 2 },
+  xfip: { precision: 5, scale: 2 },
+  era_minus: { precision: 6, scale: 1 },
+  fip_minus: { precision: 6, scale: 1 },
+  k_pct_pitching: { precision: 4, scale: 3 },
+  bb_pct_pitching: { precision: 4, scale: 3 },
+  k_bb_pct: { precision: 4, scale: 3 }
+};
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const columns = { ...BATTING_COLUMNS, ...PITCHING_COLUMNS };
+    for (const [name, { precision, scale }] of Object.entries(columns)) {
+      await queryInterface.addColumn('player_season_stats', name, {
+        type: Sequelize.DECIMAL(precision, scale),
+        allowNull: true
+      });
+    }
+
+    await queryInterface.addColumn('player_season_stats', 'advanced_stats_computed_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      comment: 'When the derived sabermetric columns were last recalculated'
+    });
+  },
+
+  async down(queryInterface, _Sequelize) {
+    await queryInterface.removeColumn('player_season_stats', 'advanced_stats_computed_at');
+
+    const columns = [...Object.keys(BATTING_COLUMNS), ...Object.keys(PITCHING_COLUMNS)];
+    for (const name of columns.reverse()) {
+      await queryInterface.removeColumn('player_season_stats', name);
+    }
+  }
+};
@@ -0,0 +1,62 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('game_scoring_events', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      game_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'games', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      team_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'teams', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      sequence: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      event_type: {
+        type: Sequelize.ENUM('start', 'pitch', 'play', 'runner', 'substitution', 'final'),
+        allowNull: false
+      },
+      payload: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: {}
+      },
+      created_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('game_scoring_events', ['game_id', 'sequence'], { unique: true });
+    await queryInterface.addIndex('game_scoring_events', ['team_id']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('game_scoring_events');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_game_scoring_events_event_type";');
+  }
+};
@@ -0,0 +1,103 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('prospect_contacts', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      prospect_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'prospects', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      team_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'teams', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      contact_type: {
+        type: Sequelize.ENUM(
+          'call',
+          'text',
+          'email',
+          'in_person_contact',
+          'in_person_evaluation',
+          'official_visit',
+          'unofficial_visit'
+        ),
+        allowNull: false
+      },
+      contact_date: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      contacted_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'SET NULL'
+      },
+      location: {
+        type: Sequelize.STRING(200),
+        allowNull: true
+      },
+      duration_minutes: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      notes: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      class_year: {
+        type: Sequelize.STRING(2),
+        allowNull: true
+      },
+      period_type: {
+        type: Sequelize.ENUM('dead', 'quiet', 'contact', 'evaluation'),
+        allowNull: true
+      },
+      compliance_status: {
+        type: Sequelize.ENUM('compliant', 'warning'),
+        allowNull: false,
+        defaultValue: 'compliant'
+      },
+      compliance_issues: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: []
+      },
+      logged_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('prospect_contacts', ['prospect_id', 'contact_date']);
+    await queryInterface.addIndex('prospect_contacts', ['team_id', 'contact_date']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('prospect_contacts');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_prospect_contacts_contact_type";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_prospect_contacts_period_type";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_prospect_contacts_compliance_status";');
+  }
+};
@@ -0,0 +1,16 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('teams', 'recruiting_contact_rules', {
+      type: Sequelize.JSONB,
+      allowNull: true,
+      comment: 'Team recruiting contact rules; null uses the default rules'
+    });
+  },
+
+  async down(queryInterface, _Sequelize) {
+    await queryInterface.removeColumn('teams', 'recruiting_contact_rules');
+  }
+};
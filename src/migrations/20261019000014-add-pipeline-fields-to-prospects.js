@@ -0,0 +1,29 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('prospects', 'pipeline_order', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Position of the prospect within its pipeline stage, 0 first'
+    });
+    await queryInterface.addColumn('prospects', 'stage_entered_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      comment: 'When the prospect moved into its current status'
+    });
+
+    // Existing prospects have no history; the last update is the best guess at when
+    // they reached their current stage.
+    await queryInterface.sequelize.query('UPDATE prospects SET stage_entered_at = updated_at;');
+    await queryInterface.addIndex('prospects', ['team_id', 'status', 'pipeline_order']);
+  },
+
+  async down(queryInterface, _Sequelize) {
+    await queryInterface.removeIndex('prospects', ['team_id', 'status', 'pipeline_order']);
+    await queryInterface.removeColumn('prospects', 'stage_entered_at');
+    await queryInterface.removeColumn('prospects', 'pipeline_order');
+  }
+};
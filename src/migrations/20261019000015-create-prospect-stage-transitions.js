@@ -0,0 +1,64 @@
+'use strict';
+
+const STATUSES = ['identified', 'evaluating', 'contacted', 'visiting', 'offered', 'committed', 'signed', 'passed'];
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('prospect_stage_transitions', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      prospect_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'prospects', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      team_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'teams', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      from_status: {
+        type: Sequelize.ENUM(...STATUSES),
+        allowNull: true
+      },
+      to_status: {
+        type: Sequelize.ENUM(...STATUSES),
+        allowNull: false
+      },
+      note: {
+        type: Sequelize.STRING(500),
+        allowNull: true
+      },
+      changed_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('prospect_stage_transitions', ['prospect_id', 'created_at']);
+    await queryInterface.addIndex('prospect_stage_transitions', ['team_id', 'created_at']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('prospect_stage_transitions');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_prospect_stage_transitions_from_status";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_prospect_stage_transitions_to_status";');
+  }
+};
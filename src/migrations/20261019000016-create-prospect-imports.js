@@ -0,0 +1,96 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('prospect_imports', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      team_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'teams', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      file_name: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      source: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      status: {
+        type: Sequelize.ENUM('started', 'completed', 'partial', 'failed'),
+        allowNull: false,
+        defaultValue: 'started'
+      },
+      total_rows: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      created_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      updated_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      skipped_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      failed_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      column_mapping: {
+        type: Sequelize.JSONB,
+        allowNull: true
+      },
+      options: {
+        type: Sequelize.JSONB,
+        allowNull: true
+      },
+      row_results: {
+        type: Sequelize.JSONB,
+        allowNull: true
+      },
+      imported_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'SET NULL'
+      },
+      completed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('prospect_imports', ['team_id', 'created_at']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('prospect_imports');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_prospect_imports_status";');
+  }
+};
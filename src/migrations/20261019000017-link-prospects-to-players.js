@@ -0,0 +1,77 @@
+'use strict';
+
+const measurables = (Sequelize) => ({
+  sixty_yard_dash: Sequelize.DECIMAL(4, 2),
+  home_to_first: Sequelize.DECIMAL(3, 1),
+  fastball_velocity: Sequelize.INTEGER,
+  exit_velocity: Sequelize.INTEGER,
+  pop_time: Sequelize.DECIMAL(3, 2)
+});
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // 1. Permanent link from a promoted prospect to the player it became
+    await queryInterface.addColumn('prospects', 'player_id', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: { model: 'players', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+    await queryInterface.addColumn('prospects', 'promoted_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+    await queryInterface.addColumn('prospects', 'promoted_by', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' },
+      onDelete: 'SET NULL'
+    });
+    await queryInterface.addIndex('prospects', ['player_id'], {
+      unique: true,
+      name: 'idx_prospects_player'
+    });
+
+    // 2. Recruiting measurables carried over to the player
+    for (const [column, type] of Object.entries(measurables(Sequelize))) {
+      await queryInterface.addColumn('players', column, { type, allowNull: true });
+    }
+
+    // 3. A promoted prospect's scouting reports belong to both records
+    await queryInterface.sequelize.query(
+      'ALTER TABLE scouting_reports DROP CONSTRAINT IF EXISTS scouting_report_target;'
+    );
+    await queryInterface.sequelize.query(`
+      ALTER TABLE scouting_reports
+      ADD CONSTRAINT scouting_report_target CHECK (
+        player_id IS NOT NULL OR prospect_id IS NOT NULL
+      );
+    `);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.sequelize.query(
+      'UPDATE scouting_reports SET prospect_id = NULL WHERE player_id IS NOT NULL AND prospect_id IS NOT NULL;'
+    );
+    await queryInterface.sequelize.query(
+      'ALTER TABLE scouting_reports DROP CONSTRAINT IF EXISTS scouting_report_target;'
+    );
+    await queryInterface.sequelize.query(`
+      ALTER TABLE scouting_reports
+      ADD CONSTRAINT scouting_report_target CHECK (
+        (player_id IS NOT NULL AND prospect_id IS NULL) OR
+        (player_id IS NULL AND prospect_id IS NOT NULL)
+      );
+    `);
+
+    for (const column of Object.keys(measurables(Sequelize))) {
+      await queryInterface.removeColumn('players', column);
+    }
+
+    await queryInterface.removeIndex('prospects', 'idx_prospects_player');
+    await queryInterface.removeColumn('prospects', 'promoted_by');
+    await queryInterface.removeColumn('prospects', 'promoted_at');
+    await queryInterface.removeColumn('prospects', 'player_id');
+  }
+};
@@ -0,0 +1,29 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('prospect_contacts', 'voided_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      comment: 'When the contact was voided as logged in error; voided contacts stay in the audit'
+    });
+    await queryInterface.addColumn('prospect_contacts', 'voided_by', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: { model: 'users', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+    await queryInterface.addColumn('prospect_contacts', 'void_reason', {
+      type: Sequelize.TEXT,
+      allowNull: true
+    });
+  },
+
+  async down(queryInterface, _Sequelize) {
+    await queryInterface.removeColumn('prospect_contacts', 'void_reason');
+    await queryInterface.removeColumn('prospect_contacts', 'voided_by');
+    await queryInterface.removeColumn('prospect_contacts', 'voided_at');
+  }
+};
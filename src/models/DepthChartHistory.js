@@ -0,0 +1,92 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const DepthChartHistory = sequelize.define('DepthChartHistory', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  depth_chart_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'depth_charts',
+      key: 'id'
+    }
+  },
+  action: {
+    type: DataTypes.ENUM(
+      'baseline',
+      'chart_created',
+      'chart_updated',
+      'chart_deleted',
+      'chart_restored',
+      'position_added',
+      'position_updated',
+      'position_removed',
+      'player_assigned',
+      'player_unassigned'
+    ),
+    allowNull: false
+  },
+  entity_type: {
+    type: DataTypes.ENUM('chart', 'position', 'player'),
+    allowNull: false
+  },
+  entity_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Chart, position or assignment id the change applies to'
+  },
+  player_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Player affected by an assignment change, for filtering'
+  },
+  description: {
+    type: DataTypes.STRING(500),
+    allowNull: false
+  },
+  before: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Changed entity before the change (null when added)'
+  },
+  after: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Changed entity after the change (null when removed)'
+  },
+  snapshot: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    comment: 'Full chart state (metadata, active positions and assignments) after the change'
+  },
+  version: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Depth chart version after the change'
+  },
+  changed_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'depth_chart_history',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  underscored: true,
+  indexes: [
+    { fields: ['depth_chart_id', 'created_at'] },
+    { fields: ['depth_chart_id', 'player_id'] },
+    { fields: ['changed_by'] }
+  ]
+});
+
+module.exports = DepthChartHistory;
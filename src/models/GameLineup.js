@@ -0,0 +1,107 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const GameLineup = sequelize.define('GameLineup', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  game_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    unique: true,
+    references: {
+      model: 'games',
+      key: 'id'
+    }
+  },
+  team_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'teams',
+      key: 'id'
+    }
+  },
+  depth_chart_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'depth_charts',
+      key: 'id'
+    },
+    comment: 'Depth chart the lineup was generated from'
+  },
+  use_dh: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  opposing_starter_name: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  opposing_starter_throws: {
+    type: DataTypes.ENUM('L', 'R'),
+    allowNull: true
+  },
+  batting_order: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Array of { slot, player_id, position } for slots 1-9'
+  },
+  starting_pitcher_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'players',
+      key: 'id'
+    }
+  },
+  bench: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Player IDs of available position-player substitutes'
+  },
+  bullpen: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Player IDs of available relief pitchers'
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  created_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  updated_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'game_lineups',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  underscored: true,
+  indexes: [
+    { fields: ['game_id'], unique: true },
+    { fields: ['team_id'] }
+  ]
+});
+
+module.exports = GameLineup;
@@ -0,0 +1,61 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const GameScoringEvent = sequelize.define('GameScoringEvent', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  game_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'games',
+      key: 'id'
+    }
+  },
+  team_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'teams',
+      key: 'id'
+    }
+  },
+  sequence: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Position of the event in the game log, starting at 1'
+  },
+  event_type: {
+    type: DataTypes.ENUM('start', 'pitch', 'play', 'runner', 'substitution', 'final'),
+    allowNull: false
+  },
+  payload: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {},
+    comment: 'Event details as recorded by the scorer'
+  },
+  created_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'game_scoring_events',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  underscored: true,
+  indexes: [
+    { fields: ['game_id', 'sequence'], unique: true },
+    { fields: ['team_id'] }
+  ]
+});
+
+module.exports = GameScoringEvent;
@@ -0,0 +1,84 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const LoginEvent = sequelize.define('LoginEvent', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'Null when the attempted email does not match an account'
+  },
+  email: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Email submitted with the attempt'
+  },
+  provider: {
+    type: DataTypes.ENUM('local', 'google', 'apple'),
+    allowNull: false,
+    defaultValue: 'local'
+  },
+  outcome: {
+    type: DataTypes.ENUM('success', 'failed', 'two_factor_required'),
+    allowNull: false
+  },
+  failure_reason: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  ip_address: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  },
+  user_agent: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  device_type: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  browser: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  os: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  failed_attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Consecutive failed attempts on the account after this attempt'
+  },
+  account_locked: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'Whether this attempt locked the account or was rejected because it was locked'
+  },
+  locked_until: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'login_events',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  underscored: true,
+  indexes: [
+    { fields: ['user_id', 'created_at'] },
+    { fields: ['ip_address'] }
+  ]
+});
+
+module.exports = LoginEvent;
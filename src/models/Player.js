@@ -318,6 +318,27 @@ const Player = sequelize.define('Player', {
     type: DataTypes.TEXT,
     allowNull: true,
     comment: 'Additional roster notes from PrestoSports'
+  },
+  // Recruiting measurables, carried over when a prospect is promoted
+  sixty_yard_dash: {
+    type: DataTypes.DECIMAL(4, 2),
+    allowNull: true
+  },
+  home_to_first: {
+    type: DataTypes.DECIMAL(3, 1),
+    allowNull: true
+  },
+  fastball_velocity: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  exit_velocity: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  pop_time: {
+    type: DataTypes.DECIMAL(3, 2),
+    allowNull: true
   }
 }, {
   tableName: 'players',
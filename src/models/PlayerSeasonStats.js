@@ -90,6 +90,24 @@ const PlayerSeasonStats = sequelize.define('PlayerSeasonStats', {
   errors: { type: DataTypes.INTEGER, defaultValue: 0 },
   fielding_percentage: { type: DataTypes.DECIMAL(4, 3), allowNull: true },
 
+  // Derived sabermetric stats (services/advancedStatsService), adjusted with
+  // conference constants and the team's park factor
+  woba: { type: DataTypes.DECIMAL(4, 3), allowNull: true },
+  wrc_plus: { type: DataTypes.DECIMAL(6, 1), allowNull: true },
+  ops_plus: { type: DataTypes.DECIMAL(6, 1), allowNull: true },
+  iso: { type: DataTypes.DECIMAL(4, 3), allowNull: true },
+  babip: { type: DataTypes.DECIMAL(4, 3), allowNull: true },
+  k_pct: { type: DataTypes.DECIMAL(4, 3), allowNull: true },
+  bb_pct: { type: DataTypes.DECIMAL(4, 3), allowNull: true },
+  fip: { type: DataTypes.DECIMAL(5, 2), allowNull: true },
+  xfip: { type: DataTypes.DECIMAL(5, 2), allowNull: true },
+  era_minus: { type: DataTypes.DECIMAL(6, 1), allowNull: true },
+  fip_minus: { type: DataTypes.DECIMAL(6, 1), allowNull: true },
+  k_pct_pitching: { type: DataTypes.DECIMAL(4, 3), allowNull: true },
+  bb_pct_pitching: { type: DataTypes.DECIMAL(4, 3), allowNull: true },
+  k_bb_pct: { type: DataTypes.DECIMAL(4, 3), allowNull: true },
+  advanced_stats_computed_at: { type: DataTypes.DATE, allowNull: true },
+
   // Source tracking
   external_id: {
     type: DataTypes.STRING(100),
@@ -75,11 +75,30 @@ const Prospect = sequelize.define('Prospect', {
     allowNull: false,
     defaultValue: 'identified'
   },
+  pipeline_order: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  stage_entered_at: { type: DataTypes.DATE, allowNull: true },
   source: { type: DataTypes.STRING(100), allowNull: true },
   notes: { type: DataTypes.TEXT, allowNull: true },
   video_url: { type: DataTypes.STRING(500), allowNull: true },
   social_links: { type: DataTypes.JSONB, allowNull: true },
-  external_profile_url: { type: DataTypes.STRING(500), allowNull: true }
+  external_profile_url: { type: DataTypes.STRING(500), allowNull: true },
+  player_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    unique: true,
+    references: { model: 'players', key: 'id' },
+    comment: 'Player this prospect was promoted to once signed'
+  },
+  promoted_at: { type: DataTypes.DATE, allowNull: true },
+  promoted_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: { model: 'users', key: 'id' }
+  }
 }, {
   tableName: 'prospects'
 });
@@ -0,0 +1,121 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const ProspectContact = sequelize.define('ProspectContact', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  prospect_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'prospects',
+      key: 'id'
+    }
+  },
+  team_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'teams',
+      key: 'id'
+    }
+  },
+  contact_type: {
+    type: DataTypes.ENUM(
+      'call',
+      'text',
+      'email',
+      'in_person_contact',
+      'in_person_evaluation',
+      'official_visit',
+      'unofficial_visit'
+    ),
+    allowNull: false
+  },
+  contact_date: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  contacted_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'Staff member who made the contact'
+  },
+  location: {
+    type: DataTypes.STRING(200),
+    allowNull: true
+  },
+  duration_minutes: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  class_year: {
+    type: DataTypes.STRING(2),
+    allowNull: true,
+    comment: 'Prospect class year the compliance check used'
+  },
+  period_type: {
+    type: DataTypes.ENUM('dead', 'quiet', 'contact', 'evaluation'),
+    allowNull: true,
+    comment: 'Recruiting period in effect on the contact date; null when none was configured'
+  },
+  compliance_status: {
+    type: DataTypes.ENUM('compliant', 'warning'),
+    allowNull: false,
+    defaultValue: 'compliant'
+  },
+  compliance_issues: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Rule violations found when the contact was logged'
+  },
+  logged_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  voided_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When the contact was voided as logged in error; voided contacts stay in the audit'
+  },
+  voided_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  void_reason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'prospect_contacts',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  underscored: true,
+  indexes: [
+    { fields: ['prospect_id', 'contact_date'] },
+    { fields: ['team_id', 'contact_date'] }
+  ]
+});
+
+module.exports = ProspectContact;
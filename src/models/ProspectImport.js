@@ -0,0 +1,95 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const ProspectImport = sequelize.define('ProspectImport', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  team_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'teams',
+      key: 'id'
+    }
+  },
+  file_name: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  source: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: 'Event the file came from; copied to Prospect.source of created prospects'
+  },
+  status: {
+    type: DataTypes.ENUM('started', 'completed', 'partial', 'failed'),
+    allowNull: false,
+    defaultValue: 'started'
+  },
+  total_rows: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  created_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  updated_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  skipped_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  failed_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  column_mapping: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'CSV header to Prospect field used for the import'
+  },
+  options: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'on_duplicate and row_actions the import ran with'
+  },
+  row_results: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Per row: action taken, prospect, duplicate match and errors'
+  },
+  imported_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  completed_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'prospect_imports',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  underscored: true,
+  indexes: [
+    { fields: ['team_id', 'created_at'] }
+  ]
+});
+
+module.exports = ProspectImport;
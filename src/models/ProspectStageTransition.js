@@ -0,0 +1,61 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const STATUSES = ['identified', 'evaluating', 'contacted', 'visiting', 'offered', 'committed', 'signed', 'passed'];
+
+const ProspectStageTransition = sequelize.define('ProspectStageTransition', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  prospect_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'prospects',
+      key: 'id'
+    }
+  },
+  team_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'teams',
+      key: 'id'
+    }
+  },
+  from_status: {
+    type: DataTypes.ENUM(...STATUSES),
+    allowNull: true,
+    comment: 'Null for the entry recorded when the prospect was created'
+  },
+  to_status: {
+    type: DataTypes.ENUM(...STATUSES),
+    allowNull: false
+  },
+  note: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+  changed_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'prospect_stage_transitions',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  underscored: true,
+  indexes: [
+    { fields: ['prospect_id', 'created_at'] },
+    { fields: ['team_id', 'created_at'] }
+  ]
+});
+
+module.exports = ProspectStageTransition;
@@ -0,0 +1,58 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const RecruitingPeriod = sequelize.define('RecruitingPeriod', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  team_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'teams',
+      key: 'id'
+    }
+  },
+  period_type: {
+    type: DataTypes.ENUM('dead', 'quiet', 'contact', 'evaluation'),
+    allowNull: false
+  },
+  start_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  end_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    comment: 'Last day of the period (inclusive)'
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  created_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'recruiting_periods',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  underscored: true,
+  indexes: [
+    { fields: ['team_id', 'start_date'] }
+  ]
+});
+
+module.exports = RecruitingPeriod;
@@ -0,0 +1,72 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const RefreshToken = sequelize.define('RefreshToken', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  family_id: {
+    type: DataTypes.STRING(36),
+    allowNull: false,
+    comment: 'Shared by every token rotated from the same login'
+  },
+  token_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+    comment: 'SHA-256 of the refresh token; the token itself is never stored'
+  },
+  access_jti: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'JWT ID of the access token issued alongside this refresh token'
+  },
+  access_expires_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  ip_address: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  used_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Set when the token is exchanged; presenting it again is treated as reuse'
+  },
+  revoked_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  revoked_reason: {
+    type: DataTypes.STRING(30),
+    allowNull: true
+  }
+}, {
+  tableName: 'refresh_tokens',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  underscored: true,
+  indexes: [
+    { fields: ['family_id'] },
+    { fields: ['user_id', 'revoked_at'] },
+    { fields: ['expires_at'] }
+  ]
+});
+
+module.exports = RefreshToken;
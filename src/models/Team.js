@@ -147,6 +147,16 @@ const Team = sequelize.define('Team', {
     allowNull: false,
     defaultValue: 'letter'
   },
+  pitcher_rest_rules: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Team pitcher rest rules; null uses the default rules'
+  },
+  recruiting_contact_rules: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Team recruiting contact rules; null uses the default rules'
+  },
 
   // Aggregate team stats from Presto
   team_batting_stats: {
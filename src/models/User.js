@@ -91,6 +91,31 @@ const User = sequelize.define('User', {
   last_failed_login: {
     type: DataTypes.DATE,
     allowNull: true
+  },
+  two_factor_enabled: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  two_factor_secret_encrypted: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  two_factor_pending_secret_encrypted: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  two_factor_recovery_codes: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  two_factor_last_used_step: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  two_factor_enabled_at: {
+    type: DataTypes.DATE,
+    allowNull: true
   }
 }, {
   tableName: 'users',
@@ -115,6 +140,16 @@ User.prototype.matchPassword = function (enteredPassword) {
   return bcrypt.compare(enteredPassword, this.password);
 };
 
+// Keep two-factor secrets and recovery code hashes out of serialized API responses
+User.prototype.toJSON = function () {
+  const values = { ...this.get() };
+  delete values.two_factor_secret_encrypted;
+  delete values.two_factor_pending_secret_encrypted;
+  delete values.two_factor_recovery_codes;
+  delete values.two_factor_last_used_step;
+  return values;
+};
+
 // Instance method to get full name
 User.prototype.getFullName = function () {
   return `${this.first_name} ${this.last_name}`;
@@ -0,0 +1,79 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const UserSession = sequelize.define('UserSession', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  jti: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true,
+    comment: 'JWT ID of the current access token for this session'
+  },
+  refresh_family_id: {
+    type: DataTypes.STRING(36),
+    allowNull: true,
+    comment: 'Refresh token family that keeps this session alive'
+  },
+  ip_address: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  },
+  user_agent: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  device_type: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  browser: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  os: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  last_seen_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  revoked_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  revoked_reason: {
+    type: DataTypes.STRING(30),
+    allowNull: true
+  }
+}, {
+  tableName: 'user_sessions',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  underscored: true,
+  indexes: [
+    { fields: ['user_id', 'revoked_at'] },
+    { fields: ['expires_at'] },
+    { fields: ['refresh_family_id'] }
+  ]
+});
+
+module.exports = UserSession;
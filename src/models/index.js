@@ -13,6 +13,7 @@ const ScheduleActivity = require('./ScheduleActivity');
 const DepthChart = require('./DepthChart');
 const DepthChartPosition = require('./DepthChartPosition');
 const DepthChartPlayer = require('./DepthChartPlayer');
+const DepthChartHistory = require('./DepthChartHistory');
 const UserPermission = require('./UserPermission');
 const Report = require('./Report');
 const Game = require('./Game');
@@ -23,6 +24,9 @@ const Vendor = require('./Vendor');
 const HighSchoolCoach = require('./HighSchoolCoach');
 const UserTeam = require('./UserTeam');
 const TokenBlacklist = require('./TokenBlacklist');
+const LoginEvent = require('./LoginEvent');
+const UserSession = require('./UserSession');
+const RefreshToken = require('./RefreshToken');
 const GameStatistic = require('./GameStatistic');
 const Location = require('./Location');
 const ScheduleEvent = require('./ScheduleEvent');
@@ -35,9 +39,15 @@ const NewsRelease = require('./NewsRelease');
 const PlayerVideo = require('./PlayerVideo');
 const Prospect = require('./Prospect');
 const ProspectMedia = require('./ProspectMedia');
+const ProspectContact = require('./ProspectContact');
+const ProspectStageTransition = require('./ProspectStageTransition');
+const ProspectImport = require('./ProspectImport');
+const RecruitingPeriod = require('./RecruitingPeriod');
 const Roster = require('./Roster');
 const RosterEntry = require('./RosterEntry');
 const OpponentGameStat = require('./OpponentGameStat');
+const GameLineup = require('./GameLineup');
+const GameScoringEvent = require('./GameScoringEvent');
 const Tournament = require('./Tournament');
 const AiConversation = require('./AiConversation');
 const AiMessage = require('./AiMessage');
@@ -139,6 +149,13 @@ Player.hasMany(DepthChartPlayer, { foreignKey: 'player_id' });
 DepthChartPlayer.belongsTo(User, { foreignKey: 'assigned_by', as: 'AssignedBy' });
 User.hasMany(DepthChartPlayer, { foreignKey: 'assigned_by' });
 
+// Depth chart history associations
+DepthChartHistory.belongsTo(DepthChart, { foreignKey: 'depth_chart_id' });
+DepthChart.hasMany(DepthChartHistory, { foreignKey: 'depth_chart_id' });
+
+DepthChartHistory.belongsTo(User, { foreignKey: 'changed_by' });
+User.hasMany(DepthChartHistory, { foreignKey: 'changed_by' });
+
 // User Permission associations
 UserPermission.belongsTo(User, { foreignKey: 'user_id' });
 User.hasMany(UserPermission, { foreignKey: 'user_id' });
@@ -190,6 +207,23 @@ Game.hasMany(OpponentGameStat, { foreignKey: 'game_id', as: 'opponentGameStats'
 OpponentGameStat.belongsTo(Team, { foreignKey: 'team_id', as: 'team' });
 Team.hasMany(OpponentGameStat, { foreignKey: 'team_id', as: 'opponentGameStats' });
 
+// GameLineup associations
+GameLineup.belongsTo(Game, { foreignKey: 'game_id', as: 'game' });
+Game.hasOne(GameLineup, { foreignKey: 'game_id', as: 'lineup' });
+
+GameLineup.belongsTo(Team, { foreignKey: 'team_id', as: 'team' });
+Team.hasMany(GameLineup, { foreignKey: 'team_id', as: 'gameLineups' });
+
+GameLineup.belongsTo(DepthChart, { foreignKey: 'depth_chart_id', as: 'depthChart' });
+GameLineup.belongsTo(Player, { foreignKey: 'starting_pitcher_id', as: 'startingPitcher' });
+
+// GameScoringEvent associations
+GameScoringEvent.belongsTo(Game, { foreignKey: 'game_id', as: 'game' });
+Game.hasMany(GameScoringEvent, { foreignKey: 'game_id', as: 'scoringEvents' });
+
+GameScoringEvent.belongsTo(Team, { foreignKey: 'team_id', as: 'team' });
+GameScoringEvent.belongsTo(User, { foreignKey: 'created_by', as: 'Creator' });
+
 // Coach associations
 Coach.belongsTo(Team, { foreignKey: 'team_id' });
 Team.hasMany(Coach, { foreignKey: 'team_id' });
@@ -229,6 +263,18 @@ User.hasMany(HighSchoolCoach, { foreignKey: 'created_by' });
 TokenBlacklist.belongsTo(User, { foreignKey: 'user_id' });
 User.hasMany(TokenBlacklist, { foreignKey: 'user_id' });
 
+// Login event associations
+LoginEvent.belongsTo(User, { foreignKey: 'user_id' });
+User.hasMany(LoginEvent, { foreignKey: 'user_id' });
+
+// User session associations
+UserSession.belongsTo(User, { foreignKey: 'user_id' });
+User.hasMany(UserSession, { foreignKey: 'user_id' });
+
+// Refresh token associations
+RefreshToken.belongsTo(User, { foreignKey: 'user_id' });
+User.hasMany(RefreshToken, { foreignKey: 'user_id' });
+
 // Location associations
 Location.belongsTo(Team, { foreignKey: 'team_id' });
 Team.hasMany(Location, { foreignKey: 'team_id' });
@@ -299,6 +345,10 @@ Team.hasMany(Prospect, { foreignKey: 'team_id' });
 Prospect.belongsTo(User, { foreignKey: 'created_by', as: 'Creator' });
 User.hasMany(Prospect, { foreignKey: 'created_by' });
 
+Prospect.belongsTo(Player, { foreignKey: 'player_id', as: 'player' });
+Player.hasOne(Prospect, { foreignKey: 'player_id', as: 'prospect' });
+Prospect.belongsTo(User, { foreignKey: 'promoted_by', as: 'PromotedBy' });
+
 // ProspectMedia associations
 ProspectMedia.belongsTo(Prospect, { foreignKey: 'prospect_id' });
 Prospect.hasMany(ProspectMedia, { foreignKey: 'prospect_id', as: 'media' });
@@ -306,6 +356,32 @@ Prospect.hasMany(ProspectMedia, { foreignKey: 'prospect_id', as: 'media' });
 ProspectMedia.belongsTo(User, { foreignKey: 'uploaded_by', as: 'UploadedBy' });
 User.hasMany(ProspectMedia, { foreignKey: 'uploaded_by' });
 
+// ProspectContact associations
+ProspectContact.belongsTo(Prospect, { foreignKey: 'prospect_id', as: 'prospect' });
+Prospect.hasMany(ProspectContact, { foreignKey: 'prospect_id', as: 'contacts' });
+
+ProspectContact.belongsTo(Team, { foreignKey: 'team_id', as: 'team' });
+ProspectContact.belongsTo(User, { foreignKey: 'contacted_by', as: 'ContactedBy' });
+ProspectContact.belongsTo(User, { foreignKey: 'logged_by', as: 'LoggedBy' });
+ProspectContact.belongsTo(User, { foreignKey: 'voided_by', as: 'VoidedBy' });
+
+// ProspectStageTransition associations
+ProspectStageTransition.belongsTo(Prospect, { foreignKey: 'prospect_id', as: 'prospect' });
+Prospect.hasMany(ProspectStageTransition, { foreignKey: 'prospect_id', as: 'stageTransitions' });
+
+ProspectStageTransition.belongsTo(Team, { foreignKey: 'team_id', as: 'team' });
+ProspectStageTransition.belongsTo(User, { foreignKey: 'changed_by', as: 'ChangedBy' });
+
+// ProspectImport associations
+ProspectImport.belongsTo(Team, { foreignKey: 'team_id', as: 'team' });
+Team.hasMany(ProspectImport, { foreignKey: 'team_id', as: 'prospectImports' });
+ProspectImport.belongsTo(User, { foreignKey: 'imported_by', as: 'ImportedBy' });
+
+// RecruitingPeriod associations
+RecruitingPeriod.belongsTo(Team, { foreignKey: 'team_id', as: 'team' });
+Team.hasMany(RecruitingPeriod, { foreignKey: 'team_id', as: 'recruitingPeriods' });
+RecruitingPeriod.belongsTo(User, { foreignKey: 'created_by', as: 'Creator' });
+
 // Roster associations
 Roster.belongsTo(Team, { foreignKey: 'team_id' });
 Team.hasMany(Roster, { foreignKey: 'team_id' });
@@ -357,6 +433,7 @@ module.exports = {
   DepthChart,
   DepthChartPosition,
   DepthChartPlayer,
+  DepthChartHistory,
   UserPermission,
   Report,
   Game,
@@ -368,6 +445,9 @@ module.exports = {
   HighSchoolCoach,
   UserTeam,
   TokenBlacklist,
+  LoginEvent,
+  UserSession,
+  RefreshToken,
   Location,
   ScheduleEvent,
   ScheduleEventDate,
@@ -379,9 +459,15 @@ module.exports = {
   PlayerVideo,
   Prospect,
   ProspectMedia,
+  ProspectContact,
+  ProspectStageTransition,
+  ProspectImport,
+  RecruitingPeriod,
   Roster,
   RosterEntry,
   OpponentGameStat,
+  GameLineup,
+  GameScoringEvent,
   Tournament,
   AiConversation,
   AiMessage,
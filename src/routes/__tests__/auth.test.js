@@ -0,0 +1,181 @@
+'use strict';
+
+// Two-factor secrets are stored encrypted
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'test-encryption-key-for-two-factor-secrets';
+
+const request = require('supertest');
+const passport = require('passport');
+const app = require('../../server');
+const { sequelize, Team, User } = require('../../models');
+const twoFactorService = require('../../services/twoFactorService');
+const encryptionService = require('../../services/encryptionService');
+
+let team, plainUser, twoFactorUser, secret;
+
+// Use supertest agent to maintain cookies (required for CSRF)
+const agent = request.agent(app);
+let csrfToken;
+
+const sessionCookie = (res) => (res.headers['set-cookie'] || []).find(cookie => /^jwt=[^;]+/.test(cookie));
+
+beforeAll(async () => {
+  await sequelize.sync({ force: true });
+
+  team = await Team.create({
+    name: 'Test University',
+    program_name: 'Test Baseball',
+    division: 'D1'
+  });
+
+  plainUser = await User.create({
+    email: 'coach@test.com',
+    password: 'TestPass123!',
+    first_name: 'Test',
+    last_name: 'Coach',
+    role: 'head_coach',
+    team_id: team.id
+  });
+
+  secret = twoFactorService.generateSecret();
+  twoFactorUser = await User.create({
+    email: 'secure@test.com',
+    password: 'TestPass123!',
+    first_name: 'Secure',
+    last_name: 'Coach',
+    role: 'assistant_coach',
+    team_id: team.id,
+    two_factor_enabled: true,
+    two_factor_secret_encrypted: encryptionService.encrypt(secret),
+    two_factor_enabled_at: new Date()
+  });
+
+  const csrfRes = await agent.get('/api/v1/auth/csrf-token');
+  csrfToken = csrfRes.body.token;
+});
+
+afterAll(async () => {
+  await sequelize.close();
+});
+
+describe('Auth API', () => {
+  describe('POST /api/v1/auth/login with two-factor', () => {
+    it('returns a challenge instead of a session', async () => {
+      const res = await agent
+        .post('/api/v1/auth/login')
+        .set('x-csrf-token', csrfToken)
+        .send({ email: 'secure@test.com', password: 'TestPass123!' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.twoFactorRequired).toBe(true);
+      expect(res.body.data.challengeToken).toBeDefined();
+      expect(sessionCookie(res)).toBeUndefined();
+    });
+
+    it('rejects a wrong code and completes the login with a valid one', async () => {
+      const loginRes = await agent
+        .post('/api/v1/auth/login')
+        .set('x-csrf-token', csrfToken)
+        .send({ email: 'secure@test.com', password: 'TestPass123!' });
+      const { challengeToken } = loginRes.body.data;
+
+      const code = twoFactorService.generateTotp(secret);
+      const wrongCode = String((Number(code) + 500000) % 1000000).padStart(6, '0');
+      const wrongRes = await agent
+        .post('/api/v1/auth/login/2fa')
+        .set('x-csrf-token', csrfToken)
+        .send({ challengeToken, code: wrongCode });
+      expect(wrongRes.status).toBe(401);
+      expect(sessionCookie(wrongRes)).toBeUndefined();
+
+      const res = await agent
+        .post('/api/v1/auth/login/2fa')
+        .set('x-csrf-token', csrfToken)
+        .send({ challengeToken, code });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.email).toBe('secure@test.com');
+      expect(sessionCookie(res)).toBeDefined();
+
+      await twoFactorUser.reload();
+      await twoFactorUser.update({ failed_login_attempts: 0, two_factor_last_used_step: null });
+    });
+
+    it('rejects an invalid challenge token', async () => {
+      const res = await agent
+        .post('/api/v1/auth/login/2fa')
+        .set('x-csrf-token', csrfToken)
+        .send({ challengeToken: 'not-a-token', code: '123456' });
+
+      expect(res.status).toBe(401);
+      expect(res.body.error).toBe('Invalid or expired two-factor challenge');
+    });
+  });
+
+  describe('GET /api/v1/auth/google/callback', () => {
+    let oauthUser;
+
+    beforeAll(() => {
+      process.env.GOOGLE_CLIENT_ID = 'test-google-client-id';
+      process.env.GOOGLE_CLIENT_SECRET = 'test-google-client-secret';
+      process.env.APP_URL = 'http://app.test';
+      process.env.LANDING_URL = 'http://landing.test';
+
+      // The provider exchange itself is passport's; hand the route the matched user
+      jest.spyOn(passport, 'authenticate').mockImplementation((strategy, options, callback) =>
+        () => callback(null, oauthUser));
+    });
+
+    afterAll(() => {
+      passport.authenticate.mockRestore();
+      delete process.env.GOOGLE_CLIENT_ID;
+      delete process.env.GOOGLE_CLIENT_SECRET;
+    });
+
+    it('redirects with a session token when two-factor is off', async () => {
+      oauthUser = await User.findByPk(plainUser.id);
+
+      const res = await request(app).get('/api/v1/auth/google/callback');
+
+      expect(res.status).toBe(302);
+      expect(res.headers.location).toMatch(/^http:\/\/app\.test\/oauth-callback\?token=.+&provider=google$/);
+      expect(sessionCookie(res)).toBeDefined();
+    });
+
+    it('sends a two-factor challenge instead of a session', async () => {
+      oauthUser = await User.findByPk(twoFactorUser.id);
+
+      const res = await request(app).get('/api/v1/auth/google/callback');
+
+      expect(res.status).toBe(302);
+      const location = new URL(res.headers.location);
+      expect(location.pathname).toBe('/oauth-callback');
+      expect(location.searchParams.get('twoFactorRequired')).toBe('true');
+      expect(location.searchParams.get('token')).toBeNull();
+      expect(sessionCookie(res)).toBeUndefined();
+
+      const challengeRes = await agent
+        .post('/api/v1/auth/login/2fa')
+        .set('x-csrf-token', csrfToken)
+        .send({ challengeToken: location.searchParams.get('challengeToken'), code: twoFactorService.generateTotp(secret) });
+
+      expect(challengeRes.status).toBe(200);
+      expect(sessionCookie(challengeRes)).toBeDefined();
+    });
+
+    it('rejects locked and deactivated accounts', async () => {
+      await plainUser.update({ locked_until: new Date(Date.now() + 15 * 60 * 1000), failed_login_attempts: 5 });
+      oauthUser = await User.findByPk(plainUser.id);
+
+      const lockedRes = await request(app).get('/api/v1/auth/google/callback');
+      expect(lockedRes.headers.location).toBe('http://landing.test/login?error=account_locked');
+      expect(sessionCookie(lockedRes)).toBeUndefined();
+
+      await plainUser.update({ locked_until: null, failed_login_attempts: 0, is_active: false });
+      oauthUser = await User.findByPk(plainUser.id);
+
+      const inactiveRes = await request(app).get('/api/v1/auth/google/callback');
+      expect(inactiveRes.headers.location).toBe('http://landing.test/login?error=account_inactive');
+      expect(sessionCookie(inactiveRes)).toBeUndefined();
+    });
+  });
+});
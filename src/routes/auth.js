@@ -5,8 +5,10 @@
  *
  * Security features:
  * - Password hashing via bcrypt (handled in User model hooks)
- * - JWT tokens for stateless authentication with configurable expiration
+ * - Short-lived JWT access tokens renewed by rotating refresh tokens (POST /refresh)
  * - OAuth support for Google and Apple sign-in
+ * - Every login attempt recorded in login_events (see services/loginEventService)
+ * - Optional TOTP two-factor step for password logins (challenge token, then code)
  * - Input validation and sanitization via express-validator
  *
  * @module routes/auth
@@ -17,6 +19,11 @@
  * @requires ../models
  * @requires ../middleware/auth
  * @requires ../services/emailService
+ * @requires ../services/twoFactorService
+ * @requires ../services/loginEventService
+ * @requires ../services/sessionService
+ * @requires ../services/refreshTokenService
+ * @requires ../services/oauthTokenService
  */
 
 const express = require('express');
@@ -31,6 +38,11 @@ const UserPermission = require('../models/UserPermission'); // Added import for
 const { generateToken: generateCsrfToken } = require('../middleware/csrf');
 const lockoutService = require('../services/lockoutService');
 const tokenBlacklistService = require('../services/tokenBlacklistService');
+const twoFactorService = require('../services/twoFactorService');
+const loginEventService = require('../services/loginEventService');
+const sessionService = require('../services/sessionService');
+const refreshTokenService = require('../services/refreshTokenService');
+const oauthTokenService = require('../services/oauthTokenService');
 const crypto = require('crypto');
 
 const router = express.Router();
@@ -66,8 +78,9 @@ const generateSecurePassword = () => {
 /**
  * @description Generates a signed JWT token for user authentication.
  *              The token contains the user's ID and a unique JTI (JWT ID) in its payload
- *              and is signed with the secret from environment variables. Token expiration
- *              defaults to 7 days if not configured.
+ *              and is signed with the secret from environment variables. Access tokens are
+ *              short-lived (JWT_EXPIRES_IN, default 15 minutes) and renewed through
+ *              POST /refresh.
  *
  * @param {string|number} id - The user's unique identifier to encode in the token
  * @returns {string} Signed JWT token string
@@ -81,10 +94,221 @@ const generateToken = (id) => {
   // Token payload contains user ID and unique JTI for token revocation support
   const jti = crypto.randomUUID();
   return jwt.sign({ id, jti }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d'
+    expiresIn: process.env.JWT_EXPIRES_IN || '15m'
   });
 };
 
+/**
+ * @description Generates an access token (JWT) and a refresh token for the user and
+ *              records the session (device, IP, expiry) so it appears in the user's
+ *              session list and can be revoked individually. Use this instead of
+ *              generateToken whenever tokens are handed to a client.
+ *
+ *              Without a refreshFamilyId a new session and refresh token family are
+ *              started (a login). With one, the refresh token is rotated within that
+ *              family and the existing session moves to the new access token.
+ *
+ * @param {Object} req - Express request (used for IP and User-Agent)
+ * @param {string|number} id - The user's unique identifier
+ * @param {string} [refreshFamilyId] - Family of the refresh token being exchanged
+ * @returns {Promise<{token: string, refreshToken: string}>} Signed JWT and opaque refresh token
+ */
+const issueSessionTokens = async (req, id, refreshFamilyId = null) => {
+  const token = generateToken(id);
+  const { jti, exp } = jwt.decode(token);
+
+  const { token: refreshToken, record } = await refreshTokenService.issueRefreshToken(id, {
+    familyId: refreshFamilyId,
+    accessJti: jti,
+    accessExpiresAt: new Date(exp * 1000),
+    ipAddress: req.ip || null
+  });
+
+  if (refreshFamilyId) {
+    await sessionService.renewSession(refreshFamilyId, token, record.expires_at);
+  } else {
+    await sessionService.createSession(req, id, token, {
+      refreshFamilyId: record.family_id,
+      expiresAt: record.expires_at
+    });
+  }
+
+  return { token, refreshToken };
+};
+
+/**
+ * @description Sets the httpOnly session cookies: the access token (`jwt`, expiring
+ *              with the token) and the refresh token (scoped to the auth routes).
+ *
+ * @param {Object} res - Express response
+ * @param {string} token - Access token
+ * @param {string} refreshToken - Refresh token
+ * @returns {void}
+ */
+const setAuthCookies = (res, token, refreshToken) => {
+  const isProduction = process.env.NODE_ENV === 'production';
+  const { exp } = jwt.decode(token);
+
+  res.cookie('jwt', token, {
+    httpOnly: true,
+    secure: isProduction,
+    sameSite: isProduction ? 'strict' : 'lax',
+    maxAge: Math.max(exp * 1000 - Date.now(), 0),
+    path: '/'
+  });
+
+  res.cookie(refreshTokenService.REFRESH_COOKIE_NAME, refreshToken, {
+    httpOnly: true,
+    secure: isProduction,
+    sameSite: isProduction ? 'strict' : 'lax',
+    maxAge: refreshTokenService.getRefreshTokenLifetimeMs(),
+    path: refreshTokenService.REFRESH_COOKIE_PATH
+  });
+};
+
+/**
+ * @description Clears the access and refresh token cookies.
+ *
+ * @param {Object} res - Express response
+ * @returns {void}
+ */
+const clearAuthCookies = (res) => {
+  const isProduction = process.env.NODE_ENV === 'production';
+  const options = {
+    httpOnly: true,
+    secure: isProduction,
+    sameSite: isProduction ? 'strict' : 'lax',
+    expires: new Date(0)
+  };
+
+  res.cookie('jwt', '', { ...options, path: '/' });
+  res.cookie(refreshTokenService.REFRESH_COOKIE_NAME, '', { ...options, path: refreshTokenService.REFRESH_COOKIE_PATH });
+};
+
+/**
+ * @description Records a login attempt that was rejected because the account is locked.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} user - Locked User instance
+ * @param {Object} lockoutStatus - Result of lockoutService.checkAccountLockout
+ * @param {string} [provider='local'] - Sign-in method used for the attempt
+ * @returns {Promise<void>}
+ */
+const recordLockedAttempt = async (req, user, lockoutStatus, provider = 'local') => {
+  await loginEventService.recordLoginEvent(req, {
+    user,
+    provider,
+    outcome: 'failed',
+    failureReason: loginEventService.FAILURE_REASONS.ACCOUNT_LOCKED,
+    lockout: {
+      accountLocked: true,
+      failedAttempts: user.failed_login_attempts,
+      lockedUntil: lockoutStatus.lockedUntil
+    }
+  });
+};
+
+/**
+ * @description Finishes a successful login: resets lockout counters, records the login
+ *              time and login event, sets the JWT session cookie, and sends the user
+ *              profile response.
+ *              Shared by the password step of /login (when two-factor is off), by
+ *              /login/2fa and by the mobile token exchange at /oauth/token.
+ *
+ * @param {Object} req - Express request (used for the client IP)
+ * @param {Object} res - Express response
+ * @param {Object} user - Authenticated User instance with Team included
+ * @param {string} [provider='local'] - Sign-in method recorded in the login event
+ * @returns {Promise<void>}
+ */
+const completeLogin = async (req, res, user, provider = 'local') => {
+  // Security: Reset failed attempts counter on successful login
+  const ipAddress = req.ip || req.connection.remoteAddress || 'unknown';
+  await lockoutService.handleSuccessfulLogin(user, ipAddress);
+
+  // Business logic: Track last login timestamp for analytics/security
+  await user.update({ last_login: new Date() });
+  await loginEventService.recordLoginEvent(req, { user, provider, outcome: 'success' });
+
+  // Security: Generate fresh access and refresh tokens for this session
+  const { token, refreshToken } = await issueSessionTokens(req, user.id);
+
+  // Set tokens as httpOnly cookies for secure authentication
+  setAuthCookies(res, token, refreshToken);
+
+  // Response: Return user data with team info (token is now in cookie)
+  res.json({
+    success: true,
+    data: {
+      id: user.id,
+      email: user.email,
+      first_name: user.first_name,
+      last_name: user.last_name,
+      role: user.role,
+      team_id: user.team_id,
+      phone: user.phone,
+      team: user.Team
+      // Token only in httpOnly cookie, not here
+    }
+  });
+};
+
+/**
+ * @description Finishes a web Google/Apple sign-in after passport has matched the user,
+ *              applying the same lockout, active-account and two-factor rules as /login.
+ *              Every outcome is a redirect: locked and deactivated accounts go back to
+ *              the landing login page with an error, accounts with two-factor enabled go
+ *              to the app's OAuth callback with a challengeToken for /login/2fa (no
+ *              session is issued), and everyone else gets the session cookies and a token.
+ *
+ * @param {Object} req - Express request with the matched user on req.user
+ * @param {Object} res - Express response
+ * @param {string} provider - 'google' or 'apple'
+ * @returns {Promise<void>}
+ */
+const completeOAuthRedirect = async (req, res, provider) => {
+  const user = req.user;
+  const landingUrl = process.env.LANDING_URL || 'http://localhost';
+  const appUrl = process.env.APP_URL || process.env.FRONTEND_URL || 'http://localhost/app';
+
+  // Security: Provider sign-in does not bypass lockout or deactivation
+  const lockoutStatus = lockoutService.checkAccountLockout(user);
+  if (lockoutStatus.isLocked) {
+    await recordLockedAttempt(req, user, lockoutStatus, provider);
+    return res.redirect(`${landingUrl}/login?error=account_locked`);
+  }
+
+  if (!user.is_active) {
+    await loginEventService.recordLoginEvent(req, {
+      user,
+      provider,
+      outcome: 'failed',
+      failureReason: loginEventService.FAILURE_REASONS.ACCOUNT_INACTIVE
+    });
+    return res.redirect(`${landingUrl}/login?error=account_inactive`);
+  }
+
+  // Security: Second factor still applies; the app finishes the login at /login/2fa
+  if (user.two_factor_enabled) {
+    await loginEventService.recordLoginEvent(req, { user, provider, outcome: 'two_factor_required' });
+    const challengeToken = twoFactorService.createChallengeToken(user.id);
+    return res.redirect(
+      `${appUrl}/oauth-callback?twoFactorRequired=true&challengeToken=${encodeURIComponent(challengeToken)}&provider=${provider}`
+    );
+  }
+
+  await loginEventService.recordLoginEvent(req, { user, provider, outcome: 'success' });
+
+  // Security: Generate tokens for authenticated user; the refresh token is set as a
+  // cookie so the app can renew the access token passed in the redirect
+  const { token, refreshToken } = await issueSessionTokens(req, user.id);
+  setAuthCookies(res, token, refreshToken);
+
+  // Business logic: Redirect to frontend app with token as query parameter
+  // Frontend will extract token and store it for subsequent API calls
+  res.redirect(`${appUrl}/oauth-callback?token=${token}&provider=${provider}`);
+};
+
 /**
  * @route POST /api/auth/register
  * @description Registers a new user account with email/password authentication.
@@ -187,19 +411,12 @@ router.post('/register', [
       phone
     });
 
-    // Security: Generate JWT token for immediate authentication after registration
-    const token = generateToken(user.id);
+    // Security: Generate tokens for immediate authentication after registration
+    const { token, refreshToken } = await issueSessionTokens(req, user.id);
 
-    // Response: Return user data with token (password excluded by model)
-    // Set JWT token as httpOnly cookie for secure authentication
-    const isProduction = process.env.NODE_ENV === 'production';
-    res.cookie('jwt', token, {
-      httpOnly: true,
-      secure: isProduction,
-      sameSite: isProduction ? 'strict' : 'lax',
-      maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-      path: '/'
-    });
+    // Response: Return user data (password excluded by model)
+    // Set tokens as httpOnly cookies for secure authentication
+    setAuthCookies(res, token, refreshToken);
 
     res.status(201).json({
       success: true,
@@ -248,12 +465,18 @@ router.post('/register', [
  *              - Generic error message for invalid credentials (prevents user enumeration)
  *              - Account activation check
  *              - Password comparison via secure bcrypt method
+ *              - Accounts with two-factor enabled receive a short-lived challenge token
+ *                instead of a session; complete the login via POST /api/auth/login/2fa
  * @access Public
  * @middleware express-validator - Request body validation
  *
  * @param {string} req.body.email - User's email address (validated, normalized)
  * @param {string} req.body.password - User's password
  *
+ * @returns {Object} response (two-factor enabled)
+ * @returns {boolean} response.data.twoFactorRequired - Always true; no session cookie is set
+ * @returns {string} response.data.challengeToken - Token to submit with the code to /login/2fa
+ *
  * @returns {Object} response
  * @returns {boolean} response.success - Operation success status
  * @returns {Object} response.data - User data and authentication token
@@ -302,6 +525,11 @@ router.post('/login', [
 
     // Security: Use generic error message to prevent user enumeration attacks
     if (!user) {
+      await loginEventService.recordLoginEvent(req, {
+        email,
+        outcome: 'failed',
+        failureReason: loginEventService.FAILURE_REASONS.UNKNOWN_ACCOUNT
+      });
       return res.status(401).json({
         success: false,
         error: 'Invalid credentials'
@@ -311,12 +539,18 @@ router.post('/login', [
     // Security: Check if account is locked before validating password
     const lockoutStatus = lockoutService.checkAccountLockout(user);
     if (lockoutStatus.isLocked) {
+      await recordLockedAttempt(req, user, lockoutStatus);
       const lockedResponse = lockoutService.generateLockedAccountResponse(lockoutStatus);
       return res.status(lockedResponse.statusCode).json(lockedResponse.body);
     }
 
     // Security: Check if account is active before allowing login
     if (!user.is_active) {
+      await loginEventService.recordLoginEvent(req, {
+        user,
+        outcome: 'failed',
+        failureReason: loginEventService.FAILURE_REASONS.ACCOUNT_INACTIVE
+      });
       return res.status(401).json({
         success: false,
         error: 'Account is deactivated'
@@ -328,7 +562,13 @@ router.post('/login', [
     if (!isMatch) {
       // Security: Track failed login attempt and potentially lock account
       const ipAddress = req.ip || req.connection.remoteAddress || 'unknown';
-      await lockoutService.handleFailedLogin(user, ipAddress);
+      const lockout = await lockoutService.handleFailedLogin(user, ipAddress);
+      await loginEventService.recordLoginEvent(req, {
+        user,
+        outcome: 'failed',
+        failureReason: loginEventService.FAILURE_REASONS.INVALID_PASSWORD,
+        lockout
+      });
 
       // Security: Same error message as user not found to prevent enumeration
       // Return 401 even if account was just locked (423 will be returned on next attempt)
@@ -338,44 +578,139 @@ router.post('/login', [
       });
     }
 
-    // Security: Reset failed attempts counter on successful login
-    const ipAddress = req.ip || req.connection.remoteAddress || 'unknown';
-    await lockoutService.handleSuccessfulLogin(user, ipAddress);
+    // Security: Password is correct but a second factor is still required.
+    // Issue a short-lived challenge token instead of a session; failed attempts are
+    // only reset once the code step succeeds.
+    if (user.two_factor_enabled) {
+      await loginEventService.recordLoginEvent(req, { user, outcome: 'two_factor_required' });
+      return res.json({
+        success: true,
+        data: {
+          twoFactorRequired: true,
+          challengeToken: twoFactorService.createChallengeToken(user.id)
+        }
+      });
+    }
+
+    await completeLogin(req, res, user);
+  } catch (error) {
+    // Error: Log and return generic server error
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error during login'
+    });
+  }
+});
+
+/**
+ * @route POST /api/auth/login/2fa
+ * @description Second step of a two-factor login. Exchanges the challenge token returned by
+ *              /login, plus a code from the user's authenticator app or one of their recovery
+ *              codes, for the regular JWT session cookie and user profile.
+ *
+ *              Security measures:
+ *              - Challenge tokens are short-lived and cannot be used as session tokens
+ *              - Wrong codes count as failed logins for account lockout
+ *              - Each authenticator code and recovery code is accepted only once
+ * @access Public (requires a valid challenge token)
+ * @middleware express-validator - Request body validation
+ *
+ * @param {string} req.body.challengeToken - Token from the /login response
+ * @param {string} req.body.code - 6-digit authenticator code or recovery code
+ *
+ * @returns {Object} response - Same shape as POST /api/auth/login
+ *
+ * @throws {400} Validation failed - Missing challenge token or code
+ * @throws {401} Invalid or expired challenge - Token is invalid, expired, or not a challenge token
+ * @throws {401} Invalid verification code - Code did not match
+ * @throws {401} Account is deactivated - User account has been disabled
+ * @throws {423} Account locked - Too many failed attempts
+ * @throws {500} Server error during login - Database operation failure
+ */
+router.post('/login/2fa', [
+  body('challengeToken').isString().notEmpty(),
+  body('code').isString().trim().isLength({ min: 6, max: 11 })
+], async (req, res) => {
+  try {
+    // Validation: Check for validation errors from express-validator
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
 
-    // Business logic: Track last login timestamp for analytics/security
-    await user.update({ last_login: new Date() });
+    const { challengeToken, code } = req.body;
 
-    // Security: Generate fresh JWT token for this session
-    const token = generateToken(user.id);
+    let challenge;
+    try {
+      challenge = twoFactorService.verifyChallengeToken(challengeToken);
+    } catch (tokenError) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired two-factor challenge'
+      });
+    }
 
-    // Set JWT token as httpOnly cookie for secure authentication
-    const isProduction = process.env.NODE_ENV === 'production';
-    res.cookie('jwt', token, {
-      httpOnly: true,
-      secure: isProduction,
-      sameSite: isProduction ? 'strict' : 'lax',
-      maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-      path: '/'
+    // Database: Load user with team details for response
+    const user = await User.findByPk(challenge.id, {
+      include: [{
+        model: Team,
+        attributes: ['id', 'name', 'program_name', 'school_logo_url']
+      }]
     });
 
-    // Response: Return user data with team info (token is now in cookie)
-    res.json({
-      success: true,
-      data: {
-        id: user.id,
-        email: user.email,
-        first_name: user.first_name,
-        last_name: user.last_name,
-        role: user.role,
-        team_id: user.team_id,
-        phone: user.phone,
-        team: user.Team
-        // Token only in httpOnly cookie, not here
-      }
-    });
+    if (!user || !user.two_factor_enabled) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired two-factor challenge'
+      });
+    }
+
+    // Security: Lockout applies to the code step as well as the password step
+    const lockoutStatus = lockoutService.checkAccountLockout(user);
+    if (lockoutStatus.isLocked) {
+      await recordLockedAttempt(req, user, lockoutStatus);
+      const lockedResponse = lockoutService.generateLockedAccountResponse(lockoutStatus);
+      return res.status(lockedResponse.statusCode).json(lockedResponse.body);
+    }
+
+    if (!user.is_active) {
+      await loginEventService.recordLoginEvent(req, {
+        user,
+        outcome: 'failed',
+        failureReason: loginEventService.FAILURE_REASONS.ACCOUNT_INACTIVE
+      });
+      return res.status(401).json({
+        success: false,
+        error: 'Account is deactivated'
+      });
+    }
+
+    const verified = await twoFactorService.verifySecondFactor(user, code);
+    if (!verified) {
+      const ipAddress = req.ip || req.connection.remoteAddress || 'unknown';
+      const lockout = await lockoutService.handleFailedLogin(user, ipAddress);
+      await loginEventService.recordLoginEvent(req, {
+        user,
+        outcome: 'failed',
+        failureReason: loginEventService.FAILURE_REASONS.INVALID_TWO_FACTOR_CODE,
+        lockout
+      });
+
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid verification code'
+      });
+    }
+
+    await completeLogin(req, res, user);
   } catch (error) {
     // Error: Log and return generic server error
-    console.error('Login error:', error);
+    console.error('Two-factor login error:', error);
     res.status(500).json({
       success: false,
       error: 'Server error during login'
@@ -589,19 +924,13 @@ router.put('/change-password', protect, [
 
     // Security: Revoke all existing tokens for this user
     await tokenBlacklistService.revokeAllUserTokens(user.id, 'password_change');
+    await sessionService.markAllSessionsRevoked(user.id, 'password_change');
 
-    // Security: Generate a new token for the current session
-    const token = generateToken(user.id);
+    // Security: Generate new tokens for the current session
+    const { token, refreshToken } = await issueSessionTokens(req, user.id);
 
-    // Set new JWT token as httpOnly cookie
-    const isProduction = process.env.NODE_ENV === 'production';
-    res.cookie('jwt', token, {
-      httpOnly: true,
-      secure: isProduction,
-      sameSite: isProduction ? 'strict' : 'lax',
-      maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-      path: '/'
-    });
+    // Set new tokens as httpOnly cookies
+    setAuthCookies(res, token, refreshToken);
 
     res.json({
       success: true,
@@ -668,7 +997,12 @@ router.get('/google', (req, res) => {
  *              - Profile retrieval
  *              - User lookup/creation
  *
+ *              Lockout, deactivation and two-factor are enforced as in /login
+ *              (see completeOAuthRedirect).
+ *
  *              On success: Redirects to APP_URL/oauth-callback?token=xxx&provider=google
+ *              Two-factor enabled: Redirects to APP_URL/oauth-callback?twoFactorRequired=true&challengeToken=xxx&provider=google
+ *              Locked or deactivated: Redirects to LANDING_URL/login?error=account_locked|account_inactive
  *              On failure: Redirects to LANDING_URL/login?error=oauth_failed
  * @access Public (callback from Google)
  *
@@ -684,18 +1018,25 @@ router.get('/google/callback', (req, res, next) => {
       error: 'Google OAuth is not configured'
     });
   }
-  // OAuth: Process callback with session disabled (using JWT instead)
-  passport.authenticate('google', { session: false })(req, res, next);
-}, (req, res) => {
+  // OAuth: Process callback with session disabled (using JWT instead).
+  // A custom callback lets failed provider logins be recorded before redirecting.
+  passport.authenticate('google', { session: false }, async (err, user) => {
+    if (err || !user) {
+      console.error('Google OAuth authentication failed:', err);
+      await loginEventService.recordLoginEvent(req, {
+        provider: 'google',
+        outcome: 'failed',
+        failureReason: loginEventService.FAILURE_REASONS.OAUTH_FAILED
+      });
+      const landingUrl = process.env.LANDING_URL || 'http://localhost';
+      return res.redirect(`${landingUrl}/login?error=oauth_failed`);
+    }
+    req.user = user;
+    next();
+  })(req, res, next);
+}, async (req, res) => {
   try {
-    // Security: Generate JWT token for authenticated user
-    const token = generateToken(req.user.id);
-
-    // Business logic: Redirect to frontend app with token as query parameter
-    // Frontend will extract token and store it for subsequent API calls
-    const appUrl = process.env.APP_URL || process.env.FRONTEND_URL || 'http://localhost/app';
-    const redirectUrl = `${appUrl}/oauth-callback?token=${token}&provider=google`;
-    res.redirect(redirectUrl);
+    await completeOAuthRedirect(req, res, 'google');
   } catch (error) {
     // Error: Redirect to landing page with error indicator on failure
     console.error('Google OAuth callback error:', error);
@@ -746,7 +1087,12 @@ router.get('/apple', (req, res) => {
  *              - Email may be a private relay address if user chose to hide email
  *              - Subsequent logins only provide user identifier
  *
+ *              Lockout, deactivation and two-factor are enforced as in /login
+ *              (see completeOAuthRedirect).
+ *
  *              On success: Redirects to APP_URL/oauth-callback?token=xxx&provider=apple
+ *              Two-factor enabled: Redirects to APP_URL/oauth-callback?twoFactorRequired=true&challengeToken=xxx&provider=apple
+ *              Locked or deactivated: Redirects to LANDING_URL/login?error=account_locked|account_inactive
  *              On failure: Redirects to LANDING_URL/login?error=oauth_failed
  * @access Public (callback from Apple)
  *
@@ -762,17 +1108,25 @@ router.post('/apple/callback', (req, res, next) => {
       error: 'Apple OAuth is not configured'
     });
   }
-  // OAuth: Process callback with session disabled (using JWT instead)
-  passport.authenticate('apple', { session: false })(req, res, next);
-}, (req, res) => {
+  // OAuth: Process callback with session disabled (using JWT instead).
+  // A custom callback lets failed provider logins be recorded before redirecting.
+  passport.authenticate('apple', { session: false }, async (err, user) => {
+    if (err || !user) {
+      console.error('Apple OAuth authentication failed:', err);
+      await loginEventService.recordLoginEvent(req, {
+        provider: 'apple',
+        outcome: 'failed',
+        failureReason: loginEventService.FAILURE_REASONS.OAUTH_FAILED
+      });
+      const landingUrl = process.env.LANDING_URL || 'http://localhost';
+      return res.redirect(`${landingUrl}/login?error=oauth_failed`);
+    }
+    req.user = user;
+    next();
+  })(req, res, next);
+}, async (req, res) => {
   try {
-    // Security: Generate JWT token for authenticated user
-    const token = generateToken(req.user.id);
-
-    // Business logic: Redirect to frontend app with token as query parameter
-    const appUrl = process.env.APP_URL || process.env.FRONTEND_URL || 'http://localhost/app';
-    const redirectUrl = `${appUrl}/oauth-callback?token=${token}&provider=apple`;
-    res.redirect(redirectUrl);
+    await completeOAuthRedirect(req, res, 'apple');
   } catch (error) {
     // Error: Redirect to landing page with error indicator on failure
     console.error('Apple OAuth callback error:', error);
@@ -784,55 +1138,140 @@ router.post('/apple/callback', (req, res, next) => {
 
 /**
  * @route POST /api/auth/oauth/token
- * @description Endpoint for mobile apps to exchange OAuth provider tokens.
- *              Mobile apps handle OAuth differently - they receive tokens directly
- *              from the provider SDK and need to exchange them for app-specific JWT tokens.
+ * @description Sign-in endpoint for the mobile app. The app authenticates with the
+ *              Google or Apple sign-in SDK, receives an identity token (a signed JWT),
+ *              and exchanges it here for an app session.
  *
- *              Implementation Note: This is a placeholder endpoint. Production
- *              implementation should verify the access_token with the specified
- *              provider's API before creating/returning a user JWT.
+ *              The identity token is verified locally by oauthTokenService: RS256
+ *              signature against the provider's cached JWKS, issuer, audience (our web
+ *              and mobile client IDs) and expiry. The user is then matched by provider
+ *              account, linked by verified email, or created on the default team, and
+ *              the same lockout, active-account and two-factor rules as /login apply.
  *
  *              Typical mobile OAuth flow:
  *              1. Mobile app uses provider SDK for authentication
- *              2. SDK returns provider access token
- *              3. App sends token to this endpoint
- *              4. Backend verifies token with provider
- *              5. Backend finds/creates user and returns app JWT
+ *              2. SDK returns an identity token (Google ID token / Apple identity token)
+ *              3. App sends the token to this endpoint
+ *              4. Backend verifies the token and finds/creates the user
+ *              5. Backend responds exactly like /login (JWT cookie + profile, or a
+ *                 two-factor challenge)
  * @access Public
  *
  * @param {string} req.body.provider - OAuth provider name ('google' or 'apple')
- * @param {string} req.body.access_token - Access token from OAuth provider
+ * @param {string} req.body.id_token - Identity token from the provider SDK
+ * @param {string} [req.body.nonce] - Nonce passed to the provider SDK (checked against the token)
+ * @param {string} [req.body.first_name] - Given name (Apple only shares it with the app on first sign-in)
+ * @param {string} [req.body.last_name] - Family name (Apple only shares it with the app on first sign-in)
  *
- * @returns {Object} response
+ * @returns {Object} response - Same shape as POST /login
  * @returns {boolean} response.success - Operation success status
- * @returns {string} response.message - Status message
- *
- * @throws {400} Provider and access token are required - Missing required parameters
- * @throws {500} Server error during OAuth token processing - Token verification or database failure
+ * @returns {Object} response.data - User profile, or { twoFactorRequired, challengeToken }
+ *
+ * @throws {400} Validation failed - Unsupported provider or missing token
+ * @throws {401} Invalid identity token - Signature, issuer, audience, expiry or nonce check failed
+ * @throws {401} No account could be matched - Token has no verified email for linking or sign-up
+ * @throws {401} Account is deactivated - User account is inactive
+ * @throws {423} Account locked - Too many failed login attempts
+ * @throws {503} OAuth provider is not configured - No client IDs configured for the provider
+ * @throws {500} Server error during OAuth token processing - Key fetch or database failure
  */
-router.post('/oauth/token', (req, res) => {
+router.post('/oauth/token', [
+  // Validation: Provider must be one we can verify
+  body('provider').isIn(['google', 'apple']).withMessage('Provider must be google or apple'),
+  // Validation: Identity token must be present
+  body('id_token').isString().notEmpty().withMessage('Identity token is required'),
+  body('nonce').optional().isString(),
+  body('first_name').optional().isString().trim().isLength({ min: 1, max: 50 }),
+  body('last_name').optional().isString().trim().isLength({ min: 1, max: 50 })
+], async (req, res) => {
   try {
-    const { provider, access_token } = req.body;
-
-    // Validation: Both provider and token are required for token exchange
-    if (!provider || !access_token) {
+    // Validation: Check for validation errors from express-validator
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        error: 'Provider and access token are required'
+        error: 'Validation failed',
+        details: errors.array()
       });
     }
 
-    // TODO: Production implementation should:
-    // 1. Verify access_token with provider API (Google/Apple)
-    // 2. Extract user info from verified token
-    // 3. Find or create user in database
-    // 4. Generate and return app JWT
-    // This placeholder exists for mobile app integration development
+    const { provider, id_token: idToken, nonce } = req.body;
 
-    res.json({
-      success: true,
-      message: 'OAuth token endpoint - implement based on your mobile app needs'
-    });
+    // Configuration: Client IDs are needed to check the token audience
+    if (!oauthTokenService.isProviderConfigured(provider)) {
+      return res.status(503).json({
+        success: false,
+        error: `${provider === 'google' ? 'Google' : 'Apple'} OAuth is not configured`
+      });
+    }
+
+    // Security: Verify the identity token signature and claims
+    let claims;
+    try {
+      claims = await oauthTokenService.verifyIdToken(provider, idToken, { nonce });
+    } catch (error) {
+      console.error(`${provider} identity token rejected:`, error.message);
+      await loginEventService.recordLoginEvent(req, {
+        provider,
+        outcome: 'failed',
+        failureReason: loginEventService.FAILURE_REASONS.OAUTH_FAILED
+      });
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid identity token'
+      });
+    }
+
+    const profile = oauthTokenService.getProfileFromClaims(provider, claims, req.body);
+    const user = await oauthTokenService.findOrCreateUser(provider, profile);
+
+    if (!user) {
+      await loginEventService.recordLoginEvent(req, {
+        email: profile.email,
+        provider,
+        outcome: 'failed',
+        failureReason: loginEventService.FAILURE_REASONS.OAUTH_FAILED
+      });
+      return res.status(401).json({
+        success: false,
+        error: 'No account could be matched to this sign-in. A verified email address is required.'
+      });
+    }
+
+    // Security: Provider sign-in does not bypass lockout or deactivation
+    const lockoutStatus = lockoutService.checkAccountLockout(user);
+    if (lockoutStatus.isLocked) {
+      await recordLockedAttempt(req, user, lockoutStatus, provider);
+      const lockedResponse = lockoutService.generateLockedAccountResponse(lockoutStatus);
+      return res.status(lockedResponse.statusCode).json(lockedResponse.body);
+    }
+
+    if (!user.is_active) {
+      await loginEventService.recordLoginEvent(req, {
+        user,
+        provider,
+        outcome: 'failed',
+        failureReason: loginEventService.FAILURE_REASONS.ACCOUNT_INACTIVE
+      });
+      return res.status(401).json({
+        success: false,
+        error: 'Account is deactivated'
+      });
+    }
+
+    // Security: Second factor still applies, same as /login
+    if (user.two_factor_enabled) {
+      await loginEventService.recordLoginEvent(req, { user, provider, outcome: 'two_factor_required' });
+      return res.json({
+        success: true,
+        data: {
+          twoFactorRequired: true,
+          challengeToken: twoFactorService.createChallengeToken(user.id)
+        }
+      });
+    }
+
+    await completeLogin(req, res, user, provider);
   } catch (error) {
     // Error: Log and return generic server error
     console.error('OAuth token error:', error);
@@ -1547,7 +1986,8 @@ router.put('/admin/users/:userId/reset-password', protect, [
     await user.save();
 
     // Revoke all existing sessions
-    await tokenBlacklistService.revokeAllUserTokens(user.id, 'admin_password_reset');
+    await tokenBlacklistService.revokeAllUserTokens(user.id, 'admin_revoke');
+    await sessionService.markAllSessionsRevoked(user.id, 'admin_revoke');
 
     // Reset any lockout state
     await user.resetFailedAttempts();
@@ -1568,11 +2008,95 @@ router.put('/admin/users/:userId/reset-password', protect, [
   }
 });
 
+/**
+ * @route POST /api/auth/refresh
+ * @description Exchanges the refresh token cookie for a new access token and a new
+ *              refresh token (rotation). Clients call this when a request fails with
+ *              401 'Token expired', then retry the request. Like every POST it needs
+ *              the X-CSRF-Token header from GET /csrf-token; CSRF tokens are not tied
+ *              to the access token, so they stay valid across refreshes.
+ *
+ *              Each refresh token can be exchanged once. If an already-exchanged token
+ *              is presented again, the token has been copied: the whole token family
+ *              is revoked (its access tokens are blacklisted) and the session must sign
+ *              in again.
+ * @access Public (authenticated by the refresh token cookie)
+ *
+ * @returns {Object} response
+ * @returns {boolean} response.success - Operation success status
+ * @returns {Object} response.data
+ * @returns {string} response.data.expiresAt - ISO 8601 expiry of the new access token
+ *
+ * @throws {401} Refresh token required - No refresh token cookie
+ * @throws {401} Invalid or expired refresh token - Unknown, expired or revoked token
+ * @throws {401} Refresh token has been revoked - Reused token; the session was ended
+ * @throws {401} Account is deactivated - User account is inactive
+ * @throws {500} Server error during token refresh
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const presented = req.cookies?.[refreshTokenService.REFRESH_COOKIE_NAME];
+    if (!presented) {
+      return res.status(401).json({
+        success: false,
+        error: 'Refresh token required'
+      });
+    }
+
+    const { status, record } = await refreshTokenService.consumeRefreshToken(presented);
+
+    // Security: A replayed refresh token means it leaked; end the whole session
+    if (status === 'reused') {
+      console.warn(`Refresh token reuse detected for user ${record.user_id}, family ${record.family_id}`);
+      await sessionService.revokeSessionFamily(record.family_id, 'reuse_detected');
+      clearAuthCookies(res);
+      return res.status(401).json({
+        success: false,
+        error: 'Refresh token has been revoked'
+      });
+    }
+
+    if (status !== 'valid') {
+      clearAuthCookies(res);
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired refresh token'
+      });
+    }
+
+    const user = await User.findByPk(record.user_id);
+    if (!user || !user.is_active) {
+      await sessionService.revokeSessionFamily(record.family_id, 'security_revoke');
+      clearAuthCookies(res);
+      return res.status(401).json({
+        success: false,
+        error: 'Account is deactivated'
+      });
+    }
+
+    // Security: Rotate within the same family and move the session to the new token
+    const { token, refreshToken } = await issueSessionTokens(req, user.id, record.family_id);
+    setAuthCookies(res, token, refreshToken);
+
+    res.json({
+      success: true,
+      data: {
+        expiresAt: new Date(jwt.decode(token).exp * 1000).toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error during token refresh'
+    });
+  }
+});
+
 /**
  * @route POST /api/auth/logout
- * @description Logs out the current user by clearing the JWT cookie.
- *              This endpoint invalidates the user's session by removing
- *              the httpOnly JWT cookie from the client.
+ * @description Logs out the current user: blacklists the access token, revokes
+ *              the session's refresh token family and clears the auth cookies.
  * @access Public (but typically called by authenticated users)
  *
  * @returns {Object} response
@@ -1593,18 +2117,19 @@ router.post('/logout', protect, async (req, res) => {
           expiresAt,
           'logout'
         );
+        await sessionService.markSessionRevoked(decoded.jti, 'logout');
       }
     }
 
+    // Revoke the refresh token family even if the session row is missing
+    const refreshFamilyId = await refreshTokenService.getFamilyId(req.cookies?.[refreshTokenService.REFRESH_COOKIE_NAME]);
+    if (refreshFamilyId) {
+      await sessionService.revokeSessionFamily(refreshFamilyId, 'logout');
+    }
+
     // Clear cookies
     const isProduction = process.env.NODE_ENV === 'production';
-    res.cookie('jwt', '', {
-      httpOnly: true,
-      secure: isProduction,
-      sameSite: isProduction ? 'strict' : 'lax',
-      expires: new Date(0),
-      path: '/'
-    });
+    clearAuthCookies(res);
 
     res.cookie('csrf-token', '', {
       httpOnly: false,
@@ -1631,6 +2156,7 @@ router.post('/logout', protect, async (req, res) => {
  * @route POST /api/auth/revoke-all-sessions
  * @description Revokes all active sessions for the authenticated user.
  *              Optionally keeps the current session active by issuing a new token.
+ *              To end a single session instead, use DELETE /api/settings/sessions/:id.
  * @access Private - Requires authentication
  * @middleware protect - JWT authentication required
  *
@@ -1648,18 +2174,12 @@ router.post('/revoke-all-sessions', protect, async (req, res) => {
   try {
     const { keepCurrent = false } = req.body;
 
-    await tokenBlacklistService.revokeAllUserTokens(req.user.id, 'user_initiated');
+    await tokenBlacklistService.revokeAllUserTokens(req.user.id, 'security_revoke');
+    await sessionService.markAllSessionsRevoked(req.user.id, 'security_revoke');
 
     if (keepCurrent) {
-      const newToken = generateToken(req.user.id);
-      const isProduction = process.env.NODE_ENV === 'production';
-      res.cookie('jwt', newToken, {
-        httpOnly: true,
-        secure: isProduction,
-        sameSite: isProduction ? 'strict' : 'lax',
-        maxAge: 7 * 24 * 60 * 60 * 1000,
-        path: '/'
-      });
+      const { token: newToken, refreshToken } = await issueSessionTokens(req, req.user.id);
+      setAuthCookies(res, newToken, refreshToken);
 
       return res.json({
         success: true,
@@ -1668,14 +2188,7 @@ router.post('/revoke-all-sessions', protect, async (req, res) => {
       });
     }
 
-    const isProduction = process.env.NODE_ENV === 'production';
-    res.cookie('jwt', '', {
-      httpOnly: true,
-      secure: isProduction,
-      sameSite: isProduction ? 'strict' : 'lax',
-      expires: new Date(0),
-      path: '/'
-    });
+    clearAuthCookies(res);
 
     res.json({
       success: true,
@@ -0,0 +1,284 @@
+/**
+ * @fileoverview Bullpen routes for pitcher workload and availability.
+ * All routes in this file require authentication via the protect middleware.
+ * Data is scoped to the authenticated user's team.
+ *
+ * Workload is derived from GameStatistic pitching lines (pitches thrown, batters
+ * faced, innings pitched); see services/pitcherWorkloadService for how days of
+ * rest, rolling 3/7-day pitch totals and availability are computed.
+ *
+ * Availability statuses:
+ * - available: clear of every rest rule
+ * - limited: allowed to pitch, but close to a rolling pitch cap
+ * - unavailable: still resting, over a pitch cap, or pitched too many days in a row
+ *
+ * Rest rules are stored per team (Team.pitcher_rest_rules); teams without saved
+ * rules use the service defaults.
+ *
+ * @module routes/bullpen
+ * @requires express
+ * @requires express-validator
+ * @requires ../middleware/auth
+ * @requires ../middleware/permissions
+ * @requires ../models
+ * @requires ../services/pitcherWorkloadService
+ */
+
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { protect } = require('../middleware/auth');
+const { checkPermission } = require('../middleware/permissions');
+const { Team, Player } = require('../models');
+const pitcherWorkloadService = require('../services/pitcherWorkloadService');
+
+const router = express.Router();
+
+// Middleware: Apply JWT authentication to all routes in this file
+router.use(protect);
+
+/**
+ * @description Middleware to handle express-validator validation errors.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object|void} 400 response with validation errors, or calls next()
+ */
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+/**
+ * @description Validation for the optional as-of day used by availability endpoints
+ */
+const validateAsOf = query('date')
+  .optional()
+  .matches(/^\d{4}-\d{2}-\d{2}$/)
+  .withMessage('Date must be in YYYY-MM-DD format');
+
+/**
+ * @route GET /api/v1/bullpen
+ * @description Availability of every pitcher on the team for a day: active players
+ *              listed at P plus anyone else who pitched recently. Each pitcher includes
+ *              days of rest, rolling 3-day and 7-day pitch totals, consecutive days
+ *              pitched, the pitches left under the team's caps and the reasons for an
+ *              'unavailable' status.
+ * @access Private - Requires authentication
+ * @middleware protect - JWT authentication required
+ *
+ * @param {string} [req.query.date] - Day to check (YYYY-MM-DD), defaults to today
+ *
+ * @returns {Object} response
+ * @returns {boolean} response.success - Operation success status
+ * @returns {string} response.data.as_of - Day checked
+ * @returns {Object} response.data.rules - Rest rules applied
+ * @returns {Array<Object>} response.data.pitchers - Pitchers with workload and status
+ * @returns {Object} response.data.summary - Pitcher counts by status
+ *
+ * @throws {400} Validation failed - Invalid date
+ * @throws {500} Server error - Database query failure
+ */
+router.get('/', [validateAsOf, handleValidationErrors], async (req, res) => {
+  try {
+    const availability = await pitcherWorkloadService.getBullpenAvailability(req.user.team_id, {
+      asOf: req.query.date
+    });
+
+    const summary = { available: 0, limited: 0, unavailable: 0 };
+    availability.pitchers.forEach(pitcher => {
+      summary[pitcher.status] += 1;
+    });
+
+    res.json({
+      success: true,
+      data: { ...availability, summary }
+    });
+  } catch (error) {
+    console.error('Error fetching bullpen availability:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch bullpen availability' });
+  }
+});
+
+/**
+ * @route GET /api/v1/bullpen/rules
+ * @description Returns the rest rules applied to the team's pitchers, with the
+ *              defaults filled in for anything the team has not configured.
+ * @access Private - Requires authentication
+ * @middleware protect - JWT authentication required
+ *
+ * @returns {Object} response
+ * @returns {boolean} response.success - Operation success status
+ * @returns {Object} response.data.rules - Rest rules in effect
+ * @returns {boolean} response.data.is_default - True when the team has no saved rules
+ * @returns {Object} response.data.defaults - Default rest rules
+ *
+ * @throws {500} Server error - Database query failure
+ */
+router.get('/rules', async (req, res) => {
+  try {
+    const team = await Team.findByPk(req.user.team_id, { attributes: ['id', 'pitcher_rest_rules'] });
+    const saved = team ? team.pitcher_rest_rules : null;
+
+    res.json({
+      success: true,
+      data: {
+        rules: pitcherWorkloadService.resolveRestRules(saved),
+        is_default: !saved,
+        defaults: pitcherWorkloadService.DEFAULT_REST_RULES
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching pitcher rest rules:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch pitcher rest rules' });
+  }
+});
+
+/**
+ * @route PUT /api/v1/bullpen/rules
+ * @description Saves the team's pitcher rest rules. Omitted fields keep their default
+ *              values. Send `{ "reset": true }` to go back to the defaults.
+ * @access Private - Requires authentication and team_settings permission
+ * @middleware protect - JWT authentication required
+ * @middleware checkPermission('team_settings') - Team settings permission required
+ *
+ * @param {Array<Object>} [req.body.rest_days_by_pitches] - [{ min_pitches, rest_days }] tiers, unique min_pitches
+ * @param {number} [req.body.max_pitches_3_days] - Rolling 3-day pitch cap
+ * @param {number} [req.body.max_pitches_7_days] - Rolling 7-day pitch cap
+ * @param {number} [req.body.max_consecutive_days] - Days in a row a pitcher may throw
+ * @param {number} [req.body.limited_pitch_margin] - Pitches left under a cap that mark a pitcher 'limited'
+ * @param {boolean} [req.body.reset] - Clear the saved rules
+ *
+ * @returns {Object} response
+ * @returns {boolean} response.success - Operation success status
+ * @returns {string} response.message - Success message
+ * @returns {Object} response.data.rules - Rest rules now in effect
+ *
+ * @throws {400} Validation failed - Invalid rule values
+ * @throws {403} Forbidden - Missing team_settings permission
+ * @throws {404} Not found - Team not found
+ * @throws {500} Server error - Database operation failure
+ */
+router.put('/rules', [
+  checkPermission('team_settings'),
+  body('reset').optional().isBoolean().withMessage('reset must be a boolean').toBoolean(),
+  body('rest_days_by_pitches').optional().isArray({ min: 1, max: 10 }).withMessage('rest_days_by_pitches must be an array of 1-10 tiers')
+    .custom(tiers => {
+      const thresholds = tiers.map(tier => tier && tier.min_pitches);
+      if (new Set(thresholds).size !== thresholds.length) {
+        throw new Error('Each rest tier must have a different min_pitches');
+      }
+      return true;
+    }),
+  body('rest_days_by_pitches.*.min_pitches').isInt({ min: 1, max: 200 }).withMessage('min_pitches must be between 1 and 200').toInt(),
+  body('rest_days_by_pitches.*.rest_days').isInt({ min: 0, max: 14 }).withMessage('rest_days must be between 0 and 14').toInt(),
+  body('max_pitches_3_days').optional().isInt({ min: 1, max: 400 }).withMessage('max_pitches_3_days must be between 1 and 400').toInt(),
+  body('max_pitches_7_days').optional().isInt({ min: 1, max: 600 }).withMessage('max_pitches_7_days must be between 1 and 600').toInt(),
+  body('max_consecutive_days').optional().isInt({ min: 1, max: 7 }).withMessage('max_consecutive_days must be between 1 and 7').toInt(),
+  body('limited_pitch_margin').optional().isInt({ min: 0, max: 200 }).withMessage('limited_pitch_margin must be between 0 and 200').toInt(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const team = await Team.findByPk(req.user.team_id);
+
+    if (!team) {
+      return res.status(404).json({ success: false, error: 'Team not found' });
+    }
+
+    let saved = null;
+    if (!req.body.reset) {
+      saved = {};
+      ['rest_days_by_pitches', 'max_pitches_3_days', 'max_pitches_7_days', 'max_consecutive_days', 'limited_pitch_margin']
+        .filter(field => req.body[field] !== undefined)
+        .forEach(field => {
+          saved[field] = req.body[field];
+        });
+      if (saved.rest_days_by_pitches) {
+        saved.rest_days_by_pitches = saved.rest_days_by_pitches
+          .map(tier => ({ min_pitches: tier.min_pitches, rest_days: tier.rest_days }));
+      }
+    }
+
+    const rules = pitcherWorkloadService.resolveRestRules(saved);
+    if (rules.max_pitches_7_days < rules.max_pitches_3_days) {
+      return res.status(400).json({
+        success: false,
+        error: 'The 7-day pitch cap cannot be lower than the 3-day pitch cap'
+      });
+    }
+
+    await team.update({ pitcher_rest_rules: saved });
+
+    res.json({
+      success: true,
+      message: saved ? 'Pitcher rest rules saved successfully' : 'Pitcher rest rules reset to defaults',
+      data: { rules, is_default: !saved }
+    });
+  } catch (error) {
+    console.error('Error saving pitcher rest rules:', error);
+    res.status(500).json({ success: false, error: 'Failed to save pitcher rest rules' });
+  }
+});
+
+/**
+ * @route GET /api/v1/bullpen/players/:playerId
+ * @description Workload for one pitcher: availability on the requested day plus every
+ *              pitching appearance in the window, newest first. Appearances without a
+ *              recorded pitch count show an estimate flagged with `estimated: true`.
+ * @access Private - Requires authentication
+ * @middleware protect - JWT authentication required
+ *
+ * @param {number} req.params.playerId - Player ID
+ * @param {string} [req.query.date] - Day to check (YYYY-MM-DD), defaults to today
+ * @param {number} [req.query.days=30] - Days of appearances to list (max 365)
+ *
+ * @returns {Object} response
+ * @returns {boolean} response.success - Operation success status
+ * @returns {Object} response.data.player - Player summary
+ * @returns {string} response.data.as_of - Day checked
+ * @returns {Object} response.data.workload - Availability and workload totals
+ * @returns {Array<Object>} response.data.appearances - Pitching appearances
+ *
+ * @throws {400} Validation failed - Invalid player ID, date or days
+ * @throws {404} Not found - Player not found on the team
+ * @throws {500} Server error - Database query failure
+ */
+router.get('/players/:playerId', [
+  param('playerId').isInt({ min: 1 }).withMessage('Player ID must be a positive integer'),
+  validateAsOf,
+  query('days').optional().isInt({ min: 1, max: 365 }).withMessage('Days must be between 1 and 365').toInt(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const player = await Player.findOne({
+      where: { id: req.params.playerId, team_id: req.user.team_id },
+      attributes: ['id', 'first_name', 'last_name', 'jersey_number', 'position', 'throws']
+    });
+
+    if (!player) {
+      return res.status(404).json({ success: false, error: 'Player not found' });
+    }
+
+    const workload = await pitcherWorkloadService.getPitcherWorkload(req.user.team_id, player.id, {
+      asOf: req.query.date,
+      days: req.query.days
+    });
+
+    res.json({
+      success: true,
+      data: { player, ...workload }
+    });
+  } catch (error) {
+    console.error('Error fetching pitcher workload:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch pitcher workload' });
+  }
+});
+
+module.exports = router;
@@ -13,7 +13,8 @@
  * - Player assignment with depth ordering within positions
  * - Intelligent player recommendations using scoring algorithms
  * - Chart duplication for creating variations
- * - Version tracking for change history
+ * - Version tracking and a change history with diff and restore
+ * - Bullpen view with pitcher availability from recent workload
  *
  * @module routes/depthCharts
  * @requires express
@@ -21,10 +22,13 @@
  * @requires ../middleware/auth
  * @requires ../middleware/permissions
  * @requires ../models
+ * @requires ../services/depthChartHistoryService
+ * @requires ../services/lineupService
+ * @requires ../services/pitcherWorkloadService
  */
 
 const express = require('express');
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const { protect } = require('../middleware/auth');
 const { depthChartPermissions } = require('../middleware/permissions');
 const {
@@ -35,6 +39,9 @@ const {
   User,
   Team
 } = require('../models');
+const depthChartHistoryService = require('../services/depthChartHistoryService');
+const lineupService = require('../services/lineupService');
+const pitcherWorkloadService = require('../services/pitcherWorkloadService');
 
 const router = express.Router();
 
@@ -338,6 +345,14 @@ router.post('/',
         }
       }
 
+      await depthChartHistoryService.recordChange(depthChart.id, req.user.id, {
+        action: 'chart_created',
+        entityType: 'chart',
+        entityId: depthChart.id,
+        description: `Created depth chart "${depthChart.name}"`,
+        after: depthChartHistoryService.serializeChart(depthChart)
+      });
+
       // Database: Fetch the created depth chart with positions for complete response
       const createdDepthChart = await DepthChart.findByPk(depthChart.id, {
         include: [
@@ -419,6 +434,9 @@ router.put('/byId/:id',
 
       const { name, description, is_default, effective_date, notes } = req.body;
 
+      await depthChartHistoryService.ensureBaseline(depthChart.id);
+      const before = depthChartHistoryService.serializeChart(depthChart);
+
       // Business logic: Ensure only one default chart exists per team
       // Only unset others if this chart is becoming default and wasn't already
       if (is_default && !depthChart.is_default) {
@@ -439,6 +457,15 @@ router.put('/byId/:id',
         version: depthChart.version + 1
       });
 
+      await depthChartHistoryService.recordChange(depthChart.id, req.user.id, {
+        action: 'chart_updated',
+        entityType: 'chart',
+        entityId: depthChart.id,
+        description: `Updated depth chart "${depthChart.name}"`,
+        before,
+        after: depthChartHistoryService.serializeChart(depthChart)
+      });
+
       res.json({
         success: true,
         data: depthChart
@@ -501,8 +528,17 @@ router.delete('/byId/:id',
 
       // Business logic: Soft delete preserves data for audit/recovery
       // Setting is_active to false hides the chart from all list queries
+      await depthChartHistoryService.ensureBaseline(depthChart.id);
       await depthChart.update({ is_active: false });
 
+      await depthChartHistoryService.recordChange(depthChart.id, req.user.id, {
+        action: 'chart_deleted',
+        entityType: 'chart',
+        entityId: depthChart.id,
+        description: `Deleted depth chart "${depthChart.name}"`,
+        before: { ...depthChartHistoryService.serializeChart(depthChart), is_active: true }
+      });
+
       res.json({
         success: true,
         message: 'Depth chart deleted successfully'
@@ -571,12 +607,22 @@ router.post('/:id/positions',
         });
       }
 
+      await depthChartHistoryService.ensureBaseline(depthChart.id);
+
       // Database: Create new position linked to the depth chart
       const position = await DepthChartPosition.create({
         depth_chart_id: depthChart.id,
         ...req.body
       });
 
+      await depthChartHistoryService.recordChange(depthChart.id, req.user.id, {
+        action: 'position_added',
+        entityType: 'position',
+        entityId: position.id,
+        description: `Added position ${position.position_code} (${position.position_name})`,
+        after: depthChartHistoryService.serializePosition(position)
+      });
+
       res.status(201).json({
         success: true,
         data: position
@@ -648,9 +694,21 @@ router.put('/positions/:positionId',
         });
       }
 
+      await depthChartHistoryService.ensureBaseline(position.depth_chart_id);
+      const before = depthChartHistoryService.serializePosition(position);
+
       // Database: Apply updates to the position
       await position.update(req.body);
 
+      await depthChartHistoryService.recordChange(position.depth_chart_id, req.user.id, {
+        action: 'position_updated',
+        entityType: 'position',
+        entityId: position.id,
+        description: `Updated position ${position.position_code} (${position.position_name})`,
+        before,
+        after: depthChartHistoryService.serializePosition(position)
+      });
+
       res.json({
         success: true,
         data: position
@@ -713,9 +771,19 @@ router.delete('/positions/:positionId',
         });
       }
 
+      await depthChartHistoryService.ensureBaseline(position.depth_chart_id);
+
       // Business logic: Soft delete preserves data and player assignment history
       await position.update({ is_active: false });
 
+      await depthChartHistoryService.recordChange(position.depth_chart_id, req.user.id, {
+        action: 'position_removed',
+        entityType: 'position',
+        entityId: position.id,
+        description: `Removed position ${position.position_code} (${position.position_name})`,
+        before: depthChartHistoryService.serializePosition(position)
+      });
+
       res.json({
         success: true,
         message: 'Position deleted successfully'
@@ -822,6 +890,8 @@ router.post('/positions/:positionId/players',
         });
       }
 
+      await depthChartHistoryService.ensureBaseline(position.depth_chart_id);
+
       // Database: Create the player assignment with tracking metadata
       const assignment = await DepthChartPlayer.create({
         depth_chart_id: position.depth_chart_id,
@@ -833,6 +903,15 @@ router.post('/positions/:positionId/players',
         assigned_by: req.user.id
       });
 
+      await depthChartHistoryService.recordChange(position.depth_chart_id, req.user.id, {
+        action: 'player_assigned',
+        entityType: 'player',
+        entityId: assignment.id,
+        playerId: player.id,
+        description: `Assigned ${player.first_name} ${player.last_name} to ${position.position_code} (depth ${assignment.depth_order})`,
+        after: depthChartHistoryService.serializeAssignment(assignment, position, player)
+      });
+
       // Database: Fetch the assignment with player details for response
       const createdAssignment = await DepthChartPlayer.findByPk(assignment.id, {
         include: [
@@ -889,6 +968,10 @@ router.delete('/players/:assignmentId',
       const assignment = await DepthChartPlayer.findOne({
         where: { id: req.params.assignmentId },
         include: [
+          {
+            model: Player,
+            attributes: ['id', 'first_name', 'last_name']
+          },
           {
             model: DepthChartPosition,
             required: true,
@@ -912,9 +995,24 @@ router.delete('/players/:assignmentId',
         });
       }
 
+      await depthChartHistoryService.ensureBaseline(assignment.depth_chart_id);
+
       // Business logic: Soft delete preserves assignment history for auditing
       await assignment.update({ is_active: false });
 
+      const position = assignment.DepthChartPosition;
+      const playerName = assignment.Player
+        ? `${assignment.Player.first_name} ${assignment.Player.last_name}`
+        : `player ${assignment.player_id}`;
+      await depthChartHistoryService.recordChange(assignment.depth_chart_id, req.user.id, {
+        action: 'player_unassigned',
+        entityType: 'player',
+        entityId: assignment.id,
+        playerId: assignment.player_id,
+        description: `Removed ${playerName} from ${position.position_code} (depth ${assignment.depth_order})`,
+        before: depthChartHistoryService.serializeAssignment(assignment, position)
+      });
+
       res.json({
         success: true,
         message: 'Player assignment removed successfully'
@@ -1672,6 +1770,14 @@ router.post('/:id/duplicate',
         }
       }
 
+      await depthChartHistoryService.recordChange(newChart.id, req.user.id, {
+        action: 'chart_created',
+        entityType: 'chart',
+        entityId: newChart.id,
+        description: `Duplicated depth chart "${originalChart.name}" as "${newChart.name}"`,
+        after: depthChartHistoryService.serializeChart(newChart)
+      });
+
       res.json({
         success: true,
         message: 'Depth chart duplicated successfully',
@@ -1687,35 +1793,58 @@ router.post('/:id/duplicate',
   }
 );
 
+/**
+ * Validates a point-in-time reference: a history entry ID or an ISO 8601 timestamp
+ * @param {string} value
+ * @returns {boolean}
+ */
+const isHistoryRef = (value) => /^\d+$/.test(value) || !isNaN(Date.parse(value));
+
 /**
  * @route GET /api/depth-charts/:id/history
- * @description Retrieves the change history for a depth chart.
- *              Currently returns basic creation history.
- *              Note: A full audit trail would require a separate history/audit table.
+ * @description Retrieves the change history for a depth chart, newest first.
+ *              Every position add/edit/remove, player assign/unassign and chart
+ *              create/update/delete/restore is recorded with who made it, when, and the
+ *              changed entity before and after. Can be filtered to a single player to
+ *              answer questions like "who took this reliever off the chart".
  * @access Private - Requires authentication and view permission
  * @middleware protect - JWT authentication required
  * @middleware param('id') - Validates depth chart ID is a positive integer
+ * @middleware query('page'), query('limit'), query('action'), query('player_id') - Validates pagination and filters
  * @middleware handleValidationErrors - Validation error handling
  * @middleware depthChartPermissions.canView - Permission check for depth chart viewing
  *
  * @param {number} req.params.id - Depth chart ID
+ * @param {number} [req.query.page=1] - Page number
+ * @param {number} [req.query.limit=20] - Entries per page (max 100)
+ * @param {string} [req.query.action] - Only entries with this action (e.g. player_unassigned)
+ * @param {number} [req.query.player_id] - Only entries affecting this player
  *
  * @returns {Object} response
  * @returns {boolean} response.success - Operation success status
  * @returns {Array<Object>} response.data - Array of history entries
  * @returns {number} response.data[].id - History entry ID
- * @returns {string} response.data[].action - Action type (Created, Updated, etc.)
+ * @returns {string} response.data[].action - Action type (chart_created, player_assigned, etc.)
+ * @returns {string} response.data[].entity_type - chart, position or player
  * @returns {string} response.data[].description - Human-readable description
+ * @returns {Object|null} response.data[].before - Changed entity before the change
+ * @returns {Object|null} response.data[].after - Changed entity after the change
+ * @returns {number} response.data[].version - Chart version after the change
  * @returns {string} response.data[].created_at - Timestamp of the action
- * @returns {Object} response.data[].User - User who performed the action
+ * @returns {Object|null} response.data[].User - User who performed the action
+ * @returns {Object} response.pagination - Page, limit, total and pages
  *
- * @throws {400} Validation failed - Invalid depth chart ID
+ * @throws {400} Validation failed - Invalid depth chart ID or filters
  * @throws {403} Forbidden - User lacks view permission
  * @throws {404} Not found - Depth chart doesn't exist or doesn't belong to user's team
  * @throws {500} Server error - Database query failure
  */
 router.get('/:id/history',
   param('id').isInt({ min: 1 }).withMessage('Invalid depth chart ID'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('action').optional().isString().withMessage('Invalid action filter'),
+  query('player_id').optional().isInt({ min: 1 }).withMessage('Invalid player ID'),
   handleValidationErrors,
   depthChartPermissions.canView,
   async (req, res) => {
@@ -1738,25 +1867,17 @@ router.get('/:id/history',
         });
       }
 
-      // Business logic: Return basic history from chart metadata
-      // TODO: For full audit trail, implement a separate DepthChartHistory table
-      const history = [
-        {
-          id: 1,
-          action: 'Created',
-          description: `Depth chart "${depthChart.name}" was created`,
-          created_at: depthChart.createdAt,
-          User: {
-            id: depthChart.created_by,
-            first_name: 'System',
-            last_name: 'User'
-          }
-        }
-      ];
+      const { entries, pagination } = await depthChartHistoryService.getHistory(depthChart.id, {
+        page: parseInt(req.query.page, 10) || 1,
+        limit: parseInt(req.query.limit, 10) || 20,
+        action: req.query.action,
+        playerId: parseInt(req.query.player_id, 10) || null
+      });
 
       res.json({
         success: true,
-        data: history
+        data: entries,
+        pagination
       });
     } catch (error) {
       console.error('Error fetching depth chart history:', error);
@@ -1768,4 +1889,280 @@ router.get('/:id/history',
   }
 );
 
+/**
+ * @route GET /api/depth-charts/:id/history/diff
+ * @description Compares a depth chart at two points in time. Each point is a history
+ *              entry ID or an ISO 8601 timestamp (resolved to the latest entry at or
+ *              before it). When `to` is omitted the chart's current state is used.
+ * @access Private - Requires authentication and view permission
+ * @middleware protect - JWT authentication required
+ * @middleware param('id') - Validates depth chart ID is a positive integer
+ * @middleware query('from'), query('to') - Validates point-in-time references
+ * @middleware handleValidationErrors - Validation error handling
+ * @middleware depthChartPermissions.canView - Permission check for depth chart viewing
+ *
+ * @param {number} req.params.id - Depth chart ID
+ * @param {string} req.query.from - History entry ID or timestamp for the earlier state
+ * @param {string} [req.query.to] - History entry ID or timestamp for the later state (default: now)
+ *
+ * @returns {Object} response
+ * @returns {boolean} response.success - Operation success status
+ * @returns {Object} response.data.from - { history_id, version, created_at } of the earlier state
+ * @returns {Object} response.data.to - { history_id, version, created_at } of the later state (history_id null for current)
+ * @returns {Array<Object>} response.data.changes.chart - Chart field changes ({ field, from, to })
+ * @returns {Object} response.data.changes.positions - Positions added, removed and changed
+ * @returns {Object} response.data.changes.players - Player assignments added, removed and changed
+ *
+ * @throws {400} Validation failed - Invalid depth chart ID or point-in-time reference
+ * @throws {403} Forbidden - User lacks view permission
+ * @throws {404} Not found - Depth chart or history at the requested point doesn't exist
+ * @throws {500} Server error - Database query failure
+ */
+router.get('/:id/history/diff',
+  param('id').isInt({ min: 1 }).withMessage('Invalid depth chart ID'),
+  query('from').custom(isHistoryRef).withMessage('from must be a history entry ID or an ISO 8601 timestamp'),
+  query('to').optional().custom(isHistoryRef).withMessage('to must be a history entry ID or an ISO 8601 timestamp'),
+  handleValidationErrors,
+  depthChartPermissions.canView,
+  async (req, res) => {
+    try {
+      const depthChart = await DepthChart.findOne({
+        where: {
+          id: req.params.id,
+          // Permission: Team isolation
+          team_id: req.user.team_id
+        }
+      });
+
+      if (!depthChart) {
+        return res.status(404).json({
+          success: false,
+          message: 'Depth chart not found'
+        });
+      }
+
+      const fromEntry = await depthChartHistoryService.findEntryAt(depthChart.id, req.query.from);
+      const toEntry = req.query.to
+        ? await depthChartHistoryService.findEntryAt(depthChart.id, req.query.to)
+        : null;
+
+      // Error: No recorded state at the requested point (e.g. before history began)
+      if (!fromEntry || (req.query.to && !toEntry)) {
+        return res.status(404).json({
+          success: false,
+          message: 'No depth chart history found for the requested point in time'
+        });
+      }
+
+      const toSnapshot = toEntry ? toEntry.snapshot : await depthChartHistoryService.buildSnapshot(depthChart.id);
+      const describe = (entry, snapshot) => ({
+        history_id: entry ? entry.id : null,
+        version: snapshot.chart.version,
+        created_at: entry ? entry.created_at : new Date()
+      });
+
+      res.json({
+        success: true,
+        data: {
+          from: describe(fromEntry, fromEntry.snapshot),
+          to: describe(toEntry, toSnapshot),
+          changes: depthChartHistoryService.diffSnapshots(fromEntry.snapshot, toSnapshot)
+        }
+      });
+    } catch (error) {
+      console.error('Error comparing depth chart history:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error comparing depth chart history'
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/depth-charts/:id/history/:historyId/restore
+ * @description Restores a depth chart to the state recorded by a history entry:
+ *              chart details, active positions and player assignments. The default-chart
+ *              flag is left unchanged. The chart version is incremented and the restore
+ *              is itself recorded in the history, so it can be undone.
+ * @access Private - Requires authentication and edit permission
+ * @middleware protect - JWT authentication required
+ * @middleware param('id'), param('historyId') - Validates IDs are positive integers
+ * @middleware handleValidationErrors - Validation error handling
+ * @middleware depthChartPermissions.canEdit - Permission check for depth chart editing
+ *
+ * @param {number} req.params.id - Depth chart ID
+ * @param {number} req.params.historyId - History entry to restore
+ *
+ * @returns {Object} response
+ * @returns {boolean} response.success - Operation success status
+ * @returns {string} response.message - Success confirmation message
+ * @returns {Object} response.data - { version, restored_from, skipped_players } after the restore;
+ *   skipped_players lists snapshot assignments of players no longer on the team
+ *
+ * @throws {400} Validation failed - Invalid IDs
+ * @throws {403} Forbidden - User lacks edit permission
+ * @throws {404} Not found - Depth chart or history entry doesn't exist
+ * @throws {500} Server error - Database operation failure
+ */
+router.post('/:id/history/:historyId/restore',
+  param('id').isInt({ min: 1 }).withMessage('Invalid depth chart ID'),
+  param('historyId').isInt({ min: 1 }).withMessage('Invalid history entry ID'),
+  handleValidationErrors,
+  depthChartPermissions.canEdit,
+  async (req, res) => {
+    try {
+      const depthChart = await DepthChart.findOne({
+        where: {
+          id: req.params.id,
+          // Permission: Only allow restores within user's team
+          team_id: req.user.team_id,
+          is_active: true
+        }
+      });
+
+      if (!depthChart) {
+        return res.status(404).json({
+          success: false,
+          message: 'Depth chart not found'
+        });
+      }
+
+      const entry = await depthChartHistoryService.findEntryAt(depthChart.id, req.params.historyId);
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          message: 'History entry not found'
+        });
+      }
+
+      await depthChartHistoryService.ensureBaseline(depthChart.id);
+      const before = depthChartHistoryService.serializeChart(depthChart);
+
+      // Database: Rewrite positions and assignments to match the recorded snapshot
+      const { skipped_players: skippedPlayers } = await depthChartHistoryService.restoreSnapshot(depthChart, entry.snapshot, req.user.id);
+
+      await depthChartHistoryService.recordChange(depthChart.id, req.user.id, {
+        action: 'chart_restored',
+        entityType: 'chart',
+        entityId: depthChart.id,
+        description: `Restored depth chart "${depthChart.name}" to version ${entry.version} (history entry ${entry.id})`,
+        before,
+        after: { ...depthChartHistoryService.serializeChart(depthChart), restored_from: entry.id }
+      });
+
+      res.json({
+        success: true,
+        message: 'Depth chart restored successfully',
+        data: {
+          version: depthChart.version,
+          restored_from: entry.id,
+          skipped_players: skippedPlayers
+        }
+      });
+    } catch (error) {
+      console.error('Error restoring depth chart:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error restoring depth chart'
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/depth-charts/:id/bullpen
+ * @description The chart's pitching staff (SP, P, RP and CL positions) in depth order,
+ *              with each pitcher's availability for the day: days of rest, rolling
+ *              3-day and 7-day pitch totals, pitches left under the team's caps and
+ *              status (available, limited or unavailable).
+ * @access Private - Requires authentication and view permission
+ * @middleware protect - JWT authentication required
+ * @middleware param('id') - Validates depth chart ID is a positive integer
+ * @middleware query('date') - Validates the optional day to check
+ * @middleware handleValidationErrors - Validation error handling
+ * @middleware depthChartPermissions.canView - Permission check for depth chart viewing
+ *
+ * @param {number} req.params.id - Depth chart ID
+ * @param {string} [req.query.date] - Day to check (YYYY-MM-DD), defaults to today
+ *
+ * @returns {Object} response
+ * @returns {boolean} response.success - Operation success status
+ * @returns {string} response.data.as_of - Day checked
+ * @returns {Object} response.data.rules - Team rest rules applied
+ * @returns {Array<Object>} response.data.positions - Pitching positions with players and workload
+ * @returns {Object} response.data.summary - Pitcher counts by status
+ *
+ * @throws {400} Validation failed - Invalid depth chart ID or date
+ * @throws {403} Forbidden - User lacks view permission
+ * @throws {404} Not found - Depth chart doesn't exist or doesn't belong to user's team
+ * @throws {500} Server error - Database query failure
+ */
+router.get('/:id/bullpen',
+  param('id').isInt({ min: 1 }).withMessage('Invalid depth chart ID'),
+  query('date').optional().matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Date must be in YYYY-MM-DD format'),
+  handleValidationErrors,
+  depthChartPermissions.canView,
+  async (req, res) => {
+    try {
+      const depthChart = await DepthChart.findOne({
+        where: {
+          id: req.params.id,
+          // Permission: Team isolation
+          team_id: req.user.team_id,
+          is_active: true
+        }
+      });
+
+      if (!depthChart) {
+        return res.status(404).json({
+          success: false,
+          message: 'Depth chart not found'
+        });
+      }
+
+      const snapshot = await depthChartHistoryService.buildSnapshot(depthChart.id);
+      const positions = snapshot.positions
+        .filter(position => lineupService.PITCHER_CODES.includes(position.position_code));
+      const playerIds = [...new Set(positions.flatMap(position => position.players.map(player => player.player_id)))];
+
+      const availability = await pitcherWorkloadService.getBullpenAvailability(req.user.team_id, {
+        asOf: req.query.date,
+        playerIds
+      });
+      const byPlayer = new Map(availability.pitchers.map(pitcher => [pitcher.player.id, pitcher]));
+
+      // Business logic: Count each pitcher once even if listed at several positions
+      const summary = { available: 0, limited: 0, unavailable: 0 };
+      availability.pitchers.forEach(pitcher => {
+        summary[pitcher.status] += 1;
+      });
+
+      res.json({
+        success: true,
+        data: {
+          as_of: availability.as_of,
+          rules: availability.rules,
+          positions: positions.map(position => ({
+            id: position.id,
+            position_code: position.position_code,
+            position_name: position.position_name,
+            players: position.players.map(player => ({
+              ...player,
+              ...(byPlayer.get(player.player_id) || {})
+            }))
+          })),
+          summary
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching depth chart bullpen:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching depth chart bullpen'
+      });
+    }
+  }
+);
+
 module.exports = router;
@@ -7,12 +7,16 @@
  * Team isolation is enforced - users can only manage player assignments on depth charts
  * belonging to their team.
  *
+ * Assignments and removals are recorded in the depth chart history
+ * (see services/depthChartHistoryService).
+ *
  * @module routes/depthCharts/players
  * @requires express
  * @requires express-validator
  * @requires ../../middleware/auth
  * @requires ../../middleware/permissions
  * @requires ../../models
+ * @requires ../../services/depthChartHistoryService
  */
 
 const express = require('express');
@@ -29,6 +33,7 @@ const {
   validatePlayerAssignment,
   handleValidationErrors
 } = require('./validators');
+const depthChartHistoryService = require('../../services/depthChartHistoryService');
 
 const router = express.Router();
 
@@ -127,6 +132,8 @@ router.post('/positions/:positionId/players',
         });
       }
 
+      await depthChartHistoryService.ensureBaseline(position.depth_chart_id);
+
       // Database: Create the player assignment with tracking metadata
       const assignment = await DepthChartPlayer.create({
         depth_chart_id: position.depth_chart_id,
@@ -138,6 +145,15 @@ router.post('/positions/:positionId/players',
         assigned_by: req.user.id
       });
 
+      await depthChartHistoryService.recordChange(position.depth_chart_id, req.user.id, {
+        action: 'player_assigned',
+        entityType: 'player',
+        entityId: assignment.id,
+        playerId: player.id,
+        description: `Assigned ${player.first_name} ${player.last_name} to ${position.position_code} (depth ${assignment.depth_order})`,
+        after: depthChartHistoryService.serializeAssignment(assignment, position, player)
+      });
+
       // Database: Fetch the assignment with player details for response
       const createdAssignment = await DepthChartPlayer.findByPk(assignment.id, {
         include: [
@@ -194,6 +210,10 @@ router.delete('/players/:assignmentId',
       const assignment = await DepthChartPlayer.findOne({
         where: { id: req.params.assignmentId },
         include: [
+          {
+            model: Player,
+            attributes: ['id', 'first_name', 'last_name']
+          },
           {
             model: DepthChartPosition,
             required: true,
@@ -217,9 +237,24 @@ router.delete('/players/:assignmentId',
         });
       }
 
+      await depthChartHistoryService.ensureBaseline(assignment.depth_chart_id);
+
       // Business logic: Soft delete preserves assignment history for auditing
       await assignment.update({ is_active: false });
 
+      const position = assignment.DepthChartPosition;
+      const playerName = assignment.Player
+        ? `${assignment.Player.first_name} ${assignment.Player.last_name}`
+        : `player ${assignment.player_id}`;
+      await depthChartHistoryService.recordChange(assignment.depth_chart_id, req.user.id, {
+        action: 'player_unassigned',
+        entityType: 'player',
+        entityId: assignment.id,
+        playerId: assignment.player_id,
+        description: `Removed ${playerName} from ${position.position_code} (depth ${assignment.depth_order})`,
+        before: depthChartHistoryService.serializeAssignment(assignment, position)
+      });
+
       res.json({
         success: true,
         message: 'Player assignment removed successfully'
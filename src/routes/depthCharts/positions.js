@@ -7,12 +7,15 @@
  * Team isolation is enforced - users can only manage positions on depth charts
  * belonging to their team.
  *
+ * Every change is recorded in the depth chart history (see services/depthChartHistoryService).
+ *
  * @module routes/depthCharts/positions
  * @requires express
  * @requires express-validator
  * @requires ../../middleware/auth
  * @requires ../../middleware/permissions
  * @requires ../../models
+ * @requires ../../services/depthChartHistoryService
  */
 
 const express = require('express');
@@ -27,6 +30,7 @@ const {
   validatePosition,
   handleValidationErrors
 } = require('./validators');
+const depthChartHistoryService = require('../../services/depthChartHistoryService');
 
 const router = express.Router();
 
@@ -87,12 +91,22 @@ router.post('/:id/positions',
         });
       }
 
+      await depthChartHistoryService.ensureBaseline(depthChart.id);
+
       // Database: Create new position linked to the depth chart
       const position = await DepthChartPosition.create({
         depth_chart_id: depthChart.id,
         ...req.body
       });
 
+      await depthChartHistoryService.recordChange(depthChart.id, req.user.id, {
+        action: 'position_added',
+        entityType: 'position',
+        entityId: position.id,
+        description: `Added position ${position.position_code} (${position.position_name})`,
+        after: depthChartHistoryService.serializePosition(position)
+      });
+
       res.status(201).json({
         success: true,
         data: position
@@ -164,9 +178,21 @@ router.put('/positions/:positionId',
         });
       }
 
+      await depthChartHistoryService.ensureBaseline(position.depth_chart_id);
+      const before = depthChartHistoryService.serializePosition(position);
+
       // Database: Apply updates to the position
       await position.update(req.body);
 
+      await depthChartHistoryService.recordChange(position.depth_chart_id, req.user.id, {
+        action: 'position_updated',
+        entityType: 'position',
+        entityId: position.id,
+        description: `Updated position ${position.position_code} (${position.position_name})`,
+        before,
+        after: depthChartHistoryService.serializePosition(position)
+      });
+
       res.json({
         success: true,
         data: position
@@ -229,9 +255,19 @@ router.delete('/positions/:positionId',
         });
       }
 
+      await depthChartHistoryService.ensureBaseline(position.depth_chart_id);
+
       // Business logic: Soft delete preserves data and player assignment history
       await position.update({ is_active: false });
 
+      await depthChartHistoryService.recordChange(position.depth_chart_id, req.user.id, {
+        action: 'position_removed',
+        entityType: 'position',
+        entityId: position.id,
+        description: `Removed position ${position.position_code} (${position.position_name})`,
+        before: depthChartHistoryService.serializePosition(position)
+      });
+
       res.json({
         success: true,
         message: 'Position deleted successfully'
@@ -25,22 +25,78 @@
  * - Results are added/updated after games are played
  * - Statistics endpoints aggregate results across all games or by season
  *
+ * Lineups:
+ * - A lineup can be generated from a depth chart, edited and saved per game (GameLineup)
+ * - Saved lineups print as a dugout lineup card or an umpire exchange card (PDF or HTML)
+ *
+ * Play Values:
+ * - RE24 and WPA per play, from a run-expectancy matrix and win-probability model
+ *   built from the league's stored play-by-play (see services/runExpectancyService)
+ * - Season WPA/RE24 leaders through the leaderboard endpoint
+ *
+ * Live Scoring:
+ * - Games entered manually (no PrestoSports feed) can be scored pitch by pitch. Each
+ *   pitch, play, runner movement and substitution is logged (GameScoringEvent); the
+ *   score, play-by-play, line score and GameStatistic rows are rebuilt from the log
+ *   after every change, so the last event can always be undone
+ * - Clients follow a game over Server-Sent Events (GET /byId/:id/stream); the live
+ *   stats sync, scoring and game edits push score, line score, play and box score changes
+ *
+ * Box Score Import:
+ * - StatCrew/NCAA box score XML files (for games without PrestoSports) are previewed,
+ *   with each player's roster match, then imported into Game, GameStatistic and
+ *   OpponentGameStat
+ *
+ * RPI:
+ * - NCAA baseball RPI and strength of schedule with the home/away adjustment, from the
+ *   records of every team in the division synced here, with the effect of each
+ *   remaining game (see services/rpiService)
+ *
+ * Opponent Scouting:
+ * - Advance-scouting report on an opponent from every game against them and their
+ *   play-by-play (hitter tendencies, base stealing, pitcher usage, likely starters by
+ *   day of week), as JSON or a printable PDF packet
+ *
  * @module routes/games
  * @requires express
  * @requires express-validator
  * @requires sequelize
  * @requires ../middleware/auth
  * @requires ../models
+ * @requires ../services/lineupService
+ * @requires ../services/lineupCardService
+ * @requires ../services/runExpectancyService
+ * @requires ../services/playValueService
+ * @requires ../services/liveScoringService
+ * @requires ../services/gameStreamService
+ * @requires ../services/boxScoreImportService
+ * @requires ../services/opponentScoutingService
+ * @requires ../services/rpiService
+ * @requires ../services/reportPdfService
+ * @requires ../utils/playOutcomeClassifier
  */
 
 const express = require('express');
 const { body, param, query, validationResult } = require('express-validator');
 const { Op } = require('sequelize');
 const { protect } = require('../middleware/auth');
-const { Game, Team, GameStatistic, Player, PlayerSeasonStats, OpponentGameStat } = require('../models');
+const { Game, Team, GameStatistic, Player, PlayerSeasonStats, OpponentGameStat, GameLineup, DepthChart } = require('../models');
 const prestoSyncService = require('../services/prestoSyncService');
 const prestoSportsService = require('../services/prestoSportsService');
+const depthChartHistoryService = require('../services/depthChartHistoryService');
+const lineupService = require('../services/lineupService');
+const lineupCardService = require('../services/lineupCardService');
+const runExpectancyService = require('../services/runExpectancyService');
+const playValueService = require('../services/playValueService');
+const liveScoringService = require('../services/liveScoringService');
+const gameStreamService = require('../services/gameStreamService');
+const boxScoreImportService = require('../services/boxScoreImportService');
+const opponentScoutingService = require('../services/opponentScoutingService');
+const rpiService = require('../services/rpiService');
+const { loadLogo, renderReportPdf } = require('../services/reportPdfService');
+const { uploadBoxScore, handleUploadError } = require('../middleware/upload');
 const { parseBoxScore } = require('../utils/boxScoreParser');
+const { classifyPlayByPlay, needsClassification } = require('../utils/playOutcomeClassifier');
 
 
 const router = express.Router();
@@ -373,6 +429,7 @@ router.put('/byId/:id', [
 
     // Database: Update the game with provided fields
     await game.update(req.body);
+    gameStreamService.publishGameUpdate(game.id, { source: 'manual' });
 
     // Database: Fetch the updated game with associations for complete response
     const updatedGame = await Game.findOne({
@@ -1021,12 +1078,42 @@ const LEADERBOARD_STATS = {
   pitching_wins:        { qualifier: null, defaultMin: 0, order: 'DESC' },
   saves:                { qualifier: null, defaultMin: 0, order: 'DESC' },
   innings_pitched:      { qualifier: null, defaultMin: 0, order: 'DESC' },
-  fielding_percentage:  { qualifier: 'fielding_games', defaultMin: 3, order: 'DESC' }
+  fielding_percentage:  { qualifier: 'fielding_games', defaultMin: 3, order: 'DESC' },
+  // Derived by advancedStatsService
+  woba:                 { qualifier: 'at_bats', defaultMin: 10, order: 'DESC', derived: true },
+  wrc_plus:             { qualifier: 'at_bats', defaultMin: 10, order: 'DESC', derived: true },
+  ops_plus:             { qualifier: 'at_bats', defaultMin: 10, order: 'DESC', derived: true },
+  iso:                  { qualifier: 'at_bats', defaultMin: 10, order: 'DESC', derived: true },
+  babip:                { qualifier: 'at_bats', defaultMin: 10, order: 'DESC', derived: true },
+  k_pct:                { qualifier: 'at_bats', defaultMin: 10, order: 'ASC', derived: true },
+  bb_pct:               { qualifier: 'at_bats', defaultMin: 10, order: 'DESC', derived: true },
+  fip:                  { qualifier: 'innings_pitched', defaultMin: 5, order: 'ASC', derived: true },
+  xfip:                 { qualifier: 'innings_pitched', defaultMin: 5, order: 'ASC', derived: true },
+  era_minus:            { qualifier: 'innings_pitched', defaultMin: 5, order: 'ASC', derived: true },
+  fip_minus:            { qualifier: 'innings_pitched', defaultMin: 5, order: 'ASC', derived: true },
+  k_pct_pitching:       { qualifier: 'innings_pitched', defaultMin: 5, order: 'DESC', derived: true },
+  bb_pct_pitching:      { qualifier: 'innings_pitched', defaultMin: 5, order: 'ASC', derived: true },
+  k_bb_pct:             { qualifier: 'innings_pitched', defaultMin: 5, order: 'DESC', derived: true },
+  // Computed from play-by-play by playValueService rather than read from PlayerSeasonStats
+  wpa:                  { qualifier: 'plate_appearances', defaultMin: 10, order: 'DESC', source: 'play_by_play' },
+  re24:                 { qualifier: 'plate_appearances', defaultMin: 10, order: 'DESC', source: 'play_by_play' },
+  pitching_wpa:         { qualifier: 'batters_faced', defaultMin: 10, order: 'DESC', source: 'play_by_play' },
+  pitching_re24:        { qualifier: 'batters_faced', defaultMin: 10, order: 'DESC', source: 'play_by_play' },
+  relief_wpa:           { qualifier: 'appearances', defaultMin: 1, order: 'DESC', source: 'play_by_play' }
 };
 
 /**
- * @route GET /api/games/leaderboard
+ * @route GET /api/v1/games/leaderboard
  * @description Returns ranked player leaders for a given stat from PlayerSeasonStats.
+ *   The play-value stats (wpa, re24, pitching_wpa, pitching_re24, relief_wpa) are
+ *   totalled from the season's play-by-play instead; for those the qualifier is
+ *   plate appearances, batters faced or relief appearances, and the season defaults
+ *   to that of the latest game with play-by-play.
+ *   The derived sabermetric stats (woba, wrc_plus, fip, ...) are read from
+ *   PlayerSeasonStats like the rest. They are calculated by the season stats sync and
+ *   POST /api/v1/players/advanced-stats/recalculate; when some of the season's rows
+ *   have never been calculated, `advanced_stats_stale` is true and those players are
+ *   missing from the leaders until a recalculation runs.
  * @access Private - Requires authentication
  *
  * @param {string} req.query.stat - Stat column to rank by (must be in LEADERBOARD_STATS)
@@ -1051,6 +1138,16 @@ router.get('/leaderboard', [
       ? parseInt(req.query.min_qualifier)
       : config.defaultMin;
 
+    if (config.source === 'play_by_play') {
+      const data = await playValueService.getLeaderboard(req.user.team_id, {
+        stat,
+        season: req.query.season,
+        limit,
+        minQualifier
+      });
+      return res.json({ success: true, data });
+    }
+
     // Determine season: use query param or find most recent for this team
     let season = req.query.season;
     let seasonName = null;
@@ -1077,6 +1174,15 @@ router.get('/leaderboard', [
       });
     }
 
+    // Seasons synced before the derived stats existed are reported as stale, not calculated here
+    let advancedStatsStale;
+    if (config.derived) {
+      const uncalculated = await PlayerSeasonStats.count({
+        where: { team_id: req.user.team_id, season, advanced_stats_computed_at: null }
+      });
+      advancedStatsStale = uncalculated > 0;
+    }
+
     // Build WHERE clause with qualifier filter
     const where = {
       team_id: req.user.team_id,
@@ -1106,15 +1212,97 @@ router.get('/leaderboard', [
       qualifier_value: config.qualifier ? row[config.qualifier] : null
     }));
 
+    const data = { stat, season, season_name: seasonName, leaders };
+    if (config.derived) {
+      data.advanced_stats_stale = advancedStatsStale;
+    }
+
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Get leaderboard error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching leaderboard'
+    });
+  }
+});
+
+/**
+ * @route GET /api/v1/games/run-expectancy
+ * @description Returns the run-expectancy matrix used for RE24 and WPA: runs expected
+ *   to the end of the inning and the chance of scoring from each base/out state, with
+ *   the plate appearances observed in each. Built from the stored play-by-play of every
+ *   team in the same division and conference, smoothed toward default college values
+ *   where samples are small, and cached for a few hours.
+ * @access Private - Requires authentication
+ *
+ * @param {boolean} [req.query.refresh=false] - Rebuild the model now
+ *
+ * @returns {Object} response.data - { scope, built_at, games, half_innings, prior_weight,
+ *   run_expectancy, scoring_probability, samples }; each matrix is an array indexed by
+ *   outs of { base state: value }, base states written as '1_3' for first and third
+ *
+ * @throws {400} Validation failed - Invalid refresh flag
+ * @throws {500} Server error
+ */
+router.get('/run-expectancy', [
+  query('refresh').optional().isBoolean().withMessage('refresh must be a boolean').toBoolean(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const model = await runExpectancyService.getLeagueModel(req.user.team_id, {
+      refresh: req.query.refresh === true
+    });
+
     res.json({
       success: true,
-      data: { stat, season, season_name: seasonName, leaders }
+      data: runExpectancyService.summarizeModel(model)
     });
   } catch (error) {
-    console.error('Get leaderboard error:', error);
+    console.error('Get run expectancy error:', error);
     res.status(500).json({
       success: false,
-      error: 'Server error while fetching leaderboard'
+      error: 'Server error while building the run expectancy matrix'
+    });
+  }
+});
+
+/**
+ * @route GET /api/v1/games/rpi
+ * @description Ratings Percentage Index and strength of schedule for the season, using
+ *              the NCAA baseball weighting (25% WP, 50% OWP, 25% OOWP) with home wins
+ *              worth 0.7 and road wins 1.3 (losses the reverse). Opponent records are
+ *              built from the synced games of every team in the division, so they are
+ *              only as complete as that data (see coverage). Each remaining game shows
+ *              the RPI after a win or a loss, with win-out, expected and lose-out scenarios.
+ * @access Private - Requires authentication
+ *
+ * @param {string} [req.query.season] - Season; defaults to the season of the latest game
+ *
+ * @returns {Object} response.data - { season, record, record_by_site, rating: { wp,
+ *   weighted_wp, owp, oowp, rpi, sos, rank, ranked_teams }, opponents, projection, coverage }
+ *
+ * @throws {400} Validation failed - Invalid season
+ * @throws {404} Not found - No games for the season
+ * @throws {500} Server error
+ */
+router.get('/rpi', [
+  query('season').optional().isString().trim().notEmpty().withMessage('Season must be a non-empty string'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const report = await rpiService.calculateRpi(req.user.team_id, { season: req.query.season || null });
+
+    if (!report) {
+      return res.status(404).json({ success: false, error: 'No games found for this season' });
+    }
+
+    res.json({ success: true, data: report });
+  } catch (error) {
+    console.error('Get RPI error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while calculating the RPI'
     });
   }
 });
@@ -1324,6 +1512,63 @@ router.get('/opponent-stats/:opponent/players', async (req, res) => {
   }
 });
 
+/**
+ * @route GET /api/v1/games/opponent-stats/:opponent/scouting-report
+ * @description Advance-scouting report on an opponent, built from every game against
+ *              them: hitter tendencies (K/BB rates, first-pitch swings, batted-ball
+ *              types, spray), stolen base attempts, pitcher usage, likely starters by
+ *              day of week and the projected lineup. Tendencies come from the stored
+ *              play-by-play, so games without it only count toward the box score totals.
+ * @access Private - Requires authentication
+ * @middleware protect - JWT authentication required
+ *
+ * @param {string} req.params.opponent - Opponent name as stored on the opponent box scores
+ * @param {string} [req.query.season] - Only games of this season
+ * @param {string} [req.query.format=json] - 'json' or 'pdf' (printable packet)
+ *
+ * @returns {Object|Buffer} { success, data: report } or a PDF download
+ *
+ * @throws {400} Validation failed - Invalid format
+ * @throws {404} Not found - No games against the opponent
+ * @throws {500} Server error - Database or rendering failure
+ */
+router.get('/opponent-stats/:opponent/scouting-report', [
+  query('season').optional().isString().trim(),
+  query('format').optional().isIn(['json', 'pdf']).withMessage('Format must be json or pdf'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const opponentName = decodeURIComponent(req.params.opponent);
+    const report = await opponentScoutingService.buildScoutingReport(req.user.team_id, opponentName, {
+      season: req.query.season || null
+    });
+
+    if (!report) {
+      return res.status(404).json({ success: false, error: 'No games found against this opponent' });
+    }
+
+    if (req.query.format !== 'pdf') {
+      return res.json({ success: true, data: report });
+    }
+
+    const team = await Team.findByPk(req.user.team_id);
+    const logo = await loadLogo(team.school_logo_url);
+    const doc = renderReportPdf(opponentScoutingService.toReportDocument(report), {
+      team,
+      logo,
+      orientation: 'landscape'
+    });
+
+    const slug = opponentName.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase() || 'opponent';
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="scouting_${slug}_${new Date().toISOString().slice(0, 10)}.pdf"`);
+    doc.pipe(res);
+  } catch (error) {
+    console.error('Error building scouting report:', error);
+    res.status(500).json({ success: false, error: 'Failed to build scouting report' });
+  }
+});
+
 /**
  * @route GET /api/games/:gameId/stats
  * @description Retrieves box score statistics for a specific game - all player stats for that game.
@@ -1635,6 +1880,10 @@ router.get('/:gameId/box-score', async (req, res) => {
  * @description Returns play-by-play data for a completed game.
  *   Serves pre-synced data from the games.play_by_play JSONB column.
  *   Data is populated during stats sync from PrestoSports event stats XML.
+ *   Each play carries a classified `event` (result code, fielders, runner
+ *   movement, outs and base state); data stored before classification existed,
+ *   or by an older classifier version, is classified in the response without
+ *   being saved.
  */
 router.get('/byId/:id/plays', [
   param('id').isInt().withMessage('Game ID must be an integer'),
@@ -1656,6 +1905,10 @@ router.get('/byId/:id/plays', [
       });
     }
 
+    const playByPlay = needsClassification(game.play_by_play)
+      ? classifyPlayByPlay(JSON.parse(JSON.stringify(game.play_by_play)))
+      : game.play_by_play;
+
     res.json({
       success: true,
       data: {
@@ -1664,7 +1917,7 @@ router.get('/byId/:id/plays', [
         game_date: game.game_date,
         home_away: game.home_away,
         score: game.team_score != null ? `${game.team_score}-${game.opponent_score}` : null,
-        ...game.play_by_play
+        ...playByPlay
       }
     });
   } catch (error) {
@@ -1676,4 +1929,939 @@ router.get('/byId/:id/plays', [
   }
 });
 
+/**
+ * @route GET /api/v1/games/byId/:id/win-probability
+ * @description Values every play of a game with RE24 (for the batting team) and the
+ *   team's win probability before and after it (WPA = the change), using the league
+ *   run-expectancy model. Also totals the credits for the team's players: batters for
+ *   their plate appearances, pitchers for the plays while they were on the mound.
+ * @access Private - Requires authentication
+ *
+ * @param {number} req.params.id - Game ID
+ *
+ * @returns {Object} response.data - { game_id, opponent, game_date, home_away, score,
+ *   regulation_innings, model, plays, players }
+ *
+ * @throws {400} Validation failed - Invalid game ID
+ * @throws {404} Not found - Game not found or no play-by-play
+ * @throws {500} Server error
+ */
+router.get('/byId/:id/win-probability', [
+  param('id').isInt().withMessage('Game ID must be an integer'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const data = await playValueService.getGamePlayValues(req.user.team_id, parseInt(req.params.id, 10));
+
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        error: 'Game not found or no play-by-play data available'
+      });
+    }
+
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Error computing win probability:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compute win probability'
+    });
+  }
+});
+
+/**
+ * @description Validation rules for saving a game lineup.
+ *              Checks request shape only; lineup rules (positions, DH, roster) are
+ *              checked by lineupService.validateLineup.
+ * @type {Array<ValidationChain>}
+ */
+const validateLineupBody = [
+  body('batting_order').isArray({ min: 1, max: 9 }).withMessage('Batting order must be an array of up to 9 hitters'),
+  body('batting_order.*.slot').isInt({ min: 1, max: 9 }).withMessage('Batting order slot must be between 1 and 9'),
+  body('batting_order.*.player_id').isInt({ min: 1 }).withMessage('Batting order player_id must be a positive integer'),
+  body('batting_order.*.position').isString().withMessage('Batting order position is required').trim().toUpperCase(),
+  body('starting_pitcher_id').isInt({ min: 1 }).withMessage('Starting pitcher is required'),
+  body('use_dh').optional().isBoolean().withMessage('use_dh must be a boolean'),
+  body('bench').optional().isArray().withMessage('Bench must be an array of player IDs'),
+  body('bench.*').isInt({ min: 1 }).withMessage('Bench must contain player IDs').toInt(),
+  body('bullpen').optional().isArray().withMessage('Bullpen must be an array of player IDs'),
+  body('bullpen.*').isInt({ min: 1 }).withMessage('Bullpen must contain player IDs').toInt(),
+  body('opposing_starter_name').optional({ nullable: true }).isString().isLength({ max: 100 }).withMessage('Opposing starter name must be at most 100 characters'),
+  body('opposing_starter_throws').optional({ nullable: true }).isIn(['L', 'R']).withMessage('Opposing starter throws must be L or R'),
+  body('depth_chart_id').optional({ nullable: true }).isInt({ min: 1 }).withMessage('depth_chart_id must be a positive integer'),
+  body('notes').optional({ nullable: true }).isString().withMessage('Notes must be a string')
+];
+
+/**
+ * @description Expand a lineup into the API response: the stored lineup, the lineup
+ *              card with player details and handedness, and the rule check.
+ * @param {Object} lineup - GameLineup instance or generated lineup
+ * @param {Array<Object>} roster - Active players
+ * @returns {Object} { lineup, card, validation }
+ */
+const buildLineupResponse = (lineup, roster) => {
+  const rosterById = new Map(roster.map(player => [player.id, player]));
+  const values = typeof lineup.toJSON === 'function' ? lineup.toJSON() : lineup;
+  return {
+    lineup: values,
+    card: lineupService.formatLineupCard(values, rosterById),
+    validation: lineupService.validateLineup(values, rosterById)
+  };
+};
+
+/**
+ * @route POST /api/v1/games/byId/:id/lineup/generate
+ * @description Proposes a lineup for a game from a depth chart. Each defensive
+ *              position goes to the top active player on the chart, with the next
+ *              player starting instead when only they have the platoon advantage
+ *              against the opposing starter. Builds a suggested batting order, the
+ *              DH (or the pitcher hitting when the DH is not used), bench and bullpen.
+ *              The proposal is not saved; edit it and save it with PUT /byId/:id/lineup.
+ * @access Private - Requires authentication
+ * @middleware protect - JWT authentication required
+ *
+ * @param {number} req.params.id - Game ID
+ * @param {number} [req.body.depth_chart_id] - Depth chart to use (default: the team's default chart)
+ * @param {boolean} [req.body.use_dh=true] - Whether the game uses the designated hitter
+ * @param {string} [req.body.opposing_starter_name] - Opposing starting pitcher
+ * @param {string} [req.body.opposing_starter_throws] - Opposing starter's arm ('L' or 'R')
+ *
+ * @returns {Object} response
+ * @returns {boolean} response.success - Operation success status
+ * @returns {Object} response.data.lineup - Proposed lineup (batting_order, starting_pitcher_id, bench, bullpen, platoon)
+ * @returns {Object} response.data.card - Lineup with player names, numbers and handedness
+ * @returns {Object} response.data.validation - { valid, errors, warnings }
+ *
+ * @throws {400} Validation failed - Invalid request body
+ * @throws {404} Not found - Game or depth chart not found
+ * @throws {500} Server error - Database query failure
+ */
+router.post('/byId/:id/lineup/generate', [
+  param('id').isInt().withMessage('Game ID must be an integer'),
+  body('depth_chart_id').optional().isInt({ min: 1 }).withMessage('depth_chart_id must be a positive integer'),
+  body('use_dh').optional().isBoolean().withMessage('use_dh must be a boolean'),
+  body('opposing_starter_name').optional().isString().isLength({ max: 100 }).withMessage('Opposing starter name must be at most 100 characters'),
+  body('opposing_starter_throws').optional().isIn(['L', 'R']).withMessage('Opposing starter throws must be L or R'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const game = await Game.findOne({
+      where: { id: req.params.id, team_id: req.user.team_id }
+    });
+
+    if (!game) {
+      return res.status(404).json({ success: false, error: 'Game not found' });
+    }
+
+    // Business logic: Use the requested chart, else the team's default, else the newest
+    const depthChart = await DepthChart.findOne({
+      where: {
+        team_id: req.user.team_id,
+        is_active: true,
+        ...(req.body.depth_chart_id ? { id: req.body.depth_chart_id } : {})
+      },
+      order: [['is_default', 'DESC'], ['created_at', 'DESC']]
+    });
+
+    if (!depthChart) {
+      return res.status(404).json({ success: false, error: 'Depth chart not found' });
+    }
+
+    const [chart, roster] = await Promise.all([
+      depthChartHistoryService.buildSnapshot(depthChart.id),
+      lineupService.getActiveRoster(req.user.team_id)
+    ]);
+
+    const lineup = {
+      game_id: game.id,
+      depth_chart_id: depthChart.id,
+      opposing_starter_name: req.body.opposing_starter_name || null,
+      opposing_starter_throws: req.body.opposing_starter_throws || null,
+      notes: null,
+      ...lineupService.generateLineup({
+        chart,
+        roster,
+        useDh: req.body.use_dh !== false,
+        opposingThrows: req.body.opposing_starter_throws
+      })
+    };
+
+    res.json({ success: true, data: buildLineupResponse(lineup, roster) });
+  } catch (error) {
+    console.error('Error generating lineup:', error);
+    res.status(500).json({ success: false, error: 'Failed to generate lineup' });
+  }
+});
+
+/**
+ * @route GET /api/v1/games/byId/:id/lineup
+ * @description Returns the lineup saved for a game with player details, handedness
+ *              against the opposing starter and a fresh rule check (roster changes since
+ *              the lineup was saved show up as errors).
+ * @access Private - Requires authentication
+ * @middleware protect - JWT authentication required
+ *
+ * @param {number} req.params.id - Game ID
+ *
+ * @returns {Object} response
+ * @returns {boolean} response.success - Operation success status
+ * @returns {Object} response.data - { lineup, card, validation }
+ *
+ * @throws {404} Not found - Game not found or no lineup saved
+ * @throws {500} Server error - Database query failure
+ */
+router.get('/byId/:id/lineup', [
+  param('id').isInt().withMessage('Game ID must be an integer'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const lineup = await GameLineup.findOne({
+      where: { game_id: req.params.id, team_id: req.user.team_id }
+    });
+
+    if (!lineup) {
+      return res.status(404).json({ success: false, error: 'No lineup saved for this game' });
+    }
+
+    const roster = await lineupService.getActiveRoster(req.user.team_id);
+    res.json({ success: true, data: buildLineupResponse(lineup, roster) });
+  } catch (error) {
+    console.error('Error fetching lineup:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch lineup' });
+  }
+});
+
+/**
+ * @route PUT /api/v1/games/byId/:id/lineup
+ * @description Saves the lineup for a game, replacing any saved lineup. The lineup must
+ *              pass the batting order, defensive position and DH rules; players must be
+ *              on the team's active roster.
+ * @access Private - Requires authentication
+ * @middleware protect - JWT authentication required
+ * @middleware validateLineupBody - Request shape validation
+ *
+ * @param {number} req.params.id - Game ID
+ * @param {Array<Object>} req.body.batting_order - [{ slot (1-9), player_id, position }]; position is
+ *   C, 1B, 2B, 3B, SS, LF, CF, RF, DH, or P when the pitcher bats
+ * @param {number} req.body.starting_pitcher_id - Starting pitcher
+ * @param {boolean} [req.body.use_dh=true] - Whether the game uses the designated hitter
+ * @param {Array<number>} [req.body.bench] - Available position-player substitutes
+ * @param {Array<number>} [req.body.bullpen] - Available relief pitchers
+ * @param {string} [req.body.opposing_starter_name] - Opposing starting pitcher
+ * @param {string} [req.body.opposing_starter_throws] - 'L' or 'R'
+ * @param {number} [req.body.depth_chart_id] - Depth chart the lineup came from
+ * @param {string} [req.body.notes] - Notes printed on the dugout card
+ *
+ * @returns {Object} response
+ * @returns {boolean} response.success - Operation success status
+ * @returns {string} response.message - Success confirmation message
+ * @returns {Object} response.data - { lineup, card, validation }
+ *
+ * @throws {400} Validation failed - Invalid request body, or the lineup breaks a lineup rule
+ *   (response.errors lists each problem)
+ * @throws {404} Not found - Game not found
+ * @throws {500} Server error - Database operation failure
+ */
+router.put('/byId/:id/lineup', [
+  param('id').isInt().withMessage('Game ID must be an integer'),
+  ...validateLineupBody,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const game = await Game.findOne({
+      where: { id: req.params.id, team_id: req.user.team_id }
+    });
+
+    if (!game) {
+      return res.status(404).json({ success: false, error: 'Game not found' });
+    }
+
+    const values = {
+      use_dh: req.body.use_dh !== false,
+      batting_order: req.body.batting_order.map(entry => ({
+        slot: parseInt(entry.slot, 10),
+        player_id: parseInt(entry.player_id, 10),
+        position: entry.position
+      })),
+      starting_pitcher_id: parseInt(req.body.starting_pitcher_id, 10),
+      bench: req.body.bench || [],
+      bullpen: req.body.bullpen || [],
+      opposing_starter_name: req.body.opposing_starter_name || null,
+      opposing_starter_throws: req.body.opposing_starter_throws || null,
+      depth_chart_id: req.body.depth_chart_id || null,
+      notes: req.body.notes || null
+    };
+
+    const roster = await lineupService.getActiveRoster(req.user.team_id);
+    const validation = lineupService.validateLineup(values, new Map(roster.map(player => [player.id, player])));
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Lineup is not valid',
+        errors: validation.errors,
+        warnings: validation.warnings
+      });
+    }
+
+    // Database: One lineup per game - update the saved lineup or create it
+    let lineup = await GameLineup.findOne({ where: { game_id: game.id } });
+    if (lineup) {
+      await lineup.update({ ...values, updated_by: req.user.id });
+    } else {
+      lineup = await GameLineup.create({
+        ...values,
+        game_id: game.id,
+        team_id: req.user.team_id,
+        created_by: req.user.id,
+        updated_by: req.user.id
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Lineup saved successfully',
+      data: buildLineupResponse(lineup, roster)
+    });
+  } catch (error) {
+    console.error('Error saving lineup:', error);
+    res.status(500).json({ success: false, error: 'Failed to save lineup' });
+  }
+});
+
+/**
+ * @route GET /api/v1/games/byId/:id/lineup/card
+ * @description Prints the saved lineup. The dugout card lists the batting order with
+ *              handedness against the opposing starter, starting pitcher, bench and
+ *              bullpen; the exchange card is the umpire plate-meeting card (starting
+ *              lineup and substitutes) in three copies.
+ * @access Private - Requires authentication
+ * @middleware protect - JWT authentication required
+ *
+ * @param {number} req.params.id - Game ID
+ * @param {string} [req.query.type=dugout] - 'dugout' or 'exchange'
+ * @param {string} [req.query.format=pdf] - 'pdf' or 'html'
+ *
+ * @returns {Buffer|string} PDF download or printable HTML page
+ *
+ * @throws {400} Validation failed - Invalid type or format
+ * @throws {404} Not found - Game not found or no lineup saved
+ * @throws {500} Server error - Rendering failure
+ */
+router.get('/byId/:id/lineup/card', [
+  param('id').isInt().withMessage('Game ID must be an integer'),
+  query('type').optional().isIn(['dugout', 'exchange']).withMessage('Type must be dugout or exchange'),
+  query('format').optional().isIn(['pdf', 'html']).withMessage('Format must be pdf or html'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const game = await Game.findOne({
+      where: { id: req.params.id, team_id: req.user.team_id },
+      include: [{ model: GameLineup, as: 'lineup' }]
+    });
+
+    if (!game) {
+      return res.status(404).json({ success: false, error: 'Game not found' });
+    }
+    if (!game.lineup) {
+      return res.status(404).json({ success: false, error: 'No lineup saved for this game' });
+    }
+
+    const [team, roster] = await Promise.all([
+      Team.findByPk(req.user.team_id),
+      lineupService.getActiveRoster(req.user.team_id)
+    ]);
+
+    const type = req.query.type || 'dugout';
+    const { card } = buildLineupResponse(game.lineup, roster);
+
+    if (req.query.format === 'html') {
+      return res.type('html').send(lineupCardService.renderLineupCardHtml(card, { game, team, type }));
+    }
+
+    const doc = lineupCardService.renderLineupCardPdf(card, { game, team, type });
+    const date = game.game_date ? new Date(game.game_date).toISOString().slice(0, 10) : game.id;
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${type === 'exchange' ? 'exchange-card' : 'lineup-card'}_${date}.pdf"`);
+    doc.pipe(res);
+  } catch (error) {
+    console.error('Error printing lineup card:', error);
+    res.status(500).json({ success: false, error: 'Failed to print lineup card' });
+  }
+});
+
+/**
+ * @description Fields accepted for each scoring event type; anything else in the
+ *              request body is ignored.
+ * @type {Object<string, Array<string>>}
+ */
+const SCORING_EVENT_FIELDS = {
+  pitch: ['result'],
+  play: ['result', 'fielders', 'location', 'runners', 'batter_to', 'reached_on', 'rbi'],
+  runner: ['reason', 'runners', 'fielders'],
+  substitution: ['kind', 'side', 'player_id', 'name', 'jersey_number', 'slot', 'position', 'base'],
+  final: []
+};
+
+/**
+ * @description Validation rules for runner movement listed on a play or runner event
+ * @type {Array<ValidationChain>}
+ */
+const validateScoringRunners = [
+  body('runners').optional().isArray({ max: 3 }).withMessage('Runners must be an array of up to 3 runners'),
+  body('runners.*.from').isInt({ min: 1, max: 3 }).withMessage('Runner from must be base 1-3').toInt(),
+  body('runners.*.to').optional({ nullable: true }).isInt({ min: 1, max: 4 }).withMessage('Runner to must be base 1-4 (4 = scored)').toInt(),
+  body('runners.*.out').optional().isBoolean().withMessage('Runner out must be a boolean').toBoolean(),
+  body('runners.*.fielders').optional().isArray().withMessage('Runner fielders must be an array of positions'),
+  body('runners.*.fielders.*').isIn(liveScoringService.POSITIONS).withMessage('Unknown fielder position'),
+  body('fielders').optional().isArray({ max: 6 }).withMessage('Fielders must be an array of positions'),
+  body('fielders.*').isIn(liveScoringService.POSITIONS).withMessage('Unknown fielder position')
+];
+
+/**
+ * @description Find a game of the user's team that can be scored live. Sends the 404 or
+ *              400 response itself and returns null when the game cannot be scored.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} Game instance
+ */
+const findScorableGame = async (req, res) => {
+  const game = await Game.findOne({
+    where: { id: req.params.id, team_id: req.user.team_id }
+  });
+
+  if (!game) {
+    res.status(404).json({ success: false, error: 'Game not found' });
+    return null;
+  }
+  if (game.source_system !== 'manual') {
+    res.status(400).json({ success: false, error: 'Live scoring is only available for games that are not synced from PrestoSports' });
+    return null;
+  }
+  return game;
+};
+
+/**
+ * @description Build the handler that records one type of scoring event
+ * @param {string} eventType - pitch, play, runner, substitution or final
+ * @returns {Function} Express route handler
+ */
+const recordScoringEvent = eventType => async (req, res) => {
+  try {
+    const game = await findScorableGame(req, res);
+    if (!game) {
+      return;
+    }
+
+    const payload = {};
+    for (const field of SCORING_EVENT_FIELDS[eventType]) {
+      if (req.body[field] !== undefined) {
+        payload[field] = req.body[field];
+      }
+    }
+
+    const result = await liveScoringService.recordEvent(game, eventType, payload, req.user.id);
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+    gameStreamService.publishGameUpdate(game.id, { source: 'manual', state: result.state });
+
+    res.json({ success: true, data: result });
+  } catch (error) {
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return res.status(409).json({
+        success: false,
+        error: 'Another event was recorded at the same time; refresh and try again'
+      });
+    }
+    console.error(`Error recording ${eventType} event:`, error);
+    res.status(500).json({ success: false, error: 'Failed to record scoring event' });
+  }
+};
+
+/**
+ * @route GET /api/v1/games/byId/:id/stream
+ * @description Live updates for a game as Server-Sent Events. The stream opens with a
+ *              `snapshot` event (score, line score, plays, box score and, once known,
+ *              the situation), then sends what changes each time the PrestoSports live
+ *              stats sync, live scoring or a game edit writes the game: `score`,
+ *              `situation`, `line_score`, `plays` (new plays), `plays_reset` (full list
+ *              after earlier plays changed) and `box_score` (changed stat lines). A
+ *              comment line is sent every 25 seconds to keep the connection open.
+ *              Reconnecting clients start over from a new snapshot.
+ *              Browsers' EventSource cannot set headers, so use the session cookie.
+ * @access Private - Requires authentication
+ * @middleware protect - JWT authentication required
+ *
+ * @param {number} req.params.id - Game ID
+ *
+ * @returns {text/event-stream} Game update events
+ *
+ * @throws {400} Validation failed - Invalid game ID
+ * @throws {404} Not found - Game doesn't exist or doesn't belong to user's team
+ * @throws {500} Server error - Database query failure
+ */
+router.get('/byId/:id/stream', [
+  param('id').isInt().withMessage('Game ID must be an integer'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const game = await Game.findOne({
+      where: { id: req.params.id, team_id: req.user.team_id },
+      attributes: ['id']
+    });
+
+    if (!game) {
+      return res.status(404).json({ success: false, error: 'Game not found' });
+    }
+
+    await gameStreamService.subscribe(game.id, req, res);
+  } catch (error) {
+    console.error('Error opening game stream:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ success: false, error: 'Failed to open game stream' });
+    } else {
+      res.end();
+    }
+  }
+});
+
+/**
+ * @route GET /api/v1/games/byId/:id/scoring
+ * @description Returns the live scoring state of a game (inning, count, bases, batter,
+ *              pitcher and pitch count, score, line score and current lineups) and its
+ *              event log.
+ * @access Private - Requires authentication
+ * @middleware protect - JWT authentication required
+ *
+ * @param {number} req.params.id - Game ID
+ *
+ * @returns {Object} response
+ * @returns {boolean} response.success - Operation success status
+ * @returns {Object} response.data - { state, event_count, last_event, events }
+ *
+ * @throws {400} Bad request - Game is synced from PrestoSports
+ * @throws {404} Not found - Game not found or scoring not started
+ * @throws {409} Conflict - The log no longer replays (e.g. a player left the roster)
+ * @throws {500} Server error - Database query failure
+ */
+router.get('/byId/:id/scoring', [
+  param('id').isInt().withMessage('Game ID must be an integer'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const game = await findScorableGame(req, res);
+    if (!game) {
+      return;
+    }
+
+    const scoring = await liveScoringService.getScoring(game);
+    if (!scoring) {
+      return res.status(404).json({ success: false, error: 'Scoring has not been started for this game' });
+    }
+    if (scoring.error) {
+      return res.status(scoring.status).json({ success: false, error: scoring.error });
+    }
+
+    res.json({ success: true, data: scoring });
+  } catch (error) {
+    console.error('Error fetching live scoring:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch live scoring' });
+  }
+});
+
+/**
+ * @route POST /api/v1/games/byId/:id/scoring
+ * @description Starts live scoring for a game with both lineups and starting pitchers.
+ *              The team lineup defaults to the lineup saved for the game. From then on
+ *              the game's score, play-by-play and the team's GameStatistic rows are
+ *              produced by scoring (stats already entered for the game are replaced).
+ * @access Private - Requires authentication
+ * @middleware protect - JWT authentication required
+ *
+ * @param {number} req.params.id - Game ID
+ * @param {number} [req.body.innings=9] - Regulation innings
+ * @param {boolean} [req.body.use_dh=true] - Whether the game uses the designated hitter
+ * @param {Object} [req.body.team] - { batting_order: [{ slot, player_id, position }], pitcher_id }
+ * @param {Object} req.body.opponent - { batting_order: [{ slot, name, jersey_number, position }],
+ *   pitcher: { name, jersey_number } }
+ *
+ * @returns {Object} response
+ * @returns {boolean} response.success - Operation success status
+ * @returns {Object} response.data - { state, event_count, last_event }
+ *
+ * @throws {400} Validation failed - Invalid lineups, or no team lineup given or saved
+ * @throws {404} Not found - Game not found
+ * @throws {409} Conflict - Scoring already started
+ * @throws {500} Server error - Database operation failure
+ */
+router.post('/byId/:id/scoring', [
+  param('id').isInt().withMessage('Game ID must be an integer'),
+  body('innings').optional().isInt({ min: 1, max: 9 }).withMessage('Innings must be between 1 and 9').toInt(),
+  body('use_dh').optional().isBoolean().withMessage('use_dh must be a boolean').toBoolean(),
+  body('team').optional().isObject().withMessage('Team must be an object'),
+  body('team.batting_order').optional().isArray({ min: 9, max: 9 }).withMessage('Team batting order must have 9 hitters'),
+  body('team.batting_order.*.slot').isInt({ min: 1, max: 9 }).withMessage('Batting order slot must be between 1 and 9').toInt(),
+  body('team.batting_order.*.player_id').isInt({ min: 1 }).withMessage('Batting order player_id must be a positive integer').toInt(),
+  body('team.batting_order.*.position').isIn(liveScoringService.POSITIONS).withMessage('Unknown batting order position'),
+  body('team.pitcher_id').optional().isInt({ min: 1 }).withMessage('Team pitcher_id must be a positive integer').toInt(),
+  body('opponent.batting_order').isArray({ min: 9, max: 9 }).withMessage('Opponent batting order must have 9 hitters'),
+  body('opponent.batting_order.*.slot').isInt({ min: 1, max: 9 }).withMessage('Batting order slot must be between 1 and 9').toInt(),
+  body('opponent.batting_order.*.name').optional({ nullable: true }).isString().isLength({ max: 100 }).withMessage('Opponent name must be at most 100 characters').trim(),
+  body('opponent.batting_order.*.jersey_number').optional({ nullable: true }).isLength({ max: 4 }).withMessage('Jersey number must be at most 4 characters'),
+  body('opponent.batting_order.*.position').optional({ nullable: true }).isIn(liveScoringService.POSITIONS).withMessage('Unknown batting order position'),
+  body('opponent.pitcher').isObject().withMessage('Opponent starting pitcher is required'),
+  body('opponent.pitcher.name').optional({ nullable: true }).isString().isLength({ max: 100 }).withMessage('Opponent pitcher name must be at most 100 characters').trim(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const game = await findScorableGame(req, res);
+    if (!game) {
+      return;
+    }
+
+    const result = await liveScoringService.startScoring(game, {
+      innings: req.body.innings || 9,
+      use_dh: req.body.use_dh,
+      team: req.body.team,
+      opponent: req.body.opponent
+    }, req.user.id);
+
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+    gameStreamService.publishGameUpdate(game.id, { source: 'manual', state: result.state });
+
+    res.status(201).json({
+      success: true,
+      message: 'Live scoring started',
+      data: result
+    });
+  } catch (error) {
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return res.status(409).json({
+        success: false,
+        error: 'Scoring has already been started for this game'
+      });
+    }
+    console.error('Error starting live scoring:', error);
+    res.status(500).json({ success: false, error: 'Failed to start live scoring' });
+  }
+});
+
+/**
+ * @route POST /api/v1/games/byId/:id/scoring/pitch
+ * @description Records a pitch to the current batter. Ball four, strike three and hit
+ *              by pitch complete the plate appearance; a ball in play waits for the play.
+ * @access Private - Requires authentication
+ *
+ * @param {string} req.body.result - ball, called_strike, swinging_strike, foul, in_play or hit_by_pitch
+ *
+ * @returns {Object} response.data - { state, event_count, last_event }
+ *
+ * @throws {400} Validation failed, or the pitch does not fit the situation
+ * @throws {404} Not found - Game not found
+ * @throws {409} Conflict - Scoring not started, or another event recorded at the same time
+ */
+router.post('/byId/:id/scoring/pitch', [
+  param('id').isInt().withMessage('Game ID must be an integer'),
+  body('result').isIn(liveScoringService.PITCH_RESULTS).withMessage(`Pitch result must be one of: ${liveScoringService.PITCH_RESULTS.join(', ')}`),
+  handleValidationErrors
+], recordScoringEvent('pitch'));
+
+/**
+ * @route POST /api/v1/games/byId/:id/scoring/play
+ * @description Records the result of the current plate appearance. Runners not listed
+ *              hold unless the batter or a runner behind them needs their base.
+ * @access Private - Requires authentication
+ *
+ * @param {string} req.body.result - 1B, 2B, 3B, HR, GO, FO, LO, PO, SF, SH, FC, E, CI, BB, IBB, HBP, KS or KL
+ * @param {Array<string>} [req.body.fielders] - Fielders in the order they handled the ball (e.g. ['SS', '2B', '1B'])
+ * @param {string} [req.body.location] - Where a hit went: a position or LC, RC, MID, LS, RS
+ * @param {Array<Object>} [req.body.runners] - [{ from, to, out, fielders }]; to 4 = scored
+ * @param {number} [req.body.batter_to] - Base the batter ended on when it differs from the result (0 = out)
+ * @param {string} [req.body.reached_on] - How the batter reached on a strikeout (default "a dropped third strike")
+ * @param {number} [req.body.rbi] - RBI when they differ from the runs that scored
+ *
+ * @returns {Object} response.data - { state, event_count, last_event }
+ *
+ * @throws {400} Validation failed, or the play does not fit the situation
+ * @throws {404} Not found - Game not found
+ * @throws {409} Conflict - Scoring not started, or another event recorded at the same time
+ */
+router.post('/byId/:id/scoring/play', [
+  param('id').isInt().withMessage('Game ID must be an integer'),
+  body('result').isIn(liveScoringService.PLAY_RESULTS).withMessage(`Play result must be one of: ${liveScoringService.PLAY_RESULTS.join(', ')}`),
+  body('location').optional({ nullable: true }).isIn(liveScoringService.LOCATIONS).withMessage('Unknown location'),
+  body('batter_to').optional({ nullable: true }).isInt({ min: 0, max: 4 }).withMessage('batter_to must be 0-4').toInt(),
+  body('reached_on').optional({ nullable: true }).isString().isLength({ max: 50 }).withMessage('reached_on must be at most 50 characters').trim(),
+  body('rbi').optional({ nullable: true }).isInt({ min: 0, max: 4 }).withMessage('RBI must be 0-4').toInt(),
+  ...validateScoringRunners,
+  handleValidationErrors
+], recordScoringEvent('play'));
+
+/**
+ * @route POST /api/v1/games/byId/:id/scoring/runner
+ * @description Records runner movement between pitches. Wild pitches, passed balls and
+ *              balks move every runner up one base when no runners are listed.
+ * @access Private - Requires authentication
+ *
+ * @param {string} req.body.reason - SB, CS, PK, WP, PB, BK, E (error) or ADV (other advance)
+ * @param {Array<Object>} [req.body.runners] - [{ from, to, out, fielders }]; to 4 = scored
+ * @param {Array<string>} [req.body.fielders] - Fielder charged with the error (reason E)
+ *
+ * @returns {Object} response.data - { state, event_count, last_event }
+ *
+ * @throws {400} Validation failed, or the movement does not fit the situation
+ * @throws {404} Not found - Game not found
+ * @throws {409} Conflict - Scoring not started, or another event recorded at the same time
+ */
+router.post('/byId/:id/scoring/runner', [
+  param('id').isInt().withMessage('Game ID must be an integer'),
+  body('reason').isIn(liveScoringService.RUNNER_REASONS).withMessage(`Reason must be one of: ${liveScoringService.RUNNER_REASONS.join(', ')}`),
+  ...validateScoringRunners,
+  handleValidationErrors
+], recordScoringEvent('runner'));
+
+/**
+ * @route POST /api/v1/games/byId/:id/scoring/substitution
+ * @description Records a substitution or lineup change for either side. A player who
+ *              leaves the game may not return, except a starter re-entering once in
+ *              their original batting slot.
+ * @access Private - Requires authentication
+ *
+ * @param {string} req.body.kind - pinch_hitter, pinch_runner, defensive, pitcher or position_change
+ * @param {string} [req.body.side=team] - 'team' or 'opponent'
+ * @param {number} [req.body.player_id] - Incoming team player
+ * @param {string} [req.body.name] - Incoming opponent player's name
+ * @param {string} [req.body.jersey_number] - Incoming opponent player's jersey number
+ * @param {number} [req.body.slot] - Batting slot (defensive and position changes)
+ * @param {string} [req.body.position] - New position (defensive and position changes)
+ * @param {number} [req.body.base] - Base of the runner being replaced (pinch runners)
+ *
+ * @returns {Object} response.data - { state, event_count, last_event }
+ *
+ * @throws {400} Validation failed, or the substitution is not allowed
+ * @throws {404} Not found - Game not found
+ * @throws {409} Conflict - Scoring not started, or another event recorded at the same time
+ */
+router.post('/byId/:id/scoring/substitution', [
+  param('id').isInt().withMessage('Game ID must be an integer'),
+  body('kind').isIn(liveScoringService.SUBSTITUTION_KINDS).withMessage(`Kind must be one of: ${liveScoringService.SUBSTITUTION_KINDS.join(', ')}`),
+  body('side').optional().isIn(['team', 'opponent']).withMessage('Side must be team or opponent'),
+  body('player_id').optional({ nullable: true }).isInt({ min: 1 }).withMessage('player_id must be a positive integer').toInt(),
+  body('name').optional({ nullable: true }).isString().isLength({ max: 100 }).withMessage('Name must be at most 100 characters').trim(),
+  body('jersey_number').optional({ nullable: true }).isLength({ max: 4 }).withMessage('Jersey number must be at most 4 characters'),
+  body('slot').optional({ nullable: true }).isInt({ min: 1, max: 9 }).withMessage('Slot must be between 1 and 9').toInt(),
+  body('position').optional({ nullable: true }).isIn(liveScoringService.POSITIONS).withMessage('Unknown position'),
+  body('base').optional({ nullable: true }).isInt({ min: 1, max: 3 }).withMessage('Base must be 1-3').toInt(),
+  handleValidationErrors
+], recordScoringEvent('substitution'));
+
+/**
+ * @route POST /api/v1/games/byId/:id/scoring/final
+ * @description Ends the game: sets the final score and result, marks the game completed
+ *              and assigns the winning and losing pitchers. Undo reopens the game.
+ * @access Private - Requires authentication
+ *
+ * @returns {Object} response.data - { state, event_count, last_event }
+ *
+ * @throws {400} The game cannot end with a ball in play
+ * @throws {404} Not found - Game not found
+ * @throws {409} Conflict - Scoring not started, or another event recorded at the same time
+ */
+router.post('/byId/:id/scoring/final', [
+  param('id').isInt().withMessage('Game ID must be an integer'),
+  handleValidationErrors
+], recordScoringEvent('final'));
+
+/**
+ * @route POST /api/v1/games/byId/:id/scoring/undo
+ * @description Removes the last scoring event and rebuilds the score, play-by-play and
+ *              stats without it. The start of scoring cannot be undone.
+ * @access Private - Requires authentication
+ *
+ * @returns {Object} response.data - { state, event_count, last_event, undone }
+ *
+ * @throws {400} Nothing to undo
+ * @throws {404} Not found - Game not found
+ * @throws {409} Conflict - The log without the last event no longer replays (e.g. a player left the roster)
+ * @throws {500} Server error - Database operation failure
+ */
+router.post('/byId/:id/scoring/undo', [
+  param('id').isInt().withMessage('Game ID must be an integer'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const game = await findScorableGame(req, res);
+    if (!game) {
+      return;
+    }
+
+    const result = await liveScoringService.undoLastEvent(game);
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+    gameStreamService.publishGameUpdate(game.id, { source: 'manual', state: result.state });
+
+    res.json({
+      success: true,
+      message: `Undid ${result.undone.event_type} event`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error undoing scoring event:', error);
+    res.status(500).json({ success: false, error: 'Failed to undo scoring event' });
+  }
+});
+
+/**
+ * @description Validation rules shared by the box score preview and import
+ * @type {Array<ValidationChain>}
+ */
+const validateBoxScoreImport = [
+  body('game_id').optional({ checkFalsy: true }).isInt({ min: 1 }).withMessage('game_id must be a positive integer').toInt(),
+  body('home_away').optional({ checkFalsy: true }).isIn(['home', 'away']).withMessage('home_away must be home or away'),
+  body('game_date').optional({ checkFalsy: true }).isISO8601().withMessage('game_date must be a date (YYYY-MM-DD)'),
+  body('matches').optional({ checkFalsy: true }).custom(value => {
+    const matches = typeof value === 'string' ? JSON.parse(value) : value;
+    if (!matches || typeof matches !== 'object' || Array.isArray(matches)) {
+      throw new Error('matches must be an object of player keys');
+    }
+    for (const playerId of Object.values(matches)) {
+      if (playerId !== null && !Number.isInteger(Number(playerId))) {
+        throw new Error('Each match must be a player id or null');
+      }
+    }
+    return true;
+  }).withMessage('matches must be a JSON object mapping player keys to player ids (or null to skip)'),
+  body('season').optional({ checkFalsy: true }).isLength({ max: 20 }).withMessage('Season must be at most 20 characters'),
+  body('season_name').optional({ checkFalsy: true }).isLength({ max: 100 }).withMessage('Season name must be at most 100 characters')
+];
+
+/**
+ * @description Read the uploaded box score and the import options from a request
+ * @param {Object} req - Express request object (multipart, file in field "file")
+ * @returns {{xml: string|null, options: Object}} File contents and import options
+ */
+const readBoxScoreUpload = (req) => {
+  const matches = req.body.matches;
+  return {
+    xml: req.file ? req.file.buffer.toString('utf8') : null,
+    options: {
+      gameId: req.body.game_id || null,
+      homeAway: req.body.home_away || null,
+      gameDate: req.body.game_date || null,
+      matches: matches ? (typeof matches === 'string' ? JSON.parse(matches) : matches) : {},
+      season: req.body.season || null,
+      seasonName: req.body.season_name || null
+    }
+  };
+};
+
+/**
+ * @route POST /api/v1/games/import/box-score/preview
+ * @description Reads a StatCrew/NCAA box score XML file and shows what importing it
+ *              would do, without saving: the game it creates or updates (found by date
+ *              and opponent), the score and result, and how each of the team's players
+ *              was matched to the roster (jersey and name, name, jersey only or
+ *              unmatched). Correct matches with `matches` and preview again, or import.
+ * @access Private - Requires authentication
+ * @middleware protect - JWT authentication required
+ * @middleware uploadBoxScore - Multipart upload, XML file in field "file" (5MB max)
+ *
+ * @param {File} req.file - Box score XML file
+ * @param {number} [req.body.game_id] - Game to update instead of matching by date and opponent
+ * @param {string} [req.body.home_away] - Whether the team was home or away, when the file's team names don't match
+ * @param {string} [req.body.game_date] - Game date when the file has none
+ * @param {string} [req.body.matches] - JSON object: player key ("<jersey>:<name>") to player id, or null to skip
+ *
+ * @returns {Object} response
+ * @returns {boolean} response.success - Operation success status
+ * @returns {Object} response.data - { game, team_name, opponent_name, plays, players, match_counts, opponent_players, warnings }
+ *
+ * @throws {400} Validation failed - Missing or unreadable file, or the team/game can't be determined
+ * @throws {404} Not found - game_id doesn't belong to the user's team
+ * @throws {409} Conflict - The game is being scored live
+ * @throws {500} Server error - Database query failure
+ */
+router.post('/import/box-score/preview', uploadBoxScore, handleUploadError, [
+  ...validateBoxScoreImport,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { xml, options } = readBoxScoreUpload(req);
+    if (!xml) {
+      return res.status(400).json({ success: false, error: 'Upload a box score XML file in the "file" field' });
+    }
+
+    const preview = await boxScoreImportService.previewImport(req.user.team_id, xml, options);
+    if (preview.error) {
+      return res.status(preview.status).json({ success: false, error: preview.error });
+    }
+
+    res.json({ success: true, data: preview });
+  } catch (error) {
+    console.error('Error previewing box score import:', error);
+    res.status(500).json({ success: false, error: 'Failed to preview box score import' });
+  }
+});
+
+/**
+ * @route POST /api/v1/games/import/box-score
+ * @description Imports a StatCrew/NCAA box score XML file: creates the game (or updates
+ *              the one found by date and opponent, or game_id), sets the score, result
+ *              and play-by-play, and replaces the game's GameStatistic rows for matched
+ *              players and its OpponentGameStat rows. Unmatched players are skipped.
+ *              Takes the same fields as the preview.
+ * @access Private - Requires authentication
+ * @middleware protect - JWT authentication required
+ * @middleware uploadBoxScore - Multipart upload, XML file in field "file" (5MB max)
+ *
+ * @param {File} req.file - Box score XML file
+ * @param {number} [req.body.game_id] - Game to update
+ * @param {string} [req.body.home_away] - Whether the team was home or away
+ * @param {string} [req.body.game_date] - Game date when the file has none
+ * @param {string} [req.body.matches] - JSON object: player key to player id, or null to skip
+ * @param {string} [req.body.season] - Season of a new game
+ * @param {string} [req.body.season_name] - Season name of a new game
+ *
+ * @returns {Object} response
+ * @returns {boolean} response.success - Operation success status
+ * @returns {string} response.message - Success confirmation message
+ * @returns {Object} response.data - Preview fields plus { game_id, stats_imported, opponent_stats_imported }
+ *
+ * @throws {400} Validation failed - Missing or unreadable file, or the team/game can't be determined
+ * @throws {404} Not found - game_id doesn't belong to the user's team
+ * @throws {409} Conflict - The game is being scored live
+ * @throws {500} Server error - Database operation failure
+ */
+router.post('/import/box-score', uploadBoxScore, handleUploadError, [
+  ...validateBoxScoreImport,
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { xml, options } = readBoxScoreUpload(req);
+    if (!xml) {
+      return res.status(400).json({ success: false, error: 'Upload a box score XML file in the "file" field' });
+    }
+
+    const result = await boxScoreImportService.commitImport(req.user.team_id, xml, options, req.user.id);
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+    gameStreamService.publishGameUpdate(result.game_id, { source: 'manual' });
+
+    res.status(result.game.action === 'create' ? 201 : 200).json({
+      success: true,
+      message: `Box score imported: ${result.stats_imported} player line(s), ${result.opponent_stats_imported} opponent line(s)`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error importing box score:', error);
+    res.status(500).json({ success: false, error: 'Failed to import box score' });
+  }
+});
+
 module.exports = router;
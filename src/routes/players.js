@@ -9,17 +9,23 @@
  * @requires sequelize
  * @requires ../models
  * @requires ../middleware/auth
+ * @requires ../middleware/permissions
  * @requires ../middleware/upload
+ * @requires ../services/streakService
  */
 
 const express = require('express');
 const { body, query, validationResult } = require('express-validator');
 const { Op } = require('sequelize');
-const { Player, Team, User, ScoutingReport, PlayerSeasonStats, PlayerCareerStats, PlayerVideo, GameStatistic, Game } = require('../models');
+const { Player, Team, User, ScoutingReport, PlayerSeasonStats, PlayerCareerStats, PlayerVideo, GameStatistic, Game, Prospect } = require('../models');
 const { protect } = require('../middleware/auth');
+const { checkPermission } = require('../middleware/permissions');
 const { sequelize } = require('../config/database');
 const { uploadVideo, handleUploadError } = require('../middleware/upload');
 const { createSortValidators, buildOrderClause } = require('../utils/sorting');
+const situationalSplitsService = require('../services/situationalSplitsService');
+const advancedStatsService = require('../services/advancedStatsService');
+const streakService = require('../services/streakService');
 const path = require('path');
 const fs = require('fs');
 
@@ -172,6 +178,7 @@ router.get('/', createSortValidators('players'), async (req, res) => {
  * @returns {Object} response.data.Team - Associated team info (id, name, program_name)
  * @returns {Object} response.data.Creator - User who created the player record
  * @returns {Array<Object>} response.data.ScoutingReports - 5 most recent scouting reports with author info
+ * @returns {Object|null} response.data.prospect - Recruiting record the player was promoted from, if any
  *
  * @throws {404} Not found - Player doesn't exist or doesn't belong to user's team
  * @throws {500} Server error - Database query failure
@@ -204,6 +211,12 @@ router.get('/byId/:id', async (req, res) => {
             model: User,
             attributes: ['id', 'first_name', 'last_name']
           }]
+        },
+        {
+          // Business logic: Recruiting record of a player promoted from the prospect board
+          model: Prospect,
+          as: 'prospect',
+          attributes: ['id', 'school_name', 'school_type', 'source', 'status', 'promoted_at']
         }
       ]
     });
@@ -633,7 +646,10 @@ router.get('/stats/summary', async (req, res) => {
  * @route GET /api/players/byId/:id/stats
  * @description Retrieves season and career statistics for a specific player from
  *              PlayerSeasonStats and PlayerCareerStats tables (populated by PrestoSports sync).
- *              Optionally filters by season.
+ *              Optionally filters by season. Season rows include the derived sabermetric
+ *              stats (wOBA, wRC+, FIP, ...), which are calculated by the season stats sync
+ *              and POST /advanced-stats/recalculate; seasons that have never had them
+ *              calculated are listed in `stale_seasons` (their derived stats are null).
  * @access Private - Requires authentication
  * @middleware protect - JWT authentication required
  *
@@ -646,6 +662,8 @@ router.get('/stats/summary', async (req, res) => {
  * @returns {Object|null} response.data.current_season - Most recent season stats
  * @returns {Array} response.data.seasons - All season stats (DESC)
  * @returns {Object|null} response.data.career - Career stats
+ * @returns {boolean} response.data.advanced_stats_stale - Whether any season's derived stats are missing
+ * @returns {Array<string>} response.data.stale_seasons - Seasons whose derived stats need a recalculation
  *
  * @throws {404} Player not found or not on user's team
  * @throws {500} Server error
@@ -680,6 +698,11 @@ router.get('/byId/:id/stats', async (req, res) => {
       order: [['season', 'DESC']]
     });
 
+    // Business logic: Read-only; seasons without derived stats are reported, not calculated here
+    const staleSeasons = [...new Set(seasons
+      .filter(season => !season.advanced_stats_computed_at)
+      .map(season => season.season))];
+
     const career = await PlayerCareerStats.findOne({
       where: { player_id: player.id }
     });
@@ -690,7 +713,9 @@ router.get('/byId/:id/stats', async (req, res) => {
         player,
         current_season: seasons.length > 0 ? seasons[0] : null,
         seasons,
-        career: career || null
+        career: career || null,
+        advanced_stats_stale: staleSeasons.length > 0,
+        stale_seasons: staleSeasons
       }
     });
   } catch (error) {
@@ -702,6 +727,189 @@ router.get('/byId/:id/stats', async (req, res) => {
   }
 });
 
+/**
+ * @route POST /api/players/advanced-stats/recalculate
+ * @description Recalculates the derived sabermetric stats (wOBA, wRC+, OPS+, ISO, BABIP,
+ *              K%, BB%, FIP, xFIP, ERA-, FIP-, K-BB%) for every player on the team for a
+ *              season, using the current conference constants and the team's park factor.
+ *              Runs automatically after a season stats sync.
+ * @access Private - Requires authentication and team_settings permission
+ * @middleware protect - JWT authentication required
+ * @middleware checkPermission('team_settings') - Team settings permission required
+ *
+ * @param {string} [req.body.season] - Season to recalculate (defaults to the most recent)
+ *
+ * @returns {Object} response
+ * @returns {boolean} response.success
+ * @returns {Object} response.data - { season, scope, constants, park_factor, updated }
+ *
+ * @throws {400} Validation error - Invalid season
+ * @throws {403} Forbidden - Missing team_settings permission
+ * @throws {404} No season stats to recalculate
+ * @throws {500} Server error
+ */
+router.post('/advanced-stats/recalculate', [
+  checkPermission('team_settings'),
+  body('season').optional().isString().trim().isLength({ min: 1, max: 50 }).withMessage('Season must be 1-50 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    let season = req.body.season;
+    if (!season) {
+      const latest = await PlayerSeasonStats.findOne({
+        where: { team_id: req.user.team_id },
+        order: [['season', 'DESC']],
+        attributes: ['season']
+      });
+      season = latest ? latest.season : null;
+    }
+
+    if (!season) {
+      return res.status(404).json({
+        success: false,
+        error: 'No season stats to recalculate'
+      });
+    }
+
+    const result = await advancedStatsService.recalculateTeamSeason(req.user.team_id, season);
+
+    res.json({
+      success: true,
+      message: `Advanced stats recalculated for ${result.updated} players`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Recalculate advanced stats error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while recalculating advanced stats'
+    });
+  }
+});
+
+/**
+ * @description Validation for the streak routes
+ * @type {Array<Function>}
+ */
+const validateStreakQuery = [
+  query('season').optional().isString().trim().isLength({ min: 1, max: 20 }).withMessage('Season must be 1-20 characters'),
+  query('window').optional().isInt({ min: 3, max: 20 }).withMessage('Window must be 3-20 games').toInt()
+];
+
+/**
+ * @route GET /api/players/streaks
+ * @description The team's "who's hot" list from the season's box scores: players whose
+ *              on-base rate over the last games (baserunners allowed for pitchers) is a
+ *              significant surge or slump against the rest of their season, and current
+ *              hitting, on-base and scoreless-innings streaks.
+ * @access Private - Requires authentication
+ * @middleware protect - JWT authentication required
+ *
+ * @param {string} [req.query.season] - Season (defaults to the season of the latest game)
+ * @param {number} [req.query.window=7] - Games in the rolling window (3-20)
+ *
+ * @returns {Object} response
+ * @returns {boolean} response.success
+ * @returns {Object} response.data - { season, window_games, team_rates, hot, cold, streaks, players }
+ *
+ * @throws {400} Validation error - Invalid season or window
+ * @throws {404} No games to look at
+ * @throws {500} Server error
+ */
+router.get('/streaks', validateStreakQuery, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const report = await streakService.getTeamStreaks(req.user.team_id, {
+      season: req.query.season,
+      window: req.query.window
+    });
+
+    if (!report) {
+      return res.status(404).json({ success: false, error: 'No games found' });
+    }
+
+    res.json({ success: true, data: report });
+  } catch (error) {
+    console.error('Get streaks error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while finding streaks'
+    });
+  }
+});
+
+/**
+ * @route POST /api/players/streaks/notify
+ * @description Builds the "who's hot" list and emails it to team members who receive
+ *              player update notifications (not the requesting user). Nothing is sent
+ *              when nobody is hot, cold or on a streak.
+ * @access Private - Requires authentication
+ * @middleware protect - JWT authentication required
+ *
+ * @param {string} [req.query.season] - Season (defaults to the season of the latest game)
+ * @param {number} [req.query.window=7] - Games in the rolling window (3-20)
+ *
+ * @returns {Object} response
+ * @returns {boolean} response.success
+ * @returns {string} response.message - How many team members were notified
+ * @returns {Object} response.data - Same as GET /streaks, plus notified
+ *
+ * @throws {400} Validation error - Invalid season or window
+ * @throws {404} No games to look at
+ * @throws {500} Server error
+ */
+router.post('/streaks/notify', validateStreakQuery, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const report = await streakService.getTeamStreaks(req.user.team_id, {
+      season: req.query.season,
+      window: req.query.window,
+      notify: true,
+      userId: req.user.id
+    });
+
+    if (!report) {
+      return res.status(404).json({ success: false, error: 'No games found' });
+    }
+
+    res.json({
+      success: true,
+      message: `Streak notification sent to ${report.notified} team member(s)`,
+      data: report
+    });
+  } catch (error) {
+    console.error('Notify streaks error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while sending the streak notification'
+    });
+  }
+});
+
 /**
  * @route GET /api/players/byId/:id/videos
  * @description Retrieves videos for a specific player with pagination and optional type filter.
@@ -1067,9 +1275,25 @@ router.get('/performance', [
 /**
  * GET /api/v1/players/byId/:id/splits
  * Returns split stats (home/away/conf/situational) for a player.
+ *
+ * `splits` holds the PrestoSports splits from the latest season stats sync.
+ * `situational` is computed from the play-by-play of the team's games (synced or
+ * scored by hand) and is present whenever the player has plate appearances in it;
+ * `?season=` limits it to one season.
  */
-router.get('/byId/:id/splits', async (req, res) => {
+router.get('/byId/:id/splits', [
+  query('season').optional().isString().trim().isLength({ min: 1, max: 20 })
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
     const player = await Player.findOne({
       where: { id: req.params.id, team_id: req.user.team_id }
     });
@@ -1083,6 +1307,10 @@ router.get('/byId/:id/splits', async (req, res) => {
       order: [['created_at', 'DESC']]
     });
 
+    const situational = await situationalSplitsService.getSituationalSplits(player, {
+      season: req.query.season
+    });
+
     if (!seasonStats || !seasonStats.split_stats) {
       return res.json({
         success: true,
@@ -1090,7 +1318,8 @@ router.get('/byId/:id/splits', async (req, res) => {
           player_id: player.id,
           player_name: `${player.first_name} ${player.last_name}`,
           splits: null,
-          message: 'No split stats available. Sync with PrestoSports to populate.'
+          situational,
+          ...(situational ? {} : { message: 'No split stats available. Sync with PrestoSports or record play-by-play to populate.' })
         }
       });
     }
@@ -1105,7 +1334,8 @@ router.get('/byId/:id/splits', async (req, res) => {
         splits: {
           overall: seasonStats.raw_stats || {},
           ...seasonStats.split_stats
-        }
+        },
+        situational
       }
     });
   } catch (error) {
@@ -1114,6 +1344,53 @@ router.get('/byId/:id/splits', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/v1/players/byId/:id/streaks
+ * Returns a player's hitting, on-base and scoreless-innings streaks and rolling-window
+ * trends for a season (see GET /streaks). `?season=` and `?window=` as there.
+ */
+router.get('/byId/:id/streaks', validateStreakQuery, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const player = await Player.findOne({
+      where: { id: req.params.id, team_id: req.user.team_id }
+    });
+
+    if (!player) {
+      return res.status(404).json({ success: false, error: 'Player not found' });
+    }
+
+    const streaks = await streakService.getPlayerStreaks(req.user.team_id, player.id, {
+      season: req.query.season,
+      window: req.query.window
+    });
+
+    if (!streaks) {
+      return res.status(404).json({ success: false, error: 'No games found' });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        player_id: player.id,
+        player_name: `${player.first_name} ${player.last_name}`,
+        ...streaks
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching player streaks:', error);
+    res.status(500).json({ success: false, error: 'Error fetching player streaks' });
+  }
+});
+
 /**
  * GET /api/v1/players/byId/:id/stats/raw
  * Returns the full 214-key Presto stats object.
@@ -4,10 +4,16 @@ const express = require('express');
 const fs = require('fs');
 const { body, query, param, validationResult } = require('express-validator');
 const { Op } = require('sequelize');
-const { Prospect, ProspectMedia, User, ScoutingReport, Team } = require('../models');
+const { Prospect, ProspectMedia, ProspectContact, User, ScoutingReport, Team, Player } = require('../models');
 const { convertReportGrades, toNumericGrade, GRADE_FIELDS } = require('../utils/gradeConverter');
 const { protect } = require('../middleware/auth');
-const { uploadProspectMedia, handleUploadError } = require('../middleware/upload');
+const { checkPermission } = require('../middleware/permissions');
+const { uploadProspectMedia, uploadProspectCsv, handleUploadError } = require('../middleware/upload');
+const recruitingComplianceService = require('../services/recruitingComplianceService');
+const prospectPipelineService = require('../services/prospectPipelineService');
+const prospectDuplicateService = require('../services/prospectDuplicateService');
+const prospectImportService = require('../services/prospectImportService');
+const prospectPromotionService = require('../services/prospectPromotionService');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -33,7 +39,8 @@ router.post('/', [
   body('sat_score').optional().isInt({ min: 400, max: 1600 }),
   body('act_score').optional().isInt({ min: 1, max: 36 }),
   body('fastball_velocity').optional().isInt({ min: 40, max: 110 }),
-  body('exit_velocity').optional().isInt({ min: 40, max: 130 })
+  body('exit_velocity').optional().isInt({ min: 40, max: 130 }),
+  body('allow_duplicate').optional().isBoolean().toBoolean()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -41,13 +48,26 @@ router.post('/', [
       return res.status(400).json({ success: false, error: 'Validation failed', details: errors.array() });
     }
 
+    const { allow_duplicate: allowDuplicate, ...prospectData } = req.body;
+
+    // Refuse likely duplicates unless the coach confirms it's a different player
+    const duplicates = await prospectDuplicateService.findDuplicates(req.user.team_id, prospectData);
+    if (!allowDuplicate && duplicates.some(duplicate => duplicate.level === 'likely')) {
+      return res.status(409).json({
+        success: false,
+        error: 'This prospect looks like one already on your board. Merge them or resend with allow_duplicate.',
+        duplicates
+      });
+    }
+
     const prospect = await Prospect.create({
-      ...req.body,
+      ...prospectData,
       team_id: req.user.team_id,
       created_by: req.user.id
     });
+    await prospectPipelineService.addToPipeline(prospect, req.user.id);
 
-    res.status(201).json({ success: true, data: prospect });
+    res.status(201).json({ success: true, data: prospect, possible_duplicates: duplicates });
   } catch (error) {
     logger.error('Create prospect error:', error);
     res.status(500).json({ success: false, error: 'Server error while creating prospect' });
@@ -120,6 +140,191 @@ router.get('/', [
   }
 });
 
+// GET /pipeline — Kanban board: a column per status, cards in drag order
+router.get('/pipeline', [
+  query('graduation_year').optional().isInt({ min: 2020, max: 2035 }).toInt(),
+  query('primary_position').optional().isIn(['P', 'C', '1B', '2B', '3B', 'SS', 'LF', 'CF', 'RF', 'OF', 'DH', 'UTL']),
+  query('school_type').optional().isIn(['HS', 'JUCO', 'D1', 'D2', 'D3', 'NAIA', 'Independent'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, error: 'Validation failed', details: errors.array() });
+    }
+
+    const board = await prospectPipelineService.getBoard(req.user.team_id, req.query);
+
+    res.json({ success: true, data: board });
+  } catch (error) {
+    logger.error('Get prospect pipeline error:', error);
+    res.status(500).json({ success: false, error: 'Server error while fetching pipeline' });
+  }
+});
+
+// GET /pipeline/analytics — funnel conversion, time in stage and open offers
+router.get('/pipeline/analytics', [
+  query('graduation_year').optional().isInt({ min: 2020, max: 2035 }).toInt(),
+  query('primary_position').optional().isIn(['P', 'C', '1B', '2B', '3B', 'SS', 'LF', 'CF', 'RF', 'OF', 'DH', 'UTL'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, error: 'Validation failed', details: errors.array() });
+    }
+
+    const analytics = await prospectPipelineService.getPipelineAnalytics(req.user.team_id, req.query);
+
+    res.json({ success: true, data: analytics });
+  } catch (error) {
+    logger.error('Get prospect pipeline analytics error:', error);
+    res.status(500).json({ success: false, error: 'Server error while fetching pipeline analytics' });
+  }
+});
+
+// GET /duplicates — groups of prospects that look like the same player
+router.get('/duplicates', [
+  query('level').optional().isIn(['likely', 'possible'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, error: 'Validation failed', details: errors.array() });
+    }
+
+    const result = await prospectDuplicateService.scanDuplicates(req.user.team_id, req.query);
+
+    res.json({ success: true, data: result });
+  } catch (error) {
+    logger.error('Scan prospect duplicates error:', error);
+    res.status(500).json({ success: false, error: 'Server error while scanning for duplicates' });
+  }
+});
+
+// Multipart fields arrive as strings; mapping and row_actions are JSON objects
+const parseJsonField = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+const jsonObject = (value) => {
+  const parsed = parseJsonField(value);
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('Must be a JSON object');
+  }
+  return true;
+};
+
+const importValidation = [
+  body('mapping').optional().custom(jsonObject),
+  body('row_actions').optional().custom(jsonObject),
+  body('on_duplicate').optional().isIn(prospectImportService.ON_DUPLICATE_ACTIONS),
+  body('source').optional().isLength({ max: 100 })
+];
+
+const readImportUpload = (req) => ({
+  csv: req.file ? req.file.buffer.toString('utf8') : null,
+  options: {
+    fileName: req.file ? req.file.originalname : null,
+    source: req.body.source || null,
+    onDuplicate: req.body.on_duplicate || 'update',
+    mapping: req.body.mapping ? parseJsonField(req.body.mapping) : {},
+    rowActions: req.body.row_actions ? parseJsonField(req.body.row_actions) : {}
+  }
+});
+
+// POST /imports/preview — dry run of a CSV import: column mapping, normalized rows, errors and duplicate matches
+router.post('/imports/preview', uploadProspectCsv, handleUploadError, importValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, error: 'Validation failed', details: errors.array() });
+    }
+
+    const { csv, options } = readImportUpload(req);
+    if (!csv) {
+      return res.status(400).json({ success: false, error: 'Upload a CSV file in the "file" field' });
+    }
+
+    const preview = await prospectImportService.previewImport(req.user.team_id, csv, options);
+    if (preview.error) {
+      return res.status(preview.status).json({ success: false, error: preview.error, details: preview.details });
+    }
+
+    res.json({ success: true, data: preview });
+  } catch (error) {
+    logger.error('Preview prospect import error:', error);
+    res.status(500).json({ success: false, error: 'Server error while previewing import' });
+  }
+});
+
+// POST /imports — import prospects from a CSV file and record the import job
+router.post('/imports', uploadProspectCsv, handleUploadError, importValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, error: 'Validation failed', details: errors.array() });
+    }
+
+    const { csv, options } = readImportUpload(req);
+    if (!csv) {
+      return res.status(400).json({ success: false, error: 'Upload a CSV file in the "file" field' });
+    }
+
+    const job = await prospectImportService.commitImport(req.user.team_id, csv, options, req.user.id);
+    if (job.error) {
+      return res.status(job.status).json({ success: false, error: job.error, details: job.details });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Import ${job.status}: ${job.created_count} created, ${job.updated_count} updated, ` +
+        `${job.skipped_count} skipped, ${job.failed_count} failed`,
+      data: job
+    });
+  } catch (error) {
+    logger.error('Import prospects error:', error);
+    res.status(500).json({ success: false, error: 'Server error while importing prospects' });
+  }
+});
+
+// GET /imports — past imports, newest first
+router.get('/imports', [
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, error: 'Validation failed', details: errors.array() });
+    }
+
+    const imports = await prospectImportService.listImports(req.user.team_id, req.query);
+
+    res.json({ success: true, data: imports });
+  } catch (error) {
+    logger.error('Get prospect imports error:', error);
+    res.status(500).json({ success: false, error: 'Server error while fetching imports' });
+  }
+});
+
+// GET /imports/:importId — one import with its per-row results
+router.get('/imports/:importId', [
+  param('importId').isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, error: 'Validation failed', details: errors.array() });
+    }
+
+    const job = await prospectImportService.getImport(req.user.team_id, req.params.importId);
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Import not found' });
+    }
+
+    res.json({ success: true, data: job });
+  } catch (error) {
+    logger.error('Get prospect import error:', error);
+    res.status(500).json({ success: false, error: 'Server error while fetching import' });
+  }
+});
+
 // GET /:id — get single prospect
 router.get('/:id', [
   param('id').isInt({ min: 1 })
@@ -134,7 +339,8 @@ router.get('/:id', [
       where: { id: req.params.id, team_id: req.user.team_id },
       include: [
         { model: User, as: 'Creator', attributes: ['id', 'first_name', 'last_name'] },
-        { model: ProspectMedia, as: 'media' }
+        { model: ProspectMedia, as: 'media' },
+        { model: Player, as: 'player', attributes: ['id', 'first_name', 'last_name', 'jersey_number', 'position', 'status'] }
       ]
     });
 
@@ -172,10 +378,26 @@ router.put('/:id', [
       return res.status(404).json({ success: false, error: 'Prospect not found' });
     }
 
-    // Don't allow changing team_id or created_by
-    const { team_id: _t, created_by: _c, ...updateData } = req.body;
+    // Don't allow changing team_id or created_by; board fields move through the pipeline
+    // and the roster link is set by promotion
+    const {
+      team_id: _t,
+      created_by: _c,
+      pipeline_order: _o,
+      stage_entered_at: _e,
+      player_id: _p,
+      promoted_at: _pa,
+      promoted_by: _pb,
+      status,
+      ...updateData
+    } = req.body;
     await prospect.update(updateData);
 
+    if (status && status !== prospect.status) {
+      await prospectPipelineService.moveProspect(req.user.team_id, prospect.id, { status }, req.user.id);
+      await prospect.reload();
+    }
+
     res.json({ success: true, data: prospect });
   } catch (error) {
     logger.error('Update prospect error:', error);
@@ -200,6 +422,12 @@ router.delete('/:id', [
     if (!prospect) {
       return res.status(404).json({ success: false, error: 'Prospect not found' });
     }
+    if (prospect.player_id) {
+      return res.status(409).json({
+        success: false,
+        error: 'Prospect is on the roster; its recruiting record is kept with the player'
+      });
+    }
 
     await prospect.destroy();
 
@@ -210,6 +438,171 @@ router.delete('/:id', [
   }
 });
 
+// PUT /:id/pipeline — move a card to another stage and/or position on the board
+router.put('/:id/pipeline', [
+  param('id').isInt({ min: 1 }),
+  body('status').optional().isIn(['identified', 'evaluating', 'contacted', 'visiting', 'offered', 'committed', 'signed', 'passed']),
+  body('position').optional().isInt({ min: 0 }).toInt(),
+  body('note').optional().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, error: 'Validation failed', details: errors.array() });
+    }
+
+    if (req.body.status === undefined && req.body.position === undefined) {
+      return res.status(400).json({ success: false, error: 'Either status or position is required' });
+    }
+
+    const result = await prospectPipelineService.moveProspect(req.user.team_id, req.params.id, req.body, req.user.id);
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    res.json({ success: true, data: result.prospect, transition: result.transition });
+  } catch (error) {
+    logger.error('Move prospect in pipeline error:', error);
+    res.status(500).json({ success: false, error: 'Server error while moving prospect' });
+  }
+});
+
+// GET /:id/stage-history — stage transitions, oldest first
+router.get('/:id/stage-history', [
+  param('id').isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, error: 'Validation failed', details: errors.array() });
+    }
+
+    const history = await prospectPipelineService.getStageHistory(req.user.team_id, req.params.id);
+    if (!history) {
+      return res.status(404).json({ success: false, error: 'Prospect not found' });
+    }
+
+    res.json({ success: true, data: history });
+  } catch (error) {
+    logger.error('Get prospect stage history error:', error);
+    res.status(500).json({ success: false, error: 'Server error while fetching stage history' });
+  }
+});
+
+// GET /:id/duplicates — other prospects that look like this one, best match first
+router.get('/:id/duplicates', [
+  param('id').isInt({ min: 1 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, error: 'Validation failed', details: errors.array() });
+    }
+
+    const prospect = await Prospect.findOne({
+      where: { id: req.params.id, team_id: req.user.team_id }
+    });
+
+    if (!prospect) {
+      return res.status(404).json({ success: false, error: 'Prospect not found' });
+    }
+
+    const duplicates = await prospectDuplicateService.findDuplicates(req.user.team_id, prospect, {
+      excludeIds: [prospect.id]
+    });
+
+    res.json({ success: true, data: duplicates });
+  } catch (error) {
+    logger.error('Get prospect duplicates error:', error);
+    res.status(500).json({ success: false, error: 'Server error while fetching duplicates' });
+  }
+});
+
+// POST /:id/merge — merge a duplicate (source_id) into this prospect and delete it
+router.post('/:id/merge', [
+  param('id').isInt({ min: 1 }).toInt(),
+  body('source_id').isInt({ min: 1 }).toInt(),
+  body('use_source_fields').optional().isArray(),
+  body('use_source_fields.*').isIn(prospectDuplicateService.MERGE_FIELDS)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, error: 'Validation failed', details: errors.array() });
+    }
+
+    const result = await prospectDuplicateService.mergeProspects(
+      req.user.team_id,
+      req.params.id,
+      req.body.source_id,
+      { use_source_fields: req.body.use_source_fields },
+      req.user.id
+    );
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    res.json({
+      success: true,
+      data: result.prospect,
+      merged_prospect_id: result.merged_prospect_id,
+      fields_from_source: result.fields_from_source,
+      moved: result.moved
+    });
+  } catch (error) {
+    logger.error('Merge prospects error:', error);
+    res.status(500).json({ success: false, error: 'Server error while merging prospects' });
+  }
+});
+
+// POST /:id/promote — put a signed prospect on the roster, creating a player or linking an existing one
+router.post('/:id/promote', [
+  param('id').isInt({ min: 1 }).toInt(),
+  body('player_id').optional().isInt({ min: 1 }).toInt(),
+  body('position').optional().isIn(prospectPromotionService.PLAYER_POSITIONS),
+  body('jersey_number').optional().isInt({ min: 0, max: 99 }).toInt(),
+  body('class_year').optional().isIn(['FR', 'SO', 'JR', 'SR', 'GR']),
+  body('allow_duplicate').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, error: 'Validation failed', details: errors.array() });
+    }
+
+    const { player_id, position, jersey_number, class_year, allow_duplicate } = req.body;
+    const result = await prospectPromotionService.promoteProspect(
+      req.user.team_id,
+      req.params.id,
+      { player_id, position, jersey_number, class_year, allow_duplicate },
+      req.user.id
+    );
+    if (result.error) {
+      const response = { success: false, error: result.error };
+      if (result.candidates) {
+        response.candidates = result.candidates;
+      }
+      if (result.player_id) {
+        response.player_id = result.player_id;
+      }
+      return res.status(result.status).json(response);
+    }
+
+    res.status(result.created ? 201 : 200).json({
+      success: true,
+      data: result.player,
+      prospect_id: result.prospect.id,
+      created: result.created,
+      carried_over: result.carried_over,
+      skipped_fields: result.skipped_fields,
+      message: result.created ? 'Prospect added to the roster' : 'Prospect linked to roster player'
+    });
+  } catch (error) {
+    logger.error('Promote prospect error:', error);
+    res.status(500).json({ success: false, error: 'Server error while promoting prospect' });
+  }
+});
+
 // POST /:id/scouting-reports -- create scouting report for prospect
 router.post('/:id/scouting-reports', [
   param('id').isInt({ min: 1 })
@@ -437,4 +830,149 @@ router.delete('/:id/media/:mediaId', [
   }
 });
 
+const contactValidation = [
+  param('id').isInt({ min: 1 }),
+  body('contact_type').isIn(recruitingComplianceService.CONTACT_TYPES),
+  body('contact_date').isISO8601(),
+  body('contacted_by').optional().isInt({ min: 1 }).toInt(),
+  body('location').optional().isLength({ max: 200 }),
+  body('duration_minutes').optional().isInt({ min: 0, max: 1440 }).toInt(),
+  body('notes').optional().isLength({ max: 5000 })
+];
+
+// Resolve the prospect and the staff member for a contact request; sends the error response itself
+const findContactTargets = async (req, res) => {
+  const prospect = await Prospect.findOne({
+    where: { id: req.params.id, team_id: req.user.team_id }
+  });
+
+  if (!prospect) {
+    res.status(404).json({ success: false, error: 'Prospect not found' });
+    return null;
+  }
+
+  if (req.body.contacted_by) {
+    const staff = await User.findOne({ where: { id: req.body.contacted_by, team_id: req.user.team_id } });
+    if (!staff) {
+      res.status(400).json({ success: false, error: 'contacted_by must be a member of your team' });
+      return null;
+    }
+  }
+
+  return prospect;
+};
+
+// GET /:id/contacts — contact log for a prospect, newest first
+router.get('/:id/contacts', [
+  param('id').isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, error: 'Validation failed', details: errors.array() });
+    }
+
+    const prospect = await Prospect.findOne({
+      where: { id: req.params.id, team_id: req.user.team_id }
+    });
+
+    if (!prospect) {
+      return res.status(404).json({ success: false, error: 'Prospect not found' });
+    }
+
+    const contacts = await ProspectContact.findAll({
+      where: { prospect_id: prospect.id, team_id: req.user.team_id },
+      include: [
+        { model: User, as: 'ContactedBy', attributes: ['id', 'first_name', 'last_name'] },
+        { model: User, as: 'LoggedBy', attributes: ['id', 'first_name', 'last_name'] },
+        { model: User, as: 'VoidedBy', attributes: ['id', 'first_name', 'last_name'] }
+      ],
+      order: [['contact_date', 'DESC'], ['id', 'DESC']]
+    });
+
+    res.json({ success: true, data: contacts });
+  } catch (error) {
+    logger.error('Get prospect contacts error:', error);
+    res.status(500).json({ success: false, error: 'Server error while fetching contacts' });
+  }
+});
+
+// POST /:id/contacts/check — run the compliance check without logging the contact
+router.post('/:id/contacts/check', contactValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, error: 'Validation failed', details: errors.array() });
+    }
+
+    const prospect = await findContactTargets(req, res);
+    if (!prospect) {
+      return;
+    }
+
+    const compliance = await recruitingComplianceService.evaluateContact(req.user.team_id, prospect, req.body);
+
+    res.json({ success: true, data: compliance });
+  } catch (error) {
+    logger.error('Check prospect contact error:', error);
+    res.status(500).json({ success: false, error: 'Server error while checking contact' });
+  }
+});
+
+// POST /:id/contacts — log a contact; blocked contacts return 422 with the compliance result
+router.post('/:id/contacts', contactValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, error: 'Validation failed', details: errors.array() });
+    }
+
+    const prospect = await findContactTargets(req, res);
+    if (!prospect) {
+      return;
+    }
+
+    const result = await recruitingComplianceService.logContact(req.user.team_id, prospect, req.body, req.user.id);
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error, compliance: result.compliance });
+    }
+
+    res.status(201).json({ success: true, data: result.contact, compliance: result.compliance });
+  } catch (error) {
+    logger.error('Log prospect contact error:', error);
+    res.status(500).json({ success: false, error: 'Server error while logging contact' });
+  }
+});
+
+// POST /:id/contacts/:contactId/void — void a contact logged in error; it stays in the compliance audit
+router.post('/:id/contacts/:contactId/void', [
+  checkPermission('team_settings'),
+  param('id').isInt({ min: 1 }).toInt(),
+  param('contactId').isInt({ min: 1 }).toInt(),
+  body('reason').isString().trim().isLength({ min: 1, max: 1000 }).withMessage('A reason is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, error: 'Validation failed', details: errors.array() });
+    }
+
+    const result = await recruitingComplianceService.voidContact(
+      req.user.team_id,
+      req.params.id,
+      req.params.contactId,
+      req.body.reason,
+      req.user.id
+    );
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    res.json({ success: true, data: result, message: 'Contact voided' });
+  } catch (error) {
+    logger.error('Void prospect contact error:', error);
+    res.status(500).json({ success: false, error: 'Server error while voiding contact' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,510 @@
+/**
+ * @fileoverview Recruiting compliance routes: the team's recruiting calendar, its
+ * contact rules and the team-wide contact log the compliance office reviews.
+ * All routes in this file require authentication via the protect middleware.
+ * Data is scoped to the authenticated user's team.
+ *
+ * Contacts themselves are logged per prospect under /api/v1/prospects/:id/contacts;
+ * see services/recruitingComplianceService for how each contact is checked.
+ *
+ * Calendar periods (RecruitingPeriod):
+ * - dead: no in-person recruiting
+ * - quiet: in-person recruiting on campus only
+ * - evaluation: evaluations allowed, no off-campus in-person contact
+ * - contact: all contact types allowed
+ *
+ * Contact rules are stored per team (Team.recruiting_contact_rules); teams without
+ * saved rules use the service defaults.
+ *
+ * @module routes/recruiting
+ * @requires express
+ * @requires express-validator
+ * @requires ../middleware/auth
+ * @requires ../middleware/permissions
+ * @requires ../models
+ * @requires ../services/recruitingComplianceService
+ * @requires ../utils/csvExport
+ */
+
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const { protect } = require('../middleware/auth');
+const { checkPermission } = require('../middleware/permissions');
+const { Team, RecruitingPeriod } = require('../models');
+const recruitingComplianceService = require('../services/recruitingComplianceService');
+const { arrayToCSV, generateFilename } = require('../utils/csvExport');
+
+const { CONTACT_TYPES, PERIOD_TYPES, CLASS_YEARS } = recruitingComplianceService;
+
+const router = express.Router();
+
+// Middleware: Apply JWT authentication to all routes in this file
+router.use(protect);
+
+/**
+ * @description Middleware to handle express-validator validation errors.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object|void} 400 response with validation errors, or calls next()
+ */
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * @description Validation for creating or updating a calendar period. Fields are
+ *              required on create and optional on update.
+ * @param {boolean} partial - True for updates
+ * @returns {Array} express-validator chain
+ */
+const periodValidation = (partial) => {
+  const field = name => (partial ? body(name).optional() : body(name));
+  return [
+    field('period_type').isIn(PERIOD_TYPES).withMessage(`period_type must be one of ${PERIOD_TYPES.join(', ')}`),
+    field('start_date').matches(DAY_PATTERN).withMessage('start_date must be in YYYY-MM-DD format'),
+    field('end_date').matches(DAY_PATTERN).withMessage('end_date must be in YYYY-MM-DD format'),
+    body('name').optional({ nullable: true }).isLength({ max: 100 }).withMessage('name must be at most 100 characters'),
+    body('notes').optional({ nullable: true }).isLength({ max: 2000 }).withMessage('notes must be at most 2000 characters')
+  ];
+};
+
+/**
+ * @description Checks that a value is a list of known contact types
+ * @param {*} types
+ * @returns {boolean}
+ */
+const isContactTypeList = types => Array.isArray(types) && types.every(type => CONTACT_TYPES.includes(type));
+
+/**
+ * @description Checks that a value maps contact types to limits (0-100, or null for no limit)
+ * @param {*} limits
+ * @returns {boolean}
+ */
+const isLimitMap = limits => limits !== null && typeof limits === 'object' && !Array.isArray(limits) &&
+  Object.entries(limits).every(([type, limit]) => CONTACT_TYPES.includes(type) &&
+    (limit === null || (Number.isInteger(limit) && limit >= 0 && limit <= 100)));
+
+/**
+ * @route GET /api/v1/recruiting/calendar
+ * @description Lists the team's recruiting calendar periods in date order. With a
+ *              date range, only periods that overlap it are returned.
+ * @access Private - Requires authentication
+ * @middleware protect - JWT authentication required
+ *
+ * @param {string} [req.query.start_date] - First day of the range (YYYY-MM-DD)
+ * @param {string} [req.query.end_date] - Last day of the range (YYYY-MM-DD)
+ *
+ * @returns {Object} response
+ * @returns {boolean} response.success - Operation success status
+ * @returns {Array<Object>} response.data - RecruitingPeriod rows
+ *
+ * @throws {400} Validation failed - Invalid dates
+ * @throws {500} Server error - Database query failure
+ */
+router.get('/calendar', [
+  query('start_date').optional().matches(DAY_PATTERN).withMessage('start_date must be in YYYY-MM-DD format'),
+  query('end_date').optional().matches(DAY_PATTERN).withMessage('end_date must be in YYYY-MM-DD format'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const where = { team_id: req.user.team_id };
+    if (req.query.start_date) {
+      where.end_date = { [Op.gte]: req.query.start_date };
+    }
+    if (req.query.end_date) {
+      where.start_date = { [Op.lte]: req.query.end_date };
+    }
+
+    const periods = await RecruitingPeriod.findAll({
+      where,
+      order: [['start_date', 'ASC'], ['id', 'ASC']]
+    });
+
+    res.json({ success: true, data: periods });
+  } catch (error) {
+    console.error('Error fetching recruiting calendar:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch recruiting calendar' });
+  }
+});
+
+/**
+ * @route POST /api/v1/recruiting/calendar
+ * @description Adds a period to the team's recruiting calendar. Periods may overlap;
+ *              the most restrictive one applies on overlapping days.
+ * @access Private - Requires authentication and team_settings permission
+ * @middleware protect - JWT authentication required
+ * @middleware checkPermission('team_settings') - Team settings permission required
+ *
+ * @param {string} req.body.period_type - dead, quiet, evaluation or contact
+ * @param {string} req.body.start_date - First day (YYYY-MM-DD)
+ * @param {string} req.body.end_date - Last day, inclusive (YYYY-MM-DD)
+ * @param {string} [req.body.name] - Label such as "Fall dead period"
+ * @param {string} [req.body.notes]
+ *
+ * @returns {Object} response
+ * @returns {boolean} response.success - Operation success status
+ * @returns {Object} response.data - Created period
+ *
+ * @throws {400} Validation failed - Invalid fields or end_date before start_date
+ * @throws {403} Forbidden - Missing team_settings permission
+ * @throws {500} Server error - Database operation failure
+ */
+router.post('/calendar', [
+  checkPermission('team_settings'),
+  ...periodValidation(false),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { period_type, start_date, end_date, name, notes } = req.body;
+    if (end_date < start_date) {
+      return res.status(400).json({ success: false, error: 'end_date cannot be before start_date' });
+    }
+
+    const period = await RecruitingPeriod.create({
+      team_id: req.user.team_id,
+      period_type,
+      start_date,
+      end_date,
+      name: name || null,
+      notes: notes || null,
+      created_by: req.user.id
+    });
+
+    res.status(201).json({ success: true, data: period });
+  } catch (error) {
+    console.error('Error creating recruiting period:', error);
+    res.status(500).json({ success: false, error: 'Failed to create recruiting period' });
+  }
+});
+
+/**
+ * @route PUT /api/v1/recruiting/calendar/:id
+ * @description Updates a recruiting calendar period. Contacts already logged keep the
+ *              compliance result they were saved with.
+ * @access Private - Requires authentication and team_settings permission
+ * @middleware protect - JWT authentication required
+ * @middleware checkPermission('team_settings') - Team settings permission required
+ *
+ * @param {number} req.params.id - Period ID
+ * @param {string} [req.body.period_type]
+ * @param {string} [req.body.start_date]
+ * @param {string} [req.body.end_date]
+ * @param {string} [req.body.name]
+ * @param {string} [req.body.notes]
+ *
+ * @returns {Object} response
+ * @returns {boolean} response.success - Operation success status
+ * @returns {Object} response.data - Updated period
+ *
+ * @throws {400} Validation failed - Invalid fields or end_date before start_date
+ * @throws {403} Forbidden - Missing team_settings permission
+ * @throws {404} Not found - Period not found for the team
+ * @throws {500} Server error - Database operation failure
+ */
+router.put('/calendar/:id', [
+  checkPermission('team_settings'),
+  param('id').isInt({ min: 1 }).withMessage('Period ID must be a positive integer'),
+  ...periodValidation(true),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const period = await RecruitingPeriod.findOne({
+      where: { id: req.params.id, team_id: req.user.team_id }
+    });
+
+    if (!period) {
+      return res.status(404).json({ success: false, error: 'Recruiting period not found' });
+    }
+
+    const updates = {};
+    ['period_type', 'start_date', 'end_date', 'name', 'notes']
+      .filter(field => req.body[field] !== undefined)
+      .forEach(field => {
+        updates[field] = req.body[field];
+      });
+
+    const startDate = updates.start_date || period.start_date;
+    const endDate = updates.end_date || period.end_date;
+    if (endDate < startDate) {
+      return res.status(400).json({ success: false, error: 'end_date cannot be before start_date' });
+    }
+
+    await period.update(updates);
+
+    res.json({ success: true, data: period });
+  } catch (error) {
+    console.error('Error updating recruiting period:', error);
+    res.status(500).json({ success: false, error: 'Failed to update recruiting period' });
+  }
+});
+
+/**
+ * @route DELETE /api/v1/recruiting/calendar/:id
+ * @description Removes a period from the team's recruiting calendar.
+ * @access Private - Requires authentication and team_settings permission
+ * @middleware protect - JWT authentication required
+ * @middleware checkPermission('team_settings') - Team settings permission required
+ *
+ * @param {number} req.params.id - Period ID
+ *
+ * @returns {Object} response
+ * @returns {boolean} response.success - Operation success status
+ * @returns {string} response.message - Success message
+ *
+ * @throws {403} Forbidden - Missing team_settings permission
+ * @throws {404} Not found - Period not found for the team
+ * @throws {500} Server error - Database operation failure
+ */
+router.delete('/calendar/:id', [
+  checkPermission('team_settings'),
+  param('id').isInt({ min: 1 }).withMessage('Period ID must be a positive integer'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const period = await RecruitingPeriod.findOne({
+      where: { id: req.params.id, team_id: req.user.team_id }
+    });
+
+    if (!period) {
+      return res.status(404).json({ success: false, error: 'Recruiting period not found' });
+    }
+
+    await period.destroy();
+
+    res.json({ success: true, message: 'Recruiting period deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting recruiting period:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete recruiting period' });
+  }
+});
+
+/**
+ * @route GET /api/v1/recruiting/contact-rules
+ * @description Returns the contact rules applied to the team's recruiting contacts,
+ *              with the defaults filled in for anything the team has not configured.
+ * @access Private - Requires authentication
+ * @middleware protect - JWT authentication required
+ *
+ * @returns {Object} response
+ * @returns {boolean} response.success - Operation success status
+ * @returns {Object} response.data.rules - Contact rules in effect
+ * @returns {boolean} response.data.is_default - True when the team has no saved rules
+ * @returns {Object} response.data.defaults - Default contact rules
+ *
+ * @throws {500} Server error - Database query failure
+ */
+router.get('/contact-rules', async (req, res) => {
+  try {
+    const team = await Team.findByPk(req.user.team_id, { attributes: ['id', 'recruiting_contact_rules'] });
+    const saved = team ? team.recruiting_contact_rules : null;
+
+    res.json({
+      success: true,
+      data: {
+        rules: recruitingComplianceService.resolveContactRules(saved),
+        is_default: !saved,
+        defaults: recruitingComplianceService.resolveContactRules(null)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching recruiting contact rules:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch recruiting contact rules' });
+  }
+});
+
+/**
+ * @route PUT /api/v1/recruiting/contact-rules
+ * @description Saves the team's recruiting contact rules. Omitted fields keep their
+ *              default values; a class year sent here replaces only the fields given
+ *              for it. Send `{ "reset": true }` to go back to the defaults.
+ * @access Private - Requires authentication and team_settings permission
+ * @middleware protect - JWT authentication required
+ * @middleware checkPermission('team_settings') - Team settings permission required
+ *
+ * @param {string} [req.body.action] - 'warn' or 'block' for non-compliant contacts
+ * @param {Object} [req.body.periods] - Period type → contact types allowed during it
+ * @param {Object} [req.body.class_years] - Class year → { allowed_types, weekly_limits, total_limits, action }
+ * @param {boolean} [req.body.reset] - Clear the saved rules
+ *
+ * @returns {Object} response
+ * @returns {boolean} response.success - Operation success status
+ * @returns {string} response.message - Success message
+ * @returns {Object} response.data.rules - Contact rules now in effect
+ *
+ * @throws {400} Validation failed - Invalid rule values
+ * @throws {403} Forbidden - Missing team_settings permission
+ * @throws {404} Not found - Team not found
+ * @throws {500} Server error - Database operation failure
+ */
+router.put('/contact-rules', [
+  checkPermission('team_settings'),
+  body('reset').optional().isBoolean().withMessage('reset must be a boolean').toBoolean(),
+  body('action').optional().isIn(['warn', 'block']).withMessage('action must be warn or block'),
+  body('periods').optional().isObject().withMessage('periods must be an object')
+    .custom(periods => {
+      for (const [periodType, types] of Object.entries(periods)) {
+        if (!PERIOD_TYPES.includes(periodType)) {
+          throw new Error(`Unknown period type: ${periodType}`);
+        }
+        if (!isContactTypeList(types)) {
+          throw new Error(`periods.${periodType} must be a list of contact types`);
+        }
+      }
+      return true;
+    }),
+  body('class_years').optional().isObject().withMessage('class_years must be an object')
+    .custom(classYears => {
+      for (const [year, rule] of Object.entries(classYears)) {
+        if (!CLASS_YEARS.includes(year)) {
+          throw new Error(`Unknown class year: ${year}`);
+        }
+        if (rule === null || typeof rule !== 'object') {
+          throw new Error(`class_years.${year} must be an object`);
+        }
+        if (rule.allowed_types !== undefined && !isContactTypeList(rule.allowed_types)) {
+          throw new Error(`class_years.${year}.allowed_types must be a list of contact types`);
+        }
+        if (rule.weekly_limits !== undefined && !isLimitMap(rule.weekly_limits)) {
+          throw new Error(`class_years.${year}.weekly_limits must map contact types to limits between 0 and 100`);
+        }
+        if (rule.total_limits !== undefined && !isLimitMap(rule.total_limits)) {
+          throw new Error(`class_years.${year}.total_limits must map contact types to limits between 0 and 100`);
+        }
+        if (rule.action !== undefined && ![null, 'warn', 'block'].includes(rule.action)) {
+          throw new Error(`class_years.${year}.action must be warn, block or null`);
+        }
+      }
+      return true;
+    }),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const team = await Team.findByPk(req.user.team_id);
+
+    if (!team) {
+      return res.status(404).json({ success: false, error: 'Team not found' });
+    }
+
+    let saved = null;
+    if (!req.body.reset) {
+      saved = {};
+      if (req.body.action) {
+        saved.action = req.body.action;
+      }
+      if (req.body.periods) {
+        saved.periods = req.body.periods;
+      }
+      if (req.body.class_years) {
+        saved.class_years = {};
+        Object.entries(req.body.class_years).forEach(([year, rule]) => {
+          saved.class_years[year] = {};
+          ['allowed_types', 'weekly_limits', 'total_limits', 'action']
+            .filter(field => rule[field] !== undefined)
+            .forEach(field => {
+              saved.class_years[year][field] = rule[field];
+            });
+        });
+      }
+    }
+
+    await team.update({ recruiting_contact_rules: saved });
+
+    res.json({
+      success: true,
+      message: saved ? 'Recruiting contact rules saved successfully' : 'Recruiting contact rules reset to defaults',
+      data: { rules: recruitingComplianceService.resolveContactRules(saved), is_default: !saved }
+    });
+  } catch (error) {
+    console.error('Error saving recruiting contact rules:', error);
+    res.status(500).json({ success: false, error: 'Failed to save recruiting contact rules' });
+  }
+});
+
+/**
+ * @route GET /api/v1/recruiting/contacts
+ * @description Team-wide recruiting contact log for compliance review, oldest first,
+ *              with each contact's class year, calendar period and compliance result
+ *              as recorded when it was logged. Voided contacts are included with who
+ *              voided them and why. `format=csv` downloads the same rows as a spreadsheet.
+ * @access Private - Requires authentication
+ * @middleware protect - JWT authentication required
+ *
+ * @param {string} [req.query.start_date] - First day (YYYY-MM-DD)
+ * @param {string} [req.query.end_date] - Last day (YYYY-MM-DD)
+ * @param {string} [req.query.status] - compliant or warning
+ * @param {string} [req.query.contact_type] - Only this contact type
+ * @param {number} [req.query.prospect_id] - Only this prospect
+ * @param {number} [req.query.contacted_by] - Only contacts made by this staff member
+ * @param {string} [req.query.format=json] - json or csv
+ *
+ * @returns {Object} response
+ * @returns {boolean} response.success - Operation success status
+ * @returns {Array<Object>} response.data.contacts - Contact rows
+ * @returns {Object} response.data.summary - Totals, warnings (excluding voided), voided, prospects and counts by type
+ *
+ * @throws {400} Validation failed - Invalid filters
+ * @throws {500} Server error - Database query failure
+ */
+router.get('/contacts', [
+  query('start_date').optional().matches(DAY_PATTERN).withMessage('start_date must be in YYYY-MM-DD format'),
+  query('end_date').optional().matches(DAY_PATTERN).withMessage('end_date must be in YYYY-MM-DD format'),
+  query('status').optional().isIn(['compliant', 'warning']).withMessage('status must be compliant or warning'),
+  query('contact_type').optional().isIn(CONTACT_TYPES).withMessage(`contact_type must be one of ${CONTACT_TYPES.join(', ')}`),
+  query('prospect_id').optional().isInt({ min: 1 }).withMessage('prospect_id must be a positive integer').toInt(),
+  query('contacted_by').optional().isInt({ min: 1 }).withMessage('contacted_by must be a positive integer').toInt(),
+  query('format').optional().isIn(['json', 'csv']).withMessage('format must be json or csv'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const audit = await recruitingComplianceService.getContactAudit(req.user.team_id, req.query);
+
+    if (req.query.format === 'csv') {
+      const csv = arrayToCSV(audit.contacts.map(contact => ({
+        ...contact,
+        contact_date: new Date(contact.contact_date).toISOString(),
+        voided_at: contact.voided_at ? new Date(contact.voided_at).toISOString() : null
+      })), [
+        { label: 'Date', key: 'contact_date' },
+        { label: 'Prospect', key: 'prospect_name' },
+        { label: 'School', key: 'school_name' },
+        { label: 'Class Year', key: 'class_year' },
+        { label: 'Contact Type', key: 'contact_type_label' },
+        { label: 'Period', key: 'period_type' },
+        { label: 'Staff', key: 'contacted_by' },
+        { label: 'Logged By', key: 'logged_by' },
+        { label: 'Location', key: 'location' },
+        { label: 'Minutes', key: 'duration_minutes' },
+        { label: 'Compliance', key: 'compliance_status' },
+        { label: 'Issues', key: 'compliance_issues' },
+        { label: 'Notes', key: 'notes' },
+        { label: 'Voided', key: 'voided_at' },
+        { label: 'Voided By', key: 'voided_by' },
+        { label: 'Void Reason', key: 'void_reason' }
+      ]);
+
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="${generateFilename('recruiting-contacts')}"`);
+      return res.send(csv);
+    }
+
+    res.json({ success: true, data: audit });
+  } catch (error) {
+    console.error('Error fetching recruiting contact log:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch recruiting contact log' });
+  }
+});
+
+module.exports = router;
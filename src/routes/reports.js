@@ -19,14 +19,14 @@
  *    - Multi-tenant isolation via Player's team_id
  *
  * Data Export Endpoints:
- * - PDF generation: Converts report data to PDF format (placeholder implementation)
- * - Excel export: Converts report data to Excel format (placeholder implementation)
+ * - PDF generation: Renders branded report PDFs (player performance, team statistics, scouting, recruiting)
+ * - Excel export: Builds multi-sheet .xlsx workbooks with typed cells, frozen headers and auto-filters
  *
  * Analytics Endpoints:
  * - Player performance: Aggregated stats across team roster
  * - Team statistics: Win/loss records, batting averages, ERA
  * - Scouting analysis: Aggregated scouting report metrics
- * - Recruitment pipeline: Prospect tracking by priority and status
+ * - Recruitment pipeline: Prospect funnel, time in stage and open offers
  *
  * Permission Model:
  * - reports_view: Required to view reports (byId, analysis endpoints)
@@ -41,6 +41,10 @@
  * @requires ../middleware/auth
  * @requires ../middleware/permissions
  * @requires ../models
+ * @requires ../services/reportDataService
+ * @requires ../services/reportPdfService
+ * @requires ../services/reportExcelService
+ * @requires ../services/prospectPipelineService
  */
 
 const express = require('express');
@@ -51,6 +55,11 @@ const { Report, Player, Team, ScoutingReport, User, Prospect } = require('../mod
 const { Op } = require('sequelize');
 const { convertReportGrades, toNumericGrade, GRADE_FIELDS } = require('../utils/gradeConverter');
 const { validateToolGrades } = require('../utils/validateToolGrades');
+const { EXPORTABLE_REPORT_TYPES, buildReportData } = require('../services/reportDataService');
+const { loadLogo, renderReportPdf } = require('../services/reportPdfService');
+const { renderReportWorkbook } = require('../services/reportExcelService');
+const prospectPipelineService = require('../services/prospectPipelineService');
+const { validatePdfExport, validateExcelExport } = require('./reports/validators');
 
 /**
  * @description Converts letter grade strings in request body to numeric 20-80 values.
@@ -838,72 +847,52 @@ router.get('/team-statistics', async (req, res) => {
 
 /**
  * @route GET /api/reports/recruitment-pipeline
- * @description Retrieves recruitment pipeline data with prospect stages.
- *              Returns mock data representing the recruitment funnel.
- *              Note: This endpoint returns static mock data for demonstration purposes.
- * @access Private - Requires authentication
+ * @description Recruitment pipeline analytics from the prospect board and its stage
+ *              history: funnel conversion between stages, days spent in each stage,
+ *              and open offers with how long each has gone unanswered.
+ *              See services/prospectPipelineService for how each figure is derived.
+ * @access Private - Requires authentication + reports_view permission
  * @middleware protect - JWT authentication required
+ * @middleware checkPermission('reports_view') - Report viewing permission required
+ *
+ * @param {number} [req.query.graduation_year] - Only prospects of this class
+ * @param {string} [req.query.primary_position] - Only prospects at this position
  *
  * @returns {Object} response
  * @returns {boolean} response.success - Operation success status
- * @returns {Object} response.data - Pipeline data object
- * @returns {Array<Object>} response.data.pipeline - Array of pipeline stages
- * @returns {string} response.data.pipeline[].stage_name - Name of the pipeline stage
- * @returns {number} response.data.pipeline[].player_count - Number of players in stage
- * @returns {number} response.data.pipeline[].avg_grade - Average grade of players in stage
- * @returns {string} response.data.pipeline[].next_action - Suggested next action for stage
- * @returns {Object} response.data.filters - Applied filters (from query params)
+ * @returns {Object} response.data - Pipeline analytics
+ * @returns {number} response.data.total_prospects - Prospects included
+ * @returns {Array<Object>} response.data.funnel - Per stage: current, reached and conversion rates
+ * @returns {Object} response.data.passed_from - Passed prospects counted by the stage they left
+ * @returns {Array<Object>} response.data.time_in_stage - Per stage: completed stays and current waits in days
+ * @returns {Object} response.data.offers - Open offers by age and answered offers by response time
+ * @returns {Object} response.data.filters - Applied filters
  * @returns {string} response.data.generated_at - Report generation timestamp
  *
- * @throws {500} Server error - Unexpected error
+ * @throws {403} Forbidden - User lacks reports_view permission
+ * @throws {500} Server error - Database query failure
  */
-router.get('/recruitment-pipeline', async (req, res) => {
+router.get('/recruitment-pipeline', checkPermission('reports_view'), async (req, res) => {
   try {
-    // Business logic: Mock recruitment pipeline data
-    // TODO: Replace with actual database queries when recruitment system is implemented
-    const pipelineData = [
-      {
-        stage_name: 'Prospects',
-        player_count: 45,
-        avg_grade: 78.5,
-        next_action: 'Schedule evaluation'
-      },
-      {
-        stage_name: 'Evaluated',
-        player_count: 23,
-        avg_grade: 82.3,
-        next_action: 'Make offer decision'
-      },
-      {
-        stage_name: 'Offered',
-        player_count: 12,
-        avg_grade: 85.7,
-        next_action: 'Follow up on offer'
-      },
-      {
-        stage_name: 'Committed',
-        player_count: 8,
-        avg_grade: 87.2,
-        next_action: 'Prepare enrollment'
-      },
-      {
-        stage_name: 'Enrolled',
-        player_count: 5,
-        avg_grade: 89.1,
-        next_action: 'Begin training'
-      }
-    ];
+    const filters = {};
+    if (/^\d{4}$/.test(req.query.graduation_year || '')) {
+      filters.graduation_year = parseInt(req.query.graduation_year, 10);
+    }
+    if (req.query.primary_position) {
+      filters.primary_position = req.query.primary_position;
+    }
+
+    const analytics = await prospectPipelineService.getPipelineAnalytics(req.user.team_id, filters);
 
     res.json({
       success: true,
       data: {
-        pipeline: pipelineData,
-        filters: req.query,
+        ...analytics,
+        filters,
         generated_at: new Date().toISOString()
       }
     });
   } catch (error) {
-    // Error: Unexpected error in mock data generation
     console.error('Get recruitment pipeline error:', error);
     res.status(500).json({
       success: false,
@@ -914,86 +903,227 @@ router.get('/recruitment-pipeline', async (req, res) => {
 
 /**
  * @route POST /api/reports/generate-pdf
- * @description Generates a PDF version of a report.
- *              Note: This is a placeholder implementation - actual PDF generation not yet implemented.
- *              Returns success response with metadata about what would be generated.
- * @access Private - Requires authentication
+ * @description Renders a report into a branded PDF and streams it back as a download.
+ *              Report data is loaded from the database for the user's team (never taken
+ *              from the request body). The team's primary_color and school_logo_url are
+ *              used for the header band and table styling.
+ *              When report_id is supplied, the saved Report's type, title and filters are
+ *              used (request filters override saved ones) and its generation stats are updated.
+ * @access Private - Requires authentication + reports_create permission
  * @middleware protect - JWT authentication required
+ * @middleware validatePdfExport - Request body validation
+ * @middleware _handleValidationErrors - Validation error handler
+ * @middleware checkPermission('reports_create') - Report creation permission required
  *
- * @param {string} req.body.type - Type of report to generate
- * @param {Object} [req.body.data] - Report data to include in PDF
+ * @param {string} [req.body.type] - Report type (player-performance, team-statistics,
+ *                                   scouting-analysis, recruitment-pipeline); required without report_id
+ * @param {number} [req.body.report_id] - Saved report to render
+ * @param {Object} [req.body.filters] - Type-specific filters (season, position, start_date,
+ *                                      end_date, graduation_year)
  * @param {Object} [req.body.options] - PDF generation options
+ * @param {string} [req.body.options.orientation=portrait] - Page orientation (portrait/landscape)
+ * @param {string} [req.body.options.pageSize=LETTER] - Page size (LETTER, LEGAL, TABLOID, A4, A3)
  *
- * @returns {Object} response
- * @returns {boolean} response.success - Operation success status
- * @returns {string} response.message - Status message (indicates placeholder implementation)
- * @returns {Object} response.data - Generation metadata
- * @returns {string} response.data.type - Report type that would be generated
- * @returns {string} response.data.generated_at - Timestamp of request
+ * @returns {Stream} application/pdf attachment named {type}_{YYYY-MM-DD}.pdf
  *
+ * @throws {400} Validation failed - Missing/invalid type or options, or saved report is a custom report
+ * @throws {403} Forbidden - User lacks reports_create permission
+ * @throws {404} Not found - Saved report or team not found
  * @throws {500} Server error - Unexpected error
+ *
+ * @example
+ * POST /api/reports/generate-pdf
+ * {
+ *   "type": "player-performance",
+ *   "filters": { "season": "2025" },
+ *   "options": {
+ *     "orientation": "landscape",
+ *     "pageSize": "LETTER"
+ *   }
+ * }
  */
-router.post('/generate-pdf', async (req, res) => {
+router.post('/generate-pdf', validatePdfExport, _handleValidationErrors, checkPermission('reports_create'), async (req, res) => {
   try {
-    // Business logic: Placeholder implementation
-    // TODO: Implement actual PDF generation using a library like pdfmake or puppeteer
-    res.json({
-      success: true,
-      message: 'PDF generation endpoint - implementation would generate actual PDF',
-      data: {
-        type: req.body.type,
-        generated_at: new Date().toISOString()
+    const options = req.body.options || {};
+    let type = req.body.type;
+    let filters = req.body.filters || {};
+    let savedReport = null;
+
+    // Database: Resolve saved report (team-scoped) when rendering a stored configuration
+    if (req.body.report_id) {
+      savedReport = await Report.findOne({
+        where: { id: req.body.report_id, team_id: req.user.team_id }
+      });
+
+      if (!savedReport) {
+        return res.status(404).json({
+          success: false,
+          message: 'Report not found'
+        });
       }
+
+      type = savedReport.type;
+      filters = { ...(savedReport.filters || {}), ...filters };
+    }
+
+    // Validation: Custom reports have no fixed data source to render
+    if (!EXPORTABLE_REPORT_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Report type '${type}' cannot be exported to PDF`
+      });
+    }
+
+    const team = await Team.findByPk(req.user.team_id);
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found'
+      });
+    }
+
+    // Business logic: Gather report data and branding, then render
+    const report = await buildReportData(type, team, filters);
+    if (savedReport) {
+      report.title = savedReport.title;
+      await savedReport.update({
+        last_generated: new Date(),
+        generation_count: (savedReport.generation_count || 0) + 1
+      });
+    }
+
+    const logo = await loadLogo(team.school_logo_url);
+    const doc = renderReportPdf(report, {
+      team,
+      logo,
+      orientation: options.orientation,
+      pageSize: options.pageSize
     });
+
+    const filename = `${type}_${new Date().toISOString().slice(0, 10)}.pdf`;
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    doc.pipe(res);
   } catch (error) {
     // Error: Unexpected error
-    console.error('Generate PDF error:', error);
+    console.error('Error generating PDF report:', error);
     res.status(500).json({
       success: false,
-      message: 'Error generating PDF'
+      message: 'Error generating PDF report'
     });
   }
 });
 
 /**
  * @route POST /api/reports/export-excel
- * @description Exports report data to Excel format.
- *              Note: This is a placeholder implementation - actual Excel export not yet implemented.
- *              Returns success response with metadata about what would be generated.
- * @access Private - Requires authentication
+ * @description Exports a report as a multi-sheet Excel (.xlsx) workbook.
+ *              The first sheet holds the report summary; each report table becomes its own
+ *              sheet (e.g. Batting, Pitching and Fielding for player-performance) with typed
+ *              numeric cells, a frozen header row and an auto-filter.
+ *              When report_id is supplied, the saved Report's type, title and filters are
+ *              used (request filters override saved ones) and its generation stats are updated.
+ * @access Private - Requires authentication + reports_create permission
  * @middleware protect - JWT authentication required
+ * @middleware validateExcelExport - Request body validation
+ * @middleware _handleValidationErrors - Validation error handler
+ * @middleware checkPermission('reports_create') - Report creation permission required
  *
- * @param {string} req.body.type - Type of report to export
- * @param {Object} [req.body.data] - Report data to include in Excel
+ * @param {string} [req.body.type] - Report type (player-performance, team-statistics,
+ *                                   scouting-analysis, recruitment-pipeline); required without report_id
+ * @param {number} [req.body.report_id] - Saved report to export
+ * @param {Object} [req.body.filters] - Type-specific filters (season, position, start_date,
+ *                                      end_date, graduation_year)
  * @param {Object} [req.body.options] - Export options
+ * @param {boolean} [req.body.options.includeHeaders=true] - Whether data sheets get a header row
+ * @param {string} [req.body.options.sheetName=Summary] - Name for the summary worksheet
+ * @param {boolean} [req.body.options.autoFilter=true] - Whether to add auto-filter to data sheets
  *
- * @returns {Object} response
- * @returns {boolean} response.success - Operation success status
- * @returns {string} response.message - Status message (indicates placeholder implementation)
- * @returns {Object} response.data - Export metadata
- * @returns {string} response.data.type - Report type that would be exported
- * @returns {string} response.data.generated_at - Timestamp of request
+ * @returns {Buffer} application/vnd.openxmlformats-officedocument.spreadsheetml.sheet attachment
+ *                   named {type}_{YYYY-MM-DD}.xlsx
  *
+ * @throws {400} Validation failed - Missing/invalid type or options, or saved report is a custom report
+ * @throws {403} Forbidden - User lacks reports_create permission
+ * @throws {404} Not found - Saved report or team not found
  * @throws {500} Server error - Unexpected error
+ *
+ * @example
+ * POST /api/reports/export-excel
+ * {
+ *   "type": "player-performance",
+ *   "filters": { "season": "2025" },
+ *   "options": {
+ *     "includeHeaders": true,
+ *     "sheetName": "Team Stats 2025"
+ *   }
+ * }
  */
-router.post('/export-excel', async (req, res) => {
+router.post('/export-excel', validateExcelExport, _handleValidationErrors, checkPermission('reports_create'), async (req, res) => {
   try {
-    // Business logic: Placeholder implementation
-    // TODO: Implement actual Excel export using a library like exceljs or xlsx
-    res.json({
-      success: true,
-      message: 'Excel export endpoint - implementation would generate actual Excel file',
-      data: {
-        type: req.body.type,
-        generated_at: new Date().toISOString()
+    const options = req.body.options || {};
+    let type = req.body.type;
+    let filters = req.body.filters || {};
+    let savedReport = null;
+
+    // Database: Resolve saved report (team-scoped) when exporting a stored configuration
+    if (req.body.report_id) {
+      savedReport = await Report.findOne({
+        where: { id: req.body.report_id, team_id: req.user.team_id }
+      });
+
+      if (!savedReport) {
+        return res.status(404).json({
+          success: false,
+          message: 'Report not found'
+        });
       }
+
+      type = savedReport.type;
+      filters = { ...(savedReport.filters || {}), ...filters };
+    }
+
+    // Validation: Custom reports have no fixed data source to export
+    if (!EXPORTABLE_REPORT_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Report type '${type}' cannot be exported to Excel`
+      });
+    }
+
+    const team = await Team.findByPk(req.user.team_id);
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found'
+      });
+    }
+
+    // Business logic: Gather report data and build the workbook
+    const report = await buildReportData(type, team, filters);
+    if (savedReport) {
+      report.title = savedReport.title;
+      await savedReport.update({
+        last_generated: new Date(),
+        generation_count: (savedReport.generation_count || 0) + 1
+      });
+    }
+
+    const workbook = renderReportWorkbook(report, {
+      team,
+      sheetName: options.sheetName,
+      includeHeaders: options.includeHeaders,
+      autoFilter: options.autoFilter
     });
+
+    const filename = `${type}_${new Date().toISOString().slice(0, 10)}.xlsx`;
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(workbook);
   } catch (error) {
     // Error: Unexpected error
-    console.error('Export Excel error:', error);
+    console.error('Error exporting Excel report:', error);
     res.status(500).json({
       success: false,
-      message: 'Error exporting to Excel'
+      message: 'Error exporting Excel report'
     });
   }
 });
@@ -1283,183 +1413,6 @@ router.get('/scouting-analysis', checkPermission('reports_view'), async (req, re
   }
 });
 
-/**
- * @route GET /api/reports/recruitment-pipeline (with permission check)
- * @description Retrieves recruitment pipeline with actual database data.
- *              Returns high school recruits grouped by priority, status, and position.
- *              Uses PreferenceList association for tracking recruitment status.
- *              Note: Due to Express routing, this handler is unreachable because an earlier
- *              route handler for the same path exists above. Consider refactoring to consolidate.
- * @access Private - Requires authentication + reports_view permission
- * @middleware protect - JWT authentication required
- * @middleware checkPermission('reports_view') - Report viewing permission required
- *
- * @returns {Object} response
- * @returns {boolean} response.success - Operation success status
- * @returns {Object} response.data - Pipeline data
- * @returns {number} response.data.total_recruits - Total high school recruits
- * @returns {Object} response.data.by_priority - Counts grouped by priority (high/medium/low/unassigned)
- * @returns {Object} response.data.by_status - Counts grouped by status (active/committed/declined/pending)
- * @returns {Object} response.data.by_position - Counts grouped by position
- * @returns {Array<Object>} response.data.recent_additions - Last 10 added recruits
- *
- * @throws {403} Forbidden - User lacks reports_view permission
- * @throws {500} Server error - Database query failure
- * @deprecated This route handler is unreachable - consolidate with the earlier handler
- */
-router.get('/recruitment-pipeline', checkPermission('reports_view'), async (req, res) => {
-  try {
-    const { Player, PreferenceList } = require('../models');
-
-    // Database: Fetch high school recruits with preference list data
-    const recruits = await Player.findAll({
-      where: {
-        team_id: req.user.team_id,
-        // Business logic: Only high school players for recruitment pipeline
-        school_type: 'HS',
-        status: 'active'
-      },
-      include: [{
-        model: PreferenceList,
-        where: { team_id: req.user.team_id },
-        // Business logic: Left join - include players without preference list entries
-        required: false,
-        attributes: ['list_type', 'priority', 'status', 'interest_level']
-      }],
-      // Business logic: Newest recruits first
-      order: [['created_at', 'DESC']]
-    });
-
-    // Business logic: Build pipeline statistics
-    const pipeline = {
-      total_recruits: recruits.length,
-      by_priority: {
-        high: recruits.filter(r => r.PreferenceList?.priority === 'high').length,
-        medium: recruits.filter(r => r.PreferenceList?.priority === 'medium').length,
-        low: recruits.filter(r => r.PreferenceList?.priority === 'low').length,
-        unassigned: recruits.filter(r => !r.PreferenceList?.priority).length
-      },
-      by_status: {
-        active: recruits.filter(r => r.PreferenceList?.status === 'active').length,
-        committed: recruits.filter(r => r.PreferenceList?.status === 'committed').length,
-        declined: recruits.filter(r => r.PreferenceList?.status === 'declined').length,
-        pending: recruits.filter(r => !r.PreferenceList?.status || r.PreferenceList?.status === 'pending').length
-      },
-      by_position: {},
-      recent_additions: recruits.slice(0, 10)
-    };
-
-    // Business logic: Group by position
-    recruits.forEach(recruit => {
-      const position = recruit.position;
-      if (!pipeline.by_position[position]) {
-        pipeline.by_position[position] = 0;
-      }
-      pipeline.by_position[position]++;
-    });
-
-    res.json({
-      success: true,
-      data: pipeline
-    });
-  } catch (error) {
-    // Error: Database query failure
-    console.error('Error fetching recruitment pipeline report:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error fetching recruitment pipeline report'
-    });
-  }
-});
-
-/**
- * @route POST /api/reports/generate-pdf (with permission check)
- * @description Generates a PDF report with permission validation.
- *              Note: This is a placeholder implementation - actual PDF generation not yet implemented.
- *              Note: Due to Express routing, this handler is unreachable because an earlier
- *              route handler for the same path exists above. Consider refactoring to consolidate.
- * @access Private - Requires authentication + reports_create permission
- * @middleware protect - JWT authentication required
- * @middleware checkPermission('reports_create') - Report creation permission required
- *
- * @param {string} req.body.type - Type of report to generate
- * @param {Object} [req.body.data] - Report data to include in PDF
- * @param {Object} [req.body.options] - PDF generation options
- *
- * @returns {Object} response
- * @returns {boolean} response.success - Operation success status
- * @returns {string} response.message - Status message
- * @returns {Object} response.data - Generation metadata
- *
- * @throws {403} Forbidden - User lacks reports_create permission
- * @throws {500} Server error - Unexpected error
- * @deprecated This route handler is unreachable - consolidate with the earlier handler
- */
-router.post('/generate-pdf', checkPermission('reports_create'), async (req, res) => {
-  try {
-    const { type, data: _data, options } = req.body;
-
-    // Business logic: Placeholder implementation
-    // TODO: Implement actual PDF generation using a library like pdfmake or puppeteer
-    res.json({
-      success: true,
-      message: 'PDF generation endpoint - implement PDF generation logic',
-      data: { type, options }
-    });
-  } catch (error) {
-    // Error: Unexpected error
-    console.error('Error generating PDF report:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error generating PDF report'
-    });
-  }
-});
-
-/**
- * @route POST /api/reports/export-excel (with permission check)
- * @description Exports report data to Excel format with permission validation.
- *              Note: This is a placeholder implementation - actual Excel export not yet implemented.
- *              Note: Due to Express routing, this handler is unreachable because an earlier
- *              route handler for the same path exists above. Consider refactoring to consolidate.
- * @access Private - Requires authentication + reports_create permission
- * @middleware protect - JWT authentication required
- * @middleware checkPermission('reports_create') - Report creation permission required
- *
- * @param {string} req.body.type - Type of report to export
- * @param {Object} [req.body.data] - Report data to include in Excel
- * @param {Object} [req.body.options] - Export options
- *
- * @returns {Object} response
- * @returns {boolean} response.success - Operation success status
- * @returns {string} response.message - Status message
- * @returns {Object} response.data - Export metadata
- *
- * @throws {403} Forbidden - User lacks reports_create permission
- * @throws {500} Server error - Unexpected error
- * @deprecated This route handler is unreachable - consolidate with the earlier handler
- */
-router.post('/export-excel', checkPermission('reports_create'), async (req, res) => {
-  try {
-    const { type, data: _data, options } = req.body;
-
-    // Business logic: Placeholder implementation
-    // TODO: Implement actual Excel export using a library like exceljs or xlsx
-    res.json({
-      success: true,
-      message: 'Excel export endpoint - implement Excel generation logic',
-      data: { type, options }
-    });
-  } catch (error) {
-    // Error: Unexpected error
-    console.error('Error exporting Excel report:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error exporting Excel report'
-    });
-  }
-});
-
 /**
  * @route POST /api/reports/scouting
  * @description Creates a new scouting report for a player.
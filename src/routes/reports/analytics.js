@@ -21,9 +21,9 @@
  *    - Position-based grouping
  *
  * 4. Recruitment Pipeline (GET /recruitment-pipeline):
- *    - Prospect tracking by priority and status
- *    - High school recruits grouped by position
- *    - Recent additions tracking
+ *    - Funnel conversion between prospect stages
+ *    - Days spent in each stage
+ *    - Open offers and how long they have gone unanswered
  *
  * Permission Model:
  * All routes require:
@@ -35,14 +35,16 @@
  * @requires ../../middleware/auth
  * @requires ../../middleware/permissions
  * @requires ../../models
+ * @requires ../../services/prospectPipelineService
  * @requires ./helpers
  */
 
 const express = require('express');
 const { protect } = require('../../middleware/auth');
 const { checkPermission } = require('../../middleware/permissions');
-const { Player, ScoutingReport, Game, PreferenceList } = require('../../models');
+const { Player, ScoutingReport, Game } = require('../../models');
 const { Op } = require('sequelize');
+const prospectPipelineService = require('../../services/prospectPipelineService');
 const { gradeToNumeric } = require('./helpers');
 
 const router = express.Router();
@@ -325,85 +327,50 @@ router.get('/scouting-analysis', checkPermission('reports_view'), async (req, re
 
 /**
  * @route GET /api/reports/recruitment-pipeline
- * @description Retrieves recruitment pipeline with actual database data.
- *              Returns high school recruits grouped by priority, status, and position.
- *              Uses PreferenceList association for tracking recruitment status.
+ * @description Recruitment pipeline analytics from the prospect board and its stage
+ *              history: funnel conversion between stages, days spent in each stage,
+ *              and open offers with how long each has gone unanswered.
+ *              See services/prospectPipelineService for how each figure is derived.
  * @access Private - Requires authentication + reports_view permission
  * @middleware protect - JWT authentication required
  * @middleware checkPermission('reports_view') - Report viewing permission required
  *
+ * @param {number} [req.query.graduation_year] - Only prospects of this class
+ * @param {string} [req.query.primary_position] - Only prospects at this position
+ *
  * @returns {Object} response
  * @returns {boolean} response.success - Operation success status
- * @returns {Object} response.data - Pipeline data
- * @returns {number} response.data.total_recruits - Total high school recruits
- * @returns {Object} response.data.by_priority - Counts grouped by priority (high/medium/low/unassigned)
- * @returns {number} response.data.by_priority.high - High priority recruits
- * @returns {number} response.data.by_priority.medium - Medium priority recruits
- * @returns {number} response.data.by_priority.low - Low priority recruits
- * @returns {number} response.data.by_priority.unassigned - Unassigned priority recruits
- * @returns {Object} response.data.by_status - Counts grouped by status (active/committed/declined/pending)
- * @returns {number} response.data.by_status.active - Active recruits
- * @returns {number} response.data.by_status.committed - Committed recruits
- * @returns {number} response.data.by_status.declined - Declined recruits
- * @returns {number} response.data.by_status.pending - Pending recruits
- * @returns {Object} response.data.by_position - Counts grouped by position
- * @returns {Array<Object>} response.data.recent_additions - Last 10 added recruits
+ * @returns {Object} response.data - Pipeline analytics
+ * @returns {number} response.data.total_prospects - Prospects included
+ * @returns {Array<Object>} response.data.funnel - Per stage: current, reached and conversion rates
+ * @returns {Object} response.data.passed_from - Passed prospects counted by the stage they left
+ * @returns {Array<Object>} response.data.time_in_stage - Per stage: completed stays and current waits in days
+ * @returns {Object} response.data.offers - Open offers by age and answered offers by response time
+ * @returns {Object} response.data.filters - Applied filters
+ * @returns {string} response.data.generated_at - Report generation timestamp
  *
  * @throws {403} Forbidden - User lacks reports_view permission
  * @throws {500} Server error - Database query failure
  */
 router.get('/recruitment-pipeline', checkPermission('reports_view'), async (req, res) => {
   try {
-    // Database: Fetch high school recruits with preference list data
-    const recruits = await Player.findAll({
-      where: {
-        team_id: req.user.team_id,
-        // Business logic: Only high school players for recruitment pipeline
-        school_type: 'HS',
-        status: 'active'
-      },
-      include: [{
-        model: PreferenceList,
-        where: { team_id: req.user.team_id },
-        // Business logic: Left join - include players without preference list entries
-        required: false,
-        attributes: ['list_type', 'priority', 'status', 'interest_level']
-      }],
-      // Business logic: Newest recruits first
-      order: [['created_at', 'DESC']]
-    });
-
-    // Business logic: Build pipeline statistics
-    const pipeline = {
-      total_recruits: recruits.length,
-      by_priority: {
-        high: recruits.filter(r => r.PreferenceList?.priority === 'high').length,
-        medium: recruits.filter(r => r.PreferenceList?.priority === 'medium').length,
-        low: recruits.filter(r => r.PreferenceList?.priority === 'low').length,
-        unassigned: recruits.filter(r => !r.PreferenceList?.priority).length
-      },
-      by_status: {
-        active: recruits.filter(r => r.PreferenceList?.status === 'active').length,
-        committed: recruits.filter(r => r.PreferenceList?.status === 'committed').length,
-        declined: recruits.filter(r => r.PreferenceList?.status === 'declined').length,
-        pending: recruits.filter(r => !r.PreferenceList?.status || r.PreferenceList?.status === 'pending').length
-      },
-      by_position: {},
-      recent_additions: recruits.slice(0, 10)
-    };
+    const filters = {};
+    if (/^\d{4}$/.test(req.query.graduation_year || '')) {
+      filters.graduation_year = parseInt(req.query.graduation_year, 10);
+    }
+    if (req.query.primary_position) {
+      filters.primary_position = req.query.primary_position;
+    }
 
-    // Business logic: Group by position
-    recruits.forEach(recruit => {
-      const position = recruit.position;
-      if (!pipeline.by_position[position]) {
-        pipeline.by_position[position] = 0;
-      }
-      pipeline.by_position[position]++;
-    });
+    const analytics = await prospectPipelineService.getPipelineAnalytics(req.user.team_id, filters);
 
     res.json({
       success: true,
-      data: pipeline
+      data: {
+        ...analytics,
+        filters,
+        generated_at: new Date().toISOString()
+      }
     });
   } catch (error) {
     // Error: Database query failure
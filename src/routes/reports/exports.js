@@ -6,14 +6,15 @@
  * Export Types:
  *
  * 1. PDF Generation (POST /generate-pdf):
- *    - Converts report data to PDF format
- *    - Currently placeholder implementation
- *    - Future: Use pdfmake or puppeteer for actual generation
+ *    - Renders player-performance, team-statistics, scouting-analysis and
+ *      recruitment-pipeline reports with pdfkit
+ *    - Branded with the team's primary color and school logo
+ *    - Streamed back as an application/pdf attachment
  *
  * 2. Excel Export (POST /export-excel):
- *    - Converts report data to Excel format
- *    - Currently placeholder implementation
- *    - Future: Use exceljs or xlsx for actual generation
+ *    - Builds a multi-sheet .xlsx workbook (summary + one sheet per report table)
+ *    - Typed numeric cells, frozen header rows and auto-filters
+ *    - Returned as an attachment
  *
  * Permission Model:
  * All routes require:
@@ -24,11 +25,20 @@
  * @requires express
  * @requires ../../middleware/auth
  * @requires ../../middleware/permissions
+ * @requires ../../models
+ * @requires ../../services/reportDataService
+ * @requires ../../services/reportPdfService
+ * @requires ../../services/reportExcelService
  */
 
 const express = require('express');
 const { protect } = require('../../middleware/auth');
 const { checkPermission } = require('../../middleware/permissions');
+const { Report, Team } = require('../../models');
+const { EXPORTABLE_REPORT_TYPES, buildReportData } = require('../../services/reportDataService');
+const { loadLogo, renderReportPdf } = require('../../services/reportPdfService');
+const { renderReportWorkbook } = require('../../services/reportExcelService');
+const { validatePdfExport, validateExcelExport, handleValidationErrors } = require('./validators');
 
 const router = express.Router();
 
@@ -37,57 +47,107 @@ router.use(protect);
 
 /**
  * @route POST /api/reports/generate-pdf
- * @description Generates a PDF report with permission validation.
- *              Note: This is a placeholder implementation - actual PDF generation not yet implemented.
- *              Future implementation will use a library like pdfmake or puppeteer.
+ * @description Renders a report into a branded PDF and streams it back as a download.
+ *              Report data is loaded from the database for the user's team (never taken
+ *              from the request body). The team's primary_color and school_logo_url are
+ *              used for the header band and table styling.
+ *              When report_id is supplied, the saved Report's type, title and filters are
+ *              used (request filters override saved ones) and its generation stats are updated.
  * @access Private - Requires authentication + reports_create permission
  * @middleware protect - JWT authentication required
+ * @middleware validatePdfExport - Request body validation
+ * @middleware handleValidationErrors - Validation error handler
  * @middleware checkPermission('reports_create') - Report creation permission required
  *
- * @param {string} req.body.type - Type of report to generate
- * @param {Object} [req.body.data] - Report data to include in PDF
+ * @param {string} [req.body.type] - Report type (player-performance, team-statistics,
+ *                                   scouting-analysis, recruitment-pipeline); required without report_id
+ * @param {number} [req.body.report_id] - Saved report to render
+ * @param {Object} [req.body.filters] - Type-specific filters (season, position, start_date,
+ *                                      end_date, graduation_year)
  * @param {Object} [req.body.options] - PDF generation options
- * @param {string} [req.body.options.orientation] - Page orientation (portrait/landscape)
- * @param {string} [req.body.options.pageSize] - Page size (A4, Letter, etc.)
- * @param {boolean} [req.body.options.includeCharts] - Whether to include charts/graphs
+ * @param {string} [req.body.options.orientation=portrait] - Page orientation (portrait/landscape)
+ * @param {string} [req.body.options.pageSize=LETTER] - Page size (LETTER, LEGAL, TABLOID, A4, A3)
  *
- * @returns {Object} response
- * @returns {boolean} response.success - Operation success status
- * @returns {string} response.message - Status message
- * @returns {Object} response.data - Generation metadata
- * @returns {string} response.data.type - Report type that would be generated
- * @returns {Object} response.data.options - PDF generation options used
+ * @returns {Stream} application/pdf attachment named {type}_{YYYY-MM-DD}.pdf
  *
+ * @throws {400} Validation failed - Missing/invalid type or options, or saved report is a custom report
  * @throws {403} Forbidden - User lacks reports_create permission
+ * @throws {404} Not found - Saved report or team not found
  * @throws {500} Server error - Unexpected error
  *
  * @example
  * POST /api/reports/generate-pdf
  * {
  *   "type": "player-performance",
- *   "data": { ... },
+ *   "filters": { "season": "2025" },
  *   "options": {
  *     "orientation": "landscape",
- *     "pageSize": "A4"
+ *     "pageSize": "LETTER"
  *   }
  * }
  */
-router.post('/generate-pdf', checkPermission('reports_create'), async (req, res) => {
+router.post('/generate-pdf', validatePdfExport, handleValidationErrors, checkPermission('reports_create'), async (req, res) => {
   try {
-    const { type, data: _data, options } = req.body;
-
-    // Business logic: Placeholder implementation
-    // TODO: Implement actual PDF generation using a library like pdfmake or puppeteer
-    // Future implementation steps:
-    // 1. Validate report type and data structure
-    // 2. Format data according to report template
-    // 3. Generate PDF using selected library
-    // 4. Return PDF buffer or file download URL
-    res.json({
-      success: true,
-      message: 'PDF generation endpoint - implement PDF generation logic',
-      data: { type, options }
+    const options = req.body.options || {};
+    let type = req.body.type;
+    let filters = req.body.filters || {};
+    let savedReport = null;
+
+    // Database: Resolve saved report (team-scoped) when rendering a stored configuration
+    if (req.body.report_id) {
+      savedReport = await Report.findOne({
+        where: { id: req.body.report_id, team_id: req.user.team_id }
+      });
+
+      if (!savedReport) {
+        return res.status(404).json({
+          success: false,
+          message: 'Report not found'
+        });
+      }
+
+      type = savedReport.type;
+      filters = { ...(savedReport.filters || {}), ...filters };
+    }
+
+    // Validation: Custom reports have no fixed data source to render
+    if (!EXPORTABLE_REPORT_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Report type '${type}' cannot be exported to PDF`
+      });
+    }
+
+    const team = await Team.findByPk(req.user.team_id);
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found'
+      });
+    }
+
+    // Business logic: Gather report data and branding, then render
+    const report = await buildReportData(type, team, filters);
+    if (savedReport) {
+      report.title = savedReport.title;
+      await savedReport.update({
+        last_generated: new Date(),
+        generation_count: (savedReport.generation_count || 0) + 1
+      });
+    }
+
+    const logo = await loadLogo(team.school_logo_url);
+    const doc = renderReportPdf(report, {
+      team,
+      logo,
+      orientation: options.orientation,
+      pageSize: options.pageSize
     });
+
+    const filename = `${type}_${new Date().toISOString().slice(0, 10)}.pdf`;
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    doc.pipe(res);
   } catch (error) {
     // Error: Unexpected error
     console.error('Error generating PDF report:', error);
@@ -100,58 +160,108 @@ router.post('/generate-pdf', checkPermission('reports_create'), async (req, res)
 
 /**
  * @route POST /api/reports/export-excel
- * @description Exports report data to Excel format with permission validation.
- *              Note: This is a placeholder implementation - actual Excel export not yet implemented.
- *              Future implementation will use a library like exceljs or xlsx.
+ * @description Exports a report as a multi-sheet Excel (.xlsx) workbook.
+ *              The first sheet holds the report summary; each report table becomes its own
+ *              sheet (e.g. Batting, Pitching and Fielding for player-performance) with typed
+ *              numeric cells, a frozen header row and an auto-filter.
+ *              When report_id is supplied, the saved Report's type, title and filters are
+ *              used (request filters override saved ones) and its generation stats are updated.
  * @access Private - Requires authentication + reports_create permission
  * @middleware protect - JWT authentication required
+ * @middleware validateExcelExport - Request body validation
+ * @middleware handleValidationErrors - Validation error handler
  * @middleware checkPermission('reports_create') - Report creation permission required
  *
- * @param {string} req.body.type - Type of report to export
- * @param {Object} [req.body.data] - Report data to include in Excel
+ * @param {string} [req.body.type] - Report type (player-performance, team-statistics,
+ *                                   scouting-analysis, recruitment-pipeline); required without report_id
+ * @param {number} [req.body.report_id] - Saved report to export
+ * @param {Object} [req.body.filters] - Type-specific filters (season, position, start_date,
+ *                                      end_date, graduation_year)
  * @param {Object} [req.body.options] - Export options
- * @param {boolean} [req.body.options.includeHeaders] - Whether to include column headers
- * @param {string} [req.body.options.sheetName] - Name for the Excel worksheet
- * @param {boolean} [req.body.options.autoFilter] - Whether to add auto-filter to columns
+ * @param {boolean} [req.body.options.includeHeaders=true] - Whether data sheets get a header row
+ * @param {string} [req.body.options.sheetName=Summary] - Name for the summary worksheet
+ * @param {boolean} [req.body.options.autoFilter=true] - Whether to add auto-filter to data sheets
  *
- * @returns {Object} response
- * @returns {boolean} response.success - Operation success status
- * @returns {string} response.message - Status message
- * @returns {Object} response.data - Export metadata
- * @returns {string} response.data.type - Report type that would be exported
- * @returns {Object} response.data.options - Export options used
+ * @returns {Buffer} application/vnd.openxmlformats-officedocument.spreadsheetml.sheet attachment
+ *                   named {type}_{YYYY-MM-DD}.xlsx
  *
+ * @throws {400} Validation failed - Missing/invalid type or options, or saved report is a custom report
  * @throws {403} Forbidden - User lacks reports_create permission
+ * @throws {404} Not found - Saved report or team not found
  * @throws {500} Server error - Unexpected error
  *
  * @example
  * POST /api/reports/export-excel
  * {
- *   "type": "team-statistics",
- *   "data": { ... },
+ *   "type": "player-performance",
+ *   "filters": { "season": "2025" },
  *   "options": {
  *     "includeHeaders": true,
- *     "sheetName": "Team Stats 2024"
+ *     "sheetName": "Team Stats 2025"
  *   }
  * }
  */
-router.post('/export-excel', checkPermission('reports_create'), async (req, res) => {
+router.post('/export-excel', validateExcelExport, handleValidationErrors, checkPermission('reports_create'), async (req, res) => {
   try {
-    const { type, data: _data, options } = req.body;
-
-    // Business logic: Placeholder implementation
-    // TODO: Implement actual Excel export using a library like exceljs or xlsx
-    // Future implementation steps:
-    // 1. Validate report type and data structure
-    // 2. Create workbook and worksheet
-    // 3. Format data into rows and columns
-    // 4. Apply styling (headers, borders, etc.)
-    // 5. Return Excel buffer or file download URL
-    res.json({
-      success: true,
-      message: 'Excel export endpoint - implement Excel generation logic',
-      data: { type, options }
+    const options = req.body.options || {};
+    let type = req.body.type;
+    let filters = req.body.filters || {};
+    let savedReport = null;
+
+    // Database: Resolve saved report (team-scoped) when exporting a stored configuration
+    if (req.body.report_id) {
+      savedReport = await Report.findOne({
+        where: { id: req.body.report_id, team_id: req.user.team_id }
+      });
+
+      if (!savedReport) {
+        return res.status(404).json({
+          success: false,
+          message: 'Report not found'
+        });
+      }
+
+      type = savedReport.type;
+      filters = { ...(savedReport.filters || {}), ...filters };
+    }
+
+    // Validation: Custom reports have no fixed data source to export
+    if (!EXPORTABLE_REPORT_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Report type '${type}' cannot be exported to Excel`
+      });
+    }
+
+    const team = await Team.findByPk(req.user.team_id);
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found'
+      });
+    }
+
+    // Business logic: Gather report data and build the workbook
+    const report = await buildReportData(type, team, filters);
+    if (savedReport) {
+      report.title = savedReport.title;
+      await savedReport.update({
+        last_generated: new Date(),
+        generation_count: (savedReport.generation_count || 0) + 1
+      });
+    }
+
+    const workbook = renderReportWorkbook(report, {
+      team,
+      sheetName: options.sheetName,
+      includeHeaders: options.includeHeaders,
+      autoFilter: options.autoFilter
     });
+
+    const filename = `${type}_${new Date().toISOString().slice(0, 10)}.xlsx`;
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(workbook);
   } catch (error) {
     // Error: Unexpected error
     console.error('Error exporting Excel report:', error);
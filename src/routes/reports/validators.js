@@ -7,6 +7,13 @@
  */
 
 const { body, validationResult } = require('express-validator');
+const { EXPORTABLE_REPORT_TYPES } = require('../../services/reportDataService');
+
+/**
+ * Page sizes accepted for PDF exports (pdfkit size names)
+ * @type {Array<string>}
+ */
+const PDF_PAGE_SIZES = ['LETTER', 'LEGAL', 'TABLOID', 'A4', 'A3'];
 
 /**
  * @description Validation rules for creating a new custom report.
@@ -59,6 +66,68 @@ const validateReportUpdate = [
   body('filters').optional().isObject().withMessage('Filters must be an object')
 ];
 
+/**
+ * @description Shared rules for export endpoints: selects the report data source.
+ *              Either a report type or a saved report_id must be supplied.
+ *
+ * Fields:
+ * - type: Exportable report type (required unless report_id is given)
+ * - report_id: Saved custom report whose type, title and filters are used
+ * - filters: Object containing type-specific filter criteria
+ * - options: Object containing format-specific options
+ *
+ * @type {Array<ValidationChain>}
+ */
+const exportSourceRules = [
+  body('type').optional().isIn(EXPORTABLE_REPORT_TYPES).withMessage(`Type must be one of: ${EXPORTABLE_REPORT_TYPES.join(', ')}`),
+  body('report_id').optional().isInt({ min: 1 }).withMessage('Report ID must be a positive integer'),
+  body().custom(value => {
+    if (!value || (!value.type && !value.report_id)) {
+      throw new Error('Either type or report_id is required');
+    }
+    return true;
+  }),
+  body('filters').optional().isObject().withMessage('Filters must be an object'),
+  body('options').optional().isObject().withMessage('Options must be an object')
+];
+
+/**
+ * @description Validation rules for generating a PDF export.
+ *              Applied as middleware to POST /api/reports/generate-pdf route.
+ *
+ * Optional Fields (in addition to exportSourceRules):
+ * - options.orientation: portrait or landscape
+ * - options.pageSize: LETTER, LEGAL, TABLOID, A4 or A3
+ *
+ * @type {Array<ValidationChain>}
+ */
+const validatePdfExport = [
+  ...exportSourceRules,
+  body('options.orientation').optional().isIn(['portrait', 'landscape']).withMessage('Orientation must be portrait or landscape'),
+  body('options.pageSize').optional().customSanitizer(value => String(value).toUpperCase())
+    .isIn(PDF_PAGE_SIZES).withMessage(`Page size must be one of: ${PDF_PAGE_SIZES.join(', ')}`)
+];
+
+/**
+ * @description Validation rules for exporting an Excel workbook.
+ *              Applied as middleware to POST /api/reports/export-excel route.
+ *
+ * Optional Fields (in addition to exportSourceRules):
+ * - options.sheetName: Name for the summary worksheet (1-31 characters, no []:*?/\ characters)
+ * - options.includeHeaders: Whether data sheets get a header row
+ * - options.autoFilter: Whether data sheets get auto-filters
+ *
+ * @type {Array<ValidationChain>}
+ */
+const validateExcelExport = [
+  ...exportSourceRules,
+  body('options.sheetName').optional().isString().trim()
+    .isLength({ min: 1, max: 31 }).withMessage('Sheet name must be 1-31 characters')
+    .not().matches(/[\\/?*[\]:]/).withMessage('Sheet name cannot contain []:*?/\\ characters'),
+  body('options.includeHeaders').optional().isBoolean().withMessage('includeHeaders must be a boolean').toBoolean(),
+  body('options.autoFilter').optional().isBoolean().withMessage('autoFilter must be a boolean').toBoolean()
+];
+
 /**
  * @description Middleware to check for validation errors from express-validator.
  *              Returns a 400 error response if validation fails, otherwise continues.
@@ -82,5 +151,7 @@ const handleValidationErrors = (req, res, next) => {
 module.exports = {
   validateReportCreate,
   validateReportUpdate,
+  validatePdfExport,
+  validateExcelExport,
   handleValidationErrors
 };
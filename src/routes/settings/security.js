@@ -5,6 +5,7 @@
  * Security Settings Model:
  * - Security preferences stored in user.settings.security JSONB column
  * - Two-factor authentication status stored in dedicated user.two_factor_enabled column
+ * - TOTP secrets stored encrypted (user.two_factor_secret_encrypted), recovery codes stored hashed
  * - Password stored in user.password column (bcrypt hashed, 12 rounds)
  * - Password change timestamp in user.password_changed_at column
  * - Supports partial updates - only provided fields are updated
@@ -19,6 +20,10 @@
  * @requires bcryptjs
  * @requires ../../middleware/auth
  * @requires ../../models
+ * @requires ../../services/encryptionService
+ * @requires ../../services/twoFactorService
+ * @requires ../../services/loginEventService
+ * @requires ../../services/sessionService
  * @requires ./validators
  * @requires ./helpers
  */
@@ -27,11 +32,18 @@ const express = require('express');
 const bcrypt = require('bcryptjs');
 const { protect } = require('../../middleware/auth');
 const { User } = require('../../models');
+const encryptionService = require('../../services/encryptionService');
+const twoFactorService = require('../../services/twoFactorService');
+const loginEventService = require('../../services/loginEventService');
+const sessionService = require('../../services/sessionService');
 const {
   validateSecuritySettings,
   validatePasswordChange,
   validateTwoFactor,
-  validateTwoFactorVerify
+  validateTwoFactorVerify,
+  validateTwoFactorCode,
+  validateLoginHistoryQuery,
+  validateSessionId
 } = require('./validators');
 const { handleValidationErrors } = require('./helpers');
 
@@ -223,15 +235,18 @@ router.put('/change-password',
 
 /**
  * @route PUT /api/settings/security/two-factor
- * @description Enables or disables two-factor authentication for the user account.
- *              Note: This is a simplified toggle. A full implementation would require
- *              TOTP setup verification before enabling.
+ * @description Disables two-factor authentication, or reports that it is already enabled.
+ *              Enabling is not a simple toggle: the user must scan the QR code from
+ *              GET /two-factor/qr and confirm a code via POST /two-factor/verify so the
+ *              authenticator is proven to work before login starts requiring it.
+ *              Disabling requires a current authenticator code or an unused recovery code.
  * @access Private - Requires authentication
  * @middleware protect - JWT authentication required
- * @middleware validateTwoFactor - Validates boolean input
+ * @middleware validateTwoFactor - Validates boolean input and optional code
  * @middleware handleValidationErrors - Returns 400 on validation failure
  *
  * @param {boolean} req.body.enabled - Whether to enable or disable 2FA
+ * @param {string} [req.body.code] - Authenticator or recovery code (required to disable)
  *
  * @returns {Object} response
  * @returns {boolean} response.success - Operation success status
@@ -240,6 +255,8 @@ router.put('/change-password',
  * @returns {boolean} response.data.twoFactorEnabled - Current 2FA state
  *
  * @throws {400} Validation failed - enabled must be a boolean
+ * @throws {400} Enrollment required - Enabling must go through the QR/verify flow
+ * @throws {400} Invalid code - Missing or wrong code when disabling
  * @throws {404} Not found - User account no longer exists
  * @throws {500} Server error - Database update failure
  *
@@ -247,15 +264,16 @@ router.put('/change-password',
  * // Request
  * PUT /api/settings/security/two-factor
  * {
- *   "enabled": true
+ *   "enabled": false,
+ *   "code": "492039"
  * }
  *
  * // Response
  * {
  *   "success": true,
- *   "message": "Two-factor authentication enabled successfully",
+ *   "message": "Two-factor authentication disabled successfully",
  *   "data": {
- *     "twoFactorEnabled": true
+ *     "twoFactorEnabled": false
  *   }
  * }
  */
@@ -264,7 +282,7 @@ router.put('/two-factor',
   handleValidationErrors,
   async (req, res) => {
     try {
-      const { enabled } = req.body;
+      const { enabled, code } = req.body;
 
       // Database: Fetch current user record
       const user = await User.findByPk(req.user.id);
@@ -276,13 +294,40 @@ router.put('/two-factor',
         });
       }
 
-      // Database: Update 2FA status in dedicated column
-      await user.update({ two_factor_enabled: enabled });
+      if (enabled) {
+        if (user.two_factor_enabled) {
+          return res.json({
+            success: true,
+            message: 'Two-factor authentication is already enabled',
+            data: { twoFactorEnabled: true }
+          });
+        }
+
+        // Business logic: Secrets are only activated after a verified code
+        return res.status(400).json({
+          success: false,
+          message: 'Scan the QR code from /two-factor/qr and confirm a code via /two-factor/verify to enable two-factor authentication'
+        });
+      }
+
+      // Security: Require proof of the second factor before removing it
+      if (user.two_factor_enabled) {
+        const verified = code ? await twoFactorService.verifySecondFactor(user, code) : null;
+        if (!verified) {
+          return res.status(400).json({
+            success: false,
+            message: 'A valid authentication or recovery code is required to disable two-factor authentication'
+          });
+        }
+      }
+
+      // Database: Clear secrets and recovery codes
+      await twoFactorService.disable(user);
 
       res.json({
         success: true,
-        message: `Two-factor authentication ${enabled ? 'enabled' : 'disabled'} successfully`,
-        data: { twoFactorEnabled: enabled }
+        message: 'Two-factor authentication disabled successfully',
+        data: { twoFactorEnabled: false }
       });
     } catch (error) {
       // Error: Log and return generic server error to avoid exposing internal details
@@ -297,23 +342,24 @@ router.put('/two-factor',
 
 /**
  * @route GET /api/settings/security/two-factor/qr
- * @description Generates a QR code for setting up two-factor authentication.
- *              Returns a base64-encoded QR code image and the TOTP secret for manual entry.
- *              Note: This is a mock implementation - production should use a real TOTP library.
+ * @description Starts two-factor enrollment. Generates a new per-user TOTP secret, stores it
+ *              encrypted as the pending secret, and returns it as an otpauth:// URI, a QR code
+ *              image and the base32 secret for manual entry. Calling this again replaces any
+ *              pending secret; the active secret is untouched until POST /two-factor/verify.
  * @access Private - Requires authentication
  * @middleware protect - JWT authentication required
  *
  * @returns {Object} response
  * @returns {boolean} response.success - Operation success status
  * @returns {Object} response.data - 2FA setup data
- * @returns {string} response.data.qrCode - Base64-encoded QR code image (data URI)
- * @returns {string} response.data.secret - TOTP secret for manual authenticator entry
+ * @returns {string} response.data.qrCode - PNG QR code image (data URI)
+ * @returns {string} response.data.secret - Base32 TOTP secret for manual authenticator entry
+ * @returns {string} response.data.otpauthUrl - otpauth://totp provisioning URI
  *
+ * @throws {400} Already enabled - Disable two-factor authentication first
+ * @throws {404} Not found - User account no longer exists
  * @throws {500} Server error - QR code generation failure
- *
- * @todo Implement real TOTP secret generation using speakeasy or otplib
- * @todo Generate actual QR code using qrcode library
- * @todo Store secret temporarily until verification, then persist
+ * @throws {503} Unavailable - ENCRYPTION_KEY is not configured
  *
  * @example
  * // Request
@@ -324,20 +370,47 @@ router.put('/two-factor',
  *   "success": true,
  *   "data": {
  *     "qrCode": "data:image/png;base64,iVBORw0KGgo...",
- *     "secret": "JBSWY3DPEHPK3PXP"
+ *     "secret": "N5ZGKZLTMVZGK3DJNZTXG5DFMFWQ",
+ *     "otpauthUrl": "otpauth://totp/Sports2%3Acoach%40example.com?secret=N5ZGKZLTMVZGK3DJNZTXG5DFMFWQ&issuer=Sports2&algorithm=SHA1&digits=6&period=30"
  *   }
  * }
  */
 router.get('/two-factor/qr', async (req, res) => {
   try {
-    // Business logic: Generate 2FA setup data
-    // Note: Mock implementation - production should use real TOTP library (speakeasy, otplib)
-    // and generate unique secrets per user with proper QR code generation
+    // Security: Secrets are never stored unencrypted
+    if (!encryptionService.isConfigured()) {
+      return res.status(503).json({
+        success: false,
+        message: 'Two-factor authentication is not available on this server'
+      });
+    }
+
+    // Database: Fetch current user record
+    const user = await User.findByPk(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.two_factor_enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    // Business logic: Generate and store a pending secret for this user
+    const { qrCode, secret, otpauthUrl } = await twoFactorService.beginSetup(user);
+
     res.json({
       success: true,
       data: {
-        qrCode: 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==',
-        secret: 'JBSWY3DPEHPK3PXP'
+        qrCode,
+        secret,
+        otpauthUrl
       }
     });
   } catch (error) {
@@ -352,12 +425,13 @@ router.get('/two-factor/qr', async (req, res) => {
 
 /**
  * @route POST /api/settings/security/two-factor/verify
- * @description Verifies a TOTP code during two-factor authentication setup.
- *              User must enter the 6-digit code from their authenticator app.
- *              Note: This is a mock implementation - production should validate against stored secret.
+ * @description Completes two-factor enrollment. Verifies a 6-digit code from the user's
+ *              authenticator app against the pending secret; on success the secret becomes
+ *              active, login starts requiring a second step, and a set of single-use
+ *              recovery codes is returned. Recovery codes are only shown this once.
  * @access Private - Requires authentication
  * @middleware protect - JWT authentication required
- * @middleware validateTwoFactorVerify - Validates 6-character code
+ * @middleware validateTwoFactorVerify - Validates 6-digit code
  * @middleware handleValidationErrors - Returns 400 on validation failure
  *
  * @param {string} req.body.code - 6-digit TOTP verification code
@@ -365,25 +439,31 @@ router.get('/two-factor/qr', async (req, res) => {
  * @returns {Object} response
  * @returns {boolean} response.success - Operation success status
  * @returns {string} response.message - Verification result message
+ * @returns {Object} response.data
+ * @returns {boolean} response.data.twoFactorEnabled - Always true on success
+ * @returns {Array<string>} response.data.recoveryCodes - Single-use recovery codes
  *
- * @throws {400} Validation failed - Code must be exactly 6 characters
+ * @throws {400} Validation failed - Code must be exactly 6 digits
+ * @throws {400} Setup not started - GET /two-factor/qr has not been called
  * @throws {400} Invalid code - TOTP verification failed
+ * @throws {404} Not found - User account no longer exists
  * @throws {500} Server error - Verification process failure
  *
- * @todo Implement real TOTP verification using speakeasy or otplib
- * @todo Verify against user's stored secret, not hardcoded value
- *
  * @example
  * // Request
  * POST /api/settings/security/two-factor/verify
  * {
- *   "code": "123456"
+ *   "code": "492039"
  * }
  *
  * // Response (Success)
  * {
  *   "success": true,
- *   "message": "Two-factor authentication verified successfully"
+ *   "message": "Two-factor authentication enabled successfully",
+ *   "data": {
+ *     "twoFactorEnabled": true,
+ *     "recoveryCodes": ["3f9a1-c07be", "8d2e4-51b9a", "..."]
+ *   }
  * }
  *
  * // Response (Failure)
@@ -399,20 +479,48 @@ router.post('/two-factor/verify',
     try {
       const { code } = req.body;
 
-      // Business logic: Verify TOTP code
-      // Note: Mock implementation - production should use real TOTP verification
-      // with user's stored secret and time-based validation window
-      if (code === '123456') {
-        res.json({
-          success: true,
-          message: 'Two-factor authentication verified successfully'
+      // Database: Fetch current user record
+      const user = await User.findByPk(req.user.id);
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
         });
-      } else {
+      }
+
+      if (user.two_factor_enabled) {
+        return res.status(400).json({
+          success: false,
+          message: 'Two-factor authentication is already enabled'
+        });
+      }
+
+      if (!user.two_factor_pending_secret_encrypted) {
+        return res.status(400).json({
+          success: false,
+          message: 'Two-factor setup has not been started'
+        });
+      }
+
+      // Business logic: Verify against the pending secret and activate it
+      const recoveryCodes = await twoFactorService.confirmSetup(user, code);
+
+      if (!recoveryCodes) {
         return res.status(400).json({
           success: false,
           message: 'Invalid verification code'
         });
       }
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication enabled successfully',
+        data: {
+          twoFactorEnabled: true,
+          recoveryCodes
+        }
+      });
     } catch (error) {
       // Error: Log and return generic server error to avoid exposing internal details
       console.error('Verify two-factor error:', error);
@@ -424,13 +532,90 @@ router.post('/two-factor/verify',
   }
 );
 
+/**
+ * @route POST /api/settings/security/two-factor/recovery-codes
+ * @description Replaces the user's recovery codes with a new set. Any unused codes from the
+ *              previous set stop working. Requires a current authenticator or recovery code.
+ * @access Private - Requires authentication
+ * @middleware protect - JWT authentication required
+ * @middleware validateTwoFactorCode - Validates code
+ * @middleware handleValidationErrors - Returns 400 on validation failure
+ *
+ * @param {string} req.body.code - Authenticator or recovery code
+ *
+ * @returns {Object} response
+ * @returns {boolean} response.success - Operation success status
+ * @returns {string} response.message - Success message
+ * @returns {Object} response.data
+ * @returns {Array<string>} response.data.recoveryCodes - New single-use recovery codes
+ *
+ * @throws {400} Not enabled - Two-factor authentication is not enabled
+ * @throws {400} Invalid code - Code verification failed
+ * @throws {404} Not found - User account no longer exists
+ * @throws {500} Server error - Database update failure
+ */
+router.post('/two-factor/recovery-codes',
+  validateTwoFactorCode,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      // Database: Fetch current user record
+      const user = await User.findByPk(req.user.id);
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      if (!user.two_factor_enabled) {
+        return res.status(400).json({
+          success: false,
+          message: 'Two-factor authentication is not enabled'
+        });
+      }
+
+      const verified = await twoFactorService.verifySecondFactor(user, req.body.code);
+      if (!verified) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid verification code'
+        });
+      }
+
+      const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(user);
+
+      res.json({
+        success: true,
+        message: 'Recovery codes regenerated successfully',
+        data: { recoveryCodes }
+      });
+    } catch (error) {
+      // Error: Log and return generic server error to avoid exposing internal details
+      console.error('Regenerate recovery codes error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error regenerating recovery codes'
+      });
+    }
+  }
+);
+
 /**
  * @route GET /api/settings/security/login-history
- * @description Retrieves the user's recent login history including timestamps, locations,
- *              devices, and success/failure status. Useful for security auditing.
- *              Note: This is a mock implementation - production should track actual logins.
+ * @description Retrieves the user's login history, newest first. Every sign-in attempt
+ *              against the account is recorded (password, two-factor step, Google and
+ *              Apple), including failures with their reason and the account lockout
+ *              state at the time. Useful for investigating suspicious access.
  * @access Private - Requires authentication
  * @middleware protect - JWT authentication required
+ * @middleware validateLoginHistoryQuery - Validates pagination and filter parameters
+ * @middleware handleValidationErrors - Returns 400 on validation failure
+ *
+ * @param {number} [req.query.page=1] - Page number
+ * @param {number} [req.query.limit=20] - Items per page (max 100)
+ * @param {string} [req.query.outcome] - Filter: success, failed or two_factor_required
  *
  * @returns {Object} response
  * @returns {boolean} response.success - Operation success status
@@ -438,114 +623,97 @@ router.post('/two-factor/verify',
  * @returns {number} response.data[].id - Login entry ID
  * @returns {string} response.data[].timestamp - ISO 8601 timestamp
  * @returns {string} response.data[].ip - Client IP address
- * @returns {string} response.data[].location - Geolocation (city, state)
- * @returns {string} response.data[].device - Browser and OS information
- * @returns {boolean} response.data[].success - Whether login was successful
- *
+ * @returns {string} response.data[].device - Browser and OS, e.g. "Chrome on Windows"
+ * @returns {string} response.data[].deviceType - desktop, mobile, tablet, bot or unknown
+ * @returns {string} response.data[].provider - local, google or apple
+ * @returns {boolean} response.data[].success - Whether the login completed
+ * @returns {string} response.data[].outcome - success, failed or two_factor_required
+ * @returns {string|null} response.data[].failureReason - Why the attempt failed
+ * @returns {number|null} response.data[].failedAttempts - Consecutive failures after this attempt
+ * @returns {boolean} response.data[].accountLocked - Whether the account was locked
+ * @returns {Object} response.pagination - Page, limit, total and pages
+ *
+ * @throws {400} Validation failed - Invalid pagination or filter values
  * @throws {500} Server error - Database query failure
  *
- * @todo Implement real login tracking with IP geolocation
- * @todo Store login attempts in dedicated LoginHistory model
- * @todo Add pagination for long history
- *
  * @example
  * // Request
- * GET /api/settings/security/login-history
+ * GET /api/settings/security/login-history?page=1&limit=20
  *
  * // Response
  * {
  *   "success": true,
  *   "data": [
  *     {
- *       "id": 1,
- *       "timestamp": "2024-01-02T10:30:00.000Z",
- *       "ip": "192.168.1.1",
- *       "location": "New York, NY",
- *       "device": "Chrome on Windows",
- *       "success": true
- *     },
- *     {
- *       "id": 2,
- *       "timestamp": "2024-01-01T15:20:00.000Z",
- *       "ip": "10.0.0.1",
- *       "location": "Los Angeles, CA",
- *       "device": "Safari on iPhone",
- *       "success": false
+ *       "id": 412,
+ *       "timestamp": "2026-03-14T18:02:11.000Z",
+ *       "ip": "203.0.113.24",
+ *       "device": "Safari on iPadOS",
+ *       "deviceType": "tablet",
+ *       "provider": "local",
+ *       "success": false,
+ *       "outcome": "failed",
+ *       "failureReason": "invalid_password",
+ *       "failedAttempts": 2,
+ *       "accountLocked": false
  *     }
- *   ]
+ *   ],
+ *   "pagination": { "page": 1, "limit": 20, "total": 1, "pages": 1 }
  * }
  */
-router.get('/login-history', async (req, res) => {
-  try {
-    // Business logic: Fetch login history
-    // Note: Mock implementation - production should query LoginHistory table
-    // with user_id filter and include IP geolocation data
-    const loginHistory = [
-      {
-        id: 1,
-        timestamp: new Date(Date.now() - 1000 * 60 * 60 * 2).toISOString(),
-        ip: '192.168.1.1',
-        location: 'New York, NY',
-        device: 'Chrome on Windows',
-        success: true
-      },
-      {
-        id: 2,
-        timestamp: new Date(Date.now() - 1000 * 60 * 60 * 24).toISOString(),
-        ip: '192.168.1.1',
-        location: 'New York, NY',
-        device: 'Chrome on Windows',
-        success: true
-      },
-      {
-        id: 3,
-        timestamp: new Date(Date.now() - 1000 * 60 * 60 * 24 * 2).toISOString(),
-        ip: '10.0.0.1',
-        location: 'Los Angeles, CA',
-        device: 'Safari on iPhone',
-        success: false
-      }
-    ];
+router.get('/login-history',
+  validateLoginHistoryQuery,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100);
 
-    res.json({
-      success: true,
-      data: loginHistory
-    });
-  } catch (error) {
-    // Error: Log and return generic server error to avoid exposing internal details
-    console.error('Get login history error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error fetching login history'
-    });
+      // Database: Fetch recorded login events for this user only
+      const { events, pagination } = await loginEventService.getLoginHistory(req.user.id, {
+        page,
+        limit,
+        outcome: req.query.outcome
+      });
+
+      res.json({
+        success: true,
+        data: events,
+        pagination
+      });
+    } catch (error) {
+      // Error: Log and return generic server error to avoid exposing internal details
+      console.error('Get login history error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching login history'
+      });
+    }
   }
-});
+);
 
 /**
  * @route GET /api/settings/security/sessions
- * @description Retrieves list of active sessions for the authenticated user. Shows
- *              current session and any other devices where user is logged in.
- *              Note: Mock implementation - production should track actual sessions.
+ * @description Retrieves the authenticated user's active sessions: every token issued at
+ *              login that has not expired, been logged out or been revoked. Shows the
+ *              current session and any other devices where the user is signed in.
  * @access Private - Requires authentication
  * @middleware protect - JWT authentication required
  *
  * @returns {Object} response
  * @returns {boolean} response.success - Operation success status
- * @returns {Array<Object>} response.data - Array of active sessions
- * @returns {string} response.data[].id - Session identifier
- * @returns {string} response.data[].device - Device/browser description
- * @returns {string} response.data[].location - Session location
- * @returns {string} response.data[].ip_address - Client IP address
- * @returns {string} response.data[].last_activity - ISO 8601 timestamp
+ * @returns {Array<Object>} response.data - Array of active sessions, most recently used first
+ * @returns {number} response.data[].id - Session identifier
+ * @returns {string} response.data[].device - Browser and OS, e.g. "Safari on iPadOS"
+ * @returns {string} response.data[].device_type - desktop, mobile, tablet, bot or unknown
+ * @returns {string} response.data[].ip_address - IP address the session was created from
+ * @returns {string} response.data[].created_at - ISO 8601 sign-in timestamp
+ * @returns {string} response.data[].last_activity - ISO 8601 timestamp of the last request
+ * @returns {string} response.data[].expires_at - ISO 8601 token expiry
  * @returns {boolean} response.data[].is_current - Whether this is the current session
  *
  * @throws {500} Server error - Session retrieval failure
  *
- * @todo Implement real session tracking with JWT blacklist
- * @todo Store sessions in Redis or database
- * @todo Add endpoint to revoke individual sessions
- * @todo Include device fingerprinting for better identification
- *
  * @example
  * // Request
  * GET /api/settings/security/sessions
@@ -555,34 +723,24 @@ router.get('/login-history', async (req, res) => {
  *   "success": true,
  *   "data": [
  *     {
- *       "id": "current-session",
- *       "device": "Web Browser",
- *       "location": "Unknown",
- *       "ip_address": "192.168.1.100",
- *       "last_activity": "2024-01-02T12:00:00.000Z",
- *       "is_current": true
+ *       "id": 87,
+ *       "device": "Safari on iPadOS",
+ *       "device_type": "tablet",
+ *       "browser": "Safari",
+ *       "os": "iPadOS",
+ *       "ip_address": "203.0.113.24",
+ *       "created_at": "2026-03-14T17:55:02.000Z",
+ *       "last_activity": "2026-03-14T19:41:37.000Z",
+ *       "expires_at": "2026-03-21T17:55:02.000Z",
+ *       "is_current": false
  *     }
  *   ]
  * }
  */
 router.get('/sessions', async (req, res) => {
   try {
-    // Business logic: Return active sessions
-    // Note: Mock implementation - production should:
-    // 1. Track sessions in Redis or database with JWT IDs
-    // 2. Use device fingerprinting for identification
-    // 3. Store IP geolocation data
-    // 4. Support session revocation
-    const sessions = [
-      {
-        id: 'current-session',
-        device: 'Web Browser',
-        location: 'Unknown',
-        ip_address: req.ip,
-        last_activity: new Date().toISOString(),
-        is_current: true
-      }
-    ];
+    // Database: Active sessions for this user only
+    const sessions = await sessionService.listActiveSessions(req.user.id, req.tokenJti);
 
     res.json({
       success: true,
@@ -598,4 +756,86 @@ router.get('/sessions', async (req, res) => {
   }
 });
 
+/**
+ * @route DELETE /api/settings/security/sessions/:id
+ * @description Revokes a single session, e.g. one left signed in on a shared device.
+ *              The session's token is blacklisted with reason `security_revoke` and is
+ *              rejected on its next request, and its refresh token can no longer renew
+ *              it; other sessions stay signed in. Revoking the current session also
+ *              clears the session cookie.
+ * @access Private - Requires authentication
+ * @middleware protect - JWT authentication required
+ * @middleware validateSessionId - Validates session ID
+ * @middleware handleValidationErrors - Returns 400 on validation failure
+ *
+ * @param {number} req.params.id - Session ID from GET /sessions
+ *
+ * @returns {Object} response
+ * @returns {boolean} response.success - Operation success status
+ * @returns {string} response.message - Success message
+ * @returns {Object} response.data
+ * @returns {number} response.data.id - Revoked session ID
+ * @returns {boolean} response.data.was_current - Whether the current session was revoked
+ *
+ * @throws {400} Validation failed - Session ID must be an integer
+ * @throws {404} Not found - No active session with this ID belongs to the user
+ * @throws {500} Server error - Revocation failure
+ *
+ * @example
+ * // Request
+ * DELETE /api/settings/security/sessions/87
+ *
+ * // Response
+ * {
+ *   "success": true,
+ *   "message": "Session revoked successfully",
+ *   "data": { "id": 87, "was_current": false }
+ * }
+ */
+router.delete('/sessions/:id',
+  validateSessionId,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      // Security: Only the owner's active sessions can match
+      const session = await sessionService.revokeSession(req.user.id, parseInt(req.params.id, 10), 'security_revoke');
+
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found'
+        });
+      }
+
+      const wasCurrent = Boolean(req.tokenJti) && session.jti === req.tokenJti;
+      if (wasCurrent) {
+        const isProduction = process.env.NODE_ENV === 'production';
+        res.cookie('jwt', '', {
+          httpOnly: true,
+          secure: isProduction,
+          sameSite: isProduction ? 'strict' : 'lax',
+          expires: new Date(0),
+          path: '/'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Session revoked successfully',
+        data: {
+          id: session.id,
+          was_current: wasCurrent
+        }
+      });
+    } catch (error) {
+      // Error: Log and return generic server error to avoid exposing internal details
+      console.error('Error revoking session:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error revoking session'
+      });
+    }
+  }
+);
+
 module.exports = router;
@@ -7,7 +7,7 @@
  * @requires ../../utils/passwordValidator
  */
 
-const { body } = require('express-validator');
+const { body, query, param } = require('express-validator');
 const { newPasswordCamelValidator } = require('../../utils/passwordValidator');
 
 /**
@@ -154,20 +154,57 @@ const validatePrivacySettings = [
  *
  * @constant {Array} validateTwoFactor
  * @property {boolean} enabled - Whether to enable or disable 2FA
+ * @property {string} [code] - Authenticator or recovery code (required to disable)
  */
 const validateTwoFactor = [
-  body('enabled').isBoolean().withMessage('Enabled must be a boolean')
+  body('enabled').isBoolean().withMessage('Enabled must be a boolean'),
+  body('code').optional().isString().isLength({ min: 6, max: 11 }).withMessage('Code must be 6-11 characters')
 ];
 
 /**
  * @description Validation middleware for two-factor authentication verification code.
- * Validates that the code is exactly 6 characters long.
+ * Validates that the code is exactly 6 digits.
  *
  * @constant {Array} validateTwoFactorVerify
  * @property {string} code - 6-digit TOTP verification code
  */
 const validateTwoFactorVerify = [
-  body('code').isLength({ min: 6, max: 6 }).withMessage('Code must be 6 characters')
+  body('code').isLength({ min: 6, max: 6 }).isNumeric().withMessage('Code must be 6 digits')
+];
+
+/**
+ * @description Validation middleware for actions that accept either an authenticator
+ * code or a recovery code (e.g. regenerating recovery codes).
+ *
+ * @constant {Array} validateTwoFactorCode
+ * @property {string} code - 6-digit TOTP code or recovery code (xxxxx-xxxxx)
+ */
+const validateTwoFactorCode = [
+  body('code').isString().isLength({ min: 6, max: 11 }).withMessage('Code must be 6-11 characters')
+];
+
+/**
+ * @description Validation middleware for login history query parameters.
+ *
+ * @constant {Array} validateLoginHistoryQuery
+ * @property {number} [page] - Page number (>= 1)
+ * @property {number} [limit] - Items per page (1-100)
+ * @property {string} [outcome] - success, failed or two_factor_required
+ */
+const validateLoginHistoryQuery = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('outcome').optional().isIn(['success', 'failed', 'two_factor_required']).withMessage('Invalid outcome filter')
+];
+
+/**
+ * @description Validation middleware for the session ID route parameter.
+ *
+ * @constant {Array} validateSessionId
+ * @property {number} id - Session ID (positive integer)
+ */
+const validateSessionId = [
+  param('id').isInt({ min: 1 }).withMessage('Session ID must be a positive integer')
 ];
 
 /**
@@ -190,5 +227,8 @@ module.exports = {
   validatePrivacySettings,
   validateTwoFactor,
   validateTwoFactorVerify,
+  validateTwoFactorCode,
+  validateLoginHistoryQuery,
+  validateSessionId,
   validateAccountDeletion
 };
@@ -382,11 +382,48 @@ router.get('/aggregate-stats', async (req, res) => {
 
 /**
  * GET /api/v1/teams/lineup
- * Best-effort lineup derived from most recent game's box score.
+ * Lineup saved for the next scheduled game (source 'lineup_card') when there is one,
+ * otherwise a best-effort lineup derived from most recent game's box score.
  */
 router.get('/lineup', async (req, res) => {
   try {
-    const { Game, GameStatistic, Player } = require('../../models');
+    const { Op } = require('sequelize');
+    const { Game, GameStatistic, Player, GameLineup } = require('../../models');
+    const lineupService = require('../../services/lineupService');
+
+    // Prefer the lineup card the staff saved for the next game
+    const nextGame = await Game.findOne({
+      where: {
+        team_id: req.user.team_id,
+        game_status: 'scheduled',
+        game_date: { [Op.gte]: new Date().toISOString().slice(0, 10) }
+      },
+      include: [{ model: GameLineup, as: 'lineup', required: true }],
+      order: [['game_date', 'ASC']]
+    });
+
+    if (nextGame) {
+      const roster = await lineupService.getActiveRoster(req.user.team_id);
+      const card = lineupService.formatLineupCard(nextGame.lineup, new Map(roster.map(p => [p.id, p])));
+      return res.json({
+        success: true,
+        data: {
+          source: 'lineup_card',
+          game_id: nextGame.id,
+          game_date: nextGame.game_date,
+          opponent: nextGame.opponent,
+          players: card.batting_order.map(entry => ({
+            player_id: entry.player_id,
+            name: entry.name,
+            jersey_number: entry.jersey_number,
+            position: entry.position,
+            batting_order: entry.slot,
+            bats: entry.bats
+          }))
+        }
+      });
+    }
+
     // Find most recent completed games (check up to 5 in case the latest has incomplete stats)
     const recentGames = await Game.findAll({
       where: {
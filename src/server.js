@@ -50,6 +50,8 @@ const prospectRoutes = require('./routes/prospects');
 const rosterRoutes = require('./routes/rosters');
 const newsRoutes = require('./routes/news');
 const tournamentRoutes = require('./routes/tournaments');
+const bullpenRoutes = require('./routes/bullpen');
+const recruitingRoutes = require('./routes/recruiting');
 const teamStatsRoutes = require('./routes/teams/stats');
 const aiRoutes = require('./routes/ai');
 
@@ -146,6 +148,8 @@ app.use('/api/v1/prospects', prospectRoutes);
 app.use('/api/v1/rosters', rosterRoutes);
 app.use('/api/v1/news', newsRoutes);
 app.use('/api/v1/tournaments', tournamentRoutes);
+app.use('/api/v1/bullpen', bullpenRoutes);
+app.use('/api/v1/recruiting', recruitingRoutes);
 app.use('/api/v1/ai', aiRoutes);
 
 // Error handling middleware
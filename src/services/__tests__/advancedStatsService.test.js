@@ -0,0 +1,137 @@
+const advancedStatsService = require('../advancedStatsService');
+const { Game, PlayerSeasonStats, Team } = require('../../models');
+
+// Mock dependencies
+jest.mock('../../models');
+
+describe('advancedStatsService', () => {
+  const hitter = {
+    at_bats: 400, hits: 120, doubles: 25, triples: 3, home_runs: 15, walks: 50, hit_by_pitch: 10,
+    sacrifice_flies: 5, sacrifice_bunts: 2, strikeouts: 80, runs: 70, innings_pitched: 0
+  };
+  const pitcher = {
+    at_bats: 0, innings_pitched: '100.2', hits_allowed: 90, walks_allowed: 30, strikeouts_pitching: 110,
+    home_runs_allowed: 8, earned_runs: 40
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('computeLeagueConstants', () => {
+    it('uses the defaults until the league has enough data', () => {
+      const constants = advancedStatsService.computeLeagueConstants([hitter]);
+
+      expect(constants.source).toBe('default');
+      expect(constants.obp).toBe(advancedStatsService.DEFAULT_LEAGUE_RATES.obp);
+      expect(constants.woba).toBe(constants.obp);
+    });
+
+    it('scales wOBA to league OBP and sets the FIP constant from league ERA', () => {
+      const league = [hitter, hitter, hitter, pitcher, pitcher];
+
+      const constants = advancedStatsService.computeLeagueConstants(league);
+
+      expect(constants.source).toBe('league');
+      expect(constants.obp).toBeCloseTo(180 / 465, 3);
+      expect(constants.woba).toBe(constants.obp);
+      expect(constants.woba_weights.home_run).toBeGreaterThan(constants.woba_weights.triple);
+      expect(constants.era).toBeCloseTo((9 * 80) / (201 + 1 / 3), 2);
+      expect(constants.fip_constant).toBeCloseTo(constants.era - (13 * constants.hr_per_ip + 3 * constants.bb_per_ip - 2 * constants.k_per_ip), 2);
+    });
+  });
+
+  describe('computeParkFactor', () => {
+    const games = (side, count, runs) => Array.from({ length: count }, () => ({ home_away: side, team_score: runs, opponent_score: 0 }));
+
+    it('halves the home/road run ratio toward neutral', () => {
+      expect(advancedStatsService.computeParkFactor([...games('home', 6, 12), ...games('away', 6, 8)])).toBe(1.25);
+    });
+
+    it('stays neutral with too few games', () => {
+      expect(advancedStatsService.computeParkFactor([...games('home', 4, 12), ...games('away', 6, 8)])).toBe(1);
+    });
+  });
+
+  describe('computeBattingStats', () => {
+    it('computes rate stats and rates a league-average hitter at 100', () => {
+      const constants = advancedStatsService.computeLeagueConstants([hitter, hitter, hitter, pitcher, pitcher]);
+
+      const stats = advancedStatsService.computeBattingStats(hitter, constants);
+
+      expect(stats.woba).toBeCloseTo(constants.woba, 3);
+      expect(stats.wrc_plus).toBeCloseTo(100, 0);
+      expect(stats.ops_plus).toBeCloseTo(100, 0);
+      expect(stats.iso).toBeCloseTo((120 + 25 + 6 + 45 - 120) / 400, 3);
+      expect(stats.babip).toBeCloseTo((120 - 15) / (400 - 80 - 15 + 5), 3);
+      expect(stats.k_pct).toBeCloseTo(80 / 467, 3);
+      expect(stats.bb_pct).toBeCloseTo(50 / 467, 3);
+    });
+
+    it('discounts hitting in a hitter-friendly park', () => {
+      const constants = advancedStatsService.computeLeagueConstants([hitter, hitter, hitter, pitcher, pitcher]);
+
+      const stats = advancedStatsService.computeBattingStats(hitter, constants, 1.1);
+
+      expect(stats.wrc_plus).toBeLessThan(100);
+      expect(stats.ops_plus).toBeLessThan(100);
+    });
+
+    it('returns nulls without plate appearances', () => {
+      const stats = advancedStatsService.computeBattingStats({ at_bats: 0 }, advancedStatsService.computeLeagueConstants([]));
+
+      expect(Object.values(stats).every(value => value === null)).toBe(true);
+    });
+  });
+
+  describe('computePitchingStats', () => {
+    it('computes FIP, xFIP and strikeout/walk rates', () => {
+      const constants = advancedStatsService.computeLeagueConstants([]);
+      const innings = 100 + 2 / 3;
+
+      const stats = advancedStatsService.computePitchingStats(pitcher, constants);
+
+      expect(stats.fip).toBeCloseTo((13 * 8 + 3 * 30 - 2 * 110) / innings + constants.fip_constant, 2);
+      expect(stats.xfip).toBeCloseTo((13 * innings * constants.hr_per_ip + 3 * 30 - 2 * 110) / innings + constants.fip_constant, 2);
+      expect(stats.k_pct_pitching).toBeCloseTo(110 / 422, 3);
+      expect(stats.k_bb_pct).toBeCloseTo(80 / 422, 2);
+      expect(stats.era_minus).toBeCloseTo(100 * ((9 * 40) / innings) / constants.era, 0);
+    });
+
+    it('keeps small samples inside the column range', () => {
+      const stats = advancedStatsService.computePitchingStats(
+        { innings_pitched: '0.1', home_runs_allowed: 30, walks_allowed: 0, strikeouts_pitching: 0, earned_runs: 400 },
+        advancedStatsService.computeLeagueConstants([])
+      );
+
+      expect(stats.fip).toBe(999.99);
+      expect(stats.era_minus).toBe(99999.9);
+    });
+  });
+
+  describe('recalculateTeamSeason', () => {
+    it('updates every season line of the team with league constants and park factor', async () => {
+      const rows = [{ ...hitter, update: jest.fn() }, { ...pitcher, update: jest.fn() }];
+      Team.findByPk = jest.fn().mockResolvedValue({ id: 1, division: 'D1', conference: 'SEC' });
+      Team.findAll = jest.fn().mockResolvedValue([{ id: 1 }, { id: 2 }]);
+      PlayerSeasonStats.findAll = jest.fn()
+        .mockResolvedValueOnce([hitter, pitcher])
+        .mockResolvedValueOnce(rows);
+      Game.findAll = jest.fn().mockResolvedValue([]);
+
+      const result = await advancedStatsService.recalculateTeamSeason(1, '2026');
+
+      expect(Team.findAll.mock.calls[0][0].where).toEqual({ division: 'D1', conference: 'SEC' });
+      expect(result).toMatchObject({ season: '2026', park_factor: 1, updated: 2, scope: { conference: 'SEC', teams: 2 } });
+      expect(rows[0].update.mock.calls[0][0]).toMatchObject({ iso: expect.any(Number), fip: null });
+      expect(rows[1].update.mock.calls[0][0]).toMatchObject({ woba: null, fip: expect.any(Number) });
+      expect(rows[1].update.mock.calls[0][0].advanced_stats_computed_at).toBeInstanceOf(Date);
+    });
+
+    it('returns null for an unknown team', async () => {
+      Team.findByPk = jest.fn().mockResolvedValue(null);
+
+      await expect(advancedStatsService.recalculateTeamSeason(99, '2026')).resolves.toBeNull();
+    });
+  });
+});
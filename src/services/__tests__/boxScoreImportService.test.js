@@ -0,0 +1,174 @@
+const boxScoreImportService = require('../boxScoreImportService');
+const { sequelize, Game, GameStatistic, GameScoringEvent, OpponentGameStat, Player, Team } = require('../../models');
+
+// Mock dependencies
+jest.mock('../../models');
+
+describe('boxScoreImportService', () => {
+  const xml = `<?xml version="1.0"?>
+<bsgame>
+  <venue date="3/14/2026" location="Summer Park" attend="312"/>
+  <team vh="V" id="SHK" name="Sharks">
+    <linescore r="2" h="5" e="1"/>
+    <starters><player uni="4" name="Reyes, Tom" pos="ss" spot="1"/></starters>
+    <player uni="4" name="Reyes, Tom" pos="ss" spot="1"><hitting ab="4" r="1" h="2" rbi="1"/><fielding po="1" a="3" e="1"/></player>
+    <player uni="30" name="Ford, Al" pos="p"><pitching ip="8.0" h="9" r="6" er="5" bb="2" so="7" loss="1"/></player>
+  </team>
+  <team vh="H" id="ST" name="State">
+    <linescore r="6" h="9" e="0"/>
+    <player uni="12" name="Smith, Cole" pos="ss" spot="1"><hitting ab="4" r="2" h="3" double="1" rbi="2"/></player>
+    <player uni="8" name="Jones, Ben" pos="cf" spot="2"><hitting ab="3" h="1" bb="1"/></player>
+    <player uni="44" name="Nobody, Walk On" pos="rf" spot="9"><hitting ab="2"/></player>
+    <player uni="21" name="Starter, Ace" pos="p"><pitching ip="9.0" h="5" r="2" er="1" so="10" win="1"/></player>
+  </team>
+  <plays format="summary"><inning number="1"><batting id="SHK" vh="V">
+    <play><batter name="Reyes" uni="4" out="0" tobase="1"/><narrative text="Reyes singled to rf (0-0)."/></play>
+  </batting></inning></plays>
+</bsgame>`;
+
+  const roster = [
+    { id: 7, first_name: 'Cole', last_name: 'Smith', jersey_number: 12 },
+    { id: 9, first_name: 'Benjamin', last_name: 'Jones', jersey_number: 18 },
+    { id: 21, first_name: 'Ace', last_name: 'Starter', jersey_number: 21 },
+    { id: 44, first_name: 'Sam', last_name: 'Other', jersey_number: 44 }
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Team.findByPk = jest.fn().mockResolvedValue({ id: 1, name: 'State', program_name: null, presto_team_id: null });
+    Player.findAll = jest.fn().mockResolvedValue(roster);
+    Game.findAll = jest.fn().mockResolvedValue([]);
+    Game.findOne = jest.fn().mockResolvedValue(null);
+    GameScoringEvent.count = jest.fn().mockResolvedValue(0);
+  });
+
+  describe('splitName and namesMatch', () => {
+    it('reads "Last, First" and "First Last" names', () => {
+      expect(boxScoreImportService.splitName('Smith, Cole')).toEqual({ first: 'cole', last: 'smith' });
+      expect(boxScoreImportService.splitName('Cole Smith')).toEqual({ first: 'cole', last: 'smith' });
+    });
+
+    it('accepts a shortened or missing first name', () => {
+      const player = { first_name: 'Benjamin', last_name: 'Jones' };
+
+      expect(boxScoreImportService.namesMatch('Jones, Ben', player)).toBe(true);
+      expect(boxScoreImportService.namesMatch('B. Jones', player)).toBe(true);
+      expect(boxScoreImportService.namesMatch('Jones', player)).toBe(true);
+      expect(boxScoreImportService.namesMatch('Jones, Carl', player)).toBe(false);
+    });
+  });
+
+  describe('matchPlayers', () => {
+    const line = (uni, name) => ({ uni, name });
+
+    it('matches by jersey and name, then name, then jersey alone', () => {
+      const matches = boxScoreImportService.matchPlayers(
+        [line('12', 'Smith, Cole'), line('8', 'Jones, Ben'), line('44', 'Nobody, Walk On'), line('99', 'Stranger, Dan')],
+        roster
+      );
+
+      expect(matches.map(match => [match.method, match.player && match.player.id])).toEqual([
+        ['jersey_and_name', 7],
+        ['name', 9],
+        ['jersey', 44],
+        ['unmatched', null]
+      ]);
+    });
+
+    it('applies overrides and gives each roster player one line', () => {
+      const matches = boxScoreImportService.matchPlayers(
+        [line('12', 'Smith, Cole'), line('44', 'Nobody, Walk On'), line('12', 'Smith, C')],
+        roster,
+        { '44:Nobody, Walk On': null, '12:Smith, C': 21 }
+      );
+
+      expect(matches.map(match => match.method)).toEqual(['jersey_and_name', 'unmatched', 'override']);
+      expect(matches[2].player.id).toBe(21);
+    });
+  });
+
+  describe('parseGameDate', () => {
+    it('reads StatCrew and ISO dates', () => {
+      expect(boxScoreImportService.parseGameDate('3/14/2026').toISOString()).toBe('2026-03-14T12:00:00.000Z');
+      expect(boxScoreImportService.parseGameDate('2026-03-14').toISOString()).toBe('2026-03-14T12:00:00.000Z');
+      expect(boxScoreImportService.parseGameDate('TBA')).toBeNull();
+    });
+  });
+
+  describe('previewImport', () => {
+    it('finds our side by name and previews a new game', async () => {
+      const preview = await boxScoreImportService.previewImport(1, xml);
+
+      expect(preview.game).toMatchObject({
+        action: 'create',
+        opponent: 'Sharks',
+        home_away: 'home',
+        team_score: 6,
+        opponent_score: 2,
+        result: 'W',
+        game_status: 'completed'
+      });
+      expect(preview.plays).toBe(1);
+      expect(preview.match_counts).toMatchObject({ jersey_and_name: 2, name: 1, jersey: 1, unmatched: 0 });
+      expect(preview.opponent_players).toBe(2);
+      expect(preview.warnings).toEqual(['1 player(s) matched by jersey number only; check the names']);
+      expect(Game.findAll.mock.calls[0][0].where.team_id).toBe(1);
+    });
+
+    it('updates the game against the same opponent that day', async () => {
+      Game.findAll.mockResolvedValue([{ id: 3, opponent: 'Blue Ridge' }, { id: 5, opponent: 'Sharks', source_system: 'manual' }]);
+
+      const preview = await boxScoreImportService.previewImport(1, xml);
+
+      expect(preview.game).toMatchObject({ action: 'update', id: 5 });
+    });
+
+    it('asks which side is ours when the names do not say', async () => {
+      Team.findByPk.mockResolvedValue({ id: 1, name: 'Other U' });
+      Player.findAll.mockResolvedValue([]);
+
+      await expect(boxScoreImportService.previewImport(1, xml)).resolves.toMatchObject({ status: 400 });
+      await expect(boxScoreImportService.previewImport(1, xml, { homeAway: 'away' }))
+        .resolves.toMatchObject({ game: { home_away: 'away', opponent: 'State', result: 'L' } });
+    });
+
+    it('refuses games that are being scored live', async () => {
+      Game.findOne.mockResolvedValue({ id: 5, opponent: 'Sharks' });
+      GameScoringEvent.count.mockResolvedValue(12);
+
+      await expect(boxScoreImportService.previewImport(1, xml, { gameId: 5 })).resolves.toMatchObject({ status: 409 });
+    });
+
+    it('rejects files that are not box scores', async () => {
+      await expect(boxScoreImportService.previewImport(1, '<roster></roster>')).resolves.toMatchObject({ status: 400 });
+    });
+  });
+
+  describe('commitImport', () => {
+    it('creates the game and replaces its stat lines', async () => {
+      sequelize.transaction = jest.fn(work => work('tx'));
+      Game.create = jest.fn().mockResolvedValue({ id: 77 });
+      GameStatistic.destroy = jest.fn();
+      GameStatistic.bulkCreate = jest.fn();
+      OpponentGameStat.destroy = jest.fn();
+      OpponentGameStat.bulkCreate = jest.fn();
+
+      const result = await boxScoreImportService.commitImport(1, xml, { season: '2026' }, 3);
+
+      expect(result).toMatchObject({ game_id: 77, stats_imported: 4, opponent_stats_imported: 2, game: { action: 'create', id: 77 } });
+      expect(Game.create.mock.calls[0][0]).toMatchObject({
+        team_id: 1, opponent: 'Sharks', season: '2026', location: 'Summer Park', attendance: 312, source_system: 'manual', created_by: 3
+      });
+      expect(Game.create.mock.calls[0][0].play_by_play.total_plays).toBe(1);
+      expect(GameStatistic.destroy).toHaveBeenCalledWith({ where: { game_id: 77, team_id: 1 }, transaction: 'tx' });
+
+      const lines = GameStatistic.bulkCreate.mock.calls[0][0];
+      expect(lines.find(row => row.player_id === 7)).toMatchObject({ at_bats: 4, hits: 3, doubles: 1, rbi: 2, source_system: 'manual' });
+      expect(lines.find(row => row.player_id === 21)).toMatchObject({ innings_pitched: 9, strikeouts_pitching: 10, win: true });
+
+      const opponents = OpponentGameStat.bulkCreate.mock.calls[0][0];
+      expect(opponents[0]).toMatchObject({ opponent_name: 'Sharks', player_name: 'Reyes, Tom', is_starter: true, batting_order: 1, hits: 2, errors: 1 });
+      expect(opponents[1]).toMatchObject({ jersey_number: '30', loss: true, earned_runs: 5 });
+    });
+  });
+});
@@ -0,0 +1,245 @@
+const depthChartHistoryService = require('../depthChartHistoryService');
+const { sequelize } = require('../../config/database');
+const {
+  DepthChart,
+  DepthChartPosition,
+  DepthChartPlayer,
+  DepthChartHistory,
+  Player
+} = require('../../models');
+
+// Mock dependencies
+jest.mock('../../models');
+
+describe('depthChartHistoryService', () => {
+  const chartRow = (positions) => ({
+    id: 4,
+    name: 'Conference Weekend',
+    description: null,
+    is_default: true,
+    effective_date: '2026-03-06',
+    notes: null,
+    is_active: true,
+    version: 3,
+    DepthChartPositions: positions
+  });
+
+  const reliever = {
+    id: 31,
+    position_id: 12,
+    player_id: 77,
+    depth_order: 2,
+    notes: 'Long relief',
+    Player: { id: 77, first_name: 'Sam', last_name: 'Ortiz' }
+  };
+
+  const snapshot = (players = []) => ({
+    chart: { name: 'Conference Weekend', description: null, is_default: true, effective_date: '2026-03-06', notes: null, is_active: true, version: 3 },
+    positions: [
+      { id: 12, position_code: 'RP', position_name: 'Relief Pitcher', color: null, icon: null, sort_order: 2, max_players: null, description: null, players }
+    ]
+  });
+
+  const relieverEntry = { assignment_id: 31, player_id: 77, player_name: 'Sam Ortiz', depth_order: 2, notes: 'Long relief' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('buildSnapshot', () => {
+    it('captures chart details with positions and players in display order', async () => {
+      DepthChart.findByPk = jest.fn().mockResolvedValue(chartRow([
+        { id: 12, position_code: 'RP', position_name: 'Relief Pitcher', sort_order: 2, DepthChartPlayers: [reliever] },
+        { id: 11, position_code: 'SP', position_name: 'Starting Pitcher', sort_order: 1, DepthChartPlayers: [] }
+      ]));
+
+      const result = await depthChartHistoryService.buildSnapshot(4);
+
+      expect(result.chart).toMatchObject({ name: 'Conference Weekend', version: 3, is_active: true });
+      expect(result.positions.map(p => p.position_code)).toEqual(['SP', 'RP']);
+      expect(result.positions[1].players).toEqual([relieverEntry]);
+    });
+
+    it('returns null for an unknown chart', async () => {
+      DepthChart.findByPk = jest.fn().mockResolvedValue(null);
+      await expect(depthChartHistoryService.buildSnapshot(99)).resolves.toBeNull();
+    });
+  });
+
+  describe('ensureBaseline', () => {
+    it('records the current state when a chart has no history yet', async () => {
+      DepthChartHistory.count = jest.fn().mockResolvedValue(0);
+      DepthChart.findByPk = jest.fn().mockResolvedValue(chartRow([]));
+      DepthChartHistory.create = jest.fn(values => Promise.resolve(values));
+
+      await depthChartHistoryService.ensureBaseline(4);
+
+      expect(DepthChartHistory.create).toHaveBeenCalledWith(expect.objectContaining({
+        depth_chart_id: 4,
+        action: 'baseline',
+        version: 3,
+        changed_by: null
+      }));
+    });
+
+    it('does nothing once history exists', async () => {
+      DepthChartHistory.count = jest.fn().mockResolvedValue(5);
+      DepthChartHistory.create = jest.fn();
+
+      await expect(depthChartHistoryService.ensureBaseline(4)).resolves.toBeNull();
+      expect(DepthChartHistory.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recordChange', () => {
+    it('stores who made the change, the before/after values and a snapshot', async () => {
+      DepthChart.findByPk = jest.fn().mockResolvedValue(chartRow([]));
+      DepthChartHistory.create = jest.fn(values => Promise.resolve(values));
+
+      await depthChartHistoryService.recordChange(4, 9, {
+        action: 'player_unassigned',
+        entityType: 'player',
+        entityId: 31,
+        playerId: 77,
+        description: 'Removed Sam Ortiz from RP (depth 2)',
+        before: relieverEntry
+      });
+
+      expect(DepthChartHistory.create).toHaveBeenCalledWith(expect.objectContaining({
+        depth_chart_id: 4,
+        action: 'player_unassigned',
+        entity_id: 31,
+        player_id: 77,
+        before: relieverEntry,
+        after: null,
+        changed_by: 9,
+        version: 3,
+        snapshot: expect.objectContaining({ positions: [] })
+      }));
+    });
+
+    it('never throws when the write fails', async () => {
+      DepthChart.findByPk = jest.fn().mockResolvedValue(chartRow([]));
+      DepthChartHistory.create = jest.fn().mockRejectedValue(new Error('db down'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(depthChartHistoryService.recordChange(4, 9, {
+        action: 'chart_updated',
+        entityType: 'chart',
+        description: 'Updated depth chart'
+      })).resolves.toBeNull();
+      console.error.mockRestore();
+    });
+  });
+
+  describe('diffSnapshots', () => {
+    it('reports removed, added and reordered players', () => {
+      const setup = { assignment_id: 32, player_id: 78, player_name: 'Eli Park', depth_order: 1, notes: null };
+      const before = snapshot([setup, relieverEntry]);
+      const after = snapshot([{ ...setup, depth_order: 2 }, { assignment_id: 40, player_id: 80, player_name: 'Noah Kim', depth_order: 1, notes: null }]);
+
+      const diff = depthChartHistoryService.diffSnapshots(before, after);
+
+      expect(diff.players.removed).toEqual([expect.objectContaining({ player_id: 77, player_name: 'Sam Ortiz', position_code: 'RP' })]);
+      expect(diff.players.added).toEqual([expect.objectContaining({ player_id: 80 })]);
+      expect(diff.players.changed).toEqual([{
+        position_id: 12,
+        position_code: 'RP',
+        player_id: 78,
+        player_name: 'Eli Park',
+        changes: [{ field: 'depth_order', from: 1, to: 2 }]
+      }]);
+    });
+
+    it('reports chart and position changes, ignoring the version counter', () => {
+      const before = snapshot();
+      const after = {
+        chart: { ...before.chart, notes: 'Lefty-heavy lineup expected', version: 4 },
+        positions: [
+          { ...before.positions[0], position_name: 'Bullpen' },
+          { id: 13, position_code: 'CL', position_name: 'Closer', players: [] }
+        ]
+      };
+
+      const diff = depthChartHistoryService.diffSnapshots(before, after);
+
+      expect(diff.chart).toEqual([{ field: 'notes', from: null, to: 'Lefty-heavy lineup expected' }]);
+      expect(diff.positions.added).toEqual([{ id: 13, position_code: 'CL', position_name: 'Closer' }]);
+      expect(diff.positions.changed).toEqual([{
+        id: 12,
+        position_code: 'RP',
+        changes: [{ field: 'position_name', from: 'Relief Pitcher', to: 'Bullpen' }]
+      }]);
+      expect(diff.positions.removed).toEqual([]);
+    });
+  });
+
+  describe('restoreSnapshot', () => {
+    beforeEach(() => {
+      Player.findAll = jest.fn().mockResolvedValue([{ id: 77 }]);
+    });
+
+    it('reactivates recorded rows, deactivates the rest and bumps the version', async () => {
+      jest.spyOn(sequelize, 'transaction').mockImplementation(callback => callback('tx'));
+      const position = { id: 12, is_active: true, update: jest.fn() };
+      const removedAssignment = { id: 31, position_id: 12, player_id: 77, is_active: false, update: jest.fn() };
+      const newAssignment = { id: 40, position_id: 12, player_id: 80, is_active: true, update: jest.fn() };
+      DepthChartPosition.findAll = jest.fn().mockResolvedValue([position]);
+      DepthChartPlayer.findAll = jest.fn().mockResolvedValue([removedAssignment, newAssignment]);
+      DepthChartPlayer.create = jest.fn();
+      const depthChart = { id: 4, team_id: 1, version: 5, update: jest.fn() };
+
+      const result = await depthChartHistoryService.restoreSnapshot(depthChart, snapshot([relieverEntry]), 9);
+
+      expect(position.update).toHaveBeenCalledWith(expect.objectContaining({ position_code: 'RP', is_active: true }), { transaction: 'tx' });
+      expect(removedAssignment.update).toHaveBeenCalledWith({ depth_order: 2, notes: 'Long relief', is_active: true }, { transaction: 'tx' });
+      expect(newAssignment.update).toHaveBeenCalledWith({ is_active: false }, { transaction: 'tx' });
+      expect(DepthChartPlayer.create).not.toHaveBeenCalled();
+      expect(depthChart.update).toHaveBeenCalledWith(expect.objectContaining({
+        name: 'Conference Weekend',
+        version: 6
+      }), { transaction: 'tx' });
+      expect(result).toEqual({ depthChart, skipped_players: [] });
+    });
+
+    it('recreates assignments that no longer exist', async () => {
+      jest.spyOn(sequelize, 'transaction').mockImplementation(callback => callback('tx'));
+      DepthChartPosition.findAll = jest.fn().mockResolvedValue([{ id: 12, is_active: true, update: jest.fn() }]);
+      DepthChartPlayer.findAll = jest.fn().mockResolvedValue([]);
+      DepthChartPlayer.create = jest.fn().mockResolvedValue({ id: 50 });
+
+      await depthChartHistoryService.restoreSnapshot({ id: 4, team_id: 1, version: 5, update: jest.fn() }, snapshot([relieverEntry]), 9);
+
+      expect(DepthChartPlayer.create).toHaveBeenCalledWith({
+        depth_chart_id: 4,
+        position_id: 12,
+        player_id: 77,
+        assigned_by: 9,
+        depth_order: 2,
+        notes: 'Long relief',
+        is_active: true
+      }, { transaction: 'tx' });
+    });
+
+    it('skips assignments of players no longer on the team', async () => {
+      jest.spyOn(sequelize, 'transaction').mockImplementation(callback => callback('tx'));
+      DepthChartPosition.findAll = jest.fn().mockResolvedValue([{ id: 12, is_active: true, update: jest.fn() }]);
+      DepthChartPlayer.findAll = jest.fn().mockResolvedValue([]);
+      DepthChartPlayer.create = jest.fn().mockResolvedValue({ id: 50 });
+      const deletedEntry = { assignment_id: 32, player_id: 78, player_name: 'Eli Park', depth_order: 1, notes: null };
+      const depthChart = { id: 4, team_id: 1, version: 5, update: jest.fn() };
+
+      const result = await depthChartHistoryService.restoreSnapshot(depthChart, snapshot([deletedEntry, relieverEntry]), 9);
+
+      expect(Player.findAll.mock.calls[0][0].where.team_id).toBe(1);
+      expect(DepthChartPlayer.create).toHaveBeenCalledTimes(1);
+      expect(DepthChartPlayer.create.mock.calls[0][0]).toMatchObject({ player_id: 77 });
+      expect(result.skipped_players).toEqual([{ player_id: 78, player_name: 'Eli Park', position_code: 'RP' }]);
+      expect(depthChart.update).toHaveBeenCalledWith(expect.objectContaining({ version: 6 }), { transaction: 'tx' });
+    });
+  });
+});
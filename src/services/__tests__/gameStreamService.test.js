@@ -0,0 +1,161 @@
+const { EventEmitter } = require('events');
+const gameStreamService = require('../gameStreamService');
+const { Game, GameStatistic } = require('../../models');
+
+// Mock dependencies
+jest.mock('../../models');
+
+describe('gameStreamService', () => {
+  const playByPlay = (narratives) => ({
+    innings: [{
+      inning: 1,
+      halves: [
+        { team: 'Visitor', side: 'away', plays: narratives.map(narrative => ({ narrative, batter: null, runners: [] })) }
+      ]
+    }],
+    line_score: [{ side: 'away', innings: [{ inning: 1, runs: 0 }], runs: 0 }]
+  });
+
+  const statLine = (overrides = {}) => ({
+    player_id: 7,
+    player: { id: 7, first_name: 'Cole', last_name: 'Smith', jersey_number: 12 },
+    at_bats: 1,
+    hits: 0,
+    ...overrides
+  });
+
+  const game = (overrides = {}) => ({
+    id: 5,
+    team_id: 1,
+    opponent: 'Visitor',
+    home_away: 'home',
+    team_score: 0,
+    opponent_score: 0,
+    result: null,
+    game_status: 'scheduled',
+    play_by_play: playByPlay(['Adams struck out swinging (0-2 SS).']),
+    ...overrides
+  });
+
+  const openStream = () => {
+    const req = new EventEmitter();
+    const res = { writeHead: jest.fn(), write: jest.fn(), flush: jest.fn(), end: jest.fn() };
+    return { req, res };
+  };
+
+  const sentEvents = res => res.write.mock.calls
+    .map(([chunk]) => chunk)
+    .filter(chunk => chunk.startsWith('event:'))
+    .map(chunk => {
+      const [eventLine, dataLine] = chunk.trim().split('\n');
+      return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+    });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Game.findByPk = jest.fn().mockResolvedValue(game());
+    GameStatistic.findAll = jest.fn().mockResolvedValue([statLine()]);
+  });
+
+  describe('flattenPlays', () => {
+    it('numbers the plays and classifies them', () => {
+      const plays = gameStreamService.flattenPlays(playByPlay(['Adams struck out swinging (0-2 SS).', 'Baker walked (3-0 BBBB).']));
+
+      expect(plays).toHaveLength(2);
+      expect(plays[1]).toMatchObject({ sequence: 2, inning: 1, half: 'top', team: 'Visitor', narrative: 'Baker walked (3-0 BBBB).' });
+      expect(plays[0].event).toMatchObject({ code: 'KS' });
+    });
+
+    it('returns no plays without play-by-play', () => {
+      expect(gameStreamService.flattenPlays(null)).toEqual([]);
+    });
+  });
+
+  describe('normalizeSituation', () => {
+    it('maps the live stats game state', () => {
+      expect(gameStreamService.normalizeSituation({ inning: 4, inningHalf: 'bottom', outs: 1, balls: 2, strikes: 0, runnersOn: ['first'] }))
+        .toEqual({ inning: 4, half: 'bottom', outs: 1, balls: 2, strikes: 0, bases: ['first'], batter: null, pitcher: null });
+    });
+  });
+
+  describe('diffSnapshots', () => {
+    const snapshot = (plays, box = { 7: { player_id: 7, hits: 0 } }, score = { team_score: 0 }) => ({
+      score,
+      line_score: [],
+      plays: plays.map((narrative, index) => ({ sequence: index + 1, narrative })),
+      box_score: box
+    });
+
+    it('sends only new plays and changed stat lines', () => {
+      const events = gameStreamService.diffSnapshots(
+        snapshot(['a']),
+        snapshot(['a', 'b'], { 7: { player_id: 7, hits: 1 } }, { team_score: 1 })
+      );
+
+      expect(events.map(e => e.event)).toEqual(['score', 'plays', 'box_score']);
+      expect(events[1].data.plays).toEqual([{ sequence: 2, narrative: 'b' }]);
+      expect(events[2].data).toEqual({ players: [{ player_id: 7, hits: 1 }], removed: [] });
+    });
+
+    it('resets the plays when earlier plays changed and reports removed lines', () => {
+      const events = gameStreamService.diffSnapshots(snapshot(['a', 'b']), snapshot(['a'], {}));
+
+      expect(events).toEqual([
+        { event: 'plays_reset', data: { plays: [{ sequence: 1, narrative: 'a' }] } },
+        { event: 'box_score', data: { players: [], removed: [7] } }
+      ]);
+    });
+
+    it('sends nothing when nothing changed', () => {
+      expect(gameStreamService.diffSnapshots(snapshot(['a']), snapshot(['a']))).toEqual([]);
+    });
+  });
+
+  describe('subscribe and publishGameUpdate', () => {
+    it('sends the snapshot, then only what changed', async () => {
+      const { req, res } = openStream();
+
+      await gameStreamService.subscribe(5, req, res);
+
+      expect(res.writeHead).toHaveBeenCalledWith(200, expect.objectContaining({ 'Content-Type': 'text/event-stream' }));
+      expect(gameStreamService.subscriberCount(5)).toBe(1);
+      const [snapshot] = sentEvents(res);
+      expect(snapshot.event).toBe('snapshot');
+      expect(snapshot.data.box_score['7']).toMatchObject({ name: 'Cole Smith', jersey_number: 12, at_bats: 1 });
+      expect(snapshot.data.plays).toHaveLength(1);
+
+      Game.findByPk.mockResolvedValue(game({
+        opponent_score: 1,
+        play_by_play: playByPlay(['Adams struck out swinging (0-2 SS).', 'Baker homered to left field, RBI (0-0).'])
+      }));
+      await gameStreamService.publishGameUpdate(5, { source: 'presto', state: { inning: 1, inningHalf: 'top', outs: 1 } });
+
+      const updates = sentEvents(res).slice(1);
+      expect(updates.map(e => e.event)).toEqual(['score', 'plays', 'situation']);
+      expect(updates[0].data).toMatchObject({ opponent_score: 1, source: 'presto' });
+      expect(updates[1].data.plays[0]).toMatchObject({ sequence: 2, event: { code: 'HR' } });
+      expect(updates[2].data).toMatchObject({ inning: 1, half: 'top', outs: 1 });
+      expect(res.flush).toHaveBeenCalled();
+
+      req.emit('close');
+      expect(gameStreamService.subscriberCount(5)).toBe(0);
+    });
+
+    it('does not load games nobody is watching', async () => {
+      await gameStreamService.publishGameUpdate(9, { source: 'manual' });
+
+      expect(Game.findByPk).not.toHaveBeenCalled();
+    });
+
+    it('ends the stream when the game cannot be loaded', async () => {
+      Game.findByPk.mockResolvedValue(null);
+      const { req, res } = openStream();
+
+      await gameStreamService.subscribe(5, req, res);
+
+      expect(res.end).toHaveBeenCalled();
+      expect(gameStreamService.subscriberCount(5)).toBe(0);
+      req.emit('close');
+    });
+  });
+});
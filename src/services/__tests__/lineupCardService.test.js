@@ -0,0 +1,95 @@
+const { renderLineupCardHtml, renderLineupCardPdf, escapeHtml, EXCHANGE_COPIES } = require('../lineupCardService');
+
+jest.mock('../../models');
+
+/**
+ * Collect a finalized pdfkit document into a single buffer
+ */
+const toBuffer = (doc) => new Promise((resolve, reject) => {
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+});
+
+const countPages = (buffer) => (buffer.toString('latin1').match(/\/Type \/Page\b/g) || []).length;
+
+const buildCard = () => ({
+  use_dh: true,
+  notes: 'Bunt <on> first pitch',
+  opposing_starter: { name: 'Lefty Jones', throws: 'L' },
+  handedness: { opposing_throws: 'L', with_advantage: 6, without_advantage: 3, unknown: 0 },
+  batting_order: Array.from({ length: 9 }, (_, i) => ({
+    slot: i + 1,
+    player_id: i + 1,
+    name: i === 0 ? 'Jake O\'Brien' : `Hitter ${i + 1}`,
+    jersey_number: String(i + 10),
+    bats: 'R',
+    throws: 'R',
+    position: ['CF', 'SS', '1B', '3B', 'DH', 'LF', 'RF', '2B', 'C'][i],
+    platoon_advantage: i < 6
+  })),
+  starting_pitcher: { player_id: 20, name: 'Ace Starter', jersey_number: '21', throws: 'R' },
+  bench: [{ player_id: 30, name: 'Bench Bat', jersey_number: '5', position: 'OF', bats: 'L' }],
+  bullpen: [{ player_id: 40, name: 'Late Arm', jersey_number: '44', throws: 'L' }]
+});
+
+const options = (type) => ({
+  game: { opponent: 'State <U>', game_date: '2026-03-06', game_time: '18:30:00', home_away: 'home', location: 'Home Field' },
+  team: { name: 'Tigers', primary_color: '#1E3A8A' },
+  type
+});
+
+describe('lineupCardService', () => {
+  describe('escapeHtml', () => {
+    it('escapes markup and tolerates empty values', () => {
+      expect(escapeHtml('<b>"A" & \'B\'</b>')).toBe('&lt;b&gt;&quot;A&quot; &amp; &#39;B&#39;&lt;/b&gt;');
+      expect(escapeHtml(null)).toBe('');
+    });
+  });
+
+  describe('renderLineupCardHtml', () => {
+    it('renders the dugout card with handedness, bench, bullpen and escaped text', () => {
+      const html = renderLineupCardHtml(buildCard(), options('dugout'));
+
+      expect(html).toMatch(/^<!DOCTYPE html>/);
+      expect(html).toContain('Tigers vs State &lt;U&gt;');
+      expect(html).toContain('Jake O&#39;Brien');
+      expect(html).toContain('Lefty Jones LHP');
+      expect(html).toContain('6 of 9 hitters with the platoon advantage');
+      expect(html).toContain('Bench Bat');
+      expect(html).toContain('Late Arm');
+      expect(html).toContain('Bunt &lt;on&gt; first pitch');
+      expect(html).not.toContain('<U>');
+    });
+
+    it('renders one exchange copy per recipient with lineup and substitutes', () => {
+      const html = renderLineupCardHtml(buildCard(), options('exchange'));
+
+      expect(html.match(/class="copy"/g)).toHaveLength(EXCHANGE_COPIES.length);
+      EXCHANGE_COPIES.forEach(copy => expect(html).toContain(`<h3>${copy}</h3>`));
+      expect(html.match(/Bench Bat/g)).toHaveLength(EXCHANGE_COPIES.length);
+      expect(html.match(/Late Arm/g)).toHaveLength(EXCHANGE_COPIES.length);
+      // Handedness notes stay off the card handed to the umpire
+      expect(html).not.toContain('platoon advantage');
+    });
+  });
+
+  describe('renderLineupCardPdf', () => {
+    it('renders a single-page dugout card', async () => {
+      const buffer = await toBuffer(renderLineupCardPdf(buildCard(), options('dugout')));
+
+      expect(buffer.slice(0, 5).toString()).toBe('%PDF-');
+      expect(countPages(buffer)).toBe(1);
+    });
+
+    it('renders the exchange card on a single landscape page', async () => {
+      const doc = renderLineupCardPdf(buildCard(), options('exchange'));
+      const { width, height } = doc.page;
+      const buffer = await toBuffer(doc);
+
+      expect(width).toBeGreaterThan(height);
+      expect(countPages(buffer)).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,211 @@
+const lineupService = require('../lineupService');
+
+jest.mock('../../models');
+
+describe('lineupService', () => {
+  let nextId = 1;
+  const makePlayer = (position, overrides = {}) => ({
+    id: nextId++,
+    first_name: 'Player',
+    last_name: `${position}${nextId}`,
+    jersey_number: nextId,
+    position,
+    bats: 'R',
+    throws: 'R',
+    batting_avg: 0.250,
+    home_runs: 2,
+    rbi: 10,
+    stolen_bases: 1,
+    ...overrides
+  });
+
+  const buildRoster = () => {
+    nextId = 1;
+    const roster = {
+      sp: makePlayer('P', { last_name: 'Starter' }),
+      rp1: makePlayer('P', { last_name: 'Reliever', throws: 'L' }),
+      rp2: makePlayer('P', { last_name: 'Closer' }),
+      c: makePlayer('C'),
+      first: makePlayer('1B', { home_runs: 14, rbi: 40 }),
+      second: makePlayer('2B', { batting_avg: 0.340, stolen_bases: 4 }),
+      third: makePlayer('3B', { home_runs: 10, rbi: 35 }),
+      ss: makePlayer('SS', { batting_avg: 0.330, stolen_bases: 20 }),
+      lfR: makePlayer('OF', { last_name: 'RightyLF', bats: 'R' }),
+      lfL: makePlayer('OF', { last_name: 'LeftyLF', bats: 'L' }),
+      cf: makePlayer('OF', { home_runs: 8, rbi: 30 }),
+      rf: makePlayer('OF', { bats: 'S' }),
+      dh: makePlayer('DH', { batting_avg: 0.300 }),
+      util: makePlayer('2B', { batting_avg: 0.200 })
+    };
+    return roster;
+  };
+
+  const buildChart = (r) => ({
+    positions: [
+      { position_code: 'SP', players: [{ player_id: r.sp.id, depth_order: 1 }] },
+      { position_code: 'RP', players: [{ player_id: r.rp2.id, depth_order: 2 }, { player_id: r.rp1.id, depth_order: 1 }] },
+      { position_code: 'C', players: [{ player_id: r.c.id, depth_order: 1 }] },
+      { position_code: '1B', players: [{ player_id: r.first.id, depth_order: 1 }] },
+      { position_code: '2B', players: [{ player_id: r.second.id, depth_order: 1 }, { player_id: r.util.id, depth_order: 2 }] },
+      { position_code: '3B', players: [{ player_id: r.third.id, depth_order: 1 }] },
+      { position_code: 'SS', players: [{ player_id: r.ss.id, depth_order: 1 }] },
+      { position_code: 'LF', players: [{ player_id: r.lfR.id, depth_order: 1 }, { player_id: r.lfL.id, depth_order: 2 }] },
+      { position_code: 'CF', players: [{ player_id: r.cf.id, depth_order: 1 }] },
+      { position_code: 'RF', players: [{ player_id: r.rf.id, depth_order: 1 }] },
+      { position_code: 'DH', players: [{ player_id: r.dh.id, depth_order: 1 }] }
+    ]
+  });
+
+  const byId = (roster) => new Map(Object.values(roster).map(player => [player.id, player]));
+
+  describe('hasPlatoonAdvantage', () => {
+    it('favors opposite-side and switch hitters', () => {
+      expect(lineupService.hasPlatoonAdvantage('L', 'R')).toBe(true);
+      expect(lineupService.hasPlatoonAdvantage('R', 'R')).toBe(false);
+      expect(lineupService.hasPlatoonAdvantage('Switch', 'L')).toBe(true);
+      expect(lineupService.hasPlatoonAdvantage('B', 'R')).toBe(true);
+      expect(lineupService.hasPlatoonAdvantage(null, 'R')).toBeNull();
+      expect(lineupService.hasPlatoonAdvantage('L', undefined)).toBeNull();
+    });
+  });
+
+  describe('generateLineup', () => {
+    it('builds a valid DH lineup with bench and bullpen from the depth chart', () => {
+      const r = buildRoster();
+      const lineup = lineupService.generateLineup({ chart: buildChart(r), roster: Object.values(r) });
+
+      expect(lineup.starting_pitcher_id).toBe(r.sp.id);
+      expect(lineup.batting_order).toHaveLength(9);
+      expect(lineup.batting_order.find(entry => entry.position === 'DH').player_id).toBe(r.dh.id);
+      expect(lineup.batting_order.find(entry => entry.position === 'LF').player_id).toBe(r.lfR.id);
+      expect(lineup.bullpen).toEqual([r.rp1.id, r.rp2.id]);
+      expect(lineup.bench).toEqual(expect.arrayContaining([r.lfL.id, r.util.id]));
+      expect(lineupService.validateLineup(lineup, byId(r))).toEqual({ valid: true, errors: [], warnings: [] });
+    });
+
+    it('starts the backup with the platoon advantage against the opposing starter', () => {
+      const r = buildRoster();
+      const lineup = lineupService.generateLineup({ chart: buildChart(r), roster: Object.values(r), opposingThrows: 'R' });
+
+      expect(lineup.batting_order.find(entry => entry.position === 'LF').player_id).toBe(r.lfL.id);
+      expect(lineup.platoon).toEqual([{ position: 'LF', starter: r.lfL.id, instead_of: r.lfR.id }]);
+      // No better option at 2B: the starter keeps the job
+      expect(lineup.batting_order.find(entry => entry.position === '2B').player_id).toBe(r.second.id);
+    });
+
+    it('bats the pitcher ninth without the DH', () => {
+      const r = buildRoster();
+      const lineup = lineupService.generateLineup({ chart: buildChart(r), roster: Object.values(r), useDh: false });
+
+      expect(lineup.batting_order[8]).toEqual({ slot: 9, player_id: r.sp.id, position: 'P' });
+      expect(lineup.batting_order.some(entry => entry.position === 'DH')).toBe(false);
+      expect(lineup.bench).toContain(r.dh.id);
+      expect(lineupService.validateLineup(lineup, byId(r)).valid).toBe(true);
+    });
+
+    it('fills positions missing from the chart from the roster', () => {
+      const r = buildRoster();
+      const chart = { positions: buildChart(r).positions.filter(position => position.position_code !== 'CF') };
+      const lineup = lineupService.generateLineup({ chart, roster: Object.values(r) });
+
+      const cf = lineup.batting_order.find(entry => entry.position === 'CF');
+      expect(r.lfL.id === cf.player_id || r.cf.id === cf.player_id).toBe(true);
+    });
+  });
+
+  describe('suggestBattingOrder', () => {
+    it('puts the best averages on top and the power hitters in the middle', () => {
+      const r = buildRoster();
+      const hitters = ['c', 'first', 'second', 'third', 'ss', 'lfR', 'cf', 'rf', 'dh']
+        .map(key => ({ player: r[key], position: key }));
+
+      const order = lineupService.suggestBattingOrder(hitters).map(entry => entry.player.id);
+
+      expect(order.slice(0, 2)).toEqual([r.ss.id, r.second.id]);
+      expect(order[3]).toBe(r.first.id);
+      expect(order.slice(2, 5)).toEqual(expect.arrayContaining([r.first.id, r.third.id, r.cf.id]));
+    });
+  });
+
+  describe('validateLineup', () => {
+    const baseLineup = (r) => lineupService.generateLineup({ chart: buildChart(r), roster: Object.values(r) });
+
+    it('rejects missing positions, duplicate hitters and a batting pitcher with the DH', () => {
+      const r = buildRoster();
+      const lineup = baseLineup(r);
+      lineup.batting_order[0] = { ...lineup.batting_order[0], player_id: lineup.batting_order[1].player_id };
+      lineup.batting_order.find(entry => entry.position === 'C').position = 'P';
+
+      const { valid, errors } = lineupService.validateLineup(lineup, byId(r));
+
+      expect(valid).toBe(false);
+      expect(errors).toEqual(expect.arrayContaining([
+        expect.stringMatching(/appears more than once/),
+        'No player is playing C',
+        expect.stringMatching(/pitcher does not bat when the DH is used/)
+      ]));
+    });
+
+    it('allows a two-way starting pitcher at DH', () => {
+      const r = buildRoster();
+      const lineup = baseLineup(r);
+      lineup.batting_order.find(entry => entry.position === 'DH').player_id = r.sp.id;
+
+      expect(lineupService.validateLineup(lineup, byId(r)).valid).toBe(true);
+    });
+
+    it('requires 9 slots and active roster players', () => {
+      const r = buildRoster();
+      const lineup = baseLineup(r);
+      lineup.batting_order.pop();
+      lineup.bench.push(999);
+
+      const { errors } = lineupService.validateLineup(lineup, byId(r));
+
+      expect(errors).toEqual(expect.arrayContaining([
+        'Batting order must have 9 hitters (has 8)',
+        'Player 999 is not on the active roster'
+      ]));
+    });
+
+    it('rejects bench players already in the lineup and warns about handedness', () => {
+      const r = buildRoster();
+      const lineup = { ...baseLineup(r), opposing_starter_throws: 'R' };
+      lineup.bench.push(lineup.batting_order[0].player_id);
+
+      const { errors, warnings } = lineupService.validateLineup(lineup, byId(r));
+
+      expect(errors).toEqual([expect.stringMatching(/cannot also be on the bench/)]);
+      expect(warnings).toEqual([expect.stringMatching(/hitters bat from the same side as the right-handed starter/)]);
+    });
+  });
+
+  describe('formatLineupCard', () => {
+    it('adds player details and a handedness summary', () => {
+      const r = buildRoster();
+      const lineup = {
+        ...lineupService.generateLineup({ chart: buildChart(r), roster: Object.values(r), opposingThrows: 'L' }),
+        opposing_starter_name: 'Lefty Jones',
+        opposing_starter_throws: 'L'
+      };
+
+      const card = lineupService.formatLineupCard(lineup, byId(r));
+
+      expect(card.opposing_starter).toEqual({ name: 'Lefty Jones', throws: 'L' });
+      expect(card.batting_order[0]).toEqual(expect.objectContaining({ slot: 1, name: expect.any(String), platoon_advantage: true }));
+      expect(card.handedness.with_advantage + card.handedness.without_advantage + card.handedness.unknown).toBe(9);
+      expect(card.starting_pitcher).toEqual(expect.objectContaining({ player_id: r.sp.id, throws: 'R' }));
+      expect(card.bullpen.map(player => player.player_id)).toEqual([r.rp1.id, r.rp2.id]);
+    });
+
+    it('lists a two-way starter as P/DH', () => {
+      const r = buildRoster();
+      const lineup = lineupService.generateLineup({ chart: buildChart(r), roster: Object.values(r) });
+      lineup.batting_order.find(entry => entry.position === 'DH').player_id = r.sp.id;
+
+      const card = lineupService.formatLineupCard(lineup, byId(r));
+
+      expect(card.batting_order.find(entry => entry.player_id === r.sp.id).position).toBe('P/DH');
+    });
+  });
+});
@@ -0,0 +1,270 @@
+const liveScoringService = require('../liveScoringService');
+const { sequelize, GameScoringEvent, GameStatistic, Player, Team } = require('../../models');
+
+// Mock dependencies
+jest.mock('../../models');
+
+describe('liveScoringService', () => {
+  const names = ['Cole Smith', 'Jon Adams', 'Eli Baker', 'Max Cruz', 'Ty Dunn', 'Al Ford', 'Bo Gray', 'Cy Hill', 'Ed Lane', 'Ace Starter', 'Sam Closer', 'Rob Bench'];
+  const positions = ['SS', 'CF', '1B', 'DH', 'C', '3B', '2B', 'LF', 'RF'];
+  const players = names.map((name, index) => {
+    const [first_name, last_name] = name.split(' ');
+    return { id: index + 1, first_name, last_name, jersey_number: index + 1 };
+  });
+
+  const context = {
+    home_away: 'home',
+    team_name: 'Home U',
+    opponent_name: 'State',
+    players: new Map(players.map(player => [player.id, player]))
+  };
+
+  const start = {
+    innings: 9,
+    use_dh: true,
+    team: {
+      batting_order: positions.map((position, index) => ({ slot: index + 1, player_id: index + 1, position })),
+      pitcher_id: 10
+    },
+    opponent: {
+      batting_order: positions.map((position, index) => ({ slot: index + 1, name: `Visitor${index + 1}`, jersey_number: 20 + index, position })),
+      pitcher: { name: 'Lefty', jersey_number: 40 }
+    }
+  };
+
+  /**
+   * Build a log from [type, payload] pairs, after the start event
+   */
+  const log = (...entries) => [
+    { sequence: 1, event_type: 'start', payload: start },
+    ...entries.map(([event_type, payload], index) => ({ sequence: index + 2, event_type, payload }))
+  ];
+  const pitch = result => ['pitch', { result }];
+  const play = payload => ['play', payload];
+
+  const topFirst = [
+    pitch('swinging_strike'), pitch('swinging_strike'), pitch('swinging_strike'),
+    pitch('called_strike'), pitch('foul'), pitch('called_strike'),
+    play({ result: 'GO', fielders: ['SS'] })
+  ];
+  const bottomFirst = [
+    pitch('ball'), pitch('ball'), pitch('ball'), pitch('ball'),
+    play({ result: '1B', location: 'LF' }),
+    play({ result: 'HR', location: 'LC' }),
+    pitch('in_play'), play({ result: 'FO', fielders: ['CF'] }),
+    play({ result: '1B', location: 'RF' }),
+    ['runner', { reason: 'SB', runners: [{ from: 1, to: 2 }] }],
+    ['runner', { reason: 'CS', runners: [{ from: 2, to: 3, out: true, fielders: ['C', '3B'] }] }],
+    play({ result: 'KL' })
+  ];
+  const topSecond = [
+    ['substitution', { kind: 'pitcher', player_id: 11 }],
+    play({ result: '2B', location: 'RC' }),
+    play({ result: '1B', location: 'CF' }),
+    play({ result: 'GO', fielders: ['SS', '2B', '1B'], runners: [{ from: 1, out: true }] }),
+    play({ result: 'FO', fielders: ['RF'] })
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('replayEvents', () => {
+    it('rejects a start without a full batting order or starting pitcher', () => {
+      const missingPitcher = liveScoringService.replayEvents(
+        [{ sequence: 1, event_type: 'start', payload: { ...start, team: { ...start.team, pitcher_id: null } } }],
+        context
+      );
+      const shortLineup = liveScoringService.replayEvents(
+        [{ sequence: 1, event_type: 'start', payload: { ...start, opponent: { ...start.opponent, batting_order: start.opponent.batting_order.slice(1) } } }],
+        context
+      );
+
+      expect(missingPitcher.error.message).toBe('The team starting pitcher is required');
+      expect(shortLineup.error.message).toMatch(/opponent batting order/);
+    });
+
+    it('tracks the count and completes walks and strikeouts from pitches', () => {
+      const { state, error } = liveScoringService.replayEvents(log(...topFirst, pitch('ball'), pitch('ball'), pitch('ball'), pitch('ball')), context);
+
+      expect(error).toBeNull();
+      const summary = liveScoringService.summarizeState(state);
+      expect(summary).toMatchObject({ inning: 1, half: 'bottom', outs: 0, balls: 0, strikes: 0, batting: 'team' });
+      expect(summary.bases.first).toMatchObject({ player_id: 1, name: 'Cole Smith' });
+      expect(summary.batter).toMatchObject({ slot: 2, player_id: 2 });
+
+      const plays = state.innings[0].halves[0].plays;
+      expect(plays.map(entry => entry.narrative)).toEqual([
+        'Visitor1 struck out swinging (0-2 SSS).',
+        'Visitor2 struck out looking (0-2 KFK).',
+        'Visitor3 grounded out to ss (0-0).'
+      ]);
+      expect(state.innings[0].halves[1].plays[0].narrative).toBe('Cole Smith walked (3-0 BBBB).');
+    });
+
+    it('scores a half-inning into the line score, play-by-play and player lines', () => {
+      const { state, error } = liveScoringService.replayEvents(log(...topFirst, ...bottomFirst), context);
+
+      expect(error).toBeNull();
+      const home = liveScoringService.buildLineScore(state).find(team => team.side === 'home');
+      expect(home).toMatchObject({ name: 'Home U', runs: 3, hits: 3, errors: 0, left_on_base: 0 });
+      expect(home.innings).toEqual([{ inning: 1, runs: 3 }]);
+
+      const playByPlay = liveScoringService.buildPlayByPlay(state);
+      const bottom = playByPlay.innings[0].halves[1];
+      expect(bottom).toMatchObject({ team: 'Home U', side: 'home', summary: { runs: 3, hits: 3, errors: 0, left_on_base: 0 } });
+      expect(bottom.plays[2].narrative).toBe('Eli Baker homered to left center, 3 RBI (0-0); Cole Smith scored; Jon Adams scored.');
+      expect(bottom.plays[2].event).toMatchObject({ code: 'HR', rbi: 3, runs_on_play: 3, bases_before: { first: 'Jon Adams', second: 'Cole Smith', third: null } });
+      expect(bottom.plays[6].narrative).toBe('Ty Dunn out at third c to 3b, caught stealing.');
+      expect(bottom.plays[6].event).toMatchObject({ code: 'CS', outs_after: 2 });
+      expect(bottom.plays[2].batter).toEqual({ name: 'Baker, Eli', uni: '3', out: false, scored: true, to_base: 4 });
+
+      const lines = new Map(liveScoringService.buildGameStatistics(state, { game_id: 5, team_id: 1 }).map(row => [row.player_id, row]));
+      expect(lines.get(3)).toMatchObject({ at_bats: 1, hits: 1, home_runs: 1, rbi: 3, runs: 1, position_played: '1B' });
+      expect(lines.get(4)).toMatchObject({ at_bats: 1, hits: 0, position_played: 'DH' });
+      expect(lines.get(1)).toMatchObject({ at_bats: 0, walks: 1, runs: 1 });
+      expect(lines.get(5)).toMatchObject({ stolen_bases: 1, caught_stealing: 1 });
+      expect(lines.get(10)).toMatchObject({ innings_pitched: 1, strikeouts_pitching: 2, batters_faced: 3, pitches_thrown: 6, strikes_thrown: 6 });
+      expect(lines.get(1)).toMatchObject({ assists: 1 });
+      expect(lines.get(3)).toMatchObject({ putouts: 1 });
+      expect(lines.get(5)).toMatchObject({ putouts: 2 });
+    });
+
+    it('credits a double play and keeps the runner who was not forced', () => {
+      const { state, error } = liveScoringService.replayEvents(log(...topFirst, ...bottomFirst, ...topSecond), context);
+
+      expect(error).toBeNull();
+      const top = state.innings[1].halves[0];
+      expect(top.plays[0].narrative).toBe('Sam Closer to p for Ace Starter.');
+      expect(top.plays[3].narrative).toBe('Visitor6 grounded into double play ss to 2b to 1b (0-0); Visitor5 out at second.');
+      expect(top.summary).toEqual({ runs: 0, hits: 2, errors: 0, left_on_base: 1 });
+
+      const lines = new Map(liveScoringService.buildGameStatistics(state, { game_id: 5, team_id: 1 }).map(row => [row.player_id, row]));
+      expect(lines.get(11)).toMatchObject({ innings_pitched: 1, hits_allowed: 2, batters_faced: 4, position_played: 'P' });
+      expect(lines.get(7)).toMatchObject({ assists: 1, putouts: 1 });
+      expect(lines.get(1)).toMatchObject({ assists: 2 });
+    });
+
+    it('ends the game with an X for the home half and assigns the decisions', () => {
+      const { state, error } = liveScoringService.replayEvents(log(...topFirst, ...bottomFirst, ...topSecond, ['final', {}]), context);
+
+      expect(error).toBeNull();
+      const home = liveScoringService.buildLineScore(state).find(team => team.side === 'home');
+      expect(home.innings).toEqual([{ inning: 1, runs: 3 }, { inning: 2, runs: 'X' }]);
+      expect(liveScoringService.summarizeState(state)).toMatchObject({ status: 'final', score: { team: 3, opponent: 0 } });
+
+      // The starter did not go five innings, so the win goes to the reliever
+      const lines = new Map(liveScoringService.buildGameStatistics(state, { game_id: 5, team_id: 1 }).map(row => [row.player_id, row]));
+      expect(lines.get(10).win).toBe(false);
+      expect(lines.get(11).win).toBe(true);
+      expect(state.stats.get('opponent:40:Lefty').loss).toBe(true);
+      expect(liveScoringService.buildPlayByPlay(state).innings).toHaveLength(2);
+    });
+
+    it('allows a starter to re-enter once in their original slot', () => {
+      const subs = [
+        ['substitution', { kind: 'pinch_hitter', player_id: 12 }],
+        ['substitution', { kind: 'defensive', player_id: 1, slot: 1, position: 'SS' }],
+        ['substitution', { kind: 'defensive', player_id: 12, slot: 1, position: 'SS' }]
+      ];
+
+      const { state, error } = liveScoringService.replayEvents(log(...topFirst, ...subs), context);
+
+      expect(state.innings[0].halves[1].plays[0].narrative).toBe('Rob Bench pinch hit for Cole Smith.');
+      expect(state.sides.home.lineup[0].entry.player_id).toBe(1);
+      expect(error).toEqual({ sequence: 11, message: 'Rob Bench has left the game and cannot re-enter' });
+    });
+
+    it('rejects events that do not fit the situation', () => {
+      const inPlay = liveScoringService.replayEvents(log(pitch('in_play'), pitch('ball')), context);
+      const noRunner = liveScoringService.replayEvents(log(play({ result: '1B', runners: [{ from: 2, to: 4 }] })), context);
+      const thirdOut = liveScoringService.replayEvents(log(
+        play({ result: 'KS' }), play({ result: 'KS' }), play({ result: '1B' }),
+        play({ result: 'GO', fielders: ['SS'], runners: [{ from: 1, to: 4 }] })
+      ), context);
+
+      expect(inPlay.error.message).toBe('Record the result of the ball in play first');
+      expect(noRunner.error.message).toBe('There is no runner on second');
+      expect(thirdOut.error.message).toBe('Runs cannot score when the batter makes the third out');
+    });
+  });
+
+  describe('recordEvent', () => {
+    const game = { id: 5, team_id: 1, home_away: 'home', opponent: 'State', update: jest.fn() };
+
+    beforeEach(() => {
+      Team.findByPk = jest.fn().mockResolvedValue({ id: 1, name: 'Home U' });
+      Player.findAll = jest.fn().mockResolvedValue(players);
+      GameScoringEvent.findAll = jest.fn().mockResolvedValue(log(...topFirst));
+      GameScoringEvent.create = jest.fn().mockResolvedValue({});
+      GameStatistic.destroy = jest.fn().mockResolvedValue(0);
+      GameStatistic.bulkCreate = jest.fn().mockResolvedValue([]);
+      sequelize.transaction = jest.fn(callback => callback('tx'));
+    });
+
+    it('saves the event and rewrites the score, play-by-play and stats', async () => {
+      const result = await liveScoringService.recordEvent(game, 'play', { result: 'HR', location: 'LF' }, 3);
+
+      expect(GameScoringEvent.create).toHaveBeenCalledWith(
+        expect.objectContaining({ sequence: 9, event_type: 'play', game_id: 5, created_by: 3 }),
+        { transaction: 'tx' }
+      );
+      expect(game.update.mock.calls[0][0]).toMatchObject({ team_score: 1, opponent_score: 0, result: null, game_status: 'scheduled' });
+      expect(game.update.mock.calls[0][0].play_by_play.line_score).toHaveLength(2);
+      expect(GameStatistic.destroy).toHaveBeenCalledWith({ where: { game_id: 5, team_id: 1 }, transaction: 'tx' });
+      expect(GameStatistic.bulkCreate.mock.calls[0][0]).toHaveLength(10);
+      expect(result.state.score).toEqual({ team: 1, opponent: 0 });
+    });
+
+    it('does not save an event that cannot be applied', async () => {
+      const result = await liveScoringService.recordEvent(game, 'runner', { reason: 'SB', runners: [{ from: 1, to: 2 }] }, 3);
+
+      expect(result).toEqual({ error: 'There are no runners on base', status: 400 });
+      expect(GameScoringEvent.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('undoLastEvent', () => {
+    beforeEach(() => {
+      Team.findByPk = jest.fn().mockResolvedValue({ id: 1, name: 'Home U' });
+      Player.findAll = jest.fn().mockResolvedValue(players);
+      GameStatistic.destroy = jest.fn().mockResolvedValue(0);
+      GameStatistic.bulkCreate = jest.fn().mockResolvedValue([]);
+      sequelize.transaction = jest.fn(callback => callback('tx'));
+    });
+
+    it('deletes the last event and replays the rest', async () => {
+      const events = log(...topFirst).map(event => ({ ...event, destroy: jest.fn() }));
+      const last = events[events.length - 1];
+      GameScoringEvent.findAll = jest.fn().mockResolvedValue(events);
+      const game = { id: 5, team_id: 1, home_away: 'home', opponent: 'State', update: jest.fn() };
+
+      const result = await liveScoringService.undoLastEvent(game);
+
+      expect(last.destroy).toHaveBeenCalledWith({ transaction: 'tx' });
+      expect(game.update.mock.calls[0][1]).toEqual({ transaction: 'tx' });
+      expect(result.undone).toMatchObject({ sequence: 8, event_type: 'play' });
+      expect(result.state).toMatchObject({ half: 'top', outs: 2 });
+    });
+
+    it('keeps the event when the rest of the log no longer replays', async () => {
+      const events = log(...topFirst).map(event => ({ ...event, destroy: jest.fn() }));
+      GameScoringEvent.findAll = jest.fn().mockResolvedValue(events);
+      Player.findAll = jest.fn().mockResolvedValue(players.filter(player => player.id !== 1));
+      const game = { id: 5, team_id: 1, home_away: 'home', opponent: 'State', update: jest.fn() };
+
+      const result = await liveScoringService.undoLastEvent(game);
+
+      expect(result.status).toBe(409);
+      expect(result.error).toEqual(expect.any(String));
+      expect(events[events.length - 1].destroy).not.toHaveBeenCalled();
+      expect(game.update).not.toHaveBeenCalled();
+    });
+
+    it('cannot undo the start of scoring', async () => {
+      GameScoringEvent.findAll = jest.fn().mockResolvedValue(log());
+
+      await expect(liveScoringService.undoLastEvent({ id: 5 })).resolves.toEqual({ error: 'Nothing to undo', status: 400 });
+    });
+  });
+});
@@ -0,0 +1,109 @@
+const loginEventService = require('../loginEventService');
+const { LoginEvent } = require('../../models');
+
+// Mock dependencies
+jest.mock('../../models');
+
+describe('loginEventService', () => {
+  const req = {
+    ip: '203.0.113.24',
+    headers: {
+      'user-agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36'
+    }
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('recordLoginEvent', () => {
+    it('stores the IP, parsed user agent and lockout state', async () => {
+      LoginEvent.create = jest.fn().mockResolvedValue({ id: 1 });
+      const lockedUntil = new Date('2026-03-14T18:17:00Z');
+
+      await loginEventService.recordLoginEvent(req, {
+        user: { id: 5, email: 'coach@example.com', failed_login_attempts: 4 },
+        outcome: 'failed',
+        failureReason: loginEventService.FAILURE_REASONS.INVALID_PASSWORD,
+        lockout: { accountLocked: true, failedAttempts: 5, lockedUntil }
+      });
+
+      expect(LoginEvent.create).toHaveBeenCalledWith(expect.objectContaining({
+        user_id: 5,
+        email: 'coach@example.com',
+        provider: 'local',
+        outcome: 'failed',
+        failure_reason: 'invalid_password',
+        ip_address: '203.0.113.24',
+        device_type: 'desktop',
+        browser: 'Chrome',
+        os: 'Windows',
+        failed_attempts: 5,
+        account_locked: true,
+        locked_until: lockedUntil
+      }));
+    });
+
+    it('records attempts against unknown accounts by email', async () => {
+      LoginEvent.create = jest.fn().mockResolvedValue({ id: 2 });
+
+      await loginEventService.recordLoginEvent(req, {
+        email: 'nobody@example.com',
+        outcome: 'failed',
+        failureReason: loginEventService.FAILURE_REASONS.UNKNOWN_ACCOUNT
+      });
+
+      expect(LoginEvent.create).toHaveBeenCalledWith(expect.objectContaining({
+        user_id: null,
+        email: 'nobody@example.com',
+        failed_attempts: null,
+        account_locked: false
+      }));
+    });
+
+    it('never throws when the event cannot be stored', async () => {
+      LoginEvent.create = jest.fn().mockRejectedValue(new Error('db down'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(loginEventService.recordLoginEvent(req, { outcome: 'success' })).resolves.toBeNull();
+    });
+  });
+
+  describe('getLoginHistory', () => {
+    it('returns formatted events with pagination', async () => {
+      LoginEvent.findAndCountAll = jest.fn().mockResolvedValue({
+        count: 41,
+        rows: [{
+          id: 9,
+          created_at: new Date('2026-03-14T18:02:11Z'),
+          ip_address: '203.0.113.24',
+          browser: 'Safari',
+          os: 'iPadOS',
+          device_type: 'tablet',
+          provider: 'local',
+          outcome: 'success',
+          failure_reason: null,
+          failed_attempts: 0,
+          account_locked: false,
+          locked_until: null
+        }]
+      });
+
+      const result = await loginEventService.getLoginHistory(5, { page: 3, limit: 20, outcome: 'success' });
+
+      expect(LoginEvent.findAndCountAll).toHaveBeenCalledWith({
+        where: { user_id: 5, outcome: 'success' },
+        order: [['created_at', 'DESC']],
+        limit: 20,
+        offset: 40
+      });
+      expect(result.pagination).toEqual({ page: 3, limit: 20, total: 41, pages: 3 });
+      expect(result.events[0]).toMatchObject({
+        id: 9,
+        timestamp: '2026-03-14T18:02:11.000Z',
+        device: 'Safari on iPadOS',
+        success: true
+      });
+    });
+  });
+});
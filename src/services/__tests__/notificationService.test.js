@@ -691,4 +691,46 @@ describe('NotificationService', () => {
       );
     });
   });
+
+  describe('sendStreakNotification', () => {
+    const report = {
+      hot: [{ name: 'Cole Smith', kind: 'batting', games: 7, window: { rate: 0.56 }, baseline: { rate: 0.34 } }],
+      cold: [],
+      streaks: { hitting: [{ name: 'Cole Smith', current: 9 }], on_base: [], scoreless: [] }
+    };
+
+    it('should email the hot list to players update subscribers', async () => {
+      User.findAll = jest.fn().mockResolvedValue([
+        { id: 4, email: 'coach@test.com', settings: {} }
+      ]);
+      emailService.sendNotificationEmail = jest.fn().mockResolvedValue();
+
+      const originalEnv = process.env.FRONTEND_URL;
+      process.env.FRONTEND_URL = 'http://test.com';
+
+      const notified = await notificationService.sendStreakNotification(report, 1, 5);
+
+      await new Promise(resolve => setImmediate(resolve));
+      process.env.FRONTEND_URL = originalEnv;
+
+      expect(notified).toBe(1);
+      expect(emailService.sendNotificationEmail).toHaveBeenCalledWith(
+        'coach@test.com',
+        'Hot and Cold Players',
+        'Hot: Cole Smith (batting, 0.56 over the last 7 games vs 0.34)\nCole Smith: 9-game hitting streak',
+        'http://test.com/players'
+      );
+    });
+
+    it('should not notify anyone when nothing is hot or cold', async () => {
+      User.findAll = jest.fn();
+
+      const notified = await notificationService.sendStreakNotification(
+        { hot: [], cold: [], streaks: { hitting: [], on_base: [], scoreless: [] } }, 1, 5
+      );
+
+      expect(notified).toBe(0);
+      expect(User.findAll).not.toHaveBeenCalled();
+    });
+  });
 });
@@ -0,0 +1,227 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const oauthTokenService = require('../oauthTokenService');
+const { User, Team } = require('../../models');
+
+// Mock dependencies
+jest.mock('axios');
+jest.mock('../../models');
+
+describe('oauthTokenService', () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const jwk = { ...publicKey.export({ format: 'jwk' }), kid: 'key-1', use: 'sig', alg: 'RS256' };
+  const originalEnv = { ...process.env };
+
+  const signGoogleToken = (claims = {}, options = {}) => jwt.sign({
+    sub: 'google-sub-1',
+    email: 'Coach@Example.com',
+    email_verified: true,
+    given_name: 'Pat',
+    family_name: 'Coach',
+    ...claims
+  }, privateKey, {
+    algorithm: 'RS256',
+    keyid: 'key-1',
+    issuer: 'https://accounts.google.com',
+    audience: 'ios-client-id',
+    expiresIn: '1h',
+    ...options
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    oauthTokenService.clearKeyCache();
+    process.env.GOOGLE_CLIENT_ID = 'web-client-id';
+    process.env.GOOGLE_MOBILE_CLIENT_IDS = 'ios-client-id, android-client-id';
+    process.env.APPLE_CLIENT_ID = 'com.example.sports2.web';
+    process.env.APPLE_BUNDLE_IDS = 'com.example.sports2';
+    axios.get.mockResolvedValue({
+      data: { keys: [jwk] },
+      headers: { 'cache-control': 'public, max-age=21600' }
+    });
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  describe('isProviderConfigured', () => {
+    it('requires at least one client ID', () => {
+      expect(oauthTokenService.isProviderConfigured('google')).toBe(true);
+      delete process.env.GOOGLE_CLIENT_ID;
+      delete process.env.GOOGLE_MOBILE_CLIENT_IDS;
+      expect(oauthTokenService.isProviderConfigured('google')).toBe(false);
+      expect(oauthTokenService.isProviderConfigured('facebook')).toBe(false);
+    });
+  });
+
+  describe('verifyIdToken', () => {
+    it('accepts a valid Google ID token for a mobile client ID', async () => {
+      const claims = await oauthTokenService.verifyIdToken('google', signGoogleToken());
+
+      expect(claims.sub).toBe('google-sub-1');
+      expect(axios.get).toHaveBeenCalledWith('https://www.googleapis.com/oauth2/v3/certs', expect.any(Object));
+    });
+
+    it('caches provider keys between verifications', async () => {
+      await oauthTokenService.verifyIdToken('google', signGoogleToken());
+      await oauthTokenService.verifyIdToken('google', signGoogleToken());
+
+      expect(axios.get).toHaveBeenCalledTimes(1);
+    });
+
+    it('refetches keys when the token names an unknown key id', async () => {
+      await oauthTokenService.verifyIdToken('google', signGoogleToken());
+      const rotated = { ...jwk, kid: 'key-2' };
+      axios.get.mockResolvedValue({ data: { keys: [rotated] }, headers: {} });
+
+      jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 2 * 60 * 1000);
+      const claims = await oauthTokenService.verifyIdToken('google', signGoogleToken({}, { keyid: 'key-2' }));
+      Date.now.mockRestore();
+
+      expect(claims.sub).toBe('google-sub-1');
+      expect(axios.get).toHaveBeenCalledTimes(2);
+    });
+
+    it('rejects a token for another audience', async () => {
+      await expect(oauthTokenService.verifyIdToken('google', signGoogleToken({}, { audience: 'someone-else' })))
+        .rejects.toThrow(/audience/);
+    });
+
+    it('rejects a token from the wrong issuer', async () => {
+      await expect(oauthTokenService.verifyIdToken('google', signGoogleToken({}, { issuer: 'https://evil.example.com' })))
+        .rejects.toThrow(/issuer/);
+    });
+
+    it('rejects an expired token', async () => {
+      const expired = signGoogleToken({}, { expiresIn: '-10m' });
+
+      await expect(oauthTokenService.verifyIdToken('google', expired)).rejects.toThrow(/expired/);
+    });
+
+    it('rejects a token signed with a different key', async () => {
+      const other = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+      const forged = jwt.sign({ sub: 'attacker' }, other.privateKey, {
+        algorithm: 'RS256',
+        keyid: 'key-1',
+        issuer: 'https://accounts.google.com',
+        audience: 'ios-client-id',
+        expiresIn: '1h'
+      });
+
+      await expect(oauthTokenService.verifyIdToken('google', forged)).rejects.toThrow(/signature/);
+    });
+
+    it('rejects HMAC-signed tokens', async () => {
+      const token = jwt.sign({ sub: 'attacker' }, 'secret', { keyid: 'key-1' });
+
+      await expect(oauthTokenService.verifyIdToken('google', token)).rejects.toThrow('Malformed identity token');
+      expect(axios.get).not.toHaveBeenCalled();
+    });
+
+    it('checks the nonce when one is supplied', async () => {
+      const token = signGoogleToken({ nonce: 'expected-nonce' });
+
+      await expect(oauthTokenService.verifyIdToken('google', token, { nonce: 'other' }))
+        .rejects.toThrow('Identity token nonce mismatch');
+      await expect(oauthTokenService.verifyIdToken('google', token, { nonce: 'expected-nonce' }))
+        .resolves.toMatchObject({ sub: 'google-sub-1' });
+    });
+
+    it('accepts an Apple identity token for the app bundle ID', async () => {
+      const token = jwt.sign({ sub: 'apple-sub-1', email: 'relay@privaterelay.appleid.com', email_verified: 'true' }, privateKey, {
+        algorithm: 'RS256',
+        keyid: 'key-1',
+        issuer: 'https://appleid.apple.com',
+        audience: 'com.example.sports2',
+        expiresIn: '10m'
+      });
+
+      const claims = await oauthTokenService.verifyIdToken('apple', token);
+
+      expect(claims.sub).toBe('apple-sub-1');
+      expect(axios.get).toHaveBeenCalledWith('https://appleid.apple.com/auth/keys', expect.any(Object));
+    });
+  });
+
+  describe('getProfileFromClaims', () => {
+    it('normalizes Apple string email_verified and app-supplied names', () => {
+      const profile = oauthTokenService.getProfileFromClaims('apple', {
+        sub: 'apple-sub-1',
+        email: 'Relay@PrivateRelay.AppleID.com',
+        email_verified: 'true'
+      }, { first_name: 'Jordan', last_name: 'Smith' });
+
+      expect(profile).toEqual({
+        providerId: 'apple-sub-1',
+        email: 'relay@privaterelay.appleid.com',
+        emailVerified: true,
+        firstName: 'Jordan',
+        lastName: 'Smith',
+        avatarUrl: null
+      });
+    });
+  });
+
+  describe('findOrCreateUser', () => {
+    const profile = {
+      providerId: 'google-sub-1',
+      email: 'coach@example.com',
+      emailVerified: true,
+      firstName: 'Pat',
+      lastName: 'Coach',
+      avatarUrl: 'https://example.com/pat.png'
+    };
+
+    it('returns the user already linked to the provider account', async () => {
+      const linked = { id: 7 };
+      User.findOne = jest.fn().mockResolvedValueOnce(linked);
+
+      await expect(oauthTokenService.findOrCreateUser('google', profile)).resolves.toBe(linked);
+      expect(User.findOne).toHaveBeenCalledWith(expect.objectContaining({
+        where: { oauth_provider: 'google', oauth_id: 'google-sub-1' }
+      }));
+    });
+
+    it('links an existing account with the same verified email', async () => {
+      const existing = { id: 8, avatar_url: null, update: jest.fn() };
+      User.findOne = jest.fn().mockResolvedValueOnce(null).mockResolvedValueOnce(existing);
+
+      await expect(oauthTokenService.findOrCreateUser('google', profile)).resolves.toBe(existing);
+      expect(existing.update).toHaveBeenCalledWith({
+        oauth_provider: 'google',
+        oauth_id: 'google-sub-1',
+        avatar_url: 'https://example.com/pat.png'
+      });
+    });
+
+    it('does not match or create accounts from an unverified email', async () => {
+      User.findOne = jest.fn().mockResolvedValueOnce(null);
+      User.create = jest.fn();
+
+      await expect(oauthTokenService.findOrCreateUser('google', { ...profile, emailVerified: false })).resolves.toBeNull();
+      expect(User.findOne).toHaveBeenCalledTimes(1);
+      expect(User.create).not.toHaveBeenCalled();
+    });
+
+    it('creates a new account on the default team', async () => {
+      delete process.env.DEFAULT_TEAM_ID;
+      User.findOne = jest.fn().mockResolvedValue(null);
+      Team.findOne = jest.fn().mockResolvedValue({ id: 3 });
+      User.create = jest.fn().mockResolvedValue({ id: 9 });
+      User.findByPk = jest.fn().mockResolvedValue({ id: 9, Team: { id: 3 } });
+
+      const user = await oauthTokenService.findOrCreateUser('google', profile);
+
+      expect(User.create).toHaveBeenCalledWith(expect.objectContaining({
+        email: 'coach@example.com',
+        oauth_provider: 'google',
+        oauth_id: 'google-sub-1',
+        role: 'assistant_coach',
+        team_id: 3
+      }));
+      expect(user.id).toBe(9);
+    });
+  });
+});
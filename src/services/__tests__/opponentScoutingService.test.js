@@ -0,0 +1,165 @@
+const opponentScoutingService = require('../opponentScoutingService');
+const { Game, OpponentGameStat } = require('../../models');
+
+// Mock dependencies
+jest.mock('../../models');
+
+describe('opponentScoutingService', () => {
+  // Friday game at home: the Sharks bat in the top halves
+  const fridayPlayByPlay = {
+    innings: [
+      {
+        inning: 1,
+        halves: [
+          {
+            side: 'away',
+            plays: [
+              { batter: { name: 'Reyes', uni: '4' }, narrative: 'Reyes singled to left field (0-0).' },
+              { batter: { name: 'Cruz', uni: '7' }, narrative: 'Reyes stole second.' },
+              { batter: { name: 'Cruz', uni: '7' }, narrative: 'Cruz grounded out to ss (1-1 BS); Reyes advanced to third.' },
+              { batter: { name: 'Reyes', uni: '4' }, narrative: 'Reyes flied out to rf (0-2 FS).' }
+            ]
+          },
+          { side: 'home', plays: [{ batter: { name: 'Smith', uni: '12' }, narrative: 'Smith flied out to cf (2-1 BBK).' }] }
+        ]
+      },
+      {
+        inning: 2,
+        halves: [
+          {
+            side: 'away',
+            plays: [
+              { batter: { name: 'Cruz', uni: '7' }, narrative: 'Cruz walked (3-1 BBKBB).' },
+              { batter: { name: 'Reyes', uni: '4' }, narrative: 'Cruz caught stealing c to 2b.' }
+            ]
+          },
+          {
+            side: 'home',
+            plays: [
+              { narrative: 'Mills to p for Ford.' },
+              { batter: { name: 'Smith', uni: '12' }, narrative: 'Smith singled to rf (0-0).' }
+            ]
+          }
+        ]
+      }
+    ]
+  };
+
+  const games = [
+    { id: 1, game_date: '2026-03-13T18:00:00.000Z', home_away: 'home', team_score: 5, opponent_score: 3, result: 'W', play_by_play: fridayPlayByPlay },
+    { id: 2, game_date: '2026-03-14T18:00:00.000Z', home_away: 'away', team_score: 2, opponent_score: 4, result: 'L', play_by_play: null }
+  ];
+
+  const line = (overrides) => ({
+    opponent_name: 'Sharks', player_name: '', jersey_number: null, is_starter: false, batting_order: null, position_played: null,
+    at_bats: 0, hits: 0, doubles: 0, triples: 0, home_runs: 0, rbi: 0, walks: 0, strikeouts_batting: 0, hit_by_pitch: 0,
+    sacrifice_flies: 0, sacrifice_bunts: 0, stolen_bases: 0, caught_stealing: 0, innings_pitched: 0, earned_runs: 0,
+    walks_allowed: 0, strikeouts_pitching: 0, hits_allowed: 0, home_runs_allowed: 0, batters_faced: 0, pitches_thrown: 0,
+    ...overrides
+  });
+
+  const lines = [
+    line({ game_id: 1, player_name: 'Reyes, Tom', jersey_number: '4', is_starter: true, batting_order: 1, position_played: 'SS', at_bats: 4, hits: 2, stolen_bases: 1 }),
+    line({ game_id: 1, jersey_number: '7', is_starter: true, batting_order: 2, position_played: 'CF', at_bats: 3, walks: 1, strikeouts_batting: 1, caught_stealing: 1 }),
+    line({ game_id: 1, player_name: 'Ford, Al', jersey_number: '30', innings_pitched: 5, earned_runs: 3, strikeouts_pitching: 6, batters_faced: 22, pitches_thrown: 84 }),
+    line({ game_id: 1, player_name: 'Mills, Joe', jersey_number: '22', innings_pitched: 3, batters_faced: 11, pitches_thrown: 40 }),
+    line({ game_id: 2, player_name: 'Reyes, Tom', jersey_number: '4', is_starter: true, batting_order: 1, position_played: 'SS', at_bats: 3, hits: 1, home_runs: 1 }),
+    line({ game_id: 2, player_name: 'Cruz, Luis', jersey_number: '7', is_starter: true, batting_order: 3, position_played: 'CF', at_bats: 4, hits: 2 }),
+    line({ game_id: 2, player_name: 'Lane, Max', jersey_number: '15', innings_pitched: 7.1, earned_runs: 2, batters_faced: 28, pitches_thrown: 101 }),
+    line({ game_id: 2, player_name: 'Mills, Joe', jersey_number: '22', innings_pitched: 0.2, batters_faced: 3, pitches_thrown: 12 })
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('collectHitterTendencies', () => {
+    it('reads swings, batted balls and direction from the opponent plate appearances', () => {
+      const tendencies = opponentScoutingService.collectHitterTendencies(games);
+
+      expect(tendencies.get('#4')).toMatchObject({
+        plate_appearances: 2, first_pitch_swings: 2, balls_in_play: 2, fly_balls: 1, directions: { left: 1, center: 0, right: 1 }
+      });
+      expect(tendencies.get('#7')).toMatchObject({ plate_appearances: 2, walks: 1, first_pitch_swings: 0, ground_balls: 1 });
+      // Our own hitters are not part of the report
+      expect(tendencies.has('#12')).toBe(false);
+    });
+  });
+
+  describe('collectBaseStealing', () => {
+    it('counts stolen bases and caught stealing by base and runner', () => {
+      const stealing = opponentScoutingService.collectBaseStealing(games);
+
+      expect(stealing.by_base).toEqual({ second: 2, third: 0, home: 0 });
+      expect(stealing.games).toBe(1);
+      expect(Object.fromEntries(stealing.runners)).toEqual({ Reyes: { sb: 1, cs: 0 }, Cruz: { sb: 0, cs: 1 } });
+    });
+  });
+
+  describe('compileReport', () => {
+    const report = opponentScoutingService.compileReport('Sharks', games, lines);
+
+    it('joins box score lines by jersey number when names are missing', () => {
+      const cruz = report.hitters.find(hitter => hitter.jersey_number === '7');
+
+      expect(cruz).toMatchObject({ name: 'Cruz, Luis', games: 2, plate_appearances: 8, hits: 2, avg: 0.286, caught_stealing: 1 });
+      expect(cruz.tendencies).toMatchObject({ sample_pa: 2, ground_ball_pct: 100 });
+    });
+
+    it('finds starters from substitutions and innings, and when relievers enter', () => {
+      const ford = report.pitchers.find(pitcher => pitcher.name === 'Ford, Al');
+      const mills = report.pitchers.find(pitcher => pitcher.name === 'Mills, Joe');
+
+      expect(ford).toMatchObject({ starts: 1, relief_appearances: 0, era: 5.4, pitches_per_outing: 84, start_days: ['Friday'] });
+      expect(mills).toMatchObject({ appearances: 2, starts: 0, innings_pitched: 3.2, avg_relief_entry_inning: 2, last_appearance: '2026-03-14' });
+    });
+
+    it('lists the likely starter for each day of the week', () => {
+      expect(report.rotation.map(day => [day.day_of_week, day.likely_starter.name])).toEqual([
+        ['Friday', 'Ford, Al'],
+        ['Saturday', 'Lane, Max']
+      ]);
+    });
+
+    it('projects the lineup and summarizes the series', () => {
+      expect(report.projected_lineup.map(entry => [entry.batting_order, entry.display_name, entry.position]))
+        .toEqual([[1, 'Reyes, Tom #4', 'SS'], [2, 'Cruz, Luis #7', 'CF']]);
+      expect(report.summary).toMatchObject({ games: 2, wins: 1, losses: 1, runs_per_game: 3.5 });
+      expect(report.stolen_bases).toMatchObject({ attempts: 2, success_pct: 50, attempts_per_game: 1 });
+    });
+  });
+
+  describe('buildScoutingReport', () => {
+    it('returns null without games against the opponent', async () => {
+      OpponentGameStat.findAll = jest.fn().mockResolvedValue([]);
+      Game.findAll = jest.fn().mockResolvedValue([]);
+
+      await expect(opponentScoutingService.buildScoutingReport(1, 'Sharks')).resolves.toBeNull();
+    });
+
+    it('loads the team games against the opponent for the season', async () => {
+      OpponentGameStat.findAll = jest.fn()
+        .mockResolvedValueOnce([{ game_id: 1 }, { game_id: 2 }])
+        .mockResolvedValueOnce(lines);
+      Game.findAll = jest.fn().mockResolvedValue(games);
+
+      const report = await opponentScoutingService.buildScoutingReport(1, 'Sharks', { season: '2026' });
+
+      expect(Game.findAll.mock.calls[0][0].where).toMatchObject({ team_id: 1, season: '2026' });
+      expect(OpponentGameStat.findAll.mock.calls[1][0].where).toEqual({ team_id: 1, opponent_name: 'Sharks', game_id: [1, 2] });
+      expect(report).toMatchObject({ opponent: 'Sharks', season: '2026', summary: { games: 2 } });
+    });
+  });
+
+  describe('toReportDocument', () => {
+    it('builds the printable packet tables', () => {
+      const document = opponentScoutingService.toReportDocument(opponentScoutingService.compileReport('Sharks', games, lines));
+
+      expect(document.title).toBe('Scouting Report: Sharks');
+      expect(document.tables.map(table => table.title)).toEqual([
+        'Projected Lineup', 'Hitters', 'Base Stealing', 'Pitchers', 'Likely Starters by Day', 'Games'
+      ]);
+      expect(document.tables[4].rows[0]).toMatchObject({ day_of_week: 'Friday', name: 'Ford, Al #30', likely_starts: 1 });
+    });
+  });
+});
@@ -0,0 +1,168 @@
+const pitcherWorkloadService = require('../pitcherWorkloadService');
+const { GameStatistic, Player, Team } = require('../../models');
+
+// Mock dependencies
+jest.mock('../../models');
+
+describe('pitcherWorkloadService', () => {
+  const rules = pitcherWorkloadService.resolveRestRules(null);
+  const outing = (date, pitches, estimated = false) => ({ date, pitches, estimated });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('resolveRestRules', () => {
+    it('fills in defaults and sorts rest tiers', () => {
+      const resolved = pitcherWorkloadService.resolveRestRules({
+        max_pitches_7_days: 200,
+        rest_days_by_pitches: [{ min_pitches: 50, rest_days: 2 }, { min_pitches: 1, rest_days: 0 }]
+      });
+
+      expect(resolved.max_pitches_7_days).toBe(200);
+      expect(resolved.max_pitches_3_days).toBe(pitcherWorkloadService.DEFAULT_REST_RULES.max_pitches_3_days);
+      expect(resolved.rest_days_by_pitches.map(tier => tier.min_pitches)).toEqual([1, 50]);
+    });
+  });
+
+  describe('requiredRestDays', () => {
+    it('uses the highest tier reached', () => {
+      expect(pitcherWorkloadService.requiredRestDays(12, rules)).toBe(0);
+      expect(pitcherWorkloadService.requiredRestDays(31, rules)).toBe(1);
+      expect(pitcherWorkloadService.requiredRestDays(60, rules)).toBe(2);
+      expect(pitcherWorkloadService.requiredRestDays(104, rules)).toBe(4);
+    });
+  });
+
+  describe('pitchesFor', () => {
+    it('prefers the recorded pitch count, then batters faced, then innings', () => {
+      expect(pitcherWorkloadService.pitchesFor({ pitches_thrown: 88, batters_faced: 25 })).toEqual({ pitches: 88, estimated: false });
+      expect(pitcherWorkloadService.pitchesFor({ pitches_thrown: 0, batters_faced: 6 })).toEqual({ pitches: 24, estimated: true });
+      expect(pitcherWorkloadService.pitchesFor({ pitches_thrown: null, batters_faced: 0, innings_pitched: '1.2' })).toEqual({ pitches: 25, estimated: true });
+    });
+  });
+
+  describe('computeAvailability', () => {
+    it('marks a rested pitcher available with days of rest and rolling totals', () => {
+      const result = pitcherWorkloadService.computeAvailability([outing('2026-03-01', 90), outing('2026-03-06', 20)], rules, '2026-03-08');
+
+      expect(result).toMatchObject({
+        status: 'available',
+        reasons: [],
+        days_of_rest: 1,
+        last_appearance: '2026-03-06',
+        pitches_last_3_days: 20,
+        pitches_last_7_days: 20,
+        max_pitches_today: 80,
+        available_on: '2026-03-08'
+      });
+    });
+
+    it('keeps a starter out until the required rest is served', () => {
+      const appearances = [outing('2026-03-06', 95)];
+
+      const result = pitcherWorkloadService.computeAvailability(appearances, rules, '2026-03-08');
+
+      expect(result.status).toBe('unavailable');
+      expect(result.reasons).toEqual(['Needs 4 days of rest after 95 pitches on 2026-03-06']);
+      expect(result.required_rest_days).toBe(4);
+      expect(result.available_on).toBe('2026-03-11');
+      expect(pitcherWorkloadService.computeAvailability(appearances, rules, '2026-03-11').status).toBe('available');
+    });
+
+    it('sits a reliever who pitched the maximum consecutive days', () => {
+      const result = pitcherWorkloadService.computeAvailability(
+        [outing('2026-03-06', 15), outing('2026-03-07', 18)],
+        rules,
+        '2026-03-08'
+      );
+
+      expect(result.status).toBe('unavailable');
+      expect(result.consecutive_days).toBe(2);
+      expect(result.reasons).toEqual(['Pitched 2 days in a row']);
+      expect(result.available_on).toBe('2026-03-09');
+    });
+
+    it('enforces rolling pitch caps and flags pitchers close to them as limited', () => {
+      const custom = pitcherWorkloadService.resolveRestRules({ rest_days_by_pitches: [{ min_pitches: 1, rest_days: 0 }], max_consecutive_days: 7 });
+      const appearances = [outing('2026-03-02', 30), outing('2026-03-04', 30), outing('2026-03-06', 30), outing('2026-03-07', 35)];
+
+      const capped = pitcherWorkloadService.computeAvailability(appearances, custom, '2026-03-08');
+      expect(capped.pitches_last_7_days).toBe(125);
+      expect(capped.status).toBe('limited');
+      expect(capped.max_pitches_today).toBe(25);
+
+      const over = pitcherWorkloadService.computeAvailability([...appearances, outing('2026-03-08', 70, true)], custom, '2026-03-09');
+      expect(over.status).toBe('unavailable');
+      expect(over.reasons).toEqual(['Reached the 100-pitch 3-day limit']);
+      expect(over.includes_estimates).toBe(true);
+    });
+
+    it('adds doubleheader outings together and ignores later games', () => {
+      const result = pitcherWorkloadService.computeAvailability(
+        [outing('2026-03-07', 20), outing('2026-03-07', 15), outing('2026-03-10', 50)],
+        rules,
+        '2026-03-09'
+      );
+
+      expect(result.last_appearance_pitches).toBe(35);
+      expect(result.appearances_last_7_days).toBe(2);
+      expect(result.required_rest_days).toBe(1);
+      expect(result.status).toBe('available');
+    });
+
+    it('reports a pitcher with no recent outings as fully available', () => {
+      const result = pitcherWorkloadService.computeAvailability([], rules, '2026-03-09');
+
+      expect(result).toMatchObject({
+        status: 'available',
+        last_appearance: null,
+        days_of_rest: null,
+        max_pitches_today: 100,
+        consecutive_days: 0
+      });
+    });
+  });
+
+  describe('getBullpenAvailability', () => {
+    it('combines team rules, pitching lines and the pitching staff', async () => {
+      Team.findByPk = jest.fn().mockResolvedValue({ id: 1, pitcher_rest_rules: { max_pitches_3_days: 90 } });
+      GameStatistic.findAll = jest.fn().mockResolvedValue([
+        { player_id: 7, game_id: 3, innings_pitched: '6.0', batters_faced: 24, pitches_thrown: 92, game: { game_date: '2026-03-06T18:00:00.000Z', opponent: 'State' } }
+      ]);
+      Player.findAll = jest.fn().mockResolvedValue([
+        { id: 7, first_name: 'Ace', last_name: 'Starter', jersey_number: 21, position: 'P', throws: 'R' },
+        { id: 8, first_name: 'Fresh', last_name: 'Arm', jersey_number: 33, position: 'P', throws: 'L' }
+      ]);
+
+      const result = await pitcherWorkloadService.getBullpenAvailability(1, { asOf: '2026-03-08' });
+
+      expect(result.as_of).toBe('2026-03-08');
+      expect(result.rules.max_pitches_3_days).toBe(90);
+      expect(result.pitchers.map(pitcher => [pitcher.player.name, pitcher.status])).toEqual([
+        ['Ace Starter', 'unavailable'],
+        ['Fresh Arm', 'available']
+      ]);
+      expect(result.pitchers[1].max_pitches_today).toBe(90);
+    });
+  });
+
+  describe('getPitcherWorkload', () => {
+    it('lists appearances newest first with the current workload', async () => {
+      Team.findByPk = jest.fn().mockResolvedValue({ id: 1, pitcher_rest_rules: null });
+      GameStatistic.findAll = jest.fn().mockResolvedValue([
+        { player_id: 7, game_id: 3, innings_pitched: '1.0', batters_faced: 4, pitches_thrown: 0, game: { game_date: '2026-03-01T18:00:00.000Z', opponent: 'State' } },
+        { player_id: 7, game_id: 5, innings_pitched: '2.0', batters_faced: 7, pitches_thrown: 31, game: { game_date: '2026-03-07T18:00:00.000Z', opponent: 'Tech' } }
+      ]);
+
+      const result = await pitcherWorkloadService.getPitcherWorkload(1, 7, { asOf: '2026-03-08', days: 14 });
+
+      expect(result.appearances.map(appearance => [appearance.game_id, appearance.pitches, appearance.estimated])).toEqual([
+        [5, 31, false],
+        [3, 16, true]
+      ]);
+      expect(result.appearances[0]).not.toHaveProperty('player_id');
+      expect(result.workload).toMatchObject({ status: 'unavailable', pitches_last_7_days: 31, available_on: '2026-03-09' });
+    });
+  });
+});
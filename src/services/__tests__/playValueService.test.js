@@ -0,0 +1,131 @@
+const playValueService = require('../playValueService');
+const runExpectancyService = require('../runExpectancyService');
+const { Game, GameStatistic, Player, Team } = require('../../models');
+const { classifyPlayByPlay } = require('../../utils/playOutcomeClassifier');
+
+// Mock dependencies
+jest.mock('../../models');
+
+describe('playValueService', () => {
+  const model = runExpectancyService.buildModel(runExpectancyService.emptyTallies());
+  const play = (narrative, batter = null) => ({ narrative, batter, runners: [] });
+
+  const hitter = { id: 7, first_name: 'Cole', last_name: 'Smith', jersey_number: 12, position: 'SS', status: 'active' };
+  const starter = { id: 21, first_name: 'Ace', last_name: 'Starter', jersey_number: 21, position: 'P', status: 'active' };
+  const closer = { id: 33, first_name: 'Sam', last_name: 'Closer', jersey_number: 33, position: 'P', status: 'active' };
+
+  /**
+   * Home game, tied going to the bottom of the 9th: the closer replaces the
+   * starter in the top half, then Smith walks it off
+   */
+  const buildPlayByPlay = () => classifyPlayByPlay({
+    innings: [{
+      inning: 9,
+      halves: [
+        {
+          team: 'State',
+          side: 'away',
+          plays: [
+            play('Closer to p for Starter.'),
+            play('Adams struck out swinging (0-2 SS).'),
+            play('Baker grounded out to ss (0-0).'),
+            play('Cole flied out to cf (0-0).')
+          ]
+        },
+        {
+          team: 'Home',
+          side: 'home',
+          plays: [
+            play('Jones doubled to lc (1-0 B).'),
+            play('Smith singled to rf, RBI (0-0); Jones scored.', { name: 'Smith, Cole', uni: '12' })
+          ]
+        }
+      ]
+    }]
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    runExpectancyService.clearModelCache();
+  });
+
+  describe('regulationInnings', () => {
+    it('treats play-by-play that stops at the 7th as a 7-inning game', () => {
+      expect(playValueService.regulationInnings({ innings: [{ inning: 1 }, { inning: 7 }] })).toBe(7);
+      expect(playValueService.regulationInnings({ innings: [{ inning: 1 }, { inning: 8 }] })).toBe(9);
+    });
+  });
+
+  describe('findStartingPitcher', () => {
+    it('uses the pitcher the first pitching change replaced', () => {
+      expect(playValueService.findStartingPitcher(buildPlayByPlay(), 'home', [closer, starter])).toBe(starter);
+      expect(playValueService.findStartingPitcher(buildPlayByPlay(), 'home', [closer])).toBe(closer);
+    });
+  });
+
+  describe('valueGame', () => {
+    it('values each play and credits the batter and the pitcher on the mound', () => {
+      const { plays, credits } = playValueService.valueGame(
+        { home_away: 'home', play_by_play: buildPlayByPlay() },
+        model,
+        { batters: [hitter], pitchers: [starter, closer] }
+      );
+
+      const walkOff = plays[plays.length - 1];
+      expect(walkOff).toMatchObject({ half: 'bottom', team_batting: true, code: '1B', runs_on_play: 1, win_probability_after: 1 });
+      expect(walkOff.wpa).toBeCloseTo(1 - walkOff.win_probability_before, 3);
+      expect(walkOff.batter).toEqual({ id: 7, name: 'Cole Smith', jersey_number: 12 });
+      expect(walkOff.score_before).toEqual({ team: 0, opponent: 0 });
+      expect(plays[1]).toMatchObject({ team_batting: false, code: 'KS', pitcher: { id: 33, name: 'Sam Closer', jersey_number: 33 } });
+      expect(plays[1].re24).toBeLessThan(0);
+
+      const smith = credits.get('7');
+      const relief = credits.get('33');
+      expect(smith.batting.plate_appearances).toBe(1);
+      expect(smith.batting.wpa).toBeCloseTo(walkOff.wpa, 2);
+      expect(relief.pitching).toMatchObject({ batters_faced: 3, started: false });
+      expect(relief.pitching.wpa).toBeGreaterThan(0);
+      expect(relief.pitching.re24).toBeGreaterThan(0);
+      expect(credits.has('21')).toBe(false);
+    });
+
+    it('reports win probability from the road team\'s side', () => {
+      const { plays } = playValueService.valueGame({ home_away: 'away', play_by_play: buildPlayByPlay() }, model);
+
+      expect(plays[plays.length - 1].win_probability_after).toBe(0);
+      expect(plays[plays.length - 1].batter).toBeNull();
+    });
+  });
+
+  describe('getLeaderboard', () => {
+    beforeEach(() => {
+      Team.findByPk = jest.fn().mockResolvedValue({ id: 1, division: 'D1', conference: null });
+      Team.findAll = jest.fn().mockResolvedValue([{ id: 1 }]);
+      Player.findAll = jest.fn().mockResolvedValue([hitter, starter, closer]);
+      GameStatistic.findAll = jest.fn().mockResolvedValue([
+        { game_id: 5, player_id: 7, innings_pitched: null, batters_faced: 0 },
+        { game_id: 5, player_id: 21, innings_pitched: '8.0', batters_faced: 30 },
+        { game_id: 5, player_id: 33, innings_pitched: '1.0', batters_faced: 3 }
+      ]);
+      Game.findOne = jest.fn().mockResolvedValue({ season: '2026', season_name: '2026 Baseball' });
+      Game.findAll = jest.fn().mockImplementation(({ where }) => Promise.resolve(
+        where.season ? [{ id: 5, home_away: 'home', season_name: '2026 Baseball', play_by_play: buildPlayByPlay() }] : []
+      ));
+    });
+
+    it('ranks relief pitchers by WPA for the latest season', async () => {
+      const result = await playValueService.getLeaderboard(1, { stat: 'relief_wpa', limit: 5 });
+
+      expect(result).toMatchObject({ stat: 'relief_wpa', season: '2026', season_name: '2026 Baseball' });
+      expect(result.leaders).toHaveLength(1);
+      expect(result.leaders[0]).toMatchObject({ rank: 1, player: { id: 33 }, qualifier_value: 1 });
+    });
+
+    it('applies the minimum qualifier', async () => {
+      const result = await playValueService.getLeaderboard(1, { stat: 'wpa', season: '2026', minQualifier: 2 });
+
+      expect(result.leaders).toEqual([]);
+      expect(Game.findOne).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,187 @@
+const prospectDuplicateService = require('../prospectDuplicateService');
+const {
+  sequelize,
+  Prospect,
+  ProspectMedia,
+  ProspectContact,
+  ProspectStageTransition,
+  ScoutingReport,
+  PreferenceList
+} = require('../../models');
+
+// Mock dependencies
+jest.mock('../../models');
+
+describe('prospectDuplicateService', () => {
+  const prospect = (id, overrides = {}) => ({
+    id,
+    first_name: 'Michael',
+    last_name: 'Johnson',
+    school_name: 'Central High School',
+    graduation_year: 2027,
+    primary_position: 'SS',
+    email: null,
+    phone: null,
+    status: 'identified',
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    sequelize.transaction = jest.fn(callback => callback({}));
+  });
+
+  describe('matchProspects', () => {
+    it('matches nicknames, misspellings and school name variants as likely', () => {
+      const match = prospectDuplicateService.matchProspects(
+        prospect(1),
+        prospect(2, { first_name: 'Mike', last_name: 'Jonson', school_name: 'Central HS' })
+      );
+
+      expect(match.level).toBe('likely');
+      expect(match.score).toBeGreaterThan(0.95);
+      expect(match.signals).toMatchObject({ school: 1, graduation_year: 1, email: false, phone: false });
+      expect(match.reasons).toEqual(['Same name', 'Same school', 'Same graduation year']);
+    });
+
+    it('counts a shared email or phone but keeps siblings at possible', () => {
+      const sameContact = prospectDuplicateService.matchProspects(
+        prospect(1, { phone: '(555) 123-4567', school_name: 'Westview' }),
+        prospect(2, { first_name: 'M.', phone: '+1 555.123.4567', school_name: null })
+      );
+      expect(sameContact).toMatchObject({ level: 'likely', signals: { phone: true } });
+
+      const sibling = prospectDuplicateService.matchProspects(
+        prospect(1, { email: 'Parent@Example.com' }),
+        prospect(2, { first_name: 'Tyler', graduation_year: 2029, email: 'parent@example.com' })
+      );
+      expect(sibling.level).toBe('possible');
+      expect(sibling.reasons).toContain('Same email');
+    });
+
+    it('leaves different players with similar names alone', () => {
+      expect(prospectDuplicateService.matchProspects(
+        prospect(1, { first_name: 'John', last_name: 'Smith', school_name: 'Northside', graduation_year: 2026 }),
+        prospect(2, { first_name: 'Jon', last_name: 'Smith', school_name: 'Lakeview Academy', graduation_year: 2028 })
+      )).toBeNull();
+      expect(prospectDuplicateService.matchProspects(prospect(1), prospect(2, { first_name: 'Carlos', last_name: 'Reyes' })))
+        .toBeNull();
+    });
+  });
+
+  describe('findDuplicates', () => {
+    it('scores the team prospects against a candidate, best first', async () => {
+      Prospect.findAll = jest.fn().mockResolvedValue([
+        prospect(1, { school_name: 'Eastside HS' }),
+        prospect(2, { first_name: 'Mike' }),
+        prospect(3, { first_name: 'Carlos', last_name: 'Reyes' })
+      ]);
+
+      const duplicates = await prospectDuplicateService.findDuplicates(1, prospect(null), { excludeIds: [9] });
+
+      expect(Prospect.findAll.mock.calls[0][0].where.team_id).toBe(1);
+      expect(duplicates.map(duplicate => [duplicate.prospect.id, duplicate.level])).toEqual([[2, 'likely'], [1, 'likely']]);
+    });
+  });
+
+  describe('scanDuplicates', () => {
+    it('groups prospects that match directly or through each other', async () => {
+      Prospect.findAll = jest.fn().mockResolvedValue([
+        prospect(1),
+        prospect(2, { first_name: 'Mike', school_name: 'Central HS' }),
+        prospect(3, { first_name: 'Mikey', last_name: 'Johnston', school_name: null, graduation_year: null }),
+        prospect(4, { first_name: 'Carlos', last_name: 'Reyes' }),
+        prospect(5, { first_name: 'Sam', last_name: 'Lee', phone: '555-222-3333' }),
+        prospect(6, { first_name: 'Samuel', last_name: 'Lee', phone: '5552223333', school_name: 'Central' })
+      ]);
+
+      const result = await prospectDuplicateService.scanDuplicates(1);
+
+      expect(result.total_groups).toBe(2);
+      expect(result.groups.map(group => group.prospects.map(member => member.id))).toEqual([[1, 2, 3], [5, 6]]);
+      expect(result.groups[0].matches).toHaveLength(3);
+    });
+  });
+
+  describe('mergeProspects', () => {
+    const record = (data) => ({
+      ...data,
+      update: jest.fn().mockResolvedValue(),
+      destroy: jest.fn().mockResolvedValue()
+    });
+
+    it('fills the target from the source, moves related records and deletes the source', async () => {
+      const target = record(prospect(1, { phone: null, notes: 'Quick hands', status: 'evaluating', sixty_yard_dash: 6.9 }));
+      const source = record(prospect(2, {
+        first_name: 'Mike',
+        phone: '555-123-4567',
+        notes: 'Saw at fall showcase',
+        status: 'offered',
+        stage_entered_at: '2026-10-01T00:00:00.000Z',
+        pipeline_order: 3,
+        sixty_yard_dash: 6.7
+      }));
+      Prospect.findOne = jest.fn(({ where }) => Promise.resolve(where.id === 1 ? target : source));
+      ScoutingReport.update = jest.fn().mockResolvedValue([2]);
+      ProspectMedia.count = jest.fn().mockResolvedValue(1);
+      ProspectMedia.update = jest.fn().mockResolvedValue([3]);
+      ProspectContact.update = jest.fn().mockResolvedValue([1]);
+      ProspectStageTransition.update = jest.fn().mockResolvedValue([4]);
+      ProspectStageTransition.create = jest.fn().mockResolvedValue({});
+
+      const targetEntry = record({ id: 10, team_id: 1, list_type: 'hs_pref_list', priority: 12, notes: null, last_contact_date: '2026-09-01' });
+      const sameList = record({ id: 20, team_id: 1, list_type: 'hs_pref_list', priority: 4, notes: 'Top SS', scholarship_offered: true, last_contact_date: '2026-10-10' });
+      const otherList = record({ id: 21, team_id: 1, list_type: 'overall_pref_list', priority: 30 });
+      PreferenceList.findAll = jest.fn(({ where }) => Promise.resolve(where.prospect_id === 1 ? [targetEntry] : [sameList, otherList]));
+
+      const result = await prospectDuplicateService.mergeProspects(1, 1, 2, { use_source_fields: ['sixty_yard_dash'] }, 5);
+
+      expect(target.update.mock.calls[0][0]).toEqual({
+        phone: '555-123-4567',
+        sixty_yard_dash: 6.7,
+        notes: 'Quick hands\n\nSaw at fall showcase',
+        status: 'offered',
+        stage_entered_at: '2026-10-01T00:00:00.000Z',
+        pipeline_order: 3
+      });
+      expect(result.fields_from_source).toEqual(['phone', 'sixty_yard_dash']);
+      expect(ProspectStageTransition.create.mock.calls[0][0]).toMatchObject({
+        prospect_id: 1,
+        from_status: 'evaluating',
+        to_status: 'offered',
+        note: 'Merged with prospect #2'
+      });
+
+      // The target keeps its primary photo
+      expect(ProspectMedia.update.mock.calls[0]).toEqual([{ is_primary_photo: false }, { where: { prospect_id: 2 }, transaction: {} }]);
+      expect(ScoutingReport.update).toHaveBeenCalledWith({ prospect_id: 1 }, { where: { prospect_id: 2 }, transaction: {} });
+
+      expect(targetEntry.update.mock.calls[0][0]).toMatchObject({
+        priority: 4,
+        notes: 'Top SS',
+        scholarship_offered: true,
+        last_contact_date: '2026-10-10'
+      });
+      expect(sameList.destroy).toHaveBeenCalled();
+      expect(otherList.update).toHaveBeenCalledWith({ prospect_id: 1 }, { transaction: {} });
+      expect(source.destroy).toHaveBeenCalled();
+      expect(result.moved).toEqual({
+        scouting_reports: 2,
+        media: 3,
+        contacts: 1,
+        stage_transitions: 4,
+        preference_lists: 1,
+        preference_lists_combined: 1
+      });
+    });
+
+    it('refuses to merge a prospect into itself or across teams', async () => {
+      await expect(prospectDuplicateService.mergeProspects(1, 4, 4, {}, 5))
+        .resolves.toEqual({ error: 'A prospect cannot be merged into itself', status: 400 });
+
+      Prospect.findOne = jest.fn(({ where }) => Promise.resolve(where.id === 1 ? record(prospect(1)) : null));
+      await expect(prospectDuplicateService.mergeProspects(1, 1, 2, {}, 5))
+        .resolves.toEqual({ error: 'Prospect not found', status: 404 });
+    });
+  });
+});
@@ -0,0 +1,218 @@
+const prospectImportService = require('../prospectImportService');
+const { sequelize, Prospect, ProspectImport, ProspectStageTransition } = require('../../models');
+
+// Mock dependencies
+jest.mock('../../models');
+
+describe('prospectImportService', () => {
+  const csv = (lines) => lines.join('\n');
+
+  const existing = (id, overrides = {}) => ({
+    id,
+    first_name: 'Michael',
+    last_name: 'Johnson',
+    school_name: 'Central High School',
+    graduation_year: 2027,
+    primary_position: 'SS',
+    status: 'identified',
+    height: null,
+    fastball_velocity: null,
+    sixty_yard_dash: '6.90',
+    email: null,
+    phone: null,
+    update: jest.fn().mockResolvedValue(),
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    sequelize.transaction = jest.fn(callback => callback({}));
+    Prospect.findAll = jest.fn().mockResolvedValue([]);
+  });
+
+  describe('detectMapping', () => {
+    it('recognizes showcase headers and applies overrides', () => {
+      const { columns, mapping, errors } = prospectImportService.detectMapping(
+        ['Player Name', 'Pos', 'Grad Year', 'FB Velo (mph)', '60 Time', 'B/T', 'Coach', 'Velo'],
+        { Coach: null, Velo: 'exit_velocity' }
+      );
+
+      expect(errors).toEqual([]);
+      expect(mapping).toEqual({
+        'Player Name': 'full_name',
+        Pos: 'primary_position',
+        'Grad Year': 'graduation_year',
+        'FB Velo (mph)': 'fastball_velocity',
+        '60 Time': 'sixty_yard_dash',
+        'B/T': 'bats_throws',
+        Coach: null,
+        Velo: 'exit_velocity'
+      });
+      expect(columns[7]).toEqual({ header: 'Velo', field: 'exit_velocity', how: 'mapped' });
+    });
+
+    it('rejects unknown fields and columns', () => {
+      const { errors } = prospectImportService.detectMapping(['Name'], { Name: 'nickname', Missing: 'email' });
+
+      expect(errors.map(error => error.header)).toEqual(['Missing', 'Name']);
+    });
+  });
+
+  describe('unit normalization', () => {
+    it('writes heights as feet and inches', () => {
+      ['6-2', '6\'2"', '6\' 2"', '6 2', '6.2', '74', '74in', '188cm'].forEach(height => {
+        expect(prospectImportService.parseHeight(height)).toEqual({ value: '6\'2"' });
+      });
+      expect(prospectImportService.parseHeight('6.11')).toEqual({ value: '6\'11"' });
+      expect(prospectImportService.parseHeight('tall').error).toContain('not recognized');
+      expect(prospectImportService.parseHeight('9-2').error).toContain('out of range');
+    });
+
+    it('converts metric units and collapses ranges', () => {
+      expect(prospectImportService.parseWeight('185 lbs')).toEqual({ value: 185 });
+      expect(prospectImportService.parseWeight('84 kg')).toEqual({ value: 185 });
+      expect(prospectImportService.parseVelocity('86-88 mph', 40, 110)).toEqual({ value: 88 });
+      expect(prospectImportService.parseVelocity('142 km/h', 40, 110)).toEqual({ value: 88 });
+      expect(prospectImportService.parseSeconds('1.95-2.05', 1.5, 3, 2)).toEqual({ value: 1.95 });
+      expect(prospectImportService.parseSeconds('4.25s', 3, 6, 1)).toEqual({ value: 4.3 });
+      expect(prospectImportService.parseVelocity('150', 40, 110).error).toContain('out of range');
+    });
+
+    it('reads position lists and takes the throwing hand from LHP/RHP', () => {
+      expect(prospectImportService.parsePositions('SS/RHP')).toEqual({ positions: ['SS', 'P'], throwsHint: 'R', unknown: [] });
+      expect(prospectImportService.parsePositions('Shortstop, 2B')).toMatchObject({ positions: ['SS', '2B'] });
+    });
+  });
+
+  describe('normalizeRow', () => {
+    const mapping = {
+      Name: 'full_name',
+      Pos: 'primary_position',
+      Class: 'graduation_year',
+      'B/T': 'bats_throws',
+      GPA: 'gpa'
+    };
+
+    it('splits combined fields into prospect attributes', () => {
+      const { values, errors } = prospectImportService.normalizeRow(
+        { Name: 'Johnson, Mike', Pos: 'LHP/OF', Class: '\'27', 'B/T': 'L/L', GPA: 'N/A' },
+        mapping
+      );
+
+      expect(errors).toEqual([]);
+      expect(values).toEqual({
+        first_name: 'Mike',
+        last_name: 'Johnson',
+        primary_position: 'P',
+        secondary_position: 'OF',
+        throws: 'L',
+        graduation_year: 2027,
+        bats: 'L'
+      });
+    });
+
+    it('collects every problem in the row', () => {
+      const { errors } = prospectImportService.normalizeRow(
+        { Name: 'Prince', Pos: '', Class: '2040', 'B/T': 'R/S', GPA: '4.7' },
+        mapping
+      );
+
+      expect(errors.map(error => error.field)).toEqual(['full_name', 'graduation_year', 'bats_throws', 'gpa', 'primary_position']);
+    });
+  });
+
+  describe('previewImport', () => {
+    it('plans creates, updates of likely matches, in-file duplicates and errors', async () => {
+      Prospect.findAll = jest.fn().mockResolvedValue([existing(7)]);
+
+      const preview = await prospectImportService.previewImport(1, csv([
+        'First,Last,School,Grad Year,Pos,FB Velo,Ht',
+        'Mike,Johnson,Central HS,2027,SS,88,6-1',
+        'Carlos,Reyes,Westview,2026,C,,5-11',
+        'Carlos,Reyes,Westview HS,2026,C,,',
+        'Tom,Lee,Eastside,2027,XX,,'
+      ]));
+
+      expect(preview.total_rows).toBe(4);
+      expect(preview.counts).toEqual({ create: 1, update: 1, skip: 1, error: 1 });
+      expect(preview.rows[0]).toMatchObject({
+        row: 2,
+        action: 'update',
+        match: { level: 'likely', prospect: { id: 7 } },
+        changes: { fastball_velocity: { from: null, to: 88 }, height: { from: null, to: '6\'1"' } }
+      });
+      expect(preview.rows[2]).toMatchObject({ action: 'skip', duplicate_of_row: 3 });
+      expect(preview.rows[3].errors[0]).toMatchObject({ field: 'primary_position', value: 'XX' });
+    });
+
+    it('lets row actions and on_duplicate override the defaults', async () => {
+      Prospect.findAll = jest.fn().mockResolvedValue([existing(7)]);
+      const file = csv(['Name,Pos', 'Mike Johnson,SS', 'Carlos Reyes,C']);
+
+      const skipped = await prospectImportService.previewImport(1, file, { onDuplicate: 'skip', rowActions: { 3: 'skip' } });
+      expect(skipped.rows.map(row => [row.action, row.reason])).toEqual([
+        ['skip', 'Already on the board as #7'],
+        ['skip', 'Skipped by choice']
+      ]);
+
+      const created = await prospectImportService.previewImport(1, file, { rowActions: { 2: 'create', 3: 'update' } });
+      expect(created.rows.map(row => row.action)).toEqual(['create', 'create']);
+      expect(created.rows[1].warnings).toContain('No existing prospect to update; the row is created instead');
+    });
+
+    it('refuses a file without the required columns', async () => {
+      const result = await prospectImportService.previewImport(1, csv(['Name,School', 'Mike Johnson,Central']));
+
+      expect(result).toMatchObject({ status: 400, error: 'No column is mapped to primary_position' });
+      expect(Prospect.findAll).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('commitImport', () => {
+    it('saves each row, keeps going past a failed row and records the job', async () => {
+      const match = existing(7);
+      Prospect.findAll = jest.fn().mockResolvedValue([match]);
+      Prospect.max = jest.fn().mockResolvedValue(null);
+      ProspectStageTransition.create = jest.fn().mockResolvedValue({});
+      Prospect.create = jest.fn()
+        .mockImplementationOnce(data => Promise.resolve({ id: 20, status: 'identified', ...data, update: jest.fn().mockResolvedValue() }))
+        .mockRejectedValueOnce(new Error('value too long for type character varying(20)'));
+      const job = { id: 3, update: jest.fn().mockResolvedValue() };
+      ProspectImport.create = jest.fn().mockResolvedValue(job);
+
+      const result = await prospectImportService.commitImport(1, csv([
+        'Name,Pos,60,Event',
+        'Mike Johnson,SS,6.75,',
+        'Carlos Reyes,C,7.10,',
+        'Tom Lee,P,,Area Code tryout'
+      ]), { fileName: 'fall-showcase.csv', source: 'Fall Showcase' }, 5);
+
+      expect(result).toBe(job);
+      expect(match.update).toHaveBeenCalledWith({ sixty_yard_dash: 6.75 });
+      expect(Prospect.create.mock.calls[0][0]).toMatchObject({
+        first_name: 'Carlos',
+        source: 'Fall Showcase',
+        team_id: 1,
+        created_by: 5
+      });
+      expect(Prospect.create.mock.calls[1][0].source).toBe('Area Code tryout');
+      expect(ProspectImport.create.mock.calls[0][0]).toMatchObject({
+        team_id: 1,
+        file_name: 'fall-showcase.csv',
+        status: 'started',
+        total_rows: 3,
+        options: { on_duplicate: 'update', row_actions: {} },
+        imported_by: 5
+      });
+
+      const finished = job.update.mock.calls[0][0];
+      expect(finished).toMatchObject({ status: 'partial', created_count: 1, updated_count: 1, skipped_count: 0, failed_count: 1 });
+      expect(finished.row_results.map(row => [row.row, row.action, row.prospect_id])).toEqual([
+        [2, 'update', 7],
+        [3, 'create', 20],
+        [4, 'error', null]
+      ]);
+      expect(finished.row_results[2].errors[0].message).toContain('value too long');
+    });
+  });
+});
@@ -0,0 +1,178 @@
+const prospectPipelineService = require('../prospectPipelineService');
+const { sequelize, Prospect, ProspectStageTransition } = require('../../models');
+
+// Mock dependencies
+jest.mock('../../models');
+
+describe('prospectPipelineService', () => {
+  const now = new Date('2026-10-19T12:00:00.000Z');
+  const at = (day) => `2026-${day}T12:00:00.000Z`;
+
+  let nextId = 1;
+  const transition = (prospectId, from, to, day) => ({
+    id: nextId++,
+    prospect_id: prospectId,
+    from_status: from,
+    to_status: to,
+    created_at: at(day)
+  });
+
+  const prospect = (id, status, enteredDay, overrides = {}) => ({
+    id,
+    first_name: 'Player',
+    last_name: String(id),
+    primary_position: 'SS',
+    school_name: 'Central HS',
+    graduation_year: 2027,
+    status,
+    stage_entered_at: enteredDay ? at(enteredDay) : null,
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    sequelize.transaction = jest.fn(callback => callback({}));
+  });
+
+  describe('compileAnalytics', () => {
+    const prospects = [
+      prospect(1, 'committed', '09-20'),
+      prospect(2, 'offered', '09-19'),
+      prospect(3, 'passed', '09-15'),
+      prospect(4, 'contacted', '10-09'),
+      // Created before the history existed
+      prospect(5, 'offered', '10-14')
+    ];
+    const transitions = [
+      transition(1, null, 'identified', '09-01'),
+      transition(1, 'identified', 'offered', '09-11'),
+      transition(1, 'offered', 'committed', '09-20'),
+      transition(2, null, 'identified', '09-01'),
+      transition(2, 'identified', 'evaluating', '09-05'),
+      transition(2, 'evaluating', 'offered', '09-19'),
+      transition(3, null, 'identified', '09-01'),
+      transition(3, 'identified', 'evaluating', '09-03'),
+      transition(3, 'evaluating', 'passed', '09-15'),
+      transition(4, null, 'identified', '10-09'),
+      transition(4, 'identified', 'contacted', '10-09')
+    ];
+    const analytics = prospectPipelineService.compileAnalytics(prospects, transitions, { now });
+
+    it('counts prospects as reaching every stage up to the furthest one', () => {
+      expect(analytics.total_prospects).toBe(5);
+      expect(analytics.funnel.map(row => [row.stage, row.current, row.reached])).toEqual([
+        ['identified', 0, 5],
+        ['evaluating', 0, 5],
+        ['contacted', 1, 4],
+        ['visiting', 0, 3],
+        ['offered', 2, 3],
+        ['committed', 1, 1],
+        ['signed', 0, 0]
+      ]);
+      expect(analytics.funnel[5]).toMatchObject({ conversion_from_previous: 0.3333, conversion_from_start: 0.2 });
+      expect(analytics.funnel[0].conversion_from_previous).toBeNull();
+      expect(analytics.passed_from).toEqual({ evaluating: 1 });
+    });
+
+    it('measures completed stays from transitions and current waits from stage_entered_at', () => {
+      const identified = analytics.time_in_stage.find(row => row.stage === 'identified');
+      expect(identified.completed).toEqual({ samples: 4, average_days: 4, median_days: 3 });
+
+      const offered = analytics.time_in_stage.find(row => row.stage === 'offered');
+      expect(offered.completed).toEqual({ samples: 1, average_days: 9, median_days: 9 });
+      expect(offered.current).toEqual({ count: 2, average_days: 17.5, longest_days: 30 });
+    });
+
+    it('lists open offers longest first and times answered offers', () => {
+      expect(analytics.offers.open).toMatchObject({ count: 2, average_days: 17.5, over_14_days: 1, over_30_days: 0 });
+      expect(analytics.offers.open.prospects.map(offer => [offer.id, offer.days_open])).toEqual([[2, 30], [5, 5]]);
+      expect(analytics.offers.answered).toEqual({
+        count: 1,
+        accepted: 1,
+        declined_or_moved: 0,
+        acceptance_rate: 1,
+        average_days: 9,
+        median_days: 9
+      });
+    });
+  });
+
+  describe('moveProspect', () => {
+    const card = (id, order) => ({ id, pipeline_order: order });
+
+    it('moves a card into another stage at a position and records the transition', async () => {
+      const moved = { id: 7, team_id: 1, status: 'visiting', pipeline_order: 0, update: jest.fn().mockResolvedValue() };
+      Prospect.findOne = jest.fn().mockResolvedValue(moved);
+      Prospect.findAll = jest.fn().mockResolvedValue([card(10, 0), card(11, 1), card(12, 2)]);
+      Prospect.update = jest.fn().mockResolvedValue([1]);
+      ProspectStageTransition.create = jest.fn(data => Promise.resolve({ id: 99, ...data }));
+
+      const result = await prospectPipelineService.moveProspect(1, 7, { status: 'offered', position: 1, note: 'Full ride' }, 5);
+
+      expect(Prospect.findAll.mock.calls[0][0].where).toMatchObject({ team_id: 1, status: 'offered' });
+      expect(Prospect.update.mock.calls.map(call => [call[1].where.id, call[0].pipeline_order])).toEqual([[11, 2], [12, 3]]);
+      expect(moved.update.mock.calls[0][0]).toMatchObject({ status: 'offered', pipeline_order: 1 });
+      expect(moved.update.mock.calls[0][0].stage_entered_at).toBeInstanceOf(Date);
+      expect(result.transition).toMatchObject({ from_status: 'visiting', to_status: 'offered', note: 'Full ride', changed_by: 5 });
+    });
+
+    it('reorders within a stage without touching the history', async () => {
+      const moved = { id: 7, team_id: 1, status: 'offered', pipeline_order: 2, update: jest.fn().mockResolvedValue() };
+      Prospect.findOne = jest.fn().mockResolvedValue(moved);
+      Prospect.findAll = jest.fn().mockResolvedValue([card(10, 0), card(11, 1)]);
+      Prospect.update = jest.fn().mockResolvedValue([1]);
+      ProspectStageTransition.create = jest.fn();
+
+      const result = await prospectPipelineService.moveProspect(1, 7, { position: 0 }, 5);
+
+      expect(Prospect.update.mock.calls.map(call => [call[1].where.id, call[0].pipeline_order])).toEqual([[10, 1], [11, 2]]);
+      expect(moved.update).toHaveBeenCalledWith({ pipeline_order: 0 }, { transaction: {} });
+      expect(ProspectStageTransition.create).not.toHaveBeenCalled();
+      expect(result.transition).toBeNull();
+    });
+
+    it('reports a prospect from another team as not found', async () => {
+      Prospect.findOne = jest.fn().mockResolvedValue(null);
+
+      await expect(prospectPipelineService.moveProspect(1, 7, { position: 0 }, 5))
+        .resolves.toEqual({ error: 'Prospect not found', status: 404 });
+    });
+  });
+
+  describe('addToPipeline', () => {
+    it('puts a new prospect at the bottom of its column and starts its history', async () => {
+      const created = { id: 8, team_id: 1, status: 'identified', update: jest.fn().mockResolvedValue() };
+      Prospect.max = jest.fn().mockResolvedValue(4);
+      ProspectStageTransition.create = jest.fn().mockResolvedValue({});
+
+      await prospectPipelineService.addToPipeline(created, 5);
+
+      expect(created.update.mock.calls[0][0].pipeline_order).toBe(5);
+      expect(ProspectStageTransition.create.mock.calls[0][0]).toEqual({
+        prospect_id: 8,
+        team_id: 1,
+        from_status: null,
+        to_status: 'identified',
+        changed_by: 5
+      });
+    });
+  });
+
+  describe('getBoard', () => {
+    it('returns every column in board order with days in stage', async () => {
+      Prospect.findAll = jest.fn().mockResolvedValue([
+        prospect(1, 'offered', '10-09', { pipeline_order: 0 }),
+        prospect(2, 'identified', null, { pipeline_order: 0 })
+      ]);
+
+      const board = await prospectPipelineService.getBoard(1, { graduation_year: 2027, now });
+
+      expect(Prospect.findAll.mock.calls[0][0].where).toEqual({ team_id: 1, graduation_year: 2027 });
+      expect(board.total).toBe(2);
+      expect(board.columns.map(column => column.stage)).toEqual(prospectPipelineService.PROSPECT_STATUSES);
+      expect(board.columns[4]).toMatchObject({ stage: 'offered', count: 1, closed: false });
+      expect(board.columns[4].prospects[0].days_in_stage).toBe(10);
+      expect(board.columns[7].closed).toBe(true);
+    });
+  });
+});
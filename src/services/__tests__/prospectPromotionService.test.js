@@ -0,0 +1,186 @@
+const prospectPromotionService = require('../prospectPromotionService');
+const { sequelize, Prospect, ProspectMedia, Player, PlayerVideo, ScoutingReport, Team } = require('../../models');
+
+// Mock dependencies
+jest.mock('../../models');
+
+describe('prospectPromotionService', () => {
+  const signedProspect = (overrides = {}) => ({
+    id: 4,
+    team_id: 1,
+    first_name: 'Michael',
+    last_name: 'Johnson',
+    email: 'mjohnson@example.com',
+    phone: '555-123-4567',
+    photo_url: null,
+    school_type: 'HS',
+    school_name: 'Central High School',
+    city: 'Austin',
+    state: 'TX',
+    graduation_year: 2026,
+    class_year: null,
+    primary_position: 'UTL',
+    secondary_position: 'SS',
+    bats: 'R',
+    throws: 'R',
+    height: '6\'1"',
+    weight: 95,
+    sixty_yard_dash: '6.75',
+    home_to_first: null,
+    fastball_velocity: 88,
+    exit_velocity: 92,
+    pop_time: null,
+    status: 'signed',
+    video_url: '',
+    social_links: null,
+    player_id: null,
+    update: jest.fn().mockResolvedValue(),
+    ...overrides
+  });
+
+  const rosterPlayer = (id, overrides = {}) => ({
+    id,
+    first_name: 'Mike',
+    last_name: 'Johnson',
+    position: 'SS',
+    jersey_number: null,
+    photo_url: null,
+    prospect: null,
+    update: jest.fn().mockResolvedValue(),
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    sequelize.transaction = jest.fn(callback => callback({}));
+    Team.findByPk = jest.fn().mockResolvedValue({ id: 1, name: 'State University' });
+    Player.findAll = jest.fn().mockResolvedValue([]);
+    ScoutingReport.update = jest.fn().mockResolvedValue([3]);
+    ProspectMedia.findAll = jest.fn().mockResolvedValue([]);
+    PlayerVideo.create = jest.fn().mockResolvedValue({});
+  });
+
+  describe('promoteProspect', () => {
+    it('creates a player carrying over bio, measurables, reports and media', async () => {
+      const prospect = signedProspect();
+      Prospect.findOne = jest.fn().mockResolvedValue(prospect);
+      const player = rosterPlayer(30, { first_name: 'Michael' });
+      Player.create = jest.fn().mockResolvedValue(player);
+      ProspectMedia.findAll = jest.fn().mockResolvedValue([
+        { media_type: 'photo', file_path: '/srv/uploads/prospects/prospect-4.jpg', url: null },
+        { media_type: 'video', url: 'https://video.example.com/swing', title: 'BP', description: null },
+        { media_type: 'document', file_path: '/srv/uploads/prospects/transcript.pdf', url: null }
+      ]);
+
+      const result = await prospectPromotionService.promoteProspect(1, 4, { jersey_number: 7 }, 5);
+
+      expect(Player.create.mock.calls[0][0]).toMatchObject({
+        first_name: 'Michael',
+        position: 'SS',
+        school: 'State University',
+        school_type: 'COLL',
+        class_year: 'FR',
+        jersey_number: 7,
+        hometown: 'Austin, TX',
+        high_school: 'Central High School',
+        high_school_state: 'TX',
+        previous_school: null,
+        weight: null,
+        video_url: null,
+        sixty_yard_dash: '6.75',
+        fastball_velocity: 88,
+        status: 'active',
+        source_system: 'manual',
+        team_id: 1,
+        created_by: 5
+      });
+      expect(ScoutingReport.update).toHaveBeenCalledWith({ player_id: 30 }, { where: { prospect_id: 4 }, transaction: {} });
+      expect(player.update).toHaveBeenCalledWith({ photo_url: '/uploads/prospects/prospect-4.jpg' }, { transaction: {} });
+      expect(PlayerVideo.create).toHaveBeenCalledTimes(1);
+      expect(PlayerVideo.create.mock.calls[0][0]).toMatchObject({
+        player_id: 30,
+        team_id: 1,
+        url: 'https://video.example.com/swing',
+        video_type: 'highlight',
+        source_system: 'manual'
+      });
+      expect(prospect.update.mock.calls[0][0]).toMatchObject({ player_id: 30, promoted_by: 5 });
+      expect(result).toMatchObject({
+        created: true,
+        carried_over: { scouting_reports: 3, videos: 1, photo: true },
+        skipped_fields: [{ field: 'weight', value: 95 }]
+      });
+    });
+
+    it('links an existing roster player and only fills its empty fields', async () => {
+      const prospect = signedProspect({ primary_position: 'C', school_type: 'JUCO', school_name: 'Valley CC', class_year: 'SO' });
+      Prospect.findOne = jest.fn()
+        .mockResolvedValueOnce(prospect)
+        .mockResolvedValueOnce(null);
+      const player = rosterPlayer(30, { position: 'C', height: '6\'0"', jersey_number: 12, class_year: 'JR', source_system: 'presto' });
+      Player.findOne = jest.fn().mockResolvedValue(player);
+      Player.create = jest.fn();
+
+      const result = await prospectPromotionService.promoteProspect(1, 4, { player_id: 30 }, 5);
+
+      expect(Player.create).not.toHaveBeenCalled();
+      const filled = player.update.mock.calls[0][0];
+      expect(filled).toMatchObject({ previous_school: 'Valley CC', fastball_velocity: 88, email: 'mjohnson@example.com' });
+      expect(filled).not.toHaveProperty('first_name');
+      expect(filled).not.toHaveProperty('height');
+      expect(filled).not.toHaveProperty('class_year');
+      expect(result.created).toBe(false);
+      expect(prospect.update.mock.calls[0][0]).toMatchObject({ player_id: 30 });
+    });
+
+    it('only promotes signed prospects that are not on the roster yet', async () => {
+      Prospect.findOne = jest.fn().mockResolvedValue(signedProspect({ status: 'committed' }));
+      expect(await prospectPromotionService.promoteProspect(1, 4, {}, 5))
+        .toMatchObject({ status: 409, error: 'Only signed prospects can be promoted to the roster' });
+
+      Prospect.findOne = jest.fn().mockResolvedValue(signedProspect({ player_id: 30 }));
+      expect(await prospectPromotionService.promoteProspect(1, 4, {}, 5))
+        .toMatchObject({ status: 409, player_id: 30 });
+
+      Prospect.findOne = jest.fn().mockResolvedValue(signedProspect({ secondary_position: null }));
+      expect(await prospectPromotionService.promoteProspect(1, 4, {}, 5)).toMatchObject({ status: 400 });
+    });
+
+    it('refuses to create a second player when the roster already has a likely match', async () => {
+      Prospect.findOne = jest.fn().mockResolvedValue(signedProspect());
+      Player.findAll = jest.fn().mockResolvedValue([
+        rosterPlayer(30, { graduation_year: 2026, email: 'mjohnson@example.com' }),
+        rosterPlayer(31, { first_name: 'Carlos', last_name: 'Reyes' }),
+        rosterPlayer(32, { first_name: 'Michael', prospect: { id: 2 } })
+      ]);
+      Player.create = jest.fn();
+
+      const result = await prospectPromotionService.promoteProspect(1, 4, {}, 5);
+
+      expect(result.status).toBe(409);
+      expect(result.candidates.map(candidate => candidate.player.id)).toEqual([30]);
+      expect(Player.create).not.toHaveBeenCalled();
+
+      Player.create = jest.fn().mockResolvedValue(rosterPlayer(33));
+      const forced = await prospectPromotionService.promoteProspect(1, 4, { allow_duplicate: true }, 5);
+      expect(forced.created).toBe(true);
+    });
+  });
+
+  describe('findPromotedPlayer', () => {
+    it('matches an unsynced promoted player by name and jersey number', async () => {
+      const promoted = rosterPlayer(30, { first_name: 'Michael', jersey_number: 7 });
+      Player.findAll = jest.fn().mockResolvedValue([
+        rosterPlayer(31, { first_name: 'Michael', jersey_number: 12 }),
+        promoted,
+        rosterPlayer(32, { first_name: 'Carlos', last_name: 'Reyes' })
+      ]);
+
+      expect(await prospectPromotionService.findPromotedPlayer(1, { first_name: 'Mike', last_name: 'Johnson', jersey_number: '7' }))
+        .toBe(promoted);
+      expect(Player.findAll.mock.calls[0][0].where).toEqual({ team_id: 1, external_id: null });
+      expect(await prospectPromotionService.findPromotedPlayer(1, { first_name: 'Mike', last_name: 'Jones', jersey_number: 7 }))
+        .toBeNull();
+    });
+  });
+});
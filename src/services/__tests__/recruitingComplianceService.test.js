@@ -0,0 +1,198 @@
+const recruitingComplianceService = require('../recruitingComplianceService');
+const { sequelize, ProspectContact, RecruitingPeriod, PreferenceList, Team } = require('../../models');
+
+// Mock dependencies
+jest.mock('../../models');
+
+describe('recruitingComplianceService', () => {
+  const rules = recruitingComplianceService.resolveContactRules(null);
+  const contact = (contactType, date) => ({ contact_type: contactType, contact_date: `${date}T15:00:00.000Z` });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('resolveContactRules', () => {
+    it('keeps default fields a team did not save', () => {
+      const resolved = recruitingComplianceService.resolveContactRules({
+        action: 'block',
+        periods: { quiet: ['email'] },
+        class_years: { SR: { total_limits: { official_visit: 2 } } }
+      });
+
+      expect(resolved.action).toBe('block');
+      expect(resolved.periods.quiet).toEqual(['email']);
+      expect(resolved.periods.dead).toEqual(['call', 'text', 'email']);
+      expect(resolved.class_years.SR).toMatchObject({
+        total_limits: { official_visit: 2 },
+        weekly_limits: { in_person_contact: 1 },
+        action: null
+      });
+    });
+  });
+
+  describe('classYearOn', () => {
+    it('uses the saved class year, else counts back from graduation year from August 1', () => {
+      expect(recruitingComplianceService.classYearOn({ class_year: 'SO', graduation_year: 2027 }, '2026-10-01')).toBe('SO');
+      expect(recruitingComplianceService.classYearOn({ graduation_year: 2027 }, '2026-07-31')).toBe('JR');
+      expect(recruitingComplianceService.classYearOn({ graduation_year: 2027 }, '2026-08-01')).toBe('SR');
+      expect(recruitingComplianceService.classYearOn({ graduation_year: 2030 }, '2026-10-01')).toBe('FR');
+      expect(recruitingComplianceService.classYearOn({ graduation_year: 2026 }, '2026-10-01')).toBe('GR');
+      expect(recruitingComplianceService.classYearOn({}, '2026-10-01')).toBeNull();
+    });
+  });
+
+  describe('periodOn', () => {
+    it('picks the most restrictive period covering the day', () => {
+      const periods = [
+        { id: 1, period_type: 'contact', start_date: '2026-10-01', end_date: '2026-10-31' },
+        { id: 2, period_type: 'dead', start_date: '2026-10-10', end_date: '2026-10-12' }
+      ];
+
+      expect(recruitingComplianceService.periodOn(periods, '2026-10-11').id).toBe(2);
+      expect(recruitingComplianceService.periodOn(periods, '2026-10-12').id).toBe(2);
+      expect(recruitingComplianceService.periodOn(periods, '2026-10-13').id).toBe(1);
+      expect(recruitingComplianceService.periodOn(periods, '2026-11-01')).toBeNull();
+    });
+  });
+
+  describe('checkContact', () => {
+    const check = (overrides) => recruitingComplianceService.checkContact({
+      contactType: 'call',
+      contactDate: '2026-10-14T15:00:00.000Z',
+      classYear: 'JR',
+      period: null,
+      priorContacts: [],
+      rules,
+      ...overrides
+    });
+
+    it('passes a contact the rules allow', () => {
+      expect(check({ period: { id: 1, period_type: 'dead', start_date: '2026-10-10', end_date: '2026-10-20' } }))
+        .toMatchObject({ status: 'compliant', issues: [], period: { period_type: 'dead', name: null } });
+    });
+
+    it('flags contact types not allowed for the class year or during the period', () => {
+      const result = check({
+        contactType: 'in_person_contact',
+        classYear: 'SO',
+        period: { id: 1, period_type: 'dead', name: 'Fall dead period', start_date: '2026-10-10', end_date: '2026-10-20' }
+      });
+
+      expect(result.status).toBe('warning');
+      expect(result.issues).toEqual([
+        { code: 'class_year_type', message: 'In-person contact is not allowed with SO prospects' },
+        { code: 'period_type', message: 'In-person contact is not allowed during the dead period (Fall dead period)' }
+      ]);
+    });
+
+    it('counts weekly limits by Sunday-Saturday week and total limits over every contact', () => {
+      const weekly = check({
+        contactType: 'in_person_contact',
+        contactDate: '2026-10-17T15:00:00.000Z',
+        priorContacts: [contact('in_person_contact', '2026-10-10'), contact('in_person_contact', '2026-10-11')]
+      });
+      expect(weekly.issues.map(issue => issue.code)).toEqual(['weekly_limit']);
+      expect(weekly.issues[0].message).toContain('week of 2026-10-11');
+
+      const total = check({
+        contactType: 'official_visit',
+        classYear: 'SR',
+        priorContacts: [contact('official_visit', '2025-11-01')]
+      });
+      expect(total.issues.map(issue => issue.code)).toEqual(['total_limit']);
+    });
+
+    it('blocks when the rules say so, except when only the class year is unknown', () => {
+      const blocking = { ...rules, action: 'block' };
+
+      expect(check({ rules: blocking, classYear: 'FR' }).status).toBe('blocked');
+      expect(check({ rules: blocking, classYear: null })).toMatchObject({
+        status: 'warning',
+        issues: [expect.objectContaining({ code: 'class_year_unknown' })]
+      });
+    });
+
+    it('lets a class year override the team action', () => {
+      const overridden = recruitingComplianceService.resolveContactRules({ class_years: { FR: { action: 'block' } } });
+
+      expect(check({ rules: overridden, classYear: 'FR' }).status).toBe('blocked');
+      expect(check({ rules: overridden, classYear: 'SO' }).status).toBe('warning');
+    });
+  });
+
+  describe('logContact', () => {
+    const prospect = { id: 9, class_year: 'JR' };
+
+    beforeEach(() => {
+      sequelize.transaction = jest.fn(callback => callback({}));
+      Team.findByPk = jest.fn().mockResolvedValue({ id: 1, recruiting_contact_rules: { action: 'block' } });
+      RecruitingPeriod.findAll = jest.fn().mockResolvedValue([
+        { id: 3, period_type: 'quiet', name: null, start_date: '2026-10-01', end_date: '2026-10-31' }
+      ]);
+      ProspectContact.findAll = jest.fn().mockResolvedValue([]);
+      ProspectContact.create = jest.fn(data => Promise.resolve({ id: 50, ...data }));
+      PreferenceList.update = jest.fn().mockResolvedValue([1]);
+    });
+
+    it('saves the contact with its compliance result and moves last_contact_date forward', async () => {
+      const result = await recruitingComplianceService.logContact(1, prospect, contact('call', '2026-10-14'), 5);
+
+      expect(result.compliance.status).toBe('compliant');
+      expect(ProspectContact.create.mock.calls[0][0]).toMatchObject({
+        prospect_id: 9,
+        team_id: 1,
+        contacted_by: 5,
+        logged_by: 5,
+        class_year: 'JR',
+        period_type: 'quiet',
+        compliance_status: 'compliant'
+      });
+      expect(PreferenceList.update.mock.calls[0][0]).toEqual({ last_contact_date: '2026-10-14' });
+      expect(PreferenceList.update.mock.calls[0][1].where).toMatchObject({ team_id: 1, prospect_id: 9 });
+    });
+
+    it('refuses a blocked contact without saving it', async () => {
+      const result = await recruitingComplianceService.logContact(1, prospect, contact('in_person_contact', '2026-10-14'), 5);
+
+      expect(result).toMatchObject({ status: 422, compliance: { status: 'blocked' } });
+      expect(ProspectContact.create).not.toHaveBeenCalled();
+      expect(PreferenceList.update).not.toHaveBeenCalled();
+    });
+
+    it('leaves voided contacts out of the limits', async () => {
+      await recruitingComplianceService.logContact(1, prospect, contact('call', '2026-10-14'), 5);
+
+      expect(ProspectContact.findAll.mock.calls[0][0].where).toEqual({ team_id: 1, prospect_id: 9, voided_at: null });
+    });
+  });
+
+  describe('voidContact', () => {
+    it('marks the contact voided with who, when and why', async () => {
+      const logged = { id: 50, voided_at: null, update: jest.fn().mockResolvedValue() };
+      ProspectContact.findOne = jest.fn().mockResolvedValue(logged);
+
+      const result = await recruitingComplianceService.voidContact(1, 9, 50, 'Logged for the wrong prospect', 5);
+
+      expect(result).toBe(logged);
+      expect(ProspectContact.findOne).toHaveBeenCalledWith({ where: { id: 50, prospect_id: 9, team_id: 1 } });
+      expect(logged.update).toHaveBeenCalledWith({
+        voided_at: expect.any(Date),
+        voided_by: 5,
+        void_reason: 'Logged for the wrong prospect'
+      });
+    });
+
+    it('refuses missing and already voided contacts', async () => {
+      ProspectContact.findOne = jest.fn().mockResolvedValue(null);
+      await expect(recruitingComplianceService.voidContact(1, 9, 50, 'Duplicate', 5))
+        .resolves.toEqual({ error: 'Contact not found', status: 404 });
+
+      const voided = { id: 50, voided_at: new Date(), update: jest.fn() };
+      ProspectContact.findOne = jest.fn().mockResolvedValue(voided);
+      await expect(recruitingComplianceService.voidContact(1, 9, 50, 'Duplicate', 5))
+        .resolves.toEqual({ error: 'Contact has already been voided', status: 409 });
+      expect(voided.update).not.toHaveBeenCalled();
+    });
+  });
+});
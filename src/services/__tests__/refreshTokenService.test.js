@@ -0,0 +1,130 @@
+const refreshTokenService = require('../refreshTokenService');
+const tokenBlacklistService = require('../tokenBlacklistService');
+const { RefreshToken } = require('../../models');
+
+// Mock dependencies
+jest.mock('../../models');
+jest.mock('../tokenBlacklistService');
+
+describe('refreshTokenService', () => {
+  const originalDays = process.env.REFRESH_TOKEN_EXPIRES_DAYS;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.REFRESH_TOKEN_EXPIRES_DAYS;
+  });
+
+  afterAll(() => {
+    process.env.REFRESH_TOKEN_EXPIRES_DAYS = originalDays;
+  });
+
+  describe('issueRefreshToken', () => {
+    it('stores only the hash and starts a new family', async () => {
+      RefreshToken.create = jest.fn(values => Promise.resolve(values));
+
+      const { token, record } = await refreshTokenService.issueRefreshToken(5, {
+        accessJti: 'access-1',
+        accessExpiresAt: new Date('2026-03-14T18:15:00Z')
+      });
+
+      expect(token).toMatch(/^[A-Za-z0-9_-]{64}$/);
+      expect(record.token_hash).toBe(refreshTokenService.hashToken(token));
+      expect(record.token_hash).not.toContain(token);
+      expect(record.family_id).toMatch(/^[0-9a-f-]{36}$/);
+      expect(record.access_jti).toBe('access-1');
+    });
+
+    it('rotates within an existing family', async () => {
+      RefreshToken.create = jest.fn(values => Promise.resolve(values));
+
+      const { record } = await refreshTokenService.issueRefreshToken(5, { familyId: 'family-1' });
+
+      expect(record.family_id).toBe('family-1');
+    });
+
+    it('uses REFRESH_TOKEN_EXPIRES_DAYS for the lifetime', () => {
+      expect(refreshTokenService.getRefreshTokenLifetimeMs()).toBe(30 * 24 * 60 * 60 * 1000);
+      process.env.REFRESH_TOKEN_EXPIRES_DAYS = '7';
+      expect(refreshTokenService.getRefreshTokenLifetimeMs()).toBe(7 * 24 * 60 * 60 * 1000);
+    });
+  });
+
+  describe('consumeRefreshToken', () => {
+    const future = new Date(Date.now() + 60 * 60 * 1000);
+
+    it('marks a valid token used', async () => {
+      const record = { id: 1, family_id: 'family-1', expires_at: future, used_at: null, revoked_at: null };
+      RefreshToken.findOne = jest.fn().mockResolvedValue(record);
+      RefreshToken.update = jest.fn().mockResolvedValue([1]);
+
+      const result = await refreshTokenService.consumeRefreshToken('token-1');
+
+      expect(RefreshToken.findOne).toHaveBeenCalledWith({
+        where: { token_hash: refreshTokenService.hashToken('token-1') }
+      });
+      expect(RefreshToken.update).toHaveBeenCalledWith(
+        { used_at: expect.any(Date) },
+        { where: { id: 1, used_at: null, revoked_at: null } }
+      );
+      expect(result).toEqual({ status: 'valid', record });
+    });
+
+    it('reports reuse of an already exchanged token', async () => {
+      const record = { id: 1, family_id: 'family-1', expires_at: future, used_at: new Date(), revoked_at: null };
+      RefreshToken.findOne = jest.fn().mockResolvedValue(record);
+      RefreshToken.update = jest.fn();
+
+      await expect(refreshTokenService.consumeRefreshToken('token-1')).resolves.toEqual({ status: 'reused', record });
+      expect(RefreshToken.update).not.toHaveBeenCalled();
+    });
+
+    it('reports reuse when a concurrent exchange claimed the token first', async () => {
+      const record = { id: 1, family_id: 'family-1', expires_at: future, used_at: null, revoked_at: null };
+      RefreshToken.findOne = jest.fn().mockResolvedValue(record);
+      RefreshToken.update = jest.fn().mockResolvedValue([0]);
+
+      await expect(refreshTokenService.consumeRefreshToken('token-1')).resolves.toMatchObject({ status: 'reused' });
+    });
+
+    it('rejects unknown, revoked and expired tokens', async () => {
+      RefreshToken.findOne = jest.fn().mockResolvedValueOnce(null)
+        .mockResolvedValueOnce({ id: 2, expires_at: future, revoked_at: new Date() })
+        .mockResolvedValueOnce({ id: 3, expires_at: new Date(Date.now() - 1000), used_at: null, revoked_at: null });
+
+      await expect(refreshTokenService.consumeRefreshToken('unknown')).resolves.toMatchObject({ status: 'invalid' });
+      await expect(refreshTokenService.consumeRefreshToken('revoked')).resolves.toMatchObject({ status: 'invalid' });
+      await expect(refreshTokenService.consumeRefreshToken('expired')).resolves.toMatchObject({ status: 'invalid' });
+      await expect(refreshTokenService.consumeRefreshToken(undefined)).resolves.toMatchObject({ status: 'invalid' });
+    });
+  });
+
+  describe('revokeFamily', () => {
+    it('blacklists live access tokens and revokes every refresh token in the family', async () => {
+      const live = new Date(Date.now() + 10 * 60 * 1000);
+      RefreshToken.findAll = jest.fn().mockResolvedValue([
+        { user_id: 5, access_jti: 'expired-access', access_expires_at: new Date(Date.now() - 1000) },
+        { user_id: 5, access_jti: 'already-blacklisted', access_expires_at: live },
+        { user_id: 5, access_jti: 'live-access', access_expires_at: live }
+      ]);
+      RefreshToken.update = jest.fn().mockResolvedValue([3]);
+      tokenBlacklistService.isBlacklisted.mockImplementation(jti => Promise.resolve(jti === 'already-blacklisted'));
+
+      const count = await refreshTokenService.revokeFamily('family-1', 'reuse_detected');
+
+      expect(tokenBlacklistService.addToBlacklist).toHaveBeenCalledTimes(1);
+      expect(tokenBlacklistService.addToBlacklist).toHaveBeenCalledWith('live-access', 5, live, 'security_revoke');
+      expect(RefreshToken.update).toHaveBeenCalledWith(
+        { revoked_at: expect.any(Date), revoked_reason: 'reuse_detected' },
+        { where: { family_id: 'family-1', revoked_at: null } }
+      );
+      expect(count).toBe(3);
+    });
+
+    it('ignores sessions without a family', async () => {
+      RefreshToken.findAll = jest.fn();
+
+      await expect(refreshTokenService.revokeFamily(null, 'logout')).resolves.toBe(0);
+      expect(RefreshToken.findAll).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,34 @@
+const { Op } = require('sequelize');
+const { buildReportData } = require('../reportDataService');
+const { ScoutingReport } = require('../../models');
+
+jest.mock('../../models');
+
+describe('reportDataService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('scouting-analysis', () => {
+    it('filters reports to the team in the query', async () => {
+      ScoutingReport.findAll = jest.fn().mockResolvedValue([
+        {
+          report_date: '2025-04-01',
+          overall_present: 45,
+          overall_future: 55,
+          event_type: 'game',
+          Player: null,
+          Prospect: { first_name: 'Michael', last_name: 'Johnson', primary_position: 'SS', school_name: 'Central High School' }
+        }
+      ]);
+
+      const report = await buildReportData('scouting-analysis', { id: 1 }, { start_date: '2025-01-01', end_date: '2025-12-31' });
+
+      const { where, include } = ScoutingReport.findAll.mock.calls[0][0];
+      expect(where[Op.or]).toEqual([{ '$Player.team_id$': 1 }, { '$Prospect.team_id$': 1 }]);
+      expect(where.report_date).toEqual({ [Op.between]: ['2025-01-01', '2025-12-31'] });
+      include.forEach(association => expect(association.where).toEqual({ team_id: 1 }));
+      expect(report.summary[0]).toEqual({ label: 'Total reports', value: 1 });
+    });
+  });
+});
@@ -0,0 +1,124 @@
+const { renderReportPdf, loadLogo, contrastColor } = require('../reportPdfService');
+const { formatValue } = require('../reportDataService');
+
+jest.mock('../../models');
+
+/**
+ * Collect a finalized pdfkit document into a single buffer
+ */
+const toBuffer = (doc) => new Promise((resolve, reject) => {
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+});
+
+const countPages = (buffer) => (buffer.toString('latin1').match(/\/Type \/Page\b/g) || []).length;
+
+const buildReport = (rowCount) => ({
+  type: 'player-performance',
+  title: 'Player Performance Report',
+  subtitle: 'Season 2025',
+  summary: [
+    { label: 'Season', value: '2025' },
+    { label: 'Hitters', value: rowCount }
+  ],
+  tables: [
+    {
+      title: 'Batting',
+      columns: [
+        { key: 'name', label: 'Player', format: 'text' },
+        { key: 'at_bats', label: 'AB', format: 'integer' },
+        { key: 'avg', label: 'AVG', format: 'avg' }
+      ],
+      rows: Array.from({ length: rowCount }, (_, i) => ({
+        name: `Player ${i + 1}`,
+        at_bats: 100 + i,
+        avg: 0.3
+      }))
+    },
+    {
+      title: 'Pitching',
+      columns: [{ key: 'name', label: 'Player', format: 'text' }],
+      rows: []
+    }
+  ]
+});
+
+const team = { name: 'State University', primary_color: '#8C1D40' };
+
+describe('reportPdfService', () => {
+  describe('renderReportPdf', () => {
+    it('produces a valid PDF document', async () => {
+      const buffer = await toBuffer(renderReportPdf(buildReport(5), { team }));
+
+      expect(buffer.subarray(0, 5).toString()).toBe('%PDF-');
+      expect(buffer.toString('latin1')).toContain('%%EOF');
+      expect(countPages(buffer)).toBe(1);
+    });
+
+    it('paginates long tables across multiple pages', async () => {
+      const buffer = await toBuffer(renderReportPdf(buildReport(120), { team }));
+
+      expect(countPages(buffer)).toBeGreaterThan(1);
+    });
+
+    it('supports landscape orientation and alternate page sizes', async () => {
+      const doc = renderReportPdf(buildReport(3), { team, orientation: 'landscape', pageSize: 'A4' });
+      const buffer = await toBuffer(doc);
+
+      // A4 landscape is 841.89 x 595.28 points
+      expect(buffer.toString('latin1')).toMatch(/\/MediaBox \[0 0 841\.89 595\.28\]/);
+    });
+
+    it('falls back to the default brand color when the team has none', async () => {
+      const buffer = await toBuffer(renderReportPdf(buildReport(1), { team: { name: 'No Color U', primary_color: null } }));
+
+      expect(buffer.subarray(0, 5).toString()).toBe('%PDF-');
+    });
+  });
+
+  describe('contrastColor', () => {
+    it('uses white text on dark backgrounds', () => {
+      expect(contrastColor('#000000')).toBe('#FFFFFF');
+      expect(contrastColor('#8C1D40')).toBe('#FFFFFF');
+    });
+
+    it('uses black text on light backgrounds', () => {
+      expect(contrastColor('#FFFFFF')).toBe('#000000');
+      expect(contrastColor('#FFC627')).toBe('#000000');
+    });
+  });
+
+  describe('loadLogo', () => {
+    it('returns null when no logo is configured', async () => {
+      await expect(loadLogo(null)).resolves.toBeNull();
+    });
+
+    it('returns null for missing upload files', async () => {
+      await expect(loadLogo('/uploads/logos/does-not-exist.png')).resolves.toBeNull();
+    });
+
+    it('refuses paths outside the uploads directory', async () => {
+      await expect(loadLogo('/../package.json')).resolves.toBeNull();
+    });
+  });
+
+  describe('formatValue', () => {
+    it('formats averages without a leading zero', () => {
+      expect(formatValue(0.3125, 'avg')).toBe('.313');
+      expect(formatValue('1.050', 'avg')).toBe('1.050');
+    });
+
+    it('formats decimals and integers', () => {
+      expect(formatValue('3.456', 'decimal2')).toBe('3.46');
+      expect(formatValue(45.2, 'decimal1')).toBe('45.2');
+      expect(formatValue(7.6, 'integer')).toBe('8');
+    });
+
+    it('renders empty values as a dash', () => {
+      expect(formatValue(null, 'avg')).toBe('-');
+      expect(formatValue(undefined)).toBe('-');
+    });
+  });
+});
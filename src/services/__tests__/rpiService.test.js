@@ -0,0 +1,131 @@
+const rpiService = require('../rpiService');
+const { Game, Team } = require('../../models');
+
+// Mock dependencies
+jest.mock('../../models');
+
+describe('rpiService', () => {
+  const teams = [
+    { id: 1, name: 'State', program_name: 'State University' },
+    { id: 2, name: 'Tech', program_name: 'Tech Engineers' }
+  ];
+
+  let nextId = 1;
+  const game = (teamId, opponent, date, homeAway, result, overrides = {}) => ({
+    id: nextId++,
+    team_id: teamId,
+    opponent,
+    game_date: `${date}T18:00:00.000Z`,
+    home_away: homeAway,
+    is_neutral: false,
+    team_score: null,
+    opponent_score: null,
+    result,
+    game_status: result ? 'completed' : 'scheduled',
+    ...overrides
+  });
+
+  const games = [
+    game(1, 'Tech', '2026-03-01', 'home', 'W'),
+    game(1, 'Sharks', '2026-03-02', 'away', 'L'),
+    game(1, 'sharks', '2026-03-03', 'home', 'W', { is_neutral: true }),
+    game(1, 'Tech', '2026-03-20', 'home', null),
+    // Tech stored the same game against State
+    game(2, 'State University', '2026-03-01', 'away', 'L'),
+    game(2, 'The Sharks', '2026-03-05', 'home', null, { team_score: 4, opponent_score: 2 }),
+    game(2, 'Owls', '2026-03-06', 'away', 'L')
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('normalizeTeamName', () => {
+    it('ignores case, punctuation and a leading "The" or "University of"', () => {
+      expect(rpiService.normalizeTeamName('The Sharks')).toBe('sharks');
+      expect(rpiService.normalizeTeamName('University of North-State')).toBe('north state');
+      expect(rpiService.normalizeTeamName('Texas A&M')).toBe('texas a and m');
+    });
+  });
+
+  describe('buildRecords', () => {
+    it('counts a game stored by both teams once and gives both sides an entry', () => {
+      const resolver = rpiService.createTeamResolver(teams);
+      const records = rpiService.buildRecords(games, resolver);
+
+      expect(records.get('team:1')).toHaveLength(3);
+      expect(records.get('team:2').map(entry => [entry.opponent, entry.site, entry.wins])).toEqual([
+        ['team:1', 'away', 0],
+        ['name:sharks', 'home', 1],
+        ['name:owls', 'away', 0]
+      ]);
+      expect(records.get('name:sharks').map(entry => entry.site)).toEqual(['home', 'neutral', 'away']);
+    });
+  });
+
+  describe('log5', () => {
+    it('estimates the chance of winning', () => {
+      expect(rpiService.log5(2 / 3, 0.5)).toBeCloseTo(2 / 3);
+      expect(rpiService.log5(0.5, null)).toBe(0.5);
+    });
+  });
+
+  describe('compileRpi', () => {
+    const report = rpiService.compileRpi(teams[0], teams, games, { now: new Date('2026-03-10T12:00:00.000Z') });
+
+    it('weights home and road results and averages opponents per game', () => {
+      expect(report.record).toMatchObject({ wins: 2, losses: 1, weighted_wins: 1.7, weighted_losses: 0.7 });
+      expect(report.rating).toMatchObject({
+        wp: 0.6667,
+        weighted_wp: 0.7083,
+        owp: 0.1667,
+        oowp: 0.6111,
+        rpi: 0.4132,
+        sos: 0.3148,
+        rank: null
+      });
+      expect(report.coverage).toMatchObject({ league_teams: 2, games: 5, opponents: 2, opponents_without_record: 0 });
+    });
+
+    it('lists opponents with their record against everyone else', () => {
+      expect(report.opponents.map(row => [row.opponent, row.games, row.opponent_wp, row.in_league_data])).toEqual([
+        ['Tech', 1, 0.5, true],
+        ['Sharks', 2, 0, false]
+      ]);
+    });
+
+    it('projects the remaining games', () => {
+      const [remaining] = report.projection.games;
+
+      expect(report.projection.remaining_games).toBe(1);
+      expect(remaining).toMatchObject({ opponent: 'Tech', site: 'home', win_probability: 0.6667 });
+      expect(remaining.rpi_if_win).toBeGreaterThan(remaining.rpi_if_loss);
+      expect(remaining.change_if_win).toBeCloseTo(remaining.rpi_if_win - report.rating.rpi, 3);
+      expect(report.projection.scenarios.win_out).toBe(remaining.rpi_if_win);
+      expect(report.projection.scenarios.expected).toBeGreaterThan(remaining.rpi_if_loss);
+      expect(report.projection.scenarios.expected).toBeLessThan(remaining.rpi_if_win);
+    });
+  });
+
+  describe('calculateRpi', () => {
+    it('uses the season of the latest game and the teams of the division', async () => {
+      Team.findByPk = jest.fn().mockResolvedValue({ id: 1, name: 'State', division: 'D1' });
+      Game.findOne = jest.fn().mockResolvedValue({ season: '2026' });
+      Team.findAll = jest.fn().mockResolvedValue(teams);
+      Game.findAll = jest.fn().mockResolvedValue(games);
+
+      const report = await rpiService.calculateRpi(1);
+
+      expect(report.season).toBe('2026');
+      expect(Team.findAll.mock.calls[0][0].where).toEqual({ division: 'D1' });
+      expect(Game.findAll.mock.calls[0][0].where).toMatchObject({ team_id: [1, 2], season: '2026' });
+    });
+
+    it('returns null when the team has no games', async () => {
+      Team.findByPk = jest.fn().mockResolvedValue({ id: 1, name: 'State', division: 'D1' });
+      Game.findOne = jest.fn().mockResolvedValue(null);
+
+      await expect(rpiService.calculateRpi(1)).resolves.toBeNull();
+    });
+  });
+});
@@ -0,0 +1,135 @@
+const runExpectancyService = require('../runExpectancyService');
+const { Game, Team } = require('../../models');
+const { classifyPlayByPlay } = require('../../utils/playOutcomeClassifier');
+
+// Mock dependencies
+jest.mock('../../models');
+
+describe('runExpectancyService', () => {
+  const empty = { first: null, second: null, third: null };
+  const play = narrative => ({ narrative, batter: null, runners: [] });
+
+  /**
+   * One half-inning: single, two-run homer, then three outs
+   */
+  const buildPlayByPlay = () => classifyPlayByPlay({
+    innings: [{
+      inning: 1,
+      halves: [
+        {
+          team: 'State',
+          side: 'away',
+          plays: [
+            play('Adams singled to lf (0-0).'),
+            play('Baker homered to cf, 2 RBI (1-0 B); Adams scored.'),
+            play('Cole struck out swinging (0-2 SS).'),
+            play('Diaz grounded out to ss (0-0).'),
+            play('Ellis flied out to rf (0-0).')
+          ]
+        },
+        // Incomplete half-inning (game in progress) is skipped
+        { team: 'Home', side: 'home', plays: [play('Hill walked (3-0 BBBB).')] }
+      ]
+    }]
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    runExpectancyService.clearModelCache();
+  });
+
+  describe('tallyRunsToEndOfInning', () => {
+    it('counts runs from each plate appearance state to the end of complete half-innings', () => {
+      const tallies = runExpectancyService.emptyTallies();
+
+      const halfInnings = runExpectancyService.tallyRunsToEndOfInning(buildPlayByPlay(), tallies);
+
+      expect(halfInnings).toBe(1);
+      expect(tallies[runExpectancyService.stateIndex(0, empty)][2]).toBe(1);
+      expect(tallies[runExpectancyService.stateIndex(0, { first: 'Adams' })][2]).toBe(1);
+      expect(tallies[runExpectancyService.stateIndex(0, empty)].reduce((a, b) => a + b, 0)).toBe(2);
+      expect(tallies[runExpectancyService.stateIndex(2, empty)][0]).toBe(1);
+    });
+  });
+
+  describe('buildModel', () => {
+    it('falls back to the default matrix without data', () => {
+      const model = runExpectancyService.buildModel(runExpectancyService.emptyTallies());
+
+      expect(model.runExpectancy(0, empty)).toBeCloseTo(runExpectancyService.DEFAULT_RUN_EXPECTANCY[0].___, 2);
+      expect(model.runExpectancy(2, { first: 'A', second: 'B', third: 'C' })).toBeCloseTo(0.8, 2);
+      expect(model.runExpectancy(3, empty)).toBe(0);
+    });
+
+    it('moves toward league data as samples grow', () => {
+      const tallies = runExpectancyService.emptyTallies();
+      tallies[0][3] = runExpectancyService.PRIOR_WEIGHT;
+
+      const model = runExpectancyService.buildModel(tallies);
+
+      expect(model.runExpectancy(0, empty)).toBeCloseTo((3 + runExpectancyService.DEFAULT_RUN_EXPECTANCY[0].___) / 2, 2);
+    });
+
+    it('values game situations for the home team', () => {
+      const model = runExpectancyService.buildModel(runExpectancyService.emptyTallies());
+
+      const start = model.winProbability({ inning: 1, half: 'top', outs: 0, bases: empty, homeDiff: 0 });
+      const lastChance = model.winProbability({ inning: 9, half: 'bottom', outs: 2, bases: empty, homeDiff: -1 });
+      const rally = model.winProbability({ inning: 9, half: 'bottom', outs: 0, bases: { first: 'A', second: 'B', third: 'C' }, homeDiff: -1 });
+
+      expect(start).toBeCloseTo(0.5, 2);
+      expect(lastChance).toBeLessThan(0.1);
+      expect(rally).toBeGreaterThan(0.5);
+      expect(model.winProbability({ inning: 9, half: 'top', outs: 3, bases: empty, homeDiff: 2 })).toBe(1);
+      expect(model.winProbability({ inning: 9, half: 'bottom', outs: 3, bases: empty, homeDiff: -2 })).toBe(0);
+      expect(model.winProbability({ inning: 7, half: 'bottom', outs: 3, bases: empty, homeDiff: -1, regulation: 7 })).toBe(0);
+    });
+
+    it('gives extra innings the same tied value each inning', () => {
+      const model = runExpectancyService.buildModel(runExpectancyService.emptyTallies());
+
+      const tenth = model.winProbability({ inning: 10, half: 'top', outs: 0, bases: empty, homeDiff: 0 });
+      const fourteenth = model.winProbability({ inning: 14, half: 'top', outs: 0, bases: empty, homeDiff: 0 });
+
+      expect(tenth).toBeCloseTo(fourteenth, 6);
+      expect(tenth).toBeCloseTo(0.5, 2);
+    });
+  });
+
+  describe('summarizeModel', () => {
+    it('reports the matrix by outs and base state', () => {
+      const tallies = runExpectancyService.emptyTallies();
+      runExpectancyService.tallyRunsToEndOfInning(buildPlayByPlay(), tallies);
+
+      const summary = runExpectancyService.summarizeModel(runExpectancyService.buildModel(tallies, { games: 1, half_innings: 1 }));
+
+      expect(summary.run_expectancy).toHaveLength(3);
+      expect(Object.keys(summary.run_expectancy[0])).toHaveLength(8);
+      expect(summary.samples[0].___).toBe(2);
+      expect(summary.samples[0]['1__']).toBe(1);
+      expect(summary).toMatchObject({ games: 1, half_innings: 1, prior_weight: runExpectancyService.PRIOR_WEIGHT });
+    });
+  });
+
+  describe('getLeagueModel', () => {
+    it('builds from league games in the same division and conference and caches the result', async () => {
+      Team.findByPk = jest.fn().mockResolvedValue({ id: 1, division: 'D1', conference: 'SEC' });
+      Team.findAll = jest.fn().mockResolvedValue([{ id: 1 }, { id: 2 }]);
+      Game.findAll = jest.fn().mockResolvedValue([
+        { id: 10, play_by_play: buildPlayByPlay() },
+        { id: 11, play_by_play: { innings: [] } }
+      ]);
+
+      const model = await runExpectancyService.getLeagueModel(1);
+      const again = await runExpectancyService.getLeagueModel(1);
+
+      expect(Team.findAll.mock.calls[0][0].where).toEqual({ division: 'D1', conference: 'SEC' });
+      expect(model).toMatchObject({ scope: { division: 'D1', conference: 'SEC' }, games: 1, half_innings: 1 });
+      expect(again).toBe(model);
+      expect(Game.findAll).toHaveBeenCalledTimes(1);
+
+      await runExpectancyService.getLeagueModel(1, { refresh: true });
+      expect(Game.findAll).toHaveBeenCalledTimes(2);
+    });
+  });
+});
@@ -0,0 +1,181 @@
+const jwt = require('jsonwebtoken');
+const sessionService = require('../sessionService');
+const tokenBlacklistService = require('../tokenBlacklistService');
+const refreshTokenService = require('../refreshTokenService');
+const { UserSession } = require('../../models');
+
+// Mock dependencies
+jest.mock('../../models');
+jest.mock('../tokenBlacklistService');
+jest.mock('../refreshTokenService');
+
+describe('sessionService', () => {
+  const req = {
+    ip: '203.0.113.24',
+    headers: {
+      'user-agent': 'Mozilla/5.0 (iPad; CPU OS 17_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Mobile/15E148 Safari/604.1'
+    }
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('createSession', () => {
+    it('records the token jti, expiry, IP and parsed device', async () => {
+      UserSession.create = jest.fn().mockResolvedValue({ id: 1 });
+      const token = jwt.sign({ id: 5, jti: 'jti-create' }, 'secret', { expiresIn: '7d' });
+      const { exp } = jwt.decode(token);
+
+      await sessionService.createSession(req, 5, token);
+
+      expect(UserSession.create).toHaveBeenCalledWith(expect.objectContaining({
+        user_id: 5,
+        jti: 'jti-create',
+        ip_address: '203.0.113.24',
+        device_type: 'tablet',
+        browser: 'Safari',
+        os: 'iPadOS',
+        expires_at: new Date(exp * 1000)
+      }));
+    });
+
+    it('links the session to its refresh token family and expiry', async () => {
+      UserSession.create = jest.fn().mockResolvedValue({ id: 1 });
+      const token = jwt.sign({ id: 5, jti: 'jti-family' }, 'secret', { expiresIn: '15m' });
+      const expiresAt = new Date('2026-04-13T18:00:00Z');
+
+      await sessionService.createSession(req, 5, token, { refreshFamilyId: 'family-1', expiresAt });
+
+      expect(UserSession.create).toHaveBeenCalledWith(expect.objectContaining({
+        jti: 'jti-family',
+        refresh_family_id: 'family-1',
+        expires_at: expiresAt
+      }));
+    });
+
+    it('skips tokens without a jti', async () => {
+      UserSession.create = jest.fn();
+      const token = jwt.sign({ id: 5 }, 'secret', { expiresIn: '7d' });
+
+      await expect(sessionService.createSession(req, 5, token)).resolves.toBeNull();
+      expect(UserSession.create).not.toHaveBeenCalled();
+    });
+
+    it('never throws when the write fails', async () => {
+      UserSession.create = jest.fn().mockRejectedValue(new Error('db down'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const token = jwt.sign({ id: 5, jti: 'jti-fail' }, 'secret', { expiresIn: '7d' });
+
+      await expect(sessionService.createSession(req, 5, token)).resolves.toBeNull();
+      console.error.mockRestore();
+    });
+  });
+
+  describe('touchSession', () => {
+    it('throttles last-seen writes per session', async () => {
+      UserSession.update = jest.fn().mockResolvedValue([1]);
+
+      await sessionService.touchSession('jti-touch');
+      await sessionService.touchSession('jti-touch');
+
+      expect(UserSession.update).toHaveBeenCalledTimes(1);
+      expect(UserSession.update).toHaveBeenCalledWith(
+        { last_seen_at: expect.any(Date) },
+        { where: { jti: 'jti-touch', revoked_at: null } }
+      );
+    });
+
+    it('ignores tokens without a jti', async () => {
+      UserSession.update = jest.fn();
+      await sessionService.touchSession(undefined);
+      expect(UserSession.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('listActiveSessions', () => {
+    it('flags the current session', async () => {
+      UserSession.findAll = jest.fn().mockResolvedValue([
+        { id: 1, jti: 'current', browser: 'Chrome', os: 'Windows', device_type: 'desktop' },
+        { id: 2, jti: 'dugout-ipad', browser: 'Safari', os: 'iPadOS', device_type: 'tablet' }
+      ]);
+
+      const sessions = await sessionService.listActiveSessions(5, 'current');
+
+      expect(UserSession.findAll).toHaveBeenCalledWith(expect.objectContaining({
+        where: expect.objectContaining({ user_id: 5, revoked_at: null })
+      }));
+      expect(sessions.map(s => [s.id, s.device, s.is_current])).toEqual([
+        [1, 'Chrome on Windows', true],
+        [2, 'Safari on iPadOS', false]
+      ]);
+    });
+  });
+
+  describe('revokeSession', () => {
+    it('blacklists the session token with the given reason and marks it revoked', async () => {
+      const expiresAt = new Date('2026-03-21T17:55:02Z');
+      const session = { id: 2, jti: 'dugout-ipad', refresh_family_id: 'family-2', expires_at: expiresAt, update: jest.fn() };
+      UserSession.findOne = jest.fn().mockResolvedValue(session);
+
+      const result = await sessionService.revokeSession(5, 2, 'security_revoke');
+
+      expect(UserSession.findOne).toHaveBeenCalledWith({
+        where: { id: 2, user_id: 5, revoked_at: null }
+      });
+      expect(tokenBlacklistService.addToBlacklist).toHaveBeenCalledWith('dugout-ipad', 5, expiresAt, 'security_revoke');
+      expect(session.update).toHaveBeenCalledWith({ revoked_at: expect.any(Date), revoked_reason: 'security_revoke' });
+      expect(refreshTokenService.revokeFamily).toHaveBeenCalledWith('family-2', 'security_revoke');
+      expect(result).toBe(session);
+    });
+
+    it('returns null when the user has no such active session', async () => {
+      UserSession.findOne = jest.fn().mockResolvedValue(null);
+
+      await expect(sessionService.revokeSession(5, 99)).resolves.toBeNull();
+      expect(tokenBlacklistService.addToBlacklist).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('renewSession', () => {
+    it('moves the session to the refreshed access token', async () => {
+      UserSession.update = jest.fn().mockResolvedValue([1]);
+      const token = jwt.sign({ id: 5, jti: 'jti-renewed' }, 'secret', { expiresIn: '15m' });
+      const expiresAt = new Date('2026-04-13T18:00:00Z');
+
+      await sessionService.renewSession('family-1', token, expiresAt);
+
+      expect(UserSession.update).toHaveBeenCalledWith(
+        { jti: 'jti-renewed', expires_at: expiresAt, last_seen_at: expect.any(Date) },
+        { where: { refresh_family_id: 'family-1', revoked_at: null } }
+      );
+    });
+  });
+
+  describe('revokeSessionFamily', () => {
+    it('revokes the refresh token family and its session', async () => {
+      UserSession.update = jest.fn().mockResolvedValue([1]);
+
+      await sessionService.revokeSessionFamily('family-1', 'reuse_detected');
+
+      expect(refreshTokenService.revokeFamily).toHaveBeenCalledWith('family-1', 'reuse_detected');
+      expect(UserSession.update).toHaveBeenCalledWith(
+        { revoked_at: expect.any(Date), revoked_reason: 'reuse_detected' },
+        { where: { refresh_family_id: 'family-1', revoked_at: null } }
+      );
+    });
+  });
+
+  describe('markAllSessionsRevoked', () => {
+    it('returns the number of sessions marked revoked', async () => {
+      UserSession.update = jest.fn().mockResolvedValue([3]);
+
+      await expect(sessionService.markAllSessionsRevoked(5, 'password_change')).resolves.toBe(3);
+      expect(UserSession.update).toHaveBeenCalledWith(
+        { revoked_at: expect.any(Date), revoked_reason: 'password_change' },
+        { where: { user_id: 5, revoked_at: null } }
+      );
+      expect(refreshTokenService.revokeAllForUser).toHaveBeenCalledWith(5, 'password_change');
+    });
+  });
+});
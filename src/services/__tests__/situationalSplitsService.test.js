@@ -0,0 +1,161 @@
+const situationalSplitsService = require('../situationalSplitsService');
+const { Game } = require('../../models');
+const { classifyPlayByPlay } = require('../../utils/playOutcomeClassifier');
+
+// Mock dependencies
+jest.mock('../../models');
+
+describe('situationalSplitsService', () => {
+  const player = { id: 7, team_id: 1, first_name: 'Cole', last_name: 'Smith', jersey_number: 12 };
+  const play = (narrative, batter = null) => ({ narrative, batter, runners: [] });
+  const smith = { name: 'Smith, Cole', uni: '12' };
+
+  /**
+   * Home team game: State bats in the top half, the team in the bottom half
+   */
+  const buildGame = () => ({
+    innings: [
+      {
+        inning: 1,
+        halves: [
+          { team: 'State', side: 'away', plays: [play('Adams homered to lf (0-0).')] },
+          {
+            team: 'Home',
+            side: 'home',
+            plays: [
+              play('Smith singled to cf (0-0).', smith),
+              play('Jones walked (3-0 BBBB); Smith advanced to second.'),
+              play('Lee flied out to rf (0-0).'),
+              play('Hill struck out looking (0-2 KK).')
+            ]
+          }
+        ]
+      },
+      {
+        inning: 8,
+        halves: [
+          { team: 'State', side: 'away', plays: [play('Adams grounded out to ss (0-0).')] },
+          {
+            team: 'Home',
+            side: 'home',
+            plays: [
+              play('Jones doubled to lc (1-0 B).'),
+              play('Lee grounded out to 2b (0-0); Jones advanced to third.'),
+              play('Hill flied out to cf (0-0).'),
+              play('Smith doubled to lf, RBI (0-1 K); Jones scored.', smith)
+            ]
+          }
+        ]
+      }
+    ]
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('nameMatches', () => {
+    it.each([
+      ['Smith', true],
+      ['C. Smith', true],
+      ['SMITH,C', true],
+      ['Smith, Cole', true],
+      ['Smith Jr.', true],
+      ['J. Smith', false],
+      ['Smithson', false]
+    ])('matches "%s" → %s', (name, expected) => {
+      expect(situationalSplitsService.nameMatches(name, player)).toBe(expected);
+    });
+  });
+
+  describe('batterMatcher', () => {
+    it('uses the jersey number when the play has one, otherwise the name', () => {
+      const isBatter = situationalSplitsService.batterMatcher(player);
+
+      expect(isBatter({ batter: { name: 'Smith', uni: '04' } })).toBe(false);
+      expect(isBatter({ batter: { name: 'Other', uni: '12' } })).toBe(true);
+      expect(isBatter({ batter: null, event: { batter: 'C. Smith' } })).toBe(true);
+    });
+  });
+
+  describe('isLateAndClose', () => {
+    it('requires the 7th inning or later and a close score', () => {
+      expect(situationalSplitsService.isLateAndClose(6, 0, 0)).toBe(false);
+      expect(situationalSplitsService.isLateAndClose(7, 1, 0)).toBe(true);
+      expect(situationalSplitsService.isLateAndClose(9, 2, 0)).toBe(false);
+      expect(situationalSplitsService.isLateAndClose(8, -2, 0)).toBe(true);
+      expect(situationalSplitsService.isLateAndClose(8, -3, 0)).toBe(false);
+      expect(situationalSplitsService.isLateAndClose(8, -4, 2)).toBe(true);
+    });
+  });
+
+  describe('collectPlateAppearances', () => {
+    it('keeps the player\'s plate appearances for the team with inning, leadoff and score', () => {
+      const appearances = situationalSplitsService.collectPlateAppearances(
+        classifyPlayByPlay(buildGame()),
+        'home',
+        situationalSplitsService.batterMatcher(player)
+      );
+
+      expect(appearances.map(({ event, inning, leadoff, margin }) => [event.code, inning, leadoff, margin])).toEqual([
+        ['1B', 1, true, -1],
+        ['2B', 8, false, -1]
+      ]);
+    });
+
+    it('ignores the opponent\'s half-innings', () => {
+      const appearances = situationalSplitsService.collectPlateAppearances(
+        classifyPlayByPlay(buildGame()),
+        'away',
+        situationalSplitsService.batterMatcher(player)
+      );
+
+      expect(appearances).toEqual([]);
+    });
+  });
+
+  describe('computeSplits', () => {
+    it('counts each plate appearance in every split it belongs to', () => {
+      const appearances = situationalSplitsService.collectPlateAppearances(
+        classifyPlayByPlay(buildGame()),
+        'home',
+        situationalSplitsService.batterMatcher(player)
+      );
+
+      const splits = situationalSplitsService.computeSplits(appearances);
+
+      expect(splits.overall).toMatchObject({ plate_appearances: 2, at_bats: 2, hits: 2, doubles: 1, rbi: 1, avg: 1, slg: 1.5, ops: 2.5 });
+      expect(splits.leadoff).toMatchObject({ plate_appearances: 1, hits: 1 });
+      expect(splits.risp).toMatchObject({ plate_appearances: 1, doubles: 1, rbi: 1 });
+      expect(splits.two_outs_risp.plate_appearances).toBe(1);
+      expect(splits.late_and_close.plate_appearances).toBe(1);
+      expect(splits.innings_1_3.plate_appearances).toBe(1);
+      expect(splits.innings_4_6).toMatchObject({ plate_appearances: 0, avg: null, ops: null });
+      expect(splits.by_base_out.map(({ bases, outs, plate_appearances }) => [bases, outs, plate_appearances])).toEqual([
+        ['___', 0, 1],
+        ['__3', 2, 1]
+      ]);
+    });
+  });
+
+  describe('getSituationalSplits', () => {
+    it('classifies stored play-by-play and sums the team\'s games', async () => {
+      Game.findAll = jest.fn().mockResolvedValue([
+        { id: 1, home_away: 'home', play_by_play: buildGame() },
+        { id: 2, home_away: 'home', play_by_play: { innings: [] } }
+      ]);
+
+      const result = await situationalSplitsService.getSituationalSplits(player, { season: '2026' });
+
+      expect(Game.findAll.mock.calls[0][0].where).toMatchObject({ team_id: 1, season: '2026' });
+      expect(result).toMatchObject({ games: 1, plate_appearances: 2 });
+      expect(result.splits.overall.hits).toBe(2);
+    });
+
+    it('returns null when the player has no plate appearances', async () => {
+      Game.findAll = jest.fn().mockResolvedValue([]);
+
+      await expect(situationalSplitsService.getSituationalSplits(player)).resolves.toBeNull();
+    });
+  });
+});
@@ -0,0 +1,128 @@
+const streakService = require('../streakService');
+const notificationService = require('../notificationService');
+const { Game, GameStatistic } = require('../../models');
+
+// Mock dependencies
+jest.mock('../../models');
+jest.mock('../emailService');
+
+describe('streakService', () => {
+  let day = 0;
+  const line = (stats, playerId = 7) => {
+    day += 1;
+    return {
+      player_id: playerId,
+      player: { id: playerId, first_name: 'Cole', last_name: 'Smith', jersey_number: 12, position: 'SS' },
+      game: { id: day, game_date: new Date(Date.UTC(2026, 2, day, 18)).toISOString() },
+      ...stats
+    };
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    day = 0;
+  });
+
+  describe('battingStreaks', () => {
+    it('skips walk-only games for the hitting streak but counts them for the on-base streak', () => {
+      const streaks = streakService.battingStreaks([
+        line({ at_bats: 4, hits: 1 }),
+        line({ at_bats: 3, hits: 2 }),
+        line({ at_bats: 4, hits: 1 }),
+        line({ at_bats: 4, hits: 0 }),
+        line({ at_bats: 3, hits: 1 }),
+        line({ at_bats: 0, walks: 2 }),
+        line({ at_bats: 4, hits: 1 }),
+        line({ at_bats: 3, hits: 0, hit_by_pitch: 1 }),
+        line({ at_bats: 0 })
+      ]);
+
+      expect(streaks.hitting).toEqual({ current: 0, since: null, longest: 3, longest_ended: '2026-03-03' });
+      expect(streaks.on_base).toMatchObject({ current: 4, since: '2026-03-05', longest: 4, longest_ended: null });
+    });
+  });
+
+  describe('scorelessStreak', () => {
+    it('adds up outs over scoreless appearances', () => {
+      const streak = streakService.scorelessStreak([
+        line({ innings_pitched: 2, runs_allowed: 0 }),
+        line({ innings_pitched: 1.1, runs_allowed: 0 }),
+        line({ innings_pitched: 3, runs_allowed: 1 }),
+        line({ at_bats: 4, hits: 1 }),
+        line({ innings_pitched: 2.2, runs_allowed: 0 }),
+        line({ innings_pitched: 1, runs_allowed: 0 })
+      ]);
+
+      expect(streak).toMatchObject({ current: 3.2, current_outs: 11, longest: 3.2, since: '2026-03-05' });
+    });
+
+    it('returns null for players who did not pitch', () => {
+      expect(streakService.scorelessStreak([line({ at_bats: 4, hits: 1 })])).toBeNull();
+    });
+  });
+
+  describe('rollingTrend', () => {
+    const games = [
+      ...Array.from({ length: 10 }, () => ({ successes: 1.5, trials: 5 })),
+      ...Array.from({ length: 4 }, () => ({ successes: 3, trials: 5 }))
+    ];
+
+    it('flags a window that differs significantly from the rest of the season', () => {
+      const trend = streakService.rollingTrend(games, { window: 4, fallbackRate: null });
+
+      expect(trend).toMatchObject({
+        games: 4,
+        window: { successes: 12, trials: 20, rate: 0.6 },
+        baseline: { trials: 50, rate: 0.3, source: 'player' },
+        z: 2.93,
+        status: 'hot'
+      });
+      expect(streakService.rollingTrend(games, { window: 4, fallbackRate: null, higherIsBetter: false }).status).toBe('cold');
+    });
+
+    it('uses the team rate when the rest of the season is small and skips small windows', () => {
+      expect(streakService.rollingTrend(games.slice(-5), { window: 4, fallbackRate: 0.35 }).baseline)
+        .toEqual({ trials: null, rate: 0.35, source: 'team' });
+      expect(streakService.rollingTrend(games, { window: 2, fallbackRate: null })).toMatchObject({ z: null, status: null });
+    });
+  });
+
+  describe('getTeamStreaks', () => {
+    const lines = () => [
+      ...Array.from({ length: 10 }, () => line({ at_bats: 4, hits: 1, walks: 0 })),
+      ...Array.from({ length: 7 }, () => line({ at_bats: 3, hits: 2, walks: 1 }))
+    ];
+
+    it('lists hot players and current streaks', async () => {
+      Game.findOne = jest.fn().mockResolvedValue({ season: '2026' });
+      GameStatistic.findAll = jest.fn().mockResolvedValue(lines());
+
+      const report = await streakService.getTeamStreaks(1);
+
+      expect(report.season).toBe('2026');
+      expect(GameStatistic.findAll.mock.calls[0][0].include[0].where).toEqual({ season: '2026' });
+      expect(report.hot).toEqual([expect.objectContaining({ player_id: 7, name: 'Cole Smith', kind: 'batting', status: 'hot' })]);
+      expect(report.cold).toEqual([]);
+      expect(report.streaks.hitting).toEqual([expect.objectContaining({ player_id: 7, current: 17 })]);
+      expect(report.notified).toBeUndefined();
+    });
+
+    it('sends the list through notificationService when asked', async () => {
+      Game.findOne = jest.fn().mockResolvedValue({ season: '2026' });
+      GameStatistic.findAll = jest.fn().mockResolvedValue(lines());
+      const send = jest.spyOn(notificationService, 'sendStreakNotification').mockResolvedValue(3);
+
+      const report = await streakService.getTeamStreaks(1, { notify: true, userId: 5 });
+
+      expect(send).toHaveBeenCalledWith(report, 1, 5);
+      expect(report.notified).toBe(3);
+      send.mockRestore();
+    });
+
+    it('returns null when the team has no games', async () => {
+      Game.findOne = jest.fn().mockResolvedValue(null);
+
+      await expect(streakService.getTeamStreaks(1)).resolves.toBeNull();
+    });
+  });
+});
@@ -0,0 +1,194 @@
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'test-encryption-key-for-two-factor-service';
+
+const jwt = require('jsonwebtoken');
+const twoFactorService = require('../twoFactorService');
+
+// RFC 6238 Appendix B SHA-1 seed ("12345678901234567890")
+const RFC_SECRET = twoFactorService.base32Encode(Buffer.from('12345678901234567890'));
+
+/**
+ * Minimal stand-in for a User instance: update() assigns the given fields
+ */
+const buildUser = (fields = {}) => {
+  const user = { id: 7, email: 'coach@example.com', two_factor_enabled: false, ...fields };
+  user.update = jest.fn(async (changes) => Object.assign(user, changes));
+  return user;
+};
+
+describe('twoFactorService', () => {
+  describe('base32', () => {
+    it('round-trips arbitrary bytes', () => {
+      const bytes = Buffer.from([0, 1, 2, 253, 254, 255, 42]);
+      expect(twoFactorService.base32Decode(twoFactorService.base32Encode(bytes))).toEqual(bytes);
+    });
+
+    it('encodes the RFC 4648 test vector', () => {
+      expect(twoFactorService.base32Encode(Buffer.from('foobar'))).toBe('MZXW6YTBOI');
+      expect(twoFactorService.base32Decode('mzxw 6ytb oi==').toString()).toBe('foobar');
+    });
+
+    it('rejects invalid characters', () => {
+      expect(() => twoFactorService.base32Decode('ABC1')).toThrow('Invalid base32 character');
+    });
+  });
+
+  describe('generateTotp', () => {
+    it('matches the RFC 6238 test vectors (last six digits)', () => {
+      expect(twoFactorService.generateTotp(RFC_SECRET, 59 * 1000)).toBe('287082');
+      expect(twoFactorService.generateTotp(RFC_SECRET, 1111111109 * 1000)).toBe('081804');
+      expect(twoFactorService.generateTotp(RFC_SECRET, 1234567890 * 1000)).toBe('005924');
+      expect(twoFactorService.generateTotp(RFC_SECRET, 2000000000 * 1000)).toBe('279037');
+    });
+  });
+
+  describe('verifyTotp', () => {
+    const now = 1111111109 * 1000;
+
+    it('accepts the current code and returns its time step', () => {
+      expect(twoFactorService.verifyTotp(RFC_SECRET, '081804', { timestamp: now })).toBe(37037036);
+    });
+
+    it('tolerates one step of clock drift', () => {
+      const previous = twoFactorService.generateTotp(RFC_SECRET, now - 30 * 1000);
+      expect(twoFactorService.verifyTotp(RFC_SECRET, previous, { timestamp: now })).toBe(37037035);
+    });
+
+    it('rejects codes outside the drift window', () => {
+      const stale = twoFactorService.generateTotp(RFC_SECRET, now - 120 * 1000);
+      expect(twoFactorService.verifyTotp(RFC_SECRET, stale, { timestamp: now })).toBeNull();
+    });
+
+    it('rejects replayed codes', () => {
+      expect(twoFactorService.verifyTotp(RFC_SECRET, '081804', { timestamp: now, lastUsedStep: 37037036 })).toBeNull();
+    });
+
+    it('rejects malformed codes', () => {
+      expect(twoFactorService.verifyTotp(RFC_SECRET, '12345', { timestamp: now })).toBeNull();
+      expect(twoFactorService.verifyTotp(RFC_SECRET, 'abcdef', { timestamp: now })).toBeNull();
+    });
+  });
+
+  describe('buildOtpAuthUri', () => {
+    it('builds a provisioning URI with issuer and account label', () => {
+      const uri = twoFactorService.buildOtpAuthUri('ABCDEF', 'coach@example.com', 'Sports2');
+
+      expect(uri.startsWith('otpauth://totp/Sports2%3Acoach%40example.com?')).toBe(true);
+      const params = new URL(uri).searchParams;
+      expect(params.get('secret')).toBe('ABCDEF');
+      expect(params.get('issuer')).toBe('Sports2');
+      expect(params.get('digits')).toBe('6');
+      expect(params.get('period')).toBe('30');
+    });
+  });
+
+  describe('generateRecoveryCodes', () => {
+    it('returns unique formatted codes with matching hashes', () => {
+      const { codes, hashes } = twoFactorService.generateRecoveryCodes();
+
+      expect(codes).toHaveLength(10);
+      expect(new Set(codes).size).toBe(10);
+      codes.forEach(code => expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/));
+      expect(hashes[0]).toBe(twoFactorService.hashRecoveryCode(codes[0].toUpperCase().replace('-', ' ')));
+    });
+  });
+
+  describe('enrollment', () => {
+    it('stores an encrypted pending secret and returns a QR code', async () => {
+      const user = buildUser();
+      const setup = await twoFactorService.beginSetup(user);
+
+      expect(setup.secret).toMatch(/^[A-Z2-7]{32}$/);
+      expect(setup.otpauthUrl).toContain(`secret=${setup.secret}`);
+      expect(setup.qrCode.startsWith('data:image/png;base64,')).toBe(true);
+      expect(user.two_factor_pending_secret_encrypted).toBeTruthy();
+      expect(user.two_factor_pending_secret_encrypted).not.toContain(setup.secret);
+      expect(user.two_factor_enabled).toBe(false);
+    });
+
+    it('activates the secret and issues recovery codes once a code is verified', async () => {
+      const user = buildUser();
+      const { secret } = await twoFactorService.beginSetup(user);
+
+      const code = twoFactorService.generateTotp(secret);
+      const wrongCode = String((Number(code) + 500000) % 1000000).padStart(6, '0');
+
+      expect(await twoFactorService.confirmSetup(user, wrongCode)).toBeNull();
+      expect(user.two_factor_enabled).toBe(false);
+
+      const recoveryCodes = await twoFactorService.confirmSetup(user, code);
+
+      expect(recoveryCodes).toHaveLength(10);
+      expect(user.two_factor_enabled).toBe(true);
+      expect(user.two_factor_pending_secret_encrypted).toBeNull();
+      expect(user.two_factor_secret_encrypted).toBeTruthy();
+      expect(user.two_factor_recovery_codes).not.toContain(recoveryCodes[0]);
+    });
+
+    it('throws when setup was never started', async () => {
+      await expect(twoFactorService.confirmSetup(buildUser(), '123456')).rejects.toThrow('Two-factor setup has not been started');
+    });
+  });
+
+  describe('verifySecondFactor', () => {
+    const enrolledUser = async () => {
+      const user = buildUser();
+      const { secret } = await twoFactorService.beginSetup(user);
+      // Enroll with the previous step's code so the current code is still usable
+      const recoveryCodes = await twoFactorService.confirmSetup(user, twoFactorService.generateTotp(secret, Date.now() - 30 * 1000));
+      return { user, secret, recoveryCodes };
+    };
+
+    it('accepts a current authenticator code only once', async () => {
+      const { user, secret } = await enrolledUser();
+      const code = twoFactorService.generateTotp(secret);
+
+      await expect(twoFactorService.verifySecondFactor(user, code)).resolves.toEqual({
+        method: 'totp',
+        remainingRecoveryCodes: 10
+      });
+      await expect(twoFactorService.verifySecondFactor(user, code)).resolves.toBeNull();
+    });
+
+    it('consumes recovery codes', async () => {
+      const { user, recoveryCodes } = await enrolledUser();
+
+      await expect(twoFactorService.verifySecondFactor(user, recoveryCodes[3].toUpperCase())).resolves.toEqual({
+        method: 'recovery_code',
+        remainingRecoveryCodes: 9
+      });
+      await expect(twoFactorService.verifySecondFactor(user, recoveryCodes[3])).resolves.toBeNull();
+    });
+
+    it('rejects unknown codes', async () => {
+      const { user } = await enrolledUser();
+
+      await expect(twoFactorService.verifySecondFactor(user, 'zzzzz-zzzzz')).resolves.toBeNull();
+      await expect(twoFactorService.verifySecondFactor(user, '')).resolves.toBeNull();
+    });
+
+    it('clears all two-factor state on disable', async () => {
+      const { user } = await enrolledUser();
+      await twoFactorService.disable(user);
+
+      expect(user.two_factor_enabled).toBe(false);
+      expect(user.two_factor_secret_encrypted).toBeNull();
+      expect(user.two_factor_recovery_codes).toBeNull();
+    });
+  });
+
+  describe('challenge tokens', () => {
+    it('round-trips a challenge token', () => {
+      const token = twoFactorService.createChallengeToken(42);
+      const decoded = twoFactorService.verifyChallengeToken(token);
+
+      expect(decoded.id).toBe(42);
+      expect(decoded.purpose).toBe(twoFactorService.CHALLENGE_PURPOSE);
+      expect(decoded.exp - decoded.iat).toBe(300);
+    });
+
+    it('rejects regular session tokens', () => {
+      const sessionToken = jwt.sign({ id: 42, jti: 'abc' }, process.env.JWT_SECRET);
+      expect(() => twoFactorService.verifyChallengeToken(sessionToken)).toThrow('Not a two-factor challenge token');
+    });
+  });
+});
@@ -0,0 +1,451 @@
+/**
+ * Advanced Stats Service
+ *
+ * Derives sabermetric stats from the counting stats in PlayerSeasonStats and stores
+ * them on the same rows, so they can be ranked and read like any other season stat.
+ *
+ * Batting: wOBA, wRC+, OPS+, ISO, BABIP, K%, BB%
+ * Pitching: FIP, xFIP, ERA-, FIP-, K%, BB%, K-BB%
+ *
+ * League constants come from the season stats of every team in the same division and
+ * conference: league AVG/OBP/SLG, runs per plate appearance, ERA and HR/BB/K rates.
+ * wOBA weights are run values above an out, scaled so the league wOBA equals the
+ * league OBP; the FIP constant makes league FIP equal league ERA. Until the league
+ * has MIN_LEAGUE_PLATE_APPEARANCES and MIN_LEAGUE_INNINGS the defaults are used.
+ *
+ * Park factor is the team's runs per game (both teams) at home over on the road for
+ * the season, halved toward 1.0 since only half the games are at home. wRC+, OPS+,
+ * ERA- and FIP- are park and league adjusted (100 is league average; higher is better
+ * for wRC+/OPS+, lower for ERA-/FIP-).
+ *
+ * Limits of the source data: intentional walks are not tracked, so all walks count
+ * in wOBA; hit batters are not tracked for pitchers, so FIP uses walks only; fly
+ * balls are not tracked, so xFIP replaces home runs with the league home run rate
+ * per inning; batters faced is estimated as outs + hits + walks.
+ *
+ * @module services/advancedStatsService
+ */
+
+const { Op } = require('sequelize');
+const { Game, PlayerSeasonStats, Team } = require('../models');
+const { inningsToOuts } = require('./pitcherWorkloadService');
+
+/**
+ * Run values of each event above an out, before wOBA scaling
+ * @type {Object}
+ */
+const RUN_VALUES = {
+  walk: 0.57,
+  hit_by_pitch: 0.60,
+  single: 0.74,
+  double: 1.05,
+  triple: 1.34,
+  home_run: 1.75
+};
+
+/**
+ * League rates used until the conference has enough data (approximate NCAA Division I)
+ * @type {Object}
+ */
+const DEFAULT_LEAGUE_RATES = {
+  avg: 0.270,
+  obp: 0.370,
+  slg: 0.420,
+  woba_raw: 0.370 / 1.2,
+  runs_per_pa: 0.155,
+  era: 5.40,
+  hr_per_ip: 0.089,
+  bb_per_ip: 0.45,
+  k_per_ip: 0.95
+};
+
+const MIN_LEAGUE_PLATE_APPEARANCES = 1000;
+const MIN_LEAGUE_INNINGS = 200;
+
+/**
+ * Home and road games each needed before the park factor moves off 1.0
+ * @type {number}
+ */
+const MIN_PARK_GAMES = 5;
+
+/**
+ * Column ranges, so small samples cannot overflow the DECIMAL columns
+ * @type {Object}
+ */
+const COLUMN_LIMITS = {
+  woba: 9.999,
+  iso: 9.999,
+  babip: 9.999,
+  k_pct: 9.999,
+  bb_pct: 9.999,
+  k_pct_pitching: 9.999,
+  bb_pct_pitching: 9.999,
+  k_bb_pct: 9.999,
+  fip: 999.99,
+  xfip: 999.99,
+  wrc_plus: 99999.9,
+  ops_plus: 99999.9,
+  era_minus: 99999.9,
+  fip_minus: 99999.9
+};
+
+/**
+ * Number from a stats row (DECIMAL columns arrive as strings)
+ * @param {*} value
+ * @returns {number}
+ */
+function num(value) {
+  return parseFloat(value) || 0;
+}
+
+/**
+ * Round to a number of places
+ * @param {number} value
+ * @param {number} places
+ * @returns {number}
+ */
+function round(value, places) {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Plate appearances from a batting line
+ * @param {Object} row - PlayerSeasonStats
+ * @returns {number}
+ */
+function plateAppearances(row) {
+  return num(row.at_bats) + num(row.walks) + num(row.hit_by_pitch) + num(row.sacrifice_flies) + num(row.sacrifice_bunts);
+}
+
+/**
+ * Innings pitched as a decimal (6.2 → 6.667)
+ * @param {Object} row - PlayerSeasonStats
+ * @returns {number}
+ */
+function inningsPitched(row) {
+  return inningsToOuts(row.innings_pitched) / 3;
+}
+
+/**
+ * Estimated batters faced: outs + hits + walks
+ * @param {Object} row - PlayerSeasonStats
+ * @returns {number}
+ */
+function battersFaced(row) {
+  return inningsToOuts(row.innings_pitched) + num(row.hits_allowed) + num(row.walks_allowed);
+}
+
+/**
+ * Unscaled wOBA numerator from a batting line
+ * @param {Object} row
+ * @returns {number}
+ */
+function wobaRuns(row) {
+  const singles = num(row.hits) - num(row.doubles) - num(row.triples) - num(row.home_runs);
+  return RUN_VALUES.walk * num(row.walks)
+    + RUN_VALUES.hit_by_pitch * num(row.hit_by_pitch)
+    + RUN_VALUES.single * singles
+    + RUN_VALUES.double * num(row.doubles)
+    + RUN_VALUES.triple * num(row.triples)
+    + RUN_VALUES.home_run * num(row.home_runs);
+}
+
+/**
+ * wOBA denominator: AB + BB + HBP + SF
+ * @param {Object} row
+ * @returns {number}
+ */
+function wobaDenominator(row) {
+  return num(row.at_bats) + num(row.walks) + num(row.hit_by_pitch) + num(row.sacrifice_flies);
+}
+
+/**
+ * League constants from the season stats of every team in the league
+ *
+ * @param {Array<Object>} rows - PlayerSeasonStats rows for the league and season
+ * @returns {Object} Constants; `source` is 'league', 'partial' (batting or pitching
+ *   only from the league) or 'default'
+ */
+function computeLeagueConstants(rows) {
+  const totals = {
+    at_bats: 0, hits: 0, doubles: 0, triples: 0, home_runs: 0, walks: 0, hit_by_pitch: 0,
+    sacrifice_flies: 0, sacrifice_bunts: 0, runs: 0, woba_runs: 0, woba_denominator: 0,
+    outs: 0, earned_runs: 0, home_runs_allowed: 0, walks_allowed: 0, strikeouts_pitching: 0
+  };
+
+  for (const row of rows) {
+    ['at_bats', 'hits', 'doubles', 'triples', 'home_runs', 'walks', 'hit_by_pitch', 'sacrifice_flies',
+      'sacrifice_bunts', 'runs', 'earned_runs', 'home_runs_allowed', 'walks_allowed', 'strikeouts_pitching']
+      .forEach(key => {
+        totals[key] += num(row[key]);
+      });
+    totals.woba_runs += wobaRuns(row);
+    totals.woba_denominator += wobaDenominator(row);
+    totals.outs += inningsToOuts(row.innings_pitched);
+  }
+
+  const pa = plateAppearances(totals);
+  const innings = totals.outs / 3;
+  const hasBatting = pa >= MIN_LEAGUE_PLATE_APPEARANCES && totals.at_bats > 0 && totals.woba_denominator > 0;
+  const hasPitching = innings >= MIN_LEAGUE_INNINGS;
+
+  const rates = { ...DEFAULT_LEAGUE_RATES };
+  if (hasBatting) {
+    const totalBases = totals.hits + totals.doubles + 2 * totals.triples + 3 * totals.home_runs;
+    Object.assign(rates, {
+      avg: totals.hits / totals.at_bats,
+      obp: (totals.hits + totals.walks + totals.hit_by_pitch) / totals.woba_denominator,
+      slg: totalBases / totals.at_bats,
+      woba_raw: totals.woba_runs / totals.woba_denominator,
+      runs_per_pa: totals.runs / pa
+    });
+  }
+  if (hasPitching) {
+    Object.assign(rates, {
+      era: (9 * totals.earned_runs) / innings,
+      hr_per_ip: totals.home_runs_allowed / innings,
+      bb_per_ip: totals.walks_allowed / innings,
+      k_per_ip: totals.strikeouts_pitching / innings
+    });
+  }
+
+  const wobaScale = rates.obp / rates.woba_raw;
+  const weights = {};
+  Object.entries(RUN_VALUES).forEach(([event, value]) => {
+    weights[event] = round(value * wobaScale, 3);
+  });
+
+  return {
+    source: hasBatting && hasPitching ? 'league' : hasBatting || hasPitching ? 'partial' : 'default',
+    players: rows.length,
+    plate_appearances: pa,
+    innings_pitched: round(innings, 1),
+    avg: round(rates.avg, 3),
+    obp: round(rates.obp, 3),
+    slg: round(rates.slg, 3),
+    woba: round(rates.obp, 3),
+    woba_scale: round(wobaScale, 3),
+    woba_weights: weights,
+    runs_per_pa: round(rates.runs_per_pa, 4),
+    era: round(rates.era, 2),
+    hr_per_ip: round(rates.hr_per_ip, 4),
+    bb_per_ip: round(rates.bb_per_ip, 4),
+    k_per_ip: round(rates.k_per_ip, 4),
+    fip_constant: round(rates.era - (13 * rates.hr_per_ip + 3 * rates.bb_per_ip - 2 * rates.k_per_ip), 3)
+  };
+}
+
+/**
+ * Park factor from the team's completed games in a season
+ *
+ * @param {Array<Object>} games - Game rows with home_away, team_score, opponent_score
+ * @returns {number} Runs factor, 1.0 for a neutral park
+ */
+function computeParkFactor(games) {
+  const sides = { home: { games: 0, runs: 0 }, away: { games: 0, runs: 0 } };
+  for (const game of games) {
+    if (game.team_score === null || game.team_score === undefined || !sides[game.home_away]) {
+      continue;
+    }
+    sides[game.home_away].games += 1;
+    sides[game.home_away].runs += num(game.team_score) + num(game.opponent_score);
+  }
+
+  if (sides.home.games < MIN_PARK_GAMES || sides.away.games < MIN_PARK_GAMES || sides.away.runs === 0) {
+    return 1;
+  }
+  const raw = (sides.home.runs / sides.home.games) / (sides.away.runs / sides.away.games);
+  return round((1 + raw) / 2, 3);
+}
+
+/**
+ * Keep a value inside its column's range
+ * @param {string} column
+ * @param {number|null} value
+ * @param {number} places
+ * @returns {number|null}
+ */
+function fit(column, value, places) {
+  if (value === null || !Number.isFinite(value)) {
+    return null;
+  }
+  const limit = COLUMN_LIMITS[column];
+  return round(Math.max(-limit, Math.min(limit, value)), places);
+}
+
+/**
+ * Derived batting stats for one season line
+ *
+ * @param {Object} row - PlayerSeasonStats
+ * @param {Object} constants - computeLeagueConstants() output
+ * @param {number} [parkFactor=1]
+ * @returns {Object} { woba, wrc_plus, ops_plus, iso, babip, k_pct, bb_pct }, null where undefined
+ */
+function computeBattingStats(row, constants, parkFactor = 1) {
+  const pa = plateAppearances(row);
+  const ab = num(row.at_bats);
+  const denominator = wobaDenominator(row);
+  const hits = num(row.hits);
+  const homeRuns = num(row.home_runs);
+  const strikeouts = num(row.strikeouts);
+
+  const weights = constants.woba_weights;
+  const singles = hits - num(row.doubles) - num(row.triples) - homeRuns;
+  const woba = denominator > 0
+    ? (weights.walk * num(row.walks) + weights.hit_by_pitch * num(row.hit_by_pitch) + weights.single * singles
+      + weights.double * num(row.doubles) + weights.triple * num(row.triples) + weights.home_run * homeRuns) / denominator
+    : null;
+
+  let wrcPlus = null;
+  if (woba !== null && pa > 0 && constants.runs_per_pa > 0) {
+    const wraaPerPa = (woba - constants.woba) / constants.woba_scale;
+    const lgRunsPerPa = constants.runs_per_pa;
+    wrcPlus = 100 * (wraaPerPa + lgRunsPerPa + (lgRunsPerPa - parkFactor * lgRunsPerPa)) / lgRunsPerPa;
+  }
+
+  const totalBases = hits + num(row.doubles) + 2 * num(row.triples) + 3 * homeRuns;
+  const obp = denominator > 0 ? (hits + num(row.walks) + num(row.hit_by_pitch)) / denominator : null;
+  const slg = ab > 0 ? totalBases / ab : null;
+  const opsPlus = obp !== null && slg !== null
+    ? 100 * (obp / constants.obp + slg / constants.slg - 1) / parkFactor
+    : null;
+  const ballsInPlay = ab - strikeouts - homeRuns + num(row.sacrifice_flies);
+
+  return {
+    woba: fit('woba', woba, 3),
+    wrc_plus: fit('wrc_plus', wrcPlus, 1),
+    ops_plus: fit('ops_plus', opsPlus, 1),
+    iso: fit('iso', ab > 0 ? (totalBases - hits) / ab : null, 3),
+    babip: fit('babip', ballsInPlay > 0 ? (hits - homeRuns) / ballsInPlay : null, 3),
+    k_pct: fit('k_pct', pa > 0 ? strikeouts / pa : null, 3),
+    bb_pct: fit('bb_pct', pa > 0 ? num(row.walks) / pa : null, 3)
+  };
+}
+
+/**
+ * Derived pitching stats for one season line
+ *
+ * @param {Object} row - PlayerSeasonStats
+ * @param {Object} constants - computeLeagueConstants() output
+ * @param {number} [parkFactor=1]
+ * @returns {Object} { fip, xfip, era_minus, fip_minus, k_pct_pitching, bb_pct_pitching, k_bb_pct }
+ */
+function computePitchingStats(row, constants, parkFactor = 1) {
+  const innings = inningsPitched(row);
+  const bf = battersFaced(row);
+  const strikeouts = num(row.strikeouts_pitching);
+  const walks = num(row.walks_allowed);
+
+  let fip = null;
+  let xfip = null;
+  let eraMinus = null;
+  let fipMinus = null;
+  if (innings > 0) {
+    fip = (13 * num(row.home_runs_allowed) + 3 * walks - 2 * strikeouts) / innings + constants.fip_constant;
+    xfip = (13 * innings * constants.hr_per_ip + 3 * walks - 2 * strikeouts) / innings + constants.fip_constant;
+    if (constants.era > 0) {
+      const era = (9 * num(row.earned_runs)) / innings;
+      eraMinus = 100 * (era + (era - era * parkFactor)) / constants.era;
+      fipMinus = 100 * (fip + (fip - fip * parkFactor)) / constants.era;
+    }
+  }
+
+  const kPct = bf > 0 ? strikeouts / bf : null;
+  const bbPct = bf > 0 ? walks / bf : null;
+
+  return {
+    fip: fit('fip', fip, 2),
+    xfip: fit('xfip', xfip, 2),
+    era_minus: fit('era_minus', eraMinus, 1),
+    fip_minus: fit('fip_minus', fipMinus, 1),
+    k_pct_pitching: fit('k_pct_pitching', kPct, 3),
+    bb_pct_pitching: fit('bb_pct_pitching', bbPct, 3),
+    k_bb_pct: fit('k_bb_pct', kPct === null ? null : kPct - bbPct, 3)
+  };
+}
+
+/**
+ * Team ids in a team's league: same division and, when set, conference
+ * @param {Object} team - Team with id, division, conference
+ * @returns {Promise<Array<number>>}
+ */
+async function getLeagueTeamIds(team) {
+  const where = { division: team.division };
+  if (team.conference) {
+    where.conference = team.conference;
+  }
+  const teams = await Team.findAll({ where, attributes: ['id'], raw: true });
+  const ids = teams.map(row => row.id);
+  return ids.includes(team.id) ? ids : [...ids, team.id];
+}
+
+/**
+ * League constants and park factor for a team's season
+ *
+ * @param {number} teamId
+ * @param {string} season - PlayerSeasonStats.season / Game.season
+ * @returns {Promise<Object|null>} { constants, park_factor }, null when the team does not exist
+ */
+async function getSeasonContext(teamId, season) {
+  const team = await Team.findByPk(teamId, { attributes: ['id', 'division', 'conference'] });
+  if (!team) {
+    return null;
+  }
+
+  const leagueTeamIds = await getLeagueTeamIds(team);
+  const [leagueRows, games] = await Promise.all([
+    PlayerSeasonStats.findAll({
+      where: { team_id: { [Op.in]: leagueTeamIds }, season },
+      raw: true
+    }),
+    Game.findAll({
+      where: { team_id: teamId, season, game_status: 'completed' },
+      attributes: ['home_away', 'team_score', 'opponent_score'],
+      raw: true
+    })
+  ]);
+
+  return {
+    scope: { division: team.division, conference: team.conference || null, teams: leagueTeamIds.length },
+    constants: computeLeagueConstants(leagueRows),
+    park_factor: computeParkFactor(games)
+  };
+}
+
+/**
+ * Recalculate the derived stats on every season line of a team's season
+ *
+ * @param {number} teamId
+ * @param {string} season
+ * @returns {Promise<Object|null>} { season, scope, constants, park_factor, updated }
+ */
+async function recalculateTeamSeason(teamId, season) {
+  const context = await getSeasonContext(teamId, season);
+  if (!context) {
+    return null;
+  }
+
+  const rows = await PlayerSeasonStats.findAll({ where: { team_id: teamId, season } });
+  const computedAt = new Date();
+  for (const row of rows) {
+    await row.update({
+      ...computeBattingStats(row, context.constants, context.park_factor),
+      ...computePitchingStats(row, context.constants, context.park_factor),
+      advanced_stats_computed_at: computedAt
+    });
+  }
+
+  return { season, ...context, updated: rows.length };
+}
+
+module.exports = {
+  RUN_VALUES,
+  DEFAULT_LEAGUE_RATES,
+  computeLeagueConstants,
+  computeParkFactor,
+  computeBattingStats,
+  computePitchingStats,
+  getSeasonContext,
+  recalculateTeamSeason
+};
@@ -0,0 +1,537 @@
+/**
+ * Box Score Import Service
+ *
+ * Imports a StatCrew/NCAA box score XML file (the format PrestoSports serves and
+ * most scorers export) for games that never reach PrestoSports: summer league,
+ * scrimmages, opponents who email their file. The file is read with
+ * utils/boxScoreParser and utils/playByPlayParser, then:
+ * - our side is found by team name (or the home_away given with the upload)
+ * - the game is found by date and opponent, or created
+ * - our players are matched to the roster by jersey number and name
+ * - Game (score, result, play-by-play), GameStatistic and OpponentGameStat rows are
+ *   written in one transaction, replacing what was stored for the game
+ *
+ * previewImport returns everything commitImport would do, so the user can check the
+ * matches and correct them (match overrides) before committing.
+ *
+ * @module services/boxScoreImportService
+ */
+
+const { Op } = require('sequelize');
+const { sequelize, Game, GameStatistic, GameScoringEvent, OpponentGameStat, Player, Team } = require('../models');
+const { parseBoxScore, toStatColumns } = require('../utils/boxScoreParser');
+const { parsePlayByPlay } = require('../utils/playByPlayParser');
+
+/**
+ * How a box score player was matched to the roster
+ * - jersey_and_name: jersey number and last name agree
+ * - name: names agree but the jersey number differs
+ * - jersey: only the jersey number agrees (check before committing)
+ * - override: chosen by the user
+ * - unmatched: no roster player; the line is not imported
+ * @type {Array<string>}
+ */
+const MATCH_METHODS = ['jersey_and_name', 'name', 'jersey', 'override', 'unmatched'];
+
+/**
+ * Lowercase a name and strip everything but letters and spaces
+ * @param {string|null} name - Name
+ * @returns {string} Normalized name
+ */
+function normalize(name) {
+  return String(name || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z, ]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Split a box score name into first and last name. StatCrew writes "Last, First";
+ * other exports write "First Last".
+ * @param {string|null} name - Name from the box score
+ * @returns {{first: string, last: string}} Normalized parts
+ */
+function splitName(name) {
+  const normalized = normalize(name);
+  if (normalized.includes(',')) {
+    const [last, first] = normalized.split(',').map(part => part.trim());
+    return { first: first || '', last };
+  }
+  const parts = normalized.replace(/,/g, '').split(' ').filter(Boolean);
+  if (parts.length <= 1) {
+    return { first: '', last: parts[0] || '' };
+  }
+  return { first: parts.slice(0, -1).join(' '), last: parts[parts.length - 1] };
+}
+
+/**
+ * Whether a box score name is a roster player's name. The first name may be
+ * abbreviated to an initial or missing.
+ * @param {string|null} name - Name from the box score
+ * @param {Object} player - Roster player
+ * @returns {boolean} True when the names agree
+ */
+function namesMatch(name, player) {
+  const { first, last } = splitName(name);
+  if (!last || last !== normalize(player.last_name)) {
+    return false;
+  }
+  const playerFirst = normalize(player.first_name);
+  return !first || !playerFirst || playerFirst.startsWith(first.replace(/\s/g, '')) || first.startsWith(playerFirst);
+}
+
+/**
+ * Key identifying a box score player in previews and match overrides
+ * @param {Object} player - Player from parseBoxScore
+ * @returns {string} "<jersey>:<name>"
+ */
+function playerKey(player) {
+  return `${player.uni || ''}:${player.name || player.shortname || ''}`;
+}
+
+/**
+ * Combine a team's batters and pitchers into one entry per player (pitchers who
+ * also hit appear in both lists)
+ * @param {Object} side - Team from parseBoxScore
+ * @returns {Array<Object>} Box score players
+ */
+function collectPlayers(side) {
+  const players = new Map();
+  for (const player of [...(side.batters || []), ...(side.pitchers || [])]) {
+    const key = playerKey(player);
+    const existing = players.get(key);
+    if (!existing) {
+      players.set(key, { ...player });
+    } else if (player.pitching && !existing.pitching) {
+      existing.pitching = player.pitching;
+      existing.isPitcher = true;
+    }
+  }
+  return Array.from(players.values());
+}
+
+/**
+ * Match box score players to roster players
+ * @param {Array<Object>} players - Box score players (collectPlayers)
+ * @param {Array<Object>} roster - Team's players
+ * @param {Object<string, number|null>} [overrides] - Player id (or null to skip) by playerKey
+ * @returns {Array<Object>} { key, name, jersey_number, position, line, player, method }
+ */
+function matchPlayers(players, roster, overrides = {}) {
+  const byId = new Map(roster.map(player => [player.id, player]));
+  const used = new Set();
+
+  const matches = players.map(player => {
+    const key = playerKey(player);
+    const match = {
+      key,
+      name: player.name || player.shortname || null,
+      jersey_number: player.uni || null,
+      position: player.atpos || player.pos || null,
+      line: player,
+      player: null,
+      method: 'unmatched'
+    };
+
+    if (Object.prototype.hasOwnProperty.call(overrides, key)) {
+      const override = overrides[key];
+      match.player = override === null ? null : byId.get(Number(override)) || null;
+      match.method = match.player ? 'override' : 'unmatched';
+      return match;
+    }
+
+    const jersey = parseInt(player.uni, 10);
+    const sameJersey = roster.filter(p => p.jersey_number !== null && p.jersey_number === jersey);
+    const sameName = roster.filter(p => namesMatch(match.name, p));
+
+    const both = sameJersey.find(p => sameName.includes(p));
+    if (both) {
+      match.player = both;
+      match.method = 'jersey_and_name';
+    } else if (sameName.length === 1) {
+      match.player = sameName[0];
+      match.method = 'name';
+    } else if (sameJersey.length === 1 && sameName.length === 0) {
+      match.player = sameJersey[0];
+      match.method = 'jersey';
+    }
+    return match;
+  });
+
+  // A roster player can only take one line; later claims drop to unmatched
+  for (const match of matches) {
+    if (match.player) {
+      if (used.has(match.player.id)) {
+        match.player = null;
+        match.method = 'unmatched';
+      } else {
+        used.add(match.player.id);
+      }
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Read the game date from the box score. StatCrew writes M/D/YYYY.
+ * @param {string|null} value - Date attribute
+ * @returns {Date|null} Game date (noon UTC, so the day survives time zones)
+ */
+function parseGameDate(value) {
+  if (!value) {
+    return null;
+  }
+  const us = String(value).match(/^(\d{1,2})\/(\d{1,2})\/(\d{2,4})$/);
+  if (us) {
+    const year = us[3].length === 2 ? 2000 + Number(us[3]) : Number(us[3]);
+    return new Date(Date.UTC(year, Number(us[1]) - 1, Number(us[2]), 12));
+  }
+  const iso = String(value).match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (iso) {
+    return new Date(Date.UTC(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3]), 12));
+  }
+  return null;
+}
+
+/**
+ * Runs a team scored: the line score total, else the hitting totals
+ * @param {Object} side - Team from parseBoxScore
+ * @returns {number|null} Runs
+ */
+function teamRuns(side) {
+  const runs = side.linescore && side.linescore.runs !== null ? side.linescore.runs
+    : side.totals && side.totals.hitting ? side.totals.hitting.r : null;
+  const n = parseInt(runs, 10);
+  return isNaN(n) ? null : n;
+}
+
+/**
+ * Work out which side of the box score is the team
+ * @param {Object} box - parseBoxScore output
+ * @param {Object} team - Team
+ * @param {Array<Object>} roster - Team's players
+ * @param {string} [homeAway] - 'home' or 'away' when the user says so
+ * @returns {string|null} 'home', 'away' or null when it cannot be told
+ */
+function detectSide(box, team, roster, homeAway) {
+  if (homeAway === 'home' || homeAway === 'away') {
+    return homeAway;
+  }
+
+  const names = [team.name, team.program_name].map(normalize).filter(Boolean);
+  const isTeam = side => side && (
+    (team.presto_team_id && side.id === team.presto_team_id) ||
+    names.includes(normalize(side.name)) ||
+    (side.code && names.includes(normalize(side.code)))
+  );
+  if (isTeam(box.home) && !isTeam(box.visitor)) {
+    return 'home';
+  }
+  if (isTeam(box.visitor) && !isTeam(box.home)) {
+    return 'away';
+  }
+
+  // Fall back to whichever side has more of our players by jersey and name
+  const score = side => (side ? matchPlayers(collectPlayers(side), roster)
+    .filter(match => match.method === 'jersey_and_name').length : 0);
+  const home = score(box.home);
+  const visitor = score(box.visitor);
+  if (home === visitor) {
+    return null;
+  }
+  return home > visitor ? 'home' : 'away';
+}
+
+/**
+ * Find the game the box score belongs to: the game given, or the team's game that
+ * day against the same opponent
+ * @param {number} teamId - Team ID
+ * @param {Object} options - { gameId, gameDate, opponent }
+ * @returns {Promise<{game: Object|null, error: string|null, status: number|null}>}
+ */
+async function findGame(teamId, { gameId, gameDate, opponent }) {
+  if (gameId) {
+    const game = await Game.findOne({ where: { id: gameId, team_id: teamId } });
+    return game ? { game, error: null, status: null } : { game: null, error: 'Game not found', status: 404 };
+  }
+  if (!gameDate) {
+    return { game: null, error: null, status: null };
+  }
+
+  const dayStart = new Date(Date.UTC(gameDate.getUTCFullYear(), gameDate.getUTCMonth(), gameDate.getUTCDate()));
+  const dayEnd = new Date(dayStart.getTime() + 24 * 60 * 60 * 1000);
+  const sameDay = await Game.findAll({
+    where: { team_id: teamId, game_date: { [Op.gte]: dayStart, [Op.lt]: dayEnd } },
+    order: [['game_date', 'ASC']]
+  });
+
+  const wanted = normalize(opponent);
+  const candidates = sameDay.filter(game => {
+    const name = normalize(game.opponent);
+    return wanted && name && (name.includes(wanted) || wanted.includes(name));
+  });
+
+  if (candidates.length > 1) {
+    return {
+      game: null,
+      error: `There are ${candidates.length} games against ${opponent} on this date; choose the game to update`,
+      status: 400
+    };
+  }
+  return { game: candidates[0] || null, error: null, status: null };
+}
+
+/**
+ * Parse the file and work out everything the import would write
+ * @param {number} teamId - Team ID
+ * @param {string} xml - Box score XML
+ * @param {Object} [options] - Options
+ * @param {number} [options.gameId] - Game to update
+ * @param {string} [options.homeAway] - Whether the team was home or away
+ * @param {string} [options.gameDate] - Game date when the file has none
+ * @param {Object<string, number|null>} [options.matches] - Match overrides by player key
+ * @returns {Promise<Object>} { plan } or { error, status }
+ */
+async function buildPlan(teamId, xml, { gameId = null, homeAway = null, gameDate = null, matches = {} } = {}) {
+  let box;
+  try {
+    box = parseBoxScore(xml);
+  } catch (error) {
+    return { error: `The file is not valid XML: ${error.message}`, status: 400 };
+  }
+  if (!box || !box.home || !box.visitor) {
+    return { error: 'The file is not a box score: expected a visiting and a home <team>', status: 400 };
+  }
+
+  const team = await Team.findByPk(teamId);
+  const roster = await Player.findAll({
+    where: { team_id: teamId },
+    attributes: ['id', 'first_name', 'last_name', 'jersey_number', 'position', 'status']
+  });
+
+  const side = detectSide(box, team, roster, homeAway);
+  if (!side) {
+    return {
+      error: `Could not tell whether ${team.name} was ${box.visitor.name || 'the visitor'} or ${box.home.name || 'the home team'}; choose home or away`,
+      status: 400
+    };
+  }
+
+  const ours = side === 'home' ? box.home : box.visitor;
+  const theirs = side === 'home' ? box.visitor : box.home;
+  const date = parseGameDate(gameDate) || parseGameDate(box.gameInfo.date);
+  const opponent = theirs.name || null;
+
+  const found = await findGame(teamId, { gameId, gameDate: date, opponent });
+  if (found.error) {
+    return { error: found.error, status: found.status };
+  }
+  if (!found.game && !date) {
+    return { error: 'The box score has no game date; give the date or choose the game to update', status: 400 };
+  }
+  if (!found.game && !opponent) {
+    return { error: 'The box score does not name the opponent; choose the game to update', status: 400 };
+  }
+
+  if (found.game) {
+    const scored = await GameScoringEvent.count({ where: { game_id: found.game.id } });
+    if (scored > 0) {
+      return { error: 'This game is being scored live; its stats come from the scoring log', status: 409 };
+    }
+  }
+
+  const gameFields = {
+    opponent: (found.game && found.game.opponent) || opponent,
+    game_date: (found.game && found.game.game_date) || date,
+    home_away: side
+  };
+  const teamScore = teamRuns(ours);
+  const opponentScore = teamRuns(theirs);
+  if (teamScore !== null && opponentScore !== null) {
+    gameFields.team_score = teamScore;
+    gameFields.opponent_score = opponentScore;
+    gameFields.result = teamScore > opponentScore ? 'W' : teamScore < opponentScore ? 'L' : 'T';
+    gameFields.game_status = 'completed';
+  }
+
+  return {
+    plan: {
+      box,
+      side,
+      ours,
+      theirs,
+      game: found.game,
+      game_fields: gameFields,
+      play_by_play: parsePlayByPlay(xml),
+      matches: matchPlayers(collectPlayers(ours), roster, matches),
+      opponent_players: collectPlayers(theirs)
+    }
+  };
+}
+
+/**
+ * Describe a plan for the preview and the commit response
+ * @param {Object} plan - buildPlan plan
+ * @returns {Object} Summary of the import
+ */
+function describePlan(plan) {
+  const counts = {};
+  for (const method of MATCH_METHODS) {
+    counts[method] = plan.matches.filter(match => match.method === method).length;
+  }
+
+  const warnings = [];
+  if (plan.game && plan.game.source_system === 'presto') {
+    warnings.push('This game is synced from PrestoSports; the next sync may overwrite the imported stats');
+  }
+  if (counts.jersey > 0) {
+    warnings.push(`${counts.jersey} player(s) matched by jersey number only; check the names`);
+  }
+  if (counts.unmatched > 0) {
+    warnings.push(`${counts.unmatched} player(s) are not on the roster; their lines will not be imported`);
+  }
+
+  return {
+    game: {
+      action: plan.game ? 'update' : 'create',
+      id: plan.game ? plan.game.id : null,
+      ...plan.game_fields
+    },
+    team_name: plan.ours.name,
+    opponent_name: plan.theirs.name,
+    plays: plan.play_by_play ? plan.play_by_play.total_plays : 0,
+    players: plan.matches.map(match => ({
+      key: match.key,
+      name: match.name,
+      jersey_number: match.jersey_number,
+      position: match.position,
+      method: match.method,
+      player: match.player ? {
+        id: match.player.id,
+        name: `${match.player.first_name} ${match.player.last_name}`,
+        jersey_number: match.player.jersey_number
+      } : null
+    })),
+    match_counts: counts,
+    opponent_players: plan.opponent_players.length,
+    warnings
+  };
+}
+
+/**
+ * Show what importing a box score would do, without writing anything
+ * @param {number} teamId - Team ID
+ * @param {string} xml - Box score XML
+ * @param {Object} [options] - See buildPlan
+ * @returns {Promise<Object>} Preview, or { error, status }
+ */
+async function previewImport(teamId, xml, options = {}) {
+  const { plan, error, status } = await buildPlan(teamId, xml, options);
+  if (error) {
+    return { error, status };
+  }
+  return describePlan(plan);
+}
+
+/**
+ * Import a box score: create or update the game and replace its stat lines
+ * @param {number} teamId - Team ID
+ * @param {string} xml - Box score XML
+ * @param {Object} [options] - See buildPlan
+ * @param {number} [options.season] - Season for a new game
+ * @param {string} [options.seasonName] - Season name for a new game
+ * @param {number} [userId] - User importing the file
+ * @returns {Promise<Object>} Preview of what was written plus { game_id, stats_imported,
+ *   opponent_stats_imported }, or { error, status }
+ */
+async function commitImport(teamId, xml, options = {}, userId = null) {
+  const { plan, error, status } = await buildPlan(teamId, xml, options);
+  if (error) {
+    return { error, status };
+  }
+
+  const now = new Date();
+  const info = plan.box.gameInfo;
+  const attendance = parseInt(info.attendance, 10);
+
+  const gameId = await sequelize.transaction(async (transaction) => {
+    const fields = {
+      ...plan.game_fields,
+      ...(info.location ? { location: String(info.location).slice(0, 200) } : {}),
+      ...(!isNaN(attendance) ? { attendance } : {}),
+      ...(info.weather ? { weather: info.weather } : {}),
+      ...(plan.play_by_play && plan.play_by_play.total_plays > 0 ? { play_by_play: plan.play_by_play } : {})
+    };
+
+    let game = plan.game;
+    if (game) {
+      await game.update(fields, { transaction });
+    } else {
+      game = await Game.create({
+        ...fields,
+        team_id: teamId,
+        season: options.season || null,
+        season_name: options.seasonName || null,
+        source_system: 'manual',
+        created_by: userId
+      }, { transaction });
+    }
+
+    await GameStatistic.destroy({ where: { game_id: game.id, team_id: teamId }, transaction });
+    await GameStatistic.bulkCreate(plan.matches.filter(match => match.player).map(match => ({
+      game_id: game.id,
+      player_id: match.player.id,
+      team_id: teamId,
+      source_system: 'manual',
+      last_synced_at: now,
+      position_played: match.position,
+      ...toStatColumns(match.line)
+    })), { transaction });
+
+    const starterUnis = new Set((plan.theirs.starters || []).map(starter => starter.uni).filter(Boolean));
+    const opponentName = plan.theirs.name || fields.opponent;
+    await OpponentGameStat.destroy({ where: { game_id: game.id, team_id: teamId }, transaction });
+    await OpponentGameStat.bulkCreate(plan.opponent_players.map(player => ({
+      game_id: game.id,
+      team_id: teamId,
+      opponent_name: opponentName,
+      opponent_presto_team_id: plan.theirs.id || null,
+      player_name: player.name || player.shortname || null,
+      jersey_number: player.uni || null,
+      is_starter: starterUnis.has(player.uni),
+      batting_order: parseInt(player.spot, 10) || 0,
+      position_played: player.atpos || player.pos || null,
+      source_system: 'manual',
+      last_synced_at: now,
+      ...toStatColumns(player)
+    })), { transaction });
+
+    return game.id;
+  });
+
+  const summary = describePlan(plan);
+  return {
+    ...summary,
+    game: { ...summary.game, id: gameId },
+    game_id: gameId,
+    stats_imported: plan.matches.filter(match => match.player).length,
+    opponent_stats_imported: plan.opponent_players.length
+  };
+}
+
+module.exports = {
+  MATCH_METHODS,
+  splitName,
+  namesMatch,
+  playerKey,
+  collectPlayers,
+  matchPlayers,
+  parseGameDate,
+  detectSide,
+  previewImport,
+  commitImport
+};
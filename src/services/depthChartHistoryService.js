@@ -0,0 +1,531 @@
+/**
+ * Depth Chart History Service
+ *
+ * Records an audit trail for depth charts so coaches can see who changed a chart and
+ * when, compare the chart at two points in time, and roll it back.
+ *
+ * Every change (chart create/update/delete/restore, position add/edit/remove, player
+ * assign/unassign) writes a DepthChartHistory row holding the changed entity before
+ * and after the change, plus a snapshot of the whole chart afterwards. Charts created
+ * before history existed get a 'baseline' entry with their state from just before
+ * the first recorded change.
+ *
+ * @module services/depthChartHistoryService
+ */
+
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const {
+  DepthChart,
+  DepthChartPosition,
+  DepthChartPlayer,
+  DepthChartHistory,
+  Player,
+  User
+} = require('../models');
+
+/**
+ * Chart fields captured in snapshots and restored by restoreSnapshot.
+ * is_default is recorded but not restored, since only one chart per team may be default.
+ * @type {Array<string>}
+ */
+const CHART_FIELDS = ['name', 'description', 'is_default', 'effective_date', 'notes', 'is_active', 'version'];
+
+/**
+ * Position fields captured in snapshots
+ * @type {Array<string>}
+ */
+const POSITION_FIELDS = ['position_code', 'position_name', 'color', 'icon', 'sort_order', 'max_players', 'description'];
+
+/**
+ * Assignment fields compared between snapshots
+ * @type {Array<string>}
+ */
+const ASSIGNMENT_FIELDS = ['depth_order', 'notes'];
+
+/**
+ * Pick fields from a model instance or plain object
+ * @param {Object} source
+ * @param {Array<string>} fields
+ * @returns {Object}
+ */
+function pick(source, fields) {
+  const result = {};
+  for (const field of fields) {
+    result[field] = source[field] === undefined ? null : source[field];
+  }
+  return result;
+}
+
+/**
+ * Format a player's display name
+ * @param {Object} [player]
+ * @returns {string|null}
+ */
+function playerName(player) {
+  return player ? `${player.first_name} ${player.last_name}` : null;
+}
+
+/**
+ * Serialize a depth chart's metadata for history entries
+ * @param {Object} depthChart - DepthChart instance
+ * @returns {Object}
+ */
+function serializeChart(depthChart) {
+  return pick(depthChart, CHART_FIELDS);
+}
+
+/**
+ * Serialize a position for history entries
+ * @param {Object} position - DepthChartPosition instance
+ * @returns {Object}
+ */
+function serializePosition(position) {
+  return { id: position.id, ...pick(position, POSITION_FIELDS) };
+}
+
+/**
+ * Serialize a player assignment for history entries
+ * @param {Object} assignment - DepthChartPlayer instance
+ * @param {Object} [position] - Position the player is assigned to
+ * @param {Object} [player] - Assigned Player
+ * @returns {Object}
+ */
+function serializeAssignment(assignment, position, player) {
+  return {
+    assignment_id: assignment.id,
+    position_id: assignment.position_id,
+    position_code: position ? position.position_code : null,
+    player_id: assignment.player_id,
+    player_name: playerName(player || assignment.Player),
+    ...pick(assignment, ASSIGNMENT_FIELDS)
+  };
+}
+
+/**
+ * Capture the current state of a depth chart: its metadata and active positions with
+ * their active player assignments
+ *
+ * @param {number} depthChartId
+ * @returns {Promise<Object|null>} { chart, positions: [{ id, ...fields, players: [...] }] }
+ */
+async function buildSnapshot(depthChartId) {
+  const depthChart = await DepthChart.findByPk(depthChartId, {
+    include: [
+      {
+        model: DepthChartPosition,
+        where: { is_active: true },
+        required: false,
+        include: [
+          {
+            model: DepthChartPlayer,
+            where: { is_active: true },
+            required: false,
+            include: [
+              {
+                model: Player,
+                attributes: ['id', 'first_name', 'last_name']
+              }
+            ]
+          }
+        ]
+      }
+    ]
+  });
+
+  if (!depthChart) {
+    return null;
+  }
+
+  const positions = (depthChart.DepthChartPositions || [])
+    .map(position => ({
+      ...serializePosition(position),
+      players: (position.DepthChartPlayers || [])
+        .map(assignment => {
+          const { position_id: _positionId, position_code: _positionCode, ...player } = serializeAssignment(assignment);
+          return player;
+        })
+        .sort((a, b) => a.depth_order - b.depth_order || a.player_id - b.player_id)
+    }))
+    .sort((a, b) => (a.sort_order || 0) - (b.sort_order || 0) || a.id - b.id);
+
+  return {
+    chart: serializeChart(depthChart),
+    positions
+  };
+}
+
+/**
+ * Record a 'baseline' entry for a chart that has no history yet, so the first
+ * recorded change can be diffed against and restored from. Call before mutating.
+ * Never throws; history must not break chart edits.
+ *
+ * @param {number} depthChartId
+ * @returns {Promise<Object|null>} Baseline entry, or null if one was not needed
+ */
+async function ensureBaseline(depthChartId) {
+  try {
+    const existing = await DepthChartHistory.count({ where: { depth_chart_id: depthChartId } });
+    if (existing > 0) {
+      return null;
+    }
+
+    const snapshot = await buildSnapshot(depthChartId);
+    if (!snapshot) {
+      return null;
+    }
+
+    return await DepthChartHistory.create({
+      depth_chart_id: depthChartId,
+      action: 'baseline',
+      entity_type: 'chart',
+      entity_id: depthChartId,
+      description: 'State of the depth chart when history tracking began',
+      snapshot,
+      version: snapshot.chart.version,
+      changed_by: null
+    });
+  } catch (error) {
+    console.error('Failed to record depth chart baseline:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Record a change to a depth chart along with a snapshot of the chart afterwards.
+ * Never throws; history must not break chart edits.
+ *
+ * @param {number} depthChartId
+ * @param {number} userId - User who made the change
+ * @param {Object} change
+ * @param {string} change.action - DepthChartHistory action (e.g. player_unassigned)
+ * @param {string} change.entityType - chart, position or player
+ * @param {number} [change.entityId] - Chart, position or assignment id
+ * @param {number} [change.playerId] - Player affected by an assignment change
+ * @param {string} change.description - Human-readable summary
+ * @param {Object} [change.before] - Entity before the change
+ * @param {Object} [change.after] - Entity after the change
+ * @returns {Promise<Object|null>} Created entry, or null on failure
+ */
+async function recordChange(depthChartId, userId, change) {
+  try {
+    const snapshot = await buildSnapshot(depthChartId);
+    if (!snapshot) {
+      return null;
+    }
+
+    return await DepthChartHistory.create({
+      depth_chart_id: depthChartId,
+      action: change.action,
+      entity_type: change.entityType,
+      entity_id: change.entityId || null,
+      player_id: change.playerId || null,
+      description: change.description.slice(0, 500),
+      before: change.before || null,
+      after: change.after || null,
+      snapshot,
+      version: snapshot.chart.version,
+      changed_by: userId
+    });
+  } catch (error) {
+    console.error('Failed to record depth chart history:', error.message);
+    return null;
+  }
+}
+
+/**
+ * List history entries for a chart, newest first. Snapshots are omitted.
+ *
+ * @param {number} depthChartId
+ * @param {Object} [options]
+ * @param {number} [options.page=1]
+ * @param {number} [options.limit=20]
+ * @param {string} [options.action] - Only entries with this action
+ * @param {number} [options.playerId] - Only entries affecting this player
+ * @returns {Promise<{entries: Array<Object>, pagination: Object}>}
+ */
+async function getHistory(depthChartId, options = {}) {
+  const page = options.page || 1;
+  const limit = options.limit || 20;
+  const where = { depth_chart_id: depthChartId };
+
+  if (options.action) {
+    where.action = options.action;
+  }
+  if (options.playerId) {
+    where.player_id = options.playerId;
+  }
+
+  const { count, rows } = await DepthChartHistory.findAndCountAll({
+    where,
+    attributes: { exclude: ['snapshot'] },
+    include: [
+      {
+        model: User,
+        attributes: ['id', 'first_name', 'last_name']
+      }
+    ],
+    order: [['created_at', 'DESC'], ['id', 'DESC']],
+    limit,
+    offset: (page - 1) * limit
+  });
+
+  return {
+    entries: rows,
+    pagination: {
+      page,
+      limit,
+      total: count,
+      pages: Math.ceil(count / limit)
+    }
+  };
+}
+
+/**
+ * Find the history entry describing a chart at a point in time
+ *
+ * @param {number} depthChartId
+ * @param {number|string} ref - History entry id, or an ISO 8601 timestamp resolved to
+ *   the latest entry at or before it
+ * @returns {Promise<Object|null>} DepthChartHistory entry
+ */
+function findEntryAt(depthChartId, ref) {
+  if (/^\d+$/.test(String(ref))) {
+    return DepthChartHistory.findOne({
+      where: { id: parseInt(ref, 10), depth_chart_id: depthChartId }
+    });
+  }
+
+  return DepthChartHistory.findOne({
+    where: {
+      depth_chart_id: depthChartId,
+      created_at: { [Op.lte]: new Date(ref) }
+    },
+    order: [['created_at', 'DESC'], ['id', 'DESC']]
+  });
+}
+
+/**
+ * List field-level differences between two objects
+ * @param {Object} from
+ * @param {Object} to
+ * @param {Array<string>} fields
+ * @returns {Array<{field: string, from: *, to: *}>}
+ */
+function diffFields(from, to, fields) {
+  const changes = [];
+  for (const field of fields) {
+    const a = from[field] === undefined ? null : from[field];
+    const b = to[field] === undefined ? null : to[field];
+    if (JSON.stringify(a) !== JSON.stringify(b)) {
+      changes.push({ field, from: a, to: b });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Flatten a snapshot's assignments keyed by position and player
+ * @param {Object} snapshot
+ * @returns {Map<string, Object>}
+ */
+function indexAssignments(snapshot) {
+  const assignments = new Map();
+  for (const position of snapshot.positions || []) {
+    for (const player of position.players || []) {
+      assignments.set(`${position.id}:${player.player_id}`, {
+        position_id: position.id,
+        position_code: position.position_code,
+        ...player
+      });
+    }
+  }
+  return assignments;
+}
+
+/**
+ * Compare two chart snapshots
+ *
+ * @param {Object} from - Earlier snapshot
+ * @param {Object} to - Later snapshot
+ * @returns {Object} { chart: [field changes], positions: { added, removed, changed },
+ *   players: { added, removed, changed } }
+ */
+function diffSnapshots(from, to) {
+  const chartFields = CHART_FIELDS.filter(field => field !== 'version');
+  const fromPositions = new Map((from.positions || []).map(position => [position.id, position]));
+  const toPositions = new Map((to.positions || []).map(position => [position.id, position]));
+  const withoutPlayers = ({ players: _players, ...position }) => position;
+
+  const positions = { added: [], removed: [], changed: [] };
+  for (const [id, position] of toPositions) {
+    const previous = fromPositions.get(id);
+    if (!previous) {
+      positions.added.push(withoutPlayers(position));
+      continue;
+    }
+    const changes = diffFields(previous, position, POSITION_FIELDS);
+    if (changes.length > 0) {
+      positions.changed.push({ id, position_code: position.position_code, changes });
+    }
+  }
+  for (const [id, position] of fromPositions) {
+    if (!toPositions.has(id)) {
+      positions.removed.push(withoutPlayers(position));
+    }
+  }
+
+  const fromAssignments = indexAssignments(from);
+  const toAssignments = indexAssignments(to);
+  const players = { added: [], removed: [], changed: [] };
+  for (const [key, assignment] of toAssignments) {
+    const previous = fromAssignments.get(key);
+    if (!previous) {
+      players.added.push(assignment);
+      continue;
+    }
+    const changes = diffFields(previous, assignment, ASSIGNMENT_FIELDS);
+    if (changes.length > 0) {
+      players.changed.push({
+        position_id: assignment.position_id,
+        position_code: assignment.position_code,
+        player_id: assignment.player_id,
+        player_name: assignment.player_name,
+        changes
+      });
+    }
+  }
+  for (const [key, assignment] of fromAssignments) {
+    if (!toAssignments.has(key)) {
+      players.removed.push(assignment);
+    }
+  }
+
+  return {
+    chart: diffFields(from.chart || {}, to.chart || {}, chartFields),
+    positions,
+    players
+  };
+}
+
+/**
+ * Restore a chart's metadata, positions and player assignments to a snapshot.
+ * Existing (possibly soft-deleted) rows are reactivated and updated, rows missing from
+ * the snapshot are soft-deleted and rows that no longer exist are recreated. Assignments
+ * of players no longer on the team are skipped. The chart version is incremented. Runs
+ * in a transaction; the caller records the history entry.
+ *
+ * @param {Object} depthChart - DepthChart instance to restore
+ * @param {Object} snapshot - Snapshot from a DepthChartHistory entry
+ * @param {number} userId - User performing the restore (assigned_by for recreated assignments)
+ * @returns {Promise<Object>} { depthChart, skipped_players: [{ player_id, player_name, position_code }] }
+ */
+function restoreSnapshot(depthChart, snapshot, userId) {
+  return sequelize.transaction(async (transaction) => {
+    const positions = await DepthChartPosition.findAll({
+      where: { depth_chart_id: depthChart.id },
+      transaction
+    });
+    const positionsById = new Map(positions.map(position => [position.id, position]));
+    // Snapshot position id -> current row id (differs only for recreated positions)
+    const positionIds = new Map();
+
+    for (const saved of snapshot.positions || []) {
+      const values = { ...pick(saved, POSITION_FIELDS), is_active: true };
+      const existing = positionsById.get(saved.id);
+      if (existing) {
+        await existing.update(values, { transaction });
+        positionIds.set(saved.id, existing.id);
+      } else {
+        const created = await DepthChartPosition.create({ depth_chart_id: depthChart.id, ...values }, { transaction });
+        positionIds.set(saved.id, created.id);
+      }
+    }
+
+    const keptPositionIds = new Set(positionIds.values());
+    for (const position of positions) {
+      if (position.is_active && !keptPositionIds.has(position.id)) {
+        await position.update({ is_active: false }, { transaction });
+      }
+    }
+
+    const assignments = await DepthChartPlayer.findAll({
+      where: { depth_chart_id: depthChart.id },
+      transaction
+    });
+    const assignmentsByKey = new Map(assignments.map(assignment => [`${assignment.position_id}:${assignment.player_id}`, assignment]));
+    const keptAssignments = new Set();
+
+    // Deleted players' assignments are gone, but older snapshots still list them
+    const snapshotPlayerIds = [...new Set((snapshot.positions || [])
+      .flatMap(saved => (saved.players || []).map(player => player.player_id)))];
+    const players = snapshotPlayerIds.length > 0
+      ? await Player.findAll({
+        where: { id: { [Op.in]: snapshotPlayerIds }, team_id: depthChart.team_id },
+        attributes: ['id'],
+        transaction
+      })
+      : [];
+    const currentPlayerIds = new Set(players.map(player => player.id));
+    const skippedPlayers = [];
+
+    for (const saved of snapshot.positions || []) {
+      const positionId = positionIds.get(saved.id);
+      for (const player of saved.players || []) {
+        if (!currentPlayerIds.has(player.player_id)) {
+          skippedPlayers.push({
+            player_id: player.player_id,
+            player_name: player.player_name || null,
+            position_code: saved.position_code
+          });
+          continue;
+        }
+        const values = { ...pick(player, ASSIGNMENT_FIELDS), is_active: true };
+        const existing = assignmentsByKey.get(`${positionId}:${player.player_id}`);
+        if (existing) {
+          await existing.update(values, { transaction });
+          keptAssignments.add(existing.id);
+        } else {
+          const created = await DepthChartPlayer.create({
+            depth_chart_id: depthChart.id,
+            position_id: positionId,
+            player_id: player.player_id,
+            assigned_by: userId,
+            ...values
+          }, { transaction });
+          keptAssignments.add(created.id);
+        }
+      }
+    }
+
+    for (const assignment of assignments) {
+      if (assignment.is_active && !keptAssignments.has(assignment.id)) {
+        await assignment.update({ is_active: false }, { transaction });
+      }
+    }
+
+    const chart = snapshot.chart || {};
+    await depthChart.update({
+      name: chart.name,
+      description: chart.description,
+      effective_date: chart.effective_date,
+      notes: chart.notes,
+      version: depthChart.version + 1
+    }, { transaction });
+
+    return { depthChart, skipped_players: skippedPlayers };
+  });
+}
+
+module.exports = {
+  serializeChart,
+  serializePosition,
+  serializeAssignment,
+  buildSnapshot,
+  ensureBaseline,
+  recordChange,
+  getHistory,
+  findEntryAt,
+  diffSnapshots,
+  restoreSnapshot
+};
@@ -0,0 +1,342 @@
+/**
+ * Game Stream Service
+ *
+ * Pushes live game updates to clients over Server-Sent Events. Each open stream is
+ * registered against its game; whenever something writes the game (the PrestoSports
+ * live-stats sync or manual pitch-by-pitch scoring) the writer calls
+ * publishGameUpdate, which reloads the game, compares it with what subscribers last
+ * saw and sends only what changed:
+ * - score: team/opponent score, game status and result
+ * - situation: inning, half, outs, count and runners (when the writer knows them)
+ * - line_score: the full line score, when any inning changed
+ * - plays: plays added since the last update; plays_reset with the full list when
+ *   earlier plays changed (e.g. an undo)
+ * - box_score: stat lines that changed, and player ids whose line was removed
+ *
+ * A new stream first receives a snapshot event with everything, so clients that
+ * reconnect simply start over from the snapshot. Games nobody is watching are not
+ * reloaded. Subscribers live in this process's memory, so with several API
+ * processes a client only hears about writes made by the process it is connected to.
+ *
+ * @module services/gameStreamService
+ */
+
+const { Game, GameStatistic, Player } = require('../models');
+const { classifyPlayByPlay, needsClassification } = require('../utils/playOutcomeClassifier');
+const logger = require('../utils/logger');
+
+/**
+ * Comment line sent this often (ms) so proxies keep idle streams open
+ * @type {number}
+ */
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+/**
+ * Open streams per game id: { clients: Set<Object>, snapshot, queue }
+ * @type {Map<number, Object>}
+ */
+const streams = new Map();
+
+/**
+ * Stat columns included in each box score line
+ * @type {Array<string>}
+ */
+const BOX_SCORE_FIELDS = [
+  'position_played', 'at_bats', 'runs', 'hits', 'doubles', 'triples', 'home_runs', 'rbi', 'walks',
+  'strikeouts_batting', 'stolen_bases', 'caught_stealing', 'hit_by_pitch', 'sacrifice_flies',
+  'sacrifice_bunts', 'innings_pitched', 'hits_allowed', 'runs_allowed', 'earned_runs', 'walks_allowed',
+  'strikeouts_pitching', 'home_runs_allowed', 'batters_faced', 'pitches_thrown', 'strikes_thrown',
+  'win', 'loss', 'save', 'hold', 'putouts', 'assists', 'errors'
+];
+
+/**
+ * Flatten stored play-by-play into a numbered list of plays
+ * @param {Object|null} playByPlay - Game.play_by_play
+ * @returns {Array<Object>} { sequence, inning, half, team, narrative, event }
+ */
+function flattenPlays(playByPlay) {
+  if (!playByPlay || !Array.isArray(playByPlay.innings)) {
+    return [];
+  }
+
+  const classified = needsClassification(playByPlay) ? classifyPlayByPlay(playByPlay) : playByPlay;
+  const plays = [];
+  for (const inning of classified.innings) {
+    for (const half of inning.halves || []) {
+      for (const play of half.plays || []) {
+        plays.push({
+          sequence: plays.length + 1,
+          inning: inning.inning,
+          half: half.side === 'home' ? 'bottom' : 'top',
+          team: half.team || null,
+          narrative: play.narrative,
+          event: play.event || null
+        });
+      }
+    }
+  }
+  return plays;
+}
+
+/**
+ * Reduce a writer's game state to the situation pushed to clients. Accepts the
+ * PrestoSports live-stats game state (inningHalf, runnersOn) and the manual scoring
+ * state (half, bases, batter, pitcher).
+ * @param {Object|null} state - Game state from the writer
+ * @returns {Object|null} { inning, half, outs, balls, strikes, bases, batter, pitcher }
+ */
+function normalizeSituation(state) {
+  if (!state) {
+    return null;
+  }
+
+  const pick = (...values) => {
+    const value = values.find(v => v !== undefined);
+    return value === undefined ? null : value;
+  };
+
+  return {
+    inning: pick(state.inning),
+    half: pick(state.half, state.inningHalf),
+    outs: pick(state.outs),
+    balls: pick(state.balls),
+    strikes: pick(state.strikes),
+    bases: pick(state.bases, state.runnersOn),
+    batter: pick(state.batter),
+    pitcher: pick(state.pitcher)
+  };
+}
+
+/**
+ * Load what subscribers of a game see
+ * @param {number} gameId - Game ID
+ * @returns {Promise<Object|null>} { score, line_score, plays, box_score } or null if the game is gone
+ */
+async function buildSnapshot(gameId) {
+  const game = await Game.findByPk(gameId, {
+    attributes: ['id', 'team_id', 'opponent', 'game_date', 'home_away', 'team_score', 'opponent_score', 'result', 'game_status', 'play_by_play']
+  });
+  if (!game) {
+    return null;
+  }
+
+  const stats = await GameStatistic.findAll({
+    where: { game_id: gameId, team_id: game.team_id },
+    attributes: ['player_id', ...BOX_SCORE_FIELDS],
+    include: [{ model: Player, as: 'player', attributes: ['id', 'first_name', 'last_name', 'jersey_number'] }]
+  });
+
+  const boxScore = {};
+  for (const row of stats) {
+    const line = { player_id: row.player_id };
+    if (row.player) {
+      line.name = `${row.player.first_name} ${row.player.last_name}`;
+      line.jersey_number = row.player.jersey_number;
+    }
+    for (const field of BOX_SCORE_FIELDS) {
+      line[field] = row[field];
+    }
+    boxScore[row.player_id] = line;
+  }
+
+  return {
+    score: {
+      game_id: game.id,
+      opponent: game.opponent,
+      game_date: game.game_date,
+      home_away: game.home_away,
+      team_score: game.team_score,
+      opponent_score: game.opponent_score,
+      result: game.result,
+      game_status: game.game_status
+    },
+    line_score: (game.play_by_play && game.play_by_play.line_score) || [],
+    plays: flattenPlays(game.play_by_play),
+    box_score: boxScore
+  };
+}
+
+/**
+ * Compare two snapshots and list the events that bring a subscriber from the
+ * first to the second
+ * @param {Object} previous - Snapshot subscribers last saw
+ * @param {Object} next - Current snapshot
+ * @returns {Array<{event: string, data: Object}>} Events to send, in order
+ */
+function diffSnapshots(previous, next) {
+  const events = [];
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+  if (!same(previous.score, next.score)) {
+    events.push({ event: 'score', data: next.score });
+  }
+  if (!same(previous.line_score, next.line_score)) {
+    events.push({ event: 'line_score', data: { line_score: next.line_score } });
+  }
+
+  const kept = previous.plays.length <= next.plays.length &&
+    previous.plays.every((play, index) => same(play, next.plays[index]));
+  if (!kept) {
+    events.push({ event: 'plays_reset', data: { plays: next.plays } });
+  } else if (next.plays.length > previous.plays.length) {
+    events.push({ event: 'plays', data: { plays: next.plays.slice(previous.plays.length) } });
+  }
+
+  const changed = Object.keys(next.box_score)
+    .filter(playerId => !same(previous.box_score[playerId], next.box_score[playerId]))
+    .map(playerId => next.box_score[playerId]);
+  const removed = Object.keys(previous.box_score)
+    .filter(playerId => !next.box_score[playerId])
+    .map(Number);
+  if (changed.length > 0 || removed.length > 0) {
+    events.push({ event: 'box_score', data: { players: changed, removed } });
+  }
+
+  return events;
+}
+
+/**
+ * Write one event to a client. Flushes through the compression middleware,
+ * which would otherwise hold the event back.
+ * @param {Object} res - Express response of the stream
+ * @param {string} event - Event name
+ * @param {Object} data - Event payload
+ */
+function send(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  if (typeof res.flush === 'function') {
+    res.flush();
+  }
+}
+
+/**
+ * Run work for a game after the game's earlier work has finished, so snapshots
+ * are taken and compared in the order the writes happened
+ * @param {Object} stream - Stream entry of the game
+ * @param {Function} work - Async function
+ * @returns {Promise<void>}
+ */
+function enqueue(stream, work) {
+  stream.queue = stream.queue.then(work).catch(error => {
+    logger.error('Game stream update failed:', error);
+  });
+  return stream.queue;
+}
+
+/**
+ * Open an event stream for a game on an Express response. Sends the snapshot, then
+ * every update published for the game until the client disconnects.
+ * @param {number} gameId - Game ID (already checked to belong to the user's team)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<void>}
+ */
+async function subscribe(gameId, req, res) {
+  const id = Number(gameId);
+  let stream = streams.get(id);
+  if (!stream) {
+    stream = { clients: new Set(), snapshot: null, situation: null, queue: Promise.resolve() };
+    streams.set(id, stream);
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+    if (typeof res.flush === 'function') {
+      res.flush();
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+
+  let closed = false;
+  req.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+    stream.clients.delete(res);
+    if (stream.clients.size === 0 && streams.get(id) === stream) {
+      streams.delete(id);
+    }
+  });
+
+  await enqueue(stream, async () => {
+    if (closed) {
+      return;
+    }
+    if (!stream.snapshot) {
+      stream.snapshot = await buildSnapshot(id);
+    }
+    if (stream.snapshot) {
+      send(res, 'snapshot', { ...stream.snapshot, situation: stream.situation });
+      stream.clients.add(res);
+    }
+  });
+
+  // The game is gone or could not be loaded: end the stream rather than leave it idle
+  if (!closed && !stream.clients.has(res)) {
+    clearInterval(heartbeat);
+    res.end();
+  }
+}
+
+/**
+ * Tell a game's subscribers what changed. Safe to call from any writer: it does
+ * nothing when nobody is watching and never throws.
+ * @param {number} gameId - Game ID
+ * @param {Object} [options] - Options
+ * @param {string} [options.source] - Writer: 'presto' or 'manual'
+ * @param {Object} [options.state] - Writer's game state (live-stats game state or manual scoring state)
+ * @returns {Promise<void>}
+ */
+async function publishGameUpdate(gameId, { source = null, state = null } = {}) {
+  const stream = streams.get(Number(gameId));
+  if (!stream) {
+    return;
+  }
+
+  await enqueue(stream, async () => {
+    const next = await buildSnapshot(Number(gameId));
+    if (!next) {
+      return;
+    }
+
+    const events = stream.snapshot ? diffSnapshots(stream.snapshot, next) : [{ event: 'snapshot', data: next }];
+    const situation = normalizeSituation(state);
+    if (situation && JSON.stringify(situation) !== JSON.stringify(stream.situation)) {
+      stream.situation = situation;
+      events.push({ event: 'situation', data: situation });
+    }
+    stream.snapshot = next;
+
+    for (const { event, data } of events) {
+      for (const res of stream.clients) {
+        send(res, event, { ...data, source });
+      }
+    }
+  });
+}
+
+/**
+ * Number of open streams for a game
+ * @param {number} gameId - Game ID
+ * @returns {number} Subscriber count
+ */
+function subscriberCount(gameId) {
+  const stream = streams.get(Number(gameId));
+  return stream ? stream.clients.size : 0;
+}
+
+module.exports = {
+  HEARTBEAT_INTERVAL_MS,
+  flattenPlays,
+  normalizeSituation,
+  buildSnapshot,
+  diffSnapshots,
+  subscribe,
+  publishGameUpdate,
+  subscriberCount
+};
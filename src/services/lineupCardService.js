@@ -0,0 +1,441 @@
+/**
+ * Lineup Card Service
+ *
+ * Renders a game's lineup (lineupService.formatLineupCard) as printable cards:
+ * - dugout: the staff card with batting order, handedness against the opposing
+ *   starter, starting pitcher, bench and bullpen
+ * - exchange: the card handed to the umpire at the plate meeting, with the batting
+ *   order and available substitutes only, printed in three copies (umpire, opponent,
+ *   official scorer)
+ *
+ * Both cards are available as HTML (for the browser's print dialog) and as PDF.
+ *
+ * @module services/lineupCardService
+ */
+
+const PDFDocument = require('pdfkit');
+const { contrastColor, normalizeColor } = require('./reportPdfService');
+
+const MARGIN = 36;
+const ROW_HEIGHT = 18;
+const BORDER_COLOR = '#9CA3AF';
+
+/**
+ * Copies printed on the exchange card
+ * @type {Array<string>}
+ */
+const EXCHANGE_COPIES = ['Umpire', 'Opponent', 'Official Scorer'];
+
+/**
+ * Escape text for HTML output
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Describe the game for card headers
+ * @param {Object} game - Game
+ * @param {Object} team - Team
+ * @returns {Object} { teamName, opponent, date, time, side, venue }
+ */
+function describeGame(game, team) {
+  return {
+    teamName: team.program_name || team.name,
+    opponent: game.opponent,
+    date: game.game_date ? new Date(game.game_date).toISOString().slice(0, 10) : '',
+    time: game.game_time ? String(game.game_time).slice(0, 5) : '',
+    side: game.home_away === 'home' ? 'Home' : 'Visitor',
+    venue: game.venue_name || game.location || ''
+  };
+}
+
+/**
+ * Label a pitcher's arm, e.g. "LHP"
+ * @param {string} throws - L or R
+ * @returns {string}
+ */
+function armLabel(throws) {
+  if (throws === 'L') {
+    return 'LHP';
+  }
+  return throws === 'R' ? 'RHP' : '';
+}
+
+/**
+ * Substitutes listed on the exchange card: bench then bullpen
+ * @param {Object} card
+ * @returns {Array<Object>}
+ */
+function substitutes(card) {
+  return [...card.bench, ...card.bullpen];
+}
+
+/**
+ * Shared print stylesheet
+ * @param {string} primaryColor
+ * @returns {string}
+ */
+function htmlStyles(primaryColor) {
+  const headerText = contrastColor(primaryColor);
+  return `
+    * { box-sizing: border-box; }
+    body { font-family: Helvetica, Arial, sans-serif; color: #111827; margin: 24px; }
+    h1 { font-size: 20px; margin: 0; }
+    h2 { font-size: 14px; margin: 16px 0 6px; color: ${primaryColor}; }
+    .meta { font-size: 12px; color: #374151; margin-top: 4px; }
+    .banner { background: ${primaryColor}; color: ${headerText}; padding: 10px 14px; }
+    table { width: 100%; border-collapse: collapse; font-size: 12px; }
+    th { background: ${primaryColor}; color: ${headerText}; text-align: left; padding: 4px 6px; }
+    td { border-bottom: 1px solid ${BORDER_COLOR}; padding: 4px 6px; }
+    td.num, th.num { text-align: center; width: 40px; }
+    .copies { display: flex; gap: 12px; }
+    .copy { flex: 1; border: 1px solid #111827; padding: 8px; }
+    .copy h3 { font-size: 11px; text-transform: uppercase; margin: 0 0 4px; letter-spacing: 1px; }
+    .signature { margin-top: 18px; font-size: 11px; border-top: 1px solid #111827; padding-top: 2px; }
+    .notes { font-size: 12px; white-space: pre-wrap; }
+    @media print { body { margin: 0; } .copy { page-break-inside: avoid; } }
+  `;
+}
+
+/**
+ * Render the dugout card body as HTML
+ * @param {Object} card
+ * @param {Object} info - describeGame output
+ * @returns {string}
+ */
+function dugoutHtml(card, info) {
+  const starter = card.opposing_starter;
+  const mark = value => (value === true ? '&#10003;' : value === false ? '&ndash;' : '');
+
+  const order = card.batting_order.map(entry => `
+      <tr>
+        <td class="num">${entry.slot}</td>
+        <td class="num">${escapeHtml(entry.jersey_number)}</td>
+        <td>${escapeHtml(entry.name)}</td>
+        <td>${escapeHtml(entry.position)}</td>
+        <td class="num">${escapeHtml(entry.bats)}</td>
+        <td class="num">${mark(entry.platoon_advantage)}</td>
+      </tr>`).join('');
+
+  const bench = card.bench.map(player => `
+      <tr><td class="num">${escapeHtml(player.jersey_number)}</td><td>${escapeHtml(player.name)}</td><td>${escapeHtml(player.position)}</td><td class="num">${escapeHtml(player.bats)}</td></tr>`).join('');
+
+  const bullpen = card.bullpen.map(player => `
+      <tr><td class="num">${escapeHtml(player.jersey_number)}</td><td>${escapeHtml(player.name)}</td><td class="num">${escapeHtml(player.throws)}</td></tr>`).join('');
+
+  const pitcher = card.starting_pitcher;
+
+  return `
+  <div class="banner">
+    <h1>${escapeHtml(info.teamName)} vs ${escapeHtml(info.opponent)}</h1>
+    <div class="meta">${escapeHtml(info.date)} ${escapeHtml(info.time)} &middot; ${escapeHtml(info.side)}${info.venue ? ` &middot; ${escapeHtml(info.venue)}` : ''} &middot; ${card.use_dh ? 'DH' : 'No DH'}</div>
+  </div>
+  <p class="meta">Opposing starter: ${escapeHtml(starter.name || 'TBA')} ${escapeHtml(armLabel(starter.throws))}${starter.throws ? ` &middot; ${card.handedness.with_advantage} of ${card.batting_order.length} hitters with the platoon advantage` : ''}</p>
+  <h2>Batting Order</h2>
+  <table>
+    <thead><tr><th class="num">#</th><th class="num">No.</th><th>Name</th><th>Pos</th><th class="num">Bats</th><th class="num">Adv</th></tr></thead>
+    <tbody>${order}</tbody>
+  </table>
+  <h2>Starting Pitcher</h2>
+  <p class="meta">${pitcher ? `#${escapeHtml(pitcher.jersey_number)} ${escapeHtml(pitcher.name)} ${escapeHtml(armLabel(pitcher.throws))}` : 'TBA'}</p>
+  <h2>Bench</h2>
+  <table>
+    <thead><tr><th class="num">No.</th><th>Name</th><th>Pos</th><th class="num">Bats</th></tr></thead>
+    <tbody>${bench}</tbody>
+  </table>
+  <h2>Bullpen</h2>
+  <table>
+    <thead><tr><th class="num">No.</th><th>Name</th><th class="num">Throws</th></tr></thead>
+    <tbody>${bullpen}</tbody>
+  </table>
+  ${card.notes ? `<h2>Notes</h2><p class="notes">${escapeHtml(card.notes)}</p>` : ''}`;
+}
+
+/**
+ * Render the umpire exchange card body as HTML
+ * @param {Object} card
+ * @param {Object} info - describeGame output
+ * @returns {string}
+ */
+function exchangeHtml(card, info) {
+  const order = card.batting_order.map(entry => `
+          <tr><td class="num">${entry.slot}</td><td class="num">${escapeHtml(entry.jersey_number)}</td><td>${escapeHtml(entry.name)}</td><td>${escapeHtml(entry.position)}</td></tr>`).join('');
+  const subs = substitutes(card).map(player => `
+          <tr><td class="num">${escapeHtml(player.jersey_number)}</td><td>${escapeHtml(player.name)}</td></tr>`).join('');
+
+  const copies = EXCHANGE_COPIES.map(copy => `
+    <div class="copy">
+      <h3>${escapeHtml(copy)}</h3>
+      <strong>${escapeHtml(info.teamName)}</strong> (${escapeHtml(info.side)})
+      <div class="meta">vs ${escapeHtml(info.opponent)} &middot; ${escapeHtml(info.date)}</div>
+      <table>
+        <thead><tr><th class="num">#</th><th class="num">No.</th><th>Starting Lineup</th><th>Pos</th></tr></thead>
+        <tbody>${order}</tbody>
+      </table>
+      <table>
+        <thead><tr><th class="num">No.</th><th>Substitutes</th></tr></thead>
+        <tbody>${subs}</tbody>
+      </table>
+      <div class="signature">Head Coach</div>
+    </div>`).join('');
+
+  return `<div class="copies">${copies}</div>`;
+}
+
+/**
+ * Render a lineup card as a standalone printable HTML document
+ *
+ * @param {Object} card - Lineup card from lineupService.formatLineupCard
+ * @param {Object} options
+ * @param {Object} options.game - Game
+ * @param {Object} options.team - Team (name, program_name, primary_color)
+ * @param {string} [options.type='dugout'] - 'dugout' or 'exchange'
+ * @returns {string} HTML document
+ */
+function renderLineupCardHtml(card, options) {
+  const { game, team } = options;
+  const type = options.type === 'exchange' ? 'exchange' : 'dugout';
+  const info = describeGame(game, team);
+  const title = `${info.teamName} vs ${info.opponent} - ${type === 'exchange' ? 'Lineup Exchange Card' : 'Lineup Card'}`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${htmlStyles(normalizeColor(team.primary_color))}</style>
+</head>
+<body>
+${type === 'exchange' ? exchangeHtml(card, info) : dugoutHtml(card, info)}
+</body>
+</html>
+`;
+}
+
+/**
+ * Draw a simple table of rows at the current position
+ * @param {PDFDocument} doc
+ * @param {Object} table - { x, width, columns: [{ label, width, align }], rows: [[...cells]] }
+ * @param {string} primaryColor
+ */
+function drawPdfTable(doc, table, primaryColor) {
+  const { x, width, columns, rows } = table;
+  const totalWeight = columns.reduce((sum, column) => sum + column.width, 0);
+  const widths = columns.map(column => (column.width / totalWeight) * width);
+
+  const drawRow = (cells, y, header) => {
+    let cellX = x;
+    cells.forEach((cell, i) => {
+      doc.text(String(cell ?? ''), cellX + 3, y + 5, {
+        width: widths[i] - 6,
+        align: columns[i].align || 'left',
+        lineBreak: false,
+        ellipsis: true
+      });
+      cellX += widths[i];
+    });
+    if (!header) {
+      doc.save();
+      doc.lineWidth(0.5).moveTo(x, y + ROW_HEIGHT).lineTo(x + width, y + ROW_HEIGHT).stroke(BORDER_COLOR);
+      doc.restore();
+    }
+  };
+
+  let y = doc.y;
+  doc.save();
+  doc.rect(x, y, width, ROW_HEIGHT).fill(primaryColor);
+  doc.restore();
+  doc.fillColor(contrastColor(primaryColor)).font('Helvetica-Bold').fontSize(9);
+  drawRow(columns.map(column => column.label), y, true);
+  y += ROW_HEIGHT;
+
+  doc.fillColor('#111827').font('Helvetica').fontSize(9);
+  for (const row of rows) {
+    drawRow(row, y, false);
+    y += ROW_HEIGHT;
+  }
+
+  doc.x = x;
+  doc.y = y + 10;
+}
+
+/**
+ * Draw the dugout card
+ * @param {PDFDocument} doc
+ * @param {Object} card
+ * @param {Object} info
+ * @param {string} primaryColor
+ */
+function drawDugoutPdf(doc, card, info, primaryColor) {
+  const width = doc.page.width - MARGIN * 2;
+  const starter = card.opposing_starter;
+  const pitcher = card.starting_pitcher;
+  const mark = value => (value === true ? 'Y' : value === false ? '-' : '');
+
+  doc.save();
+  doc.rect(0, 0, doc.page.width, 64).fill(primaryColor);
+  doc.restore();
+  doc.fillColor(contrastColor(primaryColor)).font('Helvetica-Bold').fontSize(18)
+    .text(`${info.teamName} vs ${info.opponent}`, MARGIN, 14, { width, lineBreak: false, ellipsis: true });
+  doc.font('Helvetica').fontSize(10)
+    .text(`${info.date} ${info.time}  |  ${info.side}${info.venue ? `  |  ${info.venue}` : ''}  |  ${card.use_dh ? 'DH' : 'No DH'}`, MARGIN, 40, { width });
+
+  doc.fillColor('#374151').fontSize(10)
+    .text(`Opposing starter: ${starter.name || 'TBA'} ${armLabel(starter.throws)}`, MARGIN, 80);
+  doc.moveDown(0.8);
+
+  const section = (title) => {
+    doc.fillColor(primaryColor).font('Helvetica-Bold').fontSize(12).text(title, MARGIN, doc.y);
+    doc.moveDown(0.3);
+  };
+
+  section('Batting Order');
+  drawPdfTable(doc, {
+    x: MARGIN,
+    width,
+    columns: [
+      { label: '#', width: 1, align: 'center' },
+      { label: 'No.', width: 1, align: 'center' },
+      { label: 'Name', width: 6 },
+      { label: 'Pos', width: 1.5 },
+      { label: 'Bats', width: 1, align: 'center' },
+      { label: 'Adv', width: 1, align: 'center' }
+    ],
+    rows: card.batting_order.map(entry => [entry.slot, entry.jersey_number, entry.name, entry.position, entry.bats, mark(entry.platoon_advantage)])
+  }, primaryColor);
+
+  section('Starting Pitcher');
+  doc.fillColor('#111827').font('Helvetica').fontSize(10)
+    .text(pitcher ? `#${pitcher.jersey_number ?? ''} ${pitcher.name} ${armLabel(pitcher.throws)}` : 'TBA', MARGIN, doc.y);
+  doc.moveDown(1);
+
+  const columnWidth = (width - 16) / 2;
+  const top = doc.y;
+  section('Bench');
+  drawPdfTable(doc, {
+    x: MARGIN,
+    width: columnWidth,
+    columns: [{ label: 'No.', width: 1, align: 'center' }, { label: 'Name', width: 5 }, { label: 'Pos', width: 1.2 }, { label: 'Bats', width: 1, align: 'center' }],
+    rows: card.bench.map(player => [player.jersey_number, player.name, player.position, player.bats])
+  }, primaryColor);
+  const benchBottom = doc.y;
+
+  doc.y = top;
+  doc.fillColor(primaryColor).font('Helvetica-Bold').fontSize(12).text('Bullpen', MARGIN + columnWidth + 16, top);
+  doc.moveDown(0.3);
+  drawPdfTable(doc, {
+    x: MARGIN + columnWidth + 16,
+    width: columnWidth,
+    columns: [{ label: 'No.', width: 1, align: 'center' }, { label: 'Name', width: 5 }, { label: 'Throws', width: 1.4, align: 'center' }],
+    rows: card.bullpen.map(player => [player.jersey_number, player.name, player.throws])
+  }, primaryColor);
+
+  doc.y = Math.max(benchBottom, doc.y);
+  if (card.notes) {
+    section('Notes');
+    doc.fillColor('#111827').font('Helvetica').fontSize(10).text(card.notes, MARGIN, doc.y, { width });
+  }
+}
+
+/**
+ * Draw the three-copy umpire exchange card
+ * @param {PDFDocument} doc
+ * @param {Object} card
+ * @param {Object} info
+ * @param {string} primaryColor
+ */
+function drawExchangePdf(doc, card, info, primaryColor) {
+  const gap = 14;
+  const copyWidth = (doc.page.width - MARGIN * 2 - gap * (EXCHANGE_COPIES.length - 1)) / EXCHANGE_COPIES.length;
+  const copyHeight = doc.page.height - MARGIN * 2;
+
+  EXCHANGE_COPIES.forEach((copy, index) => {
+    const x = MARGIN + index * (copyWidth + gap);
+    const inner = copyWidth - 12;
+
+    doc.save();
+    doc.lineWidth(1).rect(x, MARGIN, copyWidth, copyHeight).stroke('#111827');
+    doc.restore();
+
+    doc.fillColor('#6B7280').font('Helvetica-Bold').fontSize(8)
+      .text(copy.toUpperCase(), x + 6, MARGIN + 6, { width: inner, characterSpacing: 1 });
+    doc.fillColor('#111827').font('Helvetica-Bold').fontSize(12)
+      .text(`${info.teamName} (${info.side})`, x + 6, MARGIN + 18, { width: inner, lineBreak: false, ellipsis: true });
+    doc.font('Helvetica').fontSize(9)
+      .text(`vs ${info.opponent}  |  ${info.date}`, x + 6, MARGIN + 34, { width: inner, lineBreak: false, ellipsis: true });
+
+    doc.y = MARGIN + 52;
+    drawPdfTable(doc, {
+      x: x + 6,
+      width: inner,
+      columns: [{ label: '#', width: 1, align: 'center' }, { label: 'No.', width: 1.2, align: 'center' }, { label: 'Starting Lineup', width: 6 }, { label: 'Pos', width: 1.8 }],
+      rows: card.batting_order.map(entry => [entry.slot, entry.jersey_number, entry.name, entry.position])
+    }, primaryColor);
+
+    drawPdfTable(doc, {
+      x: x + 6,
+      width: inner,
+      columns: [{ label: 'No.', width: 1.2, align: 'center' }, { label: 'Substitutes', width: 8 }],
+      rows: substitutes(card).map(player => [player.jersey_number, player.name])
+    }, primaryColor);
+
+    const lineY = MARGIN + copyHeight - 24;
+    doc.save();
+    doc.lineWidth(0.5).moveTo(x + 6, lineY).lineTo(x + copyWidth - 6, lineY).stroke('#111827');
+    doc.restore();
+    doc.fillColor('#374151').font('Helvetica').fontSize(8).text('Head Coach', x + 6, lineY + 3, { width: inner });
+  });
+}
+
+/**
+ * Render a lineup card as a PDF.
+ * The returned document has already been finalized (doc.end() called); pipe it
+ * to the response or another writable stream to consume it.
+ *
+ * @param {Object} card - Lineup card from lineupService.formatLineupCard
+ * @param {Object} options
+ * @param {Object} options.game - Game
+ * @param {Object} options.team - Team (name, program_name, primary_color)
+ * @param {string} [options.type='dugout'] - 'dugout' (portrait) or 'exchange' (landscape, three copies)
+ * @returns {PDFDocument} Readable stream of PDF bytes
+ */
+function renderLineupCardPdf(card, options) {
+  const { game, team } = options;
+  const type = options.type === 'exchange' ? 'exchange' : 'dugout';
+  const info = describeGame(game, team);
+  const primaryColor = normalizeColor(team.primary_color);
+
+  const doc = new PDFDocument({
+    size: 'LETTER',
+    layout: type === 'exchange' ? 'landscape' : 'portrait',
+    margin: MARGIN,
+    info: {
+      Title: `${info.teamName} vs ${info.opponent} - ${type === 'exchange' ? 'Lineup Exchange Card' : 'Lineup Card'}`,
+      Author: info.teamName
+    }
+  });
+
+  if (type === 'exchange') {
+    drawExchangePdf(doc, card, info, primaryColor);
+  } else {
+    drawDugoutPdf(doc, card, info, primaryColor);
+  }
+
+  doc.end();
+  return doc;
+}
+
+module.exports = {
+  EXCHANGE_COPIES,
+  escapeHtml,
+  renderLineupCardHtml,
+  renderLineupCardPdf
+};
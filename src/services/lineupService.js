@@ -0,0 +1,437 @@
+/**
+ * Lineup Service
+ *
+ * Builds and checks game-day lineups. A lineup is generated from a depth chart for a
+ * Game and then edited by the coaching staff before it is saved as the game's
+ * GameLineup and printed as a lineup card.
+ *
+ * Lineup rules enforced by validateLineup:
+ * - Batting order slots 1-9, each filled by a different active roster player
+ * - Each defensive position (C, 1B, 2B, 3B, SS, LF, CF, RF) played exactly once
+ * - With the DH: one DH in the order and the starting pitcher does not bat, unless
+ *   the pitcher is also the DH (NCAA two-way player, listed as P/DH)
+ * - Without the DH: the starting pitcher bats, listed at P
+ * - Bench and bullpen players are not already in the starting lineup
+ *
+ * Handedness: a hitter has the platoon advantage when batting from the opposite side
+ * to the opposing starter's throwing arm; switch hitters always have it.
+ *
+ * @module services/lineupService
+ */
+
+const { Player } = require('../models');
+
+/**
+ * Defensive positions that must each be filled once in the batting order
+ * @type {Array<string>}
+ */
+const FIELD_POSITIONS = ['C', '1B', '2B', '3B', 'SS', 'LF', 'CF', 'RF'];
+
+/**
+ * Depth chart position codes treated as pitchers, in the order the bullpen is listed
+ * @type {Array<string>}
+ */
+const PITCHER_CODES = ['SP', 'P', 'RP', 'CL'];
+
+/**
+ * Depth chart position codes checked for the starting pitcher, in priority order
+ * @type {Array<string>}
+ */
+const STARTER_CODES = ['SP', 'P'];
+
+/**
+ * Player attributes needed to build and print lineups
+ * @type {Array<string>}
+ */
+const ROSTER_ATTRIBUTES = [
+  'id', 'first_name', 'last_name', 'jersey_number', 'position', 'bats', 'throws',
+  'batting_avg', 'home_runs', 'rbi', 'stolen_bases', 'status'
+];
+
+/**
+ * Normalize a handedness value to L, R or S
+ * @param {string} [value] - e.g. 'R', 'left', 'S', 'B' (both)
+ * @returns {string|null}
+ */
+function normalizeHand(value) {
+  const hand = String(value || '').trim().charAt(0).toUpperCase();
+  if (hand === 'B') {
+    return 'S';
+  }
+  return ['L', 'R', 'S'].includes(hand) ? hand : null;
+}
+
+/**
+ * Whether a hitter has the platoon advantage against a pitcher
+ * @param {string} bats - Hitter's batting side (L/R/S)
+ * @param {string} throws - Pitcher's throwing arm (L/R)
+ * @returns {boolean|null} null when either side is unknown
+ */
+function hasPlatoonAdvantage(bats, throws) {
+  const batSide = normalizeHand(bats);
+  const arm = normalizeHand(throws);
+  if (!batSide || !arm || arm === 'S') {
+    return null;
+  }
+  return batSide === 'S' || batSide !== arm;
+}
+
+/**
+ * Format a player's display name
+ * @param {Object} player
+ * @returns {string}
+ */
+function playerName(player) {
+  return `${player.first_name} ${player.last_name}`;
+}
+
+/**
+ * Load a team's active players
+ * @param {number} teamId
+ * @returns {Promise<Array<Object>>}
+ */
+function getActiveRoster(teamId) {
+  return Player.findAll({
+    where: { team_id: teamId, status: 'active' },
+    attributes: ROSTER_ATTRIBUTES,
+    order: [['last_name', 'ASC'], ['first_name', 'ASC']]
+  });
+}
+
+/**
+ * Arrange nine hitters into a suggested batting order:
+ * - the two best batting averages hit 1-2, the better base stealer leading off
+ * - the three biggest run producers (home runs, then RBI) of the rest hit 3-5, with
+ *   the most home runs in the cleanup spot
+ * - the rest by batting average, with a hitting pitcher always ninth
+ *
+ * @param {Array<Object>} hitters - [{ player, position }]
+ * @returns {Array<Object>} Same entries in batting order
+ */
+function suggestBattingOrder(hitters) {
+  const avg = entry => Number(entry.player.batting_avg) || 0;
+  const power = entry => (entry.player.home_runs || 0) * 1000 + (entry.player.rbi || 0);
+  const byAvg = (a, b) => avg(b) - avg(a);
+
+  const pitcher = hitters.find(entry => entry.position === 'P');
+  const remaining = hitters.filter(entry => entry !== pitcher).sort(byAvg);
+
+  const tableSetters = remaining.splice(0, 2)
+    .sort((a, b) => (b.player.stolen_bases || 0) - (a.player.stolen_bases || 0));
+  const runProducers = remaining.sort((a, b) => power(b) - power(a)).splice(0, 3);
+  const middle = [runProducers[1], runProducers[0], runProducers[2]].filter(Boolean);
+  const bottom = remaining.sort(byAvg);
+
+  return [...tableSetters, ...middle, ...bottom, ...(pitcher ? [pitcher] : [])];
+}
+
+/**
+ * Generate a proposed lineup from a depth chart.
+ *
+ * Each defensive position goes to the highest active player at that position on the
+ * chart who is not already in the lineup. Platoon: when the first choice lacks the
+ * platoon advantage against the opposing starter and the next player on the chart
+ * has it, the next player starts. Positions missing from the chart fall back to
+ * roster players listed at that position (OF covers LF/CF/RF).
+ *
+ * @param {Object} options
+ * @param {Object} options.chart - Depth chart snapshot (depthChartHistoryService.buildSnapshot)
+ * @param {Array<Object>} options.roster - Active players (getActiveRoster)
+ * @param {boolean} [options.useDh=true] - Whether the game uses the designated hitter
+ * @param {string} [options.opposingThrows] - Opposing starter's throwing arm (L/R)
+ * @returns {Object} { use_dh, starting_pitcher_id, batting_order, bench, bullpen, platoon }
+ */
+function generateLineup({ chart, roster, useDh = true, opposingThrows = null }) {
+  const rosterById = new Map(roster.map(player => [player.id, player]));
+  const used = new Set();
+  const platoon = [];
+
+  // Depth chart players by position code, best first, limited to the active roster
+  const chartPlayers = {};
+  for (const position of (chart && chart.positions) || []) {
+    const code = String(position.position_code || '').toUpperCase();
+    const players = [...(position.players || [])]
+      .sort((a, b) => a.depth_order - b.depth_order)
+      .map(entry => rosterById.get(entry.player_id))
+      .filter(Boolean);
+    chartPlayers[code] = [...(chartPlayers[code] || []), ...players];
+  }
+
+  const rosterFallback = (code) => roster.filter(player =>
+    player.position === code || (player.position === 'OF' && ['LF', 'CF', 'RF'].includes(code))
+  );
+
+  const pick = (code) => {
+    let candidates = (chartPlayers[code] || []).filter(player => !used.has(player.id));
+    if (candidates.length === 0) {
+      candidates = rosterFallback(code).filter(player => !used.has(player.id));
+    }
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    let choice = candidates[0];
+    if (opposingThrows && candidates[1] &&
+      hasPlatoonAdvantage(choice.bats, opposingThrows) === false &&
+      hasPlatoonAdvantage(candidates[1].bats, opposingThrows) === true) {
+      platoon.push({ position: code, starter: candidates[1].id, instead_of: choice.id });
+      choice = candidates[1];
+    }
+    used.add(choice.id);
+    return choice;
+  };
+
+  const starter = STARTER_CODES.map(code => (chartPlayers[code] || [])[0]).find(Boolean) ||
+    roster.find(player => player.position === 'P') || null;
+  if (starter) {
+    used.add(starter.id);
+  }
+
+  const hitters = [];
+  for (const code of FIELD_POSITIONS) {
+    const player = pick(code);
+    if (player) {
+      hitters.push({ player, position: code });
+    }
+  }
+
+  if (useDh) {
+    let dh = pick('DH');
+    if (!dh) {
+      // Best remaining bat among position players
+      dh = roster
+        .filter(player => !used.has(player.id) && player.position !== 'P')
+        .sort((a, b) => (Number(b.batting_avg) || 0) - (Number(a.batting_avg) || 0))[0] || null;
+      if (dh) {
+        used.add(dh.id);
+      }
+    }
+    if (dh) {
+      hitters.push({ player: dh, position: 'DH' });
+    }
+  } else if (starter) {
+    hitters.push({ player: starter, position: 'P' });
+  }
+
+  const battingOrder = suggestBattingOrder(hitters).map((entry, index) => ({
+    slot: index + 1,
+    player_id: entry.player.id,
+    position: entry.position
+  }));
+
+  const pitcherIds = new Set(roster.filter(player => player.position === 'P').map(player => player.id));
+  const bullpen = [];
+  for (const code of PITCHER_CODES) {
+    for (const player of chartPlayers[code] || []) {
+      pitcherIds.add(player.id);
+      if (!used.has(player.id) && !bullpen.includes(player.id)) {
+        bullpen.push(player.id);
+      }
+    }
+  }
+  for (const player of roster) {
+    if (pitcherIds.has(player.id) && !used.has(player.id) && !bullpen.includes(player.id)) {
+      bullpen.push(player.id);
+    }
+  }
+
+  const bench = roster
+    .filter(player => !used.has(player.id) && !pitcherIds.has(player.id))
+    .map(player => player.id);
+
+  return {
+    use_dh: Boolean(useDh),
+    starting_pitcher_id: starter ? starter.id : null,
+    batting_order: battingOrder,
+    bench,
+    bullpen,
+    platoon
+  };
+}
+
+/**
+ * Check a lineup against the batting order, DH and roster rules
+ *
+ * @param {Object} lineup - { use_dh, starting_pitcher_id, batting_order, bench, bullpen, opposing_starter_throws }
+ * @param {Map<number, Object>} rosterById - Active players by ID
+ * @returns {{valid: boolean, errors: Array<string>, warnings: Array<string>}}
+ */
+function validateLineup(lineup, rosterById) {
+  const errors = [];
+  const warnings = [];
+  const order = lineup.batting_order || [];
+  const name = id => (rosterById.get(id) ? playerName(rosterById.get(id)) : `Player ${id}`);
+
+  if (order.length !== 9) {
+    errors.push(`Batting order must have 9 hitters (has ${order.length})`);
+  }
+
+  const slots = order.map(entry => entry.slot);
+  for (let slot = 1; slot <= 9; slot++) {
+    const count = slots.filter(s => s === slot).length;
+    if (count === 0 && order.length === 9) {
+      errors.push(`Batting order slot ${slot} is empty`);
+    } else if (count > 1) {
+      errors.push(`Batting order slot ${slot} is used more than once`);
+    }
+  }
+
+  const hitterIds = new Set();
+  for (const entry of order) {
+    if (hitterIds.has(entry.player_id)) {
+      errors.push(`${name(entry.player_id)} appears more than once in the batting order`);
+    }
+    hitterIds.add(entry.player_id);
+  }
+
+  const lineupIds = [...hitterIds, lineup.starting_pitcher_id, ...(lineup.bench || []), ...(lineup.bullpen || [])]
+    .filter(id => id !== null && id !== undefined);
+  for (const id of new Set(lineupIds)) {
+    if (!rosterById.has(id)) {
+      errors.push(`Player ${id} is not on the active roster`);
+    }
+  }
+
+  for (const code of FIELD_POSITIONS) {
+    const count = order.filter(entry => entry.position === code).length;
+    if (count === 0) {
+      errors.push(`No player is playing ${code}`);
+    } else if (count > 1) {
+      errors.push(`More than one player is playing ${code}`);
+    }
+  }
+
+  const starterId = lineup.starting_pitcher_id;
+  if (!starterId) {
+    errors.push('A starting pitcher is required');
+  }
+
+  const dhEntries = order.filter(entry => entry.position === 'DH');
+  const pitcherEntries = order.filter(entry => entry.position === 'P');
+  if (lineup.use_dh) {
+    if (dhEntries.length !== 1) {
+      errors.push('A lineup using the DH must have exactly one DH in the batting order');
+    }
+    if (pitcherEntries.length > 0) {
+      errors.push('The pitcher does not bat when the DH is used (list a two-way player at DH)');
+    }
+    for (const entry of order) {
+      if (entry.player_id === starterId && entry.position !== 'DH') {
+        errors.push(`${name(starterId)} is the starting pitcher and can only bat as the DH`);
+      }
+    }
+  } else {
+    if (dhEntries.length > 0) {
+      errors.push('A lineup without the DH cannot list a DH');
+    }
+    if (pitcherEntries.length !== 1 || (starterId && pitcherEntries[0].player_id !== starterId)) {
+      errors.push('Without the DH the starting pitcher must bat, listed at P');
+    }
+  }
+
+  const others = order.filter(entry => ![...FIELD_POSITIONS, 'DH', 'P'].includes(entry.position));
+  for (const entry of others) {
+    errors.push(`${name(entry.player_id)} has an invalid position "${entry.position}"`);
+  }
+
+  for (const id of lineup.bench || []) {
+    if (hitterIds.has(id) || id === starterId) {
+      errors.push(`${name(id)} is in the starting lineup and cannot also be on the bench`);
+    }
+  }
+  for (const id of lineup.bullpen || []) {
+    if (id === starterId) {
+      errors.push(`${name(id)} is the starting pitcher and cannot also be in the bullpen`);
+    } else if (hitterIds.has(id)) {
+      warnings.push(`${name(id)} is in the batting order and also listed in the bullpen`);
+    }
+  }
+
+  const throws = lineup.opposing_starter_throws;
+  if (throws && order.length > 0) {
+    const withoutAdvantage = order.filter(entry => {
+      const player = rosterById.get(entry.player_id);
+      return player && hasPlatoonAdvantage(player.bats, throws) === false;
+    });
+    if (withoutAdvantage.length > order.length / 2) {
+      warnings.push(`${withoutAdvantage.length} of ${order.length} hitters bat from the same side as the ${throws === 'L' ? 'left' : 'right'}-handed starter`);
+    }
+  }
+
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * Expand a lineup's player IDs into the details printed on lineup cards
+ *
+ * @param {Object} lineup - GameLineup or generated lineup
+ * @param {Map<number, Object>} rosterById - Players by ID
+ * @returns {Object} Lineup card with batting_order, starting_pitcher, bench, bullpen
+ *   and a handedness summary against the opposing starter
+ */
+function formatLineupCard(lineup, rosterById) {
+  const throws = normalizeHand(lineup.opposing_starter_throws);
+  const describe = (id) => {
+    const player = rosterById.get(id);
+    return {
+      player_id: id,
+      name: player ? playerName(player) : 'Unknown',
+      jersey_number: player ? player.jersey_number : null,
+      bats: player ? normalizeHand(player.bats) : null,
+      throws: player ? normalizeHand(player.throws) : null
+    };
+  };
+
+  const battingOrder = [...(lineup.batting_order || [])]
+    .sort((a, b) => a.slot - b.slot)
+    .map(entry => {
+      const details = describe(entry.player_id);
+      const twoWay = lineup.use_dh && entry.player_id === lineup.starting_pitcher_id;
+      return {
+        slot: entry.slot,
+        ...details,
+        position: twoWay ? 'P/DH' : entry.position,
+        platoon_advantage: hasPlatoonAdvantage(details.bats, throws)
+      };
+    });
+
+  const handedness = { opposing_throws: throws, with_advantage: 0, without_advantage: 0, unknown: 0 };
+  for (const entry of battingOrder) {
+    if (entry.platoon_advantage === true) {
+      handedness.with_advantage++;
+    } else if (entry.platoon_advantage === false) {
+      handedness.without_advantage++;
+    } else {
+      handedness.unknown++;
+    }
+  }
+
+  return {
+    use_dh: Boolean(lineup.use_dh),
+    opposing_starter: {
+      name: lineup.opposing_starter_name || null,
+      throws
+    },
+    batting_order: battingOrder,
+    starting_pitcher: lineup.starting_pitcher_id ? describe(lineup.starting_pitcher_id) : null,
+    bench: (lineup.bench || []).map(id => {
+      const player = rosterById.get(id);
+      return { ...describe(id), position: player ? player.position : null };
+    }),
+    bullpen: (lineup.bullpen || []).map(describe),
+    handedness,
+    notes: lineup.notes || null
+  };
+}
+
+module.exports = {
+  FIELD_POSITIONS,
+  PITCHER_CODES,
+  normalizeHand,
+  hasPlatoonAdvantage,
+  getActiveRoster,
+  suggestBattingOrder,
+  generateLineup,
+  validateLineup,
+  formatLineupCard
+};
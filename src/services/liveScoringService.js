@@ -0,0 +1,1432 @@
+/**
+ * Live Scoring Service
+ *
+ * Pitch-by-pitch scoring for games that have no PrestoSports feed (scrimmages, fall
+ * ball, summer league). The scorer records an ordered log of GameScoringEvent rows:
+ *
+ * - start: both lineups and starting pitchers, regulation innings and DH
+ * - pitch: ball, called/swinging strike, foul, hit by pitch or ball in play
+ * - play: the result of a plate appearance, with fielders and runner movement
+ * - runner: movement between pitches (stolen base, caught stealing, wild pitch, ...)
+ * - substitution: pinch hitter/runner, defensive replacement, pitching or position change
+ * - final: the game is over
+ *
+ * The game state is never stored; it is rebuilt by replaying the log, so undo is
+ * deleting the last event. After every change the game's score, play-by-play (in the
+ * shape parsed from Presto XML, including the line score and classified events) and
+ * the team's GameStatistic rows are rewritten from the replayed state.
+ *
+ * Runner movement: runners listed on an event move as listed; runners not listed hold
+ * their base unless the batter (or a runner behind them) needs it, in which case they
+ * move up just far enough. Wild pitches, passed balls and balks move every runner up
+ * one base when no runners are listed.
+ *
+ * Scoring rules applied: runs are unearned when the runner reached on an error or
+ * catcher's interference, or scored on an error or passed ball. The winning pitcher is
+ * the team's pitcher of record when it took the lead for good (a starter needs five
+ * innings, four in a seven-inning game, or the win goes to the first reliever) and the
+ * losing pitcher is charged with the go-ahead run. Saves and holds are not assigned.
+ *
+ * @module services/liveScoringService
+ */
+
+const { sequelize, GameLineup, GameScoringEvent, GameStatistic, Player, Team } = require('../models');
+const { classifyPlayByPlay } = require('../utils/playOutcomeClassifier');
+
+/** @type {Array<string>} */
+const EVENT_TYPES = ['start', 'pitch', 'play', 'runner', 'substitution', 'final'];
+
+/** @type {Array<string>} */
+const PITCH_RESULTS = ['ball', 'called_strike', 'swinging_strike', 'foul', 'in_play', 'hit_by_pitch'];
+
+/**
+ * Plate appearance results, using the play-by-play classifier's codes
+ * @type {Array<string>}
+ */
+const PLAY_RESULTS = ['1B', '2B', '3B', 'HR', 'GO', 'FO', 'LO', 'PO', 'SF', 'SH', 'FC', 'E', 'CI', 'BB', 'IBB', 'HBP', 'KS', 'KL'];
+
+/** @type {Array<string>} */
+const RUNNER_REASONS = ['SB', 'CS', 'PK', 'WP', 'PB', 'BK', 'E', 'ADV'];
+
+/** @type {Array<string>} */
+const SUBSTITUTION_KINDS = ['pinch_hitter', 'pinch_runner', 'defensive', 'pitcher', 'position_change'];
+
+/** @type {Array<string>} */
+const POSITIONS = ['P', 'C', '1B', '2B', '3B', 'SS', 'LF', 'CF', 'RF', 'DH'];
+
+/**
+ * Where a batted ball went: a fielder or a spray zone
+ * @type {Array<string>}
+ */
+const LOCATIONS = [...POSITIONS.filter(position => position !== 'DH'), 'LC', 'RC', 'MID', 'LS', 'RS'];
+
+const LOCATION_WORDS = { LC: 'left center', RC: 'right center', LS: 'left side', RS: 'right side' };
+const BASE_NAMES = { 1: 'first', 2: 'second', 3: 'third', 4: 'home' };
+const HIT_BASES = { '1B': 1, '2B': 2, '3B': 3, HR: 4 };
+const REACH_CODES = ['BB', 'IBB', 'HBP', 'CI', 'E', 'FC'];
+const NOT_AT_BAT_CODES = ['BB', 'IBB', 'HBP', 'SH', 'SF', 'CI'];
+const STRIKE_PITCHES = ['called_strike', 'swinging_strike', 'foul', 'in_play'];
+const SEQUENCE_LETTERS = { ball: 'B', called_strike: 'K', swinging_strike: 'S', foul: 'F' };
+
+const BATTING_FIELDS = [
+  'at_bats', 'runs', 'hits', 'doubles', 'triples', 'home_runs', 'rbi', 'walks', 'strikeouts_batting',
+  'stolen_bases', 'caught_stealing', 'hit_by_pitch', 'sacrifice_flies', 'sacrifice_bunts'
+];
+const PITCHING_FIELDS = [
+  'hits_allowed', 'runs_allowed', 'earned_runs', 'walks_allowed', 'strikeouts_pitching',
+  'home_runs_allowed', 'batters_faced', 'pitches_thrown', 'strikes_thrown'
+];
+const FIELDING_FIELDS = ['putouts', 'assists', 'errors'];
+
+/**
+ * A player as the scorer sees them
+ * @param {Object} player - Player row
+ * @returns {Object} { key, player_id, name, listed_name, jersey_number }
+ */
+function teamEntry(player) {
+  return {
+    key: `player:${player.id}`,
+    player_id: player.id,
+    name: `${player.first_name} ${player.last_name}`,
+    listed_name: `${player.last_name}, ${player.first_name}`,
+    jersey_number: player.jersey_number !== null && player.jersey_number !== undefined ? String(player.jersey_number) : null
+  };
+}
+
+/**
+ * An opponent player, known by name and/or jersey number
+ * @param {Object} player - { name, jersey_number }
+ * @returns {Object} { key, player_id, name, listed_name, jersey_number }
+ */
+function opponentEntry(player) {
+  const jersey = player.jersey_number !== null && player.jersey_number !== undefined && player.jersey_number !== '' ? String(player.jersey_number) : null;
+  const name = (player.name || '').trim() || `#${jersey}`;
+  return { key: `opponent:${jersey || ''}:${name}`, player_id: null, name, listed_name: name, jersey_number: jersey };
+}
+
+/**
+ * Position code as written in narratives ("ss", "left center")
+ * @param {string} position
+ * @returns {string}
+ */
+function locationWord(position) {
+  return LOCATION_WORDS[position] || position.toLowerCase();
+}
+
+/**
+ * Convert outs to baseball innings notation (17 outs = 5.2)
+ * @param {number} outs
+ * @returns {number}
+ */
+function outsToInnings(outs) {
+  return Math.floor(outs / 3) + (outs % 3) / 10;
+}
+
+function battingSideOf(state) {
+  return state.half === 'top' ? 'away' : 'home';
+}
+
+function fieldingSideOf(state) {
+  return state.half === 'top' ? 'home' : 'away';
+}
+
+/**
+ * Stat line for a player, created on first use
+ * @param {Object} state
+ * @param {Object} entry - teamEntry/opponentEntry output
+ * @param {string} side - 'home' or 'away'
+ * @returns {Object}
+ */
+function statLine(state, entry, side) {
+  if (!state.stats.has(entry.key)) {
+    const line = { entry, side, position_played: null, outs: 0, win: false, loss: false };
+    for (const field of [...BATTING_FIELDS, ...PITCHING_FIELDS, ...FIELDING_FIELDS]) {
+      line[field] = 0;
+    }
+    state.stats.set(entry.key, line);
+  }
+  return state.stats.get(entry.key);
+}
+
+/**
+ * Build a side's lineup from the start event
+ * @returns {Object|string} Side state, or an error message
+ */
+function createSide(state, side, isTeam, name, lineup, pitcher) {
+  const slots = new Set(lineup.map(spot => spot.slot));
+  if (lineup.length !== 9 || slots.size !== 9 || [...slots].some(slot => slot < 1 || slot > 9)) {
+    return `The ${isTeam ? 'team' : 'opponent'} batting order needs one player in each slot 1-9`;
+  }
+  if (new Set(lineup.map(spot => spot.entry.key)).size !== 9) {
+    return `A player is listed twice in the ${isTeam ? 'team' : 'opponent'} batting order`;
+  }
+
+  const sideState = {
+    side,
+    is_team: isTeam,
+    name,
+    lineup: [...lineup].sort((a, b) => a.slot - b.slot).map(spot => ({ slot: spot.slot, entry: spot.entry, position: spot.position || null })),
+    starters: new Map(lineup.map(spot => [spot.entry.key, spot.slot])),
+    removed: new Set(),
+    reentered: new Set(),
+    pitcher,
+    pitchers: [pitcher.key],
+    defense: new Map(),
+    batter_index: 0,
+    line: { innings: [], runs: 0, hits: 0, errors: 0, left_on_base: 0 }
+  };
+
+  for (const spot of sideState.lineup) {
+    if (spot.position && spot.position !== 'DH') {
+      sideState.defense.set(spot.position, spot.entry);
+    }
+    statLine(state, spot.entry, side).position_played = spot.position;
+  }
+  sideState.defense.set('P', pitcher);
+  const pitcherLine = statLine(state, pitcher, side);
+  pitcherLine.position_played = pitcherLine.position_played || 'P';
+  return sideState;
+}
+
+/**
+ * Initial state from the start event
+ * @param {Object} payload - Start event payload
+ * @param {Object} context - { home_away, team_name, opponent_name, players: Map }
+ * @returns {Object|string} State, or an error message
+ */
+function createState(payload, context) {
+  const teamSide = context.home_away === 'away' ? 'away' : 'home';
+  const opponentSide = teamSide === 'home' ? 'away' : 'home';
+  const state = {
+    regulation_innings: payload.innings || 9,
+    use_dh: payload.use_dh !== false,
+    team_side: teamSide,
+    sides: {},
+    inning: 1,
+    half: 'top',
+    outs: 0,
+    balls: 0,
+    strikes: 0,
+    sequence: '',
+    in_play: false,
+    final: false,
+    bases: [null, null, null],
+    innings: [],
+    half_totals: { runs: 0, hits: 0, errors: 0, plate_appearances: 0 },
+    stats: new Map(),
+    go_ahead: null,
+    last_play: null
+  };
+
+  const team = payload.team || {};
+  if (!team.pitcher_id) {
+    return 'The team starting pitcher is required';
+  }
+  for (const id of [...(team.batting_order || []).map(spot => spot.player_id), team.pitcher_id]) {
+    if (!context.players.has(parseInt(id, 10))) {
+      return `Player ${id} is not on the team roster`;
+    }
+  }
+  const teamLineup = (team.batting_order || []).map(spot => ({
+    slot: parseInt(spot.slot, 10),
+    entry: teamEntry(context.players.get(parseInt(spot.player_id, 10))),
+    position: spot.position
+  }));
+  const teamState = createSide(state, teamSide, true, context.team_name, teamLineup, teamEntry(context.players.get(parseInt(team.pitcher_id, 10))));
+  if (typeof teamState === 'string') {
+    return teamState;
+  }
+
+  const opponent = payload.opponent || {};
+  if (!opponent.pitcher) {
+    return 'The opponent starting pitcher is required';
+  }
+  const opponentLineup = (opponent.batting_order || []).map(spot => ({
+    slot: parseInt(spot.slot, 10),
+    entry: opponentEntry(spot),
+    position: spot.position
+  }));
+  const opponentState = createSide(state, opponentSide, false, context.opponent_name, opponentLineup, opponentEntry(opponent.pitcher));
+  if (typeof opponentState === 'string') {
+    return opponentState;
+  }
+
+  state.sides[teamSide] = teamState;
+  state.sides[opponentSide] = opponentState;
+  startHalf(state);
+  return state;
+}
+
+/**
+ * Open the play-by-play and line score entries for the current half-inning
+ * @param {Object} state
+ */
+function startHalf(state) {
+  const batting = state.sides[battingSideOf(state)];
+  batting.line.innings[state.inning - 1] = 0;
+  let inning = state.innings.find(entry => entry.inning === state.inning);
+  if (!inning) {
+    inning = { inning: state.inning, halves: [] };
+    state.innings.push(inning);
+  }
+  inning.halves.push({ team: batting.name, side: batting.side, plays: [], summary: null });
+  state.half_totals = { runs: 0, hits: 0, errors: 0, plate_appearances: 0 };
+}
+
+function currentHalf(state) {
+  const inning = state.innings[state.innings.length - 1];
+  return inning.halves[inning.halves.length - 1];
+}
+
+function closeHalf(state) {
+  const leftOnBase = state.bases.filter(Boolean).length;
+  state.sides[battingSideOf(state)].line.left_on_base += leftOnBase;
+  currentHalf(state).summary = {
+    runs: state.half_totals.runs,
+    hits: state.half_totals.hits,
+    errors: state.half_totals.errors,
+    left_on_base: leftOnBase
+  };
+}
+
+function resetCount(state) {
+  state.balls = 0;
+  state.strikes = 0;
+  state.sequence = '';
+  state.in_play = false;
+}
+
+/**
+ * Move to the next half-inning once the third out is made
+ * @param {Object} state
+ */
+function endHalfIfOver(state) {
+  if (state.outs < 3) {
+    return;
+  }
+  closeHalf(state);
+  state.bases = [null, null, null];
+  state.outs = 0;
+  resetCount(state);
+  if (state.half === 'top') {
+    state.half = 'bottom';
+  } else {
+    state.half = 'top';
+    state.inning += 1;
+  }
+  startHalf(state);
+}
+
+/**
+ * Record a run for the batting side, charging the responsible pitcher
+ * @param {Object} state
+ * @param {Object} runner - Base runner { entry, pitcher, unearned }
+ * @param {boolean} unearned - Whether the play itself makes the run unearned
+ */
+function scoreRun(state, runner, unearned) {
+  const battingSide = battingSideOf(state);
+  const batting = state.sides[battingSide];
+  const fielding = state.sides[fieldingSideOf(state)];
+  const wasTied = batting.line.runs === fielding.line.runs;
+
+  batting.line.runs += 1;
+  batting.line.innings[state.inning - 1] += 1;
+  state.half_totals.runs += 1;
+  statLine(state, runner.entry, battingSide).runs += 1;
+
+  const pitcherLine = statLine(state, runner.pitcher, fieldingSideOf(state));
+  pitcherLine.runs_allowed += 1;
+  if (!unearned && !runner.unearned) {
+    pitcherLine.earned_runs += 1;
+  }
+
+  if (wasTied) {
+    state.go_ahead = { side: battingSide, winning_pitcher: batting.pitcher.key, losing_pitcher: runner.pitcher.key };
+  }
+}
+
+/**
+ * Credit putouts and assists for outs recorded by a chain of fielders
+ * @param {Object} state
+ * @param {Array<string>} fielders - Positions in the order the ball was handled
+ * @param {number} outs - Outs made by the chain
+ */
+function creditFielders(state, fielders, outs) {
+  if (fielders.length === 0 || outs === 0) {
+    return;
+  }
+  const fieldingSide = fieldingSideOf(state);
+  const defense = state.sides[fieldingSide].defense;
+  const credit = (position, field) => {
+    const entry = defense.get(position);
+    if (entry) {
+      statLine(state, entry, fieldingSide)[field] += 1;
+    }
+  };
+
+  new Set(fielders.slice(0, -1)).forEach(position => credit(position, 'assists'));
+  if (fielders.length === 1) {
+    for (let out = 0; out < outs; out++) {
+      credit(fielders[0], 'putouts');
+    }
+  } else {
+    fielders.slice(-Math.min(outs, fielders.length)).forEach(position => credit(position, 'putouts'));
+  }
+}
+
+/**
+ * Charge an error to a fielder
+ * @param {Object} state
+ * @param {string} [position]
+ */
+function chargeError(state, position) {
+  const fieldingSide = fieldingSideOf(state);
+  state.sides[fieldingSide].line.errors += 1;
+  state.half_totals.errors += 1;
+  const entry = position ? state.sides[fieldingSide].defense.get(position) : null;
+  if (entry) {
+    statLine(state, entry, fieldingSide).errors += 1;
+  }
+}
+
+/**
+ * Resolve where every runner ends up
+ *
+ * @param {Object} state
+ * @param {Array<Object>} listed - [{ from, to, out, fielders }] from the event
+ * @param {number} batterTo - Base the batter reaches (0 when out or no batter)
+ * @param {boolean} advanceAll - Move unlisted runners up one base (wild pitch, balk)
+ * @returns {Object|string} { moves: [{ runner, from, to, out, out_at, fielders }] }, or an error message
+ */
+function resolveRunners(state, listed, batterTo, advanceAll) {
+  const byBase = new Map();
+  for (const move of listed || []) {
+    const from = parseInt(move.from, 10);
+    if (!state.bases[from - 1]) {
+      return `There is no runner on ${BASE_NAMES[from]}`;
+    }
+    if (byBase.has(from)) {
+      return `The runner on ${BASE_NAMES[from]} is listed twice`;
+    }
+    const out = Boolean(move.out);
+    const to = move.to !== null && move.to !== undefined ? parseInt(move.to, 10) : (out ? from + 1 : from);
+    if (to < from || to > 4) {
+      return `The runner on ${BASE_NAMES[from]} cannot move to base ${to}`;
+    }
+    byBase.set(from, {
+      runner: state.bases[from - 1],
+      from,
+      to: out ? null : to,
+      out,
+      out_at: out ? Math.max(to, from) : null,
+      fielders: move.fielders || []
+    });
+  }
+
+  // Unlisted runners, trailing runner first, move up when the base behind them is taken
+  let occupied = batterTo;
+  for (let from = 1; from <= 3; from++) {
+    const runner = state.bases[from - 1];
+    if (!runner) {
+      continue;
+    }
+    if (byBase.has(from)) {
+      const move = byBase.get(from);
+      occupied = move.out ? occupied : Math.max(occupied, move.to);
+      continue;
+    }
+    let to = advanceAll ? from + 1 : from;
+    if (to <= occupied) {
+      to = occupied + 1;
+    }
+    byBase.set(from, { runner, from, to: Math.min(to, 4), out: false, out_at: null, fielders: [] });
+    occupied = Math.max(occupied, to);
+  }
+
+  const finishing = [...byBase.values()].filter(move => !move.out && move.to < 4).map(move => move.to);
+  if (batterTo > 0 && batterTo < 4) {
+    finishing.push(batterTo);
+  }
+  if (new Set(finishing).size !== finishing.length) {
+    return 'Two runners cannot finish on the same base';
+  }
+
+  return { moves: [...byBase.values()].sort((a, b) => b.from - a.from) };
+}
+
+/**
+ * Narrative clause for a runner's movement
+ * @param {Object} move - resolveRunners move
+ * @param {string} [reason] - Runner event reason
+ * @param {boolean} unearned
+ * @returns {string|null} null when the runner held
+ */
+function runnerClause(move, reason, unearned) {
+  const name = move.runner.entry.name;
+  const chain = move.fielders.length > 0 ? ` ${move.fielders.map(locationWord).join(' to ')}` : '';
+  if (move.out) {
+    const how = { CS: ', caught stealing', PK: ', picked off' }[reason] || '';
+    return `${name} out at ${BASE_NAMES[move.out_at]}${chain}${how}`;
+  }
+  if (move.to === move.from) {
+    return null;
+  }
+  const cause = {
+    WP: ' on a wild pitch',
+    PB: ' on a passed ball',
+    BK: ' on a balk',
+    E: ' on an error'
+  }[reason] || '';
+  if (reason === 'SB') {
+    return `${name} stole ${BASE_NAMES[move.to]}`;
+  }
+  if (move.to === 4) {
+    return `${name} scored${cause}${unearned ? ', unearned' : ''}`;
+  }
+  return `${name} advanced to ${BASE_NAMES[move.to]}${cause}`;
+}
+
+/**
+ * Runner as stored in Presto play-by-play
+ * @returns {Object} { name, uni, out, scored, to_base }
+ */
+function playRunner(entry, out, toBase) {
+  return {
+    name: entry.listed_name,
+    uni: entry.jersey_number,
+    out,
+    scored: toBase === 4,
+    to_base: out ? 0 : toBase
+  };
+}
+
+/**
+ * Move runners, score runs and update the bases after an event
+ * @returns {Object} { runs, outs, clauses, runners }
+ */
+function applyMoves(state, moves, reason, unearned) {
+  const bases = [null, null, null];
+  const clauses = [];
+  const runners = [];
+  let runs = 0;
+  let outs = 0;
+
+  for (const move of moves) {
+    const clause = runnerClause(move, reason, unearned || reason === 'E' || reason === 'PB');
+    if (clause) {
+      clauses.push(clause);
+    }
+    runners.push(playRunner(move.runner.entry, move.out, move.to));
+    if (move.out) {
+      outs += 1;
+    } else if (move.to === 4) {
+      scoreRun(state, move.runner, unearned || reason === 'E' || reason === 'PB');
+      runs += 1;
+    } else {
+      bases[move.to - 1] = move.runner;
+    }
+  }
+  state.bases = bases;
+  return { runs, outs, clauses, runners };
+}
+
+function recordPlay(state, play) {
+  currentHalf(state).plays.push(play);
+  state.last_play = play.narrative;
+}
+
+function countText(state) {
+  return `(${state.balls}-${state.strikes}${state.sequence ? ` ${state.sequence}` : ''})`;
+}
+
+/**
+ * Batter's result as written in a narrative ("doubled to left center")
+ * @returns {string}
+ */
+function describeResult(code, fielders, location, doublePlay, batterOut) {
+  const first = fielders.length > 0 ? ` to ${locationWord(fielders[0])}` : '';
+  const chain = fielders.map(locationWord).join(' to ');
+  const where = location ? (location === 'MID' ? ' up the middle' : ` to ${locationWord(location)}`) : '';
+  const intoDoublePlay = verb => `${verb} into double play${chain ? ` ${chain}` : ''}`;
+
+  switch (code) {
+    case '1B': return `singled${where}`;
+    case '2B': return `doubled${where}`;
+    case '3B': return `tripled${where}`;
+    case 'HR': return `homered${where}`;
+    case 'GO': return doublePlay ? intoDoublePlay('grounded') : `grounded out${first}`;
+    case 'FO': return doublePlay ? intoDoublePlay('flied') : `flied out${first}`;
+    case 'LO': return doublePlay ? intoDoublePlay('lined') : `lined out${first}`;
+    case 'PO': return doublePlay ? intoDoublePlay('popped') : `popped up${first}`;
+    case 'SF': return `flied out${first}, SF`;
+    case 'SH': return batterOut ? `grounded out${first}, SAC, bunt` : `reached on a fielder's choice${first}, SAC, bunt`;
+    case 'FC': return `reached on a fielder's choice${first}`;
+    case 'E': return `reached on an error by ${fielders.length > 0 ? locationWord(fielders[0]) : 'the defense'}`;
+    case 'CI': return 'reached on catcher\'s interference';
+    case 'BB': return 'walked';
+    case 'IBB': return 'intentionally walked';
+    case 'HBP': return 'hit by pitch';
+    case 'KS': return 'struck out swinging';
+    default: return 'struck out looking';
+  }
+}
+
+/**
+ * Complete the current plate appearance
+ *
+ * @param {Object} state
+ * @param {Object} payload - { result, fielders, location, runners, batter_to, reached_on, rbi }
+ * @returns {string|null} Error message, or null when applied
+ */
+function completePlateAppearance(state, payload) {
+  const code = payload.result;
+  if (!PLAY_RESULTS.includes(code)) {
+    return `Unknown play result ${code}`;
+  }
+
+  const battingSide = battingSideOf(state);
+  const fieldingSide = fieldingSideOf(state);
+  const batting = state.sides[battingSide];
+  const fielding = state.sides[fieldingSide];
+  const spot = batting.lineup[batting.batter_index];
+  const batter = spot.entry;
+  const pitcher = fielding.pitcher;
+  const fielders = payload.fielders || [];
+
+  let batterTo = HIT_BASES[code] || (REACH_CODES.includes(code) ? 1 : 0);
+  if (payload.batter_to !== null && payload.batter_to !== undefined) {
+    batterTo = parseInt(payload.batter_to, 10);
+  }
+  if (batterTo < 0 || batterTo > 4) {
+    return 'batter_to must be 0-4';
+  }
+  const batterOut = batterTo === 0;
+  const normalBase = HIT_BASES[code] || (REACH_CODES.includes(code) ? 1 : 0);
+  if (!batterOut && normalBase === 0 && !['KS', 'KL', 'SH'].includes(code)) {
+    return 'Use E or FC when the batter reaches on a ball in play';
+  }
+  if (batterOut && normalBase > 0) {
+    return `The batter cannot be out on ${code}; list the out as a runner out instead`;
+  }
+
+  const resolved = resolveRunners(state, payload.runners, batterTo, false);
+  if (typeof resolved === 'string') {
+    return resolved;
+  }
+  const runnerOuts = resolved.moves.filter(move => move.out).length;
+  const outs = (batterOut ? 1 : 0) + runnerOuts;
+  if (state.outs + outs > 3) {
+    return 'Too many outs on the play';
+  }
+  const runsOnPlay = resolved.moves.filter(move => !move.out && move.to === 4).length + (batterTo === 4 ? 1 : 0);
+  if (batterOut && state.outs + outs === 3 && runsOnPlay > 0) {
+    return 'Runs cannot score when the batter makes the third out';
+  }
+
+  // Batter and pitcher lines
+  const batterLine = statLine(state, batter, battingSide);
+  const pitcherLine = statLine(state, pitcher, fieldingSide);
+  const isHit = Boolean(HIT_BASES[code]);
+  const doublePlay = outs >= 2 && batterOut;
+  const unearned = code === 'E';
+
+  pitcherLine.batters_faced += 1;
+  if (!NOT_AT_BAT_CODES.includes(code)) {
+    batterLine.at_bats += 1;
+  }
+  if (isHit) {
+    batterLine.hits += 1;
+    pitcherLine.hits_allowed += 1;
+    batting.line.hits += 1;
+    state.half_totals.hits += 1;
+    batterLine.doubles += code === '2B' ? 1 : 0;
+    batterLine.triples += code === '3B' ? 1 : 0;
+    if (code === 'HR') {
+      batterLine.home_runs += 1;
+      pitcherLine.home_runs_allowed += 1;
+    }
+  }
+  if (code === 'BB' || code === 'IBB') {
+    batterLine.walks += 1;
+    pitcherLine.walks_allowed += 1;
+  }
+  if (code === 'HBP') {
+    batterLine.hit_by_pitch += 1;
+  }
+  if (code === 'KS' || code === 'KL') {
+    batterLine.strikeouts_batting += 1;
+    pitcherLine.strikeouts_pitching += 1;
+  }
+  if (code === 'SF') {
+    batterLine.sacrifice_flies += 1;
+  }
+  if (code === 'SH') {
+    batterLine.sacrifice_bunts += 1;
+  }
+
+  // Fielding: outs on the batter and runners thrown out without their own fielders
+  if (code === 'E') {
+    chargeError(state, fielders[0]);
+  } else if (code === 'CI') {
+    chargeError(state, 'C');
+  }
+  let chain = fielders;
+  if (['KS', 'KL'].includes(code)) {
+    chain = ['C'];
+  } else if (['GO', 'SH'].includes(code) && fielders.length === 1 && fielders[0] !== '1B' && batterOut && runnerOuts === 0) {
+    chain = [fielders[0], '1B'];
+  }
+  const unassignedOuts = (batterOut ? 1 : 0) + resolved.moves.filter(move => move.out && move.fielders.length === 0).length;
+  if (!['E', 'CI'].includes(code)) {
+    creditFielders(state, chain, unassignedOuts);
+  }
+  resolved.moves.filter(move => move.out && move.fielders.length > 0).forEach(move => creditFielders(state, move.fielders, 1));
+
+  // Narrative, written before runs change the score
+  const rbi = payload.rbi !== null && payload.rbi !== undefined
+    ? parseInt(payload.rbi, 10)
+    : (code === 'E' || doublePlay ? 0 : runsOnPlay);
+  let text = `${batter.name} ${describeResult(code, fielders, payload.location, doublePlay, batterOut)}`;
+  if (!batterOut && normalBase === 0 && code !== 'SH') {
+    text += `, reached first on ${payload.reached_on || 'a dropped third strike'}`;
+  } else if (batterTo > normalBase && normalBase > 0) {
+    text += batterTo === 4 ? ', scored' : `, advanced to ${BASE_NAMES[batterTo]} on the throw`;
+  }
+  if (rbi > 0) {
+    text += rbi === 1 ? ', RBI' : `, ${rbi} RBI`;
+  }
+  text += ` ${countText(state)}`;
+
+  batterLine.rbi += rbi;
+  const { clauses, runners } = applyMoves(state, resolved.moves, null, unearned);
+  const batterRunner = { entry: batter, pitcher, unearned: code === 'E' || code === 'CI' };
+  if (batterTo === 4) {
+    scoreRun(state, batterRunner, unearned);
+  } else if (batterTo > 0) {
+    state.bases[batterTo - 1] = batterRunner;
+  }
+
+  pitcherLine.outs += outs;
+  state.outs += outs;
+  state.half_totals.plate_appearances += 1;
+
+  recordPlay(state, {
+    batter: playRunner(batter, batterOut, batterTo),
+    runners,
+    narrative: `${[text, ...clauses].join('; ')}.`
+  });
+
+  batting.batter_index = (batting.batter_index + 1) % batting.lineup.length;
+  resetCount(state);
+  endHalfIfOver(state);
+  return null;
+}
+
+/**
+ * @returns {string|null} Error message
+ */
+function applyPitch(state, payload) {
+  const result = payload.result;
+  if (!PITCH_RESULTS.includes(result)) {
+    return `Unknown pitch result ${result}`;
+  }
+  if (state.in_play) {
+    return 'Record the result of the ball in play first';
+  }
+
+  const fieldingSide = fieldingSideOf(state);
+  const pitcherLine = statLine(state, state.sides[fieldingSide].pitcher, fieldingSide);
+  pitcherLine.pitches_thrown += 1;
+  if (STRIKE_PITCHES.includes(result)) {
+    pitcherLine.strikes_thrown += 1;
+  }
+
+  let error = null;
+  if (result === 'in_play') {
+    state.in_play = true;
+  } else if (result === 'hit_by_pitch') {
+    error = completePlateAppearance(state, { result: 'HBP' });
+  } else {
+    state.sequence += SEQUENCE_LETTERS[result];
+    if (result === 'ball' && state.balls === 3) {
+      error = completePlateAppearance(state, { result: 'BB' });
+    } else if (['called_strike', 'swinging_strike'].includes(result) && state.strikes === 2) {
+      error = completePlateAppearance(state, { result: result === 'called_strike' ? 'KL' : 'KS' });
+    } else if (result === 'ball') {
+      state.balls += 1;
+    } else {
+      state.strikes = Math.min(2, state.strikes + 1);
+    }
+  }
+  return error;
+}
+
+/**
+ * @returns {string|null} Error message
+ */
+function applyRunnerEvent(state, payload) {
+  const reason = payload.reason;
+  if (!RUNNER_REASONS.includes(reason)) {
+    return `Unknown runner event ${reason}`;
+  }
+  if (state.in_play) {
+    return 'Record the result of the ball in play first';
+  }
+  if (!state.bases.some(Boolean)) {
+    return 'There are no runners on base';
+  }
+  const listed = payload.runners || [];
+  const advanceAll = ['WP', 'PB', 'BK'].includes(reason) && listed.length === 0;
+  if (listed.length === 0 && !advanceAll) {
+    return 'List the runners involved';
+  }
+
+  const resolved = resolveRunners(state, listed, 0, advanceAll);
+  if (typeof resolved === 'string') {
+    return resolved;
+  }
+  const outs = resolved.moves.filter(move => move.out).length;
+  if (state.outs + outs > 3) {
+    return 'Too many outs on the play';
+  }
+
+  const battingSide = battingSideOf(state);
+  for (const move of resolved.moves) {
+    const line = statLine(state, move.runner.entry, battingSide);
+    if (reason === 'SB' && !move.out && move.to > move.from) {
+      line.stolen_bases += 1;
+    }
+    if (reason === 'CS' && move.out) {
+      line.caught_stealing += 1;
+    }
+    if (move.out) {
+      creditFielders(state, move.fielders, 1);
+    }
+  }
+  if (reason === 'E') {
+    chargeError(state, (payload.fielders || [])[0]);
+  }
+
+  const { clauses, runners } = applyMoves(state, resolved.moves, reason, false);
+  const fieldingSide = fieldingSideOf(state);
+  statLine(state, state.sides[fieldingSide].pitcher, fieldingSide).outs += outs;
+  state.outs += outs;
+
+  recordPlay(state, {
+    batter: null,
+    runners,
+    narrative: `${clauses.join('; ')}.`
+  });
+  endHalfIfOver(state);
+  return null;
+}
+
+/**
+ * Bring a player into a batting slot, enforcing the NCAA re-entry rule (a starter may
+ * re-enter once, in their original slot; nobody else may return)
+ * @returns {string|null} Error message
+ */
+function enterSlot(state, sideState, index, entry, position) {
+  const current = sideState.lineup.findIndex(spot => spot.entry.key === entry.key);
+  if (current !== -1) {
+    return `${entry.name} is already in the lineup`;
+  }
+  if (sideState.removed.has(entry.key)) {
+    const slot = sideState.lineup[index].slot;
+    if (sideState.starters.get(entry.key) !== slot || sideState.reentered.has(entry.key)) {
+      return `${entry.name} has left the game and cannot re-enter`;
+    }
+    sideState.reentered.add(entry.key);
+  }
+
+  const leaving = sideState.lineup[index].entry;
+  sideState.lineup[index] = { slot: sideState.lineup[index].slot, entry, position };
+  sideState.removed.add(leaving.key);
+  for (const [spot, fielder] of sideState.defense) {
+    if (fielder.key === leaving.key && spot !== 'P') {
+      sideState.defense.set(spot, entry);
+    }
+  }
+  const line = statLine(state, entry, sideState.side);
+  line.position_played = line.position_played || position;
+  return null;
+}
+
+/**
+ * Put a player at a defensive position, leaving any other position they held
+ * @param {Object} sideState
+ * @param {Object} entry
+ * @param {string} position - DH takes the player off the field
+ */
+function moveInField(sideState, entry, position) {
+  for (const [current, fielder] of sideState.defense) {
+    if (fielder.key === entry.key && current !== 'P') {
+      sideState.defense.delete(current);
+    }
+  }
+  if (position !== 'DH' && position !== 'P') {
+    sideState.defense.set(position, entry);
+  }
+}
+
+/**
+ * Make a player the side's pitcher
+ * @param {Object} sideState
+ * @param {Object} entry
+ */
+function changePitcher(state, sideState, entry) {
+  const leaving = sideState.pitcher;
+  sideState.pitcher = entry;
+  sideState.defense.set('P', entry);
+  if (!sideState.pitchers.includes(entry.key)) {
+    sideState.pitchers.push(entry.key);
+  }
+  if (!sideState.lineup.some(spot => spot.entry.key === leaving.key)) {
+    sideState.removed.add(leaving.key);
+  }
+  const line = statLine(state, entry, sideState.side);
+  line.position_played = line.position_played || 'P';
+}
+
+/**
+ * @param {Object} state
+ * @param {Object} payload - { kind, side, player_id | name/jersey_number, slot, position, base }
+ * @param {Object} context
+ * @returns {string|null} Error message
+ */
+function applySubstitution(state, payload, context) {
+  const kind = payload.kind;
+  if (!SUBSTITUTION_KINDS.includes(kind)) {
+    return `Unknown substitution ${kind}`;
+  }
+  if (state.in_play) {
+    return 'Record the result of the ball in play first';
+  }
+
+  const isTeam = payload.side !== 'opponent';
+  const sideState = state.sides[isTeam ? state.team_side : (state.team_side === 'home' ? 'away' : 'home')];
+  const position = payload.position ? String(payload.position).toUpperCase() : null;
+  if (position && !POSITIONS.includes(position)) {
+    return `Unknown position ${payload.position}`;
+  }
+
+  const slotIndex = slot => sideState.lineup.findIndex(spot => spot.slot === parseInt(slot, 10));
+  let incoming = null;
+  if (kind !== 'position_change') {
+    if (isTeam) {
+      const player = context.players.get(parseInt(payload.player_id, 10));
+      if (!player) {
+        return `Player ${payload.player_id} is not on the team roster`;
+      }
+      incoming = teamEntry(player);
+    } else {
+      if (!payload.name && (payload.jersey_number === null || payload.jersey_number === undefined)) {
+        return 'The opponent player needs a name or jersey number';
+      }
+      incoming = opponentEntry(payload);
+    }
+  }
+
+  let text;
+  let error = null;
+  if (kind === 'pinch_hitter') {
+    if (sideState.side !== battingSideOf(state)) {
+      return 'Pinch hitters can only bat for the side at bat';
+    }
+    const leaving = sideState.lineup[sideState.batter_index].entry;
+    error = enterSlot(state, sideState, sideState.batter_index, incoming, 'PH');
+    text = `${incoming.name} pinch hit for ${leaving.name}`;
+  } else if (kind === 'pinch_runner') {
+    const base = parseInt(payload.base, 10);
+    const runner = state.bases[base - 1];
+    if (!runner || sideState.side !== battingSideOf(state)) {
+      return `There is no ${isTeam ? 'team' : 'opponent'} runner on ${BASE_NAMES[base] || 'that base'}`;
+    }
+    const index = sideState.lineup.findIndex(spot => spot.entry.key === runner.entry.key);
+    if (index === -1) {
+      return `${runner.entry.name} is no longer in the lineup`;
+    }
+    error = enterSlot(state, sideState, index, incoming, 'PR');
+    if (!error) {
+      state.bases[base - 1] = { ...runner, entry: incoming };
+    }
+    text = `${incoming.name} pinch ran for ${runner.entry.name}`;
+  } else if (kind === 'defensive') {
+    const index = slotIndex(payload.slot);
+    if (index === -1 || !position || position === 'P') {
+      return 'Defensive substitutions need a batting slot and a position other than P (use a pitching change)';
+    }
+    const leaving = sideState.lineup[index].entry;
+    error = enterSlot(state, sideState, index, incoming, position);
+    if (!error) {
+      moveInField(sideState, incoming, position);
+    }
+    text = `${incoming.name} to ${locationWord(position)} for ${leaving.name}`;
+  } else if (kind === 'pitcher') {
+    const leaving = sideState.pitcher;
+    if (leaving.key === incoming.key) {
+      return `${incoming.name} is already pitching`;
+    }
+    const pitcherSlot = sideState.lineup.findIndex(spot => spot.entry.key === leaving.key && spot.position === 'P');
+    const fromField = sideState.lineup.findIndex(spot => spot.entry.key === incoming.key);
+    if (fromField !== -1) {
+      sideState.lineup[fromField].position = 'P';
+    } else if (pitcherSlot !== -1) {
+      error = enterSlot(state, sideState, pitcherSlot, incoming, 'P');
+    } else if (sideState.removed.has(incoming.key)) {
+      error = `${incoming.name} has left the game and cannot re-enter`;
+    }
+    if (!error) {
+      changePitcher(state, sideState, incoming);
+    }
+    text = `${incoming.name} to p for ${leaving.name}`;
+  } else {
+    const index = slotIndex(payload.slot);
+    if (index === -1 || !position) {
+      return 'Position changes need a batting slot and a position';
+    }
+    const spot = sideState.lineup[index];
+    spot.position = position;
+    moveInField(sideState, spot.entry, position);
+    if (position === 'P') {
+      changePitcher(state, sideState, spot.entry);
+    }
+    text = `${spot.entry.name} to ${locationWord(position)}`;
+  }
+
+  if (error) {
+    return error;
+  }
+  recordPlay(state, { batter: null, runners: [], narrative: `${text}.` });
+  return null;
+}
+
+/**
+ * End the game: close the half-inning and assign the pitching decisions
+ * @returns {string|null} Error message
+ */
+function applyFinal(state) {
+  if (state.in_play) {
+    return 'Record the result of the ball in play first';
+  }
+  const home = state.sides.home;
+  const away = state.sides.away;
+
+  // A half-inning that never got going: the home team did not need its last turn at
+  // bat (X in the line score), or the game ended between innings
+  const started = state.outs > 0 || state.half_totals.plate_appearances > 0 || state.half_totals.runs > 0;
+  if (!started && state.half === 'bottom' && home.line.runs > away.line.runs) {
+    home.line.innings[state.inning - 1] = 'X';
+  } else if (!started) {
+    state.sides[battingSideOf(state)].line.innings.pop();
+  }
+  if (currentHalf(state).plays.length > 0) {
+    closeHalf(state);
+  } else {
+    const inning = state.innings[state.innings.length - 1];
+    inning.halves.pop();
+    if (inning.halves.length === 0) {
+      state.innings.pop();
+    }
+  }
+  state.bases = [null, null, null];
+  state.final = true;
+
+  if (state.go_ahead && home.line.runs !== away.line.runs) {
+    const winningSide = state.sides[state.go_ahead.side];
+    let winner = state.go_ahead.winning_pitcher;
+    const starterOuts = state.regulation_innings >= 9 ? 15 : 12;
+    if (winner === winningSide.pitchers[0] && winningSide.pitchers.length > 1 && state.stats.get(winner).outs < starterOuts) {
+      winner = winningSide.pitchers[1];
+    }
+    state.stats.get(winner).win = true;
+    state.stats.get(state.go_ahead.losing_pitcher).loss = true;
+  }
+  return null;
+}
+
+/**
+ * Replay a game's scoring log
+ *
+ * @param {Array<Object>} events - [{ sequence, event_type, payload }] in order, starting with 'start'
+ * @param {Object} context - { home_away, team_name, opponent_name, players: Map<id, Player> }
+ * @returns {Object} { state, error } - error is { sequence, message } for the first event that
+ *   could not be applied; state is as of the event before it
+ */
+function replayEvents(events, context) {
+  if (events.length === 0 || events[0].event_type !== 'start') {
+    return { state: null, error: { sequence: events.length > 0 ? events[0].sequence : null, message: 'Scoring has not been started' } };
+  }
+
+  const state = createState(events[0].payload || {}, context);
+  if (typeof state === 'string') {
+    return { state: null, error: { sequence: events[0].sequence, message: state } };
+  }
+
+  for (const event of events.slice(1)) {
+    const payload = event.payload || {};
+    let message;
+    if (state.final) {
+      message = 'The game is over; undo the final to keep scoring';
+    } else if (event.event_type === 'pitch') {
+      message = applyPitch(state, payload);
+    } else if (event.event_type === 'play') {
+      message = completePlateAppearance(state, payload);
+    } else if (event.event_type === 'runner') {
+      message = applyRunnerEvent(state, payload);
+    } else if (event.event_type === 'substitution') {
+      message = applySubstitution(state, payload, context);
+    } else if (event.event_type === 'final') {
+      message = applyFinal(state);
+    } else {
+      message = 'Scoring has already been started';
+    }
+    if (message) {
+      return { state, error: { sequence: event.sequence, message } };
+    }
+  }
+  return { state, error: null };
+}
+
+/**
+ * Line score in the shape parsed from Presto XML
+ * @param {Object} state
+ * @returns {Array<Object>}
+ */
+function buildLineScore(state) {
+  return ['away', 'home'].map(side => {
+    const sideState = state.sides[side];
+    return {
+      id: null,
+      name: sideState.name,
+      side,
+      innings: sideState.line.innings.map((runs, index) => ({ inning: index + 1, runs })),
+      runs: sideState.line.runs,
+      hits: sideState.line.hits,
+      errors: sideState.line.errors,
+      left_on_base: sideState.line.left_on_base
+    };
+  });
+}
+
+/**
+ * Play-by-play in the shape stored for Presto games, classified
+ * @param {Object} state
+ * @returns {Object}
+ */
+function buildPlayByPlay(state) {
+  // The half-inning just started has no plays yet
+  const innings = JSON.parse(JSON.stringify(state.innings))
+    .map(inning => ({ ...inning, halves: inning.halves.filter(half => half.plays.length > 0) }))
+    .filter(inning => inning.halves.length > 0);
+  return classifyPlayByPlay({
+    format: 'manual',
+    innings,
+    line_score: buildLineScore(state),
+    total_plays: innings.reduce((sum, inning) => sum + inning.halves.reduce((count, half) => count + half.plays.length, 0), 0)
+  });
+}
+
+/**
+ * GameStatistic rows for the team's players who appeared in the game
+ * @param {Object} state
+ * @param {Object} ids - { game_id, team_id }
+ * @returns {Array<Object>}
+ */
+function buildGameStatistics(state, ids) {
+  return [...state.stats.values()]
+    .filter(line => line.side === state.team_side)
+    .map(line => {
+      const row = {
+        ...ids,
+        player_id: line.entry.player_id,
+        source_system: 'manual',
+        position_played: line.position_played,
+        innings_pitched: outsToInnings(line.outs),
+        win: line.win,
+        loss: line.loss
+      };
+      for (const field of [...BATTING_FIELDS, ...PITCHING_FIELDS, ...FIELDING_FIELDS]) {
+        row[field] = line[field];
+      }
+      return row;
+    });
+}
+
+function describeEntry(entry) {
+  return entry ? { player_id: entry.player_id, name: entry.name, jersey_number: entry.jersey_number } : null;
+}
+
+/**
+ * Current game situation for the scorer's screen
+ * @param {Object} state
+ * @returns {Object}
+ */
+function summarizeState(state) {
+  const battingSide = battingSideOf(state);
+  const batting = state.sides[battingSide];
+  const fielding = state.sides[fieldingSideOf(state)];
+  const opponentSide = state.team_side === 'home' ? 'away' : 'home';
+  const pitcherLine = state.stats.get(fielding.pitcher.key);
+  const lineup = sideState => sideState.lineup.map(spot => ({ slot: spot.slot, position: spot.position, ...describeEntry(spot.entry) }));
+
+  return {
+    status: state.final ? 'final' : 'in_progress',
+    regulation_innings: state.regulation_innings,
+    use_dh: state.use_dh,
+    inning: state.inning,
+    half: state.half,
+    outs: state.outs,
+    balls: state.balls,
+    strikes: state.strikes,
+    awaiting_play: state.in_play,
+    batting: battingSide === state.team_side ? 'team' : 'opponent',
+    batter: state.final ? null : { slot: batting.lineup[batting.batter_index].slot, ...describeEntry(batting.lineup[batting.batter_index].entry) },
+    pitcher: {
+      ...describeEntry(fielding.pitcher),
+      pitches: pitcherLine.pitches_thrown,
+      strikes: pitcherLine.strikes_thrown,
+      innings_pitched: outsToInnings(pitcherLine.outs)
+    },
+    bases: {
+      first: describeEntry(state.bases[0] && state.bases[0].entry),
+      second: describeEntry(state.bases[1] && state.bases[1].entry),
+      third: describeEntry(state.bases[2] && state.bases[2].entry)
+    },
+    score: {
+      team: state.sides[state.team_side].line.runs,
+      opponent: state.sides[opponentSide].line.runs
+    },
+    line_score: buildLineScore(state),
+    lineups: {
+      team: lineup(state.sides[state.team_side]),
+      opponent: lineup(state.sides[opponentSide])
+    },
+    last_play: state.last_play
+  };
+}
+
+/**
+ * Names, roster and side for replaying a game's log
+ * @param {Object} game - Game instance
+ * @returns {Promise<Object>}
+ */
+async function getContext(game) {
+  const [team, players] = await Promise.all([
+    Team.findByPk(game.team_id, { attributes: ['id', 'name'] }),
+    Player.findAll({
+      where: { team_id: game.team_id },
+      attributes: ['id', 'first_name', 'last_name', 'jersey_number', 'position']
+    })
+  ]);
+  return {
+    home_away: game.home_away,
+    team_name: team ? team.name : 'Team',
+    opponent_name: game.opponent,
+    players: new Map(players.map(player => [player.id, player]))
+  };
+}
+
+function loadEvents(gameId) {
+  return GameScoringEvent.findAll({
+    where: { game_id: gameId },
+    order: [['sequence', 'ASC']]
+  });
+}
+
+/**
+ * Rewrite the game's score, play-by-play and team GameStatistic rows from the state,
+ * inside the transaction that changes the event log
+ * @param {Object} game - Game instance
+ * @param {Object} state
+ * @param {Object} transaction
+ */
+async function writeOutputs(game, state, transaction) {
+  const opponentSide = state.team_side === 'home' ? 'away' : 'home';
+  const teamScore = state.sides[state.team_side].line.runs;
+  const opponentScore = state.sides[opponentSide].line.runs;
+  let result = null;
+  if (state.final) {
+    result = teamScore > opponentScore ? 'W' : teamScore < opponentScore ? 'L' : 'T';
+  }
+
+  await game.update({
+    team_score: teamScore,
+    opponent_score: opponentScore,
+    result,
+    game_status: state.final ? 'completed' : 'scheduled',
+    game_summary: result ? `${result}, ${teamScore}-${opponentScore}` : null,
+    play_by_play: buildPlayByPlay(state)
+  }, { transaction });
+
+  await GameStatistic.destroy({ where: { game_id: game.id, team_id: game.team_id }, transaction });
+  await GameStatistic.bulkCreate(buildGameStatistics(state, { game_id: game.id, team_id: game.team_id }), { transaction });
+}
+
+/**
+ * Append an event to the log and rewrite the outputs in one transaction, so the log
+ * never holds an event the score and stats don't reflect
+ * @param {Object} game - Game instance
+ * @param {Object} event - { sequence, event_type, payload }
+ * @param {Object} state - State after the event
+ * @param {number} userId
+ * @returns {Promise<void>}
+ */
+function appendEvent(game, event, state, userId) {
+  return sequelize.transaction(async (transaction) => {
+    await GameScoringEvent.create(
+      { ...event, game_id: game.id, team_id: game.team_id, created_by: userId },
+      { transaction }
+    );
+    await writeOutputs(game, state, transaction);
+  });
+}
+
+/**
+ * Response payload for a replayed game
+ */
+function scoringResponse(state, events) {
+  const last = events[events.length - 1];
+  return {
+    state: summarizeState(state),
+    event_count: events.length,
+    last_event: last ? { sequence: last.sequence, event_type: last.event_type, payload: last.payload } : null
+  };
+}
+
+/**
+ * Current scoring state of a game
+ * @param {Object} game - Game instance
+ * @returns {Promise<Object|null>} { state, event_count, last_event, events }, { error, status } when the
+ *   log no longer replays (e.g. a player left the roster), or null when scoring has not started
+ */
+async function getScoring(game) {
+  const events = await loadEvents(game.id);
+  if (events.length === 0) {
+    return null;
+  }
+  const { state, error } = replayEvents(events, await getContext(game));
+  if (!state) {
+    return { error: error.message, status: 409 };
+  }
+  return {
+    ...scoringResponse(state, events),
+    events: events.map(event => ({
+      sequence: event.sequence,
+      event_type: event.event_type,
+      payload: event.payload,
+      created_at: event.created_at
+    }))
+  };
+}
+
+/**
+ * Start scoring a game. The team lineup defaults to the lineup saved for the game.
+ *
+ * Starting replaces any stats already entered for the game's team players.
+ *
+ * @param {Object} game - Game instance
+ * @param {Object} payload - { innings, use_dh, team: { batting_order, pitcher_id }, opponent: { batting_order, pitcher } }
+ * @param {number} userId
+ * @returns {Promise<Object>} { error } or scoring response
+ */
+async function startScoring(game, payload, userId) {
+  const existing = await GameScoringEvent.count({ where: { game_id: game.id } });
+  if (existing > 0) {
+    return { error: 'Scoring has already been started for this game', status: 409 };
+  }
+
+  const start = { ...payload };
+  if (!start.team || !Array.isArray(start.team.batting_order)) {
+    const lineup = await GameLineup.findOne({ where: { game_id: game.id } });
+    if (!lineup) {
+      return { error: 'Provide the team lineup or save a lineup for the game first', status: 400 };
+    }
+    start.team = { batting_order: lineup.batting_order, pitcher_id: lineup.starting_pitcher_id };
+    start.use_dh = start.use_dh !== undefined ? start.use_dh : lineup.use_dh;
+  }
+
+  const context = await getContext(game);
+  const event = { sequence: 1, event_type: 'start', payload: start };
+  const { state, error } = replayEvents([event], context);
+  if (error) {
+    return { error: error.message, status: 400 };
+  }
+
+  await appendEvent(game, event, state, userId);
+  return scoringResponse(state, [event]);
+}
+
+/**
+ * Record a scoring event after checking that it applies to the current state
+ * @param {Object} game - Game instance
+ * @param {string} eventType - pitch, play, runner, substitution or final
+ * @param {Object} payload
+ * @param {number} userId
+ * @returns {Promise<Object>} { error, status } or scoring response
+ */
+async function recordEvent(game, eventType, payload, userId) {
+  const events = await loadEvents(game.id);
+  if (events.length === 0) {
+    return { error: 'Scoring has not been started for this game', status: 409 };
+  }
+
+  const event = { sequence: events[events.length - 1].sequence + 1, event_type: eventType, payload };
+  const log = [...events, event];
+  const { state, error } = replayEvents(log, await getContext(game));
+  if (error) {
+    return { error: error.message, status: 400 };
+  }
+
+  await appendEvent(game, event, state, userId);
+  return scoringResponse(state, log);
+}
+
+/**
+ * Remove the last scoring event (the start event cannot be undone). The shortened log
+ * is replayed first; if it no longer replays (e.g. a player left the roster) nothing
+ * is removed.
+ * @param {Object} game - Game instance
+ * @returns {Promise<Object>} { error, status } or scoring response with `undone`
+ */
+async function undoLastEvent(game) {
+  const events = await loadEvents(game.id);
+  if (events.length <= 1) {
+    return { error: 'Nothing to undo', status: 400 };
+  }
+
+  const undone = events.pop();
+  const { state, error } = replayEvents(events, await getContext(game));
+  if (error) {
+    return { error: error.message, status: 409 };
+  }
+
+  await sequelize.transaction(async (transaction) => {
+    await undone.destroy({ transaction });
+    await writeOutputs(game, state, transaction);
+  });
+  return {
+    ...scoringResponse(state, events),
+    undone: { sequence: undone.sequence, event_type: undone.event_type, payload: undone.payload }
+  };
+}
+
+module.exports = {
+  EVENT_TYPES,
+  PITCH_RESULTS,
+  PLAY_RESULTS,
+  RUNNER_REASONS,
+  SUBSTITUTION_KINDS,
+  POSITIONS,
+  LOCATIONS,
+  outsToInnings,
+  replayEvents,
+  summarizeState,
+  buildLineScore,
+  buildPlayByPlay,
+  buildGameStatistics,
+  getScoring,
+  startScoring,
+  recordEvent,
+  undoLastEvent
+};
@@ -0,0 +1,158 @@
+/**
+ * Login Event Service
+ *
+ * Records every authentication attempt (local password, two-factor step, Google and
+ * Apple sign-in) in the login_events table together with the client IP, the parsed
+ * User-Agent and the account lockout state reported by lockoutService, and serves
+ * a user's paginated login history for the security settings page.
+ *
+ * Recording is best-effort: a failure to write an event is logged and swallowed so
+ * that auditing can never block or break a login.
+ *
+ * @module services/loginEventService
+ */
+
+const { LoginEvent } = require('../models');
+const { parseUserAgent } = require('../utils/userAgentParser');
+
+/**
+ * Failure reasons stored in login_events.failure_reason
+ * @type {Object.<string, string>}
+ */
+const FAILURE_REASONS = {
+  UNKNOWN_ACCOUNT: 'unknown_account',
+  INVALID_PASSWORD: 'invalid_password',
+  ACCOUNT_LOCKED: 'account_locked',
+  ACCOUNT_INACTIVE: 'account_inactive',
+  INVALID_TWO_FACTOR_CODE: 'invalid_two_factor_code',
+  OAUTH_FAILED: 'oauth_failed'
+};
+
+const MAX_USER_AGENT_LENGTH = 1000;
+
+/**
+ * Get the client IP address for a request
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+function getClientIp(req) {
+  return req.ip || (req.connection && req.connection.remoteAddress) || null;
+}
+
+/**
+ * Record a login attempt
+ *
+ * @param {Object} req - Express request (IP and User-Agent are read from it)
+ * @param {Object} details
+ * @param {Object} [details.user] - Matched User instance, if any
+ * @param {string} [details.email] - Email submitted with the attempt
+ * @param {string} [details.provider='local'] - local, google or apple
+ * @param {string} details.outcome - success, failed or two_factor_required
+ * @param {string} [details.failureReason] - One of FAILURE_REASONS
+ * @param {Object} [details.lockout] - Result of lockoutService.handleFailedLogin, or
+ *   { accountLocked, failedAttempts, lockedUntil } for attempts rejected while locked
+ * @returns {Promise<Object|null>} Created LoginEvent, or null if recording failed
+ */
+async function recordLoginEvent(req, details) {
+  const { user = null, provider = 'local', outcome, failureReason = null, lockout = null } = details;
+
+  try {
+    const userAgent = req.headers ? req.headers['user-agent'] : null;
+    const parsed = parseUserAgent(userAgent);
+
+    return await LoginEvent.create({
+      user_id: user ? user.id : null,
+      email: details.email || (user ? user.email : null),
+      provider,
+      outcome,
+      failure_reason: failureReason,
+      ip_address: getClientIp(req),
+      user_agent: userAgent ? String(userAgent).slice(0, MAX_USER_AGENT_LENGTH) : null,
+      device_type: parsed.deviceType,
+      browser: parsed.browser,
+      os: parsed.os,
+      failed_attempts: lockout ? lockout.failedAttempts : (user ? user.failed_login_attempts : null),
+      account_locked: lockout ? Boolean(lockout.accountLocked) : false,
+      locked_until: lockout ? lockout.lockedUntil || null : null
+    });
+  } catch (error) {
+    console.error('Error recording login event:', error);
+    return null;
+  }
+}
+
+/**
+ * Shape a LoginEvent for API responses
+ * @param {Object} event - LoginEvent instance or plain object
+ * @returns {Object}
+ */
+function formatLoginEvent(event) {
+  let device = 'Unknown device';
+  if (event.browser && event.os) {
+    device = `${event.browser} on ${event.os}`;
+  } else if (event.browser || event.os) {
+    device = event.browser || event.os;
+  }
+
+  return {
+    id: event.id,
+    timestamp: new Date(event.created_at).toISOString(),
+    ip: event.ip_address,
+    device,
+    deviceType: event.device_type,
+    browser: event.browser,
+    os: event.os,
+    provider: event.provider,
+    success: event.outcome === 'success',
+    outcome: event.outcome,
+    failureReason: event.failure_reason,
+    failedAttempts: event.failed_attempts,
+    accountLocked: event.account_locked,
+    lockedUntil: event.locked_until
+  };
+}
+
+/**
+ * Get a user's login history, newest first
+ *
+ * @param {number} userId
+ * @param {Object} [options]
+ * @param {number} [options.page=1]
+ * @param {number} [options.limit=20]
+ * @param {string} [options.outcome] - Only return events with this outcome
+ * @returns {Promise<{events: Array<Object>, pagination: Object}>}
+ */
+async function getLoginHistory(userId, options = {}) {
+  const page = options.page || 1;
+  const limit = options.limit || 20;
+  const where = { user_id: userId };
+
+  if (options.outcome) {
+    where.outcome = options.outcome;
+  }
+
+  const { count, rows } = await LoginEvent.findAndCountAll({
+    where,
+    order: [['created_at', 'DESC']],
+    limit,
+    offset: (page - 1) * limit
+  });
+
+  return {
+    events: rows.map(formatLoginEvent),
+    pagination: {
+      page,
+      limit,
+      total: count,
+      pages: Math.ceil(count / limit)
+    }
+  };
+}
+
+module.exports = {
+  FAILURE_REASONS,
+  getClientIp,
+  recordLoginEvent,
+  formatLoginEvent,
+  getLoginHistory
+};
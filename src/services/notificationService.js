@@ -166,6 +166,46 @@ class NotificationService {
       logger.error('Error sending schedule published notification:', error);
     }
   }
+
+  /**
+   * Send the "who's hot" list from the streak engine
+   * @param {Object} report - streakService.getTeamStreaks report
+   * @param {number} teamId - Team ID
+   * @param {number} senderId - ID of user who asked for the notification
+   * @returns {Promise<number>} Number of recipients notified (0 when there was nothing to report)
+   */
+  async sendStreakNotification(report, teamId, senderId) {
+    try {
+      const lines = [
+        ...report.hot.map(entry => `Hot: ${entry.name} (${entry.kind}, ${entry.window.rate} over the last ${entry.games} games vs ${entry.baseline.rate})`),
+        ...report.cold.map(entry => `Cold: ${entry.name} (${entry.kind}, ${entry.window.rate} over the last ${entry.games} games vs ${entry.baseline.rate})`),
+        ...report.streaks.hitting.map(streak => `${streak.name}: ${streak.current}-game hitting streak`),
+        ...report.streaks.on_base.map(streak => `${streak.name}: on base in ${streak.current} straight games`),
+        ...report.streaks.scoreless.map(streak => `${streak.name}: ${streak.current} scoreless innings`)
+      ];
+      if (lines.length === 0) {
+        return 0;
+      }
+
+      const recipients = await this.getNotificationRecipients(teamId, 'playerUpdates', senderId);
+      if (recipients.length === 0) {
+        return 0;
+      }
+
+      const title = 'Hot and Cold Players';
+      const message = lines.join('\n');
+      const actionUrl = process.env.FRONTEND_URL
+        ? `${process.env.FRONTEND_URL}/players`
+        : null;
+
+      await this.sendEmailNotifications(recipients, title, message, actionUrl);
+      return recipients.length;
+    } catch (error) {
+      // Log error but don't throw - we don't want to break the main flow
+      logger.error('Error sending streak notification:', error);
+      return 0;
+    }
+  }
 }
 
 // Export singleton instance
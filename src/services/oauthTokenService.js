@@ -0,0 +1,306 @@
+/**
+ * OAuth Token Service
+ *
+ * Verifies identity tokens issued to the mobile app by the Google and Apple sign-in
+ * SDKs and maps them to User accounts. Tokens are checked locally: the RS256
+ * signature against the provider's published JSON Web Key Set (JWKS), plus issuer,
+ * audience and expiry. Provider keys are cached in memory for the lifetime advertised
+ * by the provider's Cache-Control header and refetched when a token names an unknown
+ * key id (key rotation).
+ *
+ * Accepted audiences come from the environment:
+ * - Google: GOOGLE_CLIENT_ID plus GOOGLE_MOBILE_CLIENT_IDS (iOS/Android client IDs)
+ * - Apple: APPLE_CLIENT_ID (Services ID) plus APPLE_BUNDLE_IDS (app bundle IDs)
+ *
+ * @module services/oauthTokenService
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const { User, Team } = require('../models');
+
+/**
+ * Provider endpoints and accepted issuers
+ * @type {Object.<string, {jwksUri: string, issuers: Array<string>}>}
+ */
+const PROVIDERS = {
+  google: {
+    jwksUri: 'https://www.googleapis.com/oauth2/v3/certs',
+    issuers: ['https://accounts.google.com', 'accounts.google.com']
+  },
+  apple: {
+    jwksUri: 'https://appleid.apple.com/auth/keys',
+    issuers: ['https://appleid.apple.com']
+  }
+};
+
+/**
+ * Key cache lifetime when the provider sends no usable Cache-Control max-age
+ * @type {number}
+ */
+const DEFAULT_KEY_CACHE_MS = 60 * 60 * 1000;
+
+/**
+ * Minimum interval between refetches triggered by an unknown key id, so that
+ * tokens with made-up key ids cannot be used to hammer the provider
+ * @type {number}
+ */
+const MIN_REFETCH_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Allowed clock skew when checking exp/iat
+ * @type {number}
+ */
+const CLOCK_TOLERANCE_SECONDS = 60;
+
+/**
+ * provider -> { keys: Map<kid, KeyObject>, expiresAt, fetchedAt }
+ * @type {Map<string, Object>}
+ */
+const keyCache = new Map();
+
+/**
+ * Split a comma-separated environment variable
+ * @param {string} [value]
+ * @returns {Array<string>}
+ */
+function splitList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Get the audiences (client IDs) accepted for a provider
+ * @param {string} provider - google or apple
+ * @returns {Array<string>}
+ */
+function getAudiences(provider) {
+  if (provider === 'google') {
+    return [process.env.GOOGLE_CLIENT_ID, ...splitList(process.env.GOOGLE_MOBILE_CLIENT_IDS)].filter(Boolean);
+  }
+  if (provider === 'apple') {
+    return [process.env.APPLE_CLIENT_ID, ...splitList(process.env.APPLE_BUNDLE_IDS)].filter(Boolean);
+  }
+  return [];
+}
+
+/**
+ * Whether token exchange is configured for a provider
+ * @param {string} provider
+ * @returns {boolean}
+ */
+function isProviderConfigured(provider) {
+  return Boolean(PROVIDERS[provider]) && getAudiences(provider).length > 0;
+}
+
+/**
+ * Read the max-age from a Cache-Control header
+ * @param {string} [header]
+ * @returns {number|null} Lifetime in milliseconds
+ */
+function parseMaxAge(header) {
+  const match = /max-age=(\d+)/i.exec(header || '');
+  return match ? parseInt(match[1], 10) * 1000 : null;
+}
+
+/**
+ * Fetch a provider's JWKS and cache the RSA signing keys by key id
+ * @param {string} provider
+ * @returns {Promise<Map<string, crypto.KeyObject>>}
+ */
+async function fetchKeys(provider) {
+  const response = await axios.get(PROVIDERS[provider].jwksUri, { timeout: 5000 });
+  const keys = new Map();
+
+  for (const jwk of (response.data && response.data.keys) || []) {
+    if (jwk.kty === 'RSA' && jwk.kid && (!jwk.use || jwk.use === 'sig')) {
+      keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+    }
+  }
+
+  const now = Date.now();
+  const maxAge = parseMaxAge(response.headers && response.headers['cache-control']);
+  keyCache.set(provider, {
+    keys,
+    fetchedAt: now,
+    expiresAt: now + (maxAge || DEFAULT_KEY_CACHE_MS)
+  });
+
+  return keys;
+}
+
+/**
+ * Get the signing key for a key id, using the cache when possible
+ * @param {string} provider
+ * @param {string} kid - Key id from the token header
+ * @returns {Promise<crypto.KeyObject|null>}
+ */
+async function getSigningKey(provider, kid) {
+  const cached = keyCache.get(provider);
+  const now = Date.now();
+
+  if (cached && cached.expiresAt > now) {
+    if (cached.keys.has(kid)) {
+      return cached.keys.get(kid);
+    }
+    // Unknown key id: the provider may have rotated keys since the last fetch
+    if (now - cached.fetchedAt < MIN_REFETCH_INTERVAL_MS) {
+      return null;
+    }
+  }
+
+  const keys = await fetchKeys(provider);
+  return keys.get(kid) || null;
+}
+
+/**
+ * Drop all cached provider keys
+ * @returns {void}
+ */
+function clearKeyCache() {
+  keyCache.clear();
+}
+
+/**
+ * Verify a Google ID token or Apple identity token
+ *
+ * @param {string} provider - google or apple
+ * @param {string} idToken - Identity token from the provider SDK
+ * @param {Object} [options]
+ * @param {string} [options.nonce] - Nonce the app passed to the provider SDK; when
+ *   given, the token's nonce claim must match it
+ * @returns {Promise<Object>} Verified claims
+ * @throws {Error} If the provider is unsupported or the token fails any check
+ */
+async function verifyIdToken(provider, idToken, options = {}) {
+  if (!isProviderConfigured(provider)) {
+    throw new Error(`OAuth provider not configured: ${provider}`);
+  }
+
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !decoded.header || decoded.header.alg !== 'RS256' || !decoded.header.kid) {
+    throw new Error('Malformed identity token');
+  }
+
+  const key = await getSigningKey(provider, decoded.header.kid);
+  if (!key) {
+    throw new Error('Identity token signed with an unknown key');
+  }
+
+  // Signature, issuer, audience and expiry are all enforced by jwt.verify
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ['RS256'],
+    issuer: PROVIDERS[provider].issuers,
+    audience: getAudiences(provider),
+    clockTolerance: CLOCK_TOLERANCE_SECONDS
+  });
+
+  if (!claims.sub) {
+    throw new Error('Identity token has no subject');
+  }
+  if (options.nonce && claims.nonce !== options.nonce) {
+    throw new Error('Identity token nonce mismatch');
+  }
+
+  return claims;
+}
+
+/**
+ * Normalize verified claims into the profile fields used for User records.
+ * Apple sends email_verified as a string and never includes the user's name in the
+ * token; the app supplies the name it received on first authorization instead.
+ *
+ * @param {string} provider
+ * @param {Object} claims - Verified token claims
+ * @param {Object} [profile] - Name supplied by the app
+ * @param {string} [profile.first_name]
+ * @param {string} [profile.last_name]
+ * @returns {Object} { providerId, email, emailVerified, firstName, lastName, avatarUrl }
+ */
+function getProfileFromClaims(provider, claims, profile = {}) {
+  return {
+    providerId: claims.sub,
+    email: claims.email ? String(claims.email).toLowerCase() : null,
+    emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+    firstName: profile.first_name || claims.given_name || (provider === 'apple' ? 'Apple' : 'Google'),
+    lastName: profile.last_name || claims.family_name || 'User',
+    avatarUrl: provider === 'google' ? claims.picture || null : null
+  };
+}
+
+/**
+ * Find the User for a verified identity, linking or creating one if needed.
+ * Mirrors the passport strategies in config/oauth.js: match on provider + subject,
+ * then link an existing account with the same email, then create a new account on
+ * the default team. Email matching and account creation require a verified email.
+ *
+ * @param {string} provider - google or apple
+ * @param {Object} profile - Result of getProfileFromClaims
+ * @returns {Promise<Object|null>} User with Team included, or null if no account can
+ *   be matched or created (no verified email)
+ * @throws {Error} If a new account is needed but no team is configured
+ */
+async function findOrCreateUser(provider, profile) {
+  const include = [{
+    model: Team,
+    attributes: ['id', 'name', 'program_name', 'school_logo_url']
+  }];
+
+  const linked = await User.findOne({
+    where: { oauth_provider: provider, oauth_id: profile.providerId },
+    include
+  });
+  if (linked) {
+    return linked;
+  }
+
+  if (!profile.email || !profile.emailVerified) {
+    return null;
+  }
+
+  const existingUser = await User.findOne({ where: { email: profile.email }, include });
+  if (existingUser) {
+    // Link OAuth account to existing user
+    const updates = { oauth_provider: provider, oauth_id: profile.providerId };
+    if (profile.avatarUrl && !existingUser.avatar_url) {
+      updates.avatar_url = profile.avatarUrl;
+    }
+    await existingUser.update(updates);
+    return existingUser;
+  }
+
+  // Get team from environment or default to first team
+  let team;
+  if (process.env.DEFAULT_TEAM_ID) {
+    team = await Team.findByPk(process.env.DEFAULT_TEAM_ID);
+  } else {
+    team = await Team.findOne({ order: [['id', 'ASC']] });
+  }
+
+  if (!team) {
+    throw new Error('No team configured for registration');
+  }
+
+  const user = await User.create({
+    email: profile.email,
+    first_name: profile.firstName.slice(0, 50),
+    last_name: profile.lastName.slice(0, 50),
+    oauth_provider: provider,
+    oauth_id: profile.providerId,
+    avatar_url: profile.avatarUrl,
+    role: 'assistant_coach', // Default role
+    team_id: team.id
+  });
+
+  return User.findByPk(user.id, { include });
+}
+
+module.exports = {
+  PROVIDERS,
+  isProviderConfigured,
+  verifyIdToken,
+  getProfileFromClaims,
+  findOrCreateUser,
+  // Export for testing purposes
+  clearKeyCache
+};
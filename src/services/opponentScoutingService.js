@@ -0,0 +1,825 @@
+/**
+ * Opponent Scouting Service
+ *
+ * Builds an advance-scouting report on an opponent from every game the team has
+ * played against them: the opponent's box score lines (OpponentGameStat) and the
+ * stored play-by-play of those games. The report covers:
+ * - hitters: slash line plus tendencies read from their plate appearances
+ *   (strikeout/walk rates, first-pitch swings, batted-ball types, where they hit
+ *   the ball, bunts)
+ * - stolen bases: attempts, success rate, bases taken and who runs
+ * - pitchers: starts, relief outings, innings and pitches per outing, when relievers
+ *   come in
+ * - rotation: who started on each day of the week, with the likeliest starter
+ * - projected lineup: the usual starters by batting-order spot
+ *
+ * Opponent players are identified by jersey number (names are often blank in
+ * PrestoSports box scores), falling back to the name. Play-by-play batters are
+ * matched the same way. toReportDocument turns the report into a report document
+ * for reportPdfService, the printable packet.
+ *
+ * @module services/opponentScoutingService
+ */
+
+const { Op } = require('sequelize');
+const { Game, OpponentGameStat } = require('../models');
+const { classifyPlayByPlay, needsClassification } = require('../utils/playOutcomeClassifier');
+const { inningsToOuts } = require('./pitcherWorkloadService');
+const { outsToInnings } = require('./liveScoringService');
+
+/**
+ * Day names by Date#getUTCDay()
+ * @type {Array<string>}
+ */
+const DAYS_OF_WEEK = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Which part of the field a fielder or hit location is on, from the plate
+ * @type {Object<string, string>}
+ */
+const FIELD_DIRECTIONS = {
+  '3B': 'left', SS: 'left', LF: 'left', LS: 'left', LC: 'left',
+  P: 'center', C: 'center', CF: 'center', MID: 'center',
+  '1B': 'right', '2B': 'right', RF: 'right', RS: 'right', RC: 'right'
+};
+
+const GROUND_BALL_CODES = ['GO', 'FC', 'SH'];
+const FLY_BALL_CODES = ['FO', 'PO', 'SF'];
+const STRIKEOUT_CODES = ['K', 'KS', 'KL'];
+const WALK_CODES = ['BB', 'IBB'];
+
+/**
+ * Percentage rounded to one decimal, or null without a sample
+ * @param {number} part
+ * @param {number} whole
+ * @returns {number|null}
+ */
+function pct(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 1000) / 10 : null;
+}
+
+/**
+ * Rate stat rounded to three decimals, or null without a sample
+ * @param {number} part
+ * @param {number} whole
+ * @returns {number|null}
+ */
+function rate(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 1000) / 1000 : null;
+}
+
+/**
+ * Normalize a name for matching
+ * @param {string|null} name
+ * @returns {string}
+ */
+function normalizeName(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z]/g, '');
+}
+
+/**
+ * Normalized surname of a "Last, First", "First Last" or "F. Last" name
+ * @param {string|null} name
+ * @returns {string}
+ */
+function surname(name) {
+  const text = String(name || '').trim();
+  return normalizeName(text.includes(',') ? text.split(',')[0] : text.split(/[\s.]+/).filter(Boolean).pop());
+}
+
+/**
+ * Identity of an opponent player: jersey number when known, else surname
+ * @param {string|null} jersey - Jersey number
+ * @param {string|null} name - Player name
+ * @returns {string|null} Key, or null when neither is known
+ */
+function playerKey(jersey, name) {
+  if (jersey !== null && jersey !== undefined && String(jersey).trim() !== '') {
+    return `#${String(jersey).trim()}`;
+  }
+  const last = surname(name);
+  return last ? `name:${last}` : null;
+}
+
+/**
+ * Display name of an opponent player
+ * @param {Object} player - { name, jersey_number }
+ * @returns {string}
+ */
+function displayName(player) {
+  if (player.name) {
+    return player.jersey_number ? `${player.name} #${player.jersey_number}` : player.name;
+  }
+  return player.jersey_number ? `#${player.jersey_number}` : 'Unknown';
+}
+
+/**
+ * Calendar date (YYYY-MM-DD) and weekday of a game
+ * @param {Object} game
+ * @returns {{date: string|null, day: string|null}}
+ */
+function gameDay(game) {
+  if (!game.game_date) {
+    return { date: null, day: null };
+  }
+  const date = new Date(game.game_date);
+  return { date: date.toISOString().slice(0, 10), day: DAYS_OF_WEEK[date.getUTCDay()] };
+}
+
+/**
+ * The opponent's half-innings and ours (the opponent's pitching) in a game's
+ * play-by-play
+ * @param {Object} game - Game with play_by_play
+ * @returns {{batting: Array<Object>, pitching: Array<Object>}} Halves as { inning, plays }
+ */
+function opponentHalves(game) {
+  const result = { batting: [], pitching: [] };
+  let playByPlay = game.play_by_play;
+  if (!playByPlay || !Array.isArray(playByPlay.innings)) {
+    return result;
+  }
+  if (needsClassification(playByPlay)) {
+    playByPlay = classifyPlayByPlay(JSON.parse(JSON.stringify(playByPlay)));
+  }
+
+  const opponentSide = game.home_away === 'home' ? 'away' : 'home';
+  for (const inning of playByPlay.innings) {
+    (inning.halves || []).forEach((half, index) => {
+      const side = half.side || (index === 0 ? 'away' : 'home');
+      const target = side === opponentSide ? result.batting : result.pitching;
+      target.push({ inning: inning.inning, plays: half.plays || [] });
+    });
+  }
+  return result;
+}
+
+/**
+ * Tendencies of each opponent hitter from their plate appearances
+ * @param {Array<Object>} games - Games with play_by_play
+ * @returns {Map<string, Object>} Tendency counts by player key
+ */
+function collectHitterTendencies(games) {
+  const tendencies = new Map();
+  const entry = key => {
+    if (!tendencies.has(key)) {
+      tendencies.set(key, {
+        plate_appearances: 0, strikeouts: 0, walks: 0, first_pitch_seen: 0, first_pitch_swings: 0,
+        balls_in_play: 0, ground_balls: 0, fly_balls: 0, line_drives: 0, bunts: 0,
+        directions: { left: 0, center: 0, right: 0 }
+      });
+    }
+    return tendencies.get(key);
+  };
+
+  for (const game of games) {
+    for (const half of opponentHalves(game).batting) {
+      for (const play of half.plays) {
+        const event = play.event;
+        if (!event || !event.is_plate_appearance) {
+          continue;
+        }
+        const key = play.batter ? playerKey(play.batter.uni, play.batter.name) : playerKey(null, event.batter);
+        if (!key) {
+          continue;
+        }
+
+        const tally = entry(key);
+        tally.plate_appearances += 1;
+        if (STRIKEOUT_CODES.includes(event.code)) {
+          tally.strikeouts += 1;
+        }
+        if (WALK_CODES.includes(event.code)) {
+          tally.walks += 1;
+        }
+
+        if (event.pitch_count) {
+          const { balls, strikes, sequence } = event.pitch_count;
+          tally.first_pitch_seen += 1;
+          // The pitch put in play is not in the sequence: 0-0 with no sequence means a first-pitch swing
+          const firstPitch = sequence ? sequence[0] : (balls === 0 && strikes === 0 ? 'X' : null);
+          if (['S', 'F', 'X'].includes(firstPitch)) {
+            tally.first_pitch_swings += 1;
+          }
+        }
+
+        const inPlay = !STRIKEOUT_CODES.includes(event.code) && !WALK_CODES.includes(event.code) &&
+          !['HBP', 'CI'].includes(event.code);
+        if (!inPlay) {
+          continue;
+        }
+        tally.balls_in_play += 1;
+        if (GROUND_BALL_CODES.includes(event.code) || /\bgrounded\b/i.test(play.narrative || '')) {
+          tally.ground_balls += 1;
+        } else if (event.code === 'LO' || /\blined\b/i.test(play.narrative || '')) {
+          tally.line_drives += 1;
+        } else if (FLY_BALL_CODES.includes(event.code) || /\b(?:flied|fouled out|popped)\b/i.test(play.narrative || '')) {
+          tally.fly_balls += 1;
+        }
+        if (event.code === 'SH' || /\bbunt\b/i.test(play.narrative || '')) {
+          tally.bunts += 1;
+        }
+        const direction = FIELD_DIRECTIONS[event.location || event.fielders[0]];
+        if (direction) {
+          tally.directions[direction] += 1;
+        }
+      }
+    }
+  }
+  return tendencies;
+}
+
+/**
+ * Stolen base attempts by the opponent in the play-by-play
+ * @param {Array<Object>} games - Games with play_by_play
+ * @returns {Object} { by_base, pickoffs, runners: Map<name, {sb, cs}>, games }
+ */
+function collectBaseStealing(games) {
+  const result = { by_base: { second: 0, third: 0, home: 0 }, pickoffs: 0, runners: new Map(), games: 0 };
+  const baseNames = { 2: 'second', 3: 'third', 4: 'home' };
+
+  for (const game of games) {
+    const { batting } = opponentHalves(game);
+    if (batting.length === 0) {
+      continue;
+    }
+    result.games += 1;
+    for (const half of batting) {
+      for (const play of half.plays) {
+        for (const runner of (play.event && play.event.runners) || []) {
+          if (runner.reason === 'PK') {
+            result.pickoffs += 1;
+            continue;
+          }
+          if (!['SB', 'CS'].includes(runner.reason)) {
+            continue;
+          }
+          // Caught stealing runners have no destination: they were going to the next base
+          const target = runner.reason === 'SB' ? runner.to : (runner.from ? runner.from + 1 : null);
+          if (baseNames[target]) {
+            result.by_base[baseNames[target]] += 1;
+          }
+          const name = runner.name || 'Unknown';
+          const tally = result.runners.get(name) || { sb: 0, cs: 0 };
+          tally[runner.reason === 'SB' ? 'sb' : 'cs'] += 1;
+          result.runners.set(name, tally);
+        }
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * Inning each opponent pitcher entered in relief, from "X to p for Y" substitutions
+ * in our half-innings
+ * @param {Object} game - Game with play_by_play
+ * @returns {{entries: Array<{name: string, inning: number}>, replaced: string|null}}
+ *   Relief entries by pitcher name, and the pitcher the first change replaced (the starter)
+ */
+function pitchingChanges(game) {
+  const entries = [];
+  let replaced = null;
+  for (const half of opponentHalves(game).pitching) {
+    for (const play of half.plays) {
+      const match = String(play.narrative || '').match(/^(.+?) to p for (.+?)\.?$/i);
+      if (match) {
+        entries.push({ name: match[1].trim(), inning: half.inning });
+        if (!replaced) {
+          replaced = match[2].trim();
+        }
+      }
+    }
+  }
+  return { entries, replaced };
+}
+
+/**
+ * Whether a play-by-play name refers to a box score player
+ * @param {string} name - Name from a narrative ("Smith" or "J. Smith")
+ * @param {Object} line - OpponentGameStat
+ * @returns {boolean}
+ */
+function sameName(name, line) {
+  const wanted = surname(name);
+  return Boolean(wanted) && wanted === surname(line.player_name);
+}
+
+/**
+ * Pick the starting pitcher of a game from the opponent's pitching lines
+ * @param {Array<Object>} lines - The game's pitching lines
+ * @param {Object} changes - pitchingChanges result
+ * @returns {Object|null} Starting pitcher's line
+ */
+function findStarter(lines, changes) {
+  if (lines.length === 0) {
+    return null;
+  }
+  const flagged = lines.filter(line => line.is_starter);
+  if (flagged.length === 1) {
+    return flagged[0];
+  }
+  if (changes.replaced) {
+    const replaced = lines.find(line => sameName(changes.replaced, line));
+    if (replaced) {
+      return replaced;
+    }
+  }
+  return [...lines].sort((a, b) => inningsToOuts(b.innings_pitched) - inningsToOuts(a.innings_pitched))[0];
+}
+
+/**
+ * Most common value in a list
+ * @param {Array<*>} values
+ * @returns {*} The value, or null for an empty list
+ */
+function mode(values) {
+  const counts = new Map();
+  for (const value of values) {
+    if (value !== null && value !== undefined) {
+      counts.set(value, (counts.get(value) || 0) + 1);
+    }
+  }
+  let best = null;
+  let bestCount = 0;
+  for (const [value, count] of counts) {
+    if (count > bestCount) {
+      best = value;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+/**
+ * Build the scouting report from loaded games and box score lines
+ * @param {string} opponent - Opponent name
+ * @param {Array<Object>} games - Games against the opponent, with play_by_play
+ * @param {Array<Object>} lines - OpponentGameStat rows of those games
+ * @returns {Object} Scouting report (see buildScoutingReport)
+ */
+function compileReport(opponent, games, lines) {
+  const gameById = new Map(games.map(game => [game.id, game]));
+  const num = value => Number(value) || 0;
+
+  // Opponent players across all games
+  const players = new Map();
+  for (const line of lines) {
+    const key = playerKey(line.jersey_number, line.player_name);
+    if (!key) {
+      continue;
+    }
+    if (!players.has(key)) {
+      players.set(key, { key, name: line.player_name || null, jersey_number: line.jersey_number || null, lines: [] });
+    }
+    const player = players.get(key);
+    if (!player.name && line.player_name) {
+      player.name = line.player_name;
+    }
+    player.lines.push(line);
+  }
+
+  // Hitters
+  const tendencies = collectHitterTendencies(games);
+  const hitters = [];
+  for (const player of players.values()) {
+    const batting = player.lines.filter(line => num(line.at_bats) + num(line.walks) + num(line.hit_by_pitch) +
+      num(line.sacrifice_flies) + num(line.sacrifice_bunts) > 0);
+    if (batting.length === 0) {
+      continue;
+    }
+    const sum = field => batting.reduce((total, line) => total + num(line[field]), 0);
+    const ab = sum('at_bats');
+    const hits = sum('hits');
+    const walks = sum('walks');
+    const hbp = sum('hit_by_pitch');
+    const sf = sum('sacrifice_flies');
+    const pa = ab + walks + hbp + sf + sum('sacrifice_bunts');
+    const doubles = sum('doubles');
+    const triples = sum('triples');
+    const hr = sum('home_runs');
+    const tally = tendencies.get(player.key) ||
+      (player.name && tendencies.get(playerKey(null, player.name))) || null;
+
+    hitters.push({
+      name: player.name,
+      jersey_number: player.jersey_number,
+      display_name: displayName(player),
+      position: mode(batting.map(line => line.position_played)),
+      games: batting.length,
+      plate_appearances: pa,
+      at_bats: ab,
+      hits,
+      doubles,
+      triples,
+      home_runs: hr,
+      rbi: sum('rbi'),
+      walks,
+      strikeouts: sum('strikeouts_batting'),
+      stolen_bases: sum('stolen_bases'),
+      caught_stealing: sum('caught_stealing'),
+      avg: rate(hits, ab),
+      obp: rate(hits + walks + hbp, ab + walks + hbp + sf),
+      slg: rate(hits + doubles + 2 * triples + 3 * hr, ab),
+      k_pct: pct(sum('strikeouts_batting'), pa),
+      bb_pct: pct(walks, pa),
+      tendencies: tally ? {
+        sample_pa: tally.plate_appearances,
+        first_pitch_swing_pct: pct(tally.first_pitch_swings, tally.first_pitch_seen),
+        ground_ball_pct: pct(tally.ground_balls, tally.balls_in_play),
+        fly_ball_pct: pct(tally.fly_balls, tally.balls_in_play),
+        line_drive_pct: pct(tally.line_drives, tally.balls_in_play),
+        bunts: tally.bunts,
+        spray: {
+          left_pct: pct(tally.directions.left, tally.balls_in_play),
+          center_pct: pct(tally.directions.center, tally.balls_in_play),
+          right_pct: pct(tally.directions.right, tally.balls_in_play)
+        }
+      } : null
+    });
+  }
+  hitters.sort((a, b) => b.plate_appearances - a.plate_appearances);
+
+  // Pitchers, starters and relief entries
+  const pitchingLines = lines.filter(line => inningsToOuts(line.innings_pitched) > 0 || num(line.batters_faced) > 0);
+  const starters = new Set();
+  const reliefInnings = new Map();
+  for (const game of games) {
+    const gameLines = pitchingLines.filter(line => line.game_id === game.id);
+    const changes = pitchingChanges(game);
+    const starter = findStarter(gameLines, changes);
+    if (starter) {
+      starters.add(starter);
+    }
+    for (const entry of changes.entries) {
+      const line = gameLines.find(candidate => candidate !== starter && sameName(entry.name, candidate));
+      if (line) {
+        reliefInnings.set(line, entry.inning);
+      }
+    }
+  }
+
+  const pitchers = [];
+  for (const player of players.values()) {
+    const outings = player.lines.filter(line => pitchingLines.includes(line));
+    if (outings.length === 0) {
+      continue;
+    }
+    const sum = field => outings.reduce((total, line) => total + num(line[field]), 0);
+    const starts = outings.filter(line => starters.has(line));
+    const relief = outings.filter(line => !starters.has(line));
+    const outs = outings.reduce((total, line) => total + inningsToOuts(line.innings_pitched), 0);
+    const startOuts = starts.reduce((total, line) => total + inningsToOuts(line.innings_pitched), 0);
+    const counted = outings.filter(line => num(line.pitches_thrown) > 0);
+    const entered = relief.map(line => reliefInnings.get(line)).filter(inning => inning !== undefined);
+    const dates = outings.map(line => gameDay(gameById.get(line.game_id) || {}).date).filter(Boolean).sort();
+
+    pitchers.push({
+      name: player.name,
+      jersey_number: player.jersey_number,
+      display_name: displayName(player),
+      appearances: outings.length,
+      starts: starts.length,
+      relief_appearances: relief.length,
+      innings_pitched: outsToInnings(outs),
+      innings_per_start: starts.length > 0 ? outsToInnings(Math.round(startOuts / starts.length)) : null,
+      era: outs > 0 ? Math.round((sum('earned_runs') * 27 / outs) * 100) / 100 : null,
+      strikeouts: sum('strikeouts_pitching'),
+      walks: sum('walks_allowed'),
+      hits_allowed: sum('hits_allowed'),
+      home_runs_allowed: sum('home_runs_allowed'),
+      k_pct: pct(sum('strikeouts_pitching'), sum('batters_faced')),
+      bb_pct: pct(sum('walks_allowed'), sum('batters_faced')),
+      pitches_per_outing: counted.length > 0
+        ? Math.round(counted.reduce((total, line) => total + num(line.pitches_thrown), 0) / counted.length)
+        : null,
+      avg_relief_entry_inning: entered.length > 0
+        ? Math.round((entered.reduce((total, inning) => total + inning, 0) / entered.length) * 10) / 10
+        : null,
+      start_days: [...new Set(starts.map(line => gameDay(gameById.get(line.game_id) || {}).day).filter(Boolean))],
+      last_appearance: dates.length > 0 ? dates[dates.length - 1] : null
+    });
+  }
+  pitchers.sort((a, b) => b.starts - a.starts || inningsToOuts(b.innings_pitched) - inningsToOuts(a.innings_pitched));
+
+  // Rotation: starters by day of the week, likeliest first
+  const byDay = new Map();
+  for (const line of starters) {
+    const game = gameById.get(line.game_id);
+    const { date, day } = gameDay(game || {});
+    if (!day) {
+      continue;
+    }
+    const key = playerKey(line.jersey_number, line.player_name);
+    const dayStarters = byDay.get(day) || new Map();
+    const entry = dayStarters.get(key) || {
+      name: players.get(key) ? players.get(key).name : line.player_name,
+      jersey_number: line.jersey_number,
+      display_name: displayName(players.get(key) || { name: line.player_name, jersey_number: line.jersey_number }),
+      starts: 0,
+      last_start: null
+    };
+    entry.starts += 1;
+    if (!entry.last_start || date > entry.last_start) {
+      entry.last_start = date;
+    }
+    dayStarters.set(key, entry);
+    byDay.set(day, dayStarters);
+  }
+  const rotation = DAYS_OF_WEEK
+    .filter(day => byDay.has(day))
+    .map(day => {
+      const dayStarters = [...byDay.get(day).values()]
+        .sort((a, b) => b.starts - a.starts || String(b.last_start).localeCompare(String(a.last_start)));
+      return {
+        day_of_week: day,
+        starts: dayStarters.reduce((total, entry) => total + entry.starts, 0),
+        likely_starter: dayStarters[0],
+        starters: dayStarters
+      };
+    });
+
+  // Projected lineup: usual starters by batting-order spot
+  const lineupCandidates = [];
+  for (const player of players.values()) {
+    const started = player.lines.filter(line => line.is_starter && num(line.batting_order) > 0);
+    if (started.length > 0) {
+      lineupCandidates.push({
+        display_name: displayName(player),
+        name: player.name,
+        jersey_number: player.jersey_number,
+        batting_order: mode(started.map(line => num(line.batting_order))),
+        position: mode(started.map(line => line.position_played)),
+        starts: started.length
+      });
+    }
+  }
+  const projectedLineup = [];
+  for (let spot = 1; spot <= 9; spot++) {
+    const candidate = lineupCandidates
+      .filter(entry => entry.batting_order === spot && !projectedLineup.includes(entry))
+      .sort((a, b) => b.starts - a.starts)[0];
+    if (candidate) {
+      projectedLineup.push(candidate);
+    }
+  }
+
+  // Stolen bases: box score totals for every game, detail from play-by-play
+  const stealing = collectBaseStealing(games);
+  const sb = lines.reduce((total, line) => total + num(line.stolen_bases), 0);
+  const cs = lines.reduce((total, line) => total + num(line.caught_stealing), 0);
+  const stolenBases = {
+    stolen_bases: sb,
+    caught_stealing: cs,
+    attempts: sb + cs,
+    success_pct: pct(sb, sb + cs),
+    attempts_per_game: games.length > 0 ? Math.round(((sb + cs) / games.length) * 10) / 10 : null,
+    by_base: stealing.by_base,
+    pickoffs: stealing.pickoffs,
+    play_by_play_games: stealing.games,
+    runners: [...stealing.runners.entries()]
+      .map(([name, tally]) => ({ name, stolen_bases: tally.sb, caught_stealing: tally.cs, attempts: tally.sb + tally.cs }))
+      .sort((a, b) => b.attempts - a.attempts)
+  };
+
+  // Series summary from our side
+  const played = games.filter(game => game.team_score !== null && game.opponent_score !== null);
+  const record = { wins: 0, losses: 0, ties: 0 };
+  for (const game of played) {
+    if (game.result === 'W') {
+      record.wins += 1;
+    } else if (game.result === 'L') {
+      record.losses += 1;
+    } else if (game.result === 'T') {
+      record.ties += 1;
+    }
+  }
+  const totals = field => lines.reduce((total, line) => total + num(line[field]), 0);
+  const teamAb = totals('at_bats');
+  const teamPa = teamAb + totals('walks') + totals('hit_by_pitch') + totals('sacrifice_flies') + totals('sacrifice_bunts');
+
+  return {
+    opponent,
+    generated_at: new Date().toISOString(),
+    summary: {
+      games: games.length,
+      ...record,
+      runs_per_game: played.length > 0
+        ? Math.round((played.reduce((total, game) => total + game.opponent_score, 0) / played.length) * 10) / 10 : null,
+      runs_allowed_per_game: played.length > 0
+        ? Math.round((played.reduce((total, game) => total + game.team_score, 0) / played.length) * 10) / 10 : null,
+      avg: rate(totals('hits'), teamAb),
+      home_runs: totals('home_runs'),
+      k_pct: pct(totals('strikeouts_batting'), teamPa),
+      bb_pct: pct(totals('walks'), teamPa),
+      stolen_base_attempts_per_game: stolenBases.attempts_per_game
+    },
+    games: games.map(game => {
+      const { date, day } = gameDay(game);
+      return {
+        id: game.id,
+        date,
+        day_of_week: day,
+        home_away: game.home_away,
+        team_score: game.team_score,
+        opponent_score: game.opponent_score,
+        result: game.result,
+        has_play_by_play: Boolean(game.play_by_play && Array.isArray(game.play_by_play.innings))
+      };
+    }),
+    hitters,
+    stolen_bases: stolenBases,
+    pitchers,
+    rotation,
+    projected_lineup: projectedLineup
+  };
+}
+
+/**
+ * Build the scouting report on an opponent
+ * @param {number} teamId - Team ID
+ * @param {string} opponent - Opponent name as stored on OpponentGameStat (and Game.opponent)
+ * @param {Object} [options] - Options
+ * @param {string} [options.season] - Only games of this season
+ * @returns {Promise<Object|null>} Report, or null when the team has no games against the opponent
+ */
+async function buildScoutingReport(teamId, opponent, { season = null } = {}) {
+  const lineWhere = { team_id: teamId, opponent_name: opponent };
+  const statGameIds = (await OpponentGameStat.findAll({
+    where: lineWhere,
+    attributes: ['game_id'],
+    group: ['game_id'],
+    raw: true
+  })).map(row => row.game_id);
+
+  const games = await Game.findAll({
+    where: {
+      team_id: teamId,
+      ...(season ? { season } : {}),
+      [Op.or]: [
+        { id: statGameIds },
+        { opponent: { [Op.iLike]: opponent } }
+      ]
+    },
+    attributes: ['id', 'game_date', 'home_away', 'team_score', 'opponent_score', 'result', 'season', 'play_by_play'],
+    order: [['game_date', 'ASC']]
+  });
+  if (games.length === 0) {
+    return null;
+  }
+
+  const lines = await OpponentGameStat.findAll({
+    where: { ...lineWhere, game_id: games.map(game => game.id) },
+    order: [['game_id', 'ASC'], ['batting_order', 'ASC']]
+  });
+
+  return { ...compileReport(opponent, games, lines), season };
+}
+
+/**
+ * Turn a scouting report into a report document for reportPdfService
+ * @param {Object} report - buildScoutingReport result
+ * @returns {Object} Report document { type, title, subtitle, summary, tables }
+ */
+function toReportDocument(report) {
+  const { summary } = report;
+  const first = report.games[0];
+  const last = report.games[report.games.length - 1];
+
+  return {
+    type: 'opponent-scouting',
+    title: `Scouting Report: ${report.opponent}`,
+    subtitle: [
+      report.season ? `Season ${report.season}` : 'All seasons',
+      `${summary.games} game(s) vs ${report.opponent}${first && first.date ? ` (${first.date} to ${last.date})` : ''}`,
+      `Our record ${summary.wins}-${summary.losses}${summary.ties ? `-${summary.ties}` : ''}`
+    ].join(' | '),
+    summary: [
+      { label: 'Runs / game', value: summary.runs_per_game },
+      { label: 'Team AVG', value: summary.avg === null ? null : summary.avg.toFixed(3).replace(/^0/, '') },
+      { label: 'K%', value: summary.k_pct },
+      { label: 'BB%', value: summary.bb_pct },
+      { label: 'Home runs', value: summary.home_runs },
+      { label: 'SB attempts / game', value: summary.stolen_base_attempts_per_game },
+      { label: 'SB success %', value: report.stolen_bases.success_pct },
+      { label: 'Pickoffs', value: report.stolen_bases.pickoffs }
+    ],
+    tables: [
+      {
+        title: 'Projected Lineup',
+        columns: [
+          { key: 'batting_order', label: 'Spot', format: 'integer' },
+          { key: 'name', label: 'Player', format: 'text' },
+          { key: 'position', label: 'Pos', format: 'text' },
+          { key: 'starts', label: 'Starts', format: 'integer' }
+        ],
+        rows: report.projected_lineup.map(entry => ({ ...entry, name: entry.display_name }))
+      },
+      {
+        title: 'Hitters',
+        columns: [
+          { key: 'name', label: 'Player', format: 'text' },
+          { key: 'position', label: 'Pos', format: 'text' },
+          { key: 'plate_appearances', label: 'PA', format: 'integer' },
+          { key: 'avg', label: 'AVG', format: 'avg' },
+          { key: 'obp', label: 'OBP', format: 'avg' },
+          { key: 'slg', label: 'SLG', format: 'avg' },
+          { key: 'home_runs', label: 'HR', format: 'integer' },
+          { key: 'k_pct', label: 'K%', format: 'decimal1' },
+          { key: 'bb_pct', label: 'BB%', format: 'decimal1' },
+          { key: 'first_pitch_swing_pct', label: '1st-pitch swing%', format: 'decimal1' },
+          { key: 'ground_ball_pct', label: 'GB%', format: 'decimal1' },
+          { key: 'fly_ball_pct', label: 'FB%', format: 'decimal1' },
+          { key: 'spray', label: 'Spray L/C/R %', format: 'text' },
+          { key: 'steals', label: 'SB-CS', format: 'text' }
+        ],
+        rows: report.hitters.map(hitter => {
+          const tendencies = hitter.tendencies || { spray: {} };
+          const spray = tendencies.sample_pa
+            ? [tendencies.spray.left_pct, tendencies.spray.center_pct, tendencies.spray.right_pct].map(value => value === null ? '-' : Math.round(value)).join('/')
+            : null;
+          return {
+            ...hitter,
+            name: hitter.display_name,
+            first_pitch_swing_pct: tendencies.first_pitch_swing_pct,
+            ground_ball_pct: tendencies.ground_ball_pct,
+            fly_ball_pct: tendencies.fly_ball_pct,
+            spray,
+            steals: `${hitter.stolen_bases}-${hitter.caught_stealing}`
+          };
+        })
+      },
+      {
+        title: 'Base Stealing',
+        columns: [
+          { key: 'name', label: 'Runner', format: 'text' },
+          { key: 'attempts', label: 'Attempts', format: 'integer' },
+          { key: 'stolen_bases', label: 'SB', format: 'integer' },
+          { key: 'caught_stealing', label: 'CS', format: 'integer' }
+        ],
+        rows: report.stolen_bases.runners
+      },
+      {
+        title: 'Pitchers',
+        columns: [
+          { key: 'name', label: 'Pitcher', format: 'text' },
+          { key: 'appearances', label: 'G', format: 'integer' },
+          { key: 'starts', label: 'GS', format: 'integer' },
+          { key: 'innings_pitched', label: 'IP', format: 'text' },
+          { key: 'innings_per_start', label: 'IP/GS', format: 'text' },
+          { key: 'era', label: 'ERA', format: 'decimal2' },
+          { key: 'k_pct', label: 'K%', format: 'decimal1' },
+          { key: 'bb_pct', label: 'BB%', format: 'decimal1' },
+          { key: 'pitches_per_outing', label: 'P/G', format: 'integer' },
+          { key: 'avg_relief_entry_inning', label: 'Relief entry inn', format: 'decimal1' },
+          { key: 'start_days', label: 'Start days', format: 'text' },
+          { key: 'last_appearance', label: 'Last app', format: 'text' }
+        ],
+        rows: report.pitchers.map(pitcher => ({
+          ...pitcher,
+          name: pitcher.display_name,
+          start_days: pitcher.start_days.map(day => day.slice(0, 3)).join(', ') || null
+        }))
+      },
+      {
+        title: 'Likely Starters by Day',
+        columns: [
+          { key: 'day_of_week', label: 'Day', format: 'text' },
+          { key: 'name', label: 'Likely starter', format: 'text' },
+          { key: 'likely_starts', label: 'Starts that day', format: 'integer' },
+          { key: 'others', label: 'Also started', format: 'text' }
+        ],
+        rows: report.rotation.map(day => ({
+          day_of_week: day.day_of_week,
+          name: day.likely_starter.display_name,
+          likely_starts: day.likely_starter.starts,
+          others: day.starters.slice(1).map(entry => `${entry.display_name} (${entry.starts})`).join(', ') || null
+        }))
+      },
+      {
+        title: 'Games',
+        columns: [
+          { key: 'date', label: 'Date', format: 'text' },
+          { key: 'day_of_week', label: 'Day', format: 'text' },
+          { key: 'home_away', label: 'Site', format: 'text' },
+          { key: 'score', label: 'Score (us-them)', format: 'text' },
+          { key: 'result', label: 'Result', format: 'text' }
+        ],
+        rows: report.games.map(game => ({
+          ...game,
+          score: game.team_score !== null && game.opponent_score !== null ? `${game.team_score}-${game.opponent_score}` : null
+        }))
+      }
+    ]
+  };
+}
+
+module.exports = {
+  DAYS_OF_WEEK,
+  playerKey,
+  collectHitterTendencies,
+  collectBaseStealing,
+  pitchingChanges,
+  compileReport,
+  buildScoutingReport,
+  toReportDocument
+};
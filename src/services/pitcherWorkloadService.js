@@ -0,0 +1,406 @@
+/**
+ * Pitcher Workload Service
+ *
+ * Tracks pitcher usage from GameStatistic pitching lines and decides who is
+ * available out of the bullpen on a given day.
+ *
+ * For each pitcher it reports days of rest since the last appearance, rolling
+ * 3-day and 7-day pitch totals (both windows end on the day being checked), and
+ * consecutive days pitched. Availability is decided by the team's rest rules:
+ * - rest_days_by_pitches: days of rest required after an outing of at least
+ *   min_pitches pitches (the highest matching tier applies)
+ * - max_pitches_3_days / max_pitches_7_days: rolling pitch caps
+ * - max_consecutive_days: a pitcher who has thrown this many days in a row sits
+ * - limited_pitch_margin: a pitcher with this many pitches or fewer left under a
+ *   cap is 'limited' rather than 'available'
+ *
+ * Teams without saved rules use DEFAULT_REST_RULES. Games with no pitch count
+ * recorded (common for manually entered box scores) fall back to an estimate
+ * from batters faced or innings pitched, and are flagged as estimated.
+ *
+ * @module services/pitcherWorkloadService
+ */
+
+const { Op } = require('sequelize');
+const { Game, GameStatistic, Player, Team } = require('../models');
+
+/**
+ * Rest rules used when a team has not configured its own
+ * @type {Object}
+ */
+const DEFAULT_REST_RULES = {
+  rest_days_by_pitches: [
+    { min_pitches: 1, rest_days: 0 },
+    { min_pitches: 31, rest_days: 1 },
+    { min_pitches: 46, rest_days: 2 },
+    { min_pitches: 61, rest_days: 3 },
+    { min_pitches: 76, rest_days: 4 }
+  ],
+  max_pitches_3_days: 100,
+  max_pitches_7_days: 150,
+  max_consecutive_days: 2,
+  limited_pitch_margin: 25
+};
+
+/**
+ * Pitches assumed per batter faced when no pitch count was recorded
+ * @type {number}
+ */
+const PITCHES_PER_BATTER = 4;
+
+/**
+ * Pitches assumed per out recorded when neither pitches nor batters faced were recorded
+ * @type {number}
+ */
+const PITCHES_PER_OUT = 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Merge a team's saved rules over the defaults
+ * @param {Object|null} saved - Team.pitcher_rest_rules
+ * @returns {Object} Complete rest rules, tiers sorted by min_pitches
+ */
+function resolveRestRules(saved) {
+  const rules = { ...DEFAULT_REST_RULES, ...(saved || {}) };
+  rules.rest_days_by_pitches = [...rules.rest_days_by_pitches]
+    .sort((a, b) => a.min_pitches - b.min_pitches);
+  return rules;
+}
+
+/**
+ * Days of rest required after an outing
+ * @param {number} pitches - Pitches thrown that day
+ * @param {Object} rules - Resolved rest rules
+ * @returns {number}
+ */
+function requiredRestDays(pitches, rules) {
+  let restDays = 0;
+  for (const tier of rules.rest_days_by_pitches) {
+    if (pitches >= tier.min_pitches) {
+      restDays = tier.rest_days;
+    }
+  }
+  return restDays;
+}
+
+/**
+ * Convert baseball innings notation (5.2 = 5 2/3) to outs
+ * @param {number|string} innings
+ * @returns {number}
+ */
+function inningsToOuts(innings) {
+  const value = parseFloat(innings) || 0;
+  const whole = Math.floor(value);
+  return whole * 3 + Math.round((value - whole) * 10);
+}
+
+/**
+ * Pitches thrown in a pitching line, estimated when no count was recorded
+ * @param {Object} stat - GameStatistic
+ * @returns {{ pitches: number, estimated: boolean }}
+ */
+function pitchesFor(stat) {
+  if (stat.pitches_thrown > 0) {
+    return { pitches: stat.pitches_thrown, estimated: false };
+  }
+  if (stat.batters_faced > 0) {
+    return { pitches: stat.batters_faced * PITCHES_PER_BATTER, estimated: true };
+  }
+  return { pitches: inningsToOuts(stat.innings_pitched) * PITCHES_PER_OUT, estimated: true };
+}
+
+/**
+ * Calendar day (YYYY-MM-DD, UTC) of a date
+ * @param {Date|string} date
+ * @returns {string}
+ */
+function dayKey(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+/**
+ * Whole days from one calendar day to a later one
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {number}
+ */
+function daysBetween(from, to) {
+  return Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+}
+
+/**
+ * Calendar day a number of days after another
+ * @param {string} day - YYYY-MM-DD
+ * @param {number} days
+ * @returns {string}
+ */
+function addDays(day, days) {
+  return dayKey(Date.parse(day) + days * DAY_MS);
+}
+
+/**
+ * Group a pitcher's appearances by calendar day (doubleheaders count as one day)
+ * @param {Array<Object>} appearances - { date, pitches, estimated }
+ * @returns {Array<Object>} { date, pitches, estimated, appearances } newest first
+ */
+function groupByDay(appearances) {
+  const days = new Map();
+  for (const appearance of appearances) {
+    const day = days.get(appearance.date) || { date: appearance.date, pitches: 0, estimated: false, appearances: 0 };
+    day.pitches += appearance.pitches;
+    day.estimated = day.estimated || appearance.estimated;
+    day.appearances += 1;
+    days.set(appearance.date, day);
+  }
+  return [...days.values()].sort((a, b) => b.date.localeCompare(a.date));
+}
+
+/**
+ * Apply the rest rules to a pitcher's days pitched for one day
+ * @param {Array<Object>} days - groupByDay output, nothing after asOf
+ * @param {Object} rules - Resolved rest rules
+ * @param {string} asOf - Day being checked (YYYY-MM-DD)
+ * @returns {Object} Workload summary without available_on
+ */
+function evaluateDay(days, rules, asOf) {
+  const recent = (window) => days.filter(day => daysBetween(day.date, asOf) < window);
+  const pitches3 = recent(3).reduce((sum, day) => sum + day.pitches, 0);
+  const pitches7 = recent(7).reduce((sum, day) => sum + day.pitches, 0);
+  const last = days[0] || null;
+  const reasons = [];
+
+  let consecutiveDays = 0;
+  if (last && daysBetween(last.date, asOf) <= 1) {
+    let expected = last.date;
+    for (const day of days) {
+      if (day.date !== expected) {
+        break;
+      }
+      consecutiveDays += 1;
+      expected = addDays(expected, -1);
+    }
+  }
+
+  let requiredRest = null;
+  if (last) {
+    requiredRest = requiredRestDays(last.pitches, rules);
+    if (last.date === asOf) {
+      reasons.push('Already pitched today');
+    } else if (daysBetween(last.date, asOf) - 1 < requiredRest) {
+      reasons.push(`Needs ${requiredRest} day${requiredRest === 1 ? '' : 's'} of rest after ${last.pitches} pitches on ${last.date}`);
+    }
+  }
+
+  // Only a run ending yesterday keeps growing if the pitcher throws today
+  if (last && last.date !== asOf && consecutiveDays >= rules.max_consecutive_days) {
+    reasons.push(`Pitched ${consecutiveDays} days in a row`);
+  }
+
+  const remaining = Math.min(
+    rules.max_pitches_3_days - pitches3,
+    rules.max_pitches_7_days - pitches7
+  );
+  if (remaining <= 0) {
+    reasons.push(pitches3 >= rules.max_pitches_3_days
+      ? `Reached the ${rules.max_pitches_3_days}-pitch 3-day limit`
+      : `Reached the ${rules.max_pitches_7_days}-pitch 7-day limit`);
+  }
+
+  let status = 'available';
+  if (reasons.length > 0) {
+    status = 'unavailable';
+  } else if (remaining <= rules.limited_pitch_margin) {
+    status = 'limited';
+  }
+
+  return {
+    status,
+    reasons,
+    max_pitches_today: status === 'unavailable' ? 0 : remaining,
+    last_appearance: last ? last.date : null,
+    last_appearance_pitches: last ? last.pitches : null,
+    days_of_rest: last && last.date !== asOf ? daysBetween(last.date, asOf) - 1 : null,
+    required_rest_days: requiredRest,
+    pitches_last_3_days: pitches3,
+    pitches_last_7_days: pitches7,
+    appearances_last_7_days: recent(7).reduce((sum, day) => sum + day.appearances, 0),
+    consecutive_days: consecutiveDays,
+    includes_estimates: recent(7).some(day => day.estimated)
+  };
+}
+
+/**
+ * Decide a pitcher's availability on a day from recent appearances
+ *
+ * available_on is the first day, from asOf on, the pitcher is not 'unavailable'
+ * assuming no further appearances.
+ *
+ * @param {Array<Object>} appearances - { date (YYYY-MM-DD), pitches, estimated }
+ * @param {Object} rules - Resolved rest rules
+ * @param {string} asOf - Day being checked (YYYY-MM-DD); later appearances are ignored
+ * @returns {Object} Workload summary with status 'available', 'limited' or 'unavailable'
+ */
+function computeAvailability(appearances, rules, asOf) {
+  const days = groupByDay(appearances.filter(appearance => appearance.date <= asOf));
+  const workload = evaluateDay(days, rules, asOf);
+
+  let availableOn = asOf;
+  for (let offset = 1; offset <= lookbackDays(rules) && evaluateDay(days, rules, availableOn).status === 'unavailable'; offset++) {
+    availableOn = addDays(asOf, offset);
+  }
+
+  return { ...workload, available_on: availableOn };
+}
+
+/**
+ * Load pitching appearances for players in a date range
+ *
+ * @param {number} teamId
+ * @param {Array<number>|null} playerIds - null for every pitcher on the team
+ * @param {string} from - First day (YYYY-MM-DD)
+ * @param {string} to - Last day (YYYY-MM-DD)
+ * @returns {Promise<Array<Object>>} { player_id, game_id, date, opponent, innings_pitched, batters_faced, pitches, estimated } oldest first
+ */
+async function getAppearances(teamId, playerIds, from, to) {
+  const where = {
+    team_id: teamId,
+    [Op.or]: [
+      { innings_pitched: { [Op.gt]: 0 } },
+      { pitches_thrown: { [Op.gt]: 0 } },
+      { batters_faced: { [Op.gt]: 0 } }
+    ]
+  };
+  if (playerIds) {
+    where.player_id = playerIds;
+  }
+
+  const stats = await GameStatistic.findAll({
+    where,
+    attributes: ['player_id', 'game_id', 'innings_pitched', 'batters_faced', 'pitches_thrown', 'strikes_thrown'],
+    include: [{
+      model: Game,
+      as: 'game',
+      attributes: ['id', 'game_date', 'opponent'],
+      where: {
+        game_date: { [Op.gte]: `${from}T00:00:00.000Z`, [Op.lte]: `${to}T23:59:59.999Z` },
+        game_status: { [Op.notIn]: ['cancelled', 'postponed'] }
+      }
+    }],
+    order: [[{ model: Game, as: 'game' }, 'game_date', 'ASC']]
+  });
+
+  return stats.map(stat => ({
+    player_id: stat.player_id,
+    game_id: stat.game_id,
+    date: dayKey(stat.game.game_date),
+    opponent: stat.game.opponent,
+    innings_pitched: parseFloat(stat.innings_pitched) || 0,
+    batters_faced: stat.batters_faced || 0,
+    strikes: stat.strikes_thrown || null,
+    ...pitchesFor(stat)
+  }));
+}
+
+/**
+ * Days of history needed to evaluate the rules on a day
+ * @param {Object} rules - Resolved rest rules
+ * @returns {number}
+ */
+function lookbackDays(rules) {
+  const maxRest = Math.max(0, ...rules.rest_days_by_pitches.map(tier => tier.rest_days));
+  return Math.max(7, maxRest + 1, rules.max_consecutive_days + 1);
+}
+
+/**
+ * Load a team's resolved rest rules
+ * @param {number} teamId
+ * @returns {Promise<Object>}
+ */
+async function getRestRules(teamId) {
+  const team = await Team.findByPk(teamId, { attributes: ['id', 'pitcher_rest_rules'] });
+  return resolveRestRules(team ? team.pitcher_rest_rules : null);
+}
+
+/**
+ * Availability for a team's pitchers on a day
+ *
+ * Covers active players listed at P plus anyone else (two-way players, position
+ * players who pitched) with a pitching appearance in the lookback window.
+ *
+ * @param {number} teamId
+ * @param {Object} [options]
+ * @param {string} [options.asOf] - Day to check (YYYY-MM-DD), default today
+ * @param {Array<number>} [options.playerIds] - Limit to these players
+ * @returns {Promise<Object>} { as_of, rules, pitchers: [{ player, ...workload }] }
+ */
+async function getBullpenAvailability(teamId, options = {}) {
+  const asOf = options.asOf || dayKey(new Date());
+  const rules = await getRestRules(teamId);
+  const from = addDays(asOf, -(lookbackDays(rules) - 1));
+  const appearances = await getAppearances(teamId, options.playerIds || null, from, asOf);
+
+  const playerWhere = { team_id: teamId };
+  if (options.playerIds) {
+    playerWhere.id = options.playerIds;
+  } else {
+    playerWhere[Op.or] = [
+      { position: 'P', status: 'active' },
+      { id: [...new Set(appearances.map(appearance => appearance.player_id))] }
+    ];
+  }
+
+  const players = await Player.findAll({
+    where: playerWhere,
+    attributes: ['id', 'first_name', 'last_name', 'jersey_number', 'position', 'throws', 'status'],
+    order: [['last_name', 'ASC'], ['first_name', 'ASC']]
+  });
+
+  const pitchers = players.map(player => ({
+    player: {
+      id: player.id,
+      name: `${player.first_name} ${player.last_name}`,
+      jersey_number: player.jersey_number,
+      position: player.position,
+      throws: player.throws
+    },
+    ...computeAvailability(appearances.filter(appearance => appearance.player_id === player.id), rules, asOf)
+  }));
+
+  return { as_of: asOf, rules, pitchers };
+}
+
+/**
+ * Appearance log and current availability for one pitcher
+ *
+ * @param {number} teamId
+ * @param {number} playerId
+ * @param {Object} [options]
+ * @param {string} [options.asOf] - Day to check (YYYY-MM-DD), default today
+ * @param {number} [options.days=30] - Days of appearances to list
+ * @returns {Promise<Object>} { as_of, workload, appearances } appearances newest first
+ */
+async function getPitcherWorkload(teamId, playerId, options = {}) {
+  const asOf = options.asOf || dayKey(new Date());
+  const rules = await getRestRules(teamId);
+  const days = Math.max(options.days || 30, lookbackDays(rules));
+  const appearances = await getAppearances(teamId, [playerId], addDays(asOf, -(days - 1)), asOf);
+
+  return {
+    as_of: asOf,
+    workload: computeAvailability(appearances, rules, asOf),
+    appearances: appearances.reverse().map(({ player_id: _playerId, ...appearance }) => appearance)
+  };
+}
+
+module.exports = {
+  DEFAULT_REST_RULES,
+  inningsToOuts,
+  resolveRestRules,
+  requiredRestDays,
+  pitchesFor,
+  computeAvailability,
+  getRestRules,
+  getBullpenAvailability,
+  getPitcherWorkload
+};
@@ -0,0 +1,427 @@
+/**
+ * Play Value Service
+ *
+ * Values every play in a game's play-by-play with RE24 and WPA using the league
+ * model from services/runExpectancyService, credits the team's batters and
+ * pitchers, and totals the credits into season leaderboards.
+ *
+ * Per play:
+ * - re24: change in run expectancy plus runs scored, for the batting team
+ * - win_probability_before / win_probability_after: the team's chance of winning
+ * - wpa: change in the team's win probability
+ *
+ * Credits, always from the team's side: a batter gets the WPA and RE24 of their
+ * plate appearances; a pitcher gets the WPA of every play while on the mound and
+ * the RE24 with the sign flipped (runs saved). The batter is matched by jersey
+ * number or name (see situationalSplitsService); the pitcher is followed through
+ * "X to p for Y" substitutions, starting from the only pitcher in the box score or
+ * the pitcher the first change replaced.
+ *
+ * @module services/playValueService
+ */
+
+const { Op } = require('sequelize');
+const { Game, GameStatistic, Player } = require('../models');
+const { classifyPlayByPlay, needsClassification } = require('../utils/playOutcomeClassifier');
+const { batterMatcher, nameMatches } = require('./situationalSplitsService');
+const runExpectancyService = require('./runExpectancyService');
+
+/**
+ * Pitching change narratives, e.g. "Jones to p for Smith."
+ * @type {RegExp}
+ */
+const PITCHING_CHANGE = /^(.+?)\s+to p(?:\s+for\s+(.+?))?\.?$/i;
+
+/**
+ * Leaderboard stats computed from play values
+ * @type {Object}
+ */
+const PLAY_VALUE_STATS = {
+  wpa: { role: 'batting', value: 'wpa', qualifier: 'plate_appearances' },
+  re24: { role: 'batting', value: 're24', qualifier: 'plate_appearances' },
+  pitching_wpa: { role: 'pitching', value: 'wpa', qualifier: 'batters_faced' },
+  pitching_re24: { role: 'pitching', value: 're24', qualifier: 'batters_faced' },
+  relief_wpa: { role: 'relief', value: 'wpa', qualifier: 'appearances' }
+};
+
+/**
+ * Round to three places
+ * @param {number} value
+ * @returns {number}
+ */
+function round3(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Regulation innings for a game: 7 when the play-by-play stops at the 7th
+ * (doubleheader games), otherwise 9
+ * @param {Object} playByPlay
+ * @returns {number}
+ */
+function regulationInnings(playByPlay) {
+  const innings = (playByPlay.innings || []).map(inning => inning.inning || 0);
+  return innings.length > 0 && Math.max(...innings) <= 7 ? 7 : 9;
+}
+
+/**
+ * Find the player a play-by-play name refers to
+ * @param {string} name
+ * @param {Array<Object>} players
+ * @returns {Object|null}
+ */
+function findPlayerByName(name, players) {
+  return (name && players.find(player => nameMatches(name, player))) || null;
+}
+
+/**
+ * Starting pitcher: the only pitcher in the box score, or whoever the first
+ * pitching change replaced
+ * @param {Object} playByPlay
+ * @param {string} side - Team's side, 'home' or 'away'
+ * @param {Array<Object>} pitchers - Players who pitched in the game
+ * @returns {Object|null}
+ */
+function findStartingPitcher(playByPlay, side, pitchers) {
+  if (pitchers.length === 1) {
+    return pitchers[0];
+  }
+  for (const inning of playByPlay.innings || []) {
+    for (const [index, half] of (inning.halves || []).entries()) {
+      const battingSide = half.side || (index === 0 ? 'away' : 'home');
+      if (battingSide === side) {
+        continue;
+      }
+      for (const play of half.plays || []) {
+        const change = play.event && play.event.code === 'SUB' && String(play.narrative || '').trim().match(PITCHING_CHANGE);
+        if (change) {
+          return findPlayerByName(change[2], pitchers);
+        }
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Player summary used in responses
+ * @param {Object|null} player
+ * @returns {Object|null}
+ */
+function playerRef(player) {
+  return player
+    ? { id: player.id, name: `${player.first_name} ${player.last_name}`, jersey_number: player.jersey_number }
+    : null;
+}
+
+/**
+ * Value every play in a game
+ *
+ * @param {Object} game - { home_away, play_by_play }
+ * @param {Object} model - runExpectancyService model
+ * @param {Object} [people]
+ * @param {Array<Object>} [people.batters] - Team players who may have batted
+ * @param {Array<Object>} [people.pitchers] - Team players who pitched
+ * @returns {Object} { regulation_innings, plays, credits }; credits are keyed by player id
+ */
+function valueGame(game, model, { batters = [], pitchers = [] } = {}) {
+  const playByPlay = game.play_by_play;
+  if (needsClassification(playByPlay)) {
+    classifyPlayByPlay(playByPlay);
+  }
+
+  const side = game.home_away;
+  const regulation = regulationInnings(playByPlay);
+  const matchers = batters.map(player => ({ player, isBatter: batterMatcher(player) }));
+  const runs = { home: 0, away: 0 };
+  const plays = [];
+  const credits = new Map();
+  let pitcher = findStartingPitcher(playByPlay, side, pitchers);
+  const starterId = pitcher ? pitcher.id : null;
+
+  const credit = (player, role, wpa, re24, isPlateAppearance) => {
+    const key = `${player.id}`;
+    if (!credits.has(key)) {
+      credits.set(key, {
+        player,
+        batting: { plate_appearances: 0, wpa: 0, re24: 0 },
+        pitching: { batters_faced: 0, wpa: 0, re24: 0, started: player.id === starterId }
+      });
+    }
+    const line = credits.get(key)[role];
+    line.wpa += wpa;
+    line.re24 += re24;
+    if (isPlateAppearance) {
+      line[role === 'batting' ? 'plate_appearances' : 'batters_faced'] += 1;
+    }
+  };
+
+  for (const inning of playByPlay.innings || []) {
+    (inning.halves || []).forEach((half, index) => {
+      const battingSide = half.side || (index === 0 ? 'away' : 'home');
+      const halfName = battingSide === 'away' ? 'top' : 'bottom';
+      const teamBatting = battingSide === side;
+
+      for (const play of half.plays || []) {
+        const event = play.event;
+        if (!event) {
+          continue;
+        }
+
+        if (!teamBatting && event.code === 'SUB') {
+          const change = String(play.narrative || '').trim().match(PITCHING_CHANGE);
+          if (change) {
+            pitcher = findPlayerByName(change[1], pitchers);
+          }
+        }
+
+        const scoreBefore = {
+          team: runs[side],
+          opponent: runs[side === 'home' ? 'away' : 'home']
+        };
+        const homeDiffBefore = runs.home - runs.away;
+        runs[battingSide] += event.runs_on_play || 0;
+        const homeDiffAfter = runs.home - runs.away;
+
+        const homeBefore = model.winProbability({
+          inning: inning.inning, half: halfName, outs: event.outs_before, bases: event.bases_before, homeDiff: homeDiffBefore, regulation
+        });
+        const homeAfter = model.winProbability({
+          inning: inning.inning, half: halfName, outs: event.outs_after, bases: event.bases_after, homeDiff: homeDiffAfter, regulation
+        });
+        const teamBefore = side === 'home' ? homeBefore : 1 - homeBefore;
+        const teamAfter = side === 'home' ? homeAfter : 1 - homeAfter;
+        const wpa = teamAfter - teamBefore;
+        const reBefore = model.runExpectancy(event.outs_before, event.bases_before);
+        const reAfter = model.runExpectancy(event.outs_after, event.bases_after);
+        const re24 = reAfter - reBefore + (event.runs_on_play || 0);
+
+        let batter = null;
+        if (teamBatting && event.is_plate_appearance) {
+          const match = matchers.find(({ isBatter }) => isBatter(play));
+          batter = match ? match.player : null;
+          if (batter) {
+            credit(batter, 'batting', wpa, re24, true);
+          }
+        }
+        if (!teamBatting && pitcher && event.code !== 'SUB') {
+          credit(pitcher, 'pitching', wpa, -re24, event.is_plate_appearance);
+        }
+
+        plays.push({
+          inning: inning.inning,
+          half: halfName,
+          team_batting: teamBatting,
+          narrative: play.narrative,
+          code: event.code,
+          outs_before: event.outs_before,
+          bases_before: runExpectancyService.baseStateKey(event.bases_before),
+          score_before: scoreBefore,
+          runs_on_play: event.runs_on_play || 0,
+          run_expectancy_before: round3(reBefore),
+          run_expectancy_after: round3(reAfter),
+          re24: round3(re24),
+          win_probability_before: round3(teamBefore),
+          win_probability_after: round3(teamAfter),
+          wpa: round3(wpa),
+          batter: playerRef(batter),
+          pitcher: teamBatting ? null : playerRef(pitcher)
+        });
+      }
+    });
+  }
+
+  return { regulation_innings: regulation, plays, credits };
+}
+
+/**
+ * Team players who batted and pitched in each game, keyed by game id
+ *
+ * Falls back to the active roster (pitchers listed at P) for games with no box score.
+ *
+ * @param {number} teamId
+ * @param {Array<number>} gameIds
+ * @returns {Promise<Function>} (gameId) => { batters, pitchers }
+ */
+async function loadParticipants(teamId, gameIds) {
+  const [roster, lines] = await Promise.all([
+    Player.findAll({
+      where: { team_id: teamId },
+      attributes: ['id', 'first_name', 'last_name', 'jersey_number', 'position', 'status']
+    }),
+    GameStatistic.findAll({
+      where: { team_id: teamId, game_id: { [Op.in]: gameIds } },
+      attributes: ['game_id', 'player_id', 'innings_pitched', 'batters_faced']
+    })
+  ]);
+
+  const byId = new Map(roster.map(player => [player.id, player]));
+  const byGame = new Map();
+  for (const line of lines) {
+    const player = byId.get(line.player_id);
+    if (!player) {
+      continue;
+    }
+    if (!byGame.has(line.game_id)) {
+      byGame.set(line.game_id, { batters: [], pitchers: [] });
+    }
+    const participants = byGame.get(line.game_id);
+    participants.batters.push(player);
+    if (parseFloat(line.innings_pitched) > 0 || line.batters_faced > 0) {
+      participants.pitchers.push(player);
+    }
+  }
+
+  const active = roster.filter(player => player.status === 'active');
+  const fallback = { batters: active, pitchers: active.filter(player => player.position === 'P') };
+  return (gameId) => byGame.get(gameId) || fallback;
+}
+
+/**
+ * Per-play RE24 and WPA for one of the team's games
+ *
+ * @param {number} teamId
+ * @param {number} gameId
+ * @returns {Promise<Object|null>} null when the game is not the team's or has no play-by-play
+ */
+async function getGamePlayValues(teamId, gameId) {
+  const game = await Game.findOne({
+    where: { id: gameId, team_id: teamId },
+    attributes: ['id', 'opponent', 'game_date', 'home_away', 'team_score', 'opponent_score', 'play_by_play']
+  });
+  if (!game || !game.play_by_play || !Array.isArray(game.play_by_play.innings)) {
+    return null;
+  }
+
+  const [model, participantsFor] = await Promise.all([
+    runExpectancyService.getLeagueModel(teamId),
+    loadParticipants(teamId, [game.id])
+  ]);
+  const { regulation_innings: regulationInningsPlayed, plays, credits } = valueGame(
+    { home_away: game.home_away, play_by_play: JSON.parse(JSON.stringify(game.play_by_play)) },
+    model,
+    participantsFor(game.id)
+  );
+
+  const players = [...credits.values()].map(({ player, batting, pitching }) => ({
+    player: playerRef(player),
+    batting: batting.plate_appearances > 0
+      ? { plate_appearances: batting.plate_appearances, wpa: round3(batting.wpa), re24: round3(batting.re24) }
+      : null,
+    pitching: pitching.batters_faced > 0 || pitching.wpa !== 0
+      ? { batters_faced: pitching.batters_faced, started: pitching.started, wpa: round3(pitching.wpa), re24: round3(pitching.re24) }
+      : null
+  })).sort((a, b) => ((b.batting ? b.batting.wpa : 0) + (b.pitching ? b.pitching.wpa : 0))
+    - ((a.batting ? a.batting.wpa : 0) + (a.pitching ? a.pitching.wpa : 0)));
+
+  return {
+    game_id: game.id,
+    opponent: game.opponent,
+    game_date: game.game_date,
+    home_away: game.home_away,
+    score: game.team_score !== null && game.team_score !== undefined ? `${game.team_score}-${game.opponent_score}` : null,
+    regulation_innings: regulationInningsPlayed,
+    model: { scope: model.scope, built_at: model.built_at, games: model.games },
+    plays,
+    players
+  };
+}
+
+/**
+ * Season leaders for a play-value stat
+ *
+ * @param {number} teamId
+ * @param {Object} options
+ * @param {string} options.stat - Key of PLAY_VALUE_STATS
+ * @param {string} [options.season] - Game.season; defaults to the season of the latest game with play-by-play
+ * @param {number} [options.limit=10]
+ * @param {number} [options.minQualifier=0] - Minimum plate appearances, batters faced or relief appearances
+ * @returns {Promise<Object>} { stat, season, season_name, leaders }
+ */
+async function getLeaderboard(teamId, { stat, season, limit = 10, minQualifier = 0 }) {
+  const config = PLAY_VALUE_STATS[stat];
+  const baseWhere = {
+    team_id: teamId,
+    play_by_play: { [Op.ne]: null },
+    game_status: { [Op.notIn]: ['cancelled', 'postponed'] }
+  };
+
+  let seasonName = null;
+  if (!season) {
+    const latest = await Game.findOne({
+      where: baseWhere,
+      attributes: ['season', 'season_name'],
+      order: [['game_date', 'DESC']]
+    });
+    season = latest ? latest.season : null;
+    seasonName = latest ? latest.season_name : null;
+  }
+  if (!season) {
+    return { stat, season: null, season_name: null, leaders: [] };
+  }
+
+  const games = await Game.findAll({
+    where: { ...baseWhere, season },
+    attributes: ['id', 'home_away', 'season_name', 'play_by_play'],
+    order: [['game_date', 'ASC']],
+    raw: true
+  });
+  if (games.length === 0) {
+    return { stat, season, season_name: seasonName, leaders: [] };
+  }
+  seasonName = seasonName || games[0].season_name || null;
+
+  const [model, participantsFor] = await Promise.all([
+    runExpectancyService.getLeagueModel(teamId),
+    loadParticipants(teamId, games.map(game => game.id))
+  ]);
+
+  const totals = new Map();
+  for (const game of games) {
+    const { credits } = valueGame(game, model, participantsFor(game.id));
+    for (const { player, batting, pitching } of credits.values()) {
+      if (!totals.has(player.id)) {
+        totals.set(player.id, {
+          player,
+          batting: { plate_appearances: 0, wpa: 0, re24: 0 },
+          pitching: { batters_faced: 0, wpa: 0, re24: 0 },
+          relief: { appearances: 0, wpa: 0, re24: 0 }
+        });
+      }
+      const total = totals.get(player.id);
+      total.batting.plate_appearances += batting.plate_appearances;
+      total.batting.wpa += batting.wpa;
+      total.batting.re24 += batting.re24;
+      total.pitching.batters_faced += pitching.batters_faced;
+      total.pitching.wpa += pitching.wpa;
+      total.pitching.re24 += pitching.re24;
+      if (!pitching.started && pitching.batters_faced > 0) {
+        total.relief.appearances += 1;
+        total.relief.wpa += pitching.wpa;
+        total.relief.re24 += pitching.re24;
+      }
+    }
+  }
+
+  const leaders = [...totals.values()]
+    .filter(total => total[config.role][config.qualifier] > 0 && total[config.role][config.qualifier] >= minQualifier)
+    .sort((a, b) => b[config.role][config.value] - a[config.role][config.value])
+    .slice(0, limit)
+    .map((total, index) => ({
+      rank: index + 1,
+      player: playerRef(total.player),
+      value: round3(total[config.role][config.value]),
+      qualifier_value: total[config.role][config.qualifier]
+    }));
+
+  return { stat, season, season_name: seasonName, leaders };
+}
+
+module.exports = {
+  PLAY_VALUE_STATS,
+  regulationInnings,
+  findStartingPitcher,
+  valueGame,
+  getGamePlayValues,
+  getLeaderboard
+};
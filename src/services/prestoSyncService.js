@@ -2,7 +2,10 @@ const { Op } = require('sequelize');
 const { Game, Player, GameStatistic, Team, PlayerSeasonStats, PlayerCareerStats, SyncLog, IntegrationCredential, NewsRelease, PlayerVideo, OpponentGameStat, Tournament } = require('../models');
 const prestoSportsService = require('./prestoSportsService');
 const integrationCredentialService = require('./integrationCredentialService');
-const { parseBoxScore } = require('../utils/boxScoreParser');
+const advancedStatsService = require('./advancedStatsService');
+const gameStreamService = require('./gameStreamService');
+const { findPromotedPlayer } = require('./prospectPromotionService');
+const { parseBoxScore, toStatColumns } = require('../utils/boxScoreParser');
 const { extractTournamentInfo } = require('../utils/tournamentExtractor');
 const { parsePlayByPlay } = require('../utils/playByPlayParser');
 const { downloadImage } = require('../utils/imageDownloader');
@@ -334,6 +337,7 @@ class PrestoSyncService {
       const results = {
         created: 0,
         updated: 0,
+        linked: 0,
         errors: []
       };
 
@@ -373,11 +377,23 @@ class PrestoSyncService {
             where: { external_id: prestoPlayerId, team_id: teamId }
           });
 
+          // A prospect promoted to the roster before its first sync is adopted rather than duplicated
+          const promotedPlayer = existingPlayer ? null : await findPromotedPlayer(teamId, playerData);
+
           let player;
           if (existingPlayer) {
             await existingPlayer.update(playerData);
             player = existingPlayer;
             results.updated++;
+          } else if (promotedPlayer) {
+            const { created_by: _createdBy, ...linkData } = playerData;
+            if (!linkData.photo_url) {
+              delete linkData.photo_url;
+            }
+            await promotedPlayer.update(linkData);
+            player = promotedPlayer;
+            results.updated++;
+            results.linked++;
           } else {
             player = await Player.create(playerData);
             results.created++;
@@ -410,7 +426,7 @@ class PrestoSyncService {
         created: results.created,
         updated: results.updated,
         failed: results.errors.length,
-        summary: { players_processed: players.length },
+        summary: { players_processed: players.length, promoted_players_linked: results.linked },
         itemErrors: results.errors.length > 0 ? results.errors : null
       });
 
@@ -1237,6 +1253,13 @@ class PrestoSyncService {
         }
       }
 
+      // Refresh wOBA, FIP, etc. against the league's current season stats
+      try {
+        await advancedStatsService.recalculateTeamSeason(teamId, prestoSeasonId || 'current');
+      } catch (error) {
+        results.errors.push({ item_type: 'advanced_stats', error: error.message });
+      }
+
       // Log completion
       await SyncLog.logComplete(syncLog.id, {
         created: results.created,
@@ -2653,6 +2676,25 @@ class PrestoSyncService {
         }
       }
 
+      // Refresh play-by-play while someone is following the game's stream, so new
+      // plays are pushed with the score (the live stats feed has no plays)
+      if (gameStreamService.subscriberCount(game.id) > 0) {
+        try {
+          const statsResponse = await prestoSportsService.getEventStats(token, eventId);
+          const eventStats = statsResponse.data || statsResponse || {};
+          if (eventStats.xml) {
+            const pbp = parsePlayByPlay(eventStats.xml);
+            if (pbp && pbp.total_plays > 0) {
+              await game.update({ play_by_play: pbp });
+            }
+          }
+        } catch (pbpError) {
+          console.error(`[LiveStats] Game ${game.id}: play-by-play refresh error:`, pbpError.message);
+        }
+      }
+
+      gameStreamService.publishGameUpdate(game.id, { source: 'presto', state: results.gameState });
+
       results.success = true;
     } catch (error) {
       results.error = error.message;
@@ -2884,10 +2926,6 @@ class PrestoSyncService {
     let updated = 0;
 
     for (const [, player] of allPlayers) {
-      const hitting = player.hitting || {};
-      const pitching = player.pitching || {};
-      const fielding = player.fielding || {};
-
       const statData = {
         game_id: game.id,
         team_id: teamId,
@@ -2900,43 +2938,7 @@ class PrestoSyncService {
         position_played: player.atpos || player.pos || null,
         source_system: 'presto',
         last_synced_at: now,
-
-        // Batting
-        at_bats: this._parseInt(hitting.ab),
-        runs: this._parseInt(hitting.r),
-        hits: this._parseInt(hitting.h),
-        doubles: this._parseInt(hitting.double),
-        triples: this._parseInt(hitting.triple),
-        home_runs: this._parseInt(hitting.hr),
-        rbi: this._parseInt(hitting.rbi),
-        walks: this._parseInt(hitting.bb),
-        strikeouts_batting: this._parseInt(hitting.so),
-        stolen_bases: this._parseInt(hitting.sb),
-        caught_stealing: this._parseInt(hitting.cs),
-        hit_by_pitch: this._parseInt(hitting.hbp),
-        sacrifice_flies: this._parseInt(hitting.sf),
-        sacrifice_bunts: this._parseInt(hitting.sh),
-
-        // Pitching
-        innings_pitched: this._parseFloat(pitching.ip),
-        hits_allowed: this._parseInt(pitching.h),
-        runs_allowed: this._parseInt(pitching.r),
-        earned_runs: this._parseInt(pitching.er),
-        walks_allowed: this._parseInt(pitching.bb),
-        strikeouts_pitching: this._parseInt(pitching.so),
-        home_runs_allowed: this._parseInt(pitching.hr),
-        batters_faced: this._parseInt(pitching.bf),
-        pitches_thrown: this._parseInt(pitching.pitches),
-        strikes_thrown: this._parseInt(pitching.strikes),
-        win: pitching.win === 'true' || pitching.win === '1' || pitching.win === true,
-        loss: pitching.loss === 'true' || pitching.loss === '1' || pitching.loss === true,
-        save: pitching.save === 'true' || pitching.save === '1' || pitching.save === true,
-        hold: pitching.hold === 'true' || pitching.hold === '1' || pitching.hold === true,
-
-        // Fielding
-        putouts: this._parseInt(fielding.po),
-        assists: this._parseInt(fielding.a),
-        errors: this._parseInt(fielding.e),
+        ...toStatColumns(player)
       };
 
       const [, wasCreated] = await OpponentGameStat.upsert(statData, {
@@ -2962,15 +2964,6 @@ class PrestoSyncService {
     const n = parseInt(val, 10);
     return isNaN(n) ? 0 : n;
   }
-
-  /**
-   * Safe parseFloat helper — returns 0 for unparseable values
-   */
-  _parseFloat(val) {
-    if (val === null || val === undefined || val === '') return 0;
-    const n = parseFloat(val);
-    return isNaN(n) ? 0 : n;
-  }
 }
 
 module.exports = new PrestoSyncService();
@@ -0,0 +1,674 @@
+/**
+ * Prospect Duplicate Service
+ *
+ * Prospects are entered by hand, often by more than one coach, so the same player
+ * shows up with slightly different spellings ("Mike Johnson, Central HS" and
+ * "Michael Jonson, Central High School"). This service scores how likely two
+ * prospects are the same player and merges duplicates into one record.
+ *
+ * Matching compares:
+ * - name: Jaro-Winkler similarity of last names (suffixes like Jr. dropped) and
+ *   first names, where common nicknames count as the full name and an initial
+ *   matches any name starting with it
+ * - school: similarity of school names with "High School"/"HS" and punctuation removed
+ * - graduation year: same year, or one year apart (reclassified players)
+ * - email and phone: exact match after normalizing case and phone formatting
+ *
+ * Name, school and graduation year are averaged (weights 0.6/0.2/0.2, skipping what
+ * either record is missing) and a shared email or phone adds 0.2. Scores of 0.85 and
+ * up are 'likely' duplicates, 0.7 and up 'possible'. Siblings often share a parent's
+ * email or phone, so a contact match with a different first name is never 'likely'.
+ *
+ * Merging keeps the target prospect, fills its empty fields from the source (or takes
+ * the fields asked for), moves scouting reports, media, contacts, stage history and
+ * preference list entries over, and deletes the source.
+ *
+ * @module services/prospectDuplicateService
+ */
+
+const { Op } = require('sequelize');
+const {
+  sequelize,
+  Prospect,
+  ProspectMedia,
+  ProspectContact,
+  ProspectStageTransition,
+  ScoutingReport,
+  PreferenceList
+} = require('../models');
+const { PIPELINE_STAGES } = require('./prospectPipelineService');
+
+/**
+ * Minimum score for each match level
+ * @type {{ likely: number, possible: number }}
+ */
+const MATCH_THRESHOLDS = { likely: 0.85, possible: 0.7 };
+
+/**
+ * Prospect fields a merge can fill from the source record. notes are always combined.
+ * @type {string[]}
+ */
+const MERGE_FIELDS = [
+  'first_name', 'last_name', 'email', 'phone', 'photo_url',
+  'school_type', 'school_name', 'city', 'state', 'graduation_year', 'class_year',
+  'primary_position', 'secondary_position', 'bats', 'throws', 'height', 'weight',
+  'sixty_yard_dash', 'home_to_first', 'fastball_velocity', 'exit_velocity', 'pop_time',
+  'gpa', 'sat_score', 'act_score', 'academic_eligibility',
+  'source', 'video_url', 'social_links', 'external_profile_url'
+];
+
+const COMPONENT_WEIGHTS = { name: 0.6, school: 0.2, graduation_year: 0.2 };
+const CONTACT_BONUS = 0.2;
+
+/**
+ * Nicknames and short forms mapped to the name they stand for
+ * @type {Object<string, string>}
+ */
+const NICKNAMES = {
+  alex: 'alexander',
+  andy: 'andrew',
+  drew: 'andrew',
+  ben: 'benjamin',
+  bill: 'william',
+  billy: 'william',
+  will: 'william',
+  bob: 'robert',
+  bobby: 'robert',
+  rob: 'robert',
+  chris: 'christopher',
+  dan: 'daniel',
+  danny: 'daniel',
+  dave: 'david',
+  ed: 'edward',
+  eddie: 'edward',
+  greg: 'gregory',
+  jake: 'jacob',
+  jim: 'james',
+  jimmy: 'james',
+  joe: 'joseph',
+  joey: 'joseph',
+  jon: 'jonathan',
+  josh: 'joshua',
+  matt: 'matthew',
+  mike: 'michael',
+  mikey: 'michael',
+  nate: 'nathan',
+  nick: 'nicholas',
+  pat: 'patrick',
+  sam: 'samuel',
+  steve: 'steven',
+  tom: 'thomas',
+  tommy: 'thomas',
+  tony: 'anthony',
+  zach: 'zachary',
+  zack: 'zachary'
+};
+
+const NAME_SUFFIXES = new Set(['jr', 'sr', 'ii', 'iii', 'iv']);
+const SCHOOL_NOISE = new Set(['high', 'school', 'hs', 'the', 'senior']);
+
+/**
+ * Jaro-Winkler similarity of two strings, 0 (nothing alike) to 1 (identical)
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function jaroWinkler(a, b) {
+  if (!a || !b) {
+    return 0;
+  }
+  if (a === b) {
+    return 1;
+  }
+
+  const range = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatched = new Array(a.length).fill(false);
+  const bMatched = new Array(b.length).fill(false);
+  let matches = 0;
+  for (let i = 0; i < a.length; i++) {
+    const end = Math.min(i + range + 1, b.length);
+    for (let j = Math.max(0, i - range); j < end; j++) {
+      if (!bMatched[j] && a[i] === b[j]) {
+        aMatched[i] = true;
+        bMatched[j] = true;
+        matches++;
+        break;
+      }
+    }
+  }
+  if (matches === 0) {
+    return 0;
+  }
+
+  let transpositions = 0;
+  let k = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (aMatched[i]) {
+      while (!bMatched[k]) {
+        k++;
+      }
+      if (a[i] !== b[k]) {
+        transpositions++;
+      }
+      k++;
+    }
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+  let prefix = 0;
+  while (prefix < 4 && prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+    prefix++;
+  }
+  return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+/**
+ * Lowercase words of a value with punctuation removed
+ * @param {string} value
+ * @returns {string[]}
+ */
+function words(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/['.]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean);
+}
+
+/**
+ * Last name without suffixes or spacing ("De La Cruz Jr." -> "delacruz")
+ * @param {string} lastName
+ * @returns {string}
+ */
+function normalizeLastName(lastName) {
+  return words(lastName).filter(word => !NAME_SUFFIXES.has(word)).join('');
+}
+
+/**
+ * Similarity of two first names, counting nicknames and initials
+ * @param {string} first
+ * @param {string} second
+ * @returns {number}
+ */
+function firstNameSimilarity(first, second) {
+  const a = words(first).join('');
+  const b = words(second).join('');
+  if (!a || !b) {
+    return 0;
+  }
+  if ((a.length === 1 || b.length === 1) && a[0] === b[0]) {
+    return 0.9;
+  }
+  const fullA = NICKNAMES[a] || a;
+  const fullB = NICKNAMES[b] || b;
+  if (fullA === fullB) {
+    return 1;
+  }
+  return Math.max(jaroWinkler(a, b), jaroWinkler(fullA, fullB));
+}
+
+/**
+ * School name without "High School"/"HS", punctuation or spacing
+ * @param {string} schoolName
+ * @returns {string}
+ */
+function normalizeSchool(schoolName) {
+  return words(schoolName)
+    .filter(word => !SCHOOL_NOISE.has(word))
+    .map(word => (word === 'st' ? 'saint' : word))
+    .join('');
+}
+
+/**
+ * Email compared case-insensitively
+ * @param {string} email
+ * @returns {string|null}
+ */
+function normalizeEmail(email) {
+  const value = String(email || '').trim().toLowerCase();
+  return value || null;
+}
+
+/**
+ * Last ten digits of a phone number, ignoring formatting and country code
+ * @param {string} phone
+ * @returns {string|null}
+ */
+function normalizePhone(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits.length >= 7 ? digits.slice(-10) : null;
+}
+
+/**
+ * Compact view of a prospect for duplicate lists
+ * @param {Object} prospect
+ * @returns {Object}
+ */
+function toSummary(prospect) {
+  return {
+    id: prospect.id,
+    first_name: prospect.first_name,
+    last_name: prospect.last_name,
+    school_name: prospect.school_name,
+    graduation_year: prospect.graduation_year,
+    primary_position: prospect.primary_position,
+    email: prospect.email,
+    phone: prospect.phone,
+    status: prospect.status,
+    created_at: prospect.created_at
+  };
+}
+
+/**
+ * Score how likely two prospects are the same player
+ * @param {Object} a - Prospect or prospect attributes
+ * @param {Object} b - Prospect or prospect attributes
+ * @returns {Object|null} { score, level, signals, reasons }, or null when they don't match
+ */
+function matchProspects(a, b) {
+  const lastName = jaroWinkler(normalizeLastName(a.last_name), normalizeLastName(b.last_name));
+  const firstName = firstNameSimilarity(a.first_name, b.first_name);
+  const name = 0.55 * lastName + 0.45 * firstName;
+
+  const emailA = normalizeEmail(a.email);
+  const phoneA = normalizePhone(a.phone);
+  const email = Boolean(emailA && emailA === normalizeEmail(b.email));
+  const phone = Boolean(phoneA && phoneA === normalizePhone(b.phone));
+  const contact = email || phone;
+
+  if (!contact && name < 0.8) {
+    return null;
+  }
+
+  const components = [{ weight: COMPONENT_WEIGHTS.name, value: name }];
+
+  const schoolA = normalizeSchool(a.school_name);
+  const schoolB = normalizeSchool(b.school_name);
+  let school = null;
+  if (schoolA && schoolB) {
+    school = jaroWinkler(schoolA, schoolB);
+    components.push({ weight: COMPONENT_WEIGHTS.school, value: school });
+  }
+
+  let graduationYear = null;
+  if (a.graduation_year && b.graduation_year) {
+    const apart = Math.abs(Number(a.graduation_year) - Number(b.graduation_year));
+    graduationYear = apart === 0 ? 1 : apart === 1 ? 0.5 : 0;
+    components.push({ weight: COMPONENT_WEIGHTS.graduation_year, value: graduationYear });
+  }
+
+  const totalWeight = components.reduce((sum, component) => sum + component.weight, 0);
+  let score = components.reduce((sum, component) => sum + component.weight * component.value, 0) / totalWeight;
+  if (contact) {
+    score = Math.min(1, score + CONTACT_BONUS);
+  }
+  score = Math.round(score * 1000) / 1000;
+
+  let level = score >= MATCH_THRESHOLDS.likely ? 'likely' : score >= MATCH_THRESHOLDS.possible ? 'possible' : null;
+  if (level === 'likely' && firstName < 0.8) {
+    level = 'possible';
+  }
+  if (!level) {
+    return null;
+  }
+
+  const reasons = [];
+  if (name >= 0.95) {
+    reasons.push('Same name');
+  } else if (name >= 0.8) {
+    reasons.push('Similar name');
+  }
+  if (school !== null && school >= 0.9) {
+    reasons.push('Same school');
+  }
+  if (graduationYear === 1) {
+    reasons.push('Same graduation year');
+  } else if (graduationYear === 0.5) {
+    reasons.push('Graduation year one apart');
+  }
+  if (email) {
+    reasons.push('Same email');
+  }
+  if (phone) {
+    reasons.push('Same phone');
+  }
+
+  const round = value => (value === null ? null : Math.round(value * 1000) / 1000);
+  return {
+    score,
+    level,
+    signals: {
+      name: round(name),
+      school: round(school),
+      graduation_year: graduationYear,
+      email,
+      phone
+    },
+    reasons
+  };
+}
+
+/**
+ * Matches for a candidate among already loaded prospects, best match first
+ * @param {Object} candidate - Prospect attributes to check
+ * @param {Array<Object>} prospects - Prospects to check against
+ * @returns {Array<Object>} { prospect, score, level, signals, reasons }
+ */
+function rankMatches(candidate, prospects) {
+  return prospects
+    .map(prospect => {
+      const match = matchProspects(candidate, prospect);
+      return match ? { prospect: toSummary(prospect), ...match } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Prospects of a team matching a new or existing prospect, best match first
+ * @param {number} teamId
+ * @param {Object} candidate - Prospect attributes to check
+ * @param {Object} [options]
+ * @param {number[]} [options.excludeIds] - Prospects to leave out, e.g. the candidate itself
+ * @returns {Promise<Array<Object>>} { prospect, score, level, signals, reasons }
+ */
+async function findDuplicates(teamId, candidate, options = {}) {
+  const excludeIds = options.excludeIds || [];
+  const where = { team_id: teamId };
+  if (excludeIds.length > 0) {
+    where.id = { [Op.notIn]: excludeIds };
+  }
+
+  const prospects = await Prospect.findAll({ where, order: [['id', 'ASC']] });
+  return rankMatches(candidate, prospects);
+}
+
+/**
+ * Every group of suspected duplicates on a team. Prospects matching each other
+ * directly or through a shared match end up in the same group.
+ * @param {number} teamId
+ * @param {Object} [options]
+ * @param {string} [options.level] - 'likely' to leave out possible matches
+ * @returns {Promise<{ groups: Array<Object>, total_groups: number }>}
+ */
+async function scanDuplicates(teamId, options = {}) {
+  const prospects = await Prospect.findAll({ where: { team_id: teamId }, order: [['id', 'ASC']] });
+
+  const keys = prospects.map(prospect => ({
+    initial: normalizeLastName(prospect.last_name)[0] || '',
+    email: normalizeEmail(prospect.email),
+    phone: normalizePhone(prospect.phone)
+  }));
+
+  const parent = prospects.map((_, index) => index);
+  const root = index => (parent[index] === index ? index : (parent[index] = root(parent[index])));
+  const matches = [];
+
+  for (let i = 0; i < prospects.length; i++) {
+    for (let j = i + 1; j < prospects.length; j++) {
+      // Only compare pairs that could reach the name threshold or share contact details
+      const sameContact = (keys[i].email && keys[i].email === keys[j].email) ||
+        (keys[i].phone && keys[i].phone === keys[j].phone);
+      if (keys[i].initial !== keys[j].initial && !sameContact) {
+        continue;
+      }
+      const match = matchProspects(prospects[i], prospects[j]);
+      if (!match || (options.level === 'likely' && match.level !== 'likely')) {
+        continue;
+      }
+      matches.push({ a: i, b: j, ...match });
+      parent[root(j)] = root(i);
+    }
+  }
+
+  const groups = new Map();
+  for (const match of matches) {
+    const key = root(match.a);
+    if (!groups.has(key)) {
+      groups.set(key, { members: new Set(), matches: [] });
+    }
+    const group = groups.get(key);
+    group.members.add(match.a).add(match.b);
+    group.matches.push({
+      prospect_ids: [prospects[match.a].id, prospects[match.b].id],
+      score: match.score,
+      level: match.level,
+      reasons: match.reasons
+    });
+  }
+
+  const result = [...groups.values()]
+    .map(group => {
+      const sortedMatches = group.matches.sort((a, b) => b.score - a.score);
+      return {
+        level: sortedMatches.some(match => match.level === 'likely') ? 'likely' : 'possible',
+        top_score: sortedMatches[0].score,
+        prospects: [...group.members].sort((a, b) => a - b).map(index => toSummary(prospects[index])),
+        matches: sortedMatches
+      };
+    })
+    .sort((a, b) => b.top_score - a.top_score);
+
+  return { groups: result, total_groups: result.length };
+}
+
+/**
+ * Whether a prospect field has nothing worth keeping
+ * @param {string} field
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isEmptyValue(field, value) {
+  if (value === null || value === undefined || value === '') {
+    return true;
+  }
+  if (field === 'academic_eligibility') {
+    return value === 'unknown';
+  }
+  if (field === 'interest_level' || field === 'academic_standing') {
+    return value === 'Unknown';
+  }
+  if (typeof value === 'object' && !(value instanceof Date)) {
+    return Object.keys(value).length === 0;
+  }
+  return false;
+}
+
+/**
+ * Join two free-text notes, skipping empty and repeated ones
+ * @param {string|null} first
+ * @param {string|null} second
+ * @returns {string|null}
+ */
+function combineNotes(first, second) {
+  if (!second || first === second) {
+    return first || null;
+  }
+  return first ? `${first}\n\n${second}` : second;
+}
+
+/**
+ * Board rank of a status; 'passed' ranks below every open stage
+ * @param {string} status
+ * @returns {number}
+ */
+function stageRank(status) {
+  return PIPELINE_STAGES.indexOf(status);
+}
+
+/**
+ * Fold a source preference list entry into the target's entry for the same list
+ * @param {Object} target - Target prospect's entry
+ * @param {Object} source - Source prospect's entry
+ * @returns {Object} Updates for the target entry
+ */
+function combinePreferenceEntries(target, source) {
+  const updates = {
+    priority: Math.min(target.priority, source.priority),
+    notes: combineNotes(target.notes, source.notes),
+    contact_notes: combineNotes(target.contact_notes, source.contact_notes),
+    visit_scheduled: Boolean(target.visit_scheduled || source.visit_scheduled),
+    scholarship_offered: Boolean(target.scholarship_offered || source.scholarship_offered)
+  };
+  if (source.last_contact_date && (!target.last_contact_date || source.last_contact_date > target.last_contact_date)) {
+    updates.last_contact_date = source.last_contact_date;
+  }
+  [
+    'next_contact_date', 'interest_level', 'visit_date', 'scholarship_amount',
+    'transfer_reason', 'eligibility_remaining', 'academic_standing'
+  ].forEach(field => {
+    if (isEmptyValue(field, target[field]) && !isEmptyValue(field, source[field])) {
+      updates[field] = source[field];
+    }
+  });
+  return updates;
+}
+
+/**
+ * Merge a duplicate prospect into another and delete it
+ * @param {number} teamId
+ * @param {number} targetId - Prospect that is kept
+ * @param {number} sourceId - Duplicate that is merged in and deleted
+ * @param {Object} [options]
+ * @param {string[]} [options.use_source_fields] - MERGE_FIELDS to take from the source even when the target has a value
+ * @param {number} userId
+ * @returns {Promise<Object>} { prospect, fields_from_source, moved } or { error, status }
+ */
+function mergeProspects(teamId, targetId, sourceId, options, userId) {
+  const useSourceFields = new Set((options && options.use_source_fields) || []);
+
+  return sequelize.transaction(async (transaction) => {
+    if (Number(targetId) === Number(sourceId)) {
+      return { error: 'A prospect cannot be merged into itself', status: 400 };
+    }
+
+    const [target, source] = await Promise.all([
+      Prospect.findOne({ where: { id: targetId, team_id: teamId }, transaction }),
+      Prospect.findOne({ where: { id: sourceId, team_id: teamId }, transaction })
+    ]);
+    if (!target || !source) {
+      return { error: 'Prospect not found', status: 404 };
+    }
+    if (target.player_id && source.player_id) {
+      return { error: 'Both prospects are on the roster; merge the players instead', status: 409 };
+    }
+
+    const updates = {};
+    const fieldsFromSource = [];
+    for (const field of MERGE_FIELDS) {
+      if (isEmptyValue(field, source[field])) {
+        continue;
+      }
+      if (useSourceFields.has(field) || isEmptyValue(field, target[field])) {
+        updates[field] = source[field];
+        fieldsFromSource.push(field);
+      }
+    }
+    const notes = combineNotes(target.notes, source.notes);
+    if (notes !== (target.notes || null)) {
+      updates.notes = notes;
+    }
+
+    // Keep whichever record got further along the board
+    let transition = null;
+    if (stageRank(source.status) > stageRank(target.status)) {
+      updates.status = source.status;
+      updates.stage_entered_at = source.stage_entered_at;
+      updates.pipeline_order = source.pipeline_order;
+      transition = {
+        prospect_id: target.id,
+        team_id: teamId,
+        from_status: target.status,
+        to_status: source.status,
+        note: `Merged with prospect #${source.id}`,
+        changed_by: userId
+      };
+    }
+
+    // The roster link follows the merged record; the source is deleted before the target takes it
+    if (source.player_id) {
+      updates.player_id = source.player_id;
+      updates.promoted_at = source.promoted_at;
+      updates.promoted_by = source.promoted_by;
+    }
+
+    const moveTo = { prospect_id: target.id };
+    const fromSource = { where: { prospect_id: source.id }, transaction };
+
+    const [scoutingReports] = await ScoutingReport.update(moveTo, fromSource);
+    // Reports of a promoted prospect belong to the player too
+    const playerId = target.player_id || source.player_id;
+    if (playerId) {
+      await ScoutingReport.update(
+        { player_id: playerId },
+        { where: { prospect_id: target.id, player_id: null }, transaction }
+      );
+    }
+
+    const targetHasPrimary = await ProspectMedia.count({
+      where: { prospect_id: target.id, is_primary_photo: true },
+      transaction
+    });
+    if (targetHasPrimary > 0) {
+      await ProspectMedia.update({ is_primary_photo: false }, fromSource);
+    }
+    const [media] = await ProspectMedia.update(moveTo, fromSource);
+
+    const [contacts] = await ProspectContact.update(moveTo, fromSource);
+    const [stageTransitions] = await ProspectStageTransition.update(moveTo, fromSource);
+
+    // A prospect can only be on each list once, so entries on the same list are combined
+    const [targetEntries, sourceEntries] = await Promise.all([
+      PreferenceList.findAll({ where: { prospect_id: target.id }, transaction }),
+      PreferenceList.findAll({ where: { prospect_id: source.id }, transaction })
+    ]);
+    let preferenceListsMoved = 0;
+    let preferenceListsCombined = 0;
+    for (const entry of sourceEntries) {
+      const existing = targetEntries.find(targetEntry =>
+        targetEntry.team_id === entry.team_id && targetEntry.list_type === entry.list_type);
+      if (existing) {
+        await existing.update(combinePreferenceEntries(existing, entry), { transaction });
+        await entry.destroy({ transaction });
+        preferenceListsCombined++;
+      } else {
+        await entry.update(moveTo, { transaction });
+        preferenceListsMoved++;
+      }
+    }
+
+    if (transition) {
+      await ProspectStageTransition.create(transition, { transaction });
+    }
+    await source.destroy({ transaction });
+    await target.update(updates, { transaction });
+
+    return {
+      prospect: target,
+      merged_prospect_id: source.id,
+      fields_from_source: fieldsFromSource,
+      moved: {
+        scouting_reports: scoutingReports,
+        media,
+        contacts,
+        stage_transitions: stageTransitions,
+        preference_lists: preferenceListsMoved,
+        preference_lists_combined: preferenceListsCombined
+      }
+    };
+  });
+}
+
+module.exports = {
+  MATCH_THRESHOLDS,
+  MERGE_FIELDS,
+  jaroWinkler,
+  matchProspects,
+  rankMatches,
+  findDuplicates,
+  scanDuplicates,
+  mergeProspects
+};
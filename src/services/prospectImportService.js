@@ -0,0 +1,909 @@
+/**
+ * Prospect Import Service
+ *
+ * Imports prospects in bulk from a CSV file, typically a showcase roster with
+ * hundreds of players and their measurables. The file is read with utils/csvParser,
+ * then:
+ * - columns are mapped to Prospect fields by header name ("FB Velo", "60 Time",
+ *   "Grad Year", ...); the user can correct the mapping
+ * - values are normalized: heights like 6-2, 6'2", 6.2 or 74 become 6'2", weights in
+ *   kg and velocities in km/h are converted, velocity ranges ("86-88") keep the top
+ *   and timed ranges ("1.95-2.05") the best time
+ * - each row is validated with the same limits as POST /prospects; rows with errors
+ *   are not imported
+ * - each row is matched against the team's prospects and the rows above it with
+ *   services/prospectDuplicateService
+ *
+ * previewImport returns everything commitImport would do, so the user can check the
+ * mapping, errors and matches and set an action per row (row actions) before
+ * committing. A likely match with an existing prospect is updated by default: fresh
+ * measurables replace the stored ones and other fields only fill gaps. A likely match
+ * with a row above it is skipped. commitImport records the run as a ProspectImport
+ * job with per-row results.
+ *
+ * @module services/prospectImportService
+ */
+
+const { Prospect, ProspectImport, User } = require('../models');
+const { parseCSVWithHeaders } = require('../utils/csvParser');
+const prospectDuplicateService = require('./prospectDuplicateService');
+const prospectPipelineService = require('./prospectPipelineService');
+
+/**
+ * Most data rows one file may have
+ * @type {number}
+ */
+const MAX_ROWS = 2000;
+
+/**
+ * What happens to a row: create a prospect, update the matched prospect, skip it
+ * @type {string[]}
+ */
+const ROW_ACTIONS = ['create', 'update', 'skip'];
+
+/**
+ * What to do by default with rows that likely match an existing prospect
+ * @type {string[]}
+ */
+const ON_DUPLICATE_ACTIONS = ['update', 'skip', 'create'];
+
+/**
+ * Fields a showcase measures; on update, new values replace stored ones
+ * @type {string[]}
+ */
+const MEASURABLE_FIELDS = [
+  'height', 'weight', 'sixty_yard_dash', 'home_to_first', 'fastball_velocity', 'exit_velocity', 'pop_time'
+];
+
+/**
+ * Header names recognized for each field. full_name ("Mike Johnson" or
+ * "Johnson, Mike") and bats_throws ("R/R") are split into two fields.
+ * @type {Object<string, string[]>}
+ */
+const HEADER_ALIASES = {
+  first_name: ['first name', 'first', 'fname', 'given name'],
+  last_name: ['last name', 'last', 'lname', 'surname', 'family name'],
+  full_name: ['name', 'full name', 'player', 'player name', 'athlete', 'athlete name'],
+  email: ['email', 'e-mail', 'email address', 'player email'],
+  phone: ['phone', 'cell', 'cell phone', 'mobile', 'phone number', 'player phone'],
+  school_name: ['school', 'school name', 'high school', 'hs', 'college', 'current school'],
+  school_type: ['school type', 'level'],
+  city: ['city', 'hometown', 'town'],
+  state: ['state', 'st', 'province'],
+  graduation_year: ['grad year', 'graduation year', 'class', 'class of', 'grad', 'grad class', 'yog', 'hs grad year'],
+  class_year: ['class year', 'year in school', 'eligibility'],
+  primary_position: ['position', 'pos', 'primary position', 'primary pos', 'pos 1', 'position 1'],
+  secondary_position: ['secondary position', 'secondary pos', 'pos 2', 'position 2', 'second position'],
+  bats: ['bats', 'bat', 'b'],
+  throws: ['throws', 'throw', 't'],
+  bats_throws: ['b/t', 'bats/throws', 'b-t', 'bt'],
+  height: ['height', 'ht', 'hgt'],
+  weight: ['weight', 'wt', 'wgt', 'lbs'],
+  sixty_yard_dash: ['60', '60 yd', '60 yard', '60 yard dash', '60 time', '60-yard dash', 'sixty', 'sixty yard dash'],
+  home_to_first: ['home to first', 'home to 1st', 'h-1b', 'h1b', 'home-to-first'],
+  fastball_velocity: ['fb', 'fb velo', 'fb velocity', 'fastball', 'fastball velo', 'fastball velocity', 'mound velo', 'fb max'],
+  exit_velocity: ['ev', 'exit velo', 'exit velocity', 'max exit velo', 'max ev', 'exit speed'],
+  pop_time: ['pop', 'pop time', 'c pop', 'catcher pop time'],
+  gpa: ['gpa', 'grade point average'],
+  sat_score: ['sat', 'sat score'],
+  act_score: ['act', 'act score'],
+  video_url: ['video', 'video url', 'video link', 'highlight video', 'highlights'],
+  external_profile_url: ['profile', 'profile url', 'profile link', 'pbr profile', 'pg profile'],
+  source: ['event', 'showcase', 'source'],
+  notes: ['notes', 'comments', 'scout notes', 'remarks']
+};
+
+/**
+ * Every field a column can be mapped to
+ * @type {string[]}
+ */
+const IMPORT_FIELDS = Object.keys(HEADER_ALIASES);
+
+const POSITION_ALIASES = {
+  p: 'P',
+  rhp: 'P',
+  lhp: 'P',
+  pitcher: 'P',
+  c: 'C',
+  catcher: 'C',
+  '1b': '1B',
+  firstbase: '1B',
+  '2b': '2B',
+  secondbase: '2B',
+  '3b': '3B',
+  thirdbase: '3B',
+  ss: 'SS',
+  shortstop: 'SS',
+  lf: 'LF',
+  leftfield: 'LF',
+  cf: 'CF',
+  centerfield: 'CF',
+  rf: 'RF',
+  rightfield: 'RF',
+  of: 'OF',
+  outfield: 'OF',
+  outfielder: 'OF',
+  dh: 'DH',
+  utl: 'UTL',
+  util: 'UTL',
+  utility: 'UTL',
+  if: 'UTL',
+  inf: 'UTL',
+  infield: 'UTL',
+  mif: 'UTL'
+};
+
+const HANDS = { r: 'R', right: 'R', rh: 'R', l: 'L', left: 'L', lh: 'L', s: 'S', switch: 'S', b: 'S', both: 'S' };
+
+const SCHOOL_TYPES = {
+  hs: 'HS',
+  highschool: 'HS',
+  juco: 'JUCO',
+  jc: 'JUCO',
+  communitycollege: 'JUCO',
+  juniorcollege: 'JUCO',
+  d1: 'D1',
+  di: 'D1',
+  d2: 'D2',
+  dii: 'D2',
+  d3: 'D3',
+  diii: 'D3',
+  naia: 'NAIA',
+  independent: 'Independent'
+};
+
+const CLASS_YEARS = {
+  fr: 'FR',
+  freshman: 'FR',
+  so: 'SO',
+  sophomore: 'SO',
+  jr: 'JR',
+  junior: 'JR',
+  sr: 'SR',
+  senior: 'SR',
+  gr: 'GR',
+  graduate: 'GR'
+};
+
+const TEXT_LIMITS = {
+  first_name: 100,
+  last_name: 100,
+  email: 255,
+  school_name: 200,
+  city: 100,
+  state: 50,
+  video_url: 500,
+  external_profile_url: 500,
+  source: 100
+};
+
+/**
+ * Lowercase a header and keep only letters and digits ("FB Velo (mph)" -> "fbvelomph")
+ * @param {string} header - CSV header
+ * @returns {string} Normalized header
+ */
+function normalizeHeader(header) {
+  return String(header || '').toLowerCase().replace(/\(.*?\)/g, '').replace(/[^a-z0-9]/g, '');
+}
+
+const ALIAS_LOOKUP = new Map();
+Object.entries(HEADER_ALIASES).forEach(([field, aliases]) => {
+  [field, ...aliases].forEach(alias => {
+    const key = normalizeHeader(alias);
+    if (!ALIAS_LOOKUP.has(key)) {
+      ALIAS_LOOKUP.set(key, field);
+    }
+  });
+});
+
+/**
+ * Map CSV headers to Prospect fields. A field is taken by the first column that
+ * maps to it; later columns for the same field are ignored.
+ * @param {string[]} headers - CSV headers
+ * @param {Object<string, string|null>} [overrides] - Header to field, or null to ignore the column
+ * @returns {{ columns: Array<Object>, mapping: Object<string, string|null>, errors: Array<Object> }}
+ */
+function detectMapping(headers, overrides = {}) {
+  const errors = [];
+  const taken = new Set();
+  const mapping = {};
+
+  Object.keys(overrides).forEach(header => {
+    if (!headers.includes(header)) {
+      errors.push({ header, message: `Column "${header}" is not in the file` });
+    }
+  });
+
+  const columns = headers.map(header => {
+    let field;
+    let how;
+    if (Object.prototype.hasOwnProperty.call(overrides, header)) {
+      field = overrides[header] || null;
+      how = 'mapped';
+      if (field && !IMPORT_FIELDS.includes(field)) {
+        errors.push({ header, message: `"${field}" is not a field prospects can be imported into` });
+        field = null;
+      }
+    } else {
+      field = ALIAS_LOOKUP.get(normalizeHeader(header)) || null;
+      how = field ? 'detected' : null;
+    }
+
+    if (field && taken.has(field)) {
+      return { header, field: null, how: null, note: `Another column is already mapped to ${field}` };
+    }
+    if (field) {
+      taken.add(field);
+    }
+    mapping[header] = field;
+    return { header, field, how };
+  });
+
+  return { columns, mapping, errors };
+}
+
+/**
+ * Numbers in a value ("86-88 mph" -> [86, 88])
+ * @param {string} value
+ * @returns {number[]}
+ */
+function numbersIn(value) {
+  return (String(value).match(/\d+(?:\.\d+)?|\.\d+/g) || []).map(Number);
+}
+
+/**
+ * Round to a number of decimals
+ * @param {number} value
+ * @param {number} decimals
+ * @returns {number}
+ */
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Height as feet and inches, e.g. 6'2"
+ * Accepts 6'2", 6' 2", 6-2, 6 2, 6.2 (showcase shorthand for 6'2"), 74 or 74in, and 188cm.
+ * @param {string} raw
+ * @returns {{ value?: string, error?: string }}
+ */
+function parseHeight(raw) {
+  const text = String(raw).trim().toLowerCase();
+  let inches = null;
+
+  const cm = text.match(/^(\d{3}(?:\.\d+)?)\s*cm$/);
+  const feetAndInches = text.match(/^(\d)\s*(?:'|’|ft|-|\.|\s)\s*(\d{1,2})\s*(?:"|”|''|in)?$/);
+  const feetOnly = text.match(/^(\d)\s*(?:'|’|ft)$/);
+  const inchesOnly = text.match(/^(\d{2}(?:\.\d+)?)\s*(?:"|in|inches)?$/);
+  if (cm) {
+    inches = Math.round(Number(cm[1]) / 2.54);
+  } else if (feetAndInches && Number(feetAndInches[2]) < 12) {
+    inches = Number(feetAndInches[1]) * 12 + Number(feetAndInches[2]);
+  } else if (feetOnly) {
+    inches = Number(feetOnly[1]) * 12;
+  } else if (inchesOnly) {
+    inches = Math.round(Number(inchesOnly[1]));
+  }
+
+  if (inches === null) {
+    return { error: `Height "${raw}" not recognized; use feet and inches like 6'2"` };
+  }
+  if (inches < 48 || inches > 90) {
+    return { error: `Height "${raw}" is out of range` };
+  }
+  return { value: `${Math.floor(inches / 12)}'${inches % 12}"` };
+}
+
+/**
+ * Weight in pounds; kg values are converted
+ * @param {string} raw
+ * @returns {{ value?: number, error?: string }}
+ */
+function parseWeight(raw) {
+  const [number] = numbersIn(raw);
+  if (number === undefined) {
+    return { error: `Weight "${raw}" is not a number` };
+  }
+  const pounds = Math.round(/kg/i.test(raw) ? number * 2.20462 : number);
+  if (pounds < 100 || pounds > 350) {
+    return { error: `Weight ${pounds} lbs is out of range (100-350)` };
+  }
+  return { value: pounds };
+}
+
+/**
+ * Velocity in mph; km/h values are converted and a range keeps its top
+ * @param {string} raw
+ * @param {number} min
+ * @param {number} max
+ * @returns {{ value?: number, error?: string }}
+ */
+function parseVelocity(raw, min, max) {
+  const numbers = numbersIn(raw);
+  if (numbers.length === 0) {
+    return { error: `Velocity "${raw}" is not a number` };
+  }
+  const top = Math.max(...numbers);
+  const mph = Math.round(/kph|km/i.test(raw) ? top * 0.621371 : top);
+  if (mph < min || mph > max) {
+    return { error: `Velocity ${mph} mph is out of range (${min}-${max})` };
+  }
+  return { value: mph };
+}
+
+/**
+ * Time in seconds; a range keeps the best (lowest) time
+ * @param {string} raw
+ * @param {number} min
+ * @param {number} max
+ * @param {number} decimals - Precision the field is stored with
+ * @returns {{ value?: number, error?: string }}
+ */
+function parseSeconds(raw, min, max, decimals) {
+  const numbers = numbersIn(raw);
+  if (numbers.length === 0) {
+    return { error: `Time "${raw}" is not a number` };
+  }
+  const best = round(Math.min(...numbers), decimals);
+  if (best < min || best > max) {
+    return { error: `Time ${best}s is out of range (${min}-${max})` };
+  }
+  return { value: best };
+}
+
+/**
+ * Number within limits
+ * @param {string} raw
+ * @param {number} min
+ * @param {number} max
+ * @param {boolean} integer
+ * @returns {{ value?: number, error?: string }}
+ */
+function parseNumber(raw, min, max, integer) {
+  const text = String(raw).trim();
+  const number = Number(text);
+  if (text === '' || Number.isNaN(number) || (integer && !Number.isInteger(number))) {
+    return { error: `"${raw}" is not ${integer ? 'a whole number' : 'a number'}` };
+  }
+  if (number < min || number > max) {
+    return { error: `${number} is out of range (${min}-${max})` };
+  }
+  return { value: number };
+}
+
+/**
+ * Graduation year; two-digit years ('27, 27) are in the 2000s
+ * @param {string} raw
+ * @returns {{ value?: number, error?: string }}
+ */
+function parseGraduationYear(raw) {
+  const match = String(raw).trim().match(/^'?(\d{2}|\d{4})$/);
+  if (!match) {
+    return { error: `Graduation year "${raw}" not recognized` };
+  }
+  const year = match[1].length === 2 ? 2000 + Number(match[1]) : Number(match[1]);
+  if (year < 2020 || year > 2035) {
+    return { error: `Graduation year ${year} is out of range (2020-2035)` };
+  }
+  return { value: year };
+}
+
+/**
+ * Positions from a value like "SS", "Shortstop", "SS/RHP" or "C, 3B"
+ * @param {string} raw
+ * @returns {{ positions: string[], throwsHint: string|null, unknown: string[] }}
+ */
+function parsePositions(raw) {
+  const tokens = String(raw).toLowerCase().split(/[/,;&|-]+|\s+and\s+/).map(token => token.replace(/[^a-z0-9]/g, '')).filter(Boolean);
+  const positions = [];
+  const unknown = [];
+  let throwsHint = null;
+  tokens.forEach(token => {
+    const position = POSITION_ALIASES[token];
+    if (!position) {
+      unknown.push(token);
+      return;
+    }
+    if (token === 'lhp' || token === 'rhp') {
+      throwsHint = token[0].toUpperCase();
+    }
+    if (!positions.includes(position)) {
+      positions.push(position);
+    }
+  });
+  return { positions, throwsHint, unknown };
+}
+
+/**
+ * Split a full name: "Johnson, Mike" or "Mike Johnson"
+ * @param {string} raw
+ * @returns {{ first_name: string, last_name: string }|null}
+ */
+function splitFullName(raw) {
+  const text = String(raw).trim().replace(/\s+/g, ' ');
+  if (text.includes(',')) {
+    const [last, first] = text.split(',').map(part => part.trim());
+    return first && last ? { first_name: first, last_name: last } : null;
+  }
+  const parts = text.split(' ');
+  return parts.length >= 2 ? { first_name: parts[0], last_name: parts.slice(1).join(' ') } : null;
+}
+
+/**
+ * Lookup of a value in a table keyed by lowercase letters and digits
+ * @param {Object<string, string>} table
+ * @param {string} raw
+ * @returns {string|undefined}
+ */
+function lookup(table, raw) {
+  return table[String(raw).toLowerCase().replace(/[^a-z0-9]/g, '')];
+}
+
+/**
+ * Turn one CSV record into Prospect attributes
+ * @param {Object<string, string>} record - Header to raw value
+ * @param {Object<string, string|null>} mapping - Header to field
+ * @returns {{ values: Object, errors: Array<Object>, warnings: string[] }}
+ */
+function normalizeRow(record, mapping) {
+  const values = {};
+  const errors = [];
+  const warnings = [];
+  const fail = (field, raw, message) => errors.push({ field, value: raw, message });
+  const take = (field, raw, result) => {
+    if (result.error) {
+      fail(field, raw, result.error);
+    } else {
+      values[field] = result.value;
+    }
+  };
+
+  Object.entries(mapping).forEach(([header, field]) => {
+    const raw = record[header] === undefined ? '' : String(record[header]).trim();
+    if (!field || raw === '' || /^(n\/a|na|-+)$/i.test(raw)) {
+      return;
+    }
+
+    switch (field) {
+      case 'full_name': {
+        const name = splitFullName(raw);
+        if (name) {
+          values.first_name = values.first_name || name.first_name;
+          values.last_name = values.last_name || name.last_name;
+        } else {
+          fail(field, raw, `Name "${raw}" needs a first and last name`);
+        }
+        break;
+      }
+      case 'primary_position':
+      case 'secondary_position': {
+        const { positions, throwsHint, unknown } = parsePositions(raw);
+        if (positions.length === 0) {
+          fail(field, raw, `Position "${raw}" not recognized`);
+          break;
+        }
+        if (unknown.length > 0) {
+          warnings.push(`Ignored position "${unknown.join(', ')}"`);
+        }
+        if (field === 'primary_position') {
+          values.primary_position = positions[0];
+          if (positions[1] && !values.secondary_position) {
+            values.secondary_position = positions[1];
+          }
+        } else {
+          values.secondary_position = positions[0];
+        }
+        if (throwsHint && !values.throws) {
+          values.throws = throwsHint;
+        }
+        break;
+      }
+      case 'bats':
+      case 'throws': {
+        const hand = lookup(HANDS, raw);
+        if (!hand || (field === 'throws' && hand === 'S')) {
+          fail(field, raw, `"${raw}" is not a valid ${field === 'bats' ? 'batting' : 'throwing'} hand`);
+        } else {
+          values[field] = hand;
+        }
+        break;
+      }
+      case 'bats_throws': {
+        const compact = raw.toLowerCase().replace(/[^a-z]/g, '');
+        const [bats, throws] = raw.includes('/') || raw.includes('-')
+          ? raw.split(/[/-]/).map(part => lookup(HANDS, part))
+          : [HANDS[compact[0]], HANDS[compact[1]]];
+        if (!bats || !throws || throws === 'S') {
+          fail(field, raw, `Bats/throws "${raw}" not recognized; use R/R, L/L, S/R ...`);
+        } else {
+          values.bats = bats;
+          values.throws = throws;
+        }
+        break;
+      }
+      case 'school_type': {
+        const schoolType = lookup(SCHOOL_TYPES, raw);
+        if (schoolType) {
+          values.school_type = schoolType;
+        } else {
+          fail(field, raw, `School type "${raw}" not recognized`);
+        }
+        break;
+      }
+      case 'class_year': {
+        const classYear = lookup(CLASS_YEARS, raw);
+        if (classYear) {
+          values.class_year = classYear;
+        } else {
+          fail(field, raw, `Class year "${raw}" not recognized`);
+        }
+        break;
+      }
+      case 'graduation_year':
+        take(field, raw, parseGraduationYear(raw));
+        break;
+      case 'height':
+        take(field, raw, parseHeight(raw));
+        break;
+      case 'weight':
+        take(field, raw, parseWeight(raw));
+        break;
+      case 'sixty_yard_dash':
+        take(field, raw, parseSeconds(raw, 5.5, 9.99, 2));
+        break;
+      case 'home_to_first':
+        take(field, raw, parseSeconds(raw, 3, 6, 1));
+        break;
+      case 'pop_time':
+        take(field, raw, parseSeconds(raw, 1.5, 3, 2));
+        break;
+      case 'fastball_velocity':
+        take(field, raw, parseVelocity(raw, 40, 110));
+        break;
+      case 'exit_velocity':
+        take(field, raw, parseVelocity(raw, 40, 130));
+        break;
+      case 'gpa':
+        take(field, raw, parseNumber(raw, 0, 4, false));
+        break;
+      case 'sat_score':
+        take(field, raw, parseNumber(raw, 400, 1600, true));
+        break;
+      case 'act_score':
+        take(field, raw, parseNumber(raw, 1, 36, true));
+        break;
+      case 'email':
+        if (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(raw)) {
+          values.email = raw.toLowerCase();
+        } else {
+          fail(field, raw, `"${raw}" is not a valid email`);
+        }
+        break;
+      case 'phone':
+        values.phone = raw.length > 20 ? raw.replace(/[^\d+]/g, '').slice(0, 20) : raw;
+        break;
+      default:
+        if (TEXT_LIMITS[field] && raw.length > TEXT_LIMITS[field]) {
+          fail(field, raw, `Longer than ${TEXT_LIMITS[field]} characters`);
+        } else {
+          values[field] = raw;
+        }
+    }
+  });
+
+  // A name that failed to split is already reported
+  const nameFailed = errors.some(error => error.field === 'full_name');
+  ['first_name', 'last_name', 'primary_position'].forEach(field => {
+    if (values[field] || errors.some(error => error.field === field) || (nameFailed && field !== 'primary_position')) {
+      return;
+    }
+    fail(field, null, `${field} is required`);
+  });
+
+  return { values, errors, warnings };
+}
+
+/**
+ * Changes an import row would make to an existing prospect: measurables replace
+ * stored values, everything else only fills empty fields
+ * @param {Object} prospect - Existing prospect
+ * @param {Object} values - Row values
+ * @returns {Object<string, { from: *, to: * }>}
+ */
+function changesFor(prospect, values) {
+  const changes = {};
+  Object.entries(values).forEach(([field, value]) => {
+    const current = prospect[field];
+    const empty = current === null || current === undefined || current === '';
+    const same = !empty && String(current) === String(value);
+    if (same) {
+      return;
+    }
+    if (empty || MEASURABLE_FIELDS.includes(field)) {
+      // Decimal columns come back as strings; compare numerically before replacing
+      if (!empty && MEASURABLE_FIELDS.includes(field) && Number(current) === Number(value)) {
+        return;
+      }
+      changes[field] = { from: empty ? null : current, to: value };
+    }
+  });
+  return changes;
+}
+
+/**
+ * Read a CSV file and work out what importing it would do
+ * @param {number} teamId - Team ID
+ * @param {string} csv - CSV text
+ * @param {Object} [options]
+ * @param {Object<string, string|null>} [options.mapping] - Header to field overrides
+ * @param {string} [options.onDuplicate] - Default for likely matches: update, skip or create
+ * @param {Object<string, string>} [options.rowActions] - Row number to action, overriding the default
+ * @returns {Promise<Object>} { plan } or { error, status, details }
+ */
+async function buildPlan(teamId, csv, options = {}) {
+  const { headers, records } = parseCSVWithHeaders(csv);
+  if (headers.length === 0 || records.length === 0) {
+    return { error: 'The file has no data rows', status: 400 };
+  }
+  if (records.length > MAX_ROWS) {
+    return { error: `The file has ${records.length} rows; import at most ${MAX_ROWS} at a time`, status: 400 };
+  }
+
+  const { columns, mapping, errors } = detectMapping(headers, options.mapping || {});
+  if (errors.length > 0) {
+    return { error: 'Invalid column mapping', status: 400, details: errors };
+  }
+  const mapped = new Set(Object.values(mapping).filter(Boolean));
+  const missing = [];
+  if (!mapped.has('full_name') && !(mapped.has('first_name') && mapped.has('last_name'))) {
+    missing.push('first_name', 'last_name');
+  }
+  if (!mapped.has('primary_position')) {
+    missing.push('primary_position');
+  }
+  if (missing.length > 0) {
+    return {
+      error: `No column is mapped to ${missing.join(', ')}`,
+      status: 400,
+      details: { missing, columns }
+    };
+  }
+
+  const onDuplicate = options.onDuplicate || 'update';
+  const rowActions = options.rowActions || {};
+  const existing = await Prospect.findAll({ where: { team_id: teamId }, order: [['id', 'ASC']] });
+  const byId = new Map(existing.map(prospect => [prospect.id, prospect]));
+  const accepted = [];
+
+  const rows = records.map((record, index) => {
+    // Row numbers match the spreadsheet: the header is row 1
+    const rowNumber = index + 2;
+    const { values, errors: rowErrors, warnings } = normalizeRow(record, mapping);
+    const row = { row: rowNumber, action: 'create', values, errors: rowErrors, warnings, match: null, duplicate_of_row: null, changes: null, reason: null };
+    if (rowErrors.length > 0) {
+      row.action = 'error';
+      return row;
+    }
+
+    const inFile = accepted.find(other => {
+      const match = prospectDuplicateService.matchProspects(values, other.values);
+      return match && match.level === 'likely';
+    });
+    const [match] = prospectDuplicateService.rankMatches(values, existing);
+    row.match = match || null;
+
+    let action = 'create';
+    if (inFile) {
+      row.duplicate_of_row = inFile.row;
+      action = 'skip';
+      row.reason = `Same player as row ${inFile.row}`;
+    } else if (match && match.level === 'likely') {
+      action = onDuplicate;
+    }
+
+    const override = rowActions[rowNumber] || rowActions[String(rowNumber)];
+    if (override && ROW_ACTIONS.includes(override)) {
+      if (override === 'update' && !match) {
+        warnings.push('No existing prospect to update; the row is created instead');
+        action = 'create';
+      } else {
+        action = override;
+        row.reason = override === 'skip' ? 'Skipped by choice' : null;
+      }
+    }
+
+    if (action === 'update') {
+      row.changes = changesFor(byId.get(match.prospect.id), values);
+      if (Object.keys(row.changes).length === 0) {
+        action = 'skip';
+        row.reason = 'Nothing new for the existing prospect';
+      }
+    } else if (action === 'skip' && !row.reason) {
+      row.reason = `Already on the board as #${match.prospect.id}`;
+    }
+    row.action = action;
+
+    if (action === 'create') {
+      accepted.push(row);
+    }
+    return row;
+  });
+
+  return { plan: { columns, mapping, rows, byId, onDuplicate, rowActions } };
+}
+
+/**
+ * Action counts of a plan
+ * @param {Array<Object>} rows
+ * @returns {{ create: number, update: number, skip: number, error: number }}
+ */
+function countActions(rows) {
+  const counts = { create: 0, update: 0, skip: 0, error: 0 };
+  rows.forEach(row => {
+    counts[row.action]++;
+  });
+  return counts;
+}
+
+/**
+ * Show what importing a CSV file would do, without writing anything
+ * @param {number} teamId - Team ID
+ * @param {string} csv - CSV text
+ * @param {Object} [options] - See buildPlan
+ * @returns {Promise<Object>} { total_rows, columns, unmapped_columns, counts, rows }, or { error, status, details }
+ */
+async function previewImport(teamId, csv, options = {}) {
+  const { plan, error, status, details } = await buildPlan(teamId, csv, options);
+  if (error) {
+    return { error, status, details };
+  }
+  return {
+    total_rows: plan.rows.length,
+    columns: plan.columns,
+    unmapped_columns: plan.columns.filter(column => !column.field).map(column => column.header),
+    counts: countActions(plan.rows),
+    rows: plan.rows
+  };
+}
+
+/**
+ * Import a CSV file: create and update prospects row by row and record the run.
+ * A row that fails to save is recorded as failed without stopping the import.
+ * @param {number} teamId - Team ID
+ * @param {string} csv - CSV text
+ * @param {Object} [options] - See buildPlan
+ * @param {string} [options.fileName] - Uploaded file name
+ * @param {string} [options.source] - Event name, used as Prospect.source when a row has none
+ * @param {number} userId - User importing the file
+ * @returns {Promise<Object>} The ProspectImport job, or { error, status, details }
+ */
+async function commitImport(teamId, csv, options = {}, userId) {
+  const { plan, error, status, details } = await buildPlan(teamId, csv, options);
+  if (error) {
+    return { error, status, details };
+  }
+
+  const job = await ProspectImport.create({
+    team_id: teamId,
+    file_name: options.fileName || null,
+    source: options.source || null,
+    status: 'started',
+    total_rows: plan.rows.length,
+    column_mapping: plan.mapping,
+    options: { on_duplicate: plan.onDuplicate, row_actions: plan.rowActions },
+    imported_by: userId
+  });
+
+  const counts = { created: 0, updated: 0, skipped: 0, failed: 0 };
+  const results = [];
+  for (const row of plan.rows) {
+    const result = {
+      row: row.row,
+      action: row.action,
+      name: [row.values.first_name, row.values.last_name].filter(Boolean).join(' ') || null,
+      prospect_id: row.match && row.action !== 'create' ? row.match.prospect.id : null,
+      match_score: row.match ? row.match.score : null
+    };
+
+    try {
+      if (row.action === 'error') {
+        counts.failed++;
+        result.errors = row.errors;
+      } else if (row.action === 'skip') {
+        counts.skipped++;
+        result.reason = row.reason;
+      } else if (row.action === 'update') {
+        const prospect = plan.byId.get(row.match.prospect.id);
+        const updates = {};
+        Object.entries(row.changes).forEach(([field, change]) => {
+          updates[field] = change.to;
+        });
+        await prospect.update(updates);
+        counts.updated++;
+        result.fields_updated = Object.keys(updates);
+      } else {
+        const prospect = await Prospect.create({
+          ...row.values,
+          source: row.values.source || options.source || null,
+          team_id: teamId,
+          created_by: userId
+        });
+        await prospectPipelineService.addToPipeline(prospect, userId);
+        counts.created++;
+        result.prospect_id = prospect.id;
+      }
+    } catch (saveError) {
+      counts.failed++;
+      result.action = 'error';
+      result.errors = [{ field: null, value: null, message: saveError.message }];
+    }
+    results.push(result);
+  }
+
+  let jobStatus = 'completed';
+  if (counts.failed > 0) {
+    jobStatus = counts.created + counts.updated > 0 ? 'partial' : 'failed';
+  }
+  await job.update({
+    status: jobStatus,
+    created_count: counts.created,
+    updated_count: counts.updated,
+    skipped_count: counts.skipped,
+    failed_count: counts.failed,
+    row_results: results,
+    completed_at: new Date()
+  });
+
+  return job;
+}
+
+/**
+ * A team's imports, newest first, without per-row results
+ * @param {number} teamId - Team ID
+ * @param {Object} [options]
+ * @param {number} [options.limit=20]
+ * @returns {Promise<Array<Object>>}
+ */
+function listImports(teamId, options = {}) {
+  return ProspectImport.findAll({
+    where: { team_id: teamId },
+    attributes: { exclude: ['row_results'] },
+    include: [{ model: User, as: 'ImportedBy', attributes: ['id', 'first_name', 'last_name'] }],
+    order: [['created_at', 'DESC']],
+    limit: options.limit || 20
+  });
+}
+
+/**
+ * One import with its per-row results
+ * @param {number} teamId - Team ID
+ * @param {number} importId - ProspectImport ID
+ * @returns {Promise<Object|null>}
+ */
+function getImport(teamId, importId) {
+  return ProspectImport.findOne({
+    where: { id: importId, team_id: teamId },
+    include: [{ model: User, as: 'ImportedBy', attributes: ['id', 'first_name', 'last_name'] }]
+  });
+}
+
+module.exports = {
+  MAX_ROWS,
+  ROW_ACTIONS,
+  ON_DUPLICATE_ACTIONS,
+  MEASURABLE_FIELDS,
+  IMPORT_FIELDS,
+  detectMapping,
+  parseHeight,
+  parseWeight,
+  parseVelocity,
+  parseSeconds,
+  parsePositions,
+  normalizeRow,
+  changesFor,
+  previewImport,
+  commitImport,
+  listImports,
+  getImport
+};
@@ -0,0 +1,472 @@
+/**
+ * Prospect Pipeline Service
+ *
+ * Runs the recruiting pipeline board: prospects sit in a column for their status,
+ * in the order coaches drag them into, and every status change is written to
+ * ProspectStageTransition so the board keeps a timestamped history per prospect.
+ *
+ * Columns follow PIPELINE_STAGES (identified through signed); 'passed' is a closed
+ * column prospects can leave the pipeline to from any stage. Within a column,
+ * Prospect.pipeline_order holds the card position (0 first) and
+ * Prospect.stage_entered_at the time the prospect moved into the column.
+ *
+ * Analytics built from the history:
+ * - funnel: prospects that reached each stage and the conversion from the stage
+ *   before it. A prospect counts as having reached every stage up to the furthest
+ *   one it has been in, since stages are often skipped on the board.
+ * - time in stage: days spent in each stage by prospects that have moved on, plus
+ *   how long the prospects currently in it have been waiting
+ * - offers: open offers with the days each has gone unanswered, and how quickly
+ *   answered offers were answered
+ *
+ * Prospects created before the history existed only have their current status and
+ * stage_entered_at, so they count toward the funnel and current waits but not
+ * toward completed time in stage.
+ *
+ * @module services/prospectPipelineService
+ */
+
+const { Op } = require('sequelize');
+const { sequelize, Prospect, ProspectStageTransition, User } = require('../models');
+
+/**
+ * Open pipeline stages in board order
+ * @type {string[]}
+ */
+const PIPELINE_STAGES = ['identified', 'evaluating', 'contacted', 'visiting', 'offered', 'committed', 'signed'];
+
+/**
+ * Every Prospect.status, board order, with the closed 'passed' column last
+ * @type {string[]}
+ */
+const PROSPECT_STATUSES = [...PIPELINE_STAGES, 'passed'];
+
+/**
+ * Column titles
+ * @type {Object<string, string>}
+ */
+const STAGE_LABELS = {
+  identified: 'Identified',
+  evaluating: 'Evaluating',
+  contacted: 'Contacted',
+  visiting: 'Visiting',
+  offered: 'Offered',
+  committed: 'Committed',
+  signed: 'Signed',
+  passed: 'Passed'
+};
+
+/**
+ * Open offers older than these many days are counted separately
+ * @type {number[]}
+ */
+const OFFER_AGE_THRESHOLDS = [14, 30];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Days between two dates, to one decimal
+ * @param {Date|string} from
+ * @param {Date|string} to
+ * @returns {number}
+ */
+function daysBetween(from, to) {
+  return Math.round(((new Date(to) - new Date(from)) / DAY_MS) * 10) / 10;
+}
+
+/**
+ * Average and median of a list of day counts
+ * @param {number[]} values
+ * @returns {{ average_days: number|null, median_days: number|null }}
+ */
+function describeDays(values) {
+  if (values.length === 0) {
+    return { average_days: null, median_days: null };
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  const median = sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  const average = sorted.reduce((sum, value) => sum + value, 0) / sorted.length;
+  return {
+    average_days: Math.round(average * 10) / 10,
+    median_days: Math.round(median * 10) / 10
+  };
+}
+
+/**
+ * Board card for a prospect
+ * @param {Object} prospect
+ * @param {Date} now
+ * @returns {Object}
+ */
+function toCard(prospect, now) {
+  return {
+    id: prospect.id,
+    first_name: prospect.first_name,
+    last_name: prospect.last_name,
+    primary_position: prospect.primary_position,
+    school_name: prospect.school_name,
+    school_type: prospect.school_type,
+    graduation_year: prospect.graduation_year,
+    status: prospect.status,
+    pipeline_order: prospect.pipeline_order,
+    stage_entered_at: prospect.stage_entered_at,
+    days_in_stage: prospect.stage_entered_at ? daysBetween(prospect.stage_entered_at, now) : null
+  };
+}
+
+/**
+ * Next free card position at the bottom of a column
+ * @param {number} teamId
+ * @param {string} status
+ * @param {Object} [transaction]
+ * @returns {Promise<number>}
+ */
+async function nextOrder(teamId, status, transaction) {
+  const max = await Prospect.max('pipeline_order', { where: { team_id: teamId, status }, transaction });
+  return Number.isFinite(max) ? max + 1 : 0;
+}
+
+/**
+ * Put a newly created prospect at the bottom of its column and start its history
+ * @param {Object} prospect - Prospect just created
+ * @param {number} userId - Creator
+ * @returns {Promise<Object>} The prospect
+ */
+function addToPipeline(prospect, userId) {
+  return sequelize.transaction(async (transaction) => {
+    const order = await nextOrder(prospect.team_id, prospect.status, transaction);
+    await prospect.update({ pipeline_order: order, stage_entered_at: new Date() }, { transaction });
+    await ProspectStageTransition.create({
+      prospect_id: prospect.id,
+      team_id: prospect.team_id,
+      from_status: null,
+      to_status: prospect.status,
+      changed_by: userId
+    }, { transaction });
+    return prospect;
+  });
+}
+
+/**
+ * Move a prospect on the board: to another stage, to another position in its
+ * column, or both. A stage change is recorded in the prospect's history.
+ * @param {number} teamId
+ * @param {number} prospectId
+ * @param {Object} move
+ * @param {string} [move.status] - Target stage; defaults to the current one
+ * @param {number} [move.position] - Card position in the target column (0 first); defaults to the bottom
+ * @param {string} [move.note] - Note kept with the stage change
+ * @param {number} userId
+ * @returns {Promise<Object>} { prospect, transition } or { error, status }
+ */
+function moveProspect(teamId, prospectId, move, userId) {
+  return sequelize.transaction(async (transaction) => {
+    const prospect = await Prospect.findOne({ where: { id: prospectId, team_id: teamId }, transaction });
+    if (!prospect) {
+      return { error: 'Prospect not found', status: 404 };
+    }
+
+    const fromStatus = prospect.status;
+    const toStatus = move.status || fromStatus;
+    const column = await Prospect.findAll({
+      where: { team_id: teamId, status: toStatus, id: { [Op.ne]: prospect.id } },
+      attributes: ['id', 'pipeline_order'],
+      order: [['pipeline_order', 'ASC'], ['id', 'ASC']],
+      transaction
+    });
+
+    const position = move.position === undefined || move.position === null
+      ? column.length
+      : Math.min(move.position, column.length);
+
+    // Renumber the column around the moved card, touching only rows that shift
+    const ordered = [...column.slice(0, position), prospect, ...column.slice(position)];
+    for (let index = 0; index < ordered.length; index++) {
+      const card = ordered[index];
+      if (card !== prospect && card.pipeline_order !== index) {
+        await Prospect.update({ pipeline_order: index }, { where: { id: card.id }, transaction });
+      }
+    }
+
+    const updates = { pipeline_order: position };
+    let transition = null;
+    if (toStatus !== fromStatus) {
+      updates.status = toStatus;
+      updates.stage_entered_at = new Date();
+      transition = await ProspectStageTransition.create({
+        prospect_id: prospect.id,
+        team_id: teamId,
+        from_status: fromStatus,
+        to_status: toStatus,
+        note: move.note || null,
+        changed_by: userId
+      }, { transaction });
+    }
+    await prospect.update(updates, { transaction });
+
+    return { prospect, transition };
+  });
+}
+
+/**
+ * Pipeline board: one column per status with cards in drag order
+ * @param {number} teamId
+ * @param {Object} [filters]
+ * @param {number} [filters.graduation_year]
+ * @param {string} [filters.primary_position]
+ * @param {string} [filters.school_type]
+ * @param {Date} [filters.now] - Reference time for days_in_stage
+ * @returns {Promise<{ columns: Array<Object>, total: number }>}
+ */
+async function getBoard(teamId, filters = {}) {
+  const now = filters.now || new Date();
+  const where = { team_id: teamId };
+  ['graduation_year', 'primary_position', 'school_type']
+    .filter(field => filters[field])
+    .forEach(field => {
+      where[field] = filters[field];
+    });
+
+  const prospects = await Prospect.findAll({
+    where,
+    attributes: [
+      'id', 'first_name', 'last_name', 'primary_position', 'school_name', 'school_type',
+      'graduation_year', 'status', 'pipeline_order', 'stage_entered_at'
+    ],
+    order: [['pipeline_order', 'ASC'], ['id', 'ASC']]
+  });
+
+  const columns = PROSPECT_STATUSES.map(status => {
+    const cards = prospects.filter(prospect => prospect.status === status).map(prospect => toCard(prospect, now));
+    return {
+      stage: status,
+      label: STAGE_LABELS[status],
+      closed: status === 'passed',
+      count: cards.length,
+      prospects: cards
+    };
+  });
+
+  return { columns, total: prospects.length };
+}
+
+/**
+ * Stage history of one prospect, oldest first, with the days spent in the stage
+ * each transition left
+ * @param {number} teamId
+ * @param {number} prospectId
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<Object|null>} null when the prospect is not on the team
+ */
+async function getStageHistory(teamId, prospectId, { now = new Date() } = {}) {
+  const prospect = await Prospect.findOne({
+    where: { id: prospectId, team_id: teamId },
+    attributes: ['id', 'first_name', 'last_name', 'status', 'stage_entered_at']
+  });
+  if (!prospect) {
+    return null;
+  }
+
+  const transitions = await ProspectStageTransition.findAll({
+    where: { prospect_id: prospect.id, team_id: teamId },
+    include: [{ model: User, as: 'ChangedBy', attributes: ['id', 'first_name', 'last_name'] }],
+    order: [['created_at', 'ASC'], ['id', 'ASC']]
+  });
+
+  const history = transitions.map((transition, index) => ({
+    id: transition.id,
+    from_status: transition.from_status,
+    to_status: transition.to_status,
+    changed_at: transition.created_at,
+    changed_by: transition.ChangedBy
+      ? { id: transition.ChangedBy.id, name: `${transition.ChangedBy.first_name} ${transition.ChangedBy.last_name}` }
+      : null,
+    note: transition.note,
+    days_in_previous_stage: index > 0 ? daysBetween(transitions[index - 1].created_at, transition.created_at) : null
+  }));
+
+  return {
+    prospect_id: prospect.id,
+    name: `${prospect.first_name} ${prospect.last_name}`,
+    current: {
+      status: prospect.status,
+      stage_entered_at: prospect.stage_entered_at,
+      days_in_stage: prospect.stage_entered_at ? daysBetween(prospect.stage_entered_at, now) : null
+    },
+    transitions: history
+  };
+}
+
+/**
+ * Funnel, time-in-stage and offer analytics
+ * @param {Array<Object>} prospects - Prospects with status and stage_entered_at
+ * @param {Array<Object>} transitions - Their stage transitions
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {Object}
+ */
+function compileAnalytics(prospects, transitions, { now = new Date() } = {}) {
+  const byProspect = new Map(prospects.map(prospect => [prospect.id, []]));
+  transitions.forEach(transition => {
+    if (byProspect.has(transition.prospect_id)) {
+      byProspect.get(transition.prospect_id).push(transition);
+    }
+  });
+  byProspect.forEach(list => list.sort((a, b) => new Date(a.created_at) - new Date(b.created_at) || a.id - b.id));
+
+  // Funnel: furthest open stage each prospect has been in
+  const furthest = prospects.map(prospect => {
+    const seen = [prospect.status];
+    byProspect.get(prospect.id).forEach(transition => seen.push(transition.from_status, transition.to_status));
+    return Math.max(0, ...seen.map(status => PIPELINE_STAGES.indexOf(status)));
+  });
+  const reached = PIPELINE_STAGES.map((stage, index) => furthest.filter(value => value >= index).length);
+  const ratio = (part, whole) => (whole > 0 ? Math.round((part / whole) * 10000) / 10000 : null);
+
+  const funnel = PIPELINE_STAGES.map((stage, index) => ({
+    stage,
+    label: STAGE_LABELS[stage],
+    current: prospects.filter(prospect => prospect.status === stage).length,
+    reached: reached[index],
+    conversion_from_previous: index > 0 ? ratio(reached[index], reached[index - 1]) : null,
+    conversion_from_start: ratio(reached[index], reached[0])
+  }));
+
+  // Where passed prospects left the pipeline
+  const passedFrom = {};
+  prospects.filter(prospect => prospect.status === 'passed').forEach(prospect => {
+    const exit = [...byProspect.get(prospect.id)].reverse().find(transition => transition.to_status === 'passed');
+    const stage = exit && exit.from_status ? exit.from_status : 'unknown';
+    passedFrom[stage] = (passedFrom[stage] || 0) + 1;
+  });
+
+  // Completed stays come from consecutive transitions
+  const completed = {};
+  PROSPECT_STATUSES.forEach(stage => {
+    completed[stage] = [];
+  });
+  byProspect.forEach(list => {
+    for (let index = 0; index < list.length - 1; index++) {
+      completed[list[index].to_status].push(daysBetween(list[index].created_at, list[index + 1].created_at));
+    }
+  });
+
+  const timeInStage = PIPELINE_STAGES.map(stage => {
+    const waiting = prospects
+      .filter(prospect => prospect.status === stage && prospect.stage_entered_at)
+      .map(prospect => daysBetween(prospect.stage_entered_at, now));
+    const current = describeDays(waiting);
+    return {
+      stage,
+      label: STAGE_LABELS[stage],
+      completed: { samples: completed[stage].length, ...describeDays(completed[stage]) },
+      current: {
+        count: waiting.length,
+        average_days: current.average_days,
+        longest_days: waiting.length > 0 ? Math.max(...waiting) : null
+      }
+    };
+  });
+
+  // Offers: open ones by age, answered ones by response time and outcome
+  const openOffers = prospects
+    .filter(prospect => prospect.status === 'offered')
+    .map(prospect => ({
+      id: prospect.id,
+      name: `${prospect.first_name} ${prospect.last_name}`,
+      primary_position: prospect.primary_position,
+      school_name: prospect.school_name,
+      graduation_year: prospect.graduation_year,
+      offered_at: prospect.stage_entered_at,
+      days_open: prospect.stage_entered_at ? daysBetween(prospect.stage_entered_at, now) : null
+    }))
+    .sort((a, b) => (b.days_open ?? -1) - (a.days_open ?? -1));
+  const openAges = openOffers.filter(offer => offer.days_open !== null).map(offer => offer.days_open);
+
+  const answers = [];
+  byProspect.forEach(list => {
+    list.forEach((transition, index) => {
+      if (transition.from_status === 'offered' && index > 0 && list[index - 1].to_status === 'offered') {
+        answers.push({ outcome: transition.to_status, days: daysBetween(list[index - 1].created_at, transition.created_at) });
+      }
+    });
+  });
+  const accepted = answers.filter(answer => answer.outcome === 'committed' || answer.outcome === 'signed');
+
+  const olderThan = {};
+  OFFER_AGE_THRESHOLDS.forEach(days => {
+    olderThan[`over_${days}_days`] = openAges.filter(age => age > days).length;
+  });
+
+  return {
+    total_prospects: prospects.length,
+    funnel,
+    passed_from: passedFrom,
+    time_in_stage: timeInStage,
+    offers: {
+      open: {
+        count: openOffers.length,
+        average_days: describeDays(openAges).average_days,
+        ...olderThan,
+        prospects: openOffers
+      },
+      answered: {
+        count: answers.length,
+        accepted: accepted.length,
+        declined_or_moved: answers.length - accepted.length,
+        acceptance_rate: ratio(accepted.length, answers.length),
+        ...describeDays(answers.map(answer => answer.days))
+      }
+    }
+  };
+}
+
+/**
+ * Pipeline analytics for a team
+ * @param {number} teamId
+ * @param {Object} [filters]
+ * @param {number} [filters.graduation_year]
+ * @param {string} [filters.primary_position]
+ * @param {Date} [filters.now]
+ * @returns {Promise<Object>} compileAnalytics result
+ */
+async function getPipelineAnalytics(teamId, filters = {}) {
+  const where = { team_id: teamId };
+  ['graduation_year', 'primary_position']
+    .filter(field => filters[field])
+    .forEach(field => {
+      where[field] = filters[field];
+    });
+
+  const prospects = await Prospect.findAll({
+    where,
+    attributes: [
+      'id', 'first_name', 'last_name', 'primary_position', 'school_name',
+      'graduation_year', 'status', 'stage_entered_at'
+    ]
+  });
+
+  const transitions = prospects.length > 0
+    ? await ProspectStageTransition.findAll({
+      where: { team_id: teamId, prospect_id: prospects.map(prospect => prospect.id) },
+      attributes: ['id', 'prospect_id', 'from_status', 'to_status', 'created_at']
+    })
+    : [];
+
+  return compileAnalytics(prospects, transitions, { now: filters.now });
+}
+
+module.exports = {
+  PIPELINE_STAGES,
+  PROSPECT_STATUSES,
+  STAGE_LABELS,
+  OFFER_AGE_THRESHOLDS,
+  addToPipeline,
+  moveProspect,
+  getBoard,
+  getStageHistory,
+  compileAnalytics,
+  getPipelineAnalytics
+};
@@ -0,0 +1,346 @@
+/**
+ * Prospect Promotion Service
+ *
+ * Turns a signed prospect into a rostered Player, so a recruit's record continues
+ * from first evaluation through their college career:
+ * - bio (name, contact, hometown, high school or previous college, handedness) and
+ *   measurables are copied to the player
+ * - the prospect's scouting reports are attached to the player as well; a report can
+ *   belong to both records, so it shows in the prospect's and the player's history
+ * - the primary photo becomes the player's photo and videos become PlayerVideo rows
+ * - the prospect keeps a permanent link to the player (Prospect.player_id) and stays
+ *   as the player's recruiting record
+ *
+ * A player already on the roster, e.g. synced from PrestoSports before the promotion,
+ * can be linked instead of creating a new one; only its empty fields are filled. When
+ * PrestoSports later sends a player the roster doesn't know by external ID,
+ * findPromotedPlayer lets the roster sync adopt the promoted player instead of
+ * creating a second record.
+ *
+ * @module services/prospectPromotionService
+ */
+
+const path = require('path');
+const { sequelize, Prospect, ProspectMedia, Player, PlayerVideo, ScoutingReport, Team } = require('../models');
+const { matchProspects } = require('./prospectDuplicateService');
+
+/**
+ * Positions a Player can have; Prospect also allows UTL
+ * @type {string[]}
+ */
+const PLAYER_POSITIONS = ['P', 'C', '1B', '2B', '3B', 'SS', 'LF', 'CF', 'RF', 'OF', 'DH'];
+
+/**
+ * Measurables copied from the prospect
+ * @type {string[]}
+ */
+const MEASURABLE_FIELDS = ['sixty_yard_dash', 'home_to_first', 'fastball_velocity', 'exit_velocity', 'pop_time'];
+
+// The roster sync links players without review, so it needs what the duplicate check calls the same name
+const SYNC_NAME_THRESHOLD = 0.95;
+
+// Player validation limits narrower than the prospect's
+const PLAYER_LIMITS = {
+  weight: [100, 300],
+  graduation_year: [2020, 2030]
+};
+
+/**
+ * Public URL of a prospect media item
+ * @param {Object} media - ProspectMedia
+ * @returns {string|null}
+ */
+function mediaUrl(media) {
+  if (media.url) {
+    return media.url;
+  }
+  return media.file_path ? `/uploads/prospects/${path.basename(media.file_path)}` : null;
+}
+
+/**
+ * Player attributes for a prospect
+ * @param {Object} prospect - Prospect
+ * @param {Object} team - Team the player joins
+ * @param {Object} [overrides]
+ * @param {string} [overrides.position] - Roster position; required when the prospect is a UTL
+ * @param {number} [overrides.jersey_number]
+ * @param {string} [overrides.class_year] - Defaults to FR for high school signees
+ * @returns {{ attributes?: Object, skipped?: Array<Object>, error?: string }}
+ */
+function playerAttributesFrom(prospect, team, overrides = {}) {
+  const position = overrides.position ||
+    [prospect.primary_position, prospect.secondary_position].find(value => PLAYER_POSITIONS.includes(value));
+  if (!position) {
+    return { error: 'The prospect has no roster position (UTL is not one); choose a position' };
+  }
+  if (prospect.first_name.length > 50 || prospect.last_name.length > 50) {
+    return { error: 'Player names are limited to 50 characters; shorten the prospect\'s name first' };
+  }
+
+  const fromHighSchool = prospect.school_type === 'HS';
+  const hometown = [prospect.city, prospect.state].filter(Boolean).join(', ');
+  const attributes = {
+    first_name: prospect.first_name,
+    last_name: prospect.last_name,
+    position,
+    school_type: 'COLL',
+    school: team.name,
+    email: prospect.email,
+    phone: prospect.phone,
+    height: prospect.height,
+    weight: prospect.weight,
+    graduation_year: prospect.graduation_year,
+    class_year: overrides.class_year || (fromHighSchool ? 'FR' : prospect.class_year),
+    jersey_number: overrides.jersey_number === undefined ? null : overrides.jersey_number,
+    bats: prospect.bats,
+    throws: prospect.throws,
+    city: prospect.city,
+    state: prospect.state,
+    hometown: hometown || null,
+    high_school: fromHighSchool ? prospect.school_name : null,
+    high_school_city: fromHighSchool ? prospect.city : null,
+    high_school_state: fromHighSchool ? prospect.state : null,
+    previous_school: fromHighSchool ? null : prospect.school_name,
+    photo_url: prospect.photo_url,
+    video_url: prospect.video_url,
+    social_links: prospect.social_links
+  };
+  MEASURABLE_FIELDS.forEach(field => {
+    attributes[field] = prospect[field];
+  });
+
+  // Leave out values the Player model would reject rather than failing the promotion
+  const skipped = [];
+  Object.entries(PLAYER_LIMITS).forEach(([field, [min, max]]) => {
+    const value = attributes[field];
+    if (value !== null && value !== undefined && (value < min || value > max)) {
+      skipped.push({ field, value, reason: `Outside the roster range ${min}-${max}` });
+      attributes[field] = null;
+    }
+  });
+
+  Object.keys(attributes).forEach(field => {
+    if (attributes[field] === undefined || attributes[field] === '') {
+      attributes[field] = null;
+    }
+  });
+
+  return { attributes, skipped };
+}
+
+/**
+ * Roster players that look like the prospect and aren't linked to a prospect yet
+ * @param {number} teamId
+ * @param {Object} prospect
+ * @param {Object} [transaction]
+ * @returns {Promise<Array<Object>>} { player, score, reasons }, best first
+ */
+async function findRosterMatches(teamId, prospect, transaction) {
+  const players = await Player.findAll({
+    where: { team_id: teamId },
+    include: [{ model: Prospect, as: 'prospect', attributes: ['id'], required: false }],
+    transaction
+  });
+
+  return players
+    .filter(player => !player.prospect)
+    .map(player => {
+      const match = matchProspects(prospect, {
+        first_name: player.first_name,
+        last_name: player.last_name,
+        school_name: player.high_school || player.previous_school,
+        graduation_year: player.graduation_year,
+        email: player.email,
+        phone: player.phone
+      });
+      return match && match.level === 'likely'
+        ? {
+          player: {
+            id: player.id,
+            first_name: player.first_name,
+            last_name: player.last_name,
+            position: player.position,
+            jersey_number: player.jersey_number,
+            source_system: player.source_system
+          },
+          score: match.score,
+          reasons: match.reasons
+        }
+        : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Promote a signed prospect to a rostered player, or link it to a player already
+ * on the roster
+ * @param {number} teamId
+ * @param {number} prospectId
+ * @param {Object} [options]
+ * @param {number} [options.player_id] - Existing player to link instead of creating one
+ * @param {boolean} [options.allow_duplicate] - Create a player even if one on the roster looks like the prospect
+ * @param {string} [options.position]
+ * @param {number} [options.jersey_number]
+ * @param {string} [options.class_year]
+ * @param {number} userId
+ * @returns {Promise<Object>} { player, prospect, created, carried_over, skipped_fields },
+ *   or { error, status } (with candidates when the roster already has a match)
+ */
+function promoteProspect(teamId, prospectId, options, userId) {
+  const settings = options || {};
+
+  return sequelize.transaction(async (transaction) => {
+    const prospect = await Prospect.findOne({ where: { id: prospectId, team_id: teamId }, transaction });
+    if (!prospect) {
+      return { error: 'Prospect not found', status: 404 };
+    }
+    if (prospect.player_id) {
+      return { error: 'Prospect is already on the roster', status: 409, player_id: prospect.player_id };
+    }
+    if (prospect.status !== 'signed') {
+      return { error: 'Only signed prospects can be promoted to the roster', status: 409 };
+    }
+
+    const team = await Team.findByPk(teamId, { attributes: ['id', 'name'], transaction });
+    const { attributes, skipped, error } = playerAttributesFrom(prospect, team, settings);
+    if (error) {
+      return { error, status: 400 };
+    }
+
+    let player;
+    const carriedFields = [];
+    if (settings.player_id) {
+      player = await Player.findOne({ where: { id: settings.player_id, team_id: teamId }, transaction });
+      if (!player) {
+        return { error: 'Player not found', status: 404 };
+      }
+      const linked = await Prospect.findOne({ where: { player_id: player.id }, attributes: ['id'], transaction });
+      if (linked) {
+        return { error: `Player is already linked to prospect #${linked.id}`, status: 409 };
+      }
+
+      // Roster data (often from PrestoSports) wins; the prospect only fills gaps
+      const updates = {};
+      Object.entries(attributes).forEach(([field, value]) => {
+        const current = player[field];
+        if (value !== null && (current === null || current === undefined || current === '')) {
+          updates[field] = value;
+        }
+      });
+      await player.update(updates, { transaction });
+      carriedFields.push(...Object.keys(updates));
+    } else {
+      if (!settings.allow_duplicate) {
+        const candidates = await findRosterMatches(teamId, prospect, transaction);
+        if (candidates.length > 0) {
+          return {
+            error: 'A player on the roster looks like this prospect. Link them with player_id or resend with allow_duplicate.',
+            status: 409,
+            candidates
+          };
+        }
+      }
+      player = await Player.create({
+        ...attributes,
+        status: 'active',
+        source_system: 'manual',
+        team_id: teamId,
+        created_by: userId
+      }, { transaction });
+      carriedFields.push(...Object.keys(attributes).filter(field => attributes[field] !== null));
+    }
+
+    const [scoutingReports] = await ScoutingReport.update(
+      { player_id: player.id },
+      { where: { prospect_id: prospect.id }, transaction }
+    );
+
+    const media = await ProspectMedia.findAll({
+      where: { prospect_id: prospect.id },
+      order: [['is_primary_photo', 'DESC'], ['sort_order', 'ASC'], ['id', 'ASC']],
+      transaction
+    });
+    const photo = media.find(item => item.media_type === 'photo' && mediaUrl(item));
+    let photoCarried = false;
+    if (photo && (!player.photo_url || player.photo_url === prospect.photo_url)) {
+      await player.update({ photo_url: mediaUrl(photo) }, { transaction });
+      photoCarried = true;
+    }
+
+    const videos = media.filter(item => item.media_type === 'video' && mediaUrl(item));
+    for (const video of videos) {
+      await PlayerVideo.create({
+        player_id: player.id,
+        team_id: teamId,
+        title: video.title,
+        description: video.description,
+        url: mediaUrl(video),
+        video_type: 'highlight',
+        source_system: 'manual'
+      }, { transaction });
+    }
+
+    await prospect.update({ player_id: player.id, promoted_at: new Date(), promoted_by: userId }, { transaction });
+
+    return {
+      player,
+      prospect,
+      created: !settings.player_id,
+      carried_over: {
+        fields: carriedFields,
+        scouting_reports: scoutingReports,
+        videos: videos.length,
+        photo: photoCarried
+      },
+      skipped_fields: skipped
+    };
+  });
+}
+
+/**
+ * Promoted player a PrestoSports roster entry belongs to, for players the sync
+ * doesn't know by external ID yet. Only players created from a prospect and never
+ * synced are considered; names must be all but identical (nicknames and small typos
+ * allowed) and jersey numbers, when both are known, must agree.
+ * @param {number} teamId
+ * @param {Object} rosterPlayer - Player attributes from the roster sync
+ * @param {string} rosterPlayer.first_name
+ * @param {string} rosterPlayer.last_name
+ * @param {number|string} [rosterPlayer.jersey_number]
+ * @returns {Promise<Object|null>} Player
+ */
+async function findPromotedPlayer(teamId, rosterPlayer) {
+  const candidates = await Player.findAll({
+    where: { team_id: teamId, external_id: null },
+    include: [{ model: Prospect, as: 'prospect', attributes: ['id'], required: true }]
+  });
+
+  const jersey = rosterPlayer.jersey_number === null || rosterPlayer.jersey_number === undefined
+    ? null
+    : Number(rosterPlayer.jersey_number);
+  let best = null;
+  for (const player of candidates) {
+    if (jersey !== null && player.jersey_number !== null && player.jersey_number !== undefined &&
+      Number(player.jersey_number) !== jersey) {
+      continue;
+    }
+    const match = matchProspects(
+      { first_name: rosterPlayer.first_name, last_name: rosterPlayer.last_name },
+      { first_name: player.first_name, last_name: player.last_name }
+    );
+    if (match && match.signals.name >= SYNC_NAME_THRESHOLD && (!best || match.score > best.score)) {
+      best = { player, score: match.score };
+    }
+  }
+  return best ? best.player : null;
+}
+
+module.exports = {
+  PLAYER_POSITIONS,
+  MEASURABLE_FIELDS,
+  playerAttributesFrom,
+  findRosterMatches,
+  promoteProspect,
+  findPromotedPlayer
+};
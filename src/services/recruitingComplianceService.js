@@ -0,0 +1,456 @@
+/**
+ * Recruiting Compliance Service
+ *
+ * Keeps the recruiting contact log (ProspectContact) and checks each contact
+ * against the team's recruiting calendar and contact rules before it is saved.
+ *
+ * Calendar: RecruitingPeriod rows cover date ranges with one of the NCAA period
+ * types (dead, quiet, evaluation, contact). When periods overlap, the most
+ * restrictive one applies, in that order. Days no period covers are not checked
+ * against the calendar.
+ *
+ * Rules come from Team.recruiting_contact_rules merged over DEFAULT_CONTACT_RULES:
+ * - periods: contact types allowed during each period type
+ * - class_years: for each class year, the contact types allowed, weekly_limits
+ *   (contacts of a type per Sunday-Saturday week) and total_limits (contacts of a
+ *   type with the prospect, ever), plus an optional action override
+ * - action: 'warn' saves a non-compliant contact flagged as a warning, 'block'
+ *   refuses to save it
+ *
+ * The class year checked is the prospect's class_year or, when none is set, one
+ * derived from graduation_year (school years start August 1). Prospects with
+ * neither are logged with a warning, never blocked.
+ *
+ * @module services/recruitingComplianceService
+ */
+
+const { Op } = require('sequelize');
+const { sequelize, ProspectContact, RecruitingPeriod, PreferenceList, Prospect, Team, User } = require('../models');
+
+/**
+ * Contact types that can be logged
+ * @type {string[]}
+ */
+const CONTACT_TYPES = [
+  'call',
+  'text',
+  'email',
+  'in_person_contact',
+  'in_person_evaluation',
+  'official_visit',
+  'unofficial_visit'
+];
+
+/**
+ * Readable names used in compliance messages and exports
+ * @type {Object<string, string>}
+ */
+const CONTACT_TYPE_LABELS = {
+  call: 'Phone call',
+  text: 'Text message',
+  email: 'Email',
+  in_person_contact: 'In-person contact',
+  in_person_evaluation: 'In-person evaluation',
+  official_visit: 'Official visit',
+  unofficial_visit: 'Unofficial visit'
+};
+
+/**
+ * Recruiting period types, most restrictive first
+ * @type {string[]}
+ */
+const PERIOD_TYPES = ['dead', 'quiet', 'evaluation', 'contact'];
+
+/**
+ * @type {string[]}
+ */
+const CLASS_YEARS = ['FR', 'SO', 'JR', 'SR', 'GR'];
+
+/**
+ * Rules used when a team has not configured its own. They follow the NCAA
+ * Division I baseball calendar in broad strokes; compliance offices are expected
+ * to adjust them.
+ * @type {Object}
+ */
+const DEFAULT_CONTACT_RULES = {
+  action: 'warn',
+  periods: {
+    dead: ['call', 'text', 'email'],
+    quiet: ['call', 'text', 'email', 'official_visit', 'unofficial_visit'],
+    evaluation: ['call', 'text', 'email', 'in_person_evaluation', 'official_visit', 'unofficial_visit'],
+    contact: CONTACT_TYPES
+  },
+  class_years: {
+    FR: { allowed_types: ['in_person_evaluation'] },
+    SO: { allowed_types: ['in_person_evaluation'] },
+    JR: { allowed_types: CONTACT_TYPES, weekly_limits: { in_person_contact: 1 } },
+    SR: { allowed_types: CONTACT_TYPES, weekly_limits: { in_person_contact: 1 }, total_limits: { official_visit: 1 } },
+    GR: { allowed_types: CONTACT_TYPES, weekly_limits: { in_person_contact: 1 }, total_limits: { official_visit: 1 } }
+  }
+};
+
+/**
+ * Merge a team's saved rules over the defaults
+ * @param {Object|null} saved - Team.recruiting_contact_rules
+ * @returns {Object} Complete rules with every period type and class year filled in
+ */
+function resolveContactRules(saved) {
+  const rules = saved || {};
+  const savedYears = rules.class_years || {};
+
+  const classYears = {};
+  for (const year of CLASS_YEARS) {
+    classYears[year] = {
+      allowed_types: [],
+      weekly_limits: {},
+      total_limits: {},
+      action: null,
+      ...DEFAULT_CONTACT_RULES.class_years[year],
+      ...(savedYears[year] || {})
+    };
+  }
+
+  return {
+    action: rules.action || DEFAULT_CONTACT_RULES.action,
+    periods: { ...DEFAULT_CONTACT_RULES.periods, ...(rules.periods || {}) },
+    class_years: classYears
+  };
+}
+
+/**
+ * Calendar day (YYYY-MM-DD, UTC) of a date
+ * @param {Date|string} date
+ * @returns {string}
+ */
+function dayKey(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+/**
+ * Sunday that starts the week containing a day
+ * @param {string} day - YYYY-MM-DD
+ * @returns {string}
+ */
+function weekStart(day) {
+  const date = new Date(`${day}T00:00:00.000Z`);
+  date.setUTCDate(date.getUTCDate() - date.getUTCDay());
+  return dayKey(date);
+}
+
+/**
+ * Class year of a prospect on a given date
+ * @param {Object} prospect - Prospect with class_year and graduation_year
+ * @param {Date|string} date - Contact date
+ * @returns {string|null} FR, SO, JR, SR or GR; null when it cannot be told
+ */
+function classYearOn(prospect, date) {
+  if (prospect.class_year) {
+    return prospect.class_year;
+  }
+  if (!prospect.graduation_year) {
+    return null;
+  }
+
+  const when = new Date(date);
+  const schoolYearEnds = when.getUTCMonth() >= 7 ? when.getUTCFullYear() + 1 : when.getUTCFullYear();
+  const yearsLeft = prospect.graduation_year - schoolYearEnds;
+  if (yearsLeft < 0) {
+    return 'GR';
+  }
+  return ['SR', 'JR', 'SO'][yearsLeft] || 'FR';
+}
+
+/**
+ * Recruiting period in effect on a day
+ * @param {Array<Object>} periods - RecruitingPeriod rows
+ * @param {string} day - YYYY-MM-DD
+ * @returns {Object|null} The most restrictive period covering the day
+ */
+function periodOn(periods, day) {
+  return periods
+    .filter(period => period.start_date <= day && period.end_date >= day)
+    .sort((a, b) => PERIOD_TYPES.indexOf(a.period_type) - PERIOD_TYPES.indexOf(b.period_type))[0] || null;
+}
+
+/**
+ * Check one contact against the rules
+ * @param {Object} params
+ * @param {string} params.contactType - One of CONTACT_TYPES
+ * @param {Date|string} params.contactDate
+ * @param {string|null} params.classYear - Prospect class year on the contact date
+ * @param {Object|null} params.period - Recruiting period in effect (see periodOn)
+ * @param {Array<Object>} params.priorContacts - Contacts already logged with the prospect
+ * @param {Object} params.rules - Resolved rules
+ * @returns {{ status: string, action: string, class_year: string|null, period: Object|null, issues: Array<Object> }}
+ *   status is 'compliant', 'warning' or 'blocked'
+ */
+function checkContact({ contactType, contactDate, classYear, period, priorContacts, rules }) {
+  const label = CONTACT_TYPE_LABELS[contactType];
+  const day = dayKey(contactDate);
+  const yearRule = classYear ? rules.class_years[classYear] : null;
+  const issues = [];
+
+  if (!yearRule) {
+    issues.push({
+      code: 'class_year_unknown',
+      message: 'The prospect has no class year or graduation year, so class-year rules were not checked'
+    });
+  } else {
+    if (!yearRule.allowed_types.includes(contactType)) {
+      issues.push({ code: 'class_year_type', message: `${label} is not allowed with ${classYear} prospects` });
+    }
+
+    const sameType = priorContacts.filter(contact => contact.contact_type === contactType);
+    const weeklyLimit = yearRule.weekly_limits[contactType];
+    if (weeklyLimit !== undefined && weeklyLimit !== null) {
+      const week = weekStart(day);
+      const thisWeek = sameType.filter(contact => weekStart(dayKey(contact.contact_date)) === week).length;
+      if (thisWeek >= weeklyLimit) {
+        issues.push({
+          code: 'weekly_limit',
+          message: `${label} limit of ${weeklyLimit} per week for ${classYear} prospects reached (${thisWeek} already logged for the week of ${week})`
+        });
+      }
+    }
+
+    const totalLimit = yearRule.total_limits[contactType];
+    if (totalLimit !== undefined && totalLimit !== null && sameType.length >= totalLimit) {
+      issues.push({
+        code: 'total_limit',
+        message: `${label} limit of ${totalLimit} for ${classYear} prospects reached (${sameType.length} already logged)`
+      });
+    }
+  }
+
+  if (period && !rules.periods[period.period_type].includes(contactType)) {
+    const name = period.name || `${period.start_date} to ${period.end_date}`;
+    issues.push({ code: 'period_type', message: `${label} is not allowed during the ${period.period_type} period (${name})` });
+  }
+
+  const action = (yearRule && yearRule.action) || rules.action;
+  let status = 'compliant';
+  if (issues.length > 0) {
+    const blocking = issues.some(issue => issue.code !== 'class_year_unknown');
+    status = action === 'block' && blocking ? 'blocked' : 'warning';
+  }
+
+  return {
+    status,
+    action,
+    class_year: classYear,
+    period: period
+      ? { id: period.id, period_type: period.period_type, name: period.name || null, start_date: period.start_date, end_date: period.end_date }
+      : null,
+    issues
+  };
+}
+
+/**
+ * Check a contact with a prospect against the team's calendar and rules
+ * @param {number} teamId
+ * @param {Object} prospect - Prospect (id, class_year, graduation_year)
+ * @param {Object} contact - { contact_type, contact_date }
+ * @returns {Promise<Object>} checkContact result
+ */
+async function evaluateContact(teamId, prospect, contact) {
+  const day = dayKey(contact.contact_date);
+
+  const [team, periods, priorContacts] = await Promise.all([
+    Team.findByPk(teamId, { attributes: ['id', 'recruiting_contact_rules'] }),
+    RecruitingPeriod.findAll({
+      where: { team_id: teamId, start_date: { [Op.lte]: day }, end_date: { [Op.gte]: day } }
+    }),
+    // Voided contacts were logged in error and don't count toward limits
+    ProspectContact.findAll({
+      where: { team_id: teamId, prospect_id: prospect.id, voided_at: null },
+      attributes: ['id', 'contact_type', 'contact_date']
+    })
+  ]);
+
+  return checkContact({
+    contactType: contact.contact_type,
+    contactDate: contact.contact_date,
+    classYear: classYearOn(prospect, contact.contact_date),
+    period: periodOn(periods, day),
+    priorContacts,
+    rules: resolveContactRules(team ? team.recruiting_contact_rules : null)
+  });
+}
+
+/**
+ * Log a contact with a prospect. Contacts the rules block are not saved; others
+ * are saved with their compliance result, and the prospect's preference-list
+ * entries get the contact day as last_contact_date when it is newer.
+ * @param {number} teamId
+ * @param {Object} prospect - Prospect belonging to the team
+ * @param {Object} data - contact_type, contact_date, contacted_by, location, duration_minutes, notes
+ * @param {number} userId - User logging the contact
+ * @returns {Promise<Object>} { contact, compliance } or { error, status, compliance } when blocked
+ */
+async function logContact(teamId, prospect, data, userId) {
+  const compliance = await evaluateContact(teamId, prospect, data);
+  if (compliance.status === 'blocked') {
+    return { error: 'This contact is not allowed by the recruiting rules', status: 422, compliance };
+  }
+
+  const day = dayKey(data.contact_date);
+  const contact = await sequelize.transaction(async (transaction) => {
+    const created = await ProspectContact.create({
+      prospect_id: prospect.id,
+      team_id: teamId,
+      contact_type: data.contact_type,
+      contact_date: data.contact_date,
+      contacted_by: data.contacted_by || userId,
+      location: data.location || null,
+      duration_minutes: data.duration_minutes || null,
+      notes: data.notes || null,
+      class_year: compliance.class_year,
+      period_type: compliance.period ? compliance.period.period_type : null,
+      compliance_status: compliance.status,
+      compliance_issues: compliance.issues,
+      logged_by: userId
+    }, { transaction });
+
+    await PreferenceList.update({ last_contact_date: day }, {
+      where: {
+        team_id: teamId,
+        prospect_id: prospect.id,
+        [Op.or]: [{ last_contact_date: null }, { last_contact_date: { [Op.lt]: day } }]
+      },
+      transaction
+    });
+
+    return created;
+  });
+
+  return { contact, compliance };
+}
+
+/**
+ * Void a contact logged in error. The contact stays in the log and the audit, marked
+ * with who voided it, when and why, but no longer counts toward contact limits.
+ * @param {number} teamId
+ * @param {number} prospectId
+ * @param {number} contactId
+ * @param {string} reason
+ * @param {number} userId - User voiding the contact
+ * @returns {Promise<Object>} The voided contact, or { error, status }
+ */
+async function voidContact(teamId, prospectId, contactId, reason, userId) {
+  const contact = await ProspectContact.findOne({
+    where: { id: contactId, prospect_id: prospectId, team_id: teamId }
+  });
+  if (!contact) {
+    return { error: 'Contact not found', status: 404 };
+  }
+  if (contact.voided_at) {
+    return { error: 'Contact has already been voided', status: 409 };
+  }
+
+  await contact.update({ voided_at: new Date(), voided_by: userId, void_reason: reason });
+  return contact;
+}
+
+/**
+ * Team-wide contact log for compliance review. Voided contacts are included and
+ * marked; they are left out of the warning count.
+ * @param {number} teamId
+ * @param {Object} [filters]
+ * @param {string} [filters.start_date] - First day (YYYY-MM-DD)
+ * @param {string} [filters.end_date] - Last day (YYYY-MM-DD)
+ * @param {string} [filters.status] - compliant or warning
+ * @param {string} [filters.contact_type]
+ * @param {number} [filters.prospect_id]
+ * @param {number} [filters.contacted_by]
+ * @returns {Promise<{ contacts: Array<Object>, summary: Object }>} Flat rows, oldest first
+ */
+async function getContactAudit(teamId, filters = {}) {
+  const where = { team_id: teamId };
+  if (filters.start_date || filters.end_date) {
+    where.contact_date = {};
+    if (filters.start_date) {
+      where.contact_date[Op.gte] = new Date(`${filters.start_date}T00:00:00.000Z`);
+    }
+    if (filters.end_date) {
+      where.contact_date[Op.lte] = new Date(`${filters.end_date}T23:59:59.999Z`);
+    }
+  }
+  if (filters.status) {
+    where.compliance_status = filters.status;
+  }
+  if (filters.contact_type) {
+    where.contact_type = filters.contact_type;
+  }
+  if (filters.prospect_id) {
+    where.prospect_id = filters.prospect_id;
+  }
+  if (filters.contacted_by) {
+    where.contacted_by = filters.contacted_by;
+  }
+
+  const rows = await ProspectContact.findAll({
+    where,
+    include: [
+      { model: Prospect, as: 'prospect', attributes: ['id', 'first_name', 'last_name', 'school_name', 'graduation_year'] },
+      { model: User, as: 'ContactedBy', attributes: ['id', 'first_name', 'last_name'] },
+      { model: User, as: 'LoggedBy', attributes: ['id', 'first_name', 'last_name'] },
+      { model: User, as: 'VoidedBy', attributes: ['id', 'first_name', 'last_name'] }
+    ],
+    order: [['contact_date', 'ASC'], ['id', 'ASC']]
+  });
+
+  const fullName = person => (person ? `${person.first_name} ${person.last_name}` : null);
+  const contacts = rows.map(row => ({
+    id: row.id,
+    contact_date: row.contact_date,
+    prospect_id: row.prospect_id,
+    prospect_name: fullName(row.prospect),
+    school_name: row.prospect ? row.prospect.school_name : null,
+    class_year: row.class_year,
+    contact_type: row.contact_type,
+    contact_type_label: CONTACT_TYPE_LABELS[row.contact_type],
+    period_type: row.period_type,
+    contacted_by: fullName(row.ContactedBy),
+    logged_by: fullName(row.LoggedBy),
+    location: row.location,
+    duration_minutes: row.duration_minutes,
+    notes: row.notes,
+    compliance_status: row.compliance_status,
+    compliance_issues: (row.compliance_issues || []).map(issue => issue.message).join('; '),
+    voided_at: row.voided_at,
+    voided_by: fullName(row.VoidedBy),
+    void_reason: row.void_reason
+  }));
+
+  const byType = {};
+  for (const contact of contacts) {
+    byType[contact.contact_type] = (byType[contact.contact_type] || 0) + 1;
+  }
+
+  return {
+    contacts,
+    summary: {
+      total: contacts.length,
+      warnings: contacts.filter(contact => contact.compliance_status === 'warning' && !contact.voided_at).length,
+      voided: contacts.filter(contact => contact.voided_at).length,
+      prospects: new Set(contacts.map(contact => contact.prospect_id)).size,
+      by_type: byType
+    }
+  };
+}
+
+module.exports = {
+  CONTACT_TYPES,
+  CONTACT_TYPE_LABELS,
+  PERIOD_TYPES,
+  CLASS_YEARS,
+  DEFAULT_CONTACT_RULES,
+  resolveContactRules,
+  classYearOn,
+  periodOn,
+  checkContact,
+  evaluateContact,
+  logContact,
+  voidContact,
+  getContactAudit
+};
@@ -0,0 +1,202 @@
+/**
+ * Refresh Token Service
+ *
+ * Issues and rotates the long-lived refresh tokens that keep short-lived access
+ * tokens (JWTs) renewed, so a coach is not signed out mid-game when an access token
+ * expires.
+ *
+ * - Refresh tokens are random opaque strings; only their SHA-256 hash is stored.
+ * - Every login starts a token family. Each exchange at /auth/refresh marks the
+ *   presented token used and issues a replacement in the same family (rotation).
+ * - Presenting a token that was already exchanged means it was copied, so the whole
+ *   family is revoked: its refresh tokens are marked revoked and its still-valid
+ *   access tokens are added to the TokenBlacklist.
+ *
+ * @module services/refreshTokenService
+ */
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { RefreshToken } = require('../models');
+const tokenBlacklistService = require('./tokenBlacklistService');
+
+/**
+ * Name of the httpOnly cookie carrying the refresh token
+ * @type {string}
+ */
+const REFRESH_COOKIE_NAME = 'refresh_token';
+
+/**
+ * Path the refresh cookie is scoped to, so it is only sent to the auth routes
+ * @type {string}
+ */
+const REFRESH_COOKIE_PATH = '/api/v1/auth';
+
+const DEFAULT_LIFETIME_DAYS = 30;
+
+/**
+ * Refresh token lifetime from REFRESH_TOKEN_EXPIRES_DAYS (default 30 days)
+ * @returns {number} Lifetime in milliseconds
+ */
+function getRefreshTokenLifetimeMs() {
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS, 10);
+  return (days > 0 ? days : DEFAULT_LIFETIME_DAYS) * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Hash a refresh token for storage and lookup
+ * @param {string} token
+ * @returns {string} Hex SHA-256 digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Issue a refresh token
+ *
+ * @param {number} userId
+ * @param {Object} [options]
+ * @param {string} [options.familyId] - Family to rotate within; a new family is started if omitted
+ * @param {string} [options.accessJti] - jti of the access token issued alongside
+ * @param {Date} [options.accessExpiresAt] - Expiry of that access token
+ * @param {string} [options.ipAddress]
+ * @returns {Promise<{token: string, record: Object}>} Plaintext token (returned once) and stored record
+ */
+async function issueRefreshToken(userId, options = {}) {
+  const token = crypto.randomBytes(48).toString('base64url');
+
+  const record = await RefreshToken.create({
+    user_id: userId,
+    family_id: options.familyId || crypto.randomUUID(),
+    token_hash: hashToken(token),
+    access_jti: options.accessJti || null,
+    access_expires_at: options.accessExpiresAt || null,
+    ip_address: options.ipAddress || null,
+    expires_at: new Date(Date.now() + getRefreshTokenLifetimeMs())
+  });
+
+  return { token, record };
+}
+
+/**
+ * Exchange a presented refresh token. A valid token is marked used in the same
+ * statement that checks it, so two concurrent exchanges cannot both succeed.
+ *
+ * @param {string} token - Refresh token from the client
+ * @returns {Promise<{status: string, record: Object|null}>} status is:
+ *   - 'valid': token accepted and marked used; issue a replacement in record.family_id
+ *   - 'reused': token was already exchanged; the caller must revoke the family
+ *   - 'invalid': unknown, expired or revoked token
+ */
+async function consumeRefreshToken(token) {
+  if (!token) {
+    return { status: 'invalid', record: null };
+  }
+
+  const record = await RefreshToken.findOne({ where: { token_hash: hashToken(token) } });
+
+  if (!record || record.revoked_at) {
+    return { status: 'invalid', record };
+  }
+  if (record.used_at) {
+    return { status: 'reused', record };
+  }
+  if (new Date(record.expires_at) <= new Date()) {
+    return { status: 'invalid', record };
+  }
+
+  const [claimed] = await RefreshToken.update(
+    { used_at: new Date() },
+    { where: { id: record.id, used_at: null, revoked_at: null } }
+  );
+
+  return { status: claimed ? 'valid' : 'reused', record };
+}
+
+/**
+ * Revoke every refresh token in a family and blacklist the family's access tokens
+ * that have not yet expired.
+ *
+ * @param {string} familyId
+ * @param {string} reason - Stored on the refresh tokens (e.g. reuse_detected, logout)
+ * @returns {Promise<number>} Number of refresh tokens revoked
+ */
+async function revokeFamily(familyId, reason) {
+  if (!familyId) {
+    return 0;
+  }
+
+  const tokens = await RefreshToken.findAll({ where: { family_id: familyId } });
+  const now = new Date();
+
+  for (const record of tokens) {
+    if (!record.access_jti || !record.access_expires_at || new Date(record.access_expires_at) <= now) {
+      continue;
+    }
+    // Skip access tokens already blacklisted (e.g. the current one on logout)
+    const alreadyBlacklisted = await tokenBlacklistService.isBlacklisted(record.access_jti);
+    if (!alreadyBlacklisted) {
+      await tokenBlacklistService.addToBlacklist(record.access_jti, record.user_id, record.access_expires_at, 'security_revoke');
+    }
+  }
+
+  const [count] = await RefreshToken.update(
+    { revoked_at: now, revoked_reason: reason },
+    { where: { family_id: familyId, revoked_at: null } }
+  );
+
+  return count;
+}
+
+/**
+ * Revoke all of a user's refresh tokens. Access tokens are expected to be covered by
+ * tokenBlacklistService.revokeAllUserTokens.
+ *
+ * @param {number} userId
+ * @param {string} reason
+ * @returns {Promise<number>} Number of refresh tokens revoked
+ */
+async function revokeAllForUser(userId, reason) {
+  const [count] = await RefreshToken.update(
+    { revoked_at: new Date(), revoked_reason: reason },
+    { where: { user_id: userId, revoked_at: null } }
+  );
+  return count;
+}
+
+/**
+ * Look up the family of a presented refresh token
+ * @param {string} token
+ * @returns {Promise<string|null>}
+ */
+async function getFamilyId(token) {
+  if (!token) {
+    return null;
+  }
+  const record = await RefreshToken.findOne({ where: { token_hash: hashToken(token) } });
+  return record ? record.family_id : null;
+}
+
+/**
+ * Delete refresh tokens that have expired
+ * @returns {Promise<number>} Number of rows deleted
+ */
+function cleanupExpiredRefreshTokens() {
+  return RefreshToken.destroy({
+    where: { expires_at: { [Op.lt]: new Date() } }
+  });
+}
+
+module.exports = {
+  REFRESH_COOKIE_NAME,
+  REFRESH_COOKIE_PATH,
+  getRefreshTokenLifetimeMs,
+  hashToken,
+  issueRefreshToken,
+  consumeRefreshToken,
+  revokeFamily,
+  revokeAllForUser,
+  getFamilyId,
+  cleanupExpiredRefreshTokens
+};
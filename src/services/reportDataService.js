@@ -0,0 +1,573 @@
+/**
+ * Report Data Service
+ *
+ * Builds printable, format-agnostic datasets for the report types defined on
+ * the Report model (player-performance, team-statistics, scouting-analysis,
+ * recruitment-pipeline). Each builder returns a "report document" that the
+ * export renderers (PDF, spreadsheet) can lay out without knowing anything
+ * about the underlying models:
+ *
+ *   {
+ *     type, title, subtitle,
+ *     summary: [{ label, value }],
+ *     tables: [{ title, columns: [{ key, label, format, align }], rows: [] }]
+ *   }
+ *
+ * Column formats: 'text', 'integer', 'decimal1', 'decimal2', 'avg' (.312 style), 'date'.
+ *
+ * @module services/reportDataService
+ */
+
+const { Op } = require('sequelize');
+const {
+  Game,
+  Player,
+  PlayerSeasonStats,
+  Prospect,
+  ProspectStageTransition,
+  ScoutingReport
+} = require('../models');
+const { PROSPECT_STATUSES, compileAnalytics } = require('./prospectPipelineService');
+
+/**
+ * Report types that can be rendered into an exported document.
+ * 'custom' reports have no fixed data source and are therefore excluded.
+ */
+const EXPORTABLE_REPORT_TYPES = [
+  'player-performance',
+  'team-statistics',
+  'scouting-analysis',
+  'recruitment-pipeline'
+];
+
+/**
+ * Convert a DECIMAL/string/number column value to a number (null when empty)
+ * @param {*} value - Raw value from a Sequelize instance
+ * @returns {number|null}
+ */
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const num = parseFloat(value);
+  return Number.isNaN(num) ? null : num;
+}
+
+/**
+ * Format a value for display according to a column format
+ * @param {*} value - Raw cell value
+ * @param {string} [format='text'] - Column format
+ * @returns {string} Display string ('-' for empty values)
+ */
+function formatValue(value, format = 'text') {
+  if (value === null || value === undefined || value === '') {
+    return '-';
+  }
+
+  const num = toNumber(value);
+  switch (format) {
+    case 'integer':
+      return num === null ? String(value) : String(Math.round(num));
+    case 'decimal1':
+      return num === null ? String(value) : num.toFixed(1);
+    case 'decimal2':
+      return num === null ? String(value) : num.toFixed(2);
+    case 'avg':
+      // Baseball convention: .312 rather than 0.312
+      return num === null ? String(value) : num.toFixed(3).replace(/^0(?=\.)/, '');
+    case 'date':
+      return new Date(value).toISOString().slice(0, 10);
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * Resolve the season to report on - the requested one, or the most recent season with stats
+ * @param {number} teamId - Team ID
+ * @param {string} [season] - Requested season
+ * @returns {Promise<string|null>}
+ */
+async function resolveSeason(teamId, season) {
+  if (season) {
+    return String(season);
+  }
+  const latest = await PlayerSeasonStats.findOne({
+    where: { team_id: teamId },
+    attributes: ['season'],
+    order: [['season', 'DESC']]
+  });
+  return latest ? latest.season : null;
+}
+
+/**
+ * Build the player performance report from season stats
+ * @param {Object} team - Team model instance
+ * @param {Object} filters - { season, position }
+ * @returns {Promise<Object>} Report document
+ */
+async function buildPlayerPerformance(team, filters) {
+  const season = await resolveSeason(team.id, filters.season);
+
+  const playerWhere = { team_id: team.id };
+  if (filters.position) {
+    playerWhere.position = filters.position;
+  }
+
+  const stats = season
+    ? await PlayerSeasonStats.findAll({
+      where: { team_id: team.id, season },
+      include: [{
+        model: Player,
+        as: 'player',
+        where: playerWhere,
+        attributes: ['id', 'first_name', 'last_name', 'position', 'jersey_number']
+      }]
+    })
+    : [];
+
+  const nameOf = (s) => `${s.player.first_name} ${s.player.last_name}`;
+
+  const hitters = stats
+    .filter(s => (s.at_bats || 0) > 0)
+    .sort((a, b) => (toNumber(b.batting_average) || 0) - (toNumber(a.batting_average) || 0))
+    .map(s => ({
+      jersey: s.player.jersey_number,
+      name: nameOf(s),
+      position: s.player.position,
+      games: s.games_played,
+      at_bats: s.at_bats,
+      hits: s.hits,
+      home_runs: s.home_runs,
+      rbi: s.rbi,
+      walks: s.walks,
+      strikeouts: s.strikeouts,
+      stolen_bases: s.stolen_bases,
+      avg: toNumber(s.batting_average),
+      obp: toNumber(s.on_base_percentage),
+      slg: toNumber(s.slugging_percentage),
+      ops: toNumber(s.ops)
+    }));
+
+  const pitchers = stats
+    .filter(s => (toNumber(s.innings_pitched) || 0) > 0)
+    .sort((a, b) => (toNumber(b.innings_pitched) || 0) - (toNumber(a.innings_pitched) || 0))
+    .map(s => ({
+      jersey: s.player.jersey_number,
+      name: nameOf(s),
+      appearances: s.pitching_appearances,
+      starts: s.pitching_starts,
+      wins: s.pitching_wins,
+      losses: s.pitching_losses,
+      saves: s.saves,
+      innings_pitched: toNumber(s.innings_pitched),
+      strikeouts: s.strikeouts_pitching,
+      walks: s.walks_allowed,
+      era: toNumber(s.era),
+      whip: toNumber(s.whip)
+    }));
+
+  const fielders = stats
+    .filter(s => (s.putouts || 0) + (s.assists || 0) + (s.errors || 0) > 0)
+    .sort((a, b) => nameOf(a).localeCompare(nameOf(b)))
+    .map(s => ({
+      jersey: s.player.jersey_number,
+      name: nameOf(s),
+      position: s.player.position,
+      games: s.fielding_games,
+      putouts: s.putouts,
+      assists: s.assists,
+      errors: s.errors,
+      fielding_pct: toNumber(s.fielding_percentage)
+    }));
+
+  return {
+    type: 'player-performance',
+    title: 'Player Performance Report',
+    subtitle: season ? `Season ${season}` : 'No season statistics available',
+    summary: [
+      { label: 'Season', value: season || '-' },
+      { label: 'Hitters', value: hitters.length },
+      { label: 'Pitchers', value: pitchers.length },
+      { label: 'Position filter', value: filters.position || 'All' }
+    ],
+    tables: [
+      {
+        title: 'Batting',
+        columns: [
+          { key: 'jersey', label: '#', format: 'text' },
+          { key: 'name', label: 'Player', format: 'text' },
+          { key: 'position', label: 'Pos', format: 'text' },
+          { key: 'games', label: 'G', format: 'integer' },
+          { key: 'at_bats', label: 'AB', format: 'integer' },
+          { key: 'hits', label: 'H', format: 'integer' },
+          { key: 'home_runs', label: 'HR', format: 'integer' },
+          { key: 'rbi', label: 'RBI', format: 'integer' },
+          { key: 'walks', label: 'BB', format: 'integer' },
+          { key: 'strikeouts', label: 'K', format: 'integer' },
+          { key: 'stolen_bases', label: 'SB', format: 'integer' },
+          { key: 'avg', label: 'AVG', format: 'avg' },
+          { key: 'obp', label: 'OBP', format: 'avg' },
+          { key: 'slg', label: 'SLG', format: 'avg' },
+          { key: 'ops', label: 'OPS', format: 'avg' }
+        ],
+        rows: hitters
+      },
+      {
+        title: 'Pitching',
+        columns: [
+          { key: 'jersey', label: '#', format: 'text' },
+          { key: 'name', label: 'Player', format: 'text' },
+          { key: 'appearances', label: 'APP', format: 'integer' },
+          { key: 'starts', label: 'GS', format: 'integer' },
+          { key: 'wins', label: 'W', format: 'integer' },
+          { key: 'losses', label: 'L', format: 'integer' },
+          { key: 'saves', label: 'SV', format: 'integer' },
+          { key: 'innings_pitched', label: 'IP', format: 'decimal1' },
+          { key: 'strikeouts', label: 'K', format: 'integer' },
+          { key: 'walks', label: 'BB', format: 'integer' },
+          { key: 'era', label: 'ERA', format: 'decimal2' },
+          { key: 'whip', label: 'WHIP', format: 'decimal2' }
+        ],
+        rows: pitchers
+      },
+      {
+        title: 'Fielding',
+        columns: [
+          { key: 'jersey', label: '#', format: 'text' },
+          { key: 'name', label: 'Player', format: 'text' },
+          { key: 'position', label: 'Pos', format: 'text' },
+          { key: 'games', label: 'G', format: 'integer' },
+          { key: 'putouts', label: 'PO', format: 'integer' },
+          { key: 'assists', label: 'A', format: 'integer' },
+          { key: 'errors', label: 'E', format: 'integer' },
+          { key: 'fielding_pct', label: 'FLD%', format: 'avg' }
+        ],
+        rows: fielders
+      }
+    ]
+  };
+}
+
+/**
+ * Build the team statistics report from game results
+ * @param {Object} team - Team model instance
+ * @param {Object} filters - { season }
+ * @returns {Promise<Object>} Report document
+ */
+async function buildTeamStatistics(team, filters) {
+  const where = { team_id: team.id, result: { [Op.ne]: null } };
+  if (filters.season) {
+    where.season = filters.season;
+  }
+
+  const games = await Game.findAll({
+    where,
+    order: [['game_date', 'ASC']]
+  });
+
+  const record = (list) => {
+    const wins = list.filter(g => g.result === 'W').length;
+    const losses = list.filter(g => g.result === 'L').length;
+    const ties = list.filter(g => g.result === 'T').length;
+    return ties > 0 ? `${wins}-${losses}-${ties}` : `${wins}-${losses}`;
+  };
+
+  const runsScored = games.reduce((sum, g) => sum + (g.team_score || 0), 0);
+  const runsAllowed = games.reduce((sum, g) => sum + (g.opponent_score || 0), 0);
+  const wins = games.filter(g => g.result === 'W').length;
+
+  return {
+    type: 'team-statistics',
+    title: 'Team Statistics Report',
+    subtitle: filters.season ? `Season ${filters.season}` : 'All seasons',
+    summary: [
+      { label: 'Overall', value: record(games) },
+      { label: 'Home', value: record(games.filter(g => g.home_away === 'home' && !g.is_neutral)) },
+      { label: 'Away', value: record(games.filter(g => g.home_away === 'away' && !g.is_neutral)) },
+      { label: 'Neutral', value: record(games.filter(g => g.is_neutral)) },
+      { label: 'Conference', value: record(games.filter(g => g.is_conference)) },
+      { label: 'Win %', value: games.length > 0 ? formatValue(wins / games.length, 'avg') : '-' },
+      { label: 'Runs scored', value: runsScored },
+      { label: 'Runs allowed', value: runsAllowed },
+      { label: 'Run differential', value: runsScored - runsAllowed }
+    ],
+    tables: [
+      {
+        title: 'Game Results',
+        columns: [
+          { key: 'game_date', label: 'Date', format: 'date' },
+          { key: 'opponent', label: 'Opponent', format: 'text' },
+          { key: 'site', label: 'Site', format: 'text' },
+          { key: 'result', label: 'Result', format: 'text' },
+          { key: 'team_score', label: 'RS', format: 'integer' },
+          { key: 'opponent_score', label: 'RA', format: 'integer' },
+          { key: 'conference', label: 'Conf', format: 'text' }
+        ],
+        rows: games.map(g => ({
+          game_date: g.game_date,
+          opponent: g.opponent,
+          site: g.is_neutral ? 'Neutral' : (g.home_away === 'home' ? 'Home' : 'Away'),
+          result: g.result,
+          team_score: g.team_score,
+          opponent_score: g.opponent_score,
+          conference: g.is_conference ? 'Yes' : ''
+        }))
+      }
+    ]
+  };
+}
+
+/**
+ * Build the scouting analysis report for players and prospects
+ * @param {Object} team - Team model instance
+ * @param {Object} filters - { start_date, end_date }
+ * @returns {Promise<Object>} Report document
+ */
+async function buildScoutingAnalysis(team, filters) {
+  // Team isolation: only reports on this team's players or prospects
+  const where = {
+    [Op.or]: [
+      { '$Player.team_id$': team.id },
+      { '$Prospect.team_id$': team.id }
+    ]
+  };
+  if (filters.start_date && filters.end_date) {
+    where.report_date = { [Op.between]: [filters.start_date, filters.end_date] };
+  }
+
+  const reports = await ScoutingReport.findAll({
+    where,
+    include: [
+      {
+        model: Player,
+        required: false,
+        where: { team_id: team.id },
+        attributes: ['id', 'first_name', 'last_name', 'position']
+      },
+      {
+        model: Prospect,
+        required: false,
+        where: { team_id: team.id },
+        attributes: ['id', 'first_name', 'last_name', 'primary_position', 'school_name', 'graduation_year']
+      }
+    ],
+    order: [['report_date', 'DESC']]
+  });
+
+  const rows = reports.map(r => {
+    const subject = r.Player || r.Prospect;
+    return {
+      report_date: r.report_date,
+      name: `${subject.first_name} ${subject.last_name}`,
+      subject: r.Player ? 'Player' : 'Prospect',
+      position: r.Player ? r.Player.position : r.Prospect.primary_position,
+      school: r.Prospect ? r.Prospect.school_name : null,
+      overall_present: r.overall_present,
+      overall_future: r.overall_future,
+      event_type: r.event_type
+    };
+  });
+
+  const futureGrades = rows.map(r => r.overall_future).filter(g => g !== null && g !== undefined);
+  const avgFuture = futureGrades.length > 0
+    ? futureGrades.reduce((sum, g) => sum + g, 0) / futureGrades.length
+    : null;
+
+  const byPosition = {};
+  rows.forEach(r => {
+    const key = r.position || 'Unknown';
+    byPosition[key] = (byPosition[key] || 0) + 1;
+  });
+
+  return {
+    type: 'scouting-analysis',
+    title: 'Scouting Analysis Report',
+    subtitle: filters.start_date && filters.end_date
+      ? `${filters.start_date} to ${filters.end_date}`
+      : 'All reports',
+    summary: [
+      { label: 'Total reports', value: rows.length },
+      { label: 'Player reports', value: rows.filter(r => r.subject === 'Player').length },
+      { label: 'Prospect reports', value: rows.filter(r => r.subject === 'Prospect').length },
+      { label: 'Avg future grade', value: avgFuture === null ? '-' : avgFuture.toFixed(1) }
+    ],
+    tables: [
+      {
+        title: 'Reports by Position',
+        columns: [
+          { key: 'position', label: 'Position', format: 'text' },
+          { key: 'count', label: 'Reports', format: 'integer' }
+        ],
+        rows: Object.keys(byPosition).sort().map(position => ({ position, count: byPosition[position] }))
+      },
+      {
+        title: 'Scouting Reports',
+        columns: [
+          { key: 'report_date', label: 'Date', format: 'date' },
+          { key: 'name', label: 'Name', format: 'text' },
+          { key: 'subject', label: 'Type', format: 'text' },
+          { key: 'position', label: 'Pos', format: 'text' },
+          { key: 'school', label: 'School', format: 'text' },
+          { key: 'overall_present', label: 'OFP Now', format: 'integer' },
+          { key: 'overall_future', label: 'OFP Future', format: 'integer' },
+          { key: 'event_type', label: 'Event', format: 'text' }
+        ],
+        rows
+      }
+    ]
+  };
+}
+
+/**
+ * Build the recruitment pipeline report from prospects
+ * @param {Object} team - Team model instance
+ * @param {Object} filters - { graduation_year, position }
+ * @returns {Promise<Object>} Report document
+ */
+async function buildRecruitmentPipeline(team, filters) {
+  const where = { team_id: team.id };
+  if (filters.graduation_year) {
+    where.graduation_year = filters.graduation_year;
+  }
+  if (filters.position) {
+    where.primary_position = filters.position;
+  }
+
+  const prospects = await Prospect.findAll({
+    where,
+    order: [['last_name', 'ASC'], ['first_name', 'ASC']]
+  });
+
+  const counts = {};
+  PROSPECT_STATUSES.forEach(status => {
+    counts[status] = 0;
+  });
+  prospects.forEach(p => {
+    counts[p.status] = (counts[p.status] || 0) + 1;
+  });
+
+  const transitions = prospects.length > 0
+    ? await ProspectStageTransition.findAll({
+      where: { team_id: team.id, prospect_id: prospects.map(p => p.id) },
+      attributes: ['id', 'prospect_id', 'from_status', 'to_status', 'created_at']
+    })
+    : [];
+  const analytics = compileAnalytics(prospects, transitions);
+  const funnelByStage = {};
+  analytics.funnel.forEach(row => {
+    funnelByStage[row.stage] = row;
+  });
+
+  return {
+    type: 'recruitment-pipeline',
+    title: 'Recruitment Pipeline Report',
+    subtitle: filters.graduation_year ? `Class of ${filters.graduation_year}` : 'All classes',
+    summary: [
+      { label: 'Total prospects', value: prospects.length },
+      { label: 'Offered', value: counts.offered },
+      { label: 'Committed', value: counts.committed },
+      { label: 'Signed', value: counts.signed },
+      { label: 'Avg days offers open', value: analytics.offers.open.average_days ?? '-' }
+    ],
+    tables: [
+      {
+        title: 'Pipeline by Stage',
+        columns: [
+          { key: 'stage', label: 'Stage', format: 'text' },
+          { key: 'count', label: 'Prospects', format: 'integer' },
+          { key: 'reached', label: 'Reached', format: 'integer' },
+          { key: 'conversion', label: 'Conv %', format: 'decimal1' },
+          { key: 'avg_days', label: 'Avg Days', format: 'decimal1' },
+          { key: 'waiting_days', label: 'Current Wait', format: 'decimal1' }
+        ],
+        rows: PROSPECT_STATUSES.map(status => {
+          const funnel = funnelByStage[status];
+          const time = analytics.time_in_stage.find(row => row.stage === status);
+          return {
+            stage: status,
+            count: counts[status],
+            reached: funnel ? funnel.reached : null,
+            conversion: funnel && funnel.conversion_from_previous !== null ? funnel.conversion_from_previous * 100 : null,
+            avg_days: time ? time.completed.average_days : null,
+            waiting_days: time ? time.current.average_days : null
+          };
+        })
+      },
+      {
+        title: 'Open Offers',
+        columns: [
+          { key: 'name', label: 'Name', format: 'text' },
+          { key: 'position', label: 'Pos', format: 'text' },
+          { key: 'school', label: 'School', format: 'text' },
+          { key: 'graduation_year', label: 'Class', format: 'text' },
+          { key: 'offered_at', label: 'Offered', format: 'date' },
+          { key: 'days_open', label: 'Days Open', format: 'decimal1' }
+        ],
+        rows: analytics.offers.open.prospects.map(offer => ({
+          name: offer.name,
+          position: offer.primary_position,
+          school: offer.school_name,
+          graduation_year: offer.graduation_year,
+          offered_at: offer.offered_at,
+          days_open: offer.days_open
+        }))
+      },
+      {
+        title: 'Prospects',
+        columns: [
+          { key: 'name', label: 'Name', format: 'text' },
+          { key: 'position', label: 'Pos', format: 'text' },
+          { key: 'school', label: 'School', format: 'text' },
+          { key: 'state', label: 'State', format: 'text' },
+          { key: 'graduation_year', label: 'Class', format: 'text' },
+          { key: 'status', label: 'Stage', format: 'text' },
+          { key: 'fastball_velocity', label: 'FB', format: 'integer' },
+          { key: 'exit_velocity', label: 'EV', format: 'integer' },
+          { key: 'sixty_yard_dash', label: '60yd', format: 'decimal2' }
+        ],
+        rows: prospects.map(p => ({
+          name: `${p.first_name} ${p.last_name}`,
+          position: p.primary_position,
+          school: p.school_name,
+          state: p.state,
+          graduation_year: p.graduation_year,
+          status: p.status,
+          fastball_velocity: p.fastball_velocity,
+          exit_velocity: p.exit_velocity,
+          sixty_yard_dash: toNumber(p.sixty_yard_dash)
+        }))
+      }
+    ]
+  };
+}
+
+const BUILDERS = {
+  'player-performance': buildPlayerPerformance,
+  'team-statistics': buildTeamStatistics,
+  'scouting-analysis': buildScoutingAnalysis,
+  'recruitment-pipeline': buildRecruitmentPipeline
+};
+
+/**
+ * Build a report document for the given type
+ * @param {string} type - One of EXPORTABLE_REPORT_TYPES
+ * @param {Object} team - Team model instance (scopes every query)
+ * @param {Object} [filters={}] - Type-specific filters
+ * @returns {Promise<Object>} Report document
+ * @throws {Error} If the report type is not exportable
+ */
+function buildReportData(type, team, filters = {}) {
+  const builder = BUILDERS[type];
+  if (!builder) {
+    throw new Error(`Unsupported report type: ${type}`);
+  }
+  return builder(team, filters || {});
+}
+
+module.exports = {
+  EXPORTABLE_REPORT_TYPES,
+  buildReportData,
+  formatValue,
+  toNumber
+};
@@ -0,0 +1,70 @@
+/**
+ * Report Excel Service
+ *
+ * Turns report documents produced by reportDataService into multi-sheet .xlsx
+ * workbooks: a summary sheet with the report's key figures followed by one
+ * sheet per report table (e.g. Batting, Pitching, Fielding). Numeric columns
+ * are written as typed cells so they sort and aggregate correctly in Excel.
+ *
+ * @module services/reportExcelService
+ */
+
+const { buildWorkbook } = require('../utils/xlsxWriter');
+
+/**
+ * Render a report document into an .xlsx workbook
+ *
+ * @param {Object} report - Report document from reportDataService.buildReportData
+ * @param {Object} options
+ * @param {Object} options.team - Team (name)
+ * @param {string} [options.sheetName='Summary'] - Name for the summary (first) worksheet
+ * @param {boolean} [options.includeHeaders=true] - Write header rows on data sheets
+ * @param {boolean} [options.autoFilter=true] - Add auto-filters to data sheets
+ * @returns {Buffer} .xlsx file contents
+ */
+function renderReportWorkbook(report, options) {
+  const { team } = options;
+  const includeHeaders = options.includeHeaders !== false;
+  const autoFilter = options.autoFilter !== false;
+
+  const summaryRows = [
+    { label: 'Team', value: team.program_name || team.name },
+    { label: 'Report', value: report.title },
+    { label: 'Scope', value: report.subtitle || '' },
+    { label: 'Generated', value: new Date().toISOString() },
+    ...(report.summary || [])
+  ];
+
+  const sheets = [
+    {
+      name: options.sheetName || 'Summary',
+      columns: [
+        { key: 'label', label: 'Metric', format: 'text' },
+        { key: 'value', label: 'Value', format: 'auto' }
+      ],
+      rows: summaryRows,
+      includeHeaders: true,
+      autoFilter: false
+    },
+    ...(report.tables || []).map(table => ({
+      name: table.title,
+      columns: table.columns.map(col => ({
+        key: col.key,
+        label: col.label,
+        format: col.format
+      })),
+      rows: table.rows,
+      includeHeaders,
+      autoFilter
+    }))
+  ];
+
+  return buildWorkbook(sheets, {
+    title: `${team.name} - ${report.title}`,
+    creator: team.name
+  });
+}
+
+module.exports = {
+  renderReportWorkbook
+};
@@ -0,0 +1,368 @@
+/**
+ * Report PDF Service
+ *
+ * Renders report documents produced by reportDataService into branded PDFs
+ * using pdfkit. Branding comes from the team record: the header band and
+ * table headers use Team.primary_color and the header carries the team's
+ * school logo when one is available as PNG or JPEG.
+ *
+ * @module services/reportPdfService
+ */
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const PDFDocument = require('pdfkit');
+const { formatValue } = require('./reportDataService');
+
+const MARGIN = 40;
+const HEADER_HEIGHT = 70;
+const ROW_HEIGHT = 16;
+const FOOTER_HEIGHT = 20;
+const DEFAULT_PRIMARY_COLOR = '#1F2937';
+const ZEBRA_COLOR = '#F3F4F6';
+const BORDER_COLOR = '#D1D5DB';
+const UPLOADS_ROOT = path.join(__dirname, '../..');
+
+// Wider columns for free-text fields, everything else is a compact stat column
+const WIDE_COLUMNS = ['name', 'opponent', 'school', 'event_type'];
+
+/**
+ * Normalize a team color, falling back to the default brand color
+ * @param {string} color - Hex color (#RRGGBB)
+ * @returns {string}
+ */
+function normalizeColor(color) {
+  return /^#[0-9A-F]{6}$/i.test(color || '') ? color : DEFAULT_PRIMARY_COLOR;
+}
+
+/**
+ * Pick black or white text for readability on the given background
+ * @param {string} hexColor - Background color (#RRGGBB)
+ * @returns {string} '#000000' or '#FFFFFF'
+ */
+function contrastColor(hexColor) {
+  const hex = normalizeColor(hexColor).slice(1);
+  const r = parseInt(hex.slice(0, 2), 16);
+  const g = parseInt(hex.slice(2, 4), 16);
+  const b = parseInt(hex.slice(4, 6), 16);
+  // ITU-R BT.601 perceived luminance
+  const luminance = (0.299 * r + 0.587 * g + 0.114 * b) / 255;
+  return luminance > 0.6 ? '#000000' : '#FFFFFF';
+}
+
+/**
+ * Check whether a buffer holds an image format pdfkit can embed (PNG or JPEG)
+ * @param {Buffer} buffer
+ * @returns {boolean}
+ */
+function isEmbeddableImage(buffer) {
+  if (!buffer || buffer.length < 4) {
+    return false;
+  }
+  const isPng = buffer[0] === 0x89 && buffer[1] === 0x50 && buffer[2] === 0x4E && buffer[3] === 0x47;
+  const isJpeg = buffer[0] === 0xFF && buffer[1] === 0xD8;
+  return isPng || isJpeg;
+}
+
+/**
+ * Load a team logo for embedding. Supports internal upload paths
+ * (/uploads/logos/...) and absolute http(s) URLs. Never throws - a missing or
+ * unsupported logo just renders the header without it.
+ * @param {string} logoUrl - Team.school_logo_url
+ * @returns {Promise<Buffer|null>}
+ */
+async function loadLogo(logoUrl) {
+  if (!logoUrl) {
+    return null;
+  }
+
+  try {
+    let buffer;
+    if (/^https?:\/\//i.test(logoUrl)) {
+      const response = await axios.get(logoUrl, { responseType: 'arraybuffer', timeout: 5000 });
+      buffer = Buffer.from(response.data);
+    } else {
+      const localPath = path.normalize(path.join(UPLOADS_ROOT, logoUrl));
+      // Security: only read files inside the uploads directory
+      if (!localPath.startsWith(path.join(UPLOADS_ROOT, 'uploads'))) {
+        return null;
+      }
+      buffer = await fs.promises.readFile(localPath);
+    }
+    return isEmbeddableImage(buffer) ? buffer : null;
+  } catch (error) {
+    console.error(`[ReportPdf] Could not load team logo ${logoUrl}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Draw the branded header band at the top of the current page
+ * @param {PDFDocument} doc
+ * @param {Object} report - Report document
+ * @param {Object} branding - { teamName, primaryColor, logo }
+ */
+function drawHeader(doc, report, branding) {
+  const width = doc.page.width;
+  const textColor = contrastColor(branding.primaryColor);
+
+  doc.save();
+  doc.rect(0, 0, width, HEADER_HEIGHT).fill(branding.primaryColor);
+  doc.restore();
+
+  let textX = MARGIN;
+  if (branding.logo) {
+    try {
+      doc.image(branding.logo, MARGIN, 10, { fit: [50, 50] });
+      textX = MARGIN + 60;
+    } catch (error) {
+      // Corrupt image data - render the header without the logo
+      console.error('[ReportPdf] Could not embed team logo:', error.message);
+    }
+  }
+
+  doc.fillColor(textColor).font('Helvetica-Bold').fontSize(16)
+    .text(branding.teamName, textX, 16, { width: width - textX - 180, lineBreak: false, ellipsis: true });
+  doc.font('Helvetica').fontSize(11)
+    .text(report.title, textX, 38, { width: width - textX - 180, lineBreak: false, ellipsis: true });
+  doc.fontSize(8)
+    .text(`Generated ${new Date().toISOString().slice(0, 16).replace('T', ' ')} UTC`, width - MARGIN - 170, 20, {
+      width: 170,
+      align: 'right'
+    });
+
+  doc.fillColor('#000000');
+  doc.x = MARGIN;
+  doc.y = HEADER_HEIGHT + 15;
+}
+
+/**
+ * Draw the summary key figures as a grid of label/value boxes
+ * @param {PDFDocument} doc
+ * @param {Array<Object>} summary - [{ label, value }]
+ * @param {string} primaryColor
+ */
+function drawSummary(doc, summary, primaryColor) {
+  if (!summary || summary.length === 0) {
+    return;
+  }
+
+  const perRow = 4;
+  const gap = 8;
+  const contentWidth = doc.page.width - MARGIN * 2;
+  const boxWidth = (contentWidth - gap * (perRow - 1)) / perRow;
+  const boxHeight = 36;
+  let y = doc.y;
+
+  summary.forEach((item, index) => {
+    const col = index % perRow;
+    if (col === 0 && index > 0) {
+      y += boxHeight + gap;
+    }
+    const x = MARGIN + col * (boxWidth + gap);
+
+    doc.save();
+    doc.lineWidth(0.5).rect(x, y, boxWidth, boxHeight).stroke(BORDER_COLOR);
+    doc.restore();
+
+    doc.fillColor('#6B7280').font('Helvetica').fontSize(7)
+      .text(String(item.label).toUpperCase(), x + 6, y + 5, { width: boxWidth - 12, lineBreak: false, ellipsis: true });
+    doc.fillColor(primaryColor).font('Helvetica-Bold').fontSize(13)
+      .text(String(item.value ?? '-'), x + 6, y + 16, { width: boxWidth - 12, lineBreak: false, ellipsis: true });
+  });
+
+  doc.fillColor('#000000');
+  doc.x = MARGIN;
+  doc.y = y + boxHeight + 18;
+}
+
+/**
+ * Compute column widths proportionally, giving free-text columns more room
+ * @param {Array<Object>} columns
+ * @param {number} totalWidth
+ * @returns {Array<number>}
+ */
+function computeColumnWidths(columns, totalWidth) {
+  const weights = columns.map(c => (WIDE_COLUMNS.includes(c.key) ? 3.5 : 1));
+  const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+  return weights.map(w => (w / totalWeight) * totalWidth);
+}
+
+/**
+ * Draw one table row of cells
+ * @param {PDFDocument} doc
+ * @param {Array<string>} cells - Display strings
+ * @param {Array<Object>} columns
+ * @param {Array<number>} widths
+ * @param {number} y
+ */
+function drawRowCells(doc, cells, columns, widths, y) {
+  let x = MARGIN;
+  cells.forEach((cell, i) => {
+    const align = columns[i].align || (columns[i].format === 'text' ? 'left' : 'right');
+    doc.text(cell, x + 3, y + 4, {
+      width: widths[i] - 6,
+      height: ROW_HEIGHT - 4,
+      align,
+      lineBreak: false,
+      ellipsis: true
+    });
+    x += widths[i];
+  });
+}
+
+/**
+ * Draw a data table, repeating its header row on every page it spans
+ * @param {PDFDocument} doc
+ * @param {Object} table - { title, columns, rows }
+ * @param {Object} context - { report, branding }
+ */
+function drawTable(doc, table, context) {
+  const { branding } = context;
+  const contentWidth = doc.page.width - MARGIN * 2;
+  const widths = computeColumnWidths(table.columns, contentWidth);
+  const bottomLimit = () => doc.page.height - MARGIN - FOOTER_HEIGHT;
+  const headerTextColor = contrastColor(branding.primaryColor);
+
+  const newPage = () => {
+    doc.addPage();
+    drawHeader(doc, context.report, branding);
+  };
+
+  const drawTableHeader = () => {
+    const y = doc.y;
+    doc.save();
+    doc.rect(MARGIN, y, contentWidth, ROW_HEIGHT).fill(branding.primaryColor);
+    doc.restore();
+    doc.fillColor(headerTextColor).font('Helvetica-Bold').fontSize(8);
+    drawRowCells(doc, table.columns.map(c => c.label), table.columns, widths, y);
+    doc.y = y + ROW_HEIGHT;
+  };
+
+  // Keep the title together with the header and at least one row
+  if (doc.y + ROW_HEIGHT * 3 + 20 > bottomLimit()) {
+    newPage();
+  }
+
+  doc.fillColor(branding.primaryColor).font('Helvetica-Bold').fontSize(12)
+    .text(table.title, MARGIN, doc.y);
+  doc.moveDown(0.3);
+
+  if (!table.rows || table.rows.length === 0) {
+    doc.fillColor('#6B7280').font('Helvetica-Oblique').fontSize(9)
+      .text('No data available', MARGIN, doc.y);
+    doc.fillColor('#000000');
+    doc.moveDown(1.5);
+    return;
+  }
+
+  drawTableHeader();
+
+  table.rows.forEach((row, index) => {
+    if (doc.y + ROW_HEIGHT > bottomLimit()) {
+      newPage();
+      drawTableHeader();
+    }
+
+    const y = doc.y;
+    if (index % 2 === 1) {
+      doc.save();
+      doc.rect(MARGIN, y, contentWidth, ROW_HEIGHT).fill(ZEBRA_COLOR);
+      doc.restore();
+    }
+
+    doc.fillColor('#111827').font('Helvetica').fontSize(8);
+    drawRowCells(doc, table.columns.map(c => formatValue(row[c.key], c.format)), table.columns, widths, y);
+    doc.y = y + ROW_HEIGHT;
+  });
+
+  doc.save();
+  doc.lineWidth(0.5).moveTo(MARGIN, doc.y).lineTo(MARGIN + contentWidth, doc.y).stroke(BORDER_COLOR);
+  doc.restore();
+
+  doc.fillColor('#000000');
+  doc.x = MARGIN;
+  doc.moveDown(1.5);
+}
+
+/**
+ * Stamp "Page X of Y" footers on every buffered page
+ * @param {PDFDocument} doc
+ * @param {string} teamName
+ */
+function drawFooters(doc, teamName) {
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    // Footer sits inside the bottom margin; drop the margin so pdfkit doesn't paginate
+    const bottomMargin = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    doc.fillColor('#6B7280').font('Helvetica').fontSize(7)
+      .text(
+        `${teamName} - Confidential - Page ${i + 1} of ${range.count}`,
+        MARGIN,
+        doc.page.height - MARGIN + 10,
+        { width: doc.page.width - MARGIN * 2, align: 'center', lineBreak: false }
+      );
+    doc.page.margins.bottom = bottomMargin;
+  }
+}
+
+/**
+ * Render a report document into a PDF.
+ * The returned document has already been finalized (doc.end() called); pipe it
+ * to the response or another writable stream to consume it.
+ *
+ * @param {Object} report - Report document from reportDataService.buildReportData
+ * @param {Object} options
+ * @param {Object} options.team - Team (name, primary_color)
+ * @param {Buffer|null} [options.logo] - PNG/JPEG logo buffer from loadLogo
+ * @param {string} [options.orientation='portrait'] - 'portrait' or 'landscape'
+ * @param {string} [options.pageSize='LETTER'] - pdfkit page size (LETTER, A4, LEGAL...)
+ * @returns {PDFDocument} Readable stream of PDF bytes
+ */
+function renderReportPdf(report, options) {
+  const { team, logo = null } = options;
+  const orientation = options.orientation === 'landscape' ? 'landscape' : 'portrait';
+  const size = String(options.pageSize || 'LETTER').toUpperCase();
+
+  const doc = new PDFDocument({
+    size,
+    layout: orientation,
+    margin: MARGIN,
+    bufferPages: true,
+    info: {
+      Title: `${team.name} - ${report.title}`,
+      Author: team.name,
+      Subject: report.type
+    }
+  });
+
+  const branding = {
+    teamName: team.program_name || team.name,
+    primaryColor: normalizeColor(team.primary_color),
+    logo
+  };
+
+  drawHeader(doc, report, branding);
+
+  if (report.subtitle) {
+    doc.fillColor('#374151').font('Helvetica').fontSize(10).text(report.subtitle, MARGIN, doc.y);
+    doc.moveDown(0.8);
+  }
+
+  drawSummary(doc, report.summary, branding.primaryColor);
+  (report.tables || []).forEach(table => drawTable(doc, table, { report, branding }));
+  drawFooters(doc, branding.teamName);
+
+  doc.end();
+  return doc;
+}
+
+module.exports = {
+  loadLogo,
+  renderReportPdf,
+  contrastColor,
+  normalizeColor
+};
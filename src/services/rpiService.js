@@ -0,0 +1,521 @@
+/**
+ * RPI Service
+ *
+ * Ratings Percentage Index and strength of schedule for a team's season, using the
+ * NCAA baseball formula:
+ *
+ *   RPI = 0.25 * WP + 0.50 * OWP + 0.25 * OOWP
+ *
+ * - WP: the team's winning percentage with the home/away adjustment: a home win
+ *   counts 0.7 and a road win 1.3, a home loss 1.3 and a road loss 0.7; neutral-site
+ *   games count 1. Ties count half a win and half a loss.
+ * - OWP: the average, per game played, of each opponent's (unweighted) winning
+ *   percentage in its games against everyone else.
+ * - OOWP: the average, per game played, of each opponent's OWP.
+ * - SOS: (2 * OWP + OOWP) / 3, the schedule part of the RPI.
+ *
+ * Opponent records come from the games synced into this system: every game of every
+ * team in the team's division for the season. A game stored by both teams is
+ * counted once. Opponents that are not teams here get a record from the games other
+ * teams here played against them, so their records (and the rank) are only as
+ * complete as the league data; coverage in the result says how much was known.
+ * Opponent names are matched to teams by name or program name after normalizing
+ * case and punctuation. Scrimmages, cancelled and postponed games are left out.
+ *
+ * Remaining (scheduled) games are projected: the RPI after a win and after a loss in
+ * each, and the season-end RPI if the team wins out, loses out, or wins each game
+ * with its log5 probability.
+ *
+ * @module services/rpiService
+ */
+
+const { Op } = require('sequelize');
+const { Game, Team } = require('../models');
+
+/**
+ * Weights of the RPI components
+ * @type {{wp: number, owp: number, oowp: number}}
+ */
+const RPI_WEIGHTS = { wp: 0.25, owp: 0.5, oowp: 0.25 };
+
+/**
+ * Weight of a win or loss in the team's own WP, by site
+ * @type {Object<string, Object<string, number>>}
+ */
+const SITE_WEIGHTS = {
+  win: { home: 0.7, away: 1.3, neutral: 1 },
+  loss: { home: 1.3, away: 0.7, neutral: 1 }
+};
+
+/**
+ * Teams with fewer games are not ranked
+ * @type {number}
+ */
+const MIN_RANKED_GAMES = 5;
+
+/**
+ * Normalize a team name for matching ("The University of X" and "x" match)
+ * @param {string|null} name
+ * @returns {string}
+ */
+function normalizeTeamName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9 ]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^the /, '')
+    .replace(/^university of /, '');
+}
+
+/**
+ * Round a rating to four decimals
+ * @param {number|null} value
+ * @returns {number|null}
+ */
+function round4(value) {
+  return value === null || value === undefined ? null : Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Outcome of a game for the team that stored it
+ * @param {Object} game - Game
+ * @returns {{wins: number, losses: number}|null} Null when the game has no result
+ */
+function outcomeOf(game) {
+  let result = game.result;
+  if (!result && game.team_score !== null && game.team_score !== undefined &&
+      game.opponent_score !== null && game.opponent_score !== undefined) {
+    result = game.team_score > game.opponent_score ? 'W' : game.team_score < game.opponent_score ? 'L' : 'T';
+  }
+  if (result === 'W') {
+    return { wins: 1, losses: 0 };
+  }
+  if (result === 'L') {
+    return { wins: 0, losses: 1 };
+  }
+  if (result === 'T') {
+    return { wins: 0.5, losses: 0.5 };
+  }
+  return null;
+}
+
+/**
+ * Site of a game for the team that stored it
+ * @param {Object} game - Game
+ * @returns {string} 'home', 'away' or 'neutral'
+ */
+function siteOf(game) {
+  return game.is_neutral ? 'neutral' : game.home_away;
+}
+
+/**
+ * The other team's site
+ * @param {string} site
+ * @returns {string}
+ */
+function oppositeSite(site) {
+  return site === 'home' ? 'away' : site === 'away' ? 'home' : 'neutral';
+}
+
+/**
+ * Resolves team keys: teams stored here are `team:<id>`, anyone else `name:<normalized name>`
+ * @param {Array<Object>} teams - Teams with id, name and program_name
+ * @returns {{resolve: Function, keyOf: Function, names: Map<string, string>}}
+ */
+function createTeamResolver(teams) {
+  const aliases = new Map();
+  const names = new Map();
+  for (const team of teams) {
+    const key = `team:${team.id}`;
+    names.set(key, team.name);
+    for (const name of [team.name, team.program_name]) {
+      const normalized = normalizeTeamName(name);
+      if (normalized && !aliases.has(normalized)) {
+        aliases.set(normalized, key);
+      }
+    }
+  }
+
+  return {
+    names,
+    keyOf: teamId => `team:${teamId}`,
+    resolve: name => {
+      const normalized = normalizeTeamName(name);
+      const key = aliases.get(normalized) || `name:${normalized}`;
+      if (!names.has(key)) {
+        names.set(key, name);
+      }
+      return key;
+    }
+  };
+}
+
+/**
+ * Build every team's game entries from stored games. A game stored by both teams
+ * is counted once: for each pair of teams and day, the games of the team that
+ * stored the most are kept.
+ * @param {Array<Object>} games - Games with team_id, opponent, game_date, home_away, is_neutral, scores and result
+ * @param {Object} resolver - createTeamResolver result
+ * @returns {Map<string, Array<Object>>} Entries by team key: { opponent, site, wins, losses, game_id }
+ */
+function buildRecords(games, resolver) {
+  const byMeeting = new Map();
+  for (const game of games) {
+    const outcome = outcomeOf(game);
+    if (!outcome) {
+      continue;
+    }
+    const team = resolver.keyOf(game.team_id);
+    const opponent = resolver.resolve(game.opponent);
+    if (team === opponent) {
+      continue;
+    }
+    const day = game.game_date ? new Date(game.game_date).toISOString().slice(0, 10) : 'undated';
+    const meeting = `${day}|${[team, opponent].sort().join('|')}`;
+    const reporters = byMeeting.get(meeting) || new Map();
+    const reported = reporters.get(team) || [];
+    reported.push({ team, opponent, site: siteOf(game), ...outcome, game_id: game.id });
+    reporters.set(team, reported);
+    byMeeting.set(meeting, reporters);
+  }
+
+  const records = new Map();
+  const add = (key, entry) => {
+    if (!records.has(key)) {
+      records.set(key, []);
+    }
+    records.get(key).push(entry);
+  };
+  for (const reporters of byMeeting.values()) {
+    const [kept] = [...reporters.values()].sort((a, b) => b.length - a.length);
+    for (const entry of kept) {
+      add(entry.team, { opponent: entry.opponent, site: entry.site, wins: entry.wins, losses: entry.losses, game_id: entry.game_id });
+      add(entry.opponent, {
+        opponent: entry.team,
+        site: oppositeSite(entry.site),
+        wins: entry.losses,
+        losses: entry.wins,
+        game_id: entry.game_id
+      });
+    }
+  }
+  return records;
+}
+
+/**
+ * RPI calculator over a set of records, memoizing winning percentages
+ * @param {Map<string, Array<Object>>} records - buildRecords result
+ * @returns {Object} { winningPct, weightedWinningPct, opponentsWinningPct, opponentsOpponentsWinningPct, rate }
+ */
+function createCalculator(records) {
+  const wpCache = new Map();
+  const owpCache = new Map();
+
+  // Unweighted WP, leaving out games against `excluded`
+  const winningPct = (key, excluded = null) => {
+    const cacheKey = `${key}|${excluded}`;
+    if (!wpCache.has(cacheKey)) {
+      let wins = 0;
+      let played = 0;
+      for (const entry of records.get(key) || []) {
+        if (entry.opponent !== excluded) {
+          wins += entry.wins;
+          played += entry.wins + entry.losses;
+        }
+      }
+      wpCache.set(cacheKey, played > 0 ? wins / played : null);
+    }
+    return wpCache.get(cacheKey);
+  };
+
+  const weightedWinningPct = key => {
+    let wins = 0;
+    let losses = 0;
+    for (const entry of records.get(key) || []) {
+      wins += entry.wins * SITE_WEIGHTS.win[entry.site];
+      losses += entry.losses * SITE_WEIGHTS.loss[entry.site];
+    }
+    return wins + losses > 0 ? wins / (wins + losses) : null;
+  };
+
+  // Average over the team's games; opponents without other games are skipped
+  const average = values => {
+    const known = values.filter(value => value !== null);
+    return known.length > 0 ? known.reduce((total, value) => total + value, 0) / known.length : null;
+  };
+
+  const opponentsWinningPct = key => {
+    if (!owpCache.has(key)) {
+      owpCache.set(key, average((records.get(key) || []).map(entry => winningPct(entry.opponent, key))));
+    }
+    return owpCache.get(key);
+  };
+
+  const opponentsOpponentsWinningPct = key =>
+    average((records.get(key) || []).map(entry => opponentsWinningPct(entry.opponent)));
+
+  const rate = key => {
+    const wp = weightedWinningPct(key);
+    const owp = opponentsWinningPct(key);
+    const oowp = opponentsOpponentsWinningPct(key);
+    const known = wp !== null && owp !== null && oowp !== null;
+    return {
+      wp: winningPct(key),
+      weighted_wp: wp,
+      owp,
+      oowp,
+      rpi: known ? RPI_WEIGHTS.wp * wp + RPI_WEIGHTS.owp * owp + RPI_WEIGHTS.oowp * oowp : null,
+      sos: owp !== null && oowp !== null ? (2 * owp + oowp) / 3 : null
+    };
+  };
+
+  return { winningPct, weightedWinningPct, opponentsWinningPct, opponentsOpponentsWinningPct, rate };
+}
+
+/**
+ * Round every rating of a rate() result
+ * @param {Object} rating
+ * @returns {Object}
+ */
+function roundRating(rating) {
+  return Object.fromEntries(Object.entries(rating).map(([key, value]) => [key, round4(value)]));
+}
+
+/**
+ * Copy of the records with extra games between the team and its opponents
+ * @param {Map<string, Array<Object>>} records
+ * @param {string} team - Team key
+ * @param {Array<Object>} games - { opponent, site, wins, losses } from the team's side
+ * @returns {Map<string, Array<Object>>}
+ */
+function withGames(records, team, games) {
+  const next = new Map(records);
+  const append = (key, entry) => next.set(key, [...(next.get(key) || []), entry]);
+  for (const game of games) {
+    append(team, { opponent: game.opponent, site: game.site, wins: game.wins, losses: game.losses, game_id: null });
+    append(game.opponent, { opponent: team, site: oppositeSite(game.site), wins: game.losses, losses: game.wins, game_id: null });
+  }
+  return next;
+}
+
+/**
+ * Chance of winning from two winning percentages (log5)
+ * @param {number|null} wp - Team's winning percentage
+ * @param {number|null} opponentWp - Opponent's winning percentage
+ * @returns {number} Win probability; 0.5 when either is unknown or both are 0 or 1
+ */
+function log5(wp, opponentWp) {
+  if (wp === null || opponentWp === null) {
+    return 0.5;
+  }
+  const denominator = wp + opponentWp - 2 * wp * opponentWp;
+  return denominator > 0 ? (wp - wp * opponentWp) / denominator : 0.5;
+}
+
+/**
+ * Rank of a team's RPI among every team with at least MIN_RANKED_GAMES games
+ * @param {Map<string, Array<Object>>} records
+ * @param {Object} calculator - createCalculator result
+ * @param {string} team - Team key
+ * @returns {{rank: number|null, ranked_teams: number}}
+ */
+function rankOf(records, calculator, team) {
+  const ratings = [];
+  for (const [key, entries] of records) {
+    if (entries.length >= MIN_RANKED_GAMES) {
+      const { rpi } = calculator.rate(key);
+      if (rpi !== null) {
+        ratings.push({ key, rpi });
+      }
+    }
+  }
+  ratings.sort((a, b) => b.rpi - a.rpi);
+  const index = ratings.findIndex(rating => rating.key === team);
+  return { rank: index === -1 ? null : index + 1, ranked_teams: ratings.length };
+}
+
+/**
+ * RPI, strength of schedule and projection for a team's season
+ * @param {Object} team - Team (id, name, division)
+ * @param {Array<Object>} teams - Teams of the division (id, name, program_name)
+ * @param {Array<Object>} games - Games of those teams for the season
+ * @param {Object} [options] - Options
+ * @param {Date} [options.now] - Games after this without a result are remaining
+ * @returns {Object} Report (see calculateRpi)
+ */
+function compileRpi(team, teams, games, { now = new Date() } = {}) {
+  const resolver = createTeamResolver(teams.some(t => t.id === team.id) ? teams : [...teams, team]);
+  const records = buildRecords(games, resolver);
+  const us = resolver.keyOf(team.id);
+  const calculator = createCalculator(records);
+  const entries = records.get(us) || [];
+
+  // Record, with the weighted wins and losses the WP uses
+  const record = { wins: 0, losses: 0, ties: 0, weighted_wins: 0, weighted_losses: 0 };
+  const bySite = { home: { wins: 0, losses: 0, ties: 0 }, away: { wins: 0, losses: 0, ties: 0 }, neutral: { wins: 0, losses: 0, ties: 0 } };
+  for (const entry of entries) {
+    const outcome = entry.wins === entry.losses ? 'ties' : entry.wins > entry.losses ? 'wins' : 'losses';
+    record[outcome] += 1;
+    bySite[entry.site][outcome] += 1;
+    record.weighted_wins += entry.wins * SITE_WEIGHTS.win[entry.site];
+    record.weighted_losses += entry.losses * SITE_WEIGHTS.loss[entry.site];
+  }
+  record.weighted_wins = round4(record.weighted_wins);
+  record.weighted_losses = round4(record.weighted_losses);
+
+  // Each opponent's part in the schedule
+  const opponents = new Map();
+  for (const entry of entries) {
+    const row = opponents.get(entry.opponent) || {
+      opponent: resolver.names.get(entry.opponent),
+      in_league_data: entry.opponent.startsWith('team:'),
+      games: 0,
+      wins: 0,
+      losses: 0,
+      ties: 0
+    };
+    const outcome = entry.wins === entry.losses ? 'ties' : entry.wins > entry.losses ? 'wins' : 'losses';
+    row.games += 1;
+    row[outcome] += 1;
+    opponents.set(entry.opponent, row);
+  }
+  const opponentRows = [...opponents.entries()].map(([key, row]) => {
+    const others = (records.get(key) || []).filter(entry => entry.opponent !== us);
+    const otherWins = others.reduce((total, entry) => total + entry.wins, 0);
+    const otherLosses = others.reduce((total, entry) => total + entry.losses, 0);
+    return {
+      ...row,
+      opponent_record: { wins: otherWins, losses: otherLosses, games: others.length },
+      opponent_wp: round4(calculator.winningPct(key, us)),
+      opponent_owp: round4(calculator.opponentsWinningPct(key))
+    };
+  }).sort((a, b) => (b.opponent_wp === null ? -1 : b.opponent_wp) - (a.opponent_wp === null ? -1 : a.opponent_wp));
+
+  // Remaining games: scheduled games of ours without a result
+  const remaining = games
+    .filter(game => game.team_id === team.id && !outcomeOf(game) && game.game_status === 'scheduled' &&
+      (!game.game_date || new Date(game.game_date) >= new Date(now.toISOString().slice(0, 10))))
+    .sort((a, b) => new Date(a.game_date || '9999-12-31') - new Date(b.game_date || '9999-12-31'));
+  const current = calculator.rate(us);
+  const projected = remaining.map(game => {
+    const opponent = resolver.resolve(game.opponent);
+    const site = siteOf(game);
+    const winProbability = log5(calculator.winningPct(us), calculator.winningPct(opponent, us));
+    const ifWin = createCalculator(withGames(records, us, [{ opponent, site, wins: 1, losses: 0 }])).rate(us).rpi;
+    const ifLoss = createCalculator(withGames(records, us, [{ opponent, site, wins: 0, losses: 1 }])).rate(us).rpi;
+    return {
+      game_id: game.id,
+      game_date: game.game_date,
+      opponent: game.opponent,
+      site,
+      opponent_wp: round4(calculator.winningPct(opponent, us)),
+      win_probability: round4(winProbability),
+      rpi_if_win: round4(ifWin),
+      rpi_if_loss: round4(ifLoss),
+      change_if_win: current.rpi === null || ifWin === null ? null : round4(ifWin - current.rpi),
+      change_if_loss: current.rpi === null || ifLoss === null ? null : round4(ifLoss - current.rpi),
+      _opponent: opponent
+    };
+  });
+  const scenario = outcome => {
+    if (projected.length === 0) {
+      return round4(current.rpi);
+    }
+    const extra = projected.map(game => {
+      const wins = outcome === 'expected' ? game.win_probability : outcome === 'win_out' ? 1 : 0;
+      return { opponent: game._opponent, site: game.site, wins, losses: 1 - wins };
+    });
+    return round4(createCalculator(withGames(records, us, extra)).rate(us).rpi);
+  };
+
+  const unknownOpponents = opponentRows.filter(row => row.opponent_record.games === 0).length;
+
+  return {
+    team: { id: team.id, name: team.name },
+    generated_at: new Date().toISOString(),
+    weights: { ...RPI_WEIGHTS, site: SITE_WEIGHTS },
+    record,
+    record_by_site: bySite,
+    rating: { ...roundRating(current), ...rankOf(records, calculator, us) },
+    opponents: opponentRows,
+    projection: {
+      remaining_games: projected.length,
+      expected_wins: round4(projected.reduce((total, game) => total + game.win_probability, 0)),
+      scenarios: {
+        win_out: scenario('win_out'),
+        expected: scenario('expected'),
+        lose_out: scenario('lose_out')
+      },
+      games: projected.map(({ _opponent, ...game }) => game)
+    },
+    coverage: {
+      league_teams: teams.length,
+      games: [...records.values()].reduce((total, list) => total + list.length, 0) / 2,
+      opponents: opponentRows.length,
+      opponents_without_record: unknownOpponents
+    }
+  };
+}
+
+/**
+ * RPI, strength of schedule and projection for a team's season
+ * @param {number} teamId - Team ID
+ * @param {Object} [options] - Options
+ * @param {string} [options.season] - Season; defaults to the season of the team's latest game
+ * @returns {Promise<Object|null>} Report, or null when the team has no games
+ */
+async function calculateRpi(teamId, { season = null } = {}) {
+  const team = await Team.findByPk(teamId, { attributes: ['id', 'name', 'program_name', 'division'] });
+  if (!team) {
+    return null;
+  }
+
+  let seasonId = season;
+  if (!seasonId) {
+    const latest = await Game.findOne({
+      where: { team_id: teamId, season: { [Op.ne]: null } },
+      attributes: ['season'],
+      order: [['game_date', 'DESC']]
+    });
+    if (!latest) {
+      return null;
+    }
+    seasonId = latest.season;
+  }
+
+  const teams = await Team.findAll({
+    where: { division: team.division },
+    attributes: ['id', 'name', 'program_name'],
+    raw: true
+  });
+  const games = await Game.findAll({
+    where: {
+      team_id: teams.map(row => row.id),
+      season: seasonId,
+      game_status: { [Op.notIn]: ['cancelled', 'postponed'] },
+      [Op.or]: [{ event_type: null }, { event_type: { [Op.ne]: 'scrimmage' } }]
+    },
+    attributes: ['id', 'team_id', 'opponent', 'game_date', 'home_away', 'is_neutral', 'team_score', 'opponent_score', 'result', 'game_status'],
+    raw: true
+  });
+  if (!games.some(game => game.team_id === teamId)) {
+    return null;
+  }
+
+  return { season: seasonId, ...compileRpi(team, teams, games) };
+}
+
+module.exports = {
+  RPI_WEIGHTS,
+  SITE_WEIGHTS,
+  MIN_RANKED_GAMES,
+  normalizeTeamName,
+  createTeamResolver,
+  buildRecords,
+  createCalculator,
+  log5,
+  compileRpi,
+  calculateRpi
+};
@@ -0,0 +1,452 @@
+/**
+ * Run Expectancy Service
+ *
+ * Builds the run-expectancy matrix and win-probability model used for RE24 and
+ * WPA. Both come from the distribution of runs scored from each base/out state to
+ * the end of the half-inning, tallied from the classified play-by-play
+ * (Game.play_by_play) of every game stored for the team's league: teams in the
+ * same division and conference.
+ *
+ * Small samples are smoothed toward approximate college baseball values: each
+ * state's observed run distribution is blended with a default distribution worth
+ * PRIOR_WEIGHT plate appearances, so a state seen a handful of times stays close
+ * to the default and a well-sampled state follows the league data.
+ *
+ * Win probability is a Markov model over half-innings: the chance the home team
+ * wins from the start of each half-inning at each score difference is solved
+ * backwards from the last regulation inning (extra innings repeat until decided),
+ * and a mid-inning situation is valued by the runs still to come from its
+ * base/out state.
+ *
+ * Models are cached in memory per league for MODEL_TTL_MS.
+ *
+ * @module services/runExpectancyService
+ */
+
+const { Op } = require('sequelize');
+const { Game, Team } = require('../models');
+const { classifyPlayByPlay, needsClassification } = require('../utils/playOutcomeClassifier');
+
+/**
+ * Base state keys by bitmask (first = 1, second = 2, third = 4)
+ * @type {Array<string>}
+ */
+const BASE_STATES = ['___', '1__', '_2_', '12_', '__3', '1_3', '_23', '123'];
+
+/**
+ * Approximate NCAA Division I runs expected to the end of the inning, by outs then base state
+ * @type {Array<Object>}
+ */
+const DEFAULT_RUN_EXPECTANCY = [
+  { ___: 0.56, '1__': 0.95, _2_: 1.18, '12_': 1.56, __3: 1.42, '1_3': 1.84, _23: 2.05, 123: 2.38 },
+  { ___: 0.30, '1__': 0.57, _2_: 0.72, '12_': 0.97, __3: 0.98, '1_3': 1.22, _23: 1.43, 123: 1.60 },
+  { ___: 0.11, '1__': 0.24, _2_: 0.34, '12_': 0.46, __3: 0.38, '1_3': 0.53, _23: 0.59, 123: 0.80 }
+];
+
+/**
+ * Approximate probability of scoring at least once before the inning ends, by outs then base state
+ * @type {Array<Object>}
+ */
+const DEFAULT_SCORING_PROBABILITY = [
+  { ___: 0.29, '1__': 0.45, _2_: 0.63, '12_': 0.64, __3: 0.85, '1_3': 0.87, _23: 0.86, 123: 0.88 },
+  { ___: 0.17, '1__': 0.29, _2_: 0.42, '12_': 0.43, __3: 0.67, '1_3': 0.66, _23: 0.69, 123: 0.68 },
+  { ___: 0.07, '1__': 0.14, _2_: 0.23, '12_': 0.24, __3: 0.27, '1_3': 0.29, _23: 0.28, 123: 0.34 }
+];
+
+/**
+ * Runs tallied per half-inning remainder; anything higher is counted here
+ * @type {number}
+ */
+const MAX_RUNS = 10;
+
+/**
+ * Plate appearances the default distribution is worth when blended with league data
+ * @type {number}
+ */
+const PRIOR_WEIGHT = 50;
+
+/**
+ * Largest score difference the win-probability table tracks
+ * @type {number}
+ */
+const MAX_SCORE_DIFF = 20;
+
+/**
+ * How long a league model is reused before it is rebuilt
+ * @type {number}
+ */
+const MODEL_TTL_MS = 6 * 60 * 60 * 1000;
+
+/**
+ * Games read from the database at a time while building a model
+ * @type {number}
+ */
+const GAME_BATCH_SIZE = 100;
+
+const modelCache = new Map();
+
+/**
+ * Index 0-23 of a base/out state
+ * @param {number} outs - 0-2
+ * @param {Object} bases - { first, second, third }, truthy when occupied
+ * @returns {number}
+ */
+function stateIndex(outs, bases) {
+  const mask = (bases.first ? 1 : 0) + (bases.second ? 2 : 0) + (bases.third ? 4 : 0);
+  return outs * 8 + mask;
+}
+
+/**
+ * Base state key, e.g. '1_3' for runners on first and third
+ * @param {Object} bases - { first, second, third }
+ * @returns {string}
+ */
+function baseStateKey(bases) {
+  return BASE_STATES[stateIndex(0, bases)];
+}
+
+/**
+ * Default run distribution for a state
+ *
+ * No runs with 1 - P(score); otherwise a geometric tail whose mean matches the
+ * default run expectancy.
+ *
+ * @param {number} index - stateIndex()
+ * @returns {Array<number>} Probabilities for 0..MAX_RUNS runs
+ */
+function defaultDistribution(index) {
+  const outs = Math.floor(index / 8);
+  const key = BASE_STATES[index % 8];
+  const scoring = DEFAULT_SCORING_PROBABILITY[outs][key];
+  const ratio = Math.max(0, 1 - scoring / DEFAULT_RUN_EXPECTANCY[outs][key]);
+
+  const distribution = [1 - scoring];
+  let remaining = scoring;
+  for (let runs = 1; runs < MAX_RUNS; runs++) {
+    const probability = scoring * (1 - ratio) * Math.pow(ratio, runs - 1);
+    distribution.push(probability);
+    remaining -= probability;
+  }
+  distribution.push(Math.max(0, remaining));
+  return distribution;
+}
+
+/**
+ * Empty run tallies, one row of 0..MAX_RUNS counts per state
+ * @returns {Array<Array<number>>}
+ */
+function emptyTallies() {
+  return Array.from({ length: 24 }, () => new Array(MAX_RUNS + 1).fill(0));
+}
+
+/**
+ * Tally runs scored from each plate appearance's base/out state to the end of its
+ * half-inning. Half-innings that did not reach three outs (walk-offs, games in
+ * progress) are skipped.
+ *
+ * @param {Object} playByPlay - Classified Game.play_by_play
+ * @param {Array<Array<number>>} tallies - emptyTallies() accumulator
+ * @returns {number} Half-innings tallied
+ */
+function tallyRunsToEndOfInning(playByPlay, tallies) {
+  let halfInnings = 0;
+
+  for (const inning of (playByPlay && playByPlay.innings) || []) {
+    for (const half of inning.halves || []) {
+      const events = (half.plays || []).map(play => play.event).filter(Boolean);
+      if (events.length === 0 || events[events.length - 1].outs_after < 3) {
+        continue;
+      }
+
+      let runsAfter = 0;
+      for (let i = events.length - 1; i >= 0; i--) {
+        const event = events[i];
+        runsAfter += event.runs_on_play || 0;
+        if (event.is_plate_appearance && event.outs_before < 3) {
+          tallies[stateIndex(event.outs_before, event.bases_before)][Math.min(runsAfter, MAX_RUNS)] += 1;
+        }
+      }
+      halfInnings += 1;
+    }
+  }
+
+  return halfInnings;
+}
+
+/**
+ * Blend observed tallies with the default distributions
+ * @param {Array<Array<number>>} tallies
+ * @returns {Array<Array<number>>} Run distribution per state
+ */
+function blendDistributions(tallies) {
+  return tallies.map((counts, index) => {
+    const samples = counts.reduce((sum, count) => sum + count, 0);
+    const prior = defaultDistribution(index);
+    return counts.map((count, runs) => (count + PRIOR_WEIGHT * prior[runs]) / (samples + PRIOR_WEIGHT));
+  });
+}
+
+/**
+ * Expected runs of a distribution
+ * @param {Array<number>} distribution
+ * @returns {number}
+ */
+function expectedRuns(distribution) {
+  return distribution.reduce((sum, probability, runs) => sum + probability * runs, 0);
+}
+
+/**
+ * Clamp a score difference into the win-probability table
+ * @param {number} diff
+ * @returns {number}
+ */
+function clampDiff(diff) {
+  return Math.max(-MAX_SCORE_DIFF, Math.min(MAX_SCORE_DIFF, diff));
+}
+
+/**
+ * Home team win probability at the start of every half-inning
+ *
+ * Rows 1..regulation + 1, the last row standing for every extra inning. Values are
+ * indexed by home score minus away score + MAX_SCORE_DIFF.
+ *
+ * @param {Array<number>} inningRuns - Run distribution from the start of a half-inning
+ * @param {number} regulation - Regulation innings (9, or 7 for doubleheader games)
+ * @returns {Object} { top: Array<Array<number>>, bottom: Array<Array<number>> }
+ */
+function buildHalfInningTable(inningRuns, regulation) {
+  const size = 2 * MAX_SCORE_DIFF + 1;
+  const top = [];
+  const bottom = [];
+  const diffs = Array.from({ length: size }, (_, index) => index - MAX_SCORE_DIFF);
+
+  // Extra innings start tied and repeat until one team leads after a full inning
+  const settle = (diff, tied) => (diff > 0 ? 1 : diff < 0 ? 0 : tied);
+  const bottomExtra = (diff, tied) => (diff > 0
+    ? 1
+    : inningRuns.reduce((sum, p, runs) => sum + p * settle(diff + runs, tied), 0));
+  let tied = 0.5;
+  for (let i = 0; i < 50; i++) {
+    tied = inningRuns.reduce((sum, p, runs) => sum + p * bottomExtra(-runs, tied), 0);
+  }
+
+  const extra = regulation + 1;
+  top[extra] = diffs.map(diff => settle(diff, tied));
+  bottom[extra] = diffs.map(diff => bottomExtra(diff, tied));
+
+  for (let inning = regulation; inning >= 1; inning--) {
+    const next = top[inning + 1];
+    bottom[inning] = diffs.map(diff => {
+      if (inning >= regulation && diff > 0) {
+        return 1;
+      }
+      return inningRuns.reduce((sum, p, runs) => sum + p * next[clampDiff(diff + runs) + MAX_SCORE_DIFF], 0);
+    });
+    top[inning] = diffs.map(diff => inningRuns.reduce(
+      (sum, p, runs) => sum + p * bottom[inning][clampDiff(diff - runs) + MAX_SCORE_DIFF],
+      0
+    ));
+  }
+
+  return { top, bottom };
+}
+
+/**
+ * Build a model from run tallies
+ *
+ * @param {Array<Array<number>>} tallies - tallyRunsToEndOfInning() output
+ * @param {Object} [meta] - Extra fields to keep on the model (scope, games, half_innings)
+ * @returns {Object} Model with runExpectancy() and winProbability()
+ */
+function buildModel(tallies, meta = {}) {
+  const distributions = blendDistributions(tallies);
+  const runExpectancy = distributions.map(expectedRuns);
+  const tables = new Map();
+
+  const tableFor = (regulation) => {
+    if (!tables.has(regulation)) {
+      tables.set(regulation, buildHalfInningTable(distributions[0], regulation));
+    }
+    return tables.get(regulation);
+  };
+
+  /**
+   * Home win probability at the start of a half-inning
+   */
+  const startOfHalf = (table, regulation, inning, half, diff) => {
+    const row = Math.min(inning, regulation + 1);
+    return (half === 'top' ? table.top : table.bottom)[row][clampDiff(diff) + MAX_SCORE_DIFF];
+  };
+
+  return {
+    ...meta,
+    built_at: new Date().toISOString(),
+    tallies,
+    distributions,
+
+    /**
+     * Runs expected from a base/out state to the end of the inning (0 at three outs)
+     * @param {number} outs
+     * @param {Object} bases - { first, second, third }
+     * @returns {number}
+     */
+    runExpectancy(outs, bases) {
+      return outs >= 3 ? 0 : runExpectancy[stateIndex(outs, bases)];
+    },
+
+    /**
+     * Probability the home team wins from a game situation
+     * @param {Object} situation
+     * @param {number} situation.inning
+     * @param {string} situation.half - 'top' or 'bottom'
+     * @param {number} situation.outs - 0-3; 3 means the half-inning is over
+     * @param {Object} situation.bases - { first, second, third }
+     * @param {number} situation.homeDiff - Home runs minus away runs
+     * @param {number} [situation.regulation=9]
+     * @returns {number}
+     */
+    winProbability({ inning, half, outs, bases, homeDiff, regulation = 9 }) {
+      const table = tableFor(regulation);
+      const nextHalf = (diff) => (half === 'top'
+        ? startOfHalf(table, regulation, inning, 'bottom', diff)
+        : startOfHalf(table, regulation, inning + 1, 'top', diff));
+
+      if (half === 'bottom' && inning >= regulation && homeDiff > 0) {
+        return 1;
+      }
+      if (outs >= 3) {
+        return nextHalf(homeDiff);
+      }
+
+      const sign = half === 'top' ? -1 : 1;
+      return distributions[stateIndex(outs, bases)]
+        .reduce((sum, p, runs) => sum + p * nextHalf(homeDiff + sign * runs), 0);
+    }
+  };
+}
+
+/**
+ * Round to three places
+ * @param {number} value
+ * @returns {number}
+ */
+function round3(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Describe a model for the API: the matrix by outs and base state
+ * @param {Object} model - buildModel() output
+ * @returns {Object}
+ */
+function summarizeModel(model) {
+  const byOuts = (valueFor) => [0, 1, 2].map(outs => {
+    const row = {};
+    BASE_STATES.forEach((key, mask) => {
+      row[key] = valueFor(outs * 8 + mask);
+    });
+    return row;
+  });
+
+  return {
+    scope: model.scope || null,
+    built_at: model.built_at,
+    games: model.games || 0,
+    half_innings: model.half_innings || 0,
+    prior_weight: PRIOR_WEIGHT,
+    run_expectancy: byOuts(index => round3(expectedRuns(model.distributions[index]))),
+    scoring_probability: byOuts(index => round3(1 - model.distributions[index][0])),
+    samples: byOuts(index => model.tallies[index].reduce((sum, count) => sum + count, 0))
+  };
+}
+
+/**
+ * Model for a team's league, built from stored play-by-play and cached
+ *
+ * @param {number} teamId
+ * @param {Object} [options]
+ * @param {boolean} [options.refresh=false] - Rebuild even when a cached model is fresh
+ * @returns {Promise<Object>} buildModel() output with scope, games and half_innings
+ */
+async function getLeagueModel(teamId, { refresh = false } = {}) {
+  const team = await Team.findByPk(teamId, { attributes: ['id', 'division', 'conference'] });
+  const scope = {
+    division: team ? team.division : null,
+    conference: team ? team.conference || null : null
+  };
+  const cacheKey = `${scope.division}|${scope.conference || ''}`;
+
+  const cached = modelCache.get(cacheKey);
+  if (cached && !refresh && Date.now() - cached.createdAt < MODEL_TTL_MS) {
+    return cached.model;
+  }
+
+  const teamWhere = {};
+  if (scope.division) {
+    teamWhere.division = scope.division;
+  }
+  if (scope.conference) {
+    teamWhere.conference = scope.conference;
+  }
+  const leagueTeams = await Team.findAll({ where: teamWhere, attributes: ['id'], raw: true });
+  const teamIds = leagueTeams.map(row => row.id);
+  if (!teamIds.includes(teamId)) {
+    teamIds.push(teamId);
+  }
+
+  const tallies = emptyTallies();
+  let games = 0;
+  let halfInnings = 0;
+
+  for (let offset = 0; ; offset += GAME_BATCH_SIZE) {
+    const batch = await Game.findAll({
+      where: { team_id: { [Op.in]: teamIds }, play_by_play: { [Op.ne]: null } },
+      attributes: ['id', 'play_by_play'],
+      order: [['id', 'ASC']],
+      limit: GAME_BATCH_SIZE,
+      offset,
+      raw: true
+    });
+
+    for (const game of batch) {
+      const playByPlay = game.play_by_play;
+      if (needsClassification(playByPlay)) {
+        classifyPlayByPlay(playByPlay);
+      }
+      const counted = tallyRunsToEndOfInning(playByPlay, tallies);
+      if (counted > 0) {
+        games += 1;
+        halfInnings += counted;
+      }
+    }
+
+    if (batch.length < GAME_BATCH_SIZE) {
+      break;
+    }
+  }
+
+  const model = buildModel(tallies, { scope, games, half_innings: halfInnings });
+  modelCache.set(cacheKey, { model, createdAt: Date.now() });
+  return model;
+}
+
+/**
+ * Drop every cached league model
+ */
+function clearModelCache() {
+  modelCache.clear();
+}
+
+module.exports = {
+  BASE_STATES,
+  DEFAULT_RUN_EXPECTANCY,
+  PRIOR_WEIGHT,
+  stateIndex,
+  baseStateKey,
+  emptyTallies,
+  tallyRunsToEndOfInning,
+  buildModel,
+  summarizeModel,
+  getLeagueModel,
+  clearModelCache
+};
@@ -0,0 +1,293 @@
+/**
+ * Session Service
+ *
+ * Tracks every issued JWT as a session record keyed by its `jti` (device, IP,
+ * created, last seen, expiry) so users can see where they are signed in and revoke
+ * a single session, e.g. a shared dugout iPad, without logging out everywhere.
+ *
+ * A session lives as long as its refresh token family (see refreshTokenService):
+ * each refresh moves the session to the newly issued access token's jti.
+ *
+ * Revocation itself is enforced by tokenBlacklistService: revoking a session
+ * blacklists its jti and revokes its refresh token family, and the auth middleware
+ * rejects blacklisted tokens. The session row is marked revoked so it drops out of
+ * the active list.
+ *
+ * @module services/sessionService
+ */
+
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const { UserSession } = require('../models');
+const tokenBlacklistService = require('./tokenBlacklistService');
+const refreshTokenService = require('./refreshTokenService');
+const { getClientIp } = require('./loginEventService');
+const { parseUserAgent } = require('../utils/userAgentParser');
+
+/**
+ * Minimum interval between last_seen_at writes for the same session
+ * @type {number}
+ */
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+const MAX_USER_AGENT_LENGTH = 1000;
+
+/**
+ * jti -> time of the last last_seen_at write from this process
+ * @type {Map<string, number>}
+ */
+const lastTouched = new Map();
+
+/**
+ * Record a session for a newly issued token
+ *
+ * @param {Object} req - Express request (IP and User-Agent are read from it)
+ * @param {number} userId - Token owner
+ * @param {string} token - Signed JWT that was just issued
+ * @param {Object} [options]
+ * @param {string} [options.refreshFamilyId] - Refresh token family issued with the token
+ * @param {Date} [options.expiresAt] - Session expiry (the refresh token's); defaults to the token's exp
+ * @returns {Promise<Object|null>} Created UserSession, or null if the token has no jti or recording failed
+ */
+async function createSession(req, userId, token, options = {}) {
+  try {
+    const decoded = jwt.decode(token);
+    if (!decoded || !decoded.jti) {
+      return null;
+    }
+
+    const userAgent = req.headers ? req.headers['user-agent'] : null;
+    const parsed = parseUserAgent(userAgent);
+
+    return await UserSession.create({
+      user_id: userId,
+      jti: decoded.jti,
+      refresh_family_id: options.refreshFamilyId || null,
+      ip_address: getClientIp(req),
+      user_agent: userAgent ? String(userAgent).slice(0, MAX_USER_AGENT_LENGTH) : null,
+      device_type: parsed.deviceType,
+      browser: parsed.browser,
+      os: parsed.os,
+      last_seen_at: new Date(),
+      expires_at: options.expiresAt || new Date(decoded.exp * 1000)
+    });
+  } catch (error) {
+    // Session tracking must never block a login
+    console.error('Error creating session record:', error);
+    return null;
+  }
+}
+
+/**
+ * Move a session to the access token issued by a refresh, extending it to the new
+ * refresh token's expiry
+ *
+ * @param {string} refreshFamilyId - Family of the refresh token that was exchanged
+ * @param {string} token - Newly issued access token
+ * @param {Date} expiresAt - Expiry of the replacement refresh token
+ * @returns {Promise<void>}
+ */
+async function renewSession(refreshFamilyId, token, expiresAt) {
+  try {
+    const decoded = jwt.decode(token);
+    await UserSession.update(
+      { jti: decoded.jti, expires_at: expiresAt, last_seen_at: new Date() },
+      { where: { refresh_family_id: refreshFamilyId, revoked_at: null } }
+    );
+  } catch (error) {
+    // Session tracking must never block a refresh
+    console.error('Error renewing session record:', error);
+  }
+}
+
+/**
+ * Update a session's last-seen time. Writes are throttled per jti so that
+ * authenticated requests do not each cause a database update.
+ *
+ * @param {string} jti - JWT ID of the request's token
+ * @returns {Promise<void>}
+ */
+async function touchSession(jti) {
+  if (!jti) {
+    return;
+  }
+
+  const now = Date.now();
+  if (now - (lastTouched.get(jti) || 0) < TOUCH_INTERVAL_MS) {
+    return;
+  }
+  lastTouched.set(jti, now);
+
+  // Keep the throttle map from growing without bound on long-running servers
+  if (lastTouched.size > 10000) {
+    for (const [key, touchedAt] of lastTouched) {
+      if (now - touchedAt >= TOUCH_INTERVAL_MS) {
+        lastTouched.delete(key);
+      }
+    }
+  }
+
+  try {
+    await UserSession.update(
+      { last_seen_at: new Date(now) },
+      { where: { jti, revoked_at: null } }
+    );
+  } catch (error) {
+    console.error('Error updating session activity:', error);
+  }
+}
+
+/**
+ * Shape a UserSession for API responses
+ *
+ * @param {Object} session - UserSession instance or plain object
+ * @param {string|null} currentJti - jti of the requesting token
+ * @returns {Object}
+ */
+function formatSession(session, currentJti) {
+  let device = 'Unknown device';
+  if (session.browser && session.os) {
+    device = `${session.browser} on ${session.os}`;
+  } else if (session.browser || session.os) {
+    device = session.browser || session.os;
+  }
+
+  return {
+    id: session.id,
+    device,
+    device_type: session.device_type,
+    browser: session.browser,
+    os: session.os,
+    ip_address: session.ip_address,
+    created_at: session.created_at,
+    last_activity: session.last_seen_at,
+    expires_at: session.expires_at,
+    is_current: Boolean(currentJti) && session.jti === currentJti
+  };
+}
+
+/**
+ * List a user's active (not revoked, not expired) sessions, most recently used first
+ *
+ * @param {number} userId
+ * @param {string|null} [currentJti] - jti of the requesting token, to flag the current session
+ * @returns {Promise<Array<Object>>} Formatted sessions
+ */
+async function listActiveSessions(userId, currentJti = null) {
+  const sessions = await UserSession.findAll({
+    where: {
+      user_id: userId,
+      revoked_at: null,
+      expires_at: { [Op.gt]: new Date() }
+    },
+    order: [['last_seen_at', 'DESC']]
+  });
+
+  return sessions.map(session => formatSession(session, currentJti));
+}
+
+/**
+ * Revoke one of a user's sessions. The session's token is blacklisted so it is
+ * rejected on its next request, and its refresh token family is revoked so it
+ * cannot be renewed.
+ *
+ * @param {number} userId - Session owner (sessions of other users are never matched)
+ * @param {number} sessionId - UserSession id
+ * @param {string} [reason='security_revoke'] - TokenBlacklist reason
+ * @returns {Promise<Object|null>} The revoked session, or null if no active session matched
+ */
+async function revokeSession(userId, sessionId, reason = 'security_revoke') {
+  const session = await UserSession.findOne({
+    where: { id: sessionId, user_id: userId, revoked_at: null }
+  });
+
+  if (!session) {
+    return null;
+  }
+
+  await tokenBlacklistService.addToBlacklist(session.jti, userId, session.expires_at, reason);
+  await session.update({ revoked_at: new Date(), revoked_reason: reason });
+  await refreshTokenService.revokeFamily(session.refresh_family_id, reason);
+  lastTouched.delete(session.jti);
+
+  return session;
+}
+
+/**
+ * Mark the session for a token as revoked (e.g. on logout) and revoke its refresh
+ * token family. Blacklisting the token itself is left to the caller.
+ *
+ * @param {string} jti
+ * @param {string} reason
+ * @returns {Promise<void>}
+ */
+async function markSessionRevoked(jti, reason) {
+  if (!jti) {
+    return;
+  }
+  const session = await UserSession.findOne({ where: { jti, revoked_at: null } });
+  if (session) {
+    await session.update({ revoked_at: new Date(), revoked_reason: reason });
+    await refreshTokenService.revokeFamily(session.refresh_family_id, reason);
+  }
+  lastTouched.delete(jti);
+}
+
+/**
+ * Revoke a refresh token family and the session it keeps alive, e.g. when a
+ * rotated refresh token is replayed
+ *
+ * @param {string} refreshFamilyId
+ * @param {string} reason
+ * @returns {Promise<void>}
+ */
+async function revokeSessionFamily(refreshFamilyId, reason) {
+  if (!refreshFamilyId) {
+    return;
+  }
+  await refreshTokenService.revokeFamily(refreshFamilyId, reason);
+  await UserSession.update(
+    { revoked_at: new Date(), revoked_reason: reason },
+    { where: { refresh_family_id: refreshFamilyId, revoked_at: null } }
+  );
+}
+
+/**
+ * Mark all of a user's sessions as revoked and revoke their refresh tokens, after
+ * tokenBlacklistService.revokeAllUserTokens
+ *
+ * @param {number} userId
+ * @param {string} reason
+ * @returns {Promise<number>} Number of sessions marked revoked
+ */
+async function markAllSessionsRevoked(userId, reason) {
+  const [count] = await UserSession.update(
+    { revoked_at: new Date(), revoked_reason: reason },
+    { where: { user_id: userId, revoked_at: null } }
+  );
+  await refreshTokenService.revokeAllForUser(userId, reason);
+  return count;
+}
+
+/**
+ * Delete session records whose tokens have expired
+ * @returns {Promise<number>} Number of rows deleted
+ */
+function cleanupExpiredSessions() {
+  return UserSession.destroy({
+    where: { expires_at: { [Op.lt]: new Date() } }
+  });
+}
+
+module.exports = {
+  createSession,
+  renewSession,
+  touchSession,
+  formatSession,
+  listActiveSessions,
+  revokeSession,
+  markSessionRevoked,
+  revokeSessionFamily,
+  markAllSessionsRevoked,
+  cleanupExpiredSessions
+};
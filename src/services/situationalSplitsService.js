@@ -0,0 +1,364 @@
+/**
+ * Situational Splits Service
+ *
+ * Computes a hitter's situational splits from stored play-by-play
+ * (Game.play_by_play), so teams without PrestoSports split data and games scored
+ * by hand still get them. Every plate appearance the player made for the team is
+ * read from the classified play events (see utils/playOutcomeClassifier) and
+ * counted in each split it belongs to:
+ * - risp, two_outs, two_outs_risp, bases_empty, runners_on, bases_loaded
+ * - leadoff: first plate appearance of a half-inning
+ * - innings_1_3, innings_4_6, innings_7_plus
+ * - late_and_close: 7th inning or later with the team tied, up by one, or with
+ *   the tying run on base, at the plate or on deck
+ * - by_base_out: one line per base/out state the player batted in
+ *
+ * The player is matched to the batter by jersey number when the play carries one,
+ * otherwise by name. Play-by-play classified by an older classifier version is
+ * reclassified in memory; it is not saved back here.
+ *
+ * @module services/situationalSplitsService
+ */
+
+const { Op } = require('sequelize');
+const { Game } = require('../models');
+const { classifyPlayByPlay, needsClassification } = require('../utils/playOutcomeClassifier');
+
+/**
+ * Split keys in the order they are returned
+ * @type {Array<string>}
+ */
+const SPLIT_KEYS = [
+  'overall',
+  'risp',
+  'two_outs',
+  'two_outs_risp',
+  'bases_empty',
+  'runners_on',
+  'bases_loaded',
+  'leadoff',
+  'innings_1_3',
+  'innings_4_6',
+  'innings_7_plus',
+  'late_and_close'
+];
+
+const STRIKEOUT_CODES = ['KS', 'KL', 'K'];
+const WALK_CODES = ['BB', 'IBB'];
+const TOTAL_BASES = { '1B': 1, '2B': 2, '3B': 3, HR: 4 };
+const NAME_SUFFIXES = ['jr', 'sr', 'ii', 'iii', 'iv'];
+
+/**
+ * Empty counting line
+ * @returns {Object}
+ */
+function emptyLine() {
+  return {
+    plate_appearances: 0,
+    at_bats: 0,
+    hits: 0,
+    doubles: 0,
+    triples: 0,
+    home_runs: 0,
+    total_bases: 0,
+    rbi: 0,
+    walks: 0,
+    hit_by_pitch: 0,
+    strikeouts: 0,
+    sacrifice_flies: 0,
+    sacrifice_bunts: 0
+  };
+}
+
+/**
+ * Count one plate appearance into a line
+ * @param {Object} line - emptyLine() accumulator
+ * @param {Object} event - Classified play event
+ */
+function addPlateAppearance(line, event) {
+  line.plate_appearances += 1;
+  line.at_bats += event.is_at_bat ? 1 : 0;
+  line.hits += event.is_hit ? 1 : 0;
+  line.doubles += event.code === '2B' ? 1 : 0;
+  line.triples += event.code === '3B' ? 1 : 0;
+  line.home_runs += event.code === 'HR' ? 1 : 0;
+  line.total_bases += TOTAL_BASES[event.code] || 0;
+  line.rbi += event.rbi || 0;
+  line.walks += WALK_CODES.includes(event.code) ? 1 : 0;
+  line.hit_by_pitch += event.code === 'HBP' ? 1 : 0;
+  line.strikeouts += STRIKEOUT_CODES.includes(event.code) ? 1 : 0;
+  line.sacrifice_flies += event.code === 'SF' ? 1 : 0;
+  line.sacrifice_bunts += event.code === 'SH' ? 1 : 0;
+}
+
+/**
+ * Ratio rounded to three places, or null without a denominator
+ * @param {number} numerator
+ * @param {number} denominator
+ * @returns {number|null}
+ */
+function rate(numerator, denominator) {
+  return denominator > 0 ? Math.round((numerator / denominator) * 1000) / 1000 : null;
+}
+
+/**
+ * Add AVG/OBP/SLG/OPS to a counting line
+ * @param {Object} line
+ * @returns {Object} New line with rate stats
+ */
+function finalizeLine(line) {
+  const onBaseChances = line.at_bats + line.walks + line.hit_by_pitch + line.sacrifice_flies;
+  const avg = rate(line.hits, line.at_bats);
+  const obp = rate(line.hits + line.walks + line.hit_by_pitch, onBaseChances);
+  const slg = rate(line.total_bases, line.at_bats);
+
+  return {
+    ...line,
+    avg,
+    obp,
+    slg,
+    ops: obp === null || slg === null ? null : Math.round((obp + slg) * 1000) / 1000
+  };
+}
+
+/**
+ * Lowercase name words without punctuation or suffixes
+ * @param {string} name
+ * @returns {Array<string>}
+ */
+function nameWords(name) {
+  return String(name || '')
+    .toLowerCase()
+    .split(/[\s,.]+/)
+    .filter(word => word && !NAME_SUFFIXES.includes(word));
+}
+
+/**
+ * Whether a play-by-play name refers to the player
+ *
+ * Every word of the last name must appear; any other word must be the first name
+ * or its initial ("Smith", "C. Smith", "Smith, Cole", "SMITH,C").
+ *
+ * @param {string} name - Name from the play-by-play
+ * @param {Object} player - Player with first_name and last_name
+ * @returns {boolean}
+ */
+function nameMatches(name, player) {
+  const words = nameWords(name);
+  const last = nameWords(player.last_name);
+  const first = nameWords(player.first_name).join(' ');
+
+  if (last.length === 0 || !last.every(word => words.includes(word))) {
+    return false;
+  }
+  return words
+    .filter(word => !last.includes(word))
+    .every(word => first.startsWith(word));
+}
+
+/**
+ * Build a predicate matching plays where the player was the batter
+ * @param {Object} player - Player with first_name, last_name and jersey_number
+ * @returns {Function} (play) => boolean
+ */
+function batterMatcher(player) {
+  const jersey = player.jersey_number === null || player.jersey_number === undefined
+    ? null
+    : String(player.jersey_number);
+
+  return (play) => {
+    const uni = play.batter && play.batter.uni ? String(parseInt(play.batter.uni, 10)) : null;
+    if (jersey !== null && uni !== null && uni !== 'NaN') {
+      return uni === jersey;
+    }
+    const name = (play.batter && play.batter.name) || (play.event && play.event.batter);
+    return Boolean(name) && nameMatches(name, player);
+  };
+}
+
+/**
+ * Whether a plate appearance is late and close
+ * @param {number} inning
+ * @param {number} margin - Batting team's runs minus the opponent's before the play
+ * @param {number} runnersOn - Runners on base before the play
+ * @returns {boolean}
+ */
+function isLateAndClose(inning, margin, runnersOn) {
+  if (inning < 7) {
+    return false;
+  }
+  // Up by one or tied, or the tying run is on base, at the plate or on deck
+  return margin >= -(runnersOn + 2) && margin <= 1;
+}
+
+/**
+ * Base state key, e.g. '1_3' for runners on first and third, '___' for empty
+ * @param {Object} bases - Event bases_before
+ * @returns {string}
+ */
+function baseStateKey(bases) {
+  return `${bases.first ? '1' : '_'}${bases.second ? '2' : '_'}${bases.third ? '3' : '_'}`;
+}
+
+/**
+ * Plate appearances the player made in one game, with game situation
+ *
+ * @param {Object} playByPlay - Classified Game.play_by_play
+ * @param {string} side - 'home' or 'away', the side the team batted on
+ * @param {Function} isBatter - batterMatcher() predicate
+ * @returns {Array<Object>} [{ event, inning, leadoff, margin }]
+ */
+function collectPlateAppearances(playByPlay, side, isBatter) {
+  const appearances = [];
+  const runs = { home: 0, away: 0 };
+
+  for (const inning of playByPlay.innings || []) {
+    (inning.halves || []).forEach((half, index) => {
+      // Without a V/H marker the visitors are assumed to bat first
+      const battingSide = half.side || (index === 0 ? 'away' : 'home');
+      const fieldingSide = battingSide === 'home' ? 'away' : 'home';
+      let plateAppearances = 0;
+
+      for (const play of half.plays || []) {
+        const event = play.event;
+        if (!event) {
+          continue;
+        }
+        if (battingSide === side && event.is_plate_appearance && isBatter(play)) {
+          appearances.push({
+            event,
+            inning: inning.inning,
+            leadoff: plateAppearances === 0,
+            margin: runs[battingSide] - runs[fieldingSide]
+          });
+        }
+        plateAppearances += event.is_plate_appearance ? 1 : 0;
+        runs[battingSide] += event.runs_on_play || 0;
+      }
+    });
+  }
+
+  return appearances;
+}
+
+/**
+ * Aggregate plate appearances into splits
+ * @param {Array<Object>} appearances - collectPlateAppearances() output, any number of games
+ * @returns {Object} Split key → line, plus by_base_out
+ */
+function computeSplits(appearances) {
+  const lines = {};
+  SPLIT_KEYS.forEach(key => {
+    lines[key] = emptyLine();
+  });
+  const baseOut = new Map();
+
+  for (const { event, inning, leadoff, margin } of appearances) {
+    const bases = event.bases_before;
+    const runnersOn = [bases.first, bases.second, bases.third].filter(Boolean).length;
+    const risp = Boolean(bases.second || bases.third);
+    const twoOuts = event.outs_before === 2;
+
+    const keys = ['overall'];
+    if (risp) {
+      keys.push('risp');
+    }
+    if (twoOuts) {
+      keys.push('two_outs');
+    }
+    if (twoOuts && risp) {
+      keys.push('two_outs_risp');
+    }
+    keys.push(runnersOn === 0 ? 'bases_empty' : 'runners_on');
+    if (runnersOn === 3) {
+      keys.push('bases_loaded');
+    }
+    if (leadoff) {
+      keys.push('leadoff');
+    }
+    keys.push(inning <= 3 ? 'innings_1_3' : inning <= 6 ? 'innings_4_6' : 'innings_7_plus');
+    if (isLateAndClose(inning, margin, runnersOn)) {
+      keys.push('late_and_close');
+    }
+    keys.forEach(key => addPlateAppearance(lines[key], event));
+
+    const stateKey = `${baseStateKey(bases)}|${event.outs_before}`;
+    if (!baseOut.has(stateKey)) {
+      baseOut.set(stateKey, { bases: baseStateKey(bases), outs: event.outs_before, line: emptyLine() });
+    }
+    addPlateAppearance(baseOut.get(stateKey).line, event);
+  }
+
+  const splits = {};
+  SPLIT_KEYS.forEach(key => {
+    splits[key] = finalizeLine(lines[key]);
+  });
+  splits.by_base_out = [...baseOut.values()]
+    .sort((a, b) => a.outs - b.outs || a.bases.localeCompare(b.bases))
+    .map(({ bases, outs, line }) => ({ bases, outs, ...finalizeLine(line) }));
+
+  return splits;
+}
+
+/**
+ * Situational splits for a player across the team's games with play-by-play
+ *
+ * @param {Object} player - Player instance (id, team_id, first_name, last_name, jersey_number)
+ * @param {Object} [options]
+ * @param {string} [options.season] - Limit to one season (Game.season)
+ * @returns {Promise<Object|null>} { games, plate_appearances, splits }, or null when
+ *   the player has no plate appearances in the play-by-play
+ */
+async function getSituationalSplits(player, { season } = {}) {
+  const where = {
+    team_id: player.team_id,
+    play_by_play: { [Op.ne]: null },
+    game_status: { [Op.notIn]: ['cancelled', 'postponed'] }
+  };
+  if (season) {
+    where.season = season;
+  }
+
+  const games = await Game.findAll({
+    where,
+    attributes: ['id', 'home_away', 'play_by_play'],
+    order: [['game_date', 'ASC']],
+    raw: true
+  });
+
+  const isBatter = batterMatcher(player);
+  const appearances = [];
+  let gamesPlayed = 0;
+
+  for (const game of games) {
+    const playByPlay = game.play_by_play;
+    if (needsClassification(playByPlay)) {
+      classifyPlayByPlay(playByPlay);
+    }
+    const gameAppearances = collectPlateAppearances(playByPlay || {}, game.home_away, isBatter);
+    if (gameAppearances.length > 0) {
+      gamesPlayed += 1;
+      appearances.push(...gameAppearances);
+    }
+  }
+
+  if (appearances.length === 0) {
+    return null;
+  }
+
+  return {
+    games: gamesPlayed,
+    plate_appearances: appearances.length,
+    splits: computeSplits(appearances)
+  };
+}
+
+module.exports = {
+  SPLIT_KEYS,
+  nameMatches,
+  batterMatcher,
+  isLateAndClose,
+  collectPlateAppearances,
+  computeSplits,
+  getSituationalSplits
+};
@@ -0,0 +1,482 @@
+/**
+ * Streak Service
+ *
+ * Finds who is hot and who is cold from the per-game box score lines
+ * (GameStatistic) of a season:
+ * - hitting streak: consecutive games with a hit. Games without a plate appearance
+ *   are skipped, and a game of only walks or hit-by-pitches neither extends nor
+ *   breaks it.
+ * - on-base streak: consecutive games reaching base by hit, walk or hit-by-pitch
+ * - scoreless innings: consecutive outs recorded in appearances without a run
+ *   allowed. Box scores do not say when in an outing a run scored, so an appearance
+ *   with a run ends the streak and starts it over at zero.
+ * - slumps and surges: the on-base rate over the last few games (baserunners per
+ *   batter faced for pitchers) compared with the rest of the player's season by a
+ *   two-sided z-test on a binomial proportion. A window that differs at the 95%
+ *   level is a surge (hot) or slump (cold). When the rest of the season is too
+ *   small a sample, the team's season rate is the baseline instead.
+ *
+ * getTeamStreaks builds the team "who's hot" list and can email it to the team
+ * through notificationService.
+ *
+ * @module services/streakService
+ */
+
+const { Op } = require('sequelize');
+const { Game, GameStatistic, Player } = require('../models');
+const notificationService = require('./notificationService');
+const { inningsToOuts } = require('./pitcherWorkloadService');
+const { outsToInnings } = require('./liveScoringService');
+
+/**
+ * Games in the rolling window
+ * @type {number}
+ */
+const DEFAULT_WINDOW_GAMES = 7;
+
+/**
+ * |z| at or above which a window is a slump or surge (two-sided 95%)
+ * @type {number}
+ */
+const SIGNIFICANCE_Z = 1.96;
+
+/**
+ * Plate appearances (batters faced) the window needs before it is tested
+ * @type {number}
+ */
+const MIN_WINDOW_SAMPLE = 15;
+
+/**
+ * Plate appearances (batters faced) the rest of the season needs to be the baseline
+ * @type {number}
+ */
+const MIN_BASELINE_SAMPLE = 30;
+
+/**
+ * Current streak length from which a player makes the notable streak lists
+ * @type {{hitting: number, on_base: number, scoreless_outs: number}}
+ */
+const NOTABLE_STREAKS = { hitting: 5, on_base: 8, scoreless_outs: 9 };
+
+const num = value => Number(value) || 0;
+
+/**
+ * Plate appearances of a box score line
+ * @param {Object} line - GameStatistic
+ * @returns {number}
+ */
+function plateAppearances(line) {
+  return num(line.at_bats) + num(line.walks) + num(line.hit_by_pitch) + num(line.sacrifice_flies) + num(line.sacrifice_bunts);
+}
+
+/**
+ * Times on base of a box score line
+ * @param {Object} line - GameStatistic
+ * @returns {number}
+ */
+function timesOnBase(line) {
+  return num(line.hits) + num(line.walks) + num(line.hit_by_pitch);
+}
+
+/**
+ * Whether a line has a pitching appearance
+ * @param {Object} line - GameStatistic
+ * @returns {boolean}
+ */
+function pitched(line) {
+  return inningsToOuts(line.innings_pitched) > 0 || num(line.batters_faced) > 0;
+}
+
+/**
+ * Batters faced, estimated from outs, hits and walks when the box score leaves it out
+ * @param {Object} line - GameStatistic
+ * @returns {number}
+ */
+function battersFaced(line) {
+  return num(line.batters_faced) || inningsToOuts(line.innings_pitched) + num(line.hits_allowed) + num(line.walks_allowed);
+}
+
+/**
+ * Game date (YYYY-MM-DD) of a line
+ * @param {Object} line - GameStatistic with game
+ * @returns {string|null}
+ */
+function lineDate(line) {
+  return line.game && line.game.game_date ? new Date(line.game.game_date).toISOString().slice(0, 10) : null;
+}
+
+/**
+ * Track a streak over a sequence of games
+ * @returns {{extend: Function, reset: Function, result: Function}}
+ */
+function streakCounter() {
+  let current = 0;
+  let since = null;
+  let longest = 0;
+  let longestEnded = null;
+  let last = null;
+
+  return {
+    extend(amount, date) {
+      if (current === 0) {
+        since = date;
+      }
+      current += amount;
+      last = date;
+      if (current > longest) {
+        longest = current;
+        longestEnded = null;
+      }
+    },
+    reset() {
+      if (current === longest && current > 0) {
+        longestEnded = last;
+      }
+      current = 0;
+      since = null;
+    },
+    result() {
+      return { current, since, longest, longest_ended: current === longest ? null : longestEnded };
+    }
+  };
+}
+
+/**
+ * Hitting and on-base streaks
+ * @param {Array<Object>} lines - A player's lines, oldest first
+ * @returns {{hitting: Object, on_base: Object}} { current, since, longest, longest_ended } each;
+ *   longest_ended is null while the longest streak is still going
+ */
+function battingStreaks(lines) {
+  const hitting = streakCounter();
+  const onBase = streakCounter();
+
+  for (const line of lines) {
+    if (plateAppearances(line) === 0) {
+      continue;
+    }
+    const date = lineDate(line);
+    if (num(line.hits) > 0) {
+      hitting.extend(1, date);
+    } else if (num(line.at_bats) > 0) {
+      hitting.reset();
+    }
+    if (timesOnBase(line) > 0) {
+      onBase.extend(1, date);
+    } else {
+      onBase.reset();
+    }
+  }
+
+  return { hitting: hitting.result(), on_base: onBase.result() };
+}
+
+/**
+ * Scoreless innings streak
+ * @param {Array<Object>} lines - A player's lines, oldest first
+ * @returns {Object|null} { current, since, longest, longest_ended } in innings notation, or null for non-pitchers
+ */
+function scorelessStreak(lines) {
+  const streak = streakCounter();
+  let appearances = 0;
+
+  for (const line of lines) {
+    if (!pitched(line)) {
+      continue;
+    }
+    appearances += 1;
+    if (num(line.runs_allowed) === 0) {
+      streak.extend(inningsToOuts(line.innings_pitched), lineDate(line));
+    } else {
+      streak.reset();
+    }
+  }
+
+  if (appearances === 0) {
+    return null;
+  }
+  const result = streak.result();
+  return {
+    ...result,
+    current_outs: result.current,
+    current: outsToInnings(result.current),
+    longest: outsToInnings(result.longest)
+  };
+}
+
+/**
+ * Compare the rate over the last games with a baseline
+ * @param {number} successes - Events in the window
+ * @param {number} trials - Chances in the window
+ * @param {number|null} baseline - Expected rate
+ * @returns {number|null} z-score, or null when it cannot be computed
+ */
+function zScore(successes, trials, baseline) {
+  if (trials === 0 || baseline === null || baseline <= 0 || baseline >= 1) {
+    return null;
+  }
+  return (successes / trials - baseline) / Math.sqrt((baseline * (1 - baseline)) / trials);
+}
+
+/**
+ * Rolling-window trend: the last `window` games against the rest of the season
+ * @param {Array<Object>} games - { successes, trials } per game, oldest first
+ * @param {Object} options
+ * @param {number} options.window - Games in the window
+ * @param {number|null} options.fallbackRate - Team rate used when the rest of the season is too small
+ * @param {boolean} [options.higherIsBetter=true] - Whether a higher rate is hot
+ * @returns {Object} { games, window: {successes, trials, rate}, baseline: {trials, rate, source}, z, status }
+ */
+function rollingTrend(games, { window, fallbackRate, higherIsBetter = true }) {
+  const recent = games.slice(-window);
+  const earlier = games.slice(0, Math.max(0, games.length - window));
+  const sum = (list, field) => list.reduce((total, game) => total + game[field], 0);
+
+  const windowSuccesses = sum(recent, 'successes');
+  const windowTrials = sum(recent, 'trials');
+  const baselineTrials = sum(earlier, 'trials');
+  const ownBaseline = baselineTrials >= MIN_BASELINE_SAMPLE;
+  const baselineRate = ownBaseline ? sum(earlier, 'successes') / baselineTrials : fallbackRate;
+
+  const z = windowTrials >= MIN_WINDOW_SAMPLE ? zScore(windowSuccesses, windowTrials, baselineRate) : null;
+  let status = null;
+  if (z !== null && Math.abs(z) >= SIGNIFICANCE_Z) {
+    status = (z > 0) === higherIsBetter ? 'hot' : 'cold';
+  }
+
+  const round3 = value => (value === null ? null : Math.round(value * 1000) / 1000);
+  return {
+    games: recent.length,
+    window: { successes: windowSuccesses, trials: windowTrials, rate: round3(windowTrials > 0 ? windowSuccesses / windowTrials : null) },
+    baseline: { trials: ownBaseline ? baselineTrials : null, rate: round3(baselineRate), source: ownBaseline ? 'player' : 'team' },
+    z: z === null ? null : Math.round(z * 100) / 100,
+    status
+  };
+}
+
+/**
+ * Streaks and trends of one player
+ * @param {Array<Object>} lines - The player's lines, oldest first
+ * @param {Object} options
+ * @param {number} [options.window=DEFAULT_WINDOW_GAMES] - Games in the rolling window
+ * @param {Object} [options.teamRates] - { on_base, baserunners } team season rates
+ * @returns {Object} { games, streaks: { hitting, on_base, scoreless }, trends: { batting, pitching } }
+ */
+function evaluatePlayer(lines, { window = DEFAULT_WINDOW_GAMES, teamRates = {} } = {}) {
+  const batting = lines.filter(line => plateAppearances(line) > 0);
+  const pitching = lines.filter(pitched);
+  const { hitting, on_base: onBase } = battingStreaks(lines);
+
+  return {
+    games: lines.length,
+    streaks: {
+      hitting: batting.length > 0 ? hitting : null,
+      on_base: batting.length > 0 ? onBase : null,
+      scoreless: scorelessStreak(lines)
+    },
+    trends: {
+      batting: batting.length > 0
+        ? rollingTrend(batting.map(line => ({ successes: timesOnBase(line), trials: plateAppearances(line) })), {
+          window,
+          fallbackRate: teamRates.on_base === undefined ? null : teamRates.on_base
+        })
+        : null,
+      pitching: pitching.length > 0
+        ? rollingTrend(pitching.map(line => ({
+          successes: num(line.hits_allowed) + num(line.walks_allowed),
+          trials: battersFaced(line)
+        })), {
+          window,
+          fallbackRate: teamRates.baserunners === undefined ? null : teamRates.baserunners,
+          higherIsBetter: false
+        })
+        : null
+    }
+  };
+}
+
+/**
+ * Team season rates used as the baseline for players without enough games
+ * @param {Array<Object>} lines - Every line of the season
+ * @returns {{on_base: number|null, baserunners: number|null}}
+ */
+function teamRatesOf(lines) {
+  let onBase = 0;
+  let pa = 0;
+  let baserunners = 0;
+  let faced = 0;
+  for (const line of lines) {
+    onBase += timesOnBase(line);
+    pa += plateAppearances(line);
+    if (pitched(line)) {
+      baserunners += num(line.hits_allowed) + num(line.walks_allowed);
+      faced += battersFaced(line);
+    }
+  }
+  return { on_base: pa > 0 ? onBase / pa : null, baserunners: faced > 0 ? baserunners / faced : null };
+}
+
+/**
+ * Season to report: the one asked for, else the season of the team's latest game
+ * @param {number} teamId
+ * @param {string|null} season
+ * @returns {Promise<string|null>}
+ */
+async function resolveSeason(teamId, season) {
+  if (season) {
+    return season;
+  }
+  const latest = await Game.findOne({
+    where: { team_id: teamId, season: { [Op.ne]: null } },
+    attributes: ['season'],
+    order: [['game_date', 'DESC']]
+  });
+  return latest ? latest.season : null;
+}
+
+/**
+ * Box score lines of a season, oldest first
+ * @param {number} teamId
+ * @param {string} season
+ * @returns {Promise<Array<Object>>}
+ */
+function loadLines(teamId, season) {
+  return GameStatistic.findAll({
+    where: { team_id: teamId },
+    include: [
+      { model: Game, as: 'game', where: { season }, attributes: ['id', 'game_date', 'opponent'] },
+      { model: Player, as: 'player', attributes: ['id', 'first_name', 'last_name', 'jersey_number', 'position'] }
+    ],
+    order: [[{ model: Game, as: 'game' }, 'game_date', 'ASC'], [{ model: Game, as: 'game' }, 'id', 'ASC']]
+  });
+}
+
+/**
+ * Player summary for the lists
+ * @param {Object} player - Player
+ * @returns {Object}
+ */
+function playerInfo(player) {
+  return {
+    player_id: player.id,
+    name: `${player.first_name} ${player.last_name}`,
+    jersey_number: player.jersey_number,
+    position: player.position
+  };
+}
+
+/**
+ * The team's "who's hot" list for a season
+ * @param {number} teamId - Team ID
+ * @param {Object} [options] - Options
+ * @param {string} [options.season] - Season; defaults to the season of the latest game
+ * @param {number} [options.window=DEFAULT_WINDOW_GAMES] - Games in the rolling window
+ * @param {boolean} [options.notify=false] - Email the list to the team (playerUpdates notifications)
+ * @param {number} [options.userId] - User asking, left out of the notification
+ * @returns {Promise<Object|null>} { season, window_games, hot, cold, streaks, players }, or null without games
+ */
+async function getTeamStreaks(teamId, { season = null, window = DEFAULT_WINDOW_GAMES, notify = false, userId = null } = {}) {
+  const seasonId = await resolveSeason(teamId, season);
+  if (!seasonId) {
+    return null;
+  }
+
+  const lines = await loadLines(teamId, seasonId);
+  const teamRates = teamRatesOf(lines);
+  const byPlayer = new Map();
+  for (const line of lines) {
+    if (!line.player) {
+      continue;
+    }
+    if (!byPlayer.has(line.player_id)) {
+      byPlayer.set(line.player_id, { player: line.player, lines: [] });
+    }
+    byPlayer.get(line.player_id).lines.push(line);
+  }
+
+  const players = [...byPlayer.values()].map(({ player, lines: playerLines }) => ({
+    ...playerInfo(player),
+    ...evaluatePlayer(playerLines, { window, teamRates })
+  }));
+
+  const trendEntries = status => players.flatMap(player => ['batting', 'pitching']
+    .filter(kind => player.trends[kind] && player.trends[kind].status === status)
+    .map(kind => ({
+      player_id: player.player_id,
+      name: player.name,
+      jersey_number: player.jersey_number,
+      position: player.position,
+      kind,
+      ...player.trends[kind]
+    })))
+    .sort((a, b) => Math.abs(b.z) - Math.abs(a.z));
+
+  const notable = (kind, threshold, length = streak => streak.current) => players
+    .filter(player => player.streaks[kind] && length(player.streaks[kind]) >= threshold)
+    .map(player => ({
+      player_id: player.player_id,
+      name: player.name,
+      jersey_number: player.jersey_number,
+      ...player.streaks[kind]
+    }))
+    .sort((a, b) => length(b) - length(a));
+
+  const report = {
+    season: seasonId,
+    window_games: window,
+    team_rates: {
+      on_base: teamRates.on_base === null ? null : Math.round(teamRates.on_base * 1000) / 1000,
+      baserunners: teamRates.baserunners === null ? null : Math.round(teamRates.baserunners * 1000) / 1000
+    },
+    hot: trendEntries('hot'),
+    cold: trendEntries('cold'),
+    streaks: {
+      hitting: notable('hitting', NOTABLE_STREAKS.hitting),
+      on_base: notable('on_base', NOTABLE_STREAKS.on_base),
+      scoreless: notable('scoreless', NOTABLE_STREAKS.scoreless_outs, streak => streak.current_outs)
+    },
+    players
+  };
+
+  if (notify) {
+    report.notified = await notificationService.sendStreakNotification(report, teamId, userId);
+  }
+  return report;
+}
+
+/**
+ * Streaks and trends of one player for a season
+ * @param {number} teamId - Team ID
+ * @param {number} playerId - Player ID (already checked to be on the team)
+ * @param {Object} [options] - Options
+ * @param {string} [options.season] - Season; defaults to the season of the team's latest game
+ * @param {number} [options.window=DEFAULT_WINDOW_GAMES] - Games in the rolling window
+ * @returns {Promise<Object|null>} { season, window_games, games, streaks, trends }, or null without a season
+ */
+async function getPlayerStreaks(teamId, playerId, { season = null, window = DEFAULT_WINDOW_GAMES } = {}) {
+  const seasonId = await resolveSeason(teamId, season);
+  if (!seasonId) {
+    return null;
+  }
+
+  // The team's lines give the fallback baseline
+  const lines = await loadLines(teamId, seasonId);
+  return {
+    season: seasonId,
+    window_games: window,
+    ...evaluatePlayer(lines.filter(line => line.player_id === Number(playerId)), { window, teamRates: teamRatesOf(lines) })
+  };
+}
+
+module.exports = {
+  DEFAULT_WINDOW_GAMES,
+  SIGNIFICANCE_Z,
+  NOTABLE_STREAKS,
+  battingStreaks,
+  scorelessStreak,
+  rollingTrend,
+  evaluatePlayer,
+  teamRatesOf,
+  getTeamStreaks,
+  getPlayerStreaks
+};
@@ -0,0 +1,412 @@
+/**
+ * Two-Factor Authentication Service
+ *
+ * Implements time-based one-time passwords (TOTP, RFC 6238) for user accounts:
+ * secret generation, otpauth:// provisioning URIs and QR codes, code verification
+ * with replay protection, single-use recovery codes, and the short-lived challenge
+ * token that bridges the password step and the code step of a two-factor login.
+ *
+ * TOTP secrets are stored encrypted via encryptionService. Recovery codes are only
+ * returned in plaintext once, at generation time; the database keeps SHA-256 hashes.
+ *
+ * Environment Variables:
+ * - TWO_FACTOR_ISSUER: Issuer label shown in authenticator apps (default: Sports2)
+ * - TWO_FACTOR_CHALLENGE_EXPIRES_IN: Lifetime of login challenge tokens (default: 5m)
+ *
+ * @module services/twoFactorService
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const encryptionService = require('./encryptionService');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const SECRET_BYTES = 20;
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_WINDOW = 1;
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_PURPOSE = '2fa_challenge';
+
+/**
+ * Encode a buffer as unpadded RFC 4648 base32
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = ((value << 8) | byte) & 0xffff;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decode an RFC 4648 base32 string (case-insensitive, padding and spaces ignored)
+ * @param {string} input
+ * @returns {Buffer}
+ * @throws {Error} If the string contains characters outside the base32 alphabet
+ */
+function base32Decode(input) {
+  const cleaned = String(input).toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = ((value << 5) | index) & 0xffff;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {string} Base32-encoded 160-bit secret
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(SECRET_BYTES));
+}
+
+/**
+ * Get the TOTP time step for a timestamp
+ * @param {number} [timestamp=Date.now()] - Milliseconds since epoch
+ * @returns {number}
+ */
+function getTimeStep(timestamp = Date.now()) {
+  return Math.floor(timestamp / 1000 / TOTP_PERIOD_SECONDS);
+}
+
+/**
+ * Generate the HOTP value (RFC 4226) for a counter
+ * @param {string} secret - Base32-encoded secret
+ * @param {number} counter - Moving factor (TOTP time step)
+ * @returns {string} Zero-padded numeric code
+ */
+function generateHotp(secret, counter) {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Generate the TOTP code for a secret at a point in time
+ * @param {string} secret - Base32-encoded secret
+ * @param {number} [timestamp=Date.now()] - Milliseconds since epoch
+ * @returns {string}
+ */
+function generateTotp(secret, timestamp = Date.now()) {
+  return generateHotp(secret, getTimeStep(timestamp));
+}
+
+/**
+ * Verify a TOTP code, allowing for clock drift of one step either side
+ * @param {string} secret - Base32-encoded secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} [options]
+ * @param {number} [options.timestamp=Date.now()] - Milliseconds since epoch
+ * @param {number|null} [options.lastUsedStep] - Last accepted step; it and earlier steps are rejected (replay protection)
+ * @returns {number|null} The matched time step, or null if the code is invalid
+ */
+function verifyTotp(secret, code, options = {}) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+
+  const currentStep = getTimeStep(options.timestamp);
+  const lastUsedStep = options.lastUsedStep === null || options.lastUsedStep === undefined
+    ? null
+    : Number(options.lastUsedStep);
+
+  for (let step = currentStep - TOTP_WINDOW; step <= currentStep + TOTP_WINDOW; step++) {
+    if (lastUsedStep !== null && step <= lastUsedStep) {
+      continue;
+    }
+    if (encryptionService.secureCompare(generateHotp(secret, step), normalized)) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build the otpauth:// provisioning URI understood by authenticator apps
+ * @param {string} secret - Base32-encoded secret
+ * @param {string} accountName - Account label (the user's email)
+ * @param {string} [issuer] - Issuer label
+ * @returns {string}
+ */
+function buildOtpAuthUri(secret, accountName, issuer = process.env.TWO_FACTOR_ISSUER || 'Sports2') {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * Render a provisioning URI as a PNG data URI
+ * @param {string} otpauthUri
+ * @returns {Promise<string>} data:image/png;base64,...
+ */
+function generateQrCode(otpauthUri) {
+  return QRCode.toDataURL(otpauthUri, { errorCorrectionLevel: 'M', margin: 2, width: 240 });
+}
+
+/**
+ * Normalize a recovery code for hashing (case, spacing and dashes are ignored)
+ * @param {string} code
+ * @returns {string}
+ */
+function normalizeRecoveryCode(code) {
+  return String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Hash a recovery code for storage
+ * @param {string} code
+ * @returns {string} Hex SHA-256 digest
+ */
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+}
+
+/**
+ * Generate a fresh set of recovery codes
+ * @param {number} [count=10]
+ * @returns {{codes: string[], hashes: string[]}} Plaintext codes (shown once) and their hashes
+ */
+function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+  const codes = [];
+  for (let i = 0; i < count; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+/**
+ * Start two-factor enrollment: store a new pending secret and return provisioning data
+ * @param {Object} user - User model instance
+ * @returns {Promise<{secret: string, otpauthUrl: string, qrCode: string}>}
+ */
+async function beginSetup(user) {
+  const secret = generateSecret();
+  const otpauthUrl = buildOtpAuthUri(secret, user.email);
+
+  await user.update({ two_factor_pending_secret_encrypted: encryptionService.encrypt(secret) });
+
+  return {
+    secret,
+    otpauthUrl,
+    qrCode: await generateQrCode(otpauthUrl)
+  };
+}
+
+/**
+ * Finish two-factor enrollment by verifying a code against the pending secret
+ * @param {Object} user - User model instance
+ * @param {string} code - TOTP code from the authenticator app
+ * @returns {Promise<string[]|null>} Plaintext recovery codes, or null if the code is invalid
+ * @throws {Error} If no enrollment is in progress
+ */
+async function confirmSetup(user, code) {
+  if (!user.two_factor_pending_secret_encrypted) {
+    throw new Error('Two-factor setup has not been started');
+  }
+
+  const secret = encryptionService.decrypt(user.two_factor_pending_secret_encrypted);
+  const step = verifyTotp(secret, code);
+  if (step === null) {
+    return null;
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  await user.update({
+    two_factor_enabled: true,
+    two_factor_secret_encrypted: user.two_factor_pending_secret_encrypted,
+    two_factor_pending_secret_encrypted: null,
+    two_factor_recovery_codes: hashes,
+    two_factor_last_used_step: step,
+    two_factor_enabled_at: new Date()
+  });
+
+  return codes;
+}
+
+/**
+ * Verify a TOTP code against the user's active secret and record it as used
+ * @param {Object} user - User model instance with two-factor enabled
+ * @param {string} code
+ * @returns {Promise<boolean>}
+ */
+async function verifyUserTotp(user, code) {
+  if (!user.two_factor_enabled || !user.two_factor_secret_encrypted) {
+    return false;
+  }
+
+  const secret = encryptionService.decrypt(user.two_factor_secret_encrypted);
+  const step = verifyTotp(secret, code, { lastUsedStep: user.two_factor_last_used_step });
+  if (step === null) {
+    return false;
+  }
+
+  await user.update({ two_factor_last_used_step: step });
+  return true;
+}
+
+/**
+ * Consume one of the user's recovery codes
+ * @param {Object} user - User model instance with two-factor enabled
+ * @param {string} code
+ * @returns {Promise<boolean>} True if the code matched (it is removed and cannot be reused)
+ */
+async function consumeRecoveryCode(user, code) {
+  const hashes = user.two_factor_recovery_codes || [];
+  const candidate = hashRecoveryCode(code);
+  const match = hashes.find(hash => encryptionService.secureCompare(hash, candidate));
+
+  if (!normalizeRecoveryCode(code) || !match) {
+    return false;
+  }
+
+  await user.update({ two_factor_recovery_codes: hashes.filter(hash => hash !== match) });
+  return true;
+}
+
+/**
+ * Verify a second-factor code, accepting either a TOTP code or a recovery code
+ * @param {Object} user - User model instance with two-factor enabled
+ * @param {string} code
+ * @returns {Promise<{method: string, remainingRecoveryCodes: number}|null>} Null if the code is invalid
+ */
+async function verifySecondFactor(user, code) {
+  const normalized = String(code || '').replace(/\s/g, '');
+
+  if (/^\d{6}$/.test(normalized)) {
+    if (await verifyUserTotp(user, normalized)) {
+      return { method: 'totp', remainingRecoveryCodes: (user.two_factor_recovery_codes || []).length };
+    }
+    return null;
+  }
+
+  if (await consumeRecoveryCode(user, normalized)) {
+    return { method: 'recovery_code', remainingRecoveryCodes: user.two_factor_recovery_codes.length };
+  }
+
+  return null;
+}
+
+/**
+ * Replace the user's recovery codes with a new set
+ * @param {Object} user - User model instance
+ * @returns {Promise<string[]>} Plaintext recovery codes
+ */
+async function regenerateRecoveryCodes(user) {
+  const { codes, hashes } = generateRecoveryCodes();
+  await user.update({ two_factor_recovery_codes: hashes });
+  return codes;
+}
+
+/**
+ * Turn off two-factor authentication and discard all secrets and recovery codes
+ * @param {Object} user - User model instance
+ * @returns {Promise<void>}
+ */
+async function disable(user) {
+  await user.update({
+    two_factor_enabled: false,
+    two_factor_secret_encrypted: null,
+    two_factor_pending_secret_encrypted: null,
+    two_factor_recovery_codes: null,
+    two_factor_last_used_step: null,
+    two_factor_enabled_at: null
+  });
+}
+
+/**
+ * Issue the short-lived token returned by /auth/login when a second factor is required.
+ * The token carries a purpose claim so it is never accepted as a session token.
+ * @param {number} userId
+ * @returns {string} Signed JWT
+ */
+function createChallengeToken(userId) {
+  return jwt.sign(
+    { id: userId, purpose: CHALLENGE_PURPOSE, jti: crypto.randomUUID() },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m' }
+  );
+}
+
+/**
+ * Verify a login challenge token
+ * @param {string} token
+ * @returns {Object} Decoded payload ({ id, purpose, jti, iat, exp })
+ * @throws {Error} If the token is invalid, expired, or not a challenge token
+ */
+function verifyChallengeToken(token) {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.purpose !== CHALLENGE_PURPOSE) {
+    throw new Error('Not a two-factor challenge token');
+  }
+  return decoded;
+}
+
+module.exports = {
+  CHALLENGE_PURPOSE,
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpAuthUri,
+  generateQrCode,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  beginSetup,
+  confirmSetup,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disable,
+  createChallengeToken,
+  verifyChallengeToken
+};
@@ -0,0 +1,41 @@
+const { detectDelimiter, parseCSV, parseCSVWithHeaders } = require('../csvParser');
+
+describe('csvParser', () => {
+  describe('parseCSV', () => {
+    it('reads quoted fields with commas, doubled quotes and line breaks', () => {
+      const text = 'name,notes\r\n"Doe, John","Said ""wow""\nafter BP"\r\nSmith,\r\n';
+
+      expect(parseCSV(text)).toEqual([
+        ['name', 'notes'],
+        ['Doe, John', 'Said "wow"\nafter BP'],
+        ['Smith', '']
+      ]);
+    });
+
+    it('drops a byte order mark and blank lines', () => {
+      expect(parseCSV('\uFEFFa,b\n\n1,2')).toEqual([['a', 'b'], ['1', '2']]);
+    });
+
+    it('returns no rows for empty input', () => {
+      expect(parseCSV('')).toEqual([]);
+      expect(parseCSV(null)).toEqual([]);
+    });
+  });
+
+  describe('detectDelimiter', () => {
+    it('picks the delimiter used most in the header line', () => {
+      expect(detectDelimiter('name;pos;"a,b"\nx,y,z')).toBe(';');
+      expect(detectDelimiter('name\tpos\n')).toBe('\t');
+      expect(detectDelimiter('name')).toBe(',');
+    });
+  });
+
+  describe('parseCSVWithHeaders', () => {
+    it('keys each row by trimmed header and fills missing trailing fields', () => {
+      expect(parseCSVWithHeaders(' Name ;Pos\nJohn;SS\nMike')).toEqual({
+        headers: ['Name', 'Pos'],
+        records: [{ Name: 'John', Pos: 'SS' }, { Name: 'Mike', Pos: '' }]
+      });
+    });
+  });
+});
@@ -0,0 +1,223 @@
+'use strict';
+
+const {
+  CLASSIFIER_VERSION,
+  createHalfInningState,
+  classifyPlay,
+  classifyPlayByPlay,
+  needsClassification
+} = require('../playOutcomeClassifier');
+const { parsePlayByPlay } = require('../playByPlayParser');
+
+/**
+ * Classify narratives in order within one half-inning
+ */
+const classifyHalf = (narratives) => {
+  const state = createHalfInningState();
+  return narratives.map(narrative => classifyPlay(narrative, state));
+};
+
+describe('playOutcomeClassifier', () => {
+  describe('batter results', () => {
+    it.each([
+      ['Smith struck out looking (1-2 KBFK).', 'KL', true],
+      ['Smith struck out swinging (0-2 SFS).', 'KS', true],
+      ['Smith walked (3-1 BBKBB).', 'BB', false],
+      ['Smith intentionally walked.', 'IBB', false],
+      ['Smith hit by pitch (0-1 K).', 'HBP', false],
+      ['Smith singled to left field (0-0).', '1B', true],
+      ['Smith doubled down the lf line (2-1 BKB).', '2B', true],
+      ['Smith tripled to right center (1-1 BK).', '3B', true],
+      ['Smith homered to center field (0-1 K).', 'HR', true],
+      ['Smith grounded out to ss (2-2 BFBS).', 'GO', true],
+      ['Smith flied out to rf (1-0 B).', 'FO', true],
+      ['Smith lined out to 2b (0-0).', 'LO', true],
+      ['Smith popped up to 3b (0-1 F).', 'PO', true],
+      ['Smith fouled out to c (0-0).', 'FO', true],
+      ['Smith reached on a throwing error by 3b (0-0).', 'E', true],
+      ['Smith reached on a fielder\'s choice (1-1 BK).', 'FC', true]
+    ])('classifies "%s" as %s', (narrative, code, isAtBat) => {
+      const [event] = classifyHalf([narrative]);
+
+      expect(event.code).toBe(code);
+      expect(event.batter).toBe('Smith');
+      expect(event.is_plate_appearance).toBe(true);
+      expect(event.is_at_bat).toBe(isAtBat);
+    });
+
+    it('records fielders for outs and location for hits', () => {
+      const [groundOut, single, error] = classifyHalf([
+        'C. Smith grounded out to 2b (0-0).',
+        'Jones singled through the left side (1-1 BK).',
+        'Lee reached on an error by ss (E6) (0-0).'
+      ]);
+
+      expect(groundOut.batter).toBe('C. Smith');
+      expect(groundOut.fielders).toEqual(['2B']);
+      expect(single.location).toBe('LS');
+      expect(single.fielders).toEqual([]);
+      expect(error.fielders).toEqual(['SS']);
+    });
+
+    it('reads the pitch count without mistaking the sequence for a result', () => {
+      const [event] = classifyHalf(['Smith grounded out to p (0-2 SF).']);
+
+      expect(event.code).toBe('GO');
+      expect(event.pitch_count).toEqual({ balls: 0, strikes: 2, sequence: 'SF' });
+    });
+
+    it('classifies sacrifices, with or without an out', () => {
+      const [bunt, fly] = classifyHalf([
+        'Smith grounded out to p, SAC, bunt (0-0); Jones advanced to second.',
+        'Lee flied out to cf, SF, RBI (1-0 B); Jones scored.'
+      ]);
+
+      expect(bunt.code).toBe('SH');
+      expect(bunt.is_at_bat).toBe(false);
+      expect(bunt.outs_on_play).toBe(1);
+      expect(fly.code).toBe('SF');
+      expect(fly.rbi).toBe(1);
+      expect(fly.runs_on_play).toBe(1);
+    });
+
+    it('puts the batter on first after a dropped third strike', () => {
+      const [event] = classifyHalf(['Smith struck out swinging, reached first on a wild pitch (1-2 BSFS).']);
+
+      expect(event.code).toBe('KS');
+      expect(event.reached_on).toBe('WP');
+      expect(event.outs_after).toBe(0);
+      expect(event.bases_after).toEqual({ first: 'Smith', second: null, third: null });
+    });
+  });
+
+  describe('base and out state', () => {
+    it('tracks runners through a half-inning', () => {
+      const events = classifyHalf([
+        'Adams singled to lf (0-0).',
+        'Baker walked (3-0 BBBB); Adams advanced to second.',
+        'Cole doubled to left center, 2 RBI (1-1 BK); Baker scored; Adams scored.',
+        'Diaz grounded out to ss (0-0); Cole advanced to third.',
+        'Cole scored on a wild pitch.',
+        'Ellis struck out looking (2-2 BKBSK).',
+        'Ford flied out to cf (0-0).'
+      ]);
+
+      expect(events[1].bases_after).toEqual({ first: 'Baker', second: 'Adams', third: null });
+      expect(events[2]).toMatchObject({ rbi: 2, runs_on_play: 2, bases_after: { first: null, second: 'Cole', third: null } });
+      expect(events[3]).toMatchObject({ outs_before: 0, outs_after: 1, bases_after: { first: null, second: null, third: 'Cole' } });
+      expect(events[4]).toMatchObject({ code: 'WP', is_plate_appearance: false, runs_on_play: 1 });
+      expect(events[4].runners).toEqual([{ name: 'Cole', from: 3, to: 4, out: false, reason: 'WP' }]);
+      expect(events[6]).toMatchObject({ outs_before: 2, outs_after: 3, bases_after: { first: null, second: null, third: null } });
+    });
+
+    it('forces runners that the narrative does not mention', () => {
+      const events = classifyHalf([
+        'Adams walked (3-1 BBKBB).',
+        'Baker hit by pitch (0-0).',
+        'Cole walked (3-0 BBBB).',
+        'Diaz walked (3-2 BBKSB).'
+      ]);
+
+      expect(events[2].bases_after).toEqual({ first: 'Cole', second: 'Baker', third: 'Adams' });
+      expect(events[3].runs_on_play).toBe(1);
+      expect(events[3].bases_after).toEqual({ first: 'Diaz', second: 'Cole', third: 'Baker' });
+    });
+
+    it('handles double plays, with or without the runner named', () => {
+      const [, named] = classifyHalf([
+        'Adams singled to rf (0-0).',
+        'Baker grounded into double play ss to 2b to 1b (1-0 B); Adams out on the play.'
+      ]);
+      const [, unnamed] = classifyHalf([
+        'Adams singled to rf (0-0).',
+        'Baker grounded into double play 6-4-3 (0-0).'
+      ]);
+
+      for (const event of [named, unnamed]) {
+        expect(event).toMatchObject({ code: 'GO', double_play: true, outs_on_play: 2, outs_after: 2 });
+        expect(event.bases_after).toEqual({ first: null, second: null, third: null });
+      }
+      expect(named.fielders).toEqual(['SS', '2B', '1B']);
+    });
+
+    it('classifies steals, caught stealing and passed balls', () => {
+      const events = classifyHalf([
+        'Adams singled to cf (0-0).',
+        'Adams stole second.',
+        'Adams advanced to third on a passed ball.',
+        'Baker walked (3-0 BBBB).',
+        'Baker out at second c to ss, caught stealing.'
+      ]);
+
+      expect(events[1]).toMatchObject({ code: 'SB', bases_after: { first: null, second: 'Adams', third: null } });
+      expect(events[2]).toMatchObject({ code: 'PB', bases_after: { first: null, second: null, third: 'Adams' } });
+      expect(events[4]).toMatchObject({ code: 'CS', fielders: ['C', 'SS'], outs_after: 1 });
+      expect(events[4].bases_after).toEqual({ first: null, second: null, third: 'Adams' });
+    });
+
+    it('matches runners by last name when name formats differ', () => {
+      const events = classifyHalf([
+        'Adams, J. doubled to lf (0-0).',
+        'Baker singled to rf, RBI (0-0); J. Adams scored.'
+      ]);
+
+      expect(events[1].runners).toEqual([{ name: 'Adams, J.', from: 2, to: 4, out: false, reason: null }]);
+      expect(events[1].bases_after).toEqual({ first: 'Baker', second: null, third: null });
+    });
+
+    it('renames a runner replaced by a pinch runner', () => {
+      const events = classifyHalf([
+        'Adams singled to lf (0-0).',
+        'Baker pinch ran for Adams.',
+        'Cole doubled to rf (0-0); Baker scored.'
+      ]);
+
+      expect(events[1]).toMatchObject({ code: 'SUB', is_plate_appearance: false });
+      expect(events[1].bases_after.first).toBe('Baker');
+      expect(events[2].runs_on_play).toBe(1);
+    });
+
+    it('marks unrecognized narratives without changing the state', () => {
+      const [, event] = classifyHalf(['Adams singled to lf (0-0).', 'Rain delay.']);
+
+      expect(event.code).toBe('UNK');
+      expect(event.bases_after).toEqual(event.bases_before);
+    });
+  });
+
+  describe('classifyPlayByPlay', () => {
+    it('classifies each half-inning from a clean state and tags the version', () => {
+      const pbp = {
+        innings: [{
+          inning: 1,
+          halves: [
+            { team: 'AWAY', plays: [{ narrative: 'Adams singled to lf (0-0).' }] },
+            { team: 'HOME', plays: [{ narrative: 'Hill doubled to cf (0-0).' }] }
+          ]
+        }]
+      };
+
+      classifyPlayByPlay(pbp);
+
+      expect(pbp.classifier_version).toBe(CLASSIFIER_VERSION);
+      expect(pbp.innings[0].halves[1].plays[0].event.bases_before).toEqual({ first: null, second: null, third: null });
+      expect(needsClassification(pbp)).toBe(false);
+      expect(needsClassification({ innings: [] })).toBe(true);
+      expect(needsClassification(null)).toBe(false);
+    });
+
+    it('runs as part of parsePlayByPlay', () => {
+      const xml = `<bsgame><plays format="summary"><inning number="1"><batting id="STATE" vh="V">
+        <play><batter name="Adams" uni="2" out="0" tobase="1"/><narrative text="Adams singled to rf (0-0)."/></play>
+        <play><batter name="Baker" uni="5" out="1"/><narrative text="Baker flied out to lf (1-1 BK); Adams advanced to second."/></play>
+        </batting></inning></plays></bsgame>`;
+
+      const pbp = parsePlayByPlay(xml);
+      const events = pbp.innings[0].halves[0].plays.map(play => play.event);
+
+      expect(pbp.classifier_version).toBe(CLASSIFIER_VERSION);
+      expect(events.map(event => event.code)).toEqual(['1B', 'FO']);
+      expect(events[1].bases_after).toEqual({ first: null, second: 'Adams', third: null });
+    });
+  });
+});
@@ -0,0 +1,55 @@
+const { parseUserAgent } = require('../userAgentParser');
+
+describe('userAgentParser', () => {
+  it('parses desktop Chrome on Windows', () => {
+    const result = parseUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36');
+
+    expect(result).toEqual({
+      deviceType: 'desktop',
+      browser: 'Chrome',
+      browserVersion: '122',
+      os: 'Windows',
+      device: 'Chrome on Windows'
+    });
+  });
+
+  it('parses Safari on an iPad as a tablet', () => {
+    const result = parseUserAgent('Mozilla/5.0 (iPad; CPU OS 17_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Mobile/15E148 Safari/604.1');
+
+    expect(result.deviceType).toBe('tablet');
+    expect(result.device).toBe('Safari on iPadOS');
+  });
+
+  it('parses mobile browsers on phones', () => {
+    expect(parseUserAgent('Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) CriOS/120.0.6099.119 Mobile/15E148 Safari/604.1')).toMatchObject({
+      deviceType: 'mobile',
+      browser: 'Chrome',
+      os: 'iOS'
+    });
+    expect(parseUserAgent('Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Mobile Safari/537.36')).toMatchObject({
+      deviceType: 'mobile',
+      os: 'Android'
+    });
+  });
+
+  it('detects Chromium-based browsers before Chrome', () => {
+    expect(parseUserAgent('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36 Edg/122.0.2365.66').device)
+      .toBe('Edge on macOS');
+    expect(parseUserAgent('Mozilla/5.0 (X11; Linux x86_64; rv:123.0) Gecko/20100101 Firefox/123.0').device)
+      .toBe('Firefox on Linux');
+  });
+
+  it('flags automated clients', () => {
+    expect(parseUserAgent('curl/8.4.0')).toMatchObject({ deviceType: 'bot', device: 'Automated client' });
+  });
+
+  it('handles missing user agents', () => {
+    expect(parseUserAgent(undefined)).toEqual({
+      deviceType: 'unknown',
+      browser: null,
+      browserVersion: null,
+      os: null,
+      device: 'Unknown device'
+    });
+  });
+});
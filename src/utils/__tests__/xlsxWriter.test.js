@@ -0,0 +1,196 @@
+const zlib = require('zlib');
+const {
+  buildWorkbook,
+  sanitizeSheetName,
+  columnLetter,
+  toExcelDate,
+  escapeXml
+} = require('../xlsxWriter');
+
+/**
+ * Minimal ZIP reader for assertions: walks the central directory and inflates each entry
+ */
+const unzip = (buffer) => {
+  const eocd = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const entryCount = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  const files = {};
+
+  for (let i = 0; i < entryCount; i++) {
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    const localNameLength = buffer.readUInt16LE(localOffset + 26);
+    const localExtraLength = buffer.readUInt16LE(localOffset + 28);
+    const dataStart = localOffset + 30 + localNameLength + localExtraLength;
+    const data = zlib.inflateRawSync(buffer.subarray(dataStart, dataStart + compressedSize));
+
+    expect(zlib.crc32(data)).toBe(buffer.readUInt32LE(offset + 16));
+    files[name] = data.toString('utf8');
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return files;
+};
+
+const battingSheet = {
+  name: 'Batting',
+  columns: [
+    { key: 'name', label: 'Player', format: 'text' },
+    { key: 'at_bats', label: 'AB', format: 'integer' },
+    { key: 'avg', label: 'AVG', format: 'avg' }
+  ],
+  rows: [
+    { name: 'John Doe', at_bats: 120, avg: 0.312 },
+    { name: 'Jim <Smith> & Sons', at_bats: '98', avg: null }
+  ]
+};
+
+describe('xlsxWriter', () => {
+  describe('buildWorkbook', () => {
+    it('produces a ZIP package with all required SpreadsheetML parts', () => {
+      const files = unzip(buildWorkbook([battingSheet]));
+
+      expect(Object.keys(files)).toEqual(expect.arrayContaining([
+        '[Content_Types].xml',
+        '_rels/.rels',
+        'xl/workbook.xml',
+        'xl/_rels/workbook.xml.rels',
+        'xl/styles.xml',
+        'xl/worksheets/sheet1.xml'
+      ]));
+    });
+
+    it('writes one worksheet per sheet definition', () => {
+      const files = unzip(buildWorkbook([
+        battingSheet,
+        { ...battingSheet, name: 'Pitching' },
+        { ...battingSheet, name: 'Fielding' }
+      ]));
+
+      expect(files['xl/worksheets/sheet3.xml']).toBeDefined();
+      expect(files['xl/workbook.xml']).toContain('<sheet name="Batting" sheetId="1" r:id="rId1"/>');
+      expect(files['xl/workbook.xml']).toContain('<sheet name="Fielding" sheetId="3" r:id="rId3"/>');
+      expect(files['[Content_Types].xml']).toContain('/xl/worksheets/sheet3.xml');
+    });
+
+    it('writes numeric columns as typed number cells', () => {
+      const sheet = unzip(buildWorkbook([battingSheet]))['xl/worksheets/sheet1.xml'];
+
+      expect(sheet).toContain('<c r="B2" s="2"><v>120</v></c>');
+      expect(sheet).toContain('<c r="C2" s="5"><v>0.312</v></c>');
+      // String input in a numeric column is still written as a number
+      expect(sheet).toContain('<c r="B3" s="2"><v>98</v></c>');
+      // Empty values produce no cell at all
+      expect(sheet).not.toContain('r="C3"');
+    });
+
+    it('escapes text cells', () => {
+      const sheet = unzip(buildWorkbook([battingSheet]))['xl/worksheets/sheet1.xml'];
+
+      expect(sheet).toContain('Jim &lt;Smith&gt; &amp; Sons');
+    });
+
+    it('freezes the header row and adds an auto-filter by default', () => {
+      const files = unzip(buildWorkbook([battingSheet]));
+      const sheet = files['xl/worksheets/sheet1.xml'];
+
+      expect(sheet).toContain('<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>');
+      expect(sheet).toContain('<autoFilter ref="A1:C3"/>');
+      expect(sheet).toContain('<c r="A1" s="1" t="inlineStr"><is><t xml:space="preserve">Player</t></is></c>');
+      expect(files['xl/workbook.xml']).toContain('_xlnm._FilterDatabase');
+    });
+
+    it('omits headers, frozen panes and filters when headers are disabled', () => {
+      const files = unzip(buildWorkbook([{ ...battingSheet, includeHeaders: false }]));
+      const sheet = files['xl/worksheets/sheet1.xml'];
+
+      expect(sheet).not.toContain('<pane');
+      expect(sheet).not.toContain('<autoFilter');
+      expect(sheet).toContain('<row r="1"><c r="A1" t="inlineStr"><is><t xml:space="preserve">John Doe</t>');
+      expect(files['xl/workbook.xml']).not.toContain('definedNames');
+    });
+
+    it('can disable the auto-filter while keeping headers', () => {
+      const sheet = unzip(buildWorkbook([{ ...battingSheet, autoFilter: false }]))['xl/worksheets/sheet1.xml'];
+
+      expect(sheet).toContain('state="frozen"');
+      expect(sheet).not.toContain('<autoFilter');
+    });
+
+    it('writes dates as Excel serial numbers', () => {
+      const sheet = unzip(buildWorkbook([{
+        name: 'Games',
+        columns: [{ key: 'date', label: 'Date', format: 'date' }],
+        rows: [{ date: '2024-01-01T00:00:00Z' }]
+      }]))['xl/worksheets/sheet1.xml'];
+
+      expect(sheet).toContain('<c r="A2" s="6"><v>45292</v></c>');
+    });
+
+    it('keeps numbers numeric in auto columns', () => {
+      const sheet = unzip(buildWorkbook([{
+        name: 'Summary',
+        columns: [{ key: 'value', label: 'Value', format: 'auto' }],
+        rows: [{ value: 42 }, { value: '12-4' }]
+      }]))['xl/worksheets/sheet1.xml'];
+
+      expect(sheet).toContain('<c r="A2"><v>42</v></c>');
+      expect(sheet).toContain('<c r="A3" t="inlineStr"><is><t xml:space="preserve">12-4</t></is></c>');
+    });
+
+    it('throws when no sheets are provided', () => {
+      expect(() => buildWorkbook([])).toThrow('Workbook must contain at least one sheet');
+    });
+  });
+
+  describe('sanitizeSheetName', () => {
+    it('removes invalid characters and truncates to 31 characters', () => {
+      const used = new Set();
+      expect(sanitizeSheetName('Stats [2024]: A/B', used)).toBe('Stats  2024   A B');
+      expect(sanitizeSheetName('x'.repeat(40), used)).toHaveLength(31);
+    });
+
+    it('makes duplicate names unique (case-insensitive)', () => {
+      const used = new Set();
+      expect(sanitizeSheetName('Batting', used)).toBe('Batting');
+      expect(sanitizeSheetName('batting', used)).toBe('batting (2)');
+      expect(sanitizeSheetName('Batting', used)).toBe('Batting (3)');
+    });
+
+    it('falls back to a default name', () => {
+      expect(sanitizeSheetName('', new Set())).toBe('Sheet');
+    });
+  });
+
+  describe('columnLetter', () => {
+    it('converts indexes to column references', () => {
+      expect(columnLetter(0)).toBe('A');
+      expect(columnLetter(25)).toBe('Z');
+      expect(columnLetter(26)).toBe('AA');
+      expect(columnLetter(701)).toBe('ZZ');
+      expect(columnLetter(702)).toBe('AAA');
+    });
+  });
+
+  describe('toExcelDate', () => {
+    it('converts dates to serial numbers', () => {
+      expect(toExcelDate('1900-03-01T00:00:00Z')).toBe(61);
+      expect(toExcelDate(new Date('2026-02-15T12:00:00Z'))).toBe(46068.5);
+    });
+
+    it('returns null for invalid dates', () => {
+      expect(toExcelDate('not a date')).toBeNull();
+    });
+  });
+
+  describe('escapeXml', () => {
+    it('escapes markup and strips invalid control characters', () => {
+      expect(escapeXml('a < b & "c"\u0001')).toBe('a &lt; b &amp; &quot;c&quot;');
+    });
+  });
+});
@@ -166,19 +166,81 @@ function parseStarters(starters) {
 }
 
 /**
- * Extract game-level info from the root element
+ * Extract game-level info from the root element. StatCrew files carry it on
+ * <venue> instead.
  */
 function extractGameInfo(game) {
+  const venue = game.venue && typeof game.venue === 'object' ? game.venue : {};
   return {
-    date: game.date || null,
-    location: game.location || game.stadium || null,
-    attendance: game.attend || game.attendance || null,
-    duration: game.duration || null,
-    weather: game.weather || null,
+    date: game.date || venue.date || null,
+    location: game.location || game.stadium || venue.location || venue.stadium || null,
+    attendance: game.attend || game.attendance || venue.attend || null,
+    duration: game.duration || venue.duration || null,
+    weather: game.weather || venue.weather || null,
     status: game.status || null,
   };
 }
 
+/**
+ * Map a parsed <player> to the stat columns shared by GameStatistic and
+ * OpponentGameStat. Missing or unparseable counts become 0.
+ * @param {Object} player - Player from parseBoxScore
+ * @returns {Object} Batting, pitching and fielding columns
+ */
+function toStatColumns(player) {
+  const hitting = player.hitting || {};
+  const pitching = player.pitching || {};
+  const fielding = player.fielding || {};
+  const int = (val) => {
+    const n = parseInt(val, 10);
+    return isNaN(n) ? 0 : n;
+  };
+  const float = (val) => {
+    const n = parseFloat(val);
+    return isNaN(n) ? 0 : n;
+  };
+  const flag = (val) => val === 'true' || val === '1' || val === true;
+
+  return {
+    // Batting
+    at_bats: int(hitting.ab),
+    runs: int(hitting.r),
+    hits: int(hitting.h),
+    doubles: int(hitting.double),
+    triples: int(hitting.triple),
+    home_runs: int(hitting.hr),
+    rbi: int(hitting.rbi),
+    walks: int(hitting.bb),
+    strikeouts_batting: int(hitting.so),
+    stolen_bases: int(hitting.sb),
+    caught_stealing: int(hitting.cs),
+    hit_by_pitch: int(hitting.hbp),
+    sacrifice_flies: int(hitting.sf),
+    sacrifice_bunts: int(hitting.sh),
+
+    // Pitching
+    innings_pitched: float(pitching.ip),
+    hits_allowed: int(pitching.h),
+    runs_allowed: int(pitching.r),
+    earned_runs: int(pitching.er),
+    walks_allowed: int(pitching.bb),
+    strikeouts_pitching: int(pitching.so),
+    home_runs_allowed: int(pitching.hr),
+    batters_faced: int(pitching.bf),
+    pitches_thrown: int(pitching.pitches),
+    strikes_thrown: int(pitching.strikes),
+    win: flag(pitching.win),
+    loss: flag(pitching.loss),
+    save: flag(pitching.save),
+    hold: flag(pitching.hold),
+
+    // Fielding
+    putouts: int(fielding.po),
+    assists: int(fielding.a),
+    errors: int(fielding.e)
+  };
+}
+
 /**
  * Extract all attributes from an element.
  * fast-xml-parser puts attributes directly on the object.
@@ -203,4 +265,4 @@ function ensureArray(val) {
   return Array.isArray(val) ? val : [val];
 }
 
-module.exports = { parseBoxScore };
+module.exports = { parseBoxScore, toStatColumns };
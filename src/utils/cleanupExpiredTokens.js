@@ -3,7 +3,8 @@
  * Token Blacklist Cleanup Utility
  *
  * Removes expired token entries from the token_blacklist table to prevent
- * database bloat and maintain optimal query performance. This script should
+ * database bloat and maintain optimal query performance, along with session
+ * records (user_sessions) and refresh tokens that have expired. This script should
  * be run periodically via cron job or scheduled task.
  *
  * Usage:
@@ -18,6 +19,8 @@
 require('dotenv').config();
 const { sequelize } = require('../config/database');
 const tokenBlacklistService = require('../services/tokenBlacklistService');
+const sessionService = require('../services/sessionService');
+const refreshTokenService = require('../services/refreshTokenService');
 
 /**
  * Main cleanup execution function.
@@ -40,6 +43,8 @@ async function main() {
 
     // Run the cleanup operation
     const deletedCount = await tokenBlacklistService.cleanupExpiredTokens();
+    const deletedSessions = await sessionService.cleanupExpiredSessions();
+    const deletedRefreshTokens = await refreshTokenService.cleanupExpiredRefreshTokens();
 
     const elapsedTime = ((Date.now() - startTime) / 1000).toFixed(2);
 
@@ -49,6 +54,8 @@ async function main() {
     process.stdout.write('================================================================================\n');
     process.stdout.write('\n');
     process.stdout.write(`Expired entries removed: ${deletedCount}\n`);
+    process.stdout.write(`Expired sessions removed: ${deletedSessions}\n`);
+    process.stdout.write(`Expired refresh tokens removed: ${deletedRefreshTokens}\n`);
     process.stdout.write(`Execution time: ${elapsedTime} seconds\n`);
     process.stdout.write(`Completed at: ${new Date().toISOString()}\n`);
     process.stdout.write('\n');
@@ -0,0 +1,120 @@
+/**
+ * CSV Parser Utility
+ *
+ * Reads CSV text (RFC 4180) into rows of strings: quoted fields may contain commas,
+ * doubled quotes and line breaks; CRLF and LF line endings are both accepted. Files
+ * saved from Excel are handled too: a leading byte order mark is dropped, and
+ * semicolon- or tab-separated files are detected from the header line.
+ *
+ * @module utils/csvParser
+ */
+
+/**
+ * Pick the delimiter used in the header line: comma, semicolon or tab, whichever
+ * appears most outside quotes. Defaults to comma.
+ * @param {string} text - CSV text
+ * @returns {string} Delimiter
+ */
+const detectDelimiter = (text) => {
+  const counts = { ',': 0, ';': 0, '\t': 0 };
+  let inQuotes = false;
+  for (const char of text) {
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && (char === '\n' || char === '\r')) {
+      break;
+    } else if (!inQuotes && char in counts) {
+      counts[char]++;
+    }
+  }
+  return Object.keys(counts).reduce((best, delimiter) => (counts[delimiter] > counts[best] ? delimiter : best), ',');
+};
+
+/**
+ * Parse CSV text into rows of fields. Blank lines are skipped.
+ *
+ * @param {string} text - CSV text
+ * @param {Object} [options]
+ * @param {string} [options.delimiter] - Field delimiter; detected from the header line when omitted
+ * @returns {Array<Array<string>>} Rows of raw field values
+ *
+ * @example
+ * parseCSV('name,pos\n"Doe, John",SS\n')
+ * // returns: [['name', 'pos'], ['Doe, John', 'SS']]
+ */
+const parseCSV = (text, options = {}) => {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const delimiter = options.delimiter || detectDelimiter(input);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const endRow = () => {
+    row.push(field);
+    // A line with nothing on it is not a row
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
+
+/**
+ * Parse CSV text with a header line into objects keyed by header
+ *
+ * @param {string} text - CSV text
+ * @param {Object} [options] - See parseCSV
+ * @returns {{ headers: string[], records: Array<Object<string, string>> }} Trimmed headers and
+ *   one object per data row; missing trailing fields are empty strings
+ */
+const parseCSVWithHeaders = (text, options = {}) => {
+  const [headerRow = [], ...dataRows] = parseCSV(text, options);
+  const headers = headerRow.map(header => header.trim());
+  const records = dataRows.map(values => {
+    const record = {};
+    headers.forEach((header, index) => {
+      record[header] = values[index] === undefined ? '' : values[index];
+    });
+    return record;
+  });
+  return { headers, records };
+};
+
+module.exports = {
+  detectDelimiter,
+  parseCSV,
+  parseCSVWithHeaders
+};
@@ -1,8 +1,12 @@
 'use strict';
 
+const { classifyPlayByPlay } = require('./playOutcomeClassifier');
+
 /**
  * Parses play-by-play XML from PrestoSports event stats.
  * Extracts the <plays> section and returns structured inning-by-inning data.
+ * Each play's narrative is classified into a structured `event` (result code,
+ * fielders, runner movement, outs and base state before and after).
  *
  * @param {string} xml - Full event stats XML from Presto
  * @returns {Object|null} Parsed play-by-play data or null if no plays found
@@ -102,14 +106,14 @@ function parsePlayByPlay(xml) {
   // Extract line score if present
   const lineScore = parseLineScore(xml);
 
-  return {
+  return classifyPlayByPlay({
     format,
     innings,
     line_score: lineScore,
     total_plays: innings.reduce((sum, inn) =>
       sum + inn.halves.reduce((hSum, h) => hSum + h.plays.length, 0), 0
     )
-  };
+  });
 }
 
 /**
@@ -0,0 +1,586 @@
+/**
+ * Classifies play-by-play narratives into structured events.
+ *
+ * Presto/StatCrew narratives put the batter's result first and runner movement in
+ * later clauses separated by semicolons, e.g.
+ *   "Smith doubled to left center (2-1 BKB), 2 RBI; Jones scored; Lee scored."
+ *   "Lee grounded into double play ss to 2b to 1b (0-0); Jones out on the play."
+ *   "Jones stole second."
+ *
+ * Each play gets an `event` with a result code, the fielders involved, runner
+ * movement, and the outs and base state before and after the play. Base state is
+ * tracked per half-inning from the narratives alone; runners not mentioned in a
+ * narrative stay where they are unless the batter forces them along.
+ *
+ * Result codes:
+ * - Plate appearances: KS/KL/K (strikeout swinging/looking/unspecified), BB, IBB, HBP,
+ *   1B, 2B, 3B, HR, GO, FO, LO, PO, SH (sacrifice bunt), SF (sacrifice fly),
+ *   FC (fielder's choice), E (reached on error), CI (catcher's interference)
+ * - Between pitches: SB, CS, PK (picked off), WP, PB, BK, ADV (other runner advance)
+ * - SUB for substitutions and UNK when the narrative is not recognized
+ */
+
+/**
+ * Bump when classification output changes so stored play-by-play can be refreshed
+ * @type {number}
+ */
+const CLASSIFIER_VERSION = 1;
+
+const EVENT_DESCRIPTIONS = {
+  KS: 'Strikeout swinging',
+  KL: 'Strikeout looking',
+  K: 'Strikeout',
+  BB: 'Walk',
+  IBB: 'Intentional walk',
+  HBP: 'Hit by pitch',
+  '1B': 'Single',
+  '2B': 'Double',
+  '3B': 'Triple',
+  HR: 'Home run',
+  GO: 'Ground out',
+  FO: 'Fly out',
+  LO: 'Line out',
+  PO: 'Pop out',
+  SH: 'Sacrifice bunt',
+  SF: 'Sacrifice fly',
+  FC: 'Fielder\'s choice',
+  E: 'Reached on error',
+  CI: 'Catcher\'s interference',
+  SB: 'Stolen base',
+  CS: 'Caught stealing',
+  PK: 'Picked off',
+  WP: 'Wild pitch',
+  PB: 'Passed ball',
+  BK: 'Balk',
+  ADV: 'Runner advance',
+  SUB: 'Substitution',
+  UNK: 'Unclassified'
+};
+
+const HIT_CODES = ['1B', '2B', '3B', 'HR'];
+const NOT_AT_BAT_CODES = ['BB', 'IBB', 'HBP', 'SH', 'SF', 'CI'];
+
+/**
+ * Batter results, checked in order against the first clause of a narrative.
+ * Sacrifices come before outs and errors because both appear in the same clause
+ * ("grounded out to p, SAC, bunt").
+ */
+const BATTER_PATTERNS = [
+  { code: 'KL', regex: /\bstruck out looking\b/i },
+  { code: 'KS', regex: /\bstruck out swinging\b/i },
+  { code: 'K', regex: /\bstruck out\b/i },
+  { code: 'IBB', regex: /\bintentionally walked\b|\bintentional walk\b/i },
+  { code: 'BB', regex: /\bwalked\b/i },
+  { code: 'HBP', regex: /\bhit by (?:a )?pitch\b/i },
+  { code: 'SF', regex: /\bsacrifice fly\b|\bSF\b/ },
+  { code: 'SH', regex: /\bsacrifice bunt\b|\bSAC\b/ },
+  { code: 'CI', regex: /\bcatcher'?s? interference\b/i },
+  { code: 'E', regex: /\breached (?:first )?on (?:an? )?(?:\w+ )?error\b/i },
+  { code: 'FC', regex: /\breached (?:first )?on (?:a )?fielder'?s choice\b/i },
+  { code: 'HR', regex: /\bhomered\b|\bhome run\b/i },
+  { code: '3B', regex: /\btripled\b/i },
+  { code: '2B', regex: /\bdoubled\b|\bground-rule double\b/i },
+  { code: '1B', regex: /\bsingled\b/i },
+  { code: 'GO', regex: /\bgrounded (?:out|into)\b|^(?!.*\b(?:picked off|caught stealing)\b)[^,]*\bout at first\b/i },
+  { code: 'LO', regex: /\blined (?:out|into)\b/i },
+  { code: 'PO', regex: /\bpopped (?:up|out|into)\b|\binfield fly\b/i },
+  { code: 'FO', regex: /\b(?:flied|flew|fouled) (?:out|into)\b/i }
+];
+
+/**
+ * Words that end the player name at the start of a clause
+ */
+const NAME_END = /\s+(?:struck|was|walked|intentionally|hit by|reached|singled|doubled|tripled|homered|grounded|flied|flew|fouled|lined|popped|out|stole|caught|picked|advanced|scored|pinch|to (?:p|c|1b|2b|3b|ss|lf|cf|rf|dh)\b)/i;
+
+const SUBSTITUTION = /\bpinch (?:hit|ran) for\b|\bto (?:p|c|1b|2b|3b|ss|lf|cf|rf|dh) for\b|\bpinch hitter\b/i;
+
+const POSITION_WORDS = [
+  ['left center', 'LC'], ['right center', 'RC'], ['up the middle', 'MID'],
+  ['left side', 'LS'], ['right side', 'RS'],
+  ['left field', 'LF'], ['center field', 'CF'], ['right field', 'RF'],
+  ['first base', '1B'], ['second base', '2B'], ['third base', '3B'],
+  ['shortstop', 'SS'], ['pitcher', 'P'], ['catcher', 'C'],
+  ['1b', '1B'], ['2b', '2B'], ['3b', '3B'], ['ss', 'SS'],
+  ['lf', 'LF'], ['cf', 'CF'], ['rf', 'RF'], ['dh', 'DH'], ['p', 'P'], ['c', 'C']
+];
+const POSITION_LOOKUP = new Map(POSITION_WORDS);
+const POSITION_REGEX = new RegExp(`\\b(${POSITION_WORDS.map(([word]) => word).join('|')})\\b`, 'gi');
+
+/** Scorekeeping position numbers, as used in "(E6)" */
+const POSITION_NUMBERS = { 1: 'P', 2: 'C', 3: '1B', 4: '2B', 5: '3B', 6: 'SS', 7: 'LF', 8: 'CF', 9: 'RF' };
+
+/** Spray zones that are not a single fielder */
+const ZONES = ['LC', 'RC', 'MID', 'LS', 'RS'];
+
+const BASES = { first: 1, second: 2, third: 3, home: 4 };
+
+/**
+ * Decode the XML entities Presto leaves in narrative attributes
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+  return text
+    .replace(/&apos;|&#39;/g, '\'')
+    .replace(/&quot;/g, '"')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Player name at the start of a clause
+ * @param {string} clause
+ * @returns {string|null}
+ */
+function leadingName(clause) {
+  const match = clause.match(NAME_END);
+  const name = (match ? clause.slice(0, match.index) : '').trim();
+  return name || null;
+}
+
+/**
+ * The rest of a clause after the leading player name, so initials such as
+ * "C. Smith" are not read as fielders
+ * @param {string} clause
+ * @param {string|null} name
+ * @returns {string}
+ */
+function afterName(clause, name) {
+  return name ? clause.slice(clause.indexOf(name) + name.length) : clause;
+}
+
+/**
+ * Fielders named in a clause, in order (pitch counts and error codes removed first)
+ * @param {string} text
+ * @returns {Array<string>} Position codes, including spray zones such as LC
+ */
+function fieldersIn(text) {
+  const cleaned = text.replace(/\([^)]*\)/g, ' ');
+  return [...cleaned.matchAll(POSITION_REGEX)].map(match => POSITION_LOOKUP.get(match[1].toLowerCase()));
+}
+
+/**
+ * Balls, strikes and pitch sequence from "(2-1 BKB)"
+ * @param {string} text
+ * @returns {Object|null} { balls, strikes, sequence }
+ */
+function pitchCount(text) {
+  const match = text.match(/\((\d)-(\d)(?:\s+([A-Za-z]+))?\)/);
+  if (!match) {
+    return null;
+  }
+  return {
+    balls: parseInt(match[1], 10),
+    strikes: parseInt(match[2], 10),
+    sequence: match[3] ? match[3].toUpperCase() : null
+  };
+}
+
+/**
+ * Why a runner moved, from the wording of a clause
+ * @param {string} text
+ * @returns {string|null}
+ */
+function runnerReason(text) {
+  if (/caught stealing/i.test(text)) {
+    return 'CS';
+  }
+  if (/picked off/i.test(text)) {
+    return 'PK';
+  }
+  if (/\bstole\b/i.test(text)) {
+    return 'SB';
+  }
+  if (/wild pitch/i.test(text)) {
+    return 'WP';
+  }
+  if (/passed ball/i.test(text)) {
+    return 'PB';
+  }
+  if (/\bbalk\b/i.test(text)) {
+    return 'BK';
+  }
+  if (/\berror\b/i.test(text)) {
+    return 'E';
+  }
+  return null;
+}
+
+/**
+ * Parse a runner clause such as "Jones advanced to third on a wild pitch"
+ * @param {string} clause
+ * @returns {Object|null} { name, to, out, out_at, reason } or null when no movement is described
+ */
+function parseRunnerClause(clause) {
+  const outMatch = clause.match(/\bout at (first|second|third|home)\b/i);
+  const out = Boolean(outMatch) || /\bout on the play\b|\bcaught stealing\b|\bpicked off\b/i.test(clause);
+  const advances = [...clause.matchAll(/\b(?:advanced to|stole) (second|third|home)\b/gi)];
+  const scored = /\bscored\b/i.test(clause);
+
+  if (!out && !scored && advances.length === 0) {
+    return null;
+  }
+
+  let to = null;
+  if (!out) {
+    to = scored ? 4 : BASES[advances[advances.length - 1][1].toLowerCase()];
+  }
+
+  return {
+    name: leadingName(clause),
+    to,
+    out,
+    out_at: outMatch ? BASES[outMatch[1].toLowerCase()] : null,
+    reason: runnerReason(clause)
+  };
+}
+
+/**
+ * Classify the first clause of a narrative as a batter result
+ * @param {string} clause
+ * @returns {Object|null} { code, batter, fielders, location, double_play, triple_play, reached, to, out }
+ */
+function parseBatterClause(clause) {
+  // Pitch sequences such as "(0-2 SF)" must not read as result codes
+  const bare = clause.replace(/\([^)]*\)/g, ' ');
+  const pattern = BATTER_PATTERNS.find(candidate => candidate.regex.test(bare));
+  if (!pattern) {
+    return null;
+  }
+
+  const { code } = pattern;
+  const name = leadingName(clause);
+  const [result, ...extras] = afterName(clause, name).split(/,\s*/);
+  const fielders = fieldersIn(result);
+
+  // Error fielder from "(E6)" when the clause does not name one
+  const errorCode = clause.match(/\bE([1-9])\b/);
+  if (errorCode && (code === 'E' || fielders.length === 0)) {
+    const fielder = POSITION_NUMBERS[errorCode[1]];
+    if (!fielders.includes(fielder)) {
+      fielders.push(fielder);
+    }
+  }
+
+  let to = { '1B': 1, '2B': 2, '3B': 3, HR: 4 }[code] || 0;
+  let out = false;
+  if (['BB', 'IBB', 'HBP', 'CI', 'E', 'FC'].includes(code)) {
+    to = 1;
+  } else if (['K', 'KS', 'KL', 'GO', 'FO', 'LO', 'PO', 'SF'].includes(code)) {
+    out = true;
+  } else if (code === 'SH') {
+    out = !/\breached\b/i.test(clause);
+    to = out ? 0 : 1;
+  }
+
+  // Batter's own extras: "reached first on a wild pitch", "advanced to second on the throw"
+  let reached = null;
+  for (const extra of extras) {
+    const reachedMatch = extra.match(/\breached first on (?:an? )?(.+)$/i);
+    if (reachedMatch) {
+      reached = runnerReason(reachedMatch[1]) || reachedMatch[1].trim();
+      out = false;
+      to = Math.max(to, 1);
+    }
+    const advance = extra.match(/\badvanced to (second|third|home)\b/i);
+    if (advance && !out) {
+      to = BASES[advance[1].toLowerCase()];
+    }
+    if (/\bscored\b/i.test(extra) && !out) {
+      to = 4;
+    }
+    if (/\bout at (first|second|third|home)\b/i.test(extra)) {
+      out = true;
+      to = 0;
+    }
+  }
+
+  const location = HIT_CODES.includes(code) && fielders.length > 0 ? fielders[0] : null;
+
+  return {
+    code,
+    batter: name,
+    fielders: HIT_CODES.includes(code) ? [] : fielders.filter(fielder => !ZONES.includes(fielder)),
+    location,
+    double_play: /\bdouble play\b/i.test(clause),
+    triple_play: /\btriple play\b/i.test(clause),
+    reached,
+    to,
+    out
+  };
+}
+
+/**
+ * Fresh half-inning state: no outs, bases empty
+ * @returns {Object} { outs, bases: [first, second, third] }
+ */
+function createHalfInningState() {
+  return { outs: 0, bases: [null, null, null] };
+}
+
+/**
+ * Base state as { first, second, third } runner names
+ * @param {Array<string|null>} bases
+ * @returns {Object}
+ */
+function describeBases(bases) {
+  return { first: bases[0], second: bases[1], third: bases[2] };
+}
+
+/**
+ * Find which base a runner named in a clause is on
+ *
+ * Matches the full name, then the last word of it; when the name is unknown the
+ * runner is inferred from the movement (the runner on third scores first, a runner
+ * out at second came from first, etc).
+ *
+ * @param {Array<string|null>} bases
+ * @param {Object} move - parseRunnerClause output
+ * @param {Set<number>} taken - Base indexes already matched to another clause
+ * @returns {number} Base index 0-2, or -1
+ */
+function findRunner(bases, move, taken) {
+  const free = [0, 1, 2].filter(index => bases[index] && !taken.has(index));
+  if (move.name) {
+    const name = move.name.toLowerCase();
+    const lastWord = name.split(/[\s,.]+/).filter(Boolean).pop();
+    const exact = free.find(index => bases[index].toLowerCase() === name);
+    if (exact !== undefined) {
+      return exact;
+    }
+    const partial = free.find(index => bases[index].toLowerCase().split(/[\s,.]+/).includes(lastWord));
+    if (partial !== undefined) {
+      return partial;
+    }
+  }
+
+  const target = move.out ? move.out_at : move.to;
+  if (target) {
+    const behind = free.filter(index => index < target - 1);
+    if (behind.length > 0) {
+      return behind[behind.length - 1];
+    }
+  }
+  return free.length > 0 ? free[free.length - 1] : -1;
+}
+
+/**
+ * Put a runner on a base, pushing any runner already there up a base
+ * @param {Array<string|null>} bases
+ * @param {number} index - Base index 0-2
+ * @param {string} name
+ * @param {Array<string>} scored - Collects runners forced home
+ */
+function placeRunner(bases, index, name, scored) {
+  if (index > 2) {
+    scored.push(name);
+    return;
+  }
+  if (bases[index]) {
+    placeRunner(bases, index + 1, bases[index], scored);
+  }
+  bases[index] = name;
+}
+
+/**
+ * Classify one narrative and advance the half-inning state
+ *
+ * @param {string} narrative - Play narrative
+ * @param {Object} state - createHalfInningState() output; updated in place
+ * @returns {Object} Structured event
+ */
+function classifyPlay(narrative, state) {
+  const text = decodeEntities(String(narrative || '')).trim().replace(/\.$/, '');
+  const [primary, ...clauses] = text.split(/;\s*/);
+  const before = { outs: state.outs, bases: [...state.bases] };
+
+  const event = {
+    code: 'UNK',
+    description: EVENT_DESCRIPTIONS.UNK,
+    batter: null,
+    fielders: [],
+    location: null,
+    pitch_count: pitchCount(primary),
+    is_plate_appearance: false,
+    is_at_bat: false,
+    is_hit: false,
+    double_play: false,
+    triple_play: false,
+    rbi: 0,
+    runners: []
+  };
+
+  const batterResult = primary ? parseBatterClause(primary) : null;
+  const runnerClauses = [...clauses];
+
+  if (batterResult) {
+    Object.assign(event, {
+      code: batterResult.code,
+      batter: batterResult.batter,
+      fielders: batterResult.fielders,
+      location: batterResult.location,
+      is_plate_appearance: true,
+      is_at_bat: !NOT_AT_BAT_CODES.includes(batterResult.code),
+      is_hit: HIT_CODES.includes(batterResult.code),
+      double_play: batterResult.double_play,
+      triple_play: batterResult.triple_play
+    });
+    if (batterResult.reached) {
+      event.reached_on = batterResult.reached;
+    }
+  } else if (SUBSTITUTION.test(primary)) {
+    event.code = 'SUB';
+    const pinchRunner = primary.match(/^(.*?)\s+pinch ran for\s+(.*)$/i);
+    if (pinchRunner) {
+      const index = state.bases.findIndex(runner => runner && runner.toLowerCase() === pinchRunner[2].trim().toLowerCase());
+      if (index !== -1) {
+        state.bases[index] = pinchRunner[1].trim();
+      }
+    }
+  } else if (primary) {
+    runnerClauses.unshift(primary);
+    const move = parseRunnerClause(primary);
+    if (move) {
+      event.code = move.reason || 'ADV';
+      event.fielders = fieldersIn(afterName(primary, move.name).replace(/^.*?\b(?:caught stealing|picked off|out at \w+)\b/i, ''));
+    }
+  }
+  event.description = EVENT_DESCRIPTIONS[event.code];
+
+  const rbiMatch = text.match(/\b(\d+)\s+RBI\b/i);
+  if (rbiMatch) {
+    event.rbi = parseInt(rbiMatch[1], 10);
+  } else if (/\bRBI\b/.test(text)) {
+    event.rbi = 1;
+  }
+
+  // Runner movement: resolve every runner against the starting bases, then move them together
+  const bases = [...state.bases];
+  const taken = new Set();
+  const scored = [];
+  let outs = 0;
+  const moves = [];
+  let batterTo = batterResult ? batterResult.to : 0;
+  let batterOut = batterResult ? batterResult.out : false;
+
+  for (const clause of runnerClauses) {
+    const move = parseRunnerClause(clause);
+    if (!move) {
+      continue;
+    }
+    // A later clause about the batter ("Lee advanced to second on the throw")
+    if (batterResult && move.name && batterResult.batter && move.name.toLowerCase() === batterResult.batter.toLowerCase()) {
+      batterOut = batterOut || move.out;
+      batterTo = move.out ? 0 : Math.max(batterTo, move.to || 0);
+      continue;
+    }
+    const index = findRunner(bases, move, taken);
+    if (index !== -1) {
+      taken.add(index);
+    }
+    moves.push({ ...move, index, runner: index !== -1 ? bases[index] : move.name });
+  }
+
+  for (const move of moves) {
+    if (move.index !== -1) {
+      bases[move.index] = null;
+    }
+    event.runners.push({
+      name: move.runner,
+      from: move.index !== -1 ? move.index + 1 : null,
+      to: move.out ? null : move.to,
+      out: move.out,
+      reason: move.reason
+    });
+    if (move.out) {
+      outs += 1;
+    } else if (move.to === 4) {
+      scored.push(move.runner);
+    }
+  }
+  for (const move of moves) {
+    if (!move.out && move.to && move.to < 4) {
+      placeRunner(bases, move.to - 1, move.runner, scored);
+    }
+  }
+
+  if (batterResult) {
+    if (batterOut) {
+      outs += 1;
+    } else if (batterTo === 4) {
+      scored.push(batterResult.batter);
+    } else if (batterTo > 0) {
+      placeRunner(bases, batterTo - 1, batterResult.batter, scored);
+    }
+    event.batter_result = { to: batterOut ? null : batterTo, out: batterOut };
+  }
+
+  // Double and triple plays whose extra outs were not spelled out: lead forced runners first
+  const expectedOuts = event.triple_play ? 3 : event.double_play ? 2 : 0;
+  for (let index = 0; outs < expectedOuts && index < 3; index++) {
+    if (bases[index]) {
+      event.runners.push({ name: bases[index], from: index + 1, to: null, out: true, reason: null });
+      bases[index] = null;
+      outs += 1;
+    }
+  }
+
+  state.outs = Math.min(3, state.outs + outs);
+  state.bases = state.outs >= 3 ? [null, null, null] : bases;
+
+  return {
+    ...event,
+    outs_on_play: outs,
+    runs_on_play: scored.length,
+    outs_before: before.outs,
+    outs_after: state.outs,
+    bases_before: describeBases(before.bases),
+    bases_after: describeBases(state.bases)
+  };
+}
+
+/**
+ * Classify every play in parsed play-by-play, in place
+ *
+ * Adds an `event` to each play and `classifier_version` to the play-by-play so
+ * stored data classified by an older version can be recognized and refreshed.
+ *
+ * @param {Object} playByPlay - parsePlayByPlay output (or Game.play_by_play)
+ * @returns {Object} The same object
+ */
+function classifyPlayByPlay(playByPlay) {
+  if (!playByPlay || !Array.isArray(playByPlay.innings)) {
+    return playByPlay;
+  }
+
+  for (const inning of playByPlay.innings) {
+    for (const half of inning.halves || []) {
+      const state = createHalfInningState();
+      for (const play of half.plays || []) {
+        play.event = classifyPlay(play.narrative, state);
+      }
+    }
+  }
+
+  playByPlay.classifier_version = CLASSIFIER_VERSION;
+  return playByPlay;
+}
+
+/**
+ * Whether stored play-by-play still needs (re)classification
+ * @param {Object} playByPlay - Game.play_by_play
+ * @returns {boolean}
+ */
+function needsClassification(playByPlay) {
+  return Boolean(playByPlay && Array.isArray(playByPlay.innings) && playByPlay.classifier_version !== CLASSIFIER_VERSION);
+}
+
+module.exports = {
+  CLASSIFIER_VERSION,
+  EVENT_DESCRIPTIONS,
+  createHalfInningState,
+  classifyPlay,
+  classifyPlayByPlay,
+  needsClassification
+};
@@ -0,0 +1,109 @@
+/**
+ * User Agent Parser
+ *
+ * Lightweight User-Agent classification for security auditing (login history,
+ * session lists). Identifies the device type, browser and operating system well
+ * enough to label an entry "Safari on iPad" or "Chrome on Windows"; it is not a
+ * full browser-detection library and deliberately falls back to "Unknown".
+ *
+ * @module utils/userAgentParser
+ */
+
+/**
+ * Browser signatures, checked in order. Chromium-based browsers identify as Chrome
+ * and Safari too, so the more specific tokens must come first.
+ * @type {Array<{name: string, pattern: RegExp}>}
+ */
+const BROWSERS = [
+  { name: 'Edge', pattern: /(?:Edg|EdgA|EdgiOS|Edge)\/([\d.]+)/ },
+  { name: 'Opera', pattern: /(?:OPR|Opera)\/([\d.]+)/ },
+  { name: 'Samsung Internet', pattern: /SamsungBrowser\/([\d.]+)/ },
+  { name: 'Firefox', pattern: /(?:Firefox|FxiOS)\/([\d.]+)/ },
+  { name: 'Chrome', pattern: /(?:Chrome|CriOS)\/([\d.]+)/ },
+  { name: 'Safari', pattern: /Version\/([\d.]+).*Safari\// },
+  { name: 'Internet Explorer', pattern: /(?:MSIE |Trident\/.*rv:)([\d.]+)/ }
+];
+
+/**
+ * Operating system signatures, checked in order
+ * @type {Array<{name: string, pattern: RegExp}>}
+ */
+const OPERATING_SYSTEMS = [
+  { name: 'iPadOS', pattern: /iPad/ },
+  { name: 'iOS', pattern: /iPhone|iPod/ },
+  { name: 'Android', pattern: /Android/ },
+  { name: 'Windows', pattern: /Windows/ },
+  { name: 'ChromeOS', pattern: /CrOS/ },
+  { name: 'macOS', pattern: /Macintosh|Mac OS X/ },
+  { name: 'Linux', pattern: /Linux/ }
+];
+
+const BOT_PATTERN = /bot|crawler|spider|curl|wget|python-requests|axios|node-fetch|postman/i;
+
+/**
+ * Classify the device type
+ * @param {string} ua - User-Agent header
+ * @param {string} os - Detected operating system
+ * @returns {string} desktop | mobile | tablet | bot | unknown
+ */
+function detectDeviceType(ua, os) {
+  if (BOT_PATTERN.test(ua)) {
+    return 'bot';
+  }
+  if (os === 'iPadOS' || /Tablet/.test(ua) || (os === 'Android' && !/Mobile/.test(ua))) {
+    return 'tablet';
+  }
+  if (/Mobi|iPhone|iPod/.test(ua)) {
+    return 'mobile';
+  }
+  if (os) {
+    return 'desktop';
+  }
+  return 'unknown';
+}
+
+/**
+ * Parse a User-Agent header
+ *
+ * @param {string} [userAgent] - Raw User-Agent header
+ * @returns {Object} parsed
+ * @returns {string} parsed.deviceType - desktop, mobile, tablet, bot or unknown
+ * @returns {string|null} parsed.browser - Browser name
+ * @returns {string|null} parsed.browserVersion - Major browser version
+ * @returns {string|null} parsed.os - Operating system name
+ * @returns {string} parsed.device - Human-readable label, e.g. "Chrome on Windows"
+ *
+ * @example
+ * parseUserAgent('Mozilla/5.0 (iPad; CPU OS 17_2 like Mac OS X) ... Version/17.2 Mobile/15E148 Safari/604.1');
+ * // { deviceType: 'tablet', browser: 'Safari', browserVersion: '17', os: 'iPadOS', device: 'Safari on iPadOS' }
+ */
+function parseUserAgent(userAgent) {
+  const ua = typeof userAgent === 'string' ? userAgent : '';
+
+  const browserMatch = BROWSERS.find(candidate => candidate.pattern.test(ua));
+  const osMatch = OPERATING_SYSTEMS.find(candidate => candidate.pattern.test(ua));
+
+  const browser = browserMatch ? browserMatch.name : null;
+  const browserVersion = browserMatch ? ua.match(browserMatch.pattern)[1].split('.')[0] : null;
+  const os = osMatch ? osMatch.name : null;
+  const deviceType = detectDeviceType(ua, os);
+
+  let device;
+  if (browser && os) {
+    device = `${browser} on ${os}`;
+  } else {
+    device = browser || os || (deviceType === 'bot' ? 'Automated client' : 'Unknown device');
+  }
+
+  return {
+    deviceType,
+    browser,
+    browserVersion,
+    os,
+    device
+  };
+}
+
+module.exports = {
+  parseUserAgent
+};
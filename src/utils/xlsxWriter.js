@@ -0,0 +1,473 @@
+/**
+ * XLSX Writer Utility
+ *
+ * Dependency-free writer for Office Open XML spreadsheets (.xlsx). Produces
+ * multi-sheet workbooks with typed cells (numbers stay numbers, dates become
+ * Excel date serials), bold frozen header rows, auto-filters and column widths.
+ *
+ * An .xlsx file is a ZIP archive of SpreadsheetML parts; this module builds the
+ * XML parts and packs them with a minimal ZIP (deflate) encoder.
+ *
+ * @module utils/xlsxWriter
+ */
+
+const zlib = require('zlib');
+
+/**
+ * Column formats understood by the writer (shared with reportDataService columns).
+ * Each maps to a cell style index in the generated styles.xml. The 'auto' format
+ * (default style) writes numbers as numeric cells and everything else as text.
+ *
+ * @type {Object.<string, number>}
+ */
+const FORMAT_STYLES = {
+  text: 0,
+  auto: 0,
+  header: 1,
+  integer: 2,
+  decimal1: 3,
+  decimal2: 4,
+  avg: 5,
+  date: 6
+};
+
+const NUMERIC_FORMATS = ['integer', 'decimal1', 'decimal2', 'avg'];
+
+const MAX_SHEET_NAME_LENGTH = 31;
+const INVALID_SHEET_NAME_CHARS = /[\\/?*[\]:]/g;
+
+// Excel serial dates count days from 1899-12-30 (accounting for the 1900 leap-year bug)
+const EXCEL_EPOCH_MS = Date.UTC(1899, 11, 30);
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Escapes text for inclusion in XML, dropping control characters that are invalid in XML 1.0
+ *
+ * @param {*} value - Value to escape
+ * @returns {string} XML-safe string
+ */
+const escapeXml = (value) => String(value)
+  // eslint-disable-next-line no-control-regex
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Converts a zero-based column index to a spreadsheet column reference (0 -> A, 27 -> AB)
+ *
+ * @param {number} index - Zero-based column index
+ * @returns {string} Column letters
+ */
+const columnLetter = (index) => {
+  let n = index + 1;
+  let letters = '';
+  while (n > 0) {
+    const rem = (n - 1) % 26;
+    letters = String.fromCharCode(65 + rem) + letters;
+    n = Math.floor((n - 1) / 26);
+  }
+  return letters;
+};
+
+/**
+ * Converts a JavaScript date to an Excel serial date number
+ *
+ * @param {Date|string} value - Date to convert
+ * @returns {number|null} Serial date, or null when the date is invalid
+ */
+const toExcelDate = (value) => {
+  const date = value instanceof Date ? value : new Date(value);
+  const time = date.getTime();
+  if (Number.isNaN(time)) {
+    return null;
+  }
+  return (time - EXCEL_EPOCH_MS) / MS_PER_DAY;
+};
+
+/**
+ * Produces a valid, unique worksheet name (max 31 chars, no []:*?/\ characters)
+ *
+ * @param {string} name - Requested sheet name
+ * @param {Set<string>} usedNames - Lower-cased names already in the workbook
+ * @returns {string} Sanitized sheet name
+ */
+const sanitizeSheetName = (name, usedNames) => {
+  let base = String(name || 'Sheet').replace(INVALID_SHEET_NAME_CHARS, ' ').trim();
+  base = base.replace(/^'+|'+$/g, '') || 'Sheet';
+  base = base.slice(0, MAX_SHEET_NAME_LENGTH);
+
+  let candidate = base;
+  let suffix = 2;
+  while (usedNames.has(candidate.toLowerCase())) {
+    const tag = ` (${suffix++})`;
+    candidate = base.slice(0, MAX_SHEET_NAME_LENGTH - tag.length) + tag;
+  }
+  usedNames.add(candidate.toLowerCase());
+  return candidate;
+};
+
+/**
+ * Builds the XML for a single cell
+ *
+ * @param {string} ref - Cell reference (e.g. B4)
+ * @param {*} value - Raw cell value
+ * @param {string} format - Column format
+ * @param {number} [styleOverride] - Explicit style index (used for header cells)
+ * @returns {string} <c> element, or empty string for empty cells
+ */
+const buildCell = (ref, value, format, styleOverride) => {
+  if (value === null || value === undefined || value === '') {
+    return '';
+  }
+
+  const style = styleOverride !== undefined ? styleOverride : (FORMAT_STYLES[format] || 0);
+  const styleAttr = style ? ` s="${style}"` : '';
+
+  if (styleOverride === undefined && NUMERIC_FORMATS.includes(format)) {
+    const num = typeof value === 'number' ? value : parseFloat(value);
+    if (Number.isFinite(num)) {
+      return `<c r="${ref}"${styleAttr}><v>${num}</v></c>`;
+    }
+  }
+
+  if (styleOverride === undefined && format === 'date') {
+    const serial = toExcelDate(value);
+    if (serial !== null) {
+      return `<c r="${ref}"${styleAttr}><v>${serial}</v></c>`;
+    }
+  }
+
+  // 'auto' columns keep whatever type each value already has (mixed summary columns)
+  if (format === 'auto' && typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${ref}"${styleAttr}><v>${value}</v></c>`;
+  }
+
+  if (typeof value === 'boolean') {
+    return `<c r="${ref}"${styleAttr} t="b"><v>${value ? 1 : 0}</v></c>`;
+  }
+
+  return `<c r="${ref}"${styleAttr} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+};
+
+/**
+ * Estimates a column width (in characters) from its header and longest value
+ *
+ * @param {Object} column - Column definition
+ * @param {Array<Object>} rows - Data rows
+ * @returns {number} Column width
+ */
+const estimateWidth = (column, rows) => {
+  const lengths = rows.slice(0, 500).map(row => {
+    const value = row[column.key];
+    if (value === null || value === undefined) {
+      return 0;
+    }
+    return column.format === 'date' ? 10 : String(value).length;
+  });
+  const longest = Math.max(String(column.label || '').length, ...lengths, 0);
+  return Math.min(Math.max(longest + 2, 6), 60);
+};
+
+/**
+ * Builds the worksheet XML for one sheet definition
+ *
+ * @param {Object} sheet - Sheet definition
+ * @returns {string} Worksheet XML
+ */
+const buildSheetXml = (sheet) => {
+  const { columns, rows } = sheet;
+  const includeHeaders = sheet.includeHeaders !== false;
+  const freezeHeader = includeHeaders && sheet.freezeHeader !== false;
+  const autoFilter = includeHeaders && sheet.autoFilter !== false && columns.length > 0;
+
+  const rowXml = [];
+  let rowNumber = 1;
+
+  if (includeHeaders) {
+    const cells = columns.map((col, i) => buildCell(`${columnLetter(i)}${rowNumber}`, col.label, 'text', FORMAT_STYLES.header));
+    rowXml.push(`<row r="${rowNumber}">${cells.join('')}</row>`);
+    rowNumber++;
+  }
+
+  rows.forEach(row => {
+    const cells = columns.map((col, i) => buildCell(`${columnLetter(i)}${rowNumber}`, row[col.key], col.format || 'text'));
+    rowXml.push(`<row r="${rowNumber}">${cells.join('')}</row>`);
+    rowNumber++;
+  });
+
+  const lastColumn = columnLetter(Math.max(columns.length - 1, 0));
+  const lastRow = Math.max(rowNumber - 1, 1);
+
+  const pane = freezeHeader
+    ? '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/><selection pane="bottomLeft" activeCell="A2" sqref="A2"/>'
+    : '';
+
+  const cols = columns.length > 0
+    ? `<cols>${columns.map((col, i) => `<col min="${i + 1}" max="${i + 1}" width="${col.width || estimateWidth(col, rows)}" customWidth="1"/>`).join('')}</cols>`
+    : '';
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+    'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+    `<dimension ref="A1:${lastColumn}${lastRow}"/>` +
+    `<sheetViews><sheetView workbookViewId="0">${pane}</sheetView></sheetViews>` +
+    '<sheetFormatPr defaultRowHeight="15"/>' +
+    cols +
+    `<sheetData>${rowXml.join('')}</sheetData>` +
+    (autoFilter ? `<autoFilter ref="A1:${lastColumn}${lastRow}"/>` : '') +
+    '</worksheet>';
+};
+
+const STYLES_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+  '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+  '<numFmts count="2"><numFmt numFmtId="164" formatCode="#.000"/><numFmt numFmtId="165" formatCode="0.0"/></numFmts>' +
+  '<fonts count="2">' +
+  '<font><sz val="11"/><name val="Calibri"/><family val="2"/></font>' +
+  '<font><b/><sz val="11"/><name val="Calibri"/><family val="2"/></font>' +
+  '</fonts>' +
+  '<fills count="3">' +
+  '<fill><patternFill patternType="none"/></fill>' +
+  '<fill><patternFill patternType="gray125"/></fill>' +
+  '<fill><patternFill patternType="solid"><fgColor rgb="FFE5E7EB"/><bgColor indexed="64"/></patternFill></fill>' +
+  '</fills>' +
+  '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+  '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+  '<cellXfs count="7">' +
+  '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+  '<xf numFmtId="0" fontId="1" fillId="2" borderId="0" xfId="0" applyFont="1" applyFill="1"/>' +
+  '<xf numFmtId="1" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+  '<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+  '<xf numFmtId="2" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+  '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+  '<xf numFmtId="14" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+  '</cellXfs>' +
+  '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+  '</styleSheet>';
+
+/**
+ * Builds the static and workbook-level package parts
+ *
+ * @param {Array<string>} sheetNames - Sanitized sheet names in order
+ * @param {Array<Object>} sheets - Sheet definitions (for auto-filter defined names)
+ * @param {Object} properties - Document properties ({ title, creator })
+ * @returns {Array<{name: string, data: string}>} Package parts
+ */
+const buildPackageParts = (sheetNames, sheets, properties) => {
+  const now = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+
+  const contentTypes = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    sheetNames.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+    '<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>' +
+    '<Override PartName="/docProps/app.xml" ContentType="application/vnd.openxmlformats-officedocument.extended-properties+xml"/>' +
+    '</Types>';
+
+  const rootRels = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+    '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>' +
+    '<Relationship Id="rId3" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/extended-properties" Target="docProps/app.xml"/>' +
+    '</Relationships>';
+
+  // Excel expects a hidden _FilterDatabase name for every sheet with an auto-filter
+  const definedNames = sheets
+    .map((sheet, i) => {
+      const hasFilter = sheet.includeHeaders !== false && sheet.autoFilter !== false && sheet.columns.length > 0;
+      if (!hasFilter) {
+        return '';
+      }
+      const lastColumn = columnLetter(sheet.columns.length - 1);
+      const lastRow = Math.max(sheet.rows.length + 1, 1);
+      const quoted = `'${sheetNames[i].replace(/'/g, '\'\'')}'`;
+      return `<definedName name="_xlnm._FilterDatabase" localSheetId="${i}" hidden="1">${escapeXml(`${quoted}!$A$1:$${lastColumn}$${lastRow}`)}</definedName>`;
+    })
+    .join('');
+
+  const workbook = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+    'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+    '<bookViews><workbookView/></bookViews>' +
+    `<sheets>${sheetNames.map((name, i) => `<sheet name="${escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')}</sheets>` +
+    (definedNames ? `<definedNames>${definedNames}</definedNames>` : '') +
+    '</workbook>';
+
+  const workbookRels = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    sheetNames.map((_, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('') +
+    `<Relationship Id="rId${sheetNames.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+    '</Relationships>';
+
+  const core = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" ' +
+    'xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" ' +
+    'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">' +
+    `<dc:title>${escapeXml(properties.title || '')}</dc:title>` +
+    `<dc:creator>${escapeXml(properties.creator || '')}</dc:creator>` +
+    `<dcterms:created xsi:type="dcterms:W3CDTF">${now}</dcterms:created>` +
+    `<dcterms:modified xsi:type="dcterms:W3CDTF">${now}</dcterms:modified>` +
+    '</cp:coreProperties>';
+
+  const app = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<Properties xmlns="http://schemas.openxmlformats.org/officeDocument/2006/extended-properties">' +
+    '<Application>Sports2</Application>' +
+    '</Properties>';
+
+  return [
+    { name: '[Content_Types].xml', data: contentTypes },
+    { name: '_rels/.rels', data: rootRels },
+    { name: 'docProps/core.xml', data: core },
+    { name: 'docProps/app.xml', data: app },
+    { name: 'xl/workbook.xml', data: workbook },
+    { name: 'xl/_rels/workbook.xml.rels', data: workbookRels },
+    { name: 'xl/styles.xml', data: STYLES_XML }
+  ];
+};
+
+/**
+ * Converts a date to MS-DOS time/date fields used in ZIP headers
+ *
+ * @param {Date} date
+ * @returns {{time: number, date: number}}
+ */
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+/**
+ * Packs files into a ZIP archive (deflate compression, no ZIP64)
+ *
+ * @param {Array<{name: string, data: string|Buffer}>} files - Files to pack
+ * @returns {Buffer} ZIP archive bytes
+ */
+const createZip = (files) => {
+  const { time, date } = toDosDateTime(new Date());
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  files.forEach(file => {
+    const nameBuffer = Buffer.from(file.name, 'utf8');
+    const raw = Buffer.isBuffer(file.data) ? file.data : Buffer.from(file.data, 'utf8');
+    const compressed = zlib.deflateRawSync(raw);
+    const crc = zlib.crc32(raw);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0); // local file header signature
+    local.writeUInt16LE(20, 4); // version needed to extract
+    local.writeUInt16LE(0x0800, 6); // flags: UTF-8 file names
+    local.writeUInt16LE(8, 8); // compression: deflate
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    local.writeUInt16LE(0, 28); // extra field length
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0); // central directory signature
+    central.writeUInt16LE(20, 4); // version made by
+    central.writeUInt16LE(20, 6); // version needed to extract
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt16LE(0, 30); // extra field length
+    central.writeUInt16LE(0, 32); // comment length
+    central.writeUInt16LE(0, 34); // disk number
+    central.writeUInt16LE(0, 36); // internal attributes
+    central.writeUInt32LE(0, 38); // external attributes
+    central.writeUInt32LE(offset, 42); // local header offset
+
+    localParts.push(local, nameBuffer, compressed);
+    centralParts.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + compressed.length;
+  });
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0); // end of central directory signature
+  end.writeUInt16LE(0, 4);
+  end.writeUInt16LE(0, 6);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  end.writeUInt16LE(0, 20);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+};
+
+/**
+ * Sheet definition accepted by buildWorkbook.
+ *
+ * @typedef {Object} SheetDefinition
+ * @property {string} name - Worksheet name (sanitized to Excel's rules)
+ * @property {Array<{key: string, label: string, format?: string, width?: number}>} columns
+ *           Column definitions; format is one of text, auto, integer, decimal1, decimal2, avg, date
+ * @property {Array<Object>} rows - Data rows keyed by column key
+ * @property {boolean} [includeHeaders=true] - Write a bold header row
+ * @property {boolean} [freezeHeader=true] - Freeze the header row while scrolling
+ * @property {boolean} [autoFilter=true] - Add an auto-filter over the header row
+ */
+
+/**
+ * Builds an .xlsx workbook from one or more sheet definitions.
+ *
+ * @param {Array<SheetDefinition>} sheets - Worksheets in display order
+ * @param {Object} [properties={}] - Document properties
+ * @param {string} [properties.title] - Workbook title
+ * @param {string} [properties.creator] - Workbook author
+ * @returns {Buffer} .xlsx file contents
+ *
+ * @example
+ * const buffer = buildWorkbook([
+ *   {
+ *     name: 'Batting',
+ *     columns: [
+ *       { key: 'name', label: 'Player' },
+ *       { key: 'avg', label: 'AVG', format: 'avg' }
+ *     ],
+ *     rows: [{ name: 'John Doe', avg: 0.312 }]
+ *   }
+ * ], { title: 'Season Stats' });
+ */
+const buildWorkbook = (sheets, properties = {}) => {
+  if (!Array.isArray(sheets) || sheets.length === 0) {
+    throw new Error('Workbook must contain at least one sheet');
+  }
+
+  const usedNames = new Set();
+  const normalized = sheets.map(sheet => ({
+    ...sheet,
+    columns: Array.isArray(sheet.columns) ? sheet.columns : [],
+    rows: Array.isArray(sheet.rows) ? sheet.rows : []
+  }));
+  const sheetNames = normalized.map(sheet => sanitizeSheetName(sheet.name, usedNames));
+
+  const files = buildPackageParts(sheetNames, normalized, properties);
+  normalized.forEach((sheet, i) => {
+    files.push({ name: `xl/worksheets/sheet${i + 1}.xml`, data: buildSheetXml(sheet) });
+  });
+
+  return createZip(files);
+};
+
+module.exports = {
+  buildWorkbook,
+  sanitizeSheetName,
+  columnLetter,
+  toExcelDate,
+  escapeXml
+};